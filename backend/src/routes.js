@@ -0,0 +1,35 @@
+const express = require('express');
+const admin = require('./firebase');
+
+const router = express.Router();
+
+// The calendar feed admins publish from the Holiday Calendar page (see CalendarFeedService)
+const CALENDAR_FEED_COLLECTION = 'calendarFeeds';
+const CALENDAR_FEED_ID = 'public';
+
+/**
+ * Serves the published iCalendar feed of upcoming classes, holidays and cancelled classes
+ * The URL stays the same when the feed is republished, so calendar apps can subscribe to it.
+ */
+router.get('/calendar.ics', async (req, res) => {
+    try {
+        const feedDoc = await admin.firestore()
+            .collection(CALENDAR_FEED_COLLECTION)
+            .doc(CALENDAR_FEED_ID)
+            .get();
+
+        if (!feedDoc.exists) {
+            return res.status(404).send('The calendar feed has not been published yet');
+        }
+
+        res.set('Content-Type', 'text/calendar; charset=utf-8');
+        res.set('Content-Disposition', 'inline; filename="calendar.ics"');
+        res.set('Cache-Control', 'public, max-age=900');
+        return res.send(feedDoc.data().ics);
+    } catch (error) {
+        console.error('Error serving calendar feed:', error);
+        return res.status(500).send('Failed to load the calendar feed');
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,53 @@
+const request = require('supertest');
+
+const mockGet = jest.fn();
+const mockDoc = jest.fn(() => ({ get: mockGet }));
+const mockCollection = jest.fn(() => ({ doc: mockDoc }));
+
+jest.mock('./firebase', () => ({
+    firestore: () => ({ collection: mockCollection })
+}));
+
+const app = require('./server');
+
+const ICS = 'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nSUMMARY:Ballet\r\nEND:VEVENT\r\nEND:VCALENDAR\r\n';
+
+describe('GET /calendar.ics', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should serve the published feed as an iCalendar file', async () => {
+        mockGet.mockResolvedValue({ exists: true, data: () => ({ ics: ICS, eventCount: 1 }) });
+
+        const response = await request(app).get('/calendar.ics');
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('text/calendar; charset=utf-8');
+        expect(response.headers['content-disposition']).toBe('inline; filename="calendar.ics"');
+        expect(response.headers['cache-control']).toBe('public, max-age=900');
+        expect(response.text).toBe(ICS);
+        expect(mockCollection).toHaveBeenCalledWith('calendarFeeds');
+        expect(mockDoc).toHaveBeenCalledWith('public');
+    });
+
+    test('should return 404 when the feed has not been published', async () => {
+        mockGet.mockResolvedValue({ exists: false });
+
+        const response = await request(app).get('/calendar.ics');
+
+        expect(response.status).toBe(404);
+        expect(response.text).toBe('The calendar feed has not been published yet');
+    });
+
+    test('should return 500 when the feed cannot be read', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        mockGet.mockRejectedValue(new Error('unavailable'));
+
+        const response = await request(app).get('/calendar.ics');
+
+        expect(response.status).toBe(500);
+        expect(response.text).toBe('Failed to load the calendar feed');
+        console.error.mockRestore();
+    });
+});
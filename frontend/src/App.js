@@ -10,10 +10,25 @@ import ExpenseManagement from "./components/ExpenseManagement";
 import BudgetManagement from "./components/BudgetManagement";
 import FinancialReports from "./components/FinancialReports";
 import AttendanceReports from "./components/AttendanceReports";
+import FeeScheduleSettings from "./components/FeeScheduleSettings";
+import BalanceReconciliation from "./components/BalanceReconciliation";
+import PaymentMethodSettings from "./components/PaymentMethodSettings";
+import PaymentReconciliation from "./components/PaymentReconciliation";
+import AccountStatement from "./components/AccountStatement";
+import FeeWaivers from "./components/FeeWaivers";
+import FeeYearCloseOut from "./components/FeeYearCloseOut";
+import ClassScheduleManagement from "./components/ClassScheduleManagement";
+import HolidayCalendar from "./components/HolidayCalendar";
+import CheckInKiosk from "./components/CheckInKiosk";
 import PublicDashboard from "./components/PublicDashboard";
+import StudentReceipts from "./components/StudentReceipts";
+import StudentNotifications from "./components/StudentNotifications";
+import PaymentPlanPanel from "./components/PaymentPlanPanel";
 import ErrorMessage from "./components/ErrorMessage";
 import Navbar from "./components/Navbar";
 import logo from "./assets/logo.png";
+import { calendarFeedService } from "./services/CalendarFeedService";
+import { formatBalance } from "./utils/formatters";
 import "./App.css";
 import { BrowserRouter as Router, Routes, Route, Navigate } from "react-router-dom";
 
@@ -91,6 +106,9 @@ function App() {
     };
   }, []);
   
+  // Keep the published calendar feed in step with the schedule, holidays and cancellations
+  useEffect(() => calendarFeedService.watchCalendars(), []);
+
   const handleAuth = async (email, password) => {
     setLoading(true);
     setError(""); // Clear previous error messages
@@ -163,9 +181,26 @@ function App() {
             <h2>Your Student Profile</h2>
             <p>Name: {studentProfile.firstName || ''} {studentProfile.lastName || ''}</p>
             <p>Status: {studentProfile.enrollmentStatus || 'Pending Payment'}</p>
-            <p>Balance: ${(studentProfile.balance || 0).toFixed(2)}</p>
+            <p>Balance: {formatBalance(studentProfile.balance || 0)}</p>
+            {calendarFeedService.getSubscribeUrl() && (
+              <p>
+                Class calendar: <a href={calendarFeedService.getSubscribeUrl()}>Subscribe in your calendar app</a>
+              </p>
+            )}
           </div>
         )}
+
+        {userRole === "student" && studentProfile && (
+          <>
+            <StudentNotifications studentId={studentProfile.id || user.uid} />
+            <PaymentPlanPanel
+              studentId={studentProfile.id || user.uid}
+              userRole={userRole}
+              balance={studentProfile.balance || 0}
+            />
+            <StudentReceipts studentId={studentProfile.id || user.uid} />
+          </>
+        )}
       </div>
     );
   };
@@ -228,19 +263,29 @@ function App() {
           {error && <ErrorMessage message={error} />}
           <Routes>
             {/* Public route accessible without authentication, but with userRole for admin features */}
-            <Route path="/public-dashboard" element={<PublicDashboard userRole={userRole} />} />
+            <Route path="/public-dashboard" element={<PublicDashboard userRole={userRole} currentUser={user} />} />
             
             {/* Profile route for students */}
             <Route path="/profile" element={<ProtectedRoute element={<ProfileEditor />} requiredRole="student" />} />
             
             {/* Admin routes */}
-            <Route path="/manage-students" element={<ProtectedRoute element={<StudentManagement userRole={userRole} />} requiredRole="admin" />} />
-            <Route path="/attendance" element={<ProtectedRoute element={<AttendanceDashboard userRole={userRole} />} requiredRole="admin" />} />
+            <Route path="/manage-students" element={<ProtectedRoute element={<StudentManagement userRole={userRole} currentUser={user} />} requiredRole="admin" />} />
+            <Route path="/attendance" element={<ProtectedRoute element={<AttendanceDashboard userRole={userRole} currentUser={user} />} requiredRole="admin" />} />
             <Route path="/payments" element={<ProtectedRoute element={<PaymentDashboard userRole={userRole} />} requiredRole="admin" />} />
             <Route path="/expenses" element={<ProtectedRoute element={<ExpenseManagement userRole={userRole} currentUser={user} />} requiredRole="admin" />} />
             <Route path="/budget-management" element={<ProtectedRoute element={<BudgetManagement userRole={userRole} currentUser={user} />} requiredRole="admin" />} />
             <Route path="/financial-reports" element={<ProtectedRoute element={<FinancialReports userRole={userRole} />} requiredRole="admin" />} />
             <Route path="/attendance-reports" element={<ProtectedRoute element={<AttendanceReports userRole={userRole} />} requiredRole="admin" />} />
+            <Route path="/class-schedule" element={<ProtectedRoute element={<ClassScheduleManagement userRole={userRole} />} requiredRole="admin" />} />
+            <Route path="/holidays" element={<ProtectedRoute element={<HolidayCalendar userRole={userRole} currentUser={user} />} requiredRole="admin" />} />
+            <Route path="/checkin" element={<ProtectedRoute element={<CheckInKiosk userRole={userRole} />} requiredRole="admin" />} />
+            <Route path="/fee-settings" element={<ProtectedRoute element={<FeeScheduleSettings userRole={userRole} currentUser={user} />} requiredRole="admin" />} />
+            <Route path="/balance-reconciliation" element={<ProtectedRoute element={<BalanceReconciliation userRole={userRole} currentUser={user} />} requiredRole="admin" />} />
+            <Route path="/payment-methods" element={<ProtectedRoute element={<PaymentMethodSettings userRole={userRole} />} requiredRole="admin" />} />
+            <Route path="/payment-reconciliation" element={<ProtectedRoute element={<PaymentReconciliation userRole={userRole} currentUser={user} />} requiredRole="admin" />} />
+            <Route path="/statements" element={<ProtectedRoute element={<AccountStatement userRole={userRole} />} requiredRole="admin" />} />
+            <Route path="/waivers" element={<ProtectedRoute element={<FeeWaivers userRole={userRole} currentUser={user} />} requiredRole="admin" />} />
+            <Route path="/fee-year-close" element={<ProtectedRoute element={<FeeYearCloseOut userRole={userRole} currentUser={user} />} requiredRole="admin" />} />
             
             {/* Home route */}
             <Route path="/" element={<HomePage />} />
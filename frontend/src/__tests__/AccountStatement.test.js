@@ -0,0 +1,71 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import AccountStatement from '../components/AccountStatement';
+import { statementService } from '../services/StatementService';
+import { studentService } from '../services/StudentService';
+import { downloadStatementCsv } from '../utils/StatementUtils';
+
+jest.mock('../services/StatementService', () => ({
+  statementService: {
+    generateStatement: jest.fn()
+  }
+}));
+
+jest.mock('../services/StudentService', () => ({
+  studentService: {
+    getAllStudents: jest.fn()
+  }
+}));
+
+jest.mock('../utils/StatementUtils', () => ({
+  printStatement: jest.fn(),
+  downloadStatementCsv: jest.fn()
+}));
+
+describe('AccountStatement Component', () => {
+  const statement = {
+    student: { id: 'student1', name: 'Ana Lopez' },
+    startDate: '2025-09-01',
+    endDate: '2025-09-30',
+    openingBalance: 5,
+    lines: [
+      { date: '2025-09-02', type: 'charge', description: 'Late', amount: 1, balance: 6 },
+      { date: '2025-09-03', type: 'payment', description: 'Payment (Cash)', amount: -10, balance: -4 }
+    ],
+    totals: {},
+    closingBalance: -4
+  };
+
+  beforeEach(() => {
+    studentService.getAllStudents.mockResolvedValue([{ id: 'student1', firstName: 'Ana', lastName: 'Lopez' }]);
+    statementService.generateStatement.mockResolvedValue(statement);
+  });
+
+  test('generates a statement for the chosen student and period', async () => {
+    render(<AccountStatement userRole="admin" />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Ana Lopez')).toBeInTheDocument();
+    });
+
+    fireEvent.change(screen.getByTestId('statement-student-select'), { target: { value: 'student1' } });
+    fireEvent.change(screen.getByTestId('statement-start-date'), { target: { value: '2025-09-01' } });
+    fireEvent.change(screen.getByTestId('statement-end-date'), { target: { value: '2025-09-30' } });
+    fireEvent.click(screen.getByTestId('generate-statement-button'));
+
+    expect(await screen.findByTestId('statement-table')).toHaveTextContent('Payment (Cash)');
+    expect(statementService.generateStatement).toHaveBeenCalledWith('student1', '2025-09-01', '2025-09-30');
+    expect(screen.getByTestId('statement-opening-balance')).toHaveTextContent('$5.00');
+    expect(screen.getByTestId('statement-closing-balance')).toHaveTextContent('$4.00 credit');
+
+    fireEvent.click(screen.getByTestId('csv-statement-button'));
+    expect(downloadStatementCsv).toHaveBeenCalledWith(statement);
+  });
+
+  test('is only available to admins', () => {
+    render(<AccountStatement userRole="student" />);
+
+    expect(screen.getByText(/don't have permission/i)).toBeInTheDocument();
+    expect(studentService.getAllStudents).not.toHaveBeenCalled();
+  });
+});
@@ -38,6 +38,30 @@ jest.mock('../components/AttendanceReports', () => {
   };
 });
 
+jest.mock('../components/AccountStatement', () => {
+  return function MockAccountStatement() {
+    return <div data-testid="account-statement-component">Account Statements</div>;
+  };
+});
+
+jest.mock('../components/FeeWaivers', () => {
+  return function MockFeeWaivers() {
+    return <div data-testid="fee-waivers-component">Fee Waivers</div>;
+  };
+});
+
+jest.mock('../components/FeeYearCloseOut', () => {
+  return function MockFeeYearCloseOut() {
+    return <div data-testid="fee-year-close-component">Close Fee Year</div>;
+  };
+});
+
+jest.mock('../components/HolidayCalendar', () => {
+  return function MockHolidayCalendar() {
+    return <div data-testid="holiday-calendar-component">Holiday Calendar</div>;
+  };
+});
+
 // Mock react-router-dom
 jest.mock('react-router-dom', () => ({
   BrowserRouter: ({ children }) => <div data-testid="browser-router">{children}</div>,
@@ -53,6 +77,27 @@ jest.mock('react-router-dom', () => ({
   useLocation: () => ({ pathname: '/' })
 }));
 
+// Mock StudentNotifications so the home page does not load notices
+jest.mock('../components/StudentNotifications', () => {
+  return function MockStudentNotifications() {
+    return <div data-testid="student-notifications-component">Student Notifications</div>;
+  };
+});
+
+// Mock StudentReceipts so the home page does not load receipts
+jest.mock('../components/StudentReceipts', () => {
+  return function MockStudentReceipts() {
+    return <div data-testid="student-receipts-component">Student Receipts</div>;
+  };
+});
+
+// Mock PaymentPlanPanel so the home page does not load payment plans
+jest.mock('../components/PaymentPlanPanel', () => {
+  return function MockPaymentPlanPanel() {
+    return <div data-testid="payment-plan-panel">Payment Plan</div>;
+  };
+});
+
 // Mock PublicDashboard component to avoid rendering issues
 jest.mock('../components/PublicDashboard', () => {
   return function MockPublicDashboard() {
@@ -31,7 +31,8 @@ jest.mock('../services/AttendanceService', () => {
       bulkMarkAttendance: jest.fn(),
       updateAttendanceWithFee: jest.fn(),
       bulkUpdateAttendanceWithFee: jest.fn(),
-      calculateAttendanceFee: jest.fn()
+      calculateAttendanceFee: jest.fn(),
+      getFeeRuleHistory: jest.fn()
     }
   };
 });
@@ -127,6 +128,7 @@ describe('AttendanceDashboard', () => {
     attendanceService.bulkMarkAttendance.mockResolvedValue();
     attendanceService.updateAttendanceWithFee.mockResolvedValue();
     attendanceService.bulkUpdateAttendanceWithFee.mockResolvedValue();
+    attendanceService.getFeeRuleHistory.mockResolvedValue({});
     attendanceService.calculateAttendanceFee.mockImplementation((status, attributes) => {
       if (status === 'absent') return 5;
       if (status === 'late') return 1 + (attributes.noShoes ? 1 : 0) + (attributes.notInUniform ? 1 : 0);
@@ -223,7 +225,8 @@ describe('AttendanceDashboard', () => {
         expect.any(Date),
         'student1',
         'absent',
-        {}
+        {},
+        null
       );
     });
   });
@@ -273,7 +276,8 @@ describe('AttendanceDashboard', () => {
         expect.any(Date),
         ['student1', 'student2'],
         'present',
-        {}
+        {},
+        null
       );
     });
   });
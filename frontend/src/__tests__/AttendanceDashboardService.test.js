@@ -26,6 +26,8 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
   let mockHolidayFeeAdjustmentService;
   let mockStudentService;
   let mockPaymentService;
+  let mockHolidayAdjustmentRepository;
+  let mockFeeWaiverRepository;
 
   const testDate = new Date(2025, 4, 2); // May 2nd, 2025
 
@@ -46,6 +48,7 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
   beforeEach(() => {
     // Mock holiday service
     mockHolidayService = {
+      loadCalendar: jest.fn(),
       isHoliday: jest.fn(),
       addSpecificHoliday: jest.fn(),
       removeSpecificHoliday: jest.fn()
@@ -53,11 +56,18 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
 
     // Mock attendance service
     mockAttendanceService = {
-      getAttendanceByDate: jest.fn(),
+      getAttendanceSessionsByDate: jest.fn(),
       getEligibleStudents: jest.fn(),
       calculateAttendanceFee: jest.fn(),
+      // Fees as charged: $5 for an absence, $1 per attribute
+      getFeeRuleHistory: jest.fn().mockResolvedValue({}),
+      priceMarkingFeeChange: jest.fn((studentId, { previous }) => Promise.resolve({
+        feeDifference: previous.status === 'absent' ? -5 : -Object.keys(previous.attributes || {}).length,
+        repriced: []
+      })),
       bulkMarkAttendance: jest.fn()
     };
+    mockAttendanceService.postMarkingFeeChange = jest.fn(mockAttendanceService.priceMarkingFeeChange);
 
     // Mock holiday fee adjustment service
     mockHolidayFeeAdjustmentService = {
@@ -78,12 +88,29 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
       getAllPayments: jest.fn()
     };
 
+    // Mock store of applied holiday changes
+    mockHolidayAdjustmentRepository = {
+      getAllAdjustments: jest.fn().mockResolvedValue([]),
+      createAdjustment: jest.fn(data => Promise.resolve({ id: 'adjustment-1', ...data })),
+      updateAdjustment: jest.fn().mockResolvedValue()
+    };
+
+    mockFeeWaiverRepository = {
+      getWaiversByStudentId: jest.fn().mockResolvedValue([])
+    };
+
     attendanceDashboardService = new AttendanceDashboardService(
       mockHolidayService,
       mockAttendanceService,
       mockHolidayFeeAdjustmentService,
       mockStudentService,
-      mockPaymentService
+      mockPaymentService,
+      undefined,
+      undefined,
+      undefined,
+      mockHolidayAdjustmentRepository,
+      undefined,
+      mockFeeWaiverRepository
     );
 
     jest.clearAllMocks();
@@ -92,7 +119,7 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
   describe('analyzeHolidayChangeImpact', () => {
     test('should identify students affected by manual holiday change', async () => {
       // Setup mocks
-      mockAttendanceService.getAttendanceByDate.mockResolvedValue(mockAttendanceData);
+      mockAttendanceService.getAttendanceSessionsByDate.mockResolvedValue([{ sessionId: null, records: mockAttendanceData }]);
       mockAttendanceService.getEligibleStudents.mockResolvedValue(mockStudents);
       mockPaymentService.getPaymentsByDateRange.mockResolvedValue([]);
       mockPaymentService.getAllPayments.mockResolvedValue([]); // No payments in notes either
@@ -118,6 +145,7 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
             newFee: 0,
             adjustment: -5,
             creditAmount: 5,
+            sessionId: null,
             type: 'attendance'
           },
           {
@@ -130,6 +158,7 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
             newFee: 0,
             adjustment: -2,
             creditAmount: 2,
+            sessionId: null,
             type: 'attendance'
           }
         ],
@@ -141,13 +170,13 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
         message: 'Warning: 2 students will receive holiday credits totaling $7 (Attendance fees: $7)'
       });
 
-      expect(mockAttendanceService.getAttendanceByDate).toHaveBeenCalledWith(testDate);
+      expect(mockAttendanceService.getAttendanceSessionsByDate).toHaveBeenCalledWith(testDate);
       expect(mockAttendanceService.getEligibleStudents).toHaveBeenCalled();
       expect(mockAttendanceService.calculateAttendanceFee).toHaveBeenCalledTimes(3);
     });
 
     test('should handle date with no attendance records', async () => {
-      mockAttendanceService.getAttendanceByDate.mockResolvedValue({});
+      mockAttendanceService.getAttendanceSessionsByDate.mockResolvedValue([{ sessionId: null, records: {} }]);
       mockAttendanceService.getEligibleStudents.mockResolvedValue(mockStudents);
       mockPaymentService.getPaymentsByDateRange.mockResolvedValue([]);
       mockPaymentService.getAllPayments.mockResolvedValue([]);
@@ -169,7 +198,7 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
         'student-3': { status: 'medicalAbsence', attributes: {} }
       };
 
-      mockAttendanceService.getAttendanceByDate.mockResolvedValue(noFeeAttendanceData);
+      mockAttendanceService.getAttendanceSessionsByDate.mockResolvedValue([{ sessionId: null, records: noFeeAttendanceData }]);
       mockAttendanceService.getEligibleStudents.mockResolvedValue(mockStudents);
       mockPaymentService.getPaymentsByDateRange.mockResolvedValue([]);
       mockPaymentService.getAllPayments.mockResolvedValue([]);
@@ -190,7 +219,7 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
 
   describe('getHolidayWarning', () => {
     test('should generate detailed warning message for affected students', async () => {
-      mockAttendanceService.getAttendanceByDate.mockResolvedValue(mockAttendanceData);
+      mockAttendanceService.getAttendanceSessionsByDate.mockResolvedValue([{ sessionId: null, records: mockAttendanceData }]);
       mockAttendanceService.getEligibleStudents.mockResolvedValue(mockStudents);
       mockPaymentService.getPaymentsByDateRange.mockResolvedValue([]);
       mockPaymentService.getAllPayments.mockResolvedValue([]);
@@ -218,7 +247,7 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
     });
 
     test('should show no warning when no impact', async () => {
-      mockAttendanceService.getAttendanceByDate.mockResolvedValue({});
+      mockAttendanceService.getAttendanceSessionsByDate.mockResolvedValue([{ sessionId: null, records: {} }]);
       mockAttendanceService.getEligibleStudents.mockResolvedValue(mockStudents);
       mockPaymentService.getPaymentsByDateRange.mockResolvedValue([]);
       mockPaymentService.getAllPayments.mockResolvedValue([]);
@@ -233,7 +262,7 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
   describe('processHolidayChange', () => {
     test('should process complete holiday change with confirmations', async () => {
       // Setup mocks
-      mockAttendanceService.getAttendanceByDate.mockResolvedValue(mockAttendanceData);
+      mockAttendanceService.getAttendanceSessionsByDate.mockResolvedValue([{ sessionId: null, records: mockAttendanceData }]);
       mockAttendanceService.getEligibleStudents.mockResolvedValue(mockStudents);
       mockAttendanceService.bulkMarkAttendance.mockResolvedValue();
       mockPaymentService.getPaymentsByDateRange.mockResolvedValue([]);
@@ -282,15 +311,151 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
       expect(mockAttendanceService.bulkMarkAttendance).toHaveBeenCalledWith(
         testDate,
         ['student-1', 'student-2', 'student-3'],
-        'holiday'
+        'holiday',
+        null
       );
 
-      // Verify fee adjustments were processed
+      // Verify fee adjustments were processed with the fees as charged
       expect(mockHolidayFeeAdjustmentService.scanAndAdjustHolidayFees).toHaveBeenCalledWith([
-        { studentId: 'student-1', date: testDate, status: 'absent', attributes: {} },
-        { studentId: 'student-2', date: testDate, status: 'present', attributes: { late: true, noShoes: true } },
-        { studentId: 'student-3', date: testDate, status: 'present', attributes: {} }
+        { studentId: 'student-1', date: testDate, status: 'absent', attributes: {}, adjustmentId: 'adjustment-1', chargedFee: 5 },
+        { studentId: 'student-2', date: testDate, status: 'present', attributes: { late: true, noShoes: true }, adjustmentId: 'adjustment-1', chargedFee: 2 },
+        { studentId: 'student-3', date: testDate, status: 'present', attributes: {}, adjustmentId: 'adjustment-1', chargedFee: 0 }
+      ], expect.any(Function));
+
+      // Verify the change was stored as one reversible batch
+      expect(result.adjustmentId).toBe('adjustment-1');
+      expect(mockHolidayAdjustmentRepository.createAdjustment).toHaveBeenCalledWith({
+        date: '2025-05-02',
+        holidayName: 'Manual Holiday',
+        status: 'applying',
+        appliedBy: null
+      });
+      expect(mockHolidayAdjustmentRepository.updateAdjustment).toHaveBeenCalledWith('adjustment-1', {
+        holidayAdded: true,
+        attendance: [
+          { studentId: 'student-1', sessionId: null, status: 'absent', attributes: {} },
+          { studentId: 'student-2', sessionId: null, status: 'present', attributes: { late: true, noShoes: true } },
+          { studentId: 'student-3', sessionId: null, status: 'present', attributes: {} }
+        ]
+      });
+      expect(mockHolidayAdjustmentRepository.updateAdjustment).toHaveBeenLastCalledWith('adjustment-1', expect.objectContaining({
+        status: 'applied',
+        students: [
+          { studentId: 'student-1', name: 'John Doe', attendanceCredit: 5, paymentCredit: 0, creditsIssued: 5 },
+          { studentId: 'student-2', name: 'Jane Smith', attendanceCredit: 2, paymentCredit: 0, creditsIssued: 2 }
+        ],
+        totalCreditsIssued: 7
+      }));
+    });
+
+    test('should credit only the part of a fee that was not waived', async () => {
+      mockAttendanceService.getAttendanceSessionsByDate.mockResolvedValue([{ sessionId: null, records: mockAttendanceData }]);
+      mockAttendanceService.getEligibleStudents.mockResolvedValue(mockStudents);
+      mockPaymentService.getPaymentsByDateRange.mockResolvedValue([]);
+      mockPaymentService.getAllPayments.mockResolvedValue([]);
+      mockHolidayFeeAdjustmentService.scanAndAdjustHolidayFees.mockResolvedValue([]);
+      mockFeeWaiverRepository.getWaiversByStudentId.mockImplementation(studentId => Promise.resolve(
+        studentId === 'student-1'
+          ? [
+            { studentId: 'student-1', status: 'approved', fees: [{ feeId: '2025-05-02', amount: 2 }] },
+            { studentId: 'student-1', status: 'pending', fees: [{ feeId: '2025-05-02', amount: 3 }] }
+          ]
+          : []
+      ));
+
+      await attendanceDashboardService.processHolidayChange(testDate, 'Manual Holiday', true);
+
+      const [records] = mockHolidayFeeAdjustmentService.scanAndAdjustHolidayFees.mock.calls[0];
+      expect(records.map(record => record.chargedFee)).toEqual([3, 2, 0]);
+    });
+
+    test('should record each credit on the change as it is issued', async () => {
+      mockAttendanceService.getAttendanceSessionsByDate.mockResolvedValue([{ sessionId: null, records: mockAttendanceData }]);
+      mockAttendanceService.getEligibleStudents.mockResolvedValue(mockStudents);
+      mockHolidayFeeAdjustmentService.scanAndAdjustHolidayFees.mockImplementation(async (records, onAdjusted) => {
+        await onAdjusted({ studentId: 'student-1', balanceAdjusted: true, adjustmentCalculation: { adjustment: -5 } });
+        throw new Error('connection lost');
+      });
+
+      await expect(
+        attendanceDashboardService.processHolidayChange(testDate, 'Manual Holiday', true)
+      ).rejects.toThrow('connection lost');
+
+      // The change stays incomplete, holding the credit issued before it stopped
+      expect(mockHolidayAdjustmentRepository.updateAdjustment).toHaveBeenLastCalledWith('adjustment-1', {
+        students: [{ studentId: 'student-1', name: 'John Doe', attendanceCredit: 5, paymentCredit: 0, creditsIssued: 5 }],
+        totalCreditsIssued: 5
+      });
+      expect(mockHolidayAdjustmentRepository.updateAdjustment).not.toHaveBeenCalledWith(
+        'adjustment-1',
+        expect.objectContaining({ status: 'applied' })
+      );
+    });
+
+    test('should re-price later markings before the date becomes a holiday and record them on the change', async () => {
+      mockAttendanceService.getAttendanceSessionsByDate.mockResolvedValue([
+        { sessionId: null, records: { 'student-1': { status: 'absent', attributes: {} } } }
       ]);
+      mockAttendanceService.getEligibleStudents.mockResolvedValue(mockStudents);
+      // A monthly cap charged $3 on the date; without it the May 9 absence is charged $2 more
+      mockAttendanceService.postMarkingFeeChange.mockResolvedValue({
+        feeDifference: -3,
+        repriced: [{ markingId: '2025-05-09', feeDifference: 2 }]
+      });
+      mockHolidayFeeAdjustmentService.scanAndAdjustHolidayFees.mockResolvedValue([]);
+      mockPaymentService.getPaymentsByDateRange.mockResolvedValue([]);
+      mockPaymentService.getAllPayments.mockResolvedValue([]);
+
+      await attendanceDashboardService.processHolidayChange(testDate, 'Manual Holiday', true);
+
+      expect(mockAttendanceService.postMarkingFeeChange).toHaveBeenCalledWith(
+        'student-1',
+        { date: testDate, sessionId: null, previous: { status: 'absent', attributes: {} }, next: { status: 'holiday', attributes: {} } },
+        { student: expect.objectContaining({ id: 'student-1' }), history: {}, repriceOnly: true }
+      );
+      expect(mockAttendanceService.postMarkingFeeChange.mock.invocationCallOrder[0])
+        .toBeLessThan(mockHolidayService.addSpecificHoliday.mock.invocationCallOrder[0]);
+      expect(mockHolidayAdjustmentRepository.updateAdjustment).toHaveBeenCalledWith('adjustment-1', {
+        repriced: [{ studentId: 'student-1', markingId: '2025-05-09', feeDifference: 2 }]
+      });
+      expect(mockHolidayFeeAdjustmentService.scanAndAdjustHolidayFees).toHaveBeenCalledWith(
+        [expect.objectContaining({ studentId: 'student-1', chargedFee: 3 })],
+        expect.any(Function)
+      );
+    });
+
+    test('should issue no credits when the date is already a holiday', async () => {
+      mockHolidayService.isHoliday.mockReturnValue(true);
+      mockAttendanceService.getAttendanceSessionsByDate.mockResolvedValue([{ sessionId: null, records: mockAttendanceData }]);
+      mockAttendanceService.getEligibleStudents.mockResolvedValue(mockStudents);
+      mockAttendanceService.bulkMarkAttendance.mockResolvedValue();
+
+      const result = await attendanceDashboardService.processHolidayChange(testDate, 'Manual Holiday', true);
+
+      expect(result.holidayAdded).toBe(false);
+      expect(result.totalCreditsIssued).toBe(0);
+      expect(mockHolidayFeeAdjustmentService.scanAndAdjustHolidayFees).not.toHaveBeenCalled();
+      expect(mockPaymentService.getPaymentsByDateRange).not.toHaveBeenCalled();
+      expect(mockHolidayService.addSpecificHoliday).not.toHaveBeenCalled();
+      expect(mockAttendanceService.bulkMarkAttendance).toHaveBeenCalledWith(
+        testDate,
+        ['student-1', 'student-2', 'student-3'],
+        'holiday',
+        null
+      );
+    });
+
+    test('should reject a second change while one is applied on the date', async () => {
+      mockHolidayAdjustmentRepository.getAllAdjustments.mockResolvedValue([
+        { id: 'earlier', date: '2025-05-02', status: 'applied' }
+      ]);
+
+      await expect(
+        attendanceDashboardService.processHolidayChange(testDate, 'Manual Holiday', true)
+      ).rejects.toThrow('is already applied; roll it back first');
+
+      expect(mockHolidayAdjustmentRepository.createAdjustment).not.toHaveBeenCalled();
+      expect(mockHolidayService.addSpecificHoliday).not.toHaveBeenCalled();
     });
 
     test('should reject unconfirmed holiday changes', async () => {
@@ -302,7 +467,7 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
     });
 
     test('should handle empty attendance data gracefully', async () => {
-      mockAttendanceService.getAttendanceByDate.mockResolvedValue({});
+      mockAttendanceService.getAttendanceSessionsByDate.mockResolvedValue([{ sessionId: null, records: {} }]);
       mockAttendanceService.getEligibleStudents.mockResolvedValue(mockStudents);
       mockPaymentService.getPaymentsByDateRange.mockResolvedValue([]);
       mockPaymentService.getAllPayments.mockResolvedValue([]);
@@ -332,7 +497,7 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
   describe('Integration workflow', () => {
     test('should demonstrate complete workflow: analyze -> warn -> confirm -> process', async () => {
       // Step 1: Analyze impact
-      mockAttendanceService.getAttendanceByDate.mockResolvedValue(mockAttendanceData);
+      mockAttendanceService.getAttendanceSessionsByDate.mockResolvedValue([{ sessionId: null, records: mockAttendanceData }]);
       mockAttendanceService.getEligibleStudents.mockResolvedValue(mockStudents);
       mockPaymentService.getPaymentsByDateRange.mockResolvedValue([]);
       mockPaymentService.getAllPayments.mockResolvedValue([]);
@@ -405,7 +570,7 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
     test('should analyze holiday payment impact correctly', async () => {
       mockPaymentService.getPaymentsByDateRange.mockResolvedValue(mockPaymentsOnHoliday);
       mockPaymentService.getAllPayments.mockResolvedValue([]);
-      mockAttendanceService.getAttendanceByDate.mockResolvedValue({});
+      mockAttendanceService.getAttendanceSessionsByDate.mockResolvedValue([{ sessionId: null, records: {} }]);
       mockAttendanceService.getEligibleStudents.mockResolvedValue([]);
 
       const impact = await attendanceDashboardService.analyzeHolidayChangeImpact(testDate);
@@ -459,15 +624,16 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
 
       // Verify balances were reduced (credits applied)
       expect(mockStudentService.reduceBalance).toHaveBeenCalledTimes(2);
-      expect(mockStudentService.reduceBalance).toHaveBeenNthCalledWith(1, 'student-1', 1);
-      expect(mockStudentService.reduceBalance).toHaveBeenNthCalledWith(2, 'student-2', 3);
+      expect(mockStudentService.reduceBalance).toHaveBeenNthCalledWith(1, 'student-1', 1, expect.objectContaining({ type: 'holidayCredit' }));
+      expect(mockStudentService.reduceBalance).toHaveBeenNthCalledWith(2, 'student-2', 3, expect.objectContaining({ type: 'holidayCredit' }));
     });
 
     test('should generate comprehensive warning with both attendance and payment impacts', async () => {
       // Mock both attendance and payment data
-      mockAttendanceService.getAttendanceByDate.mockResolvedValue({
-        'student-3': { status: 'absent', attributes: {} }
-      });
+      mockAttendanceService.getAttendanceSessionsByDate.mockResolvedValue([{
+        sessionId: null,
+        records: { 'student-3': { status: 'absent', attributes: {} } }
+      }]);
       mockAttendanceService.getEligibleStudents.mockResolvedValue([
         { id: 'student-3', firstName: 'John', lastName: 'Doe' }
       ]);
@@ -492,9 +658,10 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
 
     test('should handle complete holiday change workflow with payments', async () => {
       // Setup comprehensive scenario
-      mockAttendanceService.getAttendanceByDate.mockResolvedValue({
-        'student-3': { status: 'absent', attributes: {} }
-      });
+      mockAttendanceService.getAttendanceSessionsByDate.mockResolvedValue([{
+        sessionId: null,
+        records: { 'student-3': { status: 'absent', attributes: {} } }
+      }]);
       mockAttendanceService.getEligibleStudents.mockResolvedValue([
         { id: 'student-3', firstName: 'John', lastName: 'Doe' }
       ]);
@@ -544,4 +711,548 @@ describe('AttendanceDashboardService - Manual Holiday Change', () => {
       expect(paymentImpact.totalPaymentAdjustment).toBe(0);
     });
   });
-});
\ No newline at end of file
+});
+describe('AttendanceDashboardService - Class Cancellation', () => {
+  let attendanceDashboardService;
+  let mockAttendanceService;
+  let mockStudentService;
+  let mockPaymentService;
+  let mockClassCancellationService;
+  let mockClassScheduleService;
+  let mockNotificationService;
+  let mockLedgerService;
+  let mockFeeWaiverRepository;
+
+  const testDate = new Date(2025, 4, 7); // Wednesday, May 7th, 2025
+
+  const mockStudents = [
+    { id: 'student-1', firstName: 'John', lastName: 'Doe' },
+    { id: 'student-2', firstName: 'Jane', lastName: 'Smith' }
+  ];
+
+  const cancellation = {
+    id: 'cancellation-1',
+    date: '2025-05-07',
+    sessionId: null,
+    className: null,
+    reason: 'weather',
+    note: 'Snow day'
+  };
+
+  beforeEach(() => {
+    mockAttendanceService = {
+      getAttendanceSessionsByDate: jest.fn().mockResolvedValue([
+        { sessionId: '2025-05-07_wed', records: { 'student-1': { status: 'absent', attributes: {} } } }
+      ]),
+      getEligibleStudents: jest.fn().mockResolvedValue(mockStudents),
+      getLedgerDetails: jest.fn((date, sessionId, description) => ({ sourceType: 'attendance', sourceId: sessionId, date, description })),
+      getFeeRuleHistory: jest.fn().mockResolvedValue({}),
+      postMarkingFeeChange: jest.fn().mockResolvedValue({ feeDifference: -5, repriced: [] }),
+      markAttendance: jest.fn().mockResolvedValue(),
+      bulkMarkAttendance: jest.fn().mockResolvedValue()
+    };
+    // What the ledger holds for each marking
+    mockLedgerService = {
+      getSourceBalance: jest.fn((studentId, sourceType, sourceId) =>
+        Promise.resolve(studentId === 'student-1' && sourceId === '2025-05-07_wed' ? 5 : 0)
+      ),
+      getSourceEntries: jest.fn().mockResolvedValue([]),
+      roundAmount: amount => Math.round(amount * 100) / 100
+    };
+    mockFeeWaiverRepository = {
+      getWaiversByStudentId: jest.fn().mockResolvedValue([])
+    };
+    mockStudentService = {
+      reduceBalance: jest.fn().mockResolvedValue()
+    };
+    mockPaymentService = {
+      getPaymentsByDateRange: jest.fn().mockResolvedValue([]),
+      getAllPayments: jest.fn().mockResolvedValue([])
+    };
+    mockClassCancellationService = {
+      loadCancellations: jest.fn().mockResolvedValue([]),
+      getCancellationsOnDate: jest.fn().mockReturnValue([]),
+      prepareCancellation: jest.fn(({ reason, note }) => Promise.resolve({ date: '2025-05-07', reason, note })),
+      addCancellation: jest.fn().mockResolvedValue(cancellation),
+      getReasonLabel: jest.fn().mockReturnValue('Weather')
+    };
+    mockClassScheduleService = {
+      loadSchedule: jest.fn().mockResolvedValue(),
+      getSessionsForDate: jest.fn().mockReturnValue([{ sessionId: '2025-05-07_wed' }])
+    };
+    mockNotificationService = {
+      notifyStudents: jest.fn((studentIds) => Promise.resolve(studentIds.map(studentId => ({ studentId }))))
+    };
+
+    attendanceDashboardService = new AttendanceDashboardService(
+      {},
+      mockAttendanceService,
+      {},
+      mockStudentService,
+      mockPaymentService,
+      mockClassCancellationService,
+      mockClassScheduleService,
+      mockNotificationService,
+      undefined,
+      mockLedgerService,
+      mockFeeWaiverRepository
+    );
+  });
+
+  test('should reverse fees, mark the class cancelled and notify students', async () => {
+    const result = await attendanceDashboardService.processClassCancellation(
+      testDate,
+      { reason: 'weather', note: 'Snow day', createdBy: 'admin-1' },
+      true
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.totalFeeReversals).toBe(5);
+    expect(result.totalCreditsIssued).toBe(5);
+    expect(result.attendanceUpdated).toBe(2);
+    expect(result.notifiedStudents).toBe(2);
+
+    expect(mockClassCancellationService.addCancellation).toHaveBeenCalledWith({
+      date: testDate,
+      sessionId: null,
+      className: null,
+      reason: 'weather',
+      note: 'Snow day',
+      createdBy: 'admin-1'
+    });
+    expect(mockStudentService.reduceBalance).toHaveBeenCalledWith('student-1', 5, {
+      type: 'cancellationCredit',
+      sourceType: 'attendance',
+      sourceId: '2025-05-07_wed',
+      date: testDate,
+      description: 'Fee reversed - class cancelled (Weather)'
+    });
+    expect(mockAttendanceService.markAttendance).toHaveBeenCalledWith(testDate, 'student-1', 'cancelled', '2025-05-07_wed');
+    expect(mockAttendanceService.bulkMarkAttendance).toHaveBeenCalledWith(
+      testDate,
+      ['student-1', 'student-2'],
+      'cancelled',
+      '2025-05-07_wed'
+    );
+    expect(mockNotificationService.notifyStudents).toHaveBeenCalledWith(
+      ['student-1', 'student-2'],
+      expect.objectContaining({
+        type: 'classCancelled',
+        cancellationId: 'cancellation-1',
+        message: expect.stringContaining('Snow day')
+      })
+    );
+  });
+
+  test('should credit payments made for the cancelled date', async () => {
+    mockPaymentService.getPaymentsByDateRange.mockResolvedValue([
+      { id: 'payment-1', studentId: 'student-2', studentName: 'Jane Smith', amount: 3 }
+    ]);
+
+    const result = await attendanceDashboardService.processClassCancellation(testDate, { reason: 'weather' }, true);
+
+    expect(result.totalPaymentCredits).toBe(3);
+    expect(result.totalCreditsIssued).toBe(8);
+    expect(mockStudentService.reduceBalance).toHaveBeenCalledWith('student-2', 3, expect.objectContaining({
+      type: 'cancellationCredit',
+      sourceType: 'payment',
+      sourceId: 'payment-1'
+    }));
+  });
+
+  test('should reverse the fee posted for the marking rather than the scheduled fee', async () => {
+    // A monthly cap left only $2 of the $5 absence fee on the ledger
+    mockLedgerService.getSourceBalance.mockResolvedValue(0);
+    mockLedgerService.getSourceBalance.mockResolvedValueOnce(2);
+
+    const result = await attendanceDashboardService.processClassCancellation(testDate, { reason: 'weather' }, true);
+
+    expect(mockLedgerService.getSourceBalance).toHaveBeenCalledWith('student-1', 'attendance', '2025-05-07_wed');
+    expect(mockStudentService.reduceBalance).toHaveBeenCalledWith('student-1', 2, expect.objectContaining({
+      sourceType: 'attendance',
+      sourceId: '2025-05-07_wed'
+    }));
+    expect(result.totalFeeReversals).toBe(2);
+  });
+
+  test('should not reverse the part of a fee that was waived', async () => {
+    mockFeeWaiverRepository.getWaiversByStudentId.mockImplementation(studentId => Promise.resolve(
+      studentId === 'student-1'
+        ? [{ studentId: 'student-1', status: 'approved', fees: [{ feeId: '2025-05-07_wed', amount: 2 }] }]
+        : []
+    ));
+
+    const result = await attendanceDashboardService.processClassCancellation(testDate, { reason: 'weather' }, true);
+
+    expect(mockStudentService.reduceBalance).toHaveBeenCalledTimes(1);
+    expect(mockStudentService.reduceBalance).toHaveBeenCalledWith('student-1', 3, expect.objectContaining({
+      sourceId: '2025-05-07_wed'
+    }));
+    expect(result.totalFeeReversals).toBe(3);
+  });
+
+  test('should save the cancellation last and finish one that stopped part way when confirmed again', async () => {
+    // In-memory ledger and attendance, so the second attempt sees what the first one posted
+    const posted = { '2025-05-07_wed': 5 };
+    const records = { 'student-1': { status: 'absent', attributes: {} } };
+    mockLedgerService.getSourceBalance.mockImplementation((studentId, sourceType, sourceId) =>
+      Promise.resolve(studentId === 'student-1' ? posted[sourceId] || 0 : 0));
+    mockStudentService.reduceBalance.mockImplementation((studentId, amount, { sourceId }) => {
+      posted[sourceId] -= amount;
+      return Promise.resolve();
+    });
+    mockAttendanceService.getAttendanceSessionsByDate.mockImplementation(() => Promise.resolve([
+      { sessionId: '2025-05-07_wed', records: { ...records } }
+    ]));
+    mockAttendanceService.markAttendance.mockImplementation((date, studentId, status) => {
+      records[studentId] = { status, attributes: {} };
+      return Promise.resolve();
+    });
+    mockAttendanceService.bulkMarkAttendance.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(
+      attendanceDashboardService.processClassCancellation(testDate, { reason: 'weather' }, true)
+    ).rejects.toThrow('connection lost');
+    expect(mockClassCancellationService.addCancellation).not.toHaveBeenCalled();
+    expect(mockStudentService.reduceBalance).toHaveBeenCalledTimes(1);
+
+    const result = await attendanceDashboardService.processClassCancellation(testDate, { reason: 'weather' }, true);
+
+    // Nothing is re-priced or reversed twice
+    expect(mockAttendanceService.postMarkingFeeChange).toHaveBeenCalledTimes(1);
+    expect(mockStudentService.reduceBalance).toHaveBeenCalledTimes(1);
+    expect(result.totalFeeReversals).toBe(0);
+    expect(mockClassCancellationService.addCancellation).toHaveBeenCalledTimes(1);
+    expect(mockClassCancellationService.addCancellation.mock.invocationCallOrder[0])
+      .toBeGreaterThan(mockAttendanceService.bulkMarkAttendance.mock.invocationCallOrder[1]);
+  });
+
+  test('should not credit a payment again when the cancellation is confirmed again', async () => {
+    mockPaymentService.getPaymentsByDateRange.mockResolvedValue([
+      { id: 'payment-1', studentId: 'student-2', studentName: 'Jane Smith', amount: 3 }
+    ]);
+    mockLedgerService.getSourceEntries.mockResolvedValue([{ type: 'cancellationCredit', amount: 3 }]);
+
+    const result = await attendanceDashboardService.processClassCancellation(testDate, { reason: 'weather' }, true);
+
+    expect(mockLedgerService.getSourceEntries).toHaveBeenCalledWith('student-2', 'payment', 'payment-1');
+    expect(result.totalPaymentCredits).toBe(0);
+    expect(mockStudentService.reduceBalance).not.toHaveBeenCalledWith('student-2', 3, expect.anything());
+  });
+
+  test('should not credit payments when only one class on the date is cancelled', async () => {
+    mockPaymentService.getPaymentsByDateRange.mockResolvedValue([
+      { id: 'payment-1', studentId: 'student-2', studentName: 'Jane Smith', amount: 3 }
+    ]);
+
+    const result = await attendanceDashboardService.processClassCancellation(
+      testDate,
+      { sessionId: '2025-05-07_wed', className: '18:00 · Beginner', reason: 'weather' },
+      true
+    );
+
+    expect(result.totalPaymentCredits).toBe(0);
+    expect(mockPaymentService.getPaymentsByDateRange).not.toHaveBeenCalled();
+  });
+
+  test('should keep the cancellation when notifying students fails', async () => {
+    mockNotificationService.notifyStudents.mockRejectedValue(new Error('offline'));
+
+    const result = await attendanceDashboardService.processClassCancellation(testDate, { reason: 'weather' }, true);
+
+    expect(result.success).toBe(true);
+    expect(result.notifiedStudents).toBe(0);
+  });
+
+  test('should reject unconfirmed cancellations', async () => {
+    await expect(
+      attendanceDashboardService.processClassCancellation(testDate, { reason: 'weather' }, false)
+    ).rejects.toThrow('Class cancellation must be explicitly confirmed');
+
+    expect(mockClassCancellationService.addCancellation).not.toHaveBeenCalled();
+  });
+});
+
+describe('AttendanceDashboardService - Holiday Change Dry Run and Rollback', () => {
+  let attendanceDashboardService;
+  let mockHolidayService;
+  let mockAttendanceService;
+  let mockStudentService;
+  let mockPaymentService;
+  let mockHolidayAdjustmentRepository;
+  let mockFeeWaiverRepository;
+
+  const testDate = new Date(2025, 4, 2); // May 2nd, 2025
+
+  const appliedChange = {
+    id: 'adjustment-1',
+    date: '2025-05-02',
+    holidayName: 'Manual Holiday',
+    status: 'applied',
+    holidayAdded: true,
+    students: [
+      { studentId: 'student-1', name: 'John Doe', attendanceCredit: 5, paymentCredit: 0, creditsIssued: 5 },
+      { studentId: 'student-2', name: 'Jane Smith', attendanceCredit: 0, paymentCredit: 20, creditsIssued: 20 }
+    ],
+    attendance: [
+      { studentId: 'student-1', sessionId: '2025-05-02_fri', status: 'absent', attributes: {} }
+    ]
+  };
+
+  beforeEach(() => {
+    mockHolidayService = {
+      isHoliday: jest.fn().mockReturnValue(false),
+      removeSpecificHoliday: jest.fn().mockResolvedValue()
+    };
+    mockAttendanceService = {
+      getAttendanceSessionsByDate: jest.fn().mockResolvedValue([
+        {
+          sessionId: '2025-05-02_fri',
+          records: {
+            'student-1': { status: 'absent', attributes: {} },
+            'student-2': { status: 'present', attributes: {} }
+          }
+        }
+      ]),
+      getEligibleStudents: jest.fn().mockResolvedValue([
+        { id: 'student-1', firstName: 'John', lastName: 'Doe' },
+        { id: 'student-2', firstName: 'Jane', lastName: 'Smith' }
+      ]),
+      getFeeRuleHistory: jest.fn().mockResolvedValue({}),
+      priceMarkingFeeChange: jest.fn((studentId, { previous }) => Promise.resolve({
+        feeDifference: previous.status === 'absent' ? -5 : 0,
+        repriced: []
+      })),
+      markAttendanceWithAttributes: jest.fn().mockResolvedValue(),
+      postFeeDifference: jest.fn().mockResolvedValue(),
+      getLedgerDetails: jest.fn((date, sessionId, description) => ({ sourceType: 'attendance', sourceId: sessionId, date, description }))
+    };
+    mockStudentService = {
+      getStudentById: jest.fn(studentId => Promise.resolve({ id: studentId, balance: studentId === 'student-1' ? 10 : 0 })),
+      getHolidayCredits: jest.fn().mockResolvedValue([]),
+      addBalance: jest.fn().mockResolvedValue(),
+      removeHolidayCredits: jest.fn().mockResolvedValue()
+    };
+    mockPaymentService = {
+      getPaymentsByDateRange: jest.fn().mockResolvedValue([
+        { id: 'payment-1', studentId: 'student-2', studentName: 'Jane Smith', amount: 20, paymentMethod: 'cash' }
+      ]),
+      getAllPayments: jest.fn().mockResolvedValue([])
+    };
+    mockHolidayAdjustmentRepository = {
+      getAdjustment: jest.fn().mockResolvedValue(appliedChange),
+      updateAdjustment: jest.fn().mockResolvedValue()
+    };
+    mockFeeWaiverRepository = {
+      getWaiversByStudentId: jest.fn().mockResolvedValue([])
+    };
+
+    attendanceDashboardService = new AttendanceDashboardService(
+      mockHolidayService,
+      mockAttendanceService,
+      {},
+      mockStudentService,
+      mockPaymentService,
+      undefined,
+      undefined,
+      undefined,
+      mockHolidayAdjustmentRepository,
+      undefined,
+      mockFeeWaiverRepository
+    );
+  });
+
+  test('should preview fees, credits and balance changes per student without changing anything', async () => {
+    const preview = await attendanceDashboardService.previewHolidayChange(testDate, 'Manual Holiday');
+
+    expect(preview.date).toBe('2025-05-02');
+    expect(preview.alreadyHoliday).toBe(false);
+    expect(preview.students).toEqual([
+      expect.objectContaining({
+        studentId: 'student-2',
+        name: 'Jane Smith',
+        oldFee: 0,
+        newFee: 0,
+        attendanceCredit: 0,
+        paymentCredit: 20,
+        creditsToIssue: 20,
+        balanceDelta: -20,
+        currentBalance: 0,
+        newBalance: -20
+      }),
+      expect.objectContaining({
+        studentId: 'student-1',
+        name: 'John Doe',
+        oldFee: 5,
+        newFee: 0,
+        attendanceCredit: 5,
+        paymentCredit: 0,
+        creditsToIssue: 5,
+        balanceDelta: -5,
+        currentBalance: 10,
+        newBalance: 5
+      })
+    ]);
+    expect(preview.totals).toEqual({
+      oldFees: 5,
+      newFees: 0,
+      attendanceCredits: 5,
+      paymentCredits: 20,
+      repricedFees: 0,
+      creditsToIssue: 25,
+      balanceDelta: -25
+    });
+
+    expect(mockStudentService.addBalance).not.toHaveBeenCalled();
+    expect(mockHolidayAdjustmentRepository.updateAdjustment).not.toHaveBeenCalled();
+  });
+
+  test('should price the old fee as it was charged, with the fee rules', async () => {
+    const history = { 'student-1': [{ id: '2025-05-01_thu', date: new Date(2025, 4, 1), status: 'absent', attributes: {} }] };
+    mockAttendanceService.getFeeRuleHistory.mockResolvedValue(history);
+    // A monthly cap left $3 of the $5 absence fee charged
+    mockAttendanceService.priceMarkingFeeChange.mockImplementation((studentId, { previous }) => Promise.resolve({
+      feeDifference: previous.status === 'absent' ? -3 : 0,
+      repriced: []
+    }));
+
+    const preview = await attendanceDashboardService.previewHolidayChange(testDate, 'Manual Holiday');
+    const john = preview.students.find(row => row.studentId === 'student-1');
+
+    expect(mockAttendanceService.priceMarkingFeeChange).toHaveBeenCalledWith(
+      'student-1',
+      { date: testDate, sessionId: '2025-05-02_fri', previous: { status: 'absent', attributes: {} }, next: { status: 'holiday', attributes: {} } },
+      { student: expect.objectContaining({ id: 'student-1' }), history }
+    );
+    expect(john.oldFee).toBe(3);
+    expect(john.attendanceCredit).toBe(3);
+  });
+
+  test('should not credit the part of a fee that was waived', async () => {
+    mockFeeWaiverRepository.getWaiversByStudentId.mockImplementation(studentId => Promise.resolve(
+      studentId === 'student-1'
+        ? [{ studentId: 'student-1', status: 'approved', fees: [{ feeId: '2025-05-02_fri', amount: 2 }] }]
+        : []
+    ));
+
+    const preview = await attendanceDashboardService.previewHolidayChange(testDate, 'Manual Holiday');
+    const john = preview.students.find(row => row.studentId === 'student-1');
+
+    expect(john.oldFee).toBe(3);
+    expect(john.attendanceCredit).toBe(3);
+    expect(john.balanceDelta).toBe(-3);
+    expect(preview.totals.attendanceCredits).toBe(3);
+  });
+
+  test('should preview no fees or credits when the date is already a holiday', async () => {
+    mockHolidayService.isHoliday.mockReturnValue(true);
+
+    const preview = await attendanceDashboardService.previewHolidayChange(testDate, 'Manual Holiday');
+
+    expect(preview.alreadyHoliday).toBe(true);
+    expect(preview.totals).toEqual({
+      oldFees: 0,
+      newFees: 0,
+      attendanceCredits: 0,
+      paymentCredits: 0,
+      repricedFees: 0,
+      creditsToIssue: 0,
+      balanceDelta: 0
+    });
+    expect(mockAttendanceService.priceMarkingFeeChange).not.toHaveBeenCalled();
+    expect(mockPaymentService.getPaymentsByDateRange).not.toHaveBeenCalled();
+  });
+
+  test('should leave out payments already credited for the holiday', async () => {
+    mockStudentService.getHolidayCredits.mockResolvedValue([
+      { paymentId: 'payment-1', date: testDate, amount: 20 }
+    ]);
+    mockStudentService.getStudentById.mockResolvedValue({ balance: -20 });
+
+    const preview = await attendanceDashboardService.previewHolidayChange(testDate, 'Manual Holiday');
+    const jane = preview.students.find(row => row.studentId === 'student-2');
+
+    expect(jane.creditsToIssue).toBe(0);
+    expect(jane.payments).toEqual([
+      { paymentId: 'payment-1', amount: 20, creditAmount: 0, skipped: true, reason: 'Already processed and balance not reset' }
+    ]);
+  });
+
+  test('should roll back a holiday change in one step', async () => {
+    const result = await attendanceDashboardService.rollbackHolidayChange('adjustment-1', { rolledBackBy: 'admin-1' });
+
+    expect(result.success).toBe(true);
+    expect(result.totalReversed).toBe(25);
+    expect(result.attendanceRestored).toBe(1);
+    expect(result.holidayRemoved).toBe(true);
+
+    expect(mockStudentService.addBalance).toHaveBeenCalledWith('student-1', 5, {
+      type: 'holidayCredit',
+      sourceType: 'holidayAdjustment',
+      sourceId: 'adjustment-1',
+      date: new Date(2025, 4, 2),
+      description: 'Holiday change rolled back (Manual Holiday)',
+      createdBy: 'admin-1'
+    });
+    expect(mockStudentService.addBalance).toHaveBeenCalledWith('student-2', 20, expect.objectContaining({ sourceId: 'adjustment-1' }));
+    expect(mockStudentService.removeHolidayCredits).toHaveBeenCalledWith('student-1', 'adjustment-1');
+    expect(mockAttendanceService.markAttendanceWithAttributes).toHaveBeenCalledWith(
+      new Date(2025, 4, 2), 'student-1', 'absent', {}, '2025-05-02_fri'
+    );
+    expect(mockHolidayService.removeSpecificHoliday).toHaveBeenCalledWith(2025, 4, 2);
+    expect(mockHolidayAdjustmentRepository.updateAdjustment).toHaveBeenCalledWith('adjustment-1', expect.objectContaining({
+      status: 'rolledBack',
+      rolledBackBy: 'admin-1'
+    }));
+  });
+
+  test('should put back the later fees the change re-priced', async () => {
+    mockHolidayAdjustmentRepository.getAdjustment.mockResolvedValue({
+      ...appliedChange,
+      repriced: [{ studentId: 'student-1', markingId: '2025-05-09_fri', feeDifference: 2 }]
+    });
+
+    await attendanceDashboardService.rollbackHolidayChange('adjustment-1');
+
+    expect(mockAttendanceService.postFeeDifference).toHaveBeenCalledWith('student-1', -2, {
+      sourceType: 'attendance',
+      sourceId: '2025-05-09_fri',
+      date: new Date(2025, 4, 9),
+      description: 'Fee rules re-applied after the 2025-05-02 holiday change was rolled back'
+    });
+  });
+
+  test('should roll back a change that stopped part way from the credits it recorded', async () => {
+    mockHolidayAdjustmentRepository.getAdjustment.mockResolvedValue({
+      ...appliedChange,
+      status: 'applying',
+      students: [appliedChange.students[0]]
+    });
+
+    const result = await attendanceDashboardService.rollbackHolidayChange('adjustment-1');
+
+    expect(result.totalReversed).toBe(5);
+    expect(mockStudentService.addBalance).toHaveBeenCalledTimes(1);
+    expect(mockStudentService.addBalance).toHaveBeenCalledWith('student-1', 5, expect.objectContaining({ sourceId: 'adjustment-1' }));
+    expect(mockHolidayService.removeSpecificHoliday).toHaveBeenCalledWith(2025, 4, 2);
+  });
+
+  test('should not roll back a change twice', async () => {
+    mockHolidayAdjustmentRepository.getAdjustment.mockResolvedValue({ ...appliedChange, status: 'rolledBack' });
+
+    await expect(attendanceDashboardService.rollbackHolidayChange('adjustment-1'))
+      .rejects.toThrow('This holiday change has already been rolled back');
+    expect(mockStudentService.addBalance).not.toHaveBeenCalled();
+  });
+
+  test('should not roll back once its holiday credits have been used', async () => {
+    mockStudentService.getHolidayCredits.mockImplementation(studentId => Promise.resolve(
+      studentId === 'student-2' ? [{ adjustmentId: 'adjustment-1', amount: 20, usedAmount: 10 }] : []
+    ));
+
+    await expect(attendanceDashboardService.rollbackHolidayChange('adjustment-1'))
+      .rejects.toThrow('Holiday credits from this change have already been used by Jane Smith');
+    expect(mockStudentService.addBalance).not.toHaveBeenCalled();
+    expect(mockHolidayService.removeSpecificHoliday).not.toHaveBeenCalled();
+  });
+});
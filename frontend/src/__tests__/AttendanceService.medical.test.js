@@ -23,7 +23,9 @@ describe('AttendanceService - Medical Absence Fee Correction', () => {
     };
     
     mockStudentRepository = {
-      getStudentsByStatus: jest.fn()
+      getStudentsByStatus: jest.fn(),
+      getAllStudents: jest.fn().mockResolvedValue([]),
+      getStudentById: jest.fn().mockResolvedValue(null)
     };
     
     mockStudentService = {
@@ -110,7 +112,7 @@ describe('AttendanceService - Medical Absence Fee Correction', () => {
       await attendanceService.updateAttendanceWithFeeAdjustment(mockDate, studentId, status, attributes);
       
       // Verify
-      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId);
+      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId, null);
     });
 
     it('should not adjust balance when creating a new attendance record', async () => {
@@ -125,10 +127,11 @@ describe('AttendanceService - Medical Absence Fee Correction', () => {
       
       // Verify
       expect(mockAttendanceRepository.updateAttendanceWithAttributes).toHaveBeenCalledWith(
-        mockDate, studentId, status, attributes
+        mockDate, studentId, status, attributes,
+        null
       );
       expect(mockStudentService.reduceBalance).not.toHaveBeenCalled();
-      expect(mockStudentService.addBalance).toHaveBeenCalledWith(studentId, 5);
+      expect(mockStudentService.addBalance).toHaveBeenCalledWith(studentId, 5, expect.objectContaining({ sourceType: 'attendance' }));
     });
 
     it('should adjust balance when changing from absent to medical absence', async () => {
@@ -148,9 +151,10 @@ describe('AttendanceService - Medical Absence Fee Correction', () => {
       
       // Verify
       expect(mockAttendanceRepository.updateAttendanceWithAttributes).toHaveBeenCalledWith(
-        mockDate, studentId, newStatus, attributes
+        mockDate, studentId, newStatus, attributes,
+        null
       );
-      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith(studentId, 5);
+      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith(studentId, 5, expect.objectContaining({ sourceType: 'attendance' }));
       expect(mockStudentService.addBalance).not.toHaveBeenCalled();
     });
 
@@ -171,10 +175,11 @@ describe('AttendanceService - Medical Absence Fee Correction', () => {
       
       // Verify
       expect(mockAttendanceRepository.updateAttendanceWithAttributes).toHaveBeenCalledWith(
-        mockDate, studentId, newStatus, attributes
+        mockDate, studentId, newStatus, attributes,
+        null
       );
       expect(mockStudentService.reduceBalance).not.toHaveBeenCalled();
-      expect(mockStudentService.addBalance).toHaveBeenCalledWith(studentId, 5);
+      expect(mockStudentService.addBalance).toHaveBeenCalledWith(studentId, 5, expect.objectContaining({ sourceType: 'attendance' }));
     });
 
     it('should adjust balance when changing from present with fees to medical absence', async () => {
@@ -195,9 +200,10 @@ describe('AttendanceService - Medical Absence Fee Correction', () => {
       
       // Verify
       expect(mockAttendanceRepository.updateAttendanceWithAttributes).toHaveBeenCalledWith(
-        mockDate, studentId, newStatus, newAttributes
+        mockDate, studentId, newStatus, newAttributes,
+        null
       );
-      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith(studentId, 2);
+      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith(studentId, 2, expect.objectContaining({ sourceType: 'attendance' }));
       expect(mockStudentService.addBalance).not.toHaveBeenCalled();
     });
 
@@ -219,11 +225,12 @@ describe('AttendanceService - Medical Absence Fee Correction', () => {
       
       // Verify
       expect(mockAttendanceRepository.updateAttendanceWithAttributes).toHaveBeenCalledWith(
-        mockDate, studentId, newStatus, newAttributes
+        mockDate, studentId, newStatus, newAttributes,
+        null
       );
       // Only add the difference of $1
       expect(mockStudentService.reduceBalance).not.toHaveBeenCalled();
-      expect(mockStudentService.addBalance).toHaveBeenCalledWith(studentId, 1);
+      expect(mockStudentService.addBalance).toHaveBeenCalledWith(studentId, 1, expect.objectContaining({ sourceType: 'attendance' }));
     });
 
     it('should not adjust balance when fees remain the same', async () => {
@@ -243,7 +250,8 @@ describe('AttendanceService - Medical Absence Fee Correction', () => {
       
       // Verify
       expect(mockAttendanceRepository.updateAttendanceWithAttributes).toHaveBeenCalledWith(
-        mockDate, studentId, newStatus, attributes
+        mockDate, studentId, newStatus, attributes,
+        null
       );
       expect(mockStudentService.reduceBalance).not.toHaveBeenCalled();
       expect(mockStudentService.addBalance).not.toHaveBeenCalled();
@@ -272,14 +280,15 @@ describe('AttendanceService - Medical Absence Fee Correction', () => {
       // Verify
       expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledTimes(2);
       expect(mockAttendanceRepository.bulkUpdateAttendanceWithAttributes).toHaveBeenCalledWith(
-        mockDate, studentIds, newStatus, attributes
+        mockDate, studentIds, newStatus, attributes,
+        null
       );
       
       // Should reduce $5 for student1 (absent -> medical = remove $5)
-      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith('student1', 5);
+      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith('student1', 5, expect.objectContaining({ sourceType: 'attendance' }));
       
       // Should reduce $1 for student2 (present with late -> medical = remove $1)
-      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith('student2', 1);
+      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith('student2', 1, expect.objectContaining({ sourceType: 'attendance' }));
       
       // No new fees should be added since medicalAbsence has no fee
       expect(mockStudentService.addBalance).not.toHaveBeenCalled();
@@ -305,11 +314,12 @@ describe('AttendanceService - Medical Absence Fee Correction', () => {
       await attendanceService.updateAttendanceWithFeeAdjustment(date, studentId, newStatus, attributes);
       
       // Verify - the $5 fee should be removed when changing from absent to medicalAbsence
-      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(date, studentId);
+      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(date, studentId, null);
       expect(mockAttendanceRepository.updateAttendanceWithAttributes).toHaveBeenCalledWith(
-        date, studentId, newStatus, attributes
+        date, studentId, newStatus, attributes,
+        null
       );
-      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith(studentId, 5);
+      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith(studentId, 5, expect.objectContaining({ sourceType: 'attendance' }));
       expect(mockStudentService.addBalance).not.toHaveBeenCalled();
     });
     
@@ -331,11 +341,12 @@ describe('AttendanceService - Medical Absence Fee Correction', () => {
       await attendanceService.updateAttendanceWithFeeAdjustment(date, studentId, newStatus, attributes);
       
       // Verify - the $5 fee should be removed when changing from absent to holiday
-      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(date, studentId);
+      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(date, studentId, null);
       expect(mockAttendanceRepository.updateAttendanceWithAttributes).toHaveBeenCalledWith(
-        date, studentId, newStatus, attributes
+        date, studentId, newStatus, attributes,
+        null
       );
-      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith(studentId, 5);
+      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith(studentId, 5, expect.objectContaining({ sourceType: 'attendance' }));
       expect(mockStudentService.addBalance).not.toHaveBeenCalled();
     });
     
@@ -355,7 +366,7 @@ describe('AttendanceService - Medical Absence Fee Correction', () => {
         attributes: {}
       });
       await attendanceService.updateAttendanceWithFeeAdjustment(date, studentId, 'absent', attributes);
-      expect(mockStudentService.addBalance).toHaveBeenCalledWith(studentId, 5);
+      expect(mockStudentService.addBalance).toHaveBeenCalledWith(studentId, 5, expect.objectContaining({ sourceType: 'attendance' }));
       
       // Step 3: Change to medicalAbsence (remove $5 fee)
       mockStudentService.addBalance.mockClear();
@@ -364,7 +375,7 @@ describe('AttendanceService - Medical Absence Fee Correction', () => {
         attributes: {}
       });
       await attendanceService.updateAttendanceWithFeeAdjustment(date, studentId, 'medicalAbsence', attributes);
-      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith(studentId, 5);
+      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith(studentId, 5, expect.objectContaining({ sourceType: 'attendance' }));
       
       // Step 4: Change back to absent (add $5 fee again)
       mockStudentService.reduceBalance.mockClear();
@@ -373,7 +384,7 @@ describe('AttendanceService - Medical Absence Fee Correction', () => {
         attributes: {}
       });
       await attendanceService.updateAttendanceWithFeeAdjustment(date, studentId, 'absent', attributes);
-      expect(mockStudentService.addBalance).toHaveBeenCalledWith(studentId, 5);
+      expect(mockStudentService.addBalance).toHaveBeenCalledWith(studentId, 5, expect.objectContaining({ sourceType: 'attendance' }));
     });
   });
 });
\ No newline at end of file
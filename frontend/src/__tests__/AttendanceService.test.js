@@ -1,4 +1,9 @@
 import AttendanceService from '../services/AttendanceService';
+import ReportService from '../services/ReportService';
+import FeeRuleService from '../services/FeeRuleService';
+import AttendanceDashboardService from '../services/AttendanceDashboardService';
+import { getAttendanceDocId, parseAttendanceDocId } from '../utils/AttendanceDocUtils';
+import { parseDateString } from '../utils/DateUtils';
 
 // Mock Firebase's Firestore
 jest.mock('firebase/firestore');
@@ -30,7 +35,8 @@ describe('AttendanceService', () => {
     
     mockStudentRepository = {
       getAllStudents: jest.fn(),
-      getStudentsByStatus: jest.fn()
+      getStudentsByStatus: jest.fn(),
+      getStudentById: jest.fn().mockResolvedValue(null)
     };
     
     mockStudentService = {
@@ -59,7 +65,7 @@ describe('AttendanceService', () => {
       const result = await attendanceService.getAttendanceByDate(mockDate);
       
       // Verify
-      expect(mockAttendanceRepository.getAttendanceByDate).toHaveBeenCalledWith(mockDate);
+      expect(mockAttendanceRepository.getAttendanceByDate).toHaveBeenCalledWith(mockDate, null);
       expect(result).toEqual(mockAttendanceData);
     });
   });
@@ -78,7 +84,8 @@ describe('AttendanceService', () => {
       expect(mockAttendanceRepository.updateAttendance).toHaveBeenCalledWith(
         mockDate,
         studentId,
-        status
+        status,
+        null
       );
     });
     
@@ -108,7 +115,8 @@ describe('AttendanceService', () => {
       expect(mockAttendanceRepository.bulkUpdateAttendance).toHaveBeenCalledWith(
         mockDate,
         studentIds,
-        status
+        status,
+        null
       );
     });
     
@@ -199,7 +207,7 @@ describe('AttendanceService', () => {
       
       // Verify
       expect(attendanceService.getEligibleStudents).toHaveBeenCalled();
-      expect(mockAttendanceRepository.getAttendanceByDate).toHaveBeenCalledWith(mockDate);
+      expect(mockAttendanceRepository.getAttendanceByDate).toHaveBeenCalledWith(mockDate, null);
       
       // Check the merged data
       expect(result).toEqual([
@@ -209,11 +217,13 @@ describe('AttendanceService', () => {
             status: 'present', 
             timestamp: mockDate,
             attributes: {} 
-          }
+          },
+          enrolledOnDate: true
         },
         {
           ...mockStudents[1],
-          attendance: null // No attendance record
+          attendance: null, // No attendance record
+          enrolledOnDate: true
         }
       ]);
     });
@@ -261,7 +271,9 @@ describe('AttendanceService', () => {
         mockDate,
         studentId,
         status,
-        attributes
+        attributes,
+        null,
+        null
       );
     });
     
@@ -292,7 +304,9 @@ describe('AttendanceService', () => {
         mockDate,
         studentId,
         status,
-        attributes
+        attributes,
+        null,
+        null
       );
     });
   });
@@ -313,7 +327,8 @@ describe('AttendanceService', () => {
         mockDate,
         studentIds,
         status,
-        attributes
+        attributes,
+        null
       );
     });
   });
@@ -393,11 +408,12 @@ describe('AttendanceService', () => {
       await attendanceService.updateAttendanceWithFee(mockDate, studentId, status, attributes);
       
       // Verify
-      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId);
+      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId, null);
       expect(mockAttendanceRepository.updateAttendanceWithAttributes).toHaveBeenCalledWith(
-        mockDate, studentId, status, attributes
+        mockDate, studentId, status, attributes,
+        null
       );
-      expect(studentService.addBalance).toHaveBeenCalledWith(studentId, 3); // $3 fee (all attributes)
+      expect(studentService.addBalance).toHaveBeenCalledWith(studentId, 3, expect.objectContaining({ sourceType: 'attendance' })); // $3 fee (all attributes)
     });
     
     it('should update attendance and charge fee for absent status', async () => {
@@ -414,11 +430,12 @@ describe('AttendanceService', () => {
       await attendanceService.updateAttendanceWithFee(mockDate, studentId, status, attributes);
       
       // Verify
-      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId);
+      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId, null);
       expect(mockAttendanceRepository.updateAttendanceWithAttributes).toHaveBeenCalledWith(
-        mockDate, studentId, status, attributes
+        mockDate, studentId, status, attributes,
+        null
       );
-      expect(studentService.addBalance).toHaveBeenCalledWith(studentId, 5); // Always $5 fee for absent
+      expect(studentService.addBalance).toHaveBeenCalledWith(studentId, 5, expect.objectContaining({ sourceType: 'attendance' })); // Always $5 fee for absent
     });
     
     it('should update attendance with no fee for medicalAbsence', async () => {
@@ -435,9 +452,10 @@ describe('AttendanceService', () => {
       await attendanceService.updateAttendanceWithFee(mockDate, studentId, status, attributes);
       
       // Verify
-      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId);
+      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId, null);
       expect(mockAttendanceRepository.updateAttendanceWithAttributes).toHaveBeenCalledWith(
-        mockDate, studentId, status, attributes
+        mockDate, studentId, status, attributes,
+        null
       );
       expect(studentService.addBalance).not.toHaveBeenCalled(); // No fee for medical absence
     });
@@ -460,13 +478,28 @@ describe('AttendanceService', () => {
       await attendanceService.updateAttendanceWithFee(mockDate, studentId, newStatus, attributes);
       
       // Verify
-      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId);
+      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId, null);
       expect(mockAttendanceRepository.updateAttendanceWithAttributes).toHaveBeenCalledWith(
-        mockDate, studentId, newStatus, attributes
+        mockDate, studentId, newStatus, attributes,
+        null
       );
-      expect(studentService.reduceBalance).toHaveBeenCalledWith(studentId, 5); // Should remove the $5 fee
+      expect(studentService.reduceBalance).toHaveBeenCalledWith(studentId, 5, expect.objectContaining({ sourceType: 'attendance' })); // Should remove the $5 fee
       expect(studentService.addBalance).not.toHaveBeenCalled(); // No new fee added
     });
+    it('should reject a session outside the enrollment window unless marked Not Enrolled', async () => {
+      const { studentService } = require('../services/StudentService');
+      mockStudentRepository.getStudentById.mockResolvedValue({ id: 'student1', enrollmentStartDate: '2025-03-10' });
+      
+      await expect(attendanceService.updateAttendanceWithFee(mockDate, 'student1', 'absent', {}))
+        .rejects.toThrow('Student is not enrolled on this date');
+      expect(mockAttendanceRepository.updateAttendanceWithAttributes).not.toHaveBeenCalled();
+      expect(studentService.addBalance).not.toHaveBeenCalled();
+      
+      await attendanceService.updateAttendanceWithFee(mockDate, 'student1', 'notEnrolled', {});
+      expect(mockAttendanceRepository.updateAttendanceWithAttributes).toHaveBeenCalledWith(
+        mockDate, 'student1', 'notEnrolled', {}, null
+      );
+    });
   });
 
   describe('bulkUpdateAttendanceWithFee', () => {
@@ -486,12 +519,13 @@ describe('AttendanceService', () => {
       
       // Verify
       expect(mockAttendanceRepository.bulkUpdateAttendanceWithAttributes).toHaveBeenCalledWith(
-        mockDate, studentIds, status, attributes
+        mockDate, studentIds, status, attributes,
+        null
       );
       // Should charge $2 ($1 late + $1 noShoes) for each student
       expect(studentService.addBalance).toHaveBeenCalledTimes(2);
-      expect(studentService.addBalance).toHaveBeenCalledWith('student1', 2);
-      expect(studentService.addBalance).toHaveBeenCalledWith('student2', 2);
+      expect(studentService.addBalance).toHaveBeenCalledWith('student1', 2, expect.objectContaining({ sourceType: 'attendance' }));
+      expect(studentService.addBalance).toHaveBeenCalledWith('student2', 2, expect.objectContaining({ sourceType: 'attendance' }));
     });
     
     it('should update attendance and charge fixed $5 fee for multiple students with absent status', async () => {
@@ -510,12 +544,13 @@ describe('AttendanceService', () => {
       
       // Verify
       expect(mockAttendanceRepository.bulkUpdateAttendanceWithAttributes).toHaveBeenCalledWith(
-        mockDate, studentIds, status, attributes
+        mockDate, studentIds, status, attributes,
+        null
       );
       // Should charge fixed $5 fee for each student
       expect(studentService.addBalance).toHaveBeenCalledTimes(2);
-      expect(studentService.addBalance).toHaveBeenCalledWith('student1', 5);
-      expect(studentService.addBalance).toHaveBeenCalledWith('student2', 5);
+      expect(studentService.addBalance).toHaveBeenCalledWith('student1', 5, expect.objectContaining({ sourceType: 'attendance' }));
+      expect(studentService.addBalance).toHaveBeenCalledWith('student2', 5, expect.objectContaining({ sourceType: 'attendance' }));
     });
     
     it('should handle fee adjustments when changing from absent to medicalAbsence', async () => {
@@ -539,12 +574,13 @@ describe('AttendanceService', () => {
       
       // Verify
       expect(mockAttendanceRepository.bulkUpdateAttendanceWithAttributes).toHaveBeenCalledWith(
-        mockDate, studentIds, newStatus, attributes
+        mockDate, studentIds, newStatus, attributes,
+        null
       );
       // Should reduce balance by $5 for each student
       expect(studentService.reduceBalance).toHaveBeenCalledTimes(2);
-      expect(studentService.reduceBalance).toHaveBeenCalledWith('student1', 5);
-      expect(studentService.reduceBalance).toHaveBeenCalledWith('student2', 5);
+      expect(studentService.reduceBalance).toHaveBeenCalledWith('student1', 5, expect.objectContaining({ sourceType: 'attendance' }));
+      expect(studentService.reduceBalance).toHaveBeenCalledWith('student2', 5, expect.objectContaining({ sourceType: 'attendance' }));
       expect(studentService.addBalance).not.toHaveBeenCalled(); // No new fees added
     });
   });
@@ -577,9 +613,9 @@ describe('AttendanceService', () => {
       const result = await attendanceService.removeAttendanceWithFeeAdjustment(mockDate, studentId);
       
       // Verify
-      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId);
-      expect(mockAttendanceRepository.removeAttendance).toHaveBeenCalledWith(mockDate, studentId);
-      expect(studentService.reduceBalance).toHaveBeenCalledWith(studentId, 5); // Should remove the $5 fee
+      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId, null);
+      expect(mockAttendanceRepository.removeAttendance).toHaveBeenCalledWith(mockDate, studentId, null);
+      expect(studentService.reduceBalance).toHaveBeenCalledWith(studentId, 5, expect.objectContaining({ sourceType: 'attendance' })); // Should remove the $5 fee
       
       expect(result.removed).toBe(true);
       expect(result.previousStatus).toBe('absent');
@@ -609,9 +645,9 @@ describe('AttendanceService', () => {
       const result = await attendanceService.removeAttendanceWithFeeAdjustment(mockDate, studentId);
       
       // Verify
-      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId);
-      expect(mockAttendanceRepository.removeAttendance).toHaveBeenCalledWith(mockDate, studentId);
-      expect(studentService.reduceBalance).toHaveBeenCalledWith(studentId, 2); // $1 for late + $1 for noShoes
+      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId, null);
+      expect(mockAttendanceRepository.removeAttendance).toHaveBeenCalledWith(mockDate, studentId, null);
+      expect(studentService.reduceBalance).toHaveBeenCalledWith(studentId, 2, expect.objectContaining({ sourceType: 'attendance' })); // $1 for late + $1 for noShoes
       
       expect(result.removed).toBe(true);
       expect(result.previousStatus).toBe('present');
@@ -640,13 +676,13 @@ describe('AttendanceService', () => {
       const result = await attendanceService.removeAttendanceWithFeeAdjustment(mockDate, studentId);
       
       // Verify
-      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId);
-      expect(mockAttendanceRepository.removeAttendance).toHaveBeenCalledWith(mockDate, studentId);
+      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId, null);
+      expect(mockAttendanceRepository.removeAttendance).toHaveBeenCalledWith(mockDate, studentId, null);
       expect(studentService.reduceBalance).not.toHaveBeenCalled(); // No fee to remove
       
       expect(result.removed).toBe(true);
       expect(result.previousStatus).toBe('medicalAbsence');
-      expect(result.feeAdjustment).toBe(-0);
+      expect(result.feeAdjustment).toBe(0);
     });
     
     it('should handle case when there is no attendance record to remove', async () => {
@@ -661,7 +697,7 @@ describe('AttendanceService', () => {
       const result = await attendanceService.removeAttendanceWithFeeAdjustment(mockDate, studentId);
       
       // Verify
-      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId);
+      expect(mockAttendanceRepository.getAttendanceRecord).toHaveBeenCalledWith(mockDate, studentId, null);
       expect(mockAttendanceRepository.removeAttendance).not.toHaveBeenCalled();
       expect(studentService.reduceBalance).not.toHaveBeenCalled();
       
@@ -669,4 +705,283 @@ describe('AttendanceService', () => {
       expect(result.reason).toBe('No attendance record found');
     });
   });
-});
\ No newline at end of file
+
+  describe('closeSession', () => {
+    let mockHolidayService;
+    let closingService;
+    const sessionDate = new Date(2025, 2, 5, 12);
+    
+    beforeEach(() => {
+      mockHolidayService = { loadCalendar: jest.fn().mockResolvedValue([]), isHoliday: jest.fn().mockReturnValue(false) };
+      const mockFeeScheduleService = {
+        loadSchedule: jest.fn().mockResolvedValue([]),
+        getRatesForDate: jest.fn().mockReturnValue({ absent: 5, late: 1, noShoes: 1, notInUniform: 1 })
+      };
+      closingService = new AttendanceService(
+        mockAttendanceRepository,
+        mockStudentRepository,
+        mockStudentService,
+        mockHolidayService,
+        mockFeeScheduleService
+      );
+      
+      mockStudentRepository.getStudentsByStatus.mockImplementation(status => Promise.resolve(
+        status === 'Enrolled'
+          ? [
+            { id: 'student1', firstName: 'Alice', enrollmentStartDate: '2025-01-01' },
+            { id: 'student2', firstName: 'Bob' },
+            { id: 'student3', firstName: 'Cara', enrollmentStartDate: '2025-03-10' }
+          ]
+          : [{ id: 'student4', firstName: 'Dan' }]
+      ));
+      mockAttendanceRepository.getAttendanceByDate.mockResolvedValue({
+        student2: { status: 'present', attributes: {} }
+      });
+    });
+    
+    it('should preview unmarked students, skipping those not enrolled on the date', async () => {
+      const preview = await closingService.previewCloseSession(sessionDate, '2025-03-05_wed');
+      
+      expect(mockAttendanceRepository.getAttendanceByDate).toHaveBeenCalledWith(sessionDate, '2025-03-05_wed');
+      expect(preview.toMarkAbsent.map(student => student.id)).toEqual(['student1', 'student4']);
+      expect(preview.notEnrolled.map(student => student.id)).toEqual(['student3']);
+      expect(preview.recordedCount).toBe(1);
+      expect(preview.absentFee).toBe(5);
+    });
+    
+    it('should mark the previewed students absent and charge the absence fee', async () => {
+      const result = await closingService.closeSession(sessionDate, '2025-03-05_wed', ['student1', 'student4']);
+      
+      expect(mockAttendanceRepository.bulkUpdateAttendanceWithAttributes).toHaveBeenCalledWith(
+        sessionDate,
+        ['student1', 'student4'],
+        'absent',
+        {},
+        '2025-03-05_wed'
+      );
+      expect(mockStudentService.addBalance).toHaveBeenCalledWith('student1', 5, expect.objectContaining({ sourceType: 'attendance' }));
+      expect(mockStudentService.addBalance).toHaveBeenCalledWith('student4', 5, expect.objectContaining({ sourceType: 'attendance' }));
+      expect(result.markedAbsent).toEqual(['student1', 'student4']);
+    });
+    
+    it('should not mark students who were not in the preview', async () => {
+      const result = await closingService.closeSession(sessionDate, null, ['student1']);
+      
+      expect(result.markedAbsent).toEqual(['student1']);
+    });
+    
+    it('should not mark anyone absent on a holiday', async () => {
+      mockHolidayService.isHoliday.mockReturnValue(true);
+      
+      const preview = await closingService.previewCloseSession(sessionDate);
+      
+      expect(preview.toMarkAbsent).toEqual([]);
+      await expect(closingService.closeSession(sessionDate)).rejects.toThrow('Cannot close a session on a holiday');
+      expect(mockAttendanceRepository.bulkUpdateAttendanceWithAttributes).not.toHaveBeenCalled();
+    });
+    
+    it('should not close a future session', async () => {
+      const future = new Date();
+      future.setDate(future.getDate() + 7);
+      
+      await expect(closingService.closeSession(future)).rejects.toThrow('has not happened yet');
+    });
+  });
+
+  describe('fee rules', () => {
+    // In-memory attendance documents keyed by document ID, then by student ID
+    let attendanceDocs;
+    let ledger;
+    let ruleService;
+    let reportService;
+    let holidays;
+    const student = { id: 'student1', enrollmentStatus: 'Enrolled' };
+    const march = day => new Date(2025, 2, day);
+
+    const ledgerBalance = () => Math.round(ledger.reduce((total, entry) => total + entry.amount, 0) * 100) / 100;
+
+    beforeEach(async () => {
+      attendanceDocs = new Map();
+      ledger = [];
+      holidays = new Set();
+      const setRecord = (date, studentId, status, attributes, sessionId) => {
+        const id = getAttendanceDocId(date, sessionId);
+        attendanceDocs.set(id, { ...attendanceDocs.get(id), [studentId]: { status, attributes } });
+      };
+      const attendanceRepository = {
+        getAttendanceRecord: jest.fn((date, studentId, sessionId) =>
+          Promise.resolve(attendanceDocs.get(getAttendanceDocId(date, sessionId))?.[studentId] || null)),
+        updateAttendanceWithAttributes: jest.fn((date, studentId, status, attributes, sessionId) =>
+          Promise.resolve(setRecord(date, studentId, status, attributes, sessionId))),
+        bulkUpdateAttendanceWithAttributes: jest.fn((date, studentIds, status, attributes, sessionId) =>
+          Promise.resolve(studentIds.forEach(studentId => setRecord(date, studentId, status, attributes, sessionId)))),
+        updateAttendance: jest.fn((date, studentId, status, sessionId) =>
+          Promise.resolve(setRecord(date, studentId, status, {}, sessionId))),
+        bulkUpdateAttendance: jest.fn((date, studentIds, status, sessionId) =>
+          Promise.resolve(studentIds.forEach(studentId => setRecord(date, studentId, status, {}, sessionId)))),
+        getAttendanceSessionsByDate: jest.fn(date => Promise.resolve(
+          [...attendanceDocs.entries()]
+            .filter(([id]) => id.slice(0, 10) === getAttendanceDocId(date))
+            .map(([id, records]) => ({ sessionId: parseAttendanceDocId(id).sessionId, records }))
+        )),
+        removeAttendance: jest.fn((date, studentId, sessionId) => {
+          const { [studentId]: removed, ...rest } = attendanceDocs.get(getAttendanceDocId(date, sessionId));
+          attendanceDocs.set(getAttendanceDocId(date, sessionId), rest);
+          return Promise.resolve(removed);
+        }),
+        getAttendanceByDateRange: jest.fn((startDate, endDate) => Promise.resolve(
+          [...attendanceDocs.entries()]
+            .filter(([id]) => parseDateString(id.slice(0, 10)) >= startDate && parseDateString(id.slice(0, 10)) <= endDate)
+            .map(([id, records]) => ({ id, records }))
+        ))
+      };
+      const studentRepository = {
+        getStudentById: jest.fn().mockResolvedValue(student),
+        getAllStudents: jest.fn().mockResolvedValue([student]),
+        getStudentsByStatus: jest.fn(status => Promise.resolve(status === student.enrollmentStatus ? [student] : []))
+      };
+      const ledgerStudentService = {
+        addBalance: jest.fn((studentId, amount, details) => Promise.resolve(ledger.push({ amount, ...details }))),
+        reduceBalance: jest.fn((studentId, amount, details) => Promise.resolve(ledger.push({ amount: -amount, ...details })))
+      };
+      const feeScheduleService = {
+        loadSchedule: () => Promise.resolve(),
+        getRatesForDate: () => ({ absent: 5, late: 1, noShoes: 1, notInUniform: 1 })
+      };
+      const holidayService = { loadCalendar: () => Promise.resolve(), isHoliday: date => holidays.has(date.getTime()) };
+      ruleService = new FeeRuleService({ getSettings: () => Promise.resolve({ monthlyCap: 8, rules: [] }) });
+      await ruleService.loadRules();
+
+      attendanceService = new AttendanceService(
+        attendanceRepository, studentRepository, ledgerStudentService, holidayService, feeScheduleService, ruleService
+      );
+      reportService = new ReportService(
+        {
+          getStudentPaymentHistory: () => Promise.resolve([]),
+          getStudentAttendanceHistory: () => Promise.resolve([...attendanceDocs.entries()]
+            .filter(([, records]) => records[student.id])
+            .map(([id, records]) => ({ id, date: parseDateString(id.slice(0, 10)), record: records[student.id] })))
+        },
+        studentRepository,
+        attendanceRepository,
+        attendanceService,
+        undefined,
+        undefined,
+        feeScheduleService,
+        undefined,
+        { getWaiversByStudentId: () => Promise.resolve([]) },
+        ruleService,
+        holidayService
+      );
+    });
+
+    it('should keep the ledger balance equal to the calculated balance under a monthly cap', async () => {
+      const expectBalance = async (balance) => {
+        expect(ledgerBalance()).toBe(balance);
+        expect((await reportService.calculateStudentBalance(student.id)).calculatedBalance).toBe(balance);
+      };
+
+      await attendanceService.updateAttendanceWithFeeAdjustment(march(12), student.id, 'absent', {});
+      await expectBalance(5);
+
+      // An earlier absence takes the first $5 of the cap, so March 12 is re-priced to the $3 left
+      const result = await attendanceService.updateAttendanceWithFeeAdjustment(march(5), student.id, 'absent', {});
+      expect(result.feeDifference).toBe(5);
+      expect(result.repriced).toEqual([{ markingId: '2025-03-12', feeDifference: -2 }]);
+      expect(ledger[ledger.length - 1]).toEqual(expect.objectContaining({ amount: -2, sourceId: '2025-03-12' }));
+      await expectBalance(8);
+
+      // Over the cap, a late check-in marked in bulk costs nothing
+      await attendanceService.bulkUpdateAttendanceWithFeeAdjustment(march(19), [student.id], 'present', { late: true });
+      await expectBalance(8);
+
+      // Excusing March 5 frees the cap for the later markings again
+      await attendanceService.updateAttendanceWithFeeAdjustment(march(5), student.id, 'medicalAbsence', {});
+      await expectBalance(6);
+
+      await attendanceService.removeAttendanceWithFeeAdjustment(march(12), student.id);
+      await expectBalance(1);
+    });
+
+    it('should leave holiday markings out of the cap in the ledger and the reports alike', async () => {
+      holidays.add(march(5).getTime());
+
+      await attendanceService.updateAttendanceWithFeeAdjustment(march(5), student.id, 'absent', {});
+      await attendanceService.updateAttendanceWithFeeAdjustment(march(12), student.id, 'absent', {});
+
+      expect(ledgerBalance()).toBe(5);
+      expect((await reportService.calculateStudentBalance(student.id)).calculatedBalance).toBe(5);
+    });
+
+    it('should post only the later markings when re-pricing only', async () => {
+      await attendanceService.updateAttendanceWithFeeAdjustment(march(5), student.id, 'absent', {});
+      await attendanceService.updateAttendanceWithFeeAdjustment(march(12), student.id, 'absent', {});
+      const entries = ledger.length;
+
+      const result = await attendanceService.postMarkingFeeChange(student.id, {
+        date: march(5),
+        previous: { status: 'absent', attributes: {} },
+        next: { status: 'cancelled', attributes: {} }
+      }, { repriceOnly: true });
+
+      expect(result).toEqual({ feeDifference: -5, repriced: [{ markingId: '2025-03-12', feeDifference: 2 }] });
+      expect(ledger.slice(entries)).toEqual([
+        expect.objectContaining({ amount: 2, sourceId: '2025-03-12', description: 'Fee rules re-applied after the 2025-03-05 change' })
+      ]);
+    });
+
+    it('should re-price the later markings when a class is cancelled', async () => {
+      await attendanceService.updateAttendanceWithFeeAdjustment(march(5), student.id, 'absent', {});
+      await attendanceService.updateAttendanceWithFeeAdjustment(march(12), student.id, 'absent', {});
+      expect(ledgerBalance()).toBe(8);
+
+      const dashboardService = new AttendanceDashboardService(
+        attendanceService.holidayService,
+        attendanceService,
+        {},
+        attendanceService.studentService,
+        { getPaymentsByDateRange: () => Promise.resolve([]), getAllPayments: () => Promise.resolve([]) },
+        {
+          loadCancellations: () => Promise.resolve([]),
+          prepareCancellation: () => Promise.resolve({ date: '2025-03-05', reason: 'weather' }),
+          addCancellation: () => Promise.resolve({ id: 'cancellation1', date: '2025-03-05', reason: 'weather' }),
+          getReasonLabel: () => 'Weather'
+        },
+        { loadSchedule: () => Promise.resolve(), getSessionsForDate: () => [] },
+        { notifyStudents: () => Promise.resolve([]) },
+        undefined,
+        {
+          getSourceBalance: (studentId, sourceType, sourceId) => Promise.resolve(ledger
+            .filter(entry => entry.sourceType === sourceType && entry.sourceId === sourceId)
+            .reduce((total, entry) => total + entry.amount, 0)),
+          roundAmount: amount => Math.round(amount * 100) / 100
+        },
+        { getWaiversByStudentId: () => Promise.resolve([]) }
+      );
+      await dashboardService.processClassCancellation(march(5), { reason: 'weather' }, true);
+
+      // March 12 gets the whole $5 absence fee once March 5 no longer counts toward the cap
+      expect(ledgerBalance()).toBe(5);
+      expect((await reportService.calculateStudentBalance(student.id)).calculatedBalance).toBe(5);
+    });
+
+    it('should not charge or count markings while the student is not chargeable', async () => {
+      const inactiveFromMarch10 = {
+        ...student,
+        enrollmentStatus: 'Inactive',
+        enrollmentHistory: [{ status: 'Inactive', previousStatus: 'Enrolled', effectiveDate: '2025-03-10', changedAt: '2025-03-10' }]
+      };
+      attendanceService.studentRepository.getStudentById.mockResolvedValue(inactiveFromMarch10);
+      attendanceService.studentRepository.getAllStudents.mockResolvedValue([inactiveFromMarch10]);
+
+      await attendanceService.updateAttendanceWithFeeAdjustment(march(12), student.id, 'absent', {});
+      await attendanceService.updateAttendanceWithFeeAdjustment(march(5), student.id, 'absent', {});
+
+      expect(ledgerBalance()).toBe(5);
+      expect((await reportService.calculateStudentBalance(student.id)).calculatedBalance).toBe(5);
+      expect(await attendanceService.getFeeRuleHistory(march(5))).toEqual({
+        student1: [expect.objectContaining({ id: '2025-03-05' })]
+      });
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import BalanceReconciliationService from "../services/BalanceReconciliationService";
+
+jest.mock("firebase/firestore");
+jest.mock("../lib/firebase/config/config", () => ({}));
+jest.mock("../services/StudentService", () => ({ studentService: {} }));
+jest.mock("../services/ReportService", () => ({ reportService: {} }));
+jest.mock("../services/AuditLogService", () => ({ auditLogService: {} }));
+
+describe("BalanceReconciliationService", () => {
+  let service;
+  let students;
+  let calculated;
+  let ledgerEntries;
+  let mockStudentService;
+  let mockReportService;
+  let mockAuditLogService;
+
+  beforeEach(() => {
+    students = {
+      student1: { id: "student1", firstName: "Jane", lastName: "Doe", balance: 10, holidayCredits: [{ date: "2025-01-01", holidayName: "New Year's Day", amount: 5 }] },
+      student2: { id: "student2", firstName: "John", lastName: "Roe", balance: 5 },
+      student3: { id: "student3", firstName: "Ann", lastName: "Poe", balance: 0, frozenAt: "2024-12-01", frozenFeesTotal: 15, frozenBalance: 3 }
+    };
+    calculated = { student1: 15, student2: 5, student3: 2 };
+    ledgerEntries = [];
+
+    mockStudentService = {
+      getAllStudents: jest.fn(() => Promise.resolve(Object.values(students))),
+      getStudentById: jest.fn(id => Promise.resolve(students[id] || null)),
+      updateStudent: jest.fn().mockResolvedValue({}),
+      ledgerService: {
+        getStudentEntries: jest.fn(() => Promise.resolve(ledgerEntries)),
+        calculateBalance: jest.fn(entries => entries.reduce((total, entry) => total + entry.effect, 0)),
+        postAdjustment: jest.fn().mockResolvedValue({})
+      }
+    };
+    mockReportService = {
+      calculateStudentBalance: jest.fn(id => Promise.resolve({
+        totalFeesCharged: calculated[id],
+        totalPaymentsMade: 0,
+        calculatedBalance: calculated[id],
+        feeBreakdown: [{ date: "2025-03-05", status: "absent", attributes: {}, fee: calculated[id] }],
+        payments: []
+      }))
+    };
+    mockAuditLogService = {
+      logFeeChange: jest.fn().mockResolvedValue({})
+    };
+
+    service = new BalanceReconciliationService(mockStudentService, mockReportService, mockAuditLogService);
+  });
+
+  test("should list only drifted students with a breakdown, largest difference first", async () => {
+    const mismatches = await service.findMismatches();
+
+    expect(mismatches.map(mismatch => [mismatch.studentId, mismatch.difference])).toEqual([
+      ["student1", 5],
+      ["student3", 2]
+    ]);
+    expect(mismatches[0].breakdown.holidayCredits).toEqual([
+      { date: "2025-01-01", holidayName: "New Year's Day", amount: 5, used: false }
+    ]);
+    expect(mismatches[0].breakdown.frozen).toBeNull();
+    expect(mismatches[1].breakdown.frozen).toEqual({ frozenAt: "2024-12-01", frozenFeesTotal: 15, frozenBalance: 3 });
+  });
+
+  test("should post the difference as a ledger adjustment and write the audit log", async () => {
+    ledgerEntries = [{ effect: 10 }];
+
+    const result = await service.acceptCalculatedBalance("student1", "admin1");
+
+    expect(mockStudentService.ledgerService.postAdjustment).toHaveBeenCalledWith(
+      "student1",
+      5,
+      expect.objectContaining({ sourceType: "reconciliation", createdBy: "admin1" })
+    );
+    expect(mockAuditLogService.logFeeChange).toHaveBeenCalledWith(
+      "admin1", "student1", 10, 15, BalanceReconciliationService.AUDIT_REASON
+    );
+    expect(result).toEqual({ studentId: "student1", oldBalance: 10, newBalance: 15, corrected: true });
+  });
+
+  test("should only rewrite the cached balance when the ledger already agrees", async () => {
+    ledgerEntries = [{ effect: 15 }];
+
+    await service.acceptCalculatedBalance("student1", "admin1");
+
+    expect(mockStudentService.ledgerService.postAdjustment).not.toHaveBeenCalled();
+    expect(mockStudentService.updateStudent).toHaveBeenCalledWith("student1", { balance: 15 });
+    expect(mockAuditLogService.logFeeChange).toHaveBeenCalled();
+  });
+
+  test("should leave matching balances alone", async () => {
+    const result = await service.acceptCalculatedBalance("student2", "admin1");
+
+    expect(result.corrected).toBe(false);
+    expect(mockStudentService.ledgerService.postAdjustment).not.toHaveBeenCalled();
+    expect(mockAuditLogService.logFeeChange).not.toHaveBeenCalled();
+  });
+
+  test("should correct students in bulk and report failures", async () => {
+    const result = await service.acceptCalculatedBalances(["student1", "missing", "student3"], "admin1");
+
+    expect(result.corrected.map(entry => entry.studentId)).toEqual(["student1", "student3"]);
+    expect(result.failed).toEqual([{ studentId: "missing", error: "Failed to reconcile balance: Student not found" }]);
+    expect(mockAuditLogService.logFeeChange).toHaveBeenCalledTimes(2);
+  });
+});
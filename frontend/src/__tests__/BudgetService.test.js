@@ -217,6 +217,29 @@ describe('BudgetService', () => {
     });
   });
 
+  describe('student refunds', () => {
+    test('should count refunds as negative fee revenue', async () => {
+      const mockPaymentRepository = {
+        getPaymentsByDateRange: jest.fn().mockResolvedValue([
+          { id: 'payment1', amount: 40 },
+          { id: 'refund1', type: 'refund', amount: -15, originalPaymentId: 'payment1' }
+        ])
+      };
+      budgetService = new BudgetService(mockBudgetRepository, mockPaymentRepository);
+      mockBudgetRepository.getBudgetEntriesByDateRange.mockResolvedValue([
+        { id: 'fee1', budgetType: BUDGET_TYPES.FEE_REVENUE, amount: 25, date: new Date('2024-01-15') }
+      ]);
+
+      const summary = await budgetService.calculateBudgetSummary(new Date('2024-01-01'), new Date('2024-01-31'));
+      const breakdown = await budgetService.getRevenueBreakdown(new Date('2024-01-01'), new Date('2024-01-31'));
+
+      expect(summary.feeRevenue).toBe(10);
+      expect(summary.refunds).toBe(-15);
+      expect(breakdown.feeRevenue).toBe(10);
+      expect(breakdown.refunds).toBe(-15);
+    });
+  });
+
   describe('getContributorPaymentStatus', () => {
     test('should return payment status for contributor', async () => {
       const contributorId = 'member456';
@@ -0,0 +1,149 @@
+import CalendarFeedService from '../services/CalendarFeedService';
+import HolidayService from '../services/HolidayService';
+import ClassScheduleService from '../services/ClassScheduleService';
+import ClassCancellationService from '../services/ClassCancellationService';
+import { parseICalendar } from '../utils/ICalUtils';
+
+jest.mock('firebase/firestore');
+jest.mock('../lib/firebase/config/config', () => ({}));
+
+const toIcs = (...events) => [
+  'BEGIN:VCALENDAR',
+  ...events.flatMap(([summary, start, end]) => [
+    'BEGIN:VEVENT',
+    `DTSTART;VALUE=DATE:${start}`,
+    ...(end ? [`DTEND;VALUE=DATE:${end}`] : []),
+    `SUMMARY:${summary}`,
+    'END:VEVENT'
+  ]),
+  'END:VCALENDAR'
+].join('\r\n');
+
+describe('CalendarFeedService', () => {
+  let holidayService;
+  let classScheduleService;
+  let mockHolidayRepository;
+  let mockFeedRepository;
+  let calendarFeedService;
+
+  beforeEach(() => {
+    let nextId = 1;
+    mockHolidayRepository = {
+      getAllHolidays: jest.fn().mockResolvedValue([
+        { id: 'spring', name: 'Spring Break', type: 'closure', startDate: '2025-03-24', endDate: '2025-03-28' }
+      ]),
+      createHoliday: jest.fn(data => Promise.resolve({ id: `new${nextId++}`, ...data }))
+    };
+    holidayService = new HolidayService(mockHolidayRepository, {
+      getSettings: jest.fn().mockResolvedValue({ disabledBuiltIns: ['Columbus Day'] })
+    });
+    classScheduleService = new ClassScheduleService({
+      getAllEntries: jest.fn().mockResolvedValue([
+        { id: 'ballet', type: 'recurring', weekday: 1, startTime: '18:00', durationMinutes: 60, name: 'Ballet', location: 'Studio A' }
+      ])
+    }, holidayService);
+    mockFeedRepository = {
+      saveFeed: jest.fn((feedId, data) => Promise.resolve({ id: feedId, ...data })),
+      getFeed: jest.fn().mockResolvedValue(null)
+    };
+    const classCancellationService = new ClassCancellationService({
+      getAllCancellations: jest.fn().mockResolvedValue([
+        { id: 'storm', date: '2025-03-31', sessionId: null, reason: 'weather', note: 'Snow storm' }
+      ])
+    }, holidayService);
+    calendarFeedService = new CalendarFeedService(classScheduleService, holidayService, mockFeedRepository, classCancellationService);
+  });
+
+  test('should publish upcoming classes, holidays and cancelled classes', async () => {
+    const published = await calendarFeedService.publishFeed('admin1');
+
+    expect(mockFeedRepository.saveFeed).toHaveBeenCalledWith('public', expect.objectContaining({ publishedBy: 'admin1' }));
+    expect(published.eventCount).toBeGreaterThan(0);
+
+    // From Monday, March 17th 2025 the feed covers the next 180 days
+    const { ics } = await calendarFeedService.generateFeed(new Date(2025, 2, 17));
+    const events = parseICalendar(ics);
+    const summaries = events.map(event => `${event.startDate} ${event.summary}`);
+
+    expect(summaries).toContain('2025-03-17 Ballet');
+    expect(summaries).toContain('2025-03-24 Studio closed: Spring Break');
+    expect(events.find(event => event.startDate === '2025-03-24' && event.summary.includes('Ballet'))).toEqual(
+      expect.objectContaining({ summary: 'Cancelled: Ballet (Spring Break)', cancelled: true })
+    );
+    // Classes called off at short notice are cancelled with their reason
+    expect(summaries).toContain('2025-03-31 Cancelled: Ballet (Weather)');
+    expect(summaries).toContain('2025-04-07 Ballet');
+    expect(summaries).toContain('2025-05-26 Memorial Day');
+    expect(summaries).toContain('2025-05-26 Cancelled: Ballet (Memorial Day)');
+    // Disabled built-in holidays are not listed and their classes go ahead
+    expect(summaries).not.toContain('2025-10-13 Columbus Day');
+    expect(summaries).toContain('2025-09-08 Ballet');
+    expect(summaries.every(summary => summary.slice(0, 10) <= '2025-09-13')).toBe(true);
+  });
+
+  test('should preview an import, skipping dates that are already holidays', async () => {
+    const preview = await calendarFeedService.previewImport(toIcs(
+      ['Winter Break', '20251222', '20260103'],
+      ['Christmas', '20251225'],
+      ['Spring Break', '20250324', '20250329'],
+      ['Spring Recital Prep', '20250328', '20250401'],
+      ['Winter Break', '20251222', '20260103']
+    ));
+
+    expect(preview.map(({ name, type, startDate, endDate, status }) => [name, type, startDate, endDate, status])).toEqual([
+      ['Winter Break', 'closure', '2025-12-22', '2026-01-02', 'new'],
+      ['Christmas', 'holiday', '2025-12-25', '2025-12-25', 'duplicate'],
+      ['Spring Break', 'closure', '2025-03-24', '2025-03-28', 'duplicate'],
+      ['Spring Recital Prep', 'closure', '2025-03-28', '2025-03-31', 'invalid'],
+      ['Winter Break', 'closure', '2025-12-22', '2026-01-02', 'duplicate']
+    ]);
+    expect(preview[3].reason).toBe('Spring Break already covers 2025-03-24 to 2025-03-28');
+  });
+
+  test('should import only the new dates', async () => {
+    const preview = await calendarFeedService.previewImport(toIcs(
+      ['Winter Break', '20251222', '20260103'],
+      ['Christmas', '20251225']
+    ));
+
+    const result = await calendarFeedService.importHolidays(preview, 'admin1');
+
+    expect(mockHolidayRepository.createHoliday).toHaveBeenCalledTimes(1);
+    expect(mockHolidayRepository.createHoliday).toHaveBeenCalledWith({
+      name: 'Winter Break',
+      type: 'closure',
+      startDate: '2025-12-22',
+      endDate: '2026-01-02',
+      createdBy: 'admin1'
+    });
+    expect(result.imported).toHaveLength(1);
+    expect(result.skipped).toHaveLength(1);
+    expect(holidayService.getHolidayName('2025-12-30')).toBe('Winter Break');
+  });
+
+  test('should republish a published feed when the holidays change', async () => {
+    const flushListeners = () => new Promise(resolve => setTimeout(resolve, 0));
+    const stopWatching = calendarFeedService.watchCalendars();
+
+    // A feed that was never published stays unpublished
+    await holidayService.addHoliday({ name: 'Founders Day', startDate: '2025-04-14' });
+    await flushListeners();
+    await calendarFeedService.republishPromise;
+    expect(mockFeedRepository.saveFeed).not.toHaveBeenCalled();
+
+    mockFeedRepository.getFeed.mockResolvedValue({ id: 'public', ics: '', eventCount: 0, publishedBy: 'admin1' });
+    await holidayService.addHoliday({ name: 'Recital Day', startDate: new Date() });
+    await flushListeners();
+    const republished = await calendarFeedService.republishPromise;
+
+    expect(mockFeedRepository.saveFeed).toHaveBeenCalledTimes(1);
+    expect(republished.publishedBy).toBe('admin1');
+    expect(parseICalendar(republished.ics).map(event => event.summary)).toContain('Recital Day');
+
+    // Once stopped, changes no longer republish the feed
+    stopWatching();
+    await holidayService.addHoliday({ name: 'Studio Anniversary', startDate: '2025-06-02' });
+    await flushListeners();
+    expect(mockFeedRepository.saveFeed).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,59 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import CalendarImportExport from '../components/CalendarImportExport';
+import { calendarFeedService } from '../services/CalendarFeedService';
+
+jest.mock('../services/CalendarFeedService', () => ({
+  calendarFeedService: {
+    getPublishedFeed: jest.fn(),
+    getFeedUrl: jest.fn(),
+    previewImport: jest.fn(),
+    importHolidays: jest.fn(),
+    publishFeed: jest.fn()
+  }
+}));
+
+describe('CalendarImportExport Component', () => {
+  const preview = [
+    { key: 'event-0', name: 'Winter Break', type: 'closure', startDate: '2025-12-22', endDate: '2026-01-02', status: 'new', reason: null },
+    { key: 'event-1', name: 'Christmas', type: 'holiday', startDate: '2025-12-25', endDate: '2025-12-25', status: 'duplicate', reason: 'Already a holiday' }
+  ];
+
+  beforeEach(() => {
+    calendarFeedService.getPublishedFeed.mockResolvedValue(null);
+    calendarFeedService.getFeedUrl.mockReturnValue('https://api.example.com/calendar.ics');
+    calendarFeedService.previewImport.mockResolvedValue(preview);
+    calendarFeedService.importHolidays.mockResolvedValue({ imported: [{ id: 'h1' }], skipped: [preview[1]] });
+    calendarFeedService.publishFeed.mockResolvedValue({
+      eventCount: 42,
+      publishedAt: { toDate: () => new Date(2025, 2, 17) }
+    });
+  });
+
+  test('previews an .ics file before importing the new dates', async () => {
+    const onImported = jest.fn();
+    render(<CalendarImportExport currentUser={{ uid: 'admin1' }} onImported={onImported} />);
+
+    const file = new File(['BEGIN:VCALENDAR\r\nEND:VCALENDAR'], 'holidays.ics', { type: 'text/calendar' });
+    fireEvent.change(screen.getByLabelText('Calendar File:'), { target: { files: [file] } });
+
+    expect(await screen.findByTestId('import-event-1')).toHaveTextContent('Skipped (Already a holiday)');
+    expect(calendarFeedService.previewImport).toHaveBeenCalledWith('BEGIN:VCALENDAR\r\nEND:VCALENDAR');
+
+    fireEvent.click(screen.getByTestId('confirm-import'));
+
+    expect(await screen.findByTestId('import-result')).toHaveTextContent('Imported 1, skipped 1.');
+    expect(calendarFeedService.importHolidays).toHaveBeenCalledWith(preview, 'admin1');
+    expect(onImported).toHaveBeenCalled();
+  });
+
+  test('publishes the feed and shows its subscription URL', async () => {
+    render(<CalendarImportExport currentUser={{ uid: 'admin1' }} onImported={jest.fn()} />);
+
+    fireEvent.click(screen.getByTestId('publish-feed'));
+
+    await waitFor(() => expect(screen.getByTestId('feed-status')).toHaveTextContent('with 42 events'));
+    expect(screen.getByText('https://api.example.com/calendar.ics')).toBeInTheDocument();
+    expect(calendarFeedService.publishFeed).toHaveBeenCalledWith('admin1');
+  });
+});
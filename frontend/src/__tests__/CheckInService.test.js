@@ -0,0 +1,197 @@
+import CheckInService from "../services/CheckInService";
+import ClassScheduleService from "../services/ClassScheduleService";
+
+jest.mock("firebase/firestore");
+jest.mock("../lib/firebase/config/config", () => ({}));
+jest.mock("../services/StudentService", () => ({ studentService: {} }));
+jest.mock("../services/AttendanceService", () => ({ attendanceService: {} }));
+
+describe("CheckInService", () => {
+  let checkInService;
+  let mockStudentService;
+  let mockAttendanceService;
+  let classScheduleService;
+  let mockFeeScheduleService;
+  let mockSettingsRepository;
+  let scheduleEntries;
+
+  const student = { id: "student1", firstName: "Jane", enrollmentStatus: "Enrolled", checkinCode: "1234" };
+
+  // Wednesday 2025-03-05: 18:00 beginner class (90 min) and 19:30 advanced class (60 min)
+  const at = (hours, minutes) => new Date(2025, 2, 5, hours, minutes);
+
+  beforeEach(() => {
+    scheduleEntries = [
+      { id: "wed", type: "recurring", weekday: 3, startTime: "18:00", durationMinutes: 90, level: "Beginner" },
+      { id: "wed-late", type: "recurring", weekday: 3, startTime: "19:30", durationMinutes: 60, level: "Advanced" }
+    ];
+
+    mockStudentService = {
+      getStudentByCheckinCode: jest.fn().mockResolvedValue(student)
+    };
+    mockAttendanceService = {
+      getAttendanceByDate: jest.fn().mockResolvedValue({}),
+      markAttendanceWithAttributes: jest.fn().mockResolvedValue(),
+      postMarkingFeeChange: jest.fn((studentId, { next }) => Promise.resolve({ feeDifference: next.attributes.late ? 1 : 0, repriced: [] }))
+    };
+    classScheduleService = new ClassScheduleService(
+      { getAllEntries: jest.fn(() => Promise.resolve(scheduleEntries)) },
+      { isHoliday: jest.fn().mockReturnValue(false) }
+    );
+    mockFeeScheduleService = {
+      loadSchedule: jest.fn().mockResolvedValue([])
+    };
+    mockSettingsRepository = {
+      getSettings: jest.fn().mockResolvedValue({ graceMinutes: 10 }),
+      saveSettings: jest.fn(values => Promise.resolve(values))
+    };
+
+    checkInService = new CheckInService(
+      mockStudentService,
+      mockAttendanceService,
+      classScheduleService,
+      mockFeeScheduleService,
+      mockSettingsRepository
+    );
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("checkIn", () => {
+    test("should mark the student present for the open session with the raw check-in time", async () => {
+      const now = at(17, 50);
+
+      const result = await checkInService.checkIn(" 1234 ", { now });
+
+      expect(mockStudentService.getStudentByCheckinCode).toHaveBeenCalledWith("1234");
+      expect(mockAttendanceService.markAttendanceWithAttributes).toHaveBeenCalledWith(
+        now,
+        "student1",
+        "present",
+        {},
+        "2025-03-05_wed",
+        { method: "kiosk", checkedInAt: now, minutesAfterStart: -10, graceMinutes: 10 }
+      );
+      expect(mockAttendanceService.postMarkingFeeChange).toHaveBeenCalledWith(
+        "student1",
+        { date: now, sessionId: "2025-03-05_wed", previous: null, next: { status: "present", attributes: {} } },
+        expect.objectContaining({ student })
+      );
+      expect(result).toMatchObject({ late: false, alreadyCheckedIn: false });
+    });
+
+    test("should not mark the student late within the grace period", async () => {
+      const result = await checkInService.checkIn("1234", { now: at(18, 10) });
+
+      expect(result.late).toBe(false);
+    });
+
+    test("should set the late attribute and charge the late fee after the grace period", async () => {
+      const result = await checkInService.checkIn("1234", { now: at(18, 11) });
+
+      expect(mockAttendanceService.markAttendanceWithAttributes).toHaveBeenCalledWith(
+        expect.any(Date),
+        "student1",
+        "present",
+        { late: true },
+        "2025-03-05_wed",
+        expect.objectContaining({ minutesAfterStart: 11 })
+      );
+      // Priced with the fee rules, like a marking on the attendance dashboard
+      expect(mockAttendanceService.postMarkingFeeChange).toHaveBeenCalledWith(
+        "student1",
+        expect.objectContaining({ previous: null, next: { status: "present", attributes: { late: true } } }),
+        { description: "Late check-in at the kiosk", student }
+      );
+      expect(result).toMatchObject({ late: true, minutesAfterStart: 11 });
+    });
+
+    test("should use the default grace period when none is configured", async () => {
+      mockSettingsRepository.getSettings.mockResolvedValue(null);
+
+      const result = await checkInService.checkIn("1234", { now: at(18, 6) });
+
+      expect(result.late).toBe(true);
+    });
+
+    test("should ask the student to choose when two sessions are open", async () => {
+      const result = await checkInService.checkIn("1234", { now: at(19, 0) });
+
+      expect(result.needsSessionChoice).toBe(true);
+      expect(result.sessions.map(session => session.classId)).toEqual(["wed", "wed-late"]);
+      expect(mockAttendanceService.markAttendanceWithAttributes).not.toHaveBeenCalled();
+    });
+
+    test("should check in to the chosen session", async () => {
+      await checkInService.checkIn("1234", { now: at(19, 0), sessionId: "2025-03-05_wed-late" });
+
+      expect(mockAttendanceService.markAttendanceWithAttributes).toHaveBeenCalledWith(
+        expect.any(Date),
+        "student1",
+        "present",
+        {},
+        "2025-03-05_wed-late",
+        expect.objectContaining({ minutesAfterStart: -30 })
+      );
+    });
+
+    test("should not record a second check-in", async () => {
+      mockAttendanceService.getAttendanceByDate.mockResolvedValue({ student1: { status: "present" } });
+
+      const result = await checkInService.checkIn("1234", { now: at(18, 0) });
+
+      expect(result.alreadyCheckedIn).toBe(true);
+      expect(mockAttendanceService.markAttendanceWithAttributes).not.toHaveBeenCalled();
+    });
+
+    test("should reject check-ins when no class is open", async () => {
+      await expect(checkInService.checkIn("1234", { now: at(12, 0) }))
+        .rejects.toThrow("No class is open for check-in right now");
+    });
+
+    test("should reject an unknown code", async () => {
+      mockStudentService.getStudentByCheckinCode.mockResolvedValue(null);
+
+      await expect(checkInService.checkIn("9999", { now: at(18, 0) }))
+        .rejects.toThrow("Code not recognized");
+    });
+
+    test("should reject a student outside their enrollment window", async () => {
+      mockStudentService.getStudentByCheckinCode.mockResolvedValue({ ...student, enrollmentEndDate: "2025-03-01" });
+
+      await expect(checkInService.checkIn("1234", { now: at(18, 0) }))
+        .rejects.toThrow("You are not enrolled for today's classes");
+      expect(mockAttendanceService.markAttendanceWithAttributes).not.toHaveBeenCalled();
+    });
+
+    test("should use the day record and never mark late without a schedule", async () => {
+      scheduleEntries = [];
+
+      const result = await checkInService.checkIn("1234", { now: at(21, 0) });
+
+      expect(mockAttendanceService.markAttendanceWithAttributes).toHaveBeenCalledWith(
+        expect.any(Date),
+        "student1",
+        "present",
+        {},
+        null,
+        expect.objectContaining({ method: "kiosk", minutesAfterStart: null })
+      );
+      expect(result.late).toBe(false);
+    });
+  });
+
+  describe("saveGraceMinutes", () => {
+    test("should save a valid grace period", async () => {
+      await checkInService.saveGraceMinutes(15);
+
+      expect(mockSettingsRepository.saveSettings).toHaveBeenCalledWith("checkin", { graceMinutes: 15 });
+    });
+
+    test("should reject a negative grace period", async () => {
+      await expect(checkInService.saveGraceMinutes(-1)).rejects.toThrow("Grace period must be");
+    });
+  });
+});
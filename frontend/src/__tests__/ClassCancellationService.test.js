@@ -0,0 +1,110 @@
+import ClassCancellationService from "../services/ClassCancellationService";
+
+describe("ClassCancellationService", () => {
+  let classCancellationService;
+  let mockClassCancellationRepository;
+  let mockHolidayService;
+
+  const existingCancellations = [
+    { id: "storm", date: "2025-03-12", sessionId: null, reason: "weather", note: "" },
+    { id: "sick", date: "2025-03-05", sessionId: "2025-03-05_wed", reason: "instructorSick", note: "" }
+  ];
+
+  beforeEach(() => {
+    mockClassCancellationRepository = {
+      getAllCancellations: jest.fn().mockResolvedValue(existingCancellations),
+      createCancellation: jest.fn(cancellation => Promise.resolve({ id: "new-cancellation", ...cancellation }))
+    };
+    mockHolidayService = {
+      loadCalendar: jest.fn().mockResolvedValue(),
+      getHolidayName: jest.fn(date => (date === "2025-12-25" ? "Christmas Day" : null))
+    };
+
+    classCancellationService = new ClassCancellationService(mockClassCancellationRepository, mockHolidayService);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("lookups", () => {
+    beforeEach(async () => {
+      await classCancellationService.loadCancellations();
+    });
+
+    test("should list cancellations earliest first", () => {
+      expect(classCancellationService.getCancellations().map(entry => entry.id)).toEqual(["sick", "storm"]);
+      expect(classCancellationService.getCancellationsInRange("2025-03-10", "2025-03-31").map(entry => entry.id)).toEqual(["storm"]);
+    });
+
+    test("should cancel every class on the date when no session is given", () => {
+      expect(classCancellationService.isCancelled(new Date(2025, 2, 12))).toBe(true);
+      expect(classCancellationService.isCancelled("2025-03-12", "2025-03-12_wed-late")).toBe(true);
+    });
+
+    test("should only cancel the named session", () => {
+      expect(classCancellationService.isCancelled("2025-03-05", "2025-03-05_wed")).toBe(true);
+      expect(classCancellationService.isCancelled("2025-03-05", "2025-03-05_wed-late")).toBe(false);
+      expect(classCancellationService.getReasonLabel(classCancellationService.getCancellation("2025-03-05", "2025-03-05_wed")))
+        .toBe("Instructor sick");
+    });
+  });
+
+  describe("addCancellation", () => {
+    test("should save a cancellation and keep it in memory", async () => {
+      const created = await classCancellationService.addCancellation({
+        date: new Date(2025, 2, 19),
+        sessionId: "2025-03-19_wed",
+        className: "18:00 · Beginner",
+        reason: "venue",
+        note: "  Hall flooded  ",
+        createdBy: "admin-1"
+      });
+
+      expect(mockClassCancellationRepository.createCancellation).toHaveBeenCalledWith({
+        date: "2025-03-19",
+        sessionId: "2025-03-19_wed",
+        className: "18:00 · Beginner",
+        reason: "venue",
+        note: "Hall flooded",
+        createdBy: "admin-1"
+      });
+      expect(created.id).toBe("new-cancellation");
+      expect(classCancellationService.isCancelled("2025-03-19", "2025-03-19_wed")).toBe(true);
+    });
+
+    test("should reject an unknown reason", async () => {
+      await expect(classCancellationService.addCancellation({ date: "2025-03-19", reason: "bored" }))
+        .rejects.toThrow("Invalid cancellation reason");
+      expect(mockClassCancellationRepository.createCancellation).not.toHaveBeenCalled();
+    });
+
+    test("should reject a date that is already a holiday", async () => {
+      await expect(classCancellationService.addCancellation({ date: "2025-12-25", reason: "weather" }))
+        .rejects.toThrow("2025-12-25 is already a holiday (Christmas Day); there is no class to cancel");
+    });
+
+    test("should reject a class that is already cancelled", async () => {
+      await expect(classCancellationService.addCancellation({ date: "2025-03-12", sessionId: "2025-03-12_wed", reason: "other" }))
+        .rejects.toThrow("Classes on 2025-03-12 are already cancelled (Weather)");
+      await expect(classCancellationService.addCancellation({ date: "2025-03-05", reason: "other" }))
+        .rejects.toThrow("Classes on 2025-03-05 are already cancelled (Instructor sick)");
+    });
+
+    test("should allow cancelling a different session on the same date", async () => {
+      await classCancellationService.addCancellation({ date: "2025-03-05", sessionId: "2025-03-05_wed-late", reason: "other" });
+
+      expect(classCancellationService.getCancellationsOnDate("2025-03-05")).toHaveLength(2);
+    });
+
+    test("should check a cancellation without saving it", async () => {
+      const prepared = await classCancellationService.prepareCancellation({ date: new Date(2025, 2, 19), reason: "weather" });
+
+      expect(prepared).toEqual(expect.objectContaining({ date: "2025-03-19", sessionId: null, reason: "weather" }));
+      expect(mockClassCancellationRepository.createCancellation).not.toHaveBeenCalled();
+      expect(classCancellationService.isCancelled("2025-03-19")).toBe(false);
+      await expect(classCancellationService.prepareCancellation({ date: "2025-03-12", reason: "other" }))
+        .rejects.toThrow("Classes on 2025-03-12 are already cancelled (Weather)");
+    });
+  });
+});
@@ -0,0 +1,168 @@
+import ClassScheduleService from "../services/ClassScheduleService";
+
+describe("ClassScheduleService", () => {
+  let classScheduleService;
+  let mockClassScheduleRepository;
+  let mockHolidayService;
+
+  // Monday and Wednesday evening classes plus a Saturday workshop
+  const scheduleEntries = [
+    { id: "mon", type: "recurring", weekday: 1, startTime: "18:00", durationMinutes: 90, level: "Beginner", location: "Studio A" },
+    { id: "wed-late", type: "recurring", weekday: 3, startTime: "19:30", durationMinutes: 60, level: "Advanced", location: "Studio B" },
+    { id: "wed", type: "recurring", weekday: 3, startTime: "18:00", durationMinutes: 90, level: "Beginner", location: "Studio A", endDate: "2025-03-31" },
+    { id: "workshop", type: "oneOff", date: "2025-03-15", startTime: "10:00", durationMinutes: 120, level: "All", location: "Main Hall" }
+  ];
+
+  beforeEach(() => {
+    mockClassScheduleRepository = {
+      getAllEntries: jest.fn().mockResolvedValue(scheduleEntries),
+      createEntry: jest.fn(entry => Promise.resolve({ id: "new-entry", ...entry })),
+      updateEntry: jest.fn(),
+      deleteEntry: jest.fn().mockResolvedValue()
+    };
+    mockHolidayService = {
+      isHoliday: jest.fn().mockReturnValue(false)
+    };
+
+    classScheduleService = new ClassScheduleService(mockClassScheduleRepository, mockHolidayService);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("without a schedule", () => {
+    test("should treat every date as a class day", () => {
+      expect(classScheduleService.hasSchedule()).toBe(false);
+      expect(classScheduleService.isClassDay(new Date(2025, 2, 4))).toBe(true);
+      expect(classScheduleService.getSessionsForDate(new Date(2025, 2, 4))).toEqual([]);
+    });
+  });
+
+  describe("getSessionsForDate", () => {
+    beforeEach(async () => {
+      await classScheduleService.loadSchedule();
+    });
+
+    test("should expand recurring classes on their weekday in start time order", () => {
+      const sessions = classScheduleService.getSessionsForDate("2025-03-05");
+
+      expect(sessions.map(session => session.classId)).toEqual(["wed", "wed-late"]);
+      expect(sessions[0]).toEqual({
+        sessionId: "2025-03-05_wed",
+        classId: "wed",
+        date: "2025-03-05",
+        name: "",
+        startTime: "18:00",
+        durationMinutes: 90,
+        level: "Beginner",
+        location: "Studio A",
+        oneOff: false
+      });
+    });
+
+    test("should stop recurring classes after their end date", () => {
+      const sessions = classScheduleService.getSessionsForDate(new Date(2025, 3, 2));
+
+      expect(sessions.map(session => session.classId)).toEqual(["wed-late"]);
+    });
+
+    test("should include one-off sessions on their date", () => {
+      const sessions = classScheduleService.getSessionsForDate("2025-03-15");
+
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0]).toMatchObject({ classId: "workshop", oneOff: true });
+    });
+
+    test("should report days without sessions as non-class days", () => {
+      expect(classScheduleService.isClassDay("2025-03-04")).toBe(false);
+      expect(classScheduleService.isClassDay("2025-03-03")).toBe(true);
+    });
+  });
+
+  describe("date ranges", () => {
+    beforeEach(async () => {
+      await classScheduleService.loadSchedule();
+    });
+
+    test("should list each class date once", () => {
+      expect(classScheduleService.getScheduledDates("2025-03-01", "2025-03-09")).toEqual([
+        "2025-03-03",
+        "2025-03-05"
+      ]);
+    });
+
+    test("should count sessions held, excluding holidays and future sessions", () => {
+      mockHolidayService.isHoliday.mockImplementation(date => date === "2025-03-10");
+
+      const held = classScheduleService.getSessionsHeld("2025-03-01", "2025-03-31", new Date(2025, 2, 15));
+
+      // Mar 3 (1), Mar 5 (2), Mar 12 (2), Mar 15 workshop (1); Mar 10 is a holiday
+      expect(held).toHaveLength(6);
+      expect(held.some(session => session.date === "2025-03-10")).toBe(false);
+      expect(held.some(session => session.date > "2025-03-15")).toBe(false);
+    });
+  });
+
+  describe("adding entries", () => {
+    test("should add a valid recurring class", async () => {
+      await classScheduleService.addRecurringClass({
+        weekday: 5,
+        startTime: "17:00",
+        durationMinutes: 60,
+        level: "Intermediate",
+        location: "Studio A"
+      });
+
+      expect(mockClassScheduleRepository.createEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "recurring", weekday: 5 })
+      );
+      expect(classScheduleService.isClassDay("2025-03-07")).toBe(true);
+    });
+
+    test("should add a one-off session on a normalized date", async () => {
+      await classScheduleService.addOneOffSession({
+        date: new Date(2025, 4, 10),
+        startTime: "09:00",
+        durationMinutes: 45
+      });
+
+      expect(mockClassScheduleRepository.createEntry).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "oneOff", date: "2025-05-10" })
+      );
+    });
+
+    test("should reject a class without a weekday", async () => {
+      await expect(classScheduleService.addRecurringClass({
+        startTime: "17:00",
+        durationMinutes: 60
+      })).rejects.toThrow("Weekday is required");
+    });
+
+    test("should reject an invalid start time", async () => {
+      await expect(classScheduleService.addRecurringClass({
+        weekday: 1,
+        startTime: "6pm",
+        durationMinutes: 60
+      })).rejects.toThrow("Start time is required");
+    });
+
+    test("should reject a non-positive duration", async () => {
+      await expect(classScheduleService.addOneOffSession({
+        date: "2025-05-10",
+        startTime: "09:00",
+        durationMinutes: 0
+      })).rejects.toThrow("Duration must be");
+    });
+  });
+
+  describe("removeEntry", () => {
+    test("should remove the entry from the schedule", async () => {
+      await classScheduleService.loadSchedule();
+      await classScheduleService.removeEntry("workshop");
+
+      expect(mockClassScheduleRepository.deleteEntry).toHaveBeenCalledWith("workshop");
+      expect(classScheduleService.isClassDay("2025-03-15")).toBe(false);
+    });
+  });
+});
@@ -15,7 +15,7 @@ const mockStudentRepository = {
 const mockAttendanceRepository = {};
 
 const mockAttendanceService = {
-  calculateAttendanceFee: jest.fn()
+  calculateAttendanceFeeWithHolidays: jest.fn()
 };
 
 const mockExpenseService = {
@@ -113,7 +113,7 @@ describe('DataValidationService', () => {
       const result = dataValidationService.validateAttendanceData('student1', invalidAttendanceData);
       
       expect(result.valid).toBe(false);
-      expect(result.errors).toContain('status must be one of: present, absent, late, medicalAbsence, holiday');
+      expect(result.errors).toContain('status must be one of: present, absent, late, medicalAbsence, holiday, cancelled');
     });
     
     it('should require timestamp', () => {
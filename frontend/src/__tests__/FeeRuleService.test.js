@@ -0,0 +1,87 @@
+import FeeRuleService from "../services/FeeRuleService";
+import AttendanceService from "../services/AttendanceService";
+
+jest.mock("firebase/firestore");
+jest.mock("../lib/firebase/config/config", () => ({}));
+
+describe("FeeRuleService", () => {
+  let feeRuleService;
+  let mockSettingsRepository;
+
+  beforeEach(() => {
+    mockSettingsRepository = {
+      getSettings: jest.fn().mockResolvedValue({
+        monthlyCap: 10,
+        rules: [{ type: "escalate", feeType: "late", afterCount: 2, multiplier: 2 }]
+      }),
+      saveSettings: jest.fn((key, settings) => Promise.resolve(settings))
+    };
+    feeRuleService = new FeeRuleService(mockSettingsRepository);
+  });
+
+  it("should load the configured rules once", async () => {
+    await feeRuleService.loadRules();
+    await feeRuleService.loadRules();
+
+    expect(mockSettingsRepository.getSettings).toHaveBeenCalledTimes(1);
+    expect(feeRuleService.hasRules()).toBe(true);
+    expect(feeRuleService.getRules().monthlyCap).toBe(10);
+  });
+
+  it("should fall back to no rules when the settings cannot be read", async () => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    mockSettingsRepository.getSettings.mockRejectedValue(new Error("offline"));
+
+    await feeRuleService.loadRules();
+
+    expect(feeRuleService.hasRules()).toBe(false);
+    console.warn.mockRestore();
+  });
+
+  it("should only read the fee year for repeat-offense rules", async () => {
+    const date = new Date(2025, 9, 15);
+    expect(feeRuleService.getHistoryStartDate(date)).toEqual(new Date(2025, 9, 1));
+
+    await feeRuleService.loadRules();
+    expect(feeRuleService.getHistoryStartDate(date)).toEqual(new Date(2025, 7, 13));
+  });
+
+  it("should save normalized rules and reject invalid ones", async () => {
+    const saved = await feeRuleService.saveRules({
+      monthlyCap: null,
+      rules: [{ type: "waiveFirst", feeType: "noShoes", count: 1, multiplier: 4 }]
+    });
+
+    expect(saved).toEqual({ monthlyCap: null, rules: [{ type: "waiveFirst", feeType: "noShoes", count: 1 }] });
+    expect(mockSettingsRepository.saveSettings).toHaveBeenCalledWith("feeRules", saved);
+
+    await expect(feeRuleService.saveRules({ monthlyCap: -1, rules: [] }))
+      .rejects.toThrow("Monthly cap must be zero or more");
+    await expect(feeRuleService.saveRules({ rules: [{ type: "escalate", feeType: "late", afterCount: 1, multiplier: 0 }] }))
+      .rejects.toThrow("Escalation multiplier must be greater than zero");
+    await expect(feeRuleService.saveRules({ rules: [{ type: "waiveFirst", feeType: "tardy", count: 1 }] }))
+      .rejects.toThrow("Invalid fee type");
+  });
+
+  it("should price a marking on the attendance screen after the student's earlier offenses", async () => {
+    await feeRuleService.loadRules();
+    const attendanceService = new AttendanceService(
+      { getAttendanceByDateRange: jest.fn().mockResolvedValue([
+        { id: "2025-09-03", records: { s1: { status: "present", attributes: { late: true } } } },
+        { id: "2025-09-08", records: { s1: { status: "present", attributes: { late: true } } } },
+        { id: "2025-09-15", records: { s1: { status: "present", attributes: {} } } }
+      ]) },
+      { getAllStudents: jest.fn().mockResolvedValue([{ id: "s1", enrollmentStatus: "Enrolled" }]) },
+      undefined, undefined, undefined,
+      feeRuleService
+    );
+    jest.spyOn(attendanceService, "calculateAttendanceFee")
+      .mockImplementation((status, attributes) => (attributes.late ? 1.5 : 0));
+
+    const history = await attendanceService.getFeeRuleHistory(new Date(2025, 8, 15));
+    const date = new Date(2025, 8, 15);
+
+    expect(attendanceService.calculateMarkingFee("present", { late: true }, date, "2025-09-15", history.s1)).toBe(3);
+    expect(attendanceService.calculateMarkingFee("present", { late: true }, date, "2025-09-15", [])).toBe(1.5);
+  });
+});
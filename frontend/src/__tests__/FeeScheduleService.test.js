@@ -0,0 +1,146 @@
+import FeeScheduleService from "../services/FeeScheduleService";
+import AttendanceService from "../services/AttendanceService";
+
+describe("FeeScheduleService", () => {
+  let feeScheduleService;
+  let mockFeeScheduleRepository;
+
+  const scheduleEntries = [
+    { id: "rate1", feeType: "absent", amount: 7, effectiveFrom: "2024-09-01" },
+    { id: "rate2", feeType: "absent", amount: 10, effectiveFrom: "2025-01-06" },
+    { id: "rate3", feeType: "late", amount: 2, effectiveFrom: "2024-10-01" }
+  ];
+
+  beforeEach(() => {
+    mockFeeScheduleRepository = {
+      getAllRates: jest.fn().mockResolvedValue(scheduleEntries),
+      createRate: jest.fn(rate => Promise.resolve({ id: "new-rate", ...rate })),
+      deleteRate: jest.fn().mockResolvedValue()
+    };
+
+    feeScheduleService = new FeeScheduleService(mockFeeScheduleRepository);
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("getRatesForDate", () => {
+    test("should return the default rates when no schedule is loaded", () => {
+      expect(feeScheduleService.getRatesForDate(new Date(2024, 8, 4))).toEqual({
+        absent: 5,
+        late: 1,
+        noShoes: 1,
+        notInUniform: 1
+      });
+    });
+
+    test("should use the rate in effect on the attendance date", async () => {
+      await feeScheduleService.loadSchedule();
+
+      expect(feeScheduleService.getRate("absent", new Date(2024, 7, 30))).toBe(5);
+      expect(feeScheduleService.getRate("absent", new Date(2024, 8, 1))).toBe(7);
+      expect(feeScheduleService.getRate("absent", "2024-12-20")).toBe(7);
+      expect(feeScheduleService.getRate("absent", "2025-01-06")).toBe(10);
+      expect(feeScheduleService.getRate("late", "2024-09-30")).toBe(1);
+      expect(feeScheduleService.getRate("late", "2024-10-02")).toBe(2);
+      expect(feeScheduleService.getRate("noShoes", "2025-02-01")).toBe(1);
+    });
+
+    test("should accept Firestore timestamps", async () => {
+      await feeScheduleService.loadSchedule();
+      const timestamp = { toDate: () => new Date(2025, 1, 3, 12) };
+
+      expect(feeScheduleService.getRate("absent", timestamp)).toBe(10);
+    });
+  });
+
+  describe("loadSchedule", () => {
+    test("should only fetch the schedule once unless forced", async () => {
+      await feeScheduleService.loadSchedule();
+      await feeScheduleService.loadSchedule();
+      expect(mockFeeScheduleRepository.getAllRates).toHaveBeenCalledTimes(1);
+
+      await feeScheduleService.loadSchedule(true);
+      expect(mockFeeScheduleRepository.getAllRates).toHaveBeenCalledTimes(2);
+    });
+
+    test("should fall back to default rates when the schedule cannot be loaded", async () => {
+      const consoleSpy = jest.spyOn(console, "warn").mockImplementation(() => {});
+      mockFeeScheduleRepository.getAllRates.mockRejectedValue(new Error("offline"));
+
+      await expect(feeScheduleService.loadSchedule()).resolves.toEqual([]);
+      expect(feeScheduleService.getRate("absent", "2025-02-01")).toBe(5);
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe("addRate", () => {
+    test("should persist a valid rate and apply it from its effective date", async () => {
+      await feeScheduleService.addRate({
+        feeType: "notInUniform",
+        amount: 3,
+        effectiveFrom: "2025-03-01",
+        adminId: "admin1"
+      });
+
+      expect(mockFeeScheduleRepository.createRate).toHaveBeenCalledWith({
+        feeType: "notInUniform",
+        amount: 3,
+        effectiveFrom: "2025-03-01",
+        adminId: "admin1"
+      });
+      expect(feeScheduleService.getRate("notInUniform", "2025-02-28")).toBe(1);
+      expect(feeScheduleService.getRate("notInUniform", "2025-03-01")).toBe(3);
+    });
+
+    test("should reject an invalid fee type", async () => {
+      await expect(feeScheduleService.addRate({
+        feeType: "tardy",
+        amount: 2,
+        effectiveFrom: "2025-03-01"
+      })).rejects.toThrow("Invalid fee type");
+    });
+
+    test("should reject a negative amount", async () => {
+      await expect(feeScheduleService.addRate({
+        feeType: "late",
+        amount: -1,
+        effectiveFrom: "2025-03-01"
+      })).rejects.toThrow("Fee amount must be zero or greater");
+    });
+
+    test("should reject a second rate for the same type and date", async () => {
+      await feeScheduleService.loadSchedule();
+
+      await expect(feeScheduleService.addRate({
+        feeType: "absent",
+        amount: 8,
+        effectiveFrom: "2025-01-06"
+      })).rejects.toThrow("already takes effect on 2025-01-06");
+      expect(mockFeeScheduleRepository.createRate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("removeRate", () => {
+    test("should delete the rate and fall back to the previous one", async () => {
+      await feeScheduleService.loadSchedule();
+      await feeScheduleService.removeRate("rate2");
+
+      expect(mockFeeScheduleRepository.deleteRate).toHaveBeenCalledWith("rate2");
+      expect(feeScheduleService.getRate("absent", "2025-02-01")).toBe(7);
+    });
+  });
+
+  describe("AttendanceService integration", () => {
+    test("should charge attendance at the rates in effect on the attendance date", async () => {
+      await feeScheduleService.loadSchedule();
+      const attendanceService = new AttendanceService({}, {}, {}, {}, feeScheduleService);
+
+      expect(attendanceService.calculateAttendanceFee("absent", {}, "2024-08-20")).toBe(5);
+      expect(attendanceService.calculateAttendanceFee("absent", {}, "2025-01-08")).toBe(10);
+      expect(attendanceService.calculateAttendanceFee("present", { late: true, noShoes: true }, "2024-10-07")).toBe(3);
+    });
+  });
+});
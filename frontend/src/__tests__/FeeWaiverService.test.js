@@ -0,0 +1,154 @@
+import FeeWaiverService from "../services/FeeWaiverService";
+
+jest.mock("firebase/firestore");
+jest.mock("../lib/firebase/config/config", () => ({}));
+
+describe("FeeWaiverService", () => {
+  let feeWaiverService;
+  let mockFeeWaiverRepository;
+  let mockSettingsRepository;
+  let mockLedgerService;
+  let mockPaymentService;
+  let waivers;
+  let openFees;
+
+  beforeEach(() => {
+    waivers = [];
+    openFees = [
+      { feeId: "2025-09-01", date: new Date(2025, 8, 1), remaining: 5 },
+      { feeId: "2025-09-08", date: new Date(2025, 8, 8), remaining: 15 },
+      { feeId: "2025-09-15", date: new Date(2025, 8, 15), remaining: 20 }
+    ];
+    mockFeeWaiverRepository = {
+      getWaiverById: jest.fn(id => Promise.resolve(waivers.find(waiver => waiver.id === id) || null)),
+      getWaiversByStudentId: jest.fn(() => Promise.resolve(waivers)),
+      getWaiversByStatus: jest.fn(status => Promise.resolve(waivers.filter(waiver => waiver.status === status))),
+      createWaiver: jest.fn(data => Promise.resolve({ id: "waiver1", ...data })),
+      updateWaiver: jest.fn((id, updates) => Promise.resolve({ ...waivers.find(waiver => waiver.id === id), ...updates }))
+    };
+    mockSettingsRepository = {
+      getSettings: jest.fn().mockResolvedValue({ approvalThreshold: 25 }),
+      saveSettings: jest.fn((key, settings) => Promise.resolve(settings))
+    };
+    mockLedgerService = {
+      postWaiver: jest.fn().mockResolvedValue({ updatedStudent: { id: "student1", balance: 20 } })
+    };
+    mockPaymentService = {
+      getOpenFees: jest.fn(() => Promise.resolve(openFees))
+    };
+    const mockStudentRepository = {
+      getStudentById: jest.fn().mockResolvedValue({ id: "student1", firstName: "Ana", lastName: "Lopez" })
+    };
+    feeWaiverService = new FeeWaiverService(
+      mockFeeWaiverRepository,
+      mockStudentRepository,
+      mockSettingsRepository,
+      mockLedgerService,
+      mockPaymentService
+    );
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test("should approve and post a waiver at or below the threshold at once", async () => {
+    const { waiver, updatedStudent } = await feeWaiverService.requestWaiver(
+      "student1",
+      { startDate: "2025-09-01", endDate: "2025-09-08", reason: " Family emergency " },
+      { adminId: "admin1" }
+    );
+
+    expect(waiver).toEqual(expect.objectContaining({
+      studentName: "Ana Lopez",
+      fees: [
+        { feeId: "2025-09-01", feeDate: "2025-09-01", amount: 5 },
+        { feeId: "2025-09-08", feeDate: "2025-09-08", amount: 15 }
+      ],
+      amount: 20,
+      reason: "Family emergency",
+      startDate: "2025-09-01",
+      endDate: "2025-09-08",
+      status: "approved",
+      requestedBy: "admin1",
+      approvedBy: "admin1"
+    }));
+    expect(mockLedgerService.postWaiver).toHaveBeenCalledWith("student1", 20, expect.objectContaining({
+      sourceType: "waiver",
+      sourceId: "waiver1",
+      description: "Fee waiver: Family emergency",
+      createdBy: "admin1"
+    }));
+    expect(updatedStudent).toEqual({ id: "student1", balance: 20 });
+  });
+
+  test("should hold a waiver above the threshold for a second admin", async () => {
+    const { waiver, updatedStudent } = await feeWaiverService.requestWaiver(
+      "student1",
+      { feeIds: ["2025-09-08", "2025-09-15"], reason: "Injury" },
+      { adminId: "admin1" }
+    );
+
+    expect(waiver).toEqual(expect.objectContaining({ amount: 35, status: "pending", approvedBy: null }));
+    expect(waiver).not.toHaveProperty("startDate");
+    expect(updatedStudent).toBeNull();
+    expect(mockLedgerService.postWaiver).not.toHaveBeenCalled();
+
+    // The held fees cannot be waived again while the request is pending
+    waivers = [waiver];
+    await expect(feeWaiverService.requestWaiver("student1", { feeIds: ["2025-09-08"], reason: "Injury" }, { adminId: "admin2" }))
+      .rejects.toThrow("Failed to waive fees: There are no unpaid fees to waive");
+  });
+
+  test("should reject requests without a reason or fees to waive", async () => {
+    await expect(feeWaiverService.requestWaiver("student1", { feeIds: ["2025-09-01"], reason: " " }))
+      .rejects.toThrow("A reason is required for waivers");
+    await expect(feeWaiverService.requestWaiver("student1", { startDate: "2025-09-08", endDate: "2025-09-01", reason: "Injury" }))
+      .rejects.toThrow("Pick the fees to waive or a valid date range");
+    await expect(feeWaiverService.requestWaiver("student1", { startDate: "2025-10-01", endDate: "2025-10-31", reason: "Injury" }))
+      .rejects.toThrow("There are no unpaid fees to waive");
+    expect(mockFeeWaiverRepository.createWaiver).not.toHaveBeenCalled();
+  });
+
+  test("should only let a second admin approve, up to what is still owed", async () => {
+    waivers = [{
+      id: "waiver2",
+      studentId: "student1",
+      fees: [{ feeId: "2025-09-08", feeDate: "2025-09-08", amount: 15 }, { feeId: "2025-09-15", feeDate: "2025-09-15", amount: 20 }],
+      amount: 35,
+      reason: "Injury",
+      status: "pending",
+      requestedBy: "admin1"
+    }];
+
+    await expect(feeWaiverService.approveWaiver("waiver2", { adminId: "admin1" }))
+      .rejects.toThrow("A second admin must approve this waiver");
+
+    // A payment covered part of one fee while the waiver was pending
+    openFees = [{ feeId: "2025-09-15", date: new Date(2025, 8, 15), remaining: 12 }];
+    const { waiver } = await feeWaiverService.approveWaiver("waiver2", { adminId: "admin2" });
+
+    expect(mockFeeWaiverRepository.updateWaiver).toHaveBeenCalledWith("waiver2", expect.objectContaining({
+      fees: [{ feeId: "2025-09-15", feeDate: "2025-09-15", amount: 12 }],
+      amount: 12,
+      status: "approved",
+      approvedBy: "admin2"
+    }));
+    expect(waiver.status).toBe("approved");
+    expect(mockLedgerService.postWaiver).toHaveBeenCalledWith("student1", 12, expect.objectContaining({ sourceId: "waiver2" }));
+  });
+
+  test("should reject pending waivers and save the approval threshold", async () => {
+    waivers = [{ id: "waiver3", studentId: "student1", status: "pending", requestedBy: "admin1" }];
+
+    const rejected = await feeWaiverService.rejectWaiver("waiver3", { adminId: "admin2", reason: " Not eligible " });
+
+    expect(rejected).toEqual(expect.objectContaining({ status: "rejected", rejectedBy: "admin2", rejectionReason: "Not eligible" }));
+    expect(mockLedgerService.postWaiver).not.toHaveBeenCalled();
+
+    await feeWaiverService.saveApprovalThreshold(40.456);
+    expect(mockSettingsRepository.saveSettings).toHaveBeenCalledWith("waivers", { approvalThreshold: 40.46 });
+    await expect(feeWaiverService.saveApprovalThreshold(-1)).rejects.toThrow("Approval threshold must be zero or more");
+  });
+});
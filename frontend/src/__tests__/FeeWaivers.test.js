@@ -0,0 +1,53 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import FeeWaivers from '../components/FeeWaivers';
+import { feeWaiverService } from '../services/FeeWaiverService';
+
+jest.mock('../services/FeeWaiverService', () => ({
+  feeWaiverService: {
+    getPendingWaivers: jest.fn(),
+    getApprovalThreshold: jest.fn(),
+    saveApprovalThreshold: jest.fn(),
+    approveWaiver: jest.fn(),
+    rejectWaiver: jest.fn()
+  }
+}));
+
+describe('FeeWaivers Component', () => {
+  const waiver = {
+    id: 'waiver1',
+    studentId: 'student1',
+    studentName: 'Ana Lopez',
+    fees: [{ feeId: '2025-09-08', feeDate: '2025-09-08', amount: 35 }],
+    amount: 35,
+    reason: 'Injury',
+    status: 'pending',
+    requestedBy: 'admin1'
+  };
+
+  beforeEach(() => {
+    feeWaiverService.getPendingWaivers.mockResolvedValue([waiver]);
+    feeWaiverService.getApprovalThreshold.mockResolvedValue(25);
+  });
+
+  test('lets a second admin approve a pending waiver', async () => {
+    feeWaiverService.approveWaiver.mockResolvedValue({ waiver: { ...waiver, status: 'approved' } });
+
+    render(<FeeWaivers userRole="admin" currentUser={{ uid: 'admin2' }} />);
+
+    expect(await screen.findByTestId('waiver-waiver1')).toHaveTextContent('Ana Lopez');
+    expect(screen.getByTestId('waiver-threshold')).toHaveValue(25);
+    fireEvent.click(screen.getByTestId('approve-waiver-waiver1'));
+
+    await waitFor(() => {
+      expect(feeWaiverService.approveWaiver).toHaveBeenCalledWith('waiver1', { adminId: 'admin2' });
+    });
+    expect(await screen.findByTestId('fee-waivers-message')).toHaveTextContent('Waived $35.00 for Ana Lopez.');
+  });
+
+  test('does not let admins approve their own requests', async () => {
+    render(<FeeWaivers userRole="admin" currentUser={{ uid: 'admin1' }} />);
+
+    expect(await screen.findByTestId('approve-waiver-waiver1')).toBeDisabled();
+  });
+});
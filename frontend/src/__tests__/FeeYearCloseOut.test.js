@@ -0,0 +1,74 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import FeeYearCloseOut from '../components/FeeYearCloseOut';
+import { feeYearCloseService } from '../services/FeeYearCloseService';
+
+jest.mock('../services/FeeYearCloseService', () => ({
+  feeYearCloseService: {
+    getLastEndedFeeYear: jest.fn(),
+    previewClose: jest.fn(),
+    closeFeeYear: jest.fn()
+  }
+}));
+
+describe('FeeYearCloseOut Component', () => {
+  const preview = {
+    feeYear: 2024,
+    label: '2024-2025',
+    startDate: '2024-08-13',
+    endDate: '2025-08-12',
+    students: [{ studentId: 's1', name: 'Ana Lopez', enrollmentStatus: 'Enrolled', openingBalance: 0, closingBalance: 12.5 }],
+    totals: { studentCount: 1, owed: 12.5, credit: 0, carriedForward: 12.5 },
+    studentsToRemove: [{ studentId: 's3', name: 'Cy Diaz', inactiveSince: '2024-03-01' }]
+  };
+
+  beforeEach(() => {
+    feeYearCloseService.getLastEndedFeeYear.mockReturnValue(2024);
+    feeYearCloseService.previewClose.mockResolvedValue(preview);
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+  });
+
+  test('previews the close-out before closing the year', async () => {
+    feeYearCloseService.closeFeeYear.mockResolvedValue({
+      label: '2024-2025',
+      totals: preview.totals,
+      removedStudents: preview.studentsToRemove
+    });
+
+    render(
+      <MemoryRouter>
+        <FeeYearCloseOut userRole="admin" currentUser={{ uid: 'admin1', email: 'admin@example.com' }} />
+      </MemoryRouter>
+    );
+
+    fireEvent.click(screen.getByTestId('preview-close'));
+
+    expect(await screen.findByTestId('close-student-s1')).toHaveTextContent('$12.50');
+    expect(screen.getByTestId('students-to-remove')).toHaveTextContent('Cy Diaz');
+    expect(feeYearCloseService.previewClose).toHaveBeenCalledWith(2024, { removeInactiveMonths: 12 });
+
+    fireEvent.click(screen.getByTestId('confirm-close'));
+
+    expect(await screen.findByTestId('close-complete')).toHaveTextContent('Fee year 2024-2025 is closed.');
+    expect(feeYearCloseService.closeFeeYear).toHaveBeenCalledWith(2024, {
+      removeInactiveMonths: 12,
+      closedBy: { uid: 'admin1', email: 'admin@example.com' }
+    });
+  });
+
+  test('keeps inactive students when removal is turned off', async () => {
+    render(
+      <MemoryRouter>
+        <FeeYearCloseOut userRole="admin" currentUser={{ uid: 'admin1' }} />
+      </MemoryRouter>
+    );
+
+    fireEvent.click(screen.getByTestId('remove-inactive'));
+    fireEvent.click(screen.getByTestId('preview-close'));
+
+    await waitFor(() => {
+      expect(feeYearCloseService.previewClose).toHaveBeenCalledWith(2024, { removeInactiveMonths: null });
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import FeeYearCloseService from "../services/FeeYearCloseService";
+import { DateService } from "../services/DateService";
+import { LEDGER_SOURCE_TYPES } from "../constants/ledgerConstants";
+
+jest.mock("firebase/firestore");
+jest.mock("../lib/firebase/config/config", () => ({}));
+
+describe("FeeYearCloseService", () => {
+  let feeYearCloseService;
+  let mockArchiveRepository;
+  let mockStudentService;
+  let mockStatementService;
+  let mockReportService;
+  let mockLedgerService;
+  let ledgerEntries;
+
+  const students = [
+    { id: "s1", firstName: "Ana", lastName: "Lopez", enrollmentStatus: "Enrolled" },
+    { id: "s2", firstName: "Ben", lastName: "Cruz", enrollmentStatus: "Enrolled" },
+    {
+      id: "s3",
+      firstName: "Cy",
+      lastName: "Diaz",
+      enrollmentStatus: "Inactive",
+      enrollmentHistory: [{ status: "Inactive", previousStatus: "Enrolled", effectiveDate: "2024-03-01" }]
+    },
+    {
+      id: "s4",
+      firstName: "Di",
+      lastName: "Ortiz",
+      enrollmentStatus: "Inactive",
+      enrollmentHistory: [{ status: "Inactive", previousStatus: "Enrolled", effectiveDate: "2025-06-01" }]
+    }
+  ];
+  const closingBalances = { s1: 12.5, s2: -5, s3: 0, s4: 0 };
+
+  beforeEach(() => {
+    ledgerEntries = [];
+    mockArchiveRepository = {
+      getArchive: jest.fn().mockResolvedValue(null),
+      getAllArchives: jest.fn().mockResolvedValue([{ id: "2023", feeYear: 2023 }, { id: "2024", feeYear: 2024 }]),
+      createArchive: jest.fn((feeYear, data) => Promise.resolve({ id: String(feeYear), ...data }))
+    };
+    mockStudentService = {
+      getAllStudents: jest.fn().mockResolvedValue(students),
+      changeEnrollmentStatus: jest.fn().mockResolvedValue({})
+    };
+    mockStatementService = {
+      generateStatement: jest.fn(studentId => Promise.resolve({
+        openingBalance: 0,
+        totals: { charges: 20, credits: 0, adjustments: 0, payments: -20 + closingBalances[studentId], refunds: 0 },
+        closingBalance: closingBalances[studentId]
+      }))
+    };
+    mockReportService = {
+      calculateStudentBalance: jest.fn().mockResolvedValue({ calculatedBalance: 0 }),
+      generateCumulativeFinancialReport: jest.fn().mockResolvedValue({
+        totals: { totalFeesCharged: 80 },
+        feeBreakdown: { absence: 80 },
+        expenseBreakdown: {},
+        yearToDate: { year: 2024 },
+        monthlyReports: [{ title: "Financial Report: August 2024", summary: { totalFeesCharged: 80 }, studentDetails: [] }]
+      })
+    };
+    mockLedgerService = {
+      roundAmount: amount => Math.round(amount * 100) / 100,
+      getStudentEntries: jest.fn(() => Promise.resolve(ledgerEntries)),
+      postAdjustment: jest.fn().mockResolvedValue({})
+    };
+
+    feeYearCloseService = new FeeYearCloseService(
+      mockArchiveRepository,
+      mockStudentService,
+      mockStatementService,
+      mockReportService,
+      mockLedgerService,
+      new DateService()
+    );
+  });
+
+  it("should find the fee year that ended most recently", () => {
+    expect(feeYearCloseService.getLastEndedFeeYear(new Date(2025, 7, 12))).toBe(2023);
+    expect(feeYearCloseService.getLastEndedFeeYear(new Date(2025, 7, 13))).toBe(2024);
+    expect(feeYearCloseService.getFeeYearRange(2024)).toEqual({
+      startDate: new Date(2024, 7, 13),
+      endDate: new Date(2025, 7, 12)
+    });
+  });
+
+  it("should preview balances carried forward and long-inactive students at $0", async () => {
+    const preview = await feeYearCloseService.previewClose(2024, { removeInactiveMonths: 12 });
+
+    expect(mockStatementService.generateStatement).toHaveBeenCalledWith("s1", new Date(2024, 7, 13), new Date(2025, 7, 12));
+    expect(preview.label).toBe("2024-2025");
+    expect(preview.totals).toEqual({ studentCount: 4, owed: 12.5, credit: 5, carriedForward: 7.5 });
+    // s4 has been Inactive for only two months by the end of the year
+    expect(preview.studentsToRemove).toEqual([{ studentId: "s3", name: "Cy Diaz", inactiveSince: "2024-03-01" }]);
+  });
+
+  it("should not remove anyone when removal is turned off, or students who still owe", async () => {
+    expect((await feeYearCloseService.previewClose(2024, { removeInactiveMonths: null })).studentsToRemove).toEqual([]);
+
+    mockReportService.calculateStudentBalance.mockResolvedValue({ calculatedBalance: 3 });
+    expect((await feeYearCloseService.previewClose(2024)).studentsToRemove).toEqual([]);
+  });
+
+  it("should refuse years that have not ended or are already closed", async () => {
+    const currentFeeYear = new DateService().calculateFeeYearStartDate(new Date()).getFullYear();
+    await expect(feeYearCloseService.previewClose(currentFeeYear)).rejects.toThrow("has not ended yet");
+
+    mockArchiveRepository.getArchive.mockResolvedValue({ id: "2024" });
+    await expect(feeYearCloseService.closeFeeYear(2024)).rejects.toThrow("Fee year 2024-2025 is already closed");
+    expect(mockLedgerService.postAdjustment).not.toHaveBeenCalled();
+  });
+
+  it("should carry balances forward, remove long-inactive students and archive the year", async () => {
+    const closedBy = { uid: "admin1", email: "admin@example.com" };
+    const archive = await feeYearCloseService.closeFeeYear(2024, { closedBy });
+
+    expect(mockLedgerService.postAdjustment).toHaveBeenCalledTimes(4);
+    expect(mockLedgerService.postAdjustment).toHaveBeenCalledWith("s1", -12.5, expect.objectContaining({
+      sourceType: LEDGER_SOURCE_TYPES.FEE_YEAR_CLOSE, sourceId: "2024", date: new Date(2025, 7, 12), createdBy: "admin1"
+    }));
+    expect(mockLedgerService.postAdjustment).toHaveBeenCalledWith("s1", 12.5, expect.objectContaining({
+      sourceType: LEDGER_SOURCE_TYPES.FEE_YEAR_OPENING, sourceId: "2024", date: new Date(2025, 7, 13)
+    }));
+    expect(mockLedgerService.postAdjustment).toHaveBeenCalledWith("s2", 5, expect.objectContaining({
+      sourceType: LEDGER_SOURCE_TYPES.FEE_YEAR_CLOSE
+    }));
+    expect(mockStudentService.changeEnrollmentStatus).toHaveBeenCalledWith("s3", "Removed", expect.objectContaining({ changedBy: closedBy }));
+
+    expect(mockArchiveRepository.createArchive).toHaveBeenCalledWith(2024, expect.objectContaining({
+      label: "2024-2025",
+      closedBy,
+      removedStudents: [expect.objectContaining({ studentId: "s3" })]
+    }));
+    expect(archive.report).toEqual({
+      title: "Financial Report: Fee Year 2024-2025",
+      totals: { totalFeesCharged: 80 },
+      feeBreakdown: { absence: 80 },
+      expenseBreakdown: {},
+      yearToDate: { year: 2024 },
+      months: [{ title: "Financial Report: August 2024", summary: { totalFeesCharged: 80 } }]
+    });
+  });
+
+  it("should not post carry-forward entries twice when a failed close is run again", async () => {
+    ledgerEntries = [
+      { sourceType: LEDGER_SOURCE_TYPES.FEE_YEAR_CLOSE, sourceId: "2024" },
+      { sourceType: LEDGER_SOURCE_TYPES.FEE_YEAR_OPENING, sourceId: "2024" }
+    ];
+
+    await feeYearCloseService.closeFeeYear(2024, { removeInactiveMonths: null });
+
+    expect(mockLedgerService.postAdjustment).not.toHaveBeenCalled();
+    expect(mockArchiveRepository.createArchive).toHaveBeenCalled();
+  });
+
+  it("should list archives most recent first", async () => {
+    expect((await feeYearCloseService.getArchives()).map(archive => archive.id)).toEqual(["2024", "2023"]);
+  });
+});
@@ -1,8 +1,9 @@
 import React from 'react';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import FinancialReports from '../components/FinancialReports';
 import { reportService } from '../services/ReportService';
+import { feeYearCloseService } from '../services/FeeYearCloseService';
 
 // Mock the ReportService
 jest.mock('../services/ReportService', () => ({
@@ -14,6 +15,12 @@ jest.mock('../services/ReportService', () => ({
   }
 }));
 
+jest.mock('../services/FeeYearCloseService', () => ({
+  feeYearCloseService: {
+    getArchives: jest.fn()
+  }
+}));
+
 describe('FinancialReports Component', () => {
   const mockStudentBalances = [
     { 
@@ -115,4 +122,33 @@ describe('FinancialReports Component', () => {
       expect(screen.getByText('Some error')).toBeInTheDocument();
     });
   });
+
+  test('shows archived fee years read-only', async () => {
+    reportService.generateDetailedMonthlyFinancialReport.mockImplementation(() => new Promise(() => {}));
+    feeYearCloseService.getArchives.mockResolvedValue([{
+      id: '2024',
+      feeYear: 2024,
+      label: '2024-2025',
+      startDate: '2024-08-13',
+      endDate: '2025-08-12',
+      closedBy: { uid: 'admin1', email: 'admin@example.com' },
+      totals: { studentCount: 1, owed: 12.5, credit: 0, carriedForward: 12.5 },
+      students: [{ studentId: 'student1', name: 'John Doe', enrollmentStatus: 'Enrolled', openingBalance: 0, charges: 40, payments: -27.5, closingBalance: 12.5 }],
+      removedStudents: [],
+      report: {
+        title: 'Financial Report: Fee Year 2024-2025',
+        totals: { totalFeesCharged: 40, totalFeesWaived: 0, totalPaymentsReceived: 27.5, totalExpenses: 0 },
+        months: [{ title: 'Financial Report: August 2024', summary: { totalFeesCharged: 40, totalPaymentsReceived: 27.5, feesCollected: 27.5, pendingFees: 12.5 } }]
+      }
+    }]);
+
+    render(<FinancialReports userRole="admin" />);
+    fireEvent.click(screen.getByTestId('archive-tab'));
+
+    const archivedReport = await screen.findByTestId('archived-report');
+    expect(archivedReport).toHaveTextContent('Financial Report: Fee Year 2024-2025');
+    expect(archivedReport).toHaveTextContent('John Doe');
+    expect(screen.getByTestId('archived-carried-owed')).toHaveTextContent('$12.50');
+    expect(screen.queryByRole('button', { name: /delete|edit/i })).not.toBeInTheDocument();
+  });
 });
\ No newline at end of file
@@ -0,0 +1,119 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import HolidayCalendar from '../components/HolidayCalendar';
+import { holidayService } from '../services/HolidayService';
+import { attendanceDashboardService } from '../services/AttendanceDashboardService';
+
+jest.mock('../services/HolidayService', () => {
+  const HolidayService = jest.requireActual('../services/HolidayService').default;
+  return {
+    holidayService: new HolidayService(
+      {
+        getAllHolidays: () => Promise.resolve([
+          { id: 'h1', name: 'Studio Anniversary', type: 'holiday', startDate: '2025-05-02', endDate: '2025-05-02' }
+        ]),
+        createHoliday: data => Promise.resolve({ id: 'h2', ...data }),
+        updateHoliday: () => Promise.resolve(),
+        deleteHoliday: () => Promise.resolve()
+      },
+      {
+        getSettings: () => Promise.resolve({ disabledBuiltIns: ['Columbus Day'] }),
+        saveSettings: () => Promise.resolve()
+      }
+    )
+  };
+});
+
+jest.mock('../services/CalendarFeedService', () => ({
+  calendarFeedService: {
+    getPublishedFeed: () => Promise.resolve(null),
+    getFeedUrl: () => null
+  }
+}));
+
+jest.mock('../services/AttendanceDashboardService', () => ({
+  attendanceDashboardService: {
+    getHolidayChanges: jest.fn(),
+    rollbackHolidayChange: jest.fn()
+  }
+}));
+
+describe('HolidayCalendar Component', () => {
+  beforeEach(() => {
+    jest.spyOn(window, 'prompt').mockReturnValue('Founders Day');
+    attendanceDashboardService.getHolidayChanges.mockResolvedValue([]);
+  });
+
+  test('adds a multi-day closure and renames an entry', async () => {
+    render(<HolidayCalendar userRole="admin" currentUser={{ uid: 'admin1' }} />);
+
+    expect(await screen.findByTestId('holiday-h1')).toHaveTextContent('Studio Anniversary');
+    expect(screen.getByLabelText('Observe Columbus Day')).not.toBeChecked();
+    expect(screen.getByLabelText('Observe Thanksgiving')).toBeChecked();
+
+    fireEvent.change(screen.getByLabelText('Name:'), { target: { value: 'Winter Break' } });
+    fireEvent.change(screen.getByLabelText('Type:'), { target: { value: 'closure' } });
+    fireEvent.change(screen.getByLabelText('Start Date:'), { target: { value: '2025-12-22' } });
+    fireEvent.change(screen.getByLabelText('End Date:'), { target: { value: '2026-01-02' } });
+    fireEvent.click(screen.getByText('Add to Calendar'));
+
+    expect(await screen.findByTestId('holiday-h2')).toHaveTextContent('Closure');
+    expect(holidayService.getHolidayName('2025-12-30')).toBe('Winter Break');
+
+    fireEvent.click(screen.getAllByText('Rename')[0]);
+
+    await waitFor(() => expect(screen.getByTestId('holiday-h1')).toHaveTextContent('Founders Day'));
+    expect(holidayService.getHolidayName('2025-05-02')).toBe('Founders Day');
+  });
+
+  test('selects a regional rule set and adds a custom rule', async () => {
+    render(<HolidayCalendar userRole="admin" currentUser={{ uid: 'admin1' }} />);
+
+    fireEvent.click(await screen.findByLabelText('Use Hawaii state holidays'));
+
+    expect(await screen.findByTestId('holiday-rule-Good Friday')).toHaveTextContent('2 days before Easter');
+    expect(screen.getByTestId('holiday-rule-Good Friday')).toHaveTextContent('Hawaii state holidays');
+
+    fireEvent.change(screen.getByLabelText('Rule name:'), { target: { value: 'Easter Monday' } });
+    fireEvent.change(screen.getByLabelText('Rule type:'), { target: { value: 'easterRelative' } });
+    fireEvent.change(screen.getByLabelText('Days from Easter:'), { target: { value: '1' } });
+    fireEvent.click(screen.getByText('Add Rule'));
+
+    expect(await screen.findByTestId('holiday-rule-Easter Monday')).toHaveTextContent('1 day after Easter');
+    expect(holidayService.getHolidayName('2025-04-21')).toBe('Easter Monday');
+  });
+
+  test('rolls back an applied holiday change', async () => {
+    const appliedChange = {
+      id: 'adj1',
+      date: '2025-05-02',
+      holidayName: 'Manual Holiday',
+      status: 'applied',
+      students: [{ studentId: 's1', creditsIssued: 5 }],
+      totalCreditsIssued: 5
+    };
+    attendanceDashboardService.getHolidayChanges
+      .mockResolvedValueOnce([appliedChange])
+      .mockResolvedValueOnce([{ ...appliedChange, status: 'rolledBack' }]);
+    attendanceDashboardService.rollbackHolidayChange.mockResolvedValue({
+      message: 'Rolled back Manual Holiday on 5/2/2025. Reversed $5 in holiday credits and restored 1 attendance records.'
+    });
+    jest.spyOn(window, 'confirm').mockReturnValue(true);
+
+    render(<HolidayCalendar userRole="admin" currentUser={{ uid: 'admin1' }} />);
+
+    expect(await screen.findByTestId('holiday-change-adj1')).toHaveTextContent('$5.00');
+    fireEvent.click(screen.getByText('Roll Back'));
+
+    expect(await screen.findByTestId('holiday-rollback-result')).toHaveTextContent('Reversed $5 in holiday credits');
+    expect(attendanceDashboardService.rollbackHolidayChange).toHaveBeenCalledWith('adj1', { rolledBackBy: 'admin1' });
+    expect(screen.getByTestId('holiday-change-adj1')).toHaveTextContent('Rolled back');
+    expect(screen.queryByText('Roll Back')).not.toBeInTheDocument();
+  });
+
+  test('shows an unauthorized message to non-admins', () => {
+    render(<HolidayCalendar userRole="student" />);
+
+    expect(screen.getByText("You don't have permission to manage the holiday calendar.")).toBeInTheDocument();
+  });
+});
@@ -17,6 +17,13 @@ jest.mock('../repository/ReportRepository', () => ({
   }
 }));
 
+jest.mock('../services/HolidayService', () => {
+  const HolidayService = jest.requireActual('../services/HolidayService').default;
+  return {
+    holidayService: new HolidayService({ getAllHolidays: () => Promise.resolve([]) }, { getSettings: () => Promise.resolve(null) })
+  };
+});
+
 describe('Negative Balance Handling for Inactive Students', () => {
   const { studentRepository } = require('../repository/StudentRepository');
   const { reportRepository } = require('../repository/ReportRepository');
@@ -26,19 +33,25 @@ describe('Negative Balance Handling for Inactive Students', () => {
   });
   
   describe('calculateStudentBalance for inactive student with negative balance', () => {
-    it('should return zero balance when inactive student has more payments than fees', async () => {
-      // Setup - student with negative balance (more payments than fees)
+    it('should carry a credit when inactive student has more payments than fees', async () => {
+      // Setup - student enrolled in January and inactive from February
       const studentId = 'test-student-id';
       
-      // Mock student with negative balance when inactive
       studentRepository.getStudentById.mockResolvedValue({
         id: studentId,
         enrollmentStatus: 'Inactive',
-        frozenFeesTotal: 50,
-        frozenBalance: -10, // Negative balance scenario
-        frozenAt: new Date().toISOString()
+        enrollmentHistory: [
+          { status: 'Enrolled', previousStatus: 'Pending Payment', effectiveDate: '2025-01-01', changedAt: '2025-01-01T10:00:00.000Z' },
+          { status: 'Inactive', previousStatus: 'Enrolled', effectiveDate: '2025-02-01', changedAt: '2025-02-01T10:00:00.000Z' }
+        ]
       });
       
+      // Absences while enrolled and while inactive
+      reportRepository.getStudentAttendanceHistory.mockResolvedValue([
+        { date: '2025-01-15', record: { status: 'absent', attributes: {} } },
+        { date: '2025-02-10', record: { status: 'absent', attributes: {} } }
+      ]);
+      
       // Mock payments of more than total fees
       reportRepository.getStudentPaymentHistory.mockResolvedValue([
         { id: 'payment1', amount: 60, date: new Date() }
@@ -47,30 +60,54 @@ describe('Negative Balance Handling for Inactive Students', () => {
       // Exercise
       const result = await reportService.calculateStudentBalance(studentId);
       
-      // Verify
-      expect(result.calculatedBalance).toBe(0); // Should be 0, not negative
-      expect(result.totalFeesCharged).toBe(50);
+      // Verify - only the absence while enrolled is charged
+      expect(result.calculatedBalance).toBe(-55); // Overpayment is kept as credit
+      expect(result.totalFeesCharged).toBe(5);
       expect(result.totalPaymentsMade).toBe(60);
       expect(result.inactive).toBe(true);
     });
-  });
-  
-  describe('changeEnrollmentStatus to inactive with potential negative balance', () => {
-    it('should ensure balance is never negative when setting student to inactive', () => {
-      // This is a simplified test that just verifies the Math.max logic in the code
-      // Rather than trying to mock the import mechanism, which is complicated in Jest
+    
+    it('should charge again after the student is re-enrolled', async () => {
+      studentRepository.getStudentById.mockResolvedValue({
+        id: 'returning-student',
+        enrollmentStatus: 'Inactive',
+        enrollmentHistory: [
+          { status: 'Inactive', previousStatus: 'Enrolled', effectiveDate: '2025-02-01', changedAt: '2025-02-01T10:00:00.000Z' },
+          { status: 'Enrolled', previousStatus: 'Inactive', effectiveDate: '2025-03-01', changedAt: '2025-03-01T10:00:00.000Z' },
+          { status: 'Inactive', previousStatus: 'Enrolled', effectiveDate: '2025-04-01', changedAt: '2025-04-01T10:00:00.000Z' }
+        ]
+      });
+      reportRepository.getStudentAttendanceHistory.mockResolvedValue([
+        { date: '2025-01-15', record: { status: 'absent', attributes: {} } },
+        { date: '2025-02-15', record: { status: 'absent', attributes: {} } },
+        { date: '2025-03-15', record: { status: 'absent', attributes: {} } },
+        { date: '2025-04-15', record: { status: 'absent', attributes: {} } }
+      ]);
+      reportRepository.getStudentPaymentHistory.mockResolvedValue([]);
       
-      // The implementation uses Math.max(0, calculatedBalance) which ensures balances
-      // are never negative for inactive students
+      const result = await reportService.calculateStudentBalance('returning-student');
       
-      // Positive balance: Math.max(0, 10) = 10
-      expect(Math.max(0, 10)).toBe(10);
+      // January and March are charged, the two inactive periods are not
+      expect(result.totalFeesCharged).toBe(10);
+      expect(result.calculatedBalance).toBe(10);
+    });
+  });
+  
+  describe('changeEnrollmentStatus to inactive', () => {
+    it('should record the change in the status history instead of freezing the balance', async () => {
+      studentRepository.getStudentById.mockResolvedValue({
+        id: 'test-student-id',
+        role: 'student',
+        enrollmentStatus: 'Enrolled'
+      });
+      studentRepository.updateStudent.mockImplementation((id, data) => Promise.resolve({ id, ...data }));
       
-      // Zero balance: Math.max(0, 0) = 0
-      expect(Math.max(0, 0)).toBe(0);
+      const result = await studentService.changeEnrollmentStatus('test-student-id', 'Inactive', { reason: 'Travelling' });
       
-      // Negative balance: Math.max(0, -10) = 0
-      expect(Math.max(0, -10)).toBe(0);
+      expect(result.frozenBalance).toBeUndefined();
+      expect(result.enrollmentHistory).toEqual([
+        expect.objectContaining({ status: 'Inactive', previousStatus: 'Enrolled', reason: 'Travelling' })
+      ]);
     });
   });
   
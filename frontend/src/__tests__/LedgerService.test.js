@@ -0,0 +1,88 @@
+import LedgerService from "../services/LedgerService";
+
+jest.mock("firebase/firestore");
+jest.mock("../lib/firebase/config/config", () => ({}));
+jest.mock("../repository/StudentRepository", () => ({ studentRepository: {} }));
+
+describe("LedgerService", () => {
+  let ledgerService;
+  let entries;
+  let mockLedgerRepository;
+  let mockStudentRepository;
+
+  beforeEach(() => {
+    entries = [];
+    mockLedgerRepository = {
+      createEntry: jest.fn(entry => {
+        const created = { id: `entry${entries.length + 1}`, ...entry, createdAt: new Date(2025, 0, 1, 0, entries.length) };
+        entries.push(created);
+        return Promise.resolve(created);
+      }),
+      getEntriesByStudentId: jest.fn(studentId => Promise.resolve(entries.filter(entry => entry.studentId === studentId))),
+      getEntriesBySource: jest.fn((sourceType, sourceId) => Promise.resolve(
+        entries.filter(entry => entry.sourceType === sourceType && entry.sourceId === sourceId)
+      ))
+    };
+    mockStudentRepository = {
+      getStudentById: jest.fn().mockResolvedValue({ id: "student1", balance: 0 }),
+      updateStudent: jest.fn((id, data) => Promise.resolve({ id, ...data }))
+    };
+
+    ledgerService = new LedgerService(mockLedgerRepository, mockStudentRepository);
+  });
+
+  test("should post each entry type against the right accounts", async () => {
+    await ledgerService.postCharge("student1", 5, { sourceType: "attendance", sourceId: "2025-03-05" });
+    await ledgerService.postPayment("student1", 20);
+    await ledgerService.postRefund("student1", 10);
+    await ledgerService.postWaiver("student1", 1);
+
+    expect(entries.map(({ type, debitAccount, creditAccount, amount }) => ({ type, debitAccount, creditAccount, amount }))).toEqual([
+      { type: "charge", debitAccount: "studentReceivable", creditAccount: "feeRevenue", amount: 5 },
+      { type: "payment", debitAccount: "cash", creditAccount: "studentReceivable", amount: 20 },
+      { type: "refund", debitAccount: "studentReceivable", creditAccount: "cash", amount: 10 },
+      { type: "waiver", debitAccount: "feeWaivers", creditAccount: "studentReceivable", amount: 1 }
+    ]);
+    expect(mockStudentRepository.updateStudent).toHaveBeenLastCalledWith("student1", { balance: -6 });
+  });
+
+  test("should return entries oldest first with a running balance", async () => {
+    await ledgerService.postCharge("student1", 5);
+    await ledgerService.postCharge("student1", 1.1);
+    await ledgerService.postHolidayCredit("student1", 5);
+
+    const result = await ledgerService.getStudentEntries("student1");
+
+    expect(result.map(entry => entry.runningBalance)).toEqual([5, 6.1, 1.1]);
+    expect(await ledgerService.getStudentBalance("student1")).toBe(1.1);
+  });
+
+  test("should keep credit balances and record the credit used by the next charge", async () => {
+    await ledgerService.postPayment("student1", 8);
+    const { entry, balance } = await ledgerService.postCharge("student1", 5);
+
+    expect(entry.creditApplied).toBe(5);
+    expect(balance).toBe(-3);
+
+    const next = await ledgerService.postCharge("student1", 5);
+    expect(next.entry.creditApplied).toBe(3);
+    expect(next.balance).toBe(2);
+  });
+
+  test("should net the entries posted for a source per student", async () => {
+    const marking = { sourceType: "attendance", sourceId: "2025-03-05_wed" };
+    await ledgerService.postCharge("student1", 5, marking);
+    await ledgerService.postCharge("student1", -2, marking);
+    await ledgerService.postCharge("student2", 5, marking);
+    await ledgerService.postCharge("student1", 7, { sourceType: "attendance", sourceId: "2025-03-06_thu" });
+
+    expect(await ledgerService.getSourceBalance("student1", "attendance", "2025-03-05_wed")).toBe(3);
+    expect(await ledgerService.getSourceBalance("student1", "attendance", "2025-03-07_fri")).toBe(0);
+  });
+
+  test("should reject unknown entry types and zero amounts", async () => {
+    await expect(ledgerService.post("gift", "student1", 5)).rejects.toThrow("Invalid ledger entry type");
+    await expect(ledgerService.postCharge("student1", 0)).rejects.toThrow("non-zero");
+    expect(mockLedgerRepository.createEntry).not.toHaveBeenCalled();
+  });
+});
@@ -31,6 +31,12 @@ jest.mock('../components/PaymentList', () => {
   };
 });
 
+jest.mock('../components/PlansDueThisWeek', () => {
+  return function MockPlansDueThisWeek() {
+    return <div data-testid="mock-plans-due">Plans Due This Week</div>;
+  };
+});
+
 describe('PaymentDashboard Component', () => {
   test('renders unauthorized message for non-admin users', () => {
     render(<PaymentDashboard userRole="student" />);
@@ -45,7 +51,8 @@ describe('PaymentDashboard Component', () => {
     expect(screen.getByTestId('payment-dashboard')).toBeInTheDocument();
     expect(screen.getByText(/Payment Management/i)).toBeInTheDocument();
     
-    // Should start with the dashboard view (payment list)
+    // Should start with the dashboard view (plans due this week and payment list)
+    expect(screen.getByTestId('mock-plans-due')).toBeInTheDocument();
     expect(screen.getByTestId('mock-payment-list')).toBeInTheDocument();
     expect(screen.queryByTestId('mock-payment-form')).not.toBeInTheDocument();
     
@@ -15,7 +15,21 @@ jest.mock('../services/StudentService', () => ({
 
 jest.mock('../services/PaymentService', () => ({
   paymentService: {
-    recordPayment: jest.fn()
+    recordPayment: jest.fn(),
+    updatePayment: jest.fn(),
+    getOpenFees: jest.fn()
+  }
+}));
+
+jest.mock('../services/ReceiptService', () => ({
+  receiptService: {
+    getReceiptForPayment: jest.fn()
+  }
+}));
+
+jest.mock('../repository/SettingsRepository', () => ({
+  settingsRepository: {
+    getSettings: () => Promise.resolve(null)
   }
 }));
 
@@ -46,13 +60,15 @@ describe('PaymentForm Component', () => {
       firstName: 'John',
       lastName: 'Doe',
       balance: 400
-    }
+    },
+    receipt: { id: 'payment123', receiptNumber: '2023-0001' }
   };
 
   beforeEach(() => {
     // Set up mocks
     studentService.getAllStudents.mockResolvedValue(mockStudents);
     paymentService.recordPayment.mockResolvedValue(mockPaymentResult);
+    paymentService.getOpenFees.mockResolvedValue([]);
   });
 
   afterEach(() => {
@@ -110,14 +126,16 @@ describe('PaymentForm Component', () => {
         paymentMethod: 'cash',
         notes: 'Test payment',
         adminId: 'admin123',
-        feeId: null,
-        feeDate: null
+        reference: '',
+        feeIds: []
       });
     });
     
     // Check if success callback was called instead of checking for success message
     // The success message might not be rendered in the test environment
     expect(mockOnSuccess).toHaveBeenCalledWith(mockPaymentResult);
+    expect(await screen.findByTestId('payment-receipt-actions')).toHaveTextContent('Receipt 2023-0001');
+    expect(screen.getByTestId('print-receipt-payment123')).toBeInTheDocument();
   });
 
   test('displays error when payment fails', async () => {
@@ -167,4 +185,86 @@ describe('PaymentForm Component', () => {
     fireEvent.change(screen.getByTestId('payment-amount-input'), { target: { value: '' } });
     expect(screen.getByTestId('payment-submit-button')).toBeDisabled();
   });
-});
\ No newline at end of file
+
+  test('lets the admin pick which open fees the payment covers', async () => {
+    paymentService.getOpenFees.mockResolvedValue([
+      { feeId: '2023-01-09', date: new Date(2023, 0, 9), status: 'absent', attributes: {}, fee: 5, remaining: 5 },
+      { feeId: '2023-01-16_wed', date: new Date(2023, 0, 16), status: 'present', attributes: { late: true }, fee: 1, remaining: 1 }
+    ]);
+    render(<PaymentForm />);
+    
+    await waitFor(() => {
+      expect(screen.getByTestId('payment-student-select')).toBeInTheDocument();
+    });
+    fireEvent.change(screen.getByTestId('payment-student-select'), { target: { value: 'student1' } });
+    
+    await waitFor(() => {
+      expect(screen.getByTestId('payment-fee-picker')).toBeInTheDocument();
+    });
+    expect(paymentService.getOpenFees).toHaveBeenCalledWith('student1');
+    expect(screen.getByText(/Late - \$1\.00 open/)).toBeInTheDocument();
+    
+    fireEvent.click(screen.getByTestId('payment-fee-2023-01-16_wed'));
+    fireEvent.change(screen.getByTestId('payment-amount-input'), { target: { value: '1' } });
+    fireEvent.click(screen.getByTestId('payment-submit-button'));
+    
+    await waitFor(() => {
+      expect(paymentService.recordPayment).toHaveBeenCalledWith(expect.objectContaining({
+        studentId: 'student1',
+        feeIds: ['2023-01-16_wed']
+      }));
+    });
+  });
+
+  test('records the reference number of methods that have one', async () => {
+    render(<PaymentForm />);
+    
+    await waitFor(() => {
+      expect(screen.getByTestId('payment-student-select')).toBeInTheDocument();
+    });
+    expect(screen.queryByTestId('payment-reference-input')).not.toBeInTheDocument();
+    
+    fireEvent.change(screen.getByTestId('payment-student-select'), { target: { value: 'student1' } });
+    fireEvent.change(screen.getByTestId('payment-amount-input'), { target: { value: '40' } });
+    fireEvent.change(screen.getByTestId('payment-method-select'), { target: { value: 'check' } });
+    expect(screen.getByLabelText(/Check number/)).toBeInTheDocument();
+    fireEvent.change(screen.getByTestId('payment-reference-input'), { target: { value: '1042' } });
+    fireEvent.click(screen.getByTestId('payment-submit-button'));
+    
+    await waitFor(() => {
+      expect(paymentService.recordPayment).toHaveBeenCalledWith(expect.objectContaining({
+        paymentMethod: 'check',
+        reference: '1042'
+      }));
+    });
+  });
+
+  test('edits an existing payment instead of recording a new one', async () => {
+    const mockOnSuccess = jest.fn();
+    const updateResult = { payment: mockPaymentResult.payment, updatedStudent: null, changedFields: ['amount'] };
+    paymentService.updatePayment.mockResolvedValue(updateResult);
+    
+    render(<PaymentForm onSuccess={mockOnSuccess} payment={{ ...mockPaymentResult.payment, date: new Date(2023, 0, 15) }} />);
+    
+    await waitFor(() => {
+      expect(screen.getByTestId('payment-student-select')).toBeDisabled();
+    });
+    expect(screen.getByText('Edit Payment')).toBeInTheDocument();
+    expect(screen.getByTestId('payment-date-input')).toHaveValue('2023-01-15');
+    
+    fireEvent.change(screen.getByTestId('payment-amount-input'), { target: { value: '80' } });
+    fireEvent.click(screen.getByTestId('payment-submit-button'));
+    
+    await waitFor(() => {
+      expect(paymentService.updatePayment).toHaveBeenCalledWith('payment123', {
+        amount: 80,
+        date: expect.any(Date),
+        paymentMethod: 'cash',
+        reference: '',
+        notes: 'Test payment'
+      }, { adminId: 'admin123' });
+    });
+    expect(paymentService.recordPayment).not.toHaveBeenCalled();
+    expect(mockOnSuccess).toHaveBeenCalledWith(updateResult);
+  });
+});
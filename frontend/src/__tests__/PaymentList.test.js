@@ -1,8 +1,10 @@
 // PaymentList.test.js
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
 import PaymentList from '../components/PaymentList';
 import { paymentService } from '../services/PaymentService';
+import { receiptService } from '../services/ReceiptService';
+import { downloadReceipt } from '../utils/ReceiptUtils';
 
 // Mock the payment service
 jest.mock('../services/PaymentService', () => ({
@@ -13,6 +15,29 @@ jest.mock('../services/PaymentService', () => ({
   }
 }));
 
+jest.mock('../services/ReceiptService', () => ({
+  receiptService: {
+    getReceiptForPayment: jest.fn()
+  }
+}));
+
+jest.mock('../utils/ReceiptUtils', () => ({
+  printReceipt: jest.fn(),
+  downloadReceipt: jest.fn()
+}));
+
+jest.mock('../repository/SettingsRepository', () => ({
+  settingsRepository: {
+    getSettings: () => Promise.resolve({
+      methods: [
+        { id: 'cash', label: 'Cash', referenceLabel: null, active: true },
+        { id: 'card', label: 'Card', referenceLabel: null, active: true },
+        { id: 'paypal', label: 'PayPal', referenceLabel: 'Transaction ID', active: true }
+      ]
+    })
+  }
+}));
+
 describe('PaymentList Component', () => {
   const mockPayments = [
     {
@@ -121,7 +146,8 @@ describe('PaymentList Component', () => {
     // Check if student payments are rendered
     expect(screen.getByText(/Monthly fee/i)).toBeInTheDocument();
     expect(screen.getByText(/Late fee/i)).toBeInTheDocument();
-    expect(screen.getByText(/50\.00/i)).toBeInTheDocument();
+    expect(within(screen.getByTestId('payments-table')).getByText(/50\.00/i)).toBeInTheDocument();
+    expect(screen.getByTestId('student-balance')).toHaveTextContent('Current balance: $350.00');
     
     // Check if title is specific for student
     expect(screen.getByText(/Student Payment History/i)).toBeInTheDocument();
@@ -130,6 +156,93 @@ describe('PaymentList Component', () => {
     expect(screen.queryByTestId('payment-start-date')).not.toBeInTheDocument();
   });
 
+  test('shows a negative student balance as credit', async () => {
+    paymentService.getPaymentsByStudent.mockResolvedValue({
+      ...mockStudentData,
+      student: { ...mockStudentData.student, balance: -12.5 }
+    });
+    
+    render(<PaymentList studentId="student1" />);
+    
+    await waitFor(() => {
+      expect(screen.getByTestId('student-balance')).toHaveTextContent('Current balance: $12.50 credit');
+    });
+  });
+
+  test('shows configured method labels and payment references', async () => {
+    paymentService.getAllPayments.mockResolvedValue([
+      { id: 'payment4', studentId: 'student1', studentName: 'John Doe', amount: 30, date: new Date('2023-01-22'), paymentMethod: 'paypal', reference: 'PP-77', notes: '' }
+    ]);
+    
+    render(<PaymentList />);
+    
+    await waitFor(() => {
+      expect(screen.getByTestId('payment-reference-payment4')).toHaveTextContent('#PP-77');
+    });
+    expect(within(screen.getByTestId('payments-table')).getByText('PayPal')).toBeInTheDocument();
+  });
+
+  test('shows refunds as negative amounts', async () => {
+    paymentService.getAllPayments.mockResolvedValue([
+      ...mockPayments,
+      { id: 'refund1', studentId: 'student1', studentName: 'John Doe', type: 'refund', amount: -20, date: new Date('2023-01-20'), paymentMethod: 'cash', notes: 'Refund: Class cancelled' }
+    ]);
+    
+    render(<PaymentList />);
+    
+    await waitFor(() => {
+      expect(screen.getByTestId('payment-row-refund1')).toHaveTextContent('-$20.00 (refund)');
+    });
+  });
+
+  test('offers edit and shows previous versions when editing is enabled', async () => {
+    const onEdit = jest.fn();
+    paymentService.getAllPayments.mockResolvedValue([
+      {
+        ...mockPayments[0],
+        editHistory: [
+          { amount: 120, date: new Date('2023-01-14'), paymentMethod: 'card', notes: '', changedFields: ['amount', 'paymentMethod'], editedAt: new Date('2023-01-16'), editedBy: 'admin123' }
+        ]
+      }
+    ]);
+    
+    render(<PaymentList onEdit={onEdit} />);
+    
+    await waitFor(() => {
+      expect(screen.getByTestId('edit-payment-payment1')).toBeInTheDocument();
+    });
+    
+    fireEvent.click(screen.getByTestId('edit-payment-payment1'));
+    expect(onEdit).toHaveBeenCalledWith(expect.objectContaining({ id: 'payment1' }));
+    
+    fireEvent.click(screen.getByTestId('payment-history-toggle-payment1'));
+    expect(screen.getByTestId('payment-versions-payment1')).toHaveTextContent('changed amount, paymentMethod');
+    expect(screen.getByTestId('payment-versions-payment1')).toHaveTextContent('Was $120.00');
+  });
+
+  test('saves the receipt of a payment but offers none for refunds', async () => {
+    const receipt = { id: 'payment1', receiptNumber: '2023-0001' };
+    receiptService.getReceiptForPayment.mockResolvedValue(receipt);
+    paymentService.getAllPayments.mockResolvedValue([
+      mockPayments[0],
+      { id: 'refund1', studentId: 'student1', studentName: 'John Doe', type: 'refund', amount: -20, date: new Date('2023-01-20'), paymentMethod: 'cash', notes: '' }
+    ]);
+    
+    render(<PaymentList />);
+    
+    await waitFor(() => {
+      expect(screen.getByTestId('save-receipt-payment1')).toBeInTheDocument();
+    });
+    expect(screen.queryByTestId('save-receipt-refund1')).not.toBeInTheDocument();
+    
+    fireEvent.click(screen.getByTestId('save-receipt-payment1'));
+    
+    await waitFor(() => {
+      expect(downloadReceipt).toHaveBeenCalledWith(receipt);
+    });
+    expect(receiptService.getReceiptForPayment).toHaveBeenCalledWith(expect.objectContaining({ id: 'payment1' }));
+  });
+
   test('filters payments by date range', async () => {
     render(<PaymentList />);
     
@@ -0,0 +1,65 @@
+import PaymentMethodService from "../services/PaymentMethodService";
+
+jest.mock("firebase/firestore");
+jest.mock("../lib/firebase/config/config", () => ({}));
+
+describe("PaymentMethodService", () => {
+  let paymentMethodService;
+  let mockSettingsRepository;
+
+  beforeEach(() => {
+    mockSettingsRepository = {
+      getSettings: jest.fn().mockResolvedValue(null),
+      saveSettings: jest.fn((key, values) => Promise.resolve(values))
+    };
+    paymentMethodService = new PaymentMethodService(mockSettingsRepository);
+  });
+
+  test("should offer the default methods until a list is configured", async () => {
+    await paymentMethodService.loadMethods();
+
+    expect(paymentMethodService.getMethods().map(method => method.id))
+      .toEqual(["cash", "card", "venmo", "zelle", "check", "bankTransfer"]);
+    expect(paymentMethodService.getMethod("check").referenceLabel).toBe("Check number");
+  });
+
+  test("should use the configured list and skip inactive methods for new payments", async () => {
+    mockSettingsRepository.getSettings.mockResolvedValue({
+      methods: [
+        { id: "cash", label: "Cash", referenceLabel: null, active: true },
+        { id: "card", label: "Card", referenceLabel: null, active: false }
+      ]
+    });
+
+    await paymentMethodService.loadMethods();
+
+    expect(paymentMethodService.isValidMethod("cash")).toBe(true);
+    expect(paymentMethodService.isValidMethod("card")).toBe(false);
+    expect(paymentMethodService.getLabel("card")).toBe("Card");
+    expect(paymentMethodService.getLabel("barter")).toBe("barter");
+  });
+
+  test("should save a cleaned list", async () => {
+    const saved = await paymentMethodService.saveMethods([
+      { id: " paypal ", label: " PayPal ", referenceLabel: " Transaction ID " },
+      { id: "cash", label: "Cash", referenceLabel: "", active: false }
+    ]);
+
+    expect(mockSettingsRepository.saveSettings).toHaveBeenCalledWith("paymentMethods", { methods: saved });
+    expect(saved).toEqual([
+      { id: "paypal", label: "PayPal", referenceLabel: "Transaction ID", active: true },
+      { id: "cash", label: "Cash", referenceLabel: null, active: false }
+    ]);
+    expect(paymentMethodService.isValidMethod("paypal")).toBe(true);
+  });
+
+  test("should reject duplicate IDs, missing labels and lists with nothing active", async () => {
+    await expect(paymentMethodService.saveMethods([{ id: "cash", label: "Cash" }, { id: "cash", label: "Cash 2" }]))
+      .rejects.toThrow("listed twice");
+    await expect(paymentMethodService.saveMethods([{ id: "cash", label: " " }]))
+      .rejects.toThrow("needs a label");
+    await expect(paymentMethodService.saveMethods([{ id: "cash", label: "Cash", active: false }]))
+      .rejects.toThrow("At least one payment method must be active");
+    expect(mockSettingsRepository.saveSettings).not.toHaveBeenCalled();
+  });
+});
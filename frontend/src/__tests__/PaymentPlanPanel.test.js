@@ -0,0 +1,68 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import PaymentPlanPanel from '../components/PaymentPlanPanel';
+import { paymentPlanService } from '../services/PaymentPlanService';
+
+jest.mock('../services/PaymentPlanService', () => ({
+  paymentPlanService: {
+    getStudentPlans: jest.fn(),
+    createPlan: jest.fn(),
+    cancelPlan: jest.fn()
+  }
+}));
+
+describe('PaymentPlanPanel Component', () => {
+  const plan = {
+    id: 'plan1',
+    studentId: 'student1',
+    total: 90,
+    frequency: 'weekly',
+    state: 'active',
+    progress: {
+      status: 'behind',
+      paid: 30,
+      remaining: 60,
+      amountBehind: 30,
+      installments: [
+        { number: 1, dueDate: '2025-09-01', amount: 30, paid: 30, remaining: 0, overdue: false },
+        { number: 2, dueDate: '2025-09-08', amount: 30, paid: 0, remaining: 30, overdue: true },
+        { number: 3, dueDate: '2025-09-15', amount: 30, paid: 0, remaining: 30, overdue: false }
+      ]
+    }
+  };
+
+  test('shows the plan schedule and its status', async () => {
+    paymentPlanService.getStudentPlans.mockResolvedValue([plan]);
+
+    render(<PaymentPlanPanel studentId="student1" userRole="student" balance={60} />);
+
+    expect(await screen.findByTestId('payment-plan-status')).toHaveTextContent('Behind');
+    expect(screen.getByTestId('payment-plan-plan1')).toHaveTextContent('$30.00 of $90.00 paid');
+    expect(screen.getByText(/\(overdue\)/)).toBeInTheDocument();
+    expect(screen.queryByTestId('cancel-plan-plan1')).not.toBeInTheDocument();
+  });
+
+  test('lets admins create a plan for the balance', async () => {
+    paymentPlanService.getStudentPlans.mockResolvedValueOnce([]).mockResolvedValue([plan]);
+    paymentPlanService.createPlan.mockResolvedValue(plan);
+
+    render(<PaymentPlanPanel studentId="student1" userRole="admin" balance={90} adminId="admin1" />);
+
+    fireEvent.click(await screen.findByTestId('new-payment-plan'));
+    expect(screen.getByTestId('plan-total')).toHaveValue(90);
+    fireEvent.change(screen.getByTestId('plan-first-due'), { target: { value: '2025-09-01' } });
+    fireEvent.click(screen.getByTestId('save-payment-plan'));
+
+    await waitFor(() => {
+      expect(paymentPlanService.createPlan).toHaveBeenCalledWith('student1', {
+        total: 90,
+        installmentCount: 3,
+        firstDueDate: '2025-09-01',
+        frequency: 'monthly',
+        notes: ''
+      }, { adminId: 'admin1' });
+    });
+    expect(await screen.findByTestId('cancel-plan-plan1')).toBeInTheDocument();
+    expect(screen.queryByTestId('payment-plan-form')).not.toBeInTheDocument();
+  });
+});
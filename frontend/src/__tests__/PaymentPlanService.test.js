@@ -0,0 +1,141 @@
+import PaymentPlanService from "../services/PaymentPlanService";
+
+jest.mock("firebase/firestore");
+jest.mock("../lib/firebase/config/config", () => ({}));
+
+describe("PaymentPlanService", () => {
+  let paymentPlanService;
+  let mockPaymentPlanRepository;
+  let mockStudentRepository;
+  let plans;
+
+  const activePlan = {
+    id: "plan1",
+    studentId: "student1",
+    studentName: "Ana Lopez",
+    total: 90,
+    state: "active",
+    installments: [
+      { number: 1, dueDate: "2025-09-01", amount: 30 },
+      { number: 2, dueDate: "2025-09-08", amount: 30 },
+      { number: 3, dueDate: "2025-09-15", amount: 30 }
+    ],
+    payments: [{ paymentId: "p1", amount: 30, date: "2025-09-01" }]
+  };
+
+  beforeEach(() => {
+    plans = [{ ...activePlan }];
+    mockPaymentPlanRepository = {
+      getPlanById: jest.fn(id => Promise.resolve(plans.find(plan => plan.id === id) || null)),
+      getPlansByStudentId: jest.fn(studentId => Promise.resolve(plans.filter(plan => plan.studentId === studentId))),
+      getPlansByState: jest.fn(state => Promise.resolve(plans.filter(plan => plan.state === state))),
+      createPlan: jest.fn(data => Promise.resolve({ id: "plan2", ...data })),
+      updatePlan: jest.fn((id, updates) => Promise.resolve({ ...plans.find(plan => plan.id === id), ...updates }))
+    };
+    mockStudentRepository = {
+      getStudentById: jest.fn().mockResolvedValue({ id: "student2", firstName: "Ben", lastName: "Ortiz", balance: 200 })
+    };
+    paymentPlanService = new PaymentPlanService(mockPaymentPlanRepository, mockStudentRepository);
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test("should create a plan with its installment schedule", async () => {
+    const plan = await paymentPlanService.createPlan("student2", {
+      total: 150,
+      installmentCount: 3,
+      firstDueDate: "2025-10-01",
+      frequency: "monthly",
+      notes: " Agreed with parent "
+    }, { adminId: "admin1" });
+
+    expect(plan).toEqual(expect.objectContaining({
+      studentId: "student2",
+      studentName: "Ben Ortiz",
+      total: 150,
+      state: "active",
+      payments: [],
+      notes: "Agreed with parent",
+      createdBy: "admin1"
+    }));
+    expect(plan.installments.map(installment => [installment.dueDate, installment.amount])).toEqual([
+      ["2025-10-01", 50],
+      ["2025-11-01", 50],
+      ["2025-12-01", 50]
+    ]);
+  });
+
+  test("should refuse plans above the balance or next to an active plan", async () => {
+    const terms = { total: 90, installmentCount: 3, firstDueDate: "2025-10-01", frequency: "weekly" };
+
+    await expect(paymentPlanService.createPlan("student2", { ...terms, total: 250 }))
+      .rejects.toThrow("Plan total cannot exceed the student's balance of $200.00");
+    await expect(paymentPlanService.createPlan("student2", { ...terms, installmentCount: 0 }))
+      .rejects.toThrow("Number of installments must be between 1 and 24");
+
+    mockStudentRepository.getStudentById.mockResolvedValue({ id: "student1", balance: 200 });
+    await expect(paymentPlanService.createPlan("student1", terms))
+      .rejects.toThrow("This student already has an active payment plan");
+    expect(mockPaymentPlanRepository.createPlan).not.toHaveBeenCalled();
+  });
+
+  test("should apply only what the plan still needs and complete it", async () => {
+    const updated = await paymentPlanService.applyPayment({
+      id: "p2", studentId: "student1", amount: 100, date: new Date(2025, 8, 9, 12)
+    });
+
+    expect(mockPaymentPlanRepository.updatePlan).toHaveBeenCalledWith("plan1", {
+      payments: [
+        { paymentId: "p1", amount: 30, date: "2025-09-01" },
+        { paymentId: "p2", amount: 60, date: "2025-09-09" }
+      ],
+      state: "completed"
+    });
+    expect(updated.state).toBe("completed");
+
+    expect(await paymentPlanService.applyPayment({ id: "p3", studentId: "student9", amount: 10 })).toBeNull();
+    expect(await paymentPlanService.applyPayment({ id: "r1", studentId: "student1", type: "refund", amount: -10 })).toBeNull();
+  });
+
+  test("should follow payments that are refunded or deleted", async () => {
+    plans = [{ ...activePlan, state: "completed", payments: [...activePlan.payments, { paymentId: "p2", amount: 60, date: "2025-09-09" }] }];
+
+    await paymentPlanService.syncPayment("student1", "p2", 45);
+    expect(mockPaymentPlanRepository.updatePlan).toHaveBeenLastCalledWith("plan1", {
+      payments: [activePlan.payments[0], { paymentId: "p2", amount: 45, date: "2025-09-09" }],
+      state: "active"
+    });
+
+    await paymentPlanService.syncPayment("student1", "p1", 0);
+    expect(mockPaymentPlanRepository.updatePlan).toHaveBeenLastCalledWith("plan1", {
+      payments: [{ paymentId: "p2", amount: 60, date: "2025-09-09" }],
+      state: "active"
+    });
+
+    expect(await paymentPlanService.syncPayment("student1", "unknown", 0)).toBeNull();
+  });
+
+  test("should list plans with installments due this week, overdue ones included", async () => {
+    plans = [
+      { ...activePlan, payments: [{ paymentId: "p1", amount: 60, date: "2025-09-01" }] },
+      {
+        ...activePlan,
+        id: "plan3",
+        studentId: "student3",
+        payments: [],
+        installments: [{ number: 1, dueDate: "2025-09-30", amount: 90 }]
+      },
+      { ...activePlan, id: "plan4", studentId: "student4", payments: [] }
+    ];
+
+    const due = await paymentPlanService.getPlansDueThisWeek(new Date(2025, 8, 9, 12));
+
+    expect(due.map(entry => [entry.plan.id, entry.amountDue, entry.progress.status])).toEqual([
+      ["plan4", 90, "behind"],
+      ["plan1", 30, "onTrack"]
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+import PaymentReconciliationService from "../services/PaymentReconciliationService";
+import PaymentMethodService from "../services/PaymentMethodService";
+
+jest.mock("firebase/firestore");
+jest.mock("../lib/firebase/config/config", () => ({}));
+jest.mock("../services/PaymentService", () => ({ paymentService: {} }));
+
+describe("PaymentReconciliationService", () => {
+  let reconciliationService;
+  let mockPaymentService;
+  let mockDepositRepository;
+  let mockPaymentRepository;
+  let payments;
+  let deposits;
+
+  beforeEach(() => {
+    payments = [
+      { id: "p1", studentId: "s1", amount: 20, paymentMethod: "check", reference: "1001", date: new Date(2025, 2, 3) },
+      { id: "p2", studentId: "s2", amount: 15, paymentMethod: "check", reference: "1002", date: new Date(2025, 2, 5) },
+      { id: "p3", studentId: "s1", amount: 10, paymentMethod: "venmo", date: new Date(2025, 2, 6) },
+      { id: "r1", studentId: "s1", amount: -5, type: "refund", paymentMethod: "venmo", date: new Date(2025, 2, 7) }
+    ];
+    deposits = [
+      { id: "d1", method: "check", date: "2025-03-06", amount: 20, paymentIds: ["p1"] },
+      { id: "d0", method: "cash", date: "2025-02-20", amount: 50, paymentIds: [] }
+    ];
+
+    mockPaymentService = {
+      getPaymentsByDateRange: jest.fn(() => Promise.resolve(payments))
+    };
+    mockDepositRepository = {
+      getAllDeposits: jest.fn(() => Promise.resolve(deposits)),
+      createDeposit: jest.fn(data => Promise.resolve({ id: "d2", ...data })),
+      deleteDeposit: jest.fn().mockResolvedValue()
+    };
+    mockPaymentRepository = {
+      getPaymentById: jest.fn(id => Promise.resolve(payments.find(payment => payment.id === id) || null))
+    };
+
+    reconciliationService = new PaymentReconciliationService(
+      mockPaymentService,
+      mockDepositRepository,
+      new PaymentMethodService({ getSettings: () => Promise.resolve(null) }),
+      mockPaymentRepository
+    );
+  });
+
+  test("should compare expected and deposited amounts per method for the range", async () => {
+    const report = await reconciliationService.getReconciliationReport("2025-03-01", "2025-03-31");
+
+    const [rangeStart, rangeEnd] = mockPaymentService.getPaymentsByDateRange.mock.calls[0];
+    expect(rangeStart).toEqual(new Date(2025, 2, 1, 0, 0, 0, 0));
+    expect(rangeEnd).toEqual(new Date(2025, 2, 31, 23, 59, 59, 999));
+
+    expect(report.methods.map(({ method, expected, deposited, difference }) => ({ method, expected, deposited, difference }))).toEqual([
+      { method: "venmo", expected: 5, deposited: 0, difference: -5 },
+      { method: "check", expected: 35, deposited: 20, difference: -15 }
+    ]);
+    const checks = report.methods.find(method => method.method === "check");
+    expect(checks.label).toBe("Check");
+    expect(checks.payments.map(payment => payment.depositId)).toEqual(["d1", null]);
+    expect(checks.undeposited.map(payment => payment.id)).toEqual(["p2"]);
+    expect(report.totals).toEqual({ expected: 40, deposited: 20, difference: -20 });
+  });
+
+  test("should reject an inverted date range", async () => {
+    await expect(reconciliationService.getReconciliationReport("2025-03-31", "2025-03-01"))
+      .rejects.toThrow("Invalid date range");
+  });
+
+  test("should record a deposit with its payments and report the difference", async () => {
+    const result = await reconciliationService.recordDeposit({
+      method: "check",
+      date: new Date(2025, 2, 10),
+      amount: 15,
+      reference: " DEP-7 ",
+      paymentIds: ["p2"]
+    }, "admin1");
+
+    expect(mockDepositRepository.createDeposit).toHaveBeenCalledWith({
+      method: "check",
+      date: "2025-03-10",
+      amount: 15,
+      reference: "DEP-7",
+      paymentIds: ["p2"],
+      notes: "",
+      createdBy: "admin1"
+    });
+    expect(result).toMatchObject({ matchedTotal: 15, difference: 0 });
+  });
+
+  test("should not deposit a payment twice or under another method", async () => {
+    await expect(reconciliationService.recordDeposit({ method: "check", date: "2025-03-10", amount: 20, paymentIds: ["p1"] }))
+      .rejects.toThrow("already part of a deposit");
+    await expect(reconciliationService.recordDeposit({ method: "check", date: "2025-03-10", amount: 10, paymentIds: ["p3"] }))
+      .rejects.toThrow("was not paid by Check");
+    expect(mockDepositRepository.createDeposit).not.toHaveBeenCalled();
+  });
+});
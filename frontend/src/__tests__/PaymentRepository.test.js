@@ -1,6 +1,6 @@
 // PaymentRepository.test.js
 import { PaymentRepository } from "../repository/PaymentRepository";
-import { getFirestore, doc, setDoc, getDoc, Timestamp, collection, query, where, getDocs, orderBy } from "firebase/firestore";
+import { getFirestore, doc, setDoc, getDoc, updateDoc, writeBatch, Timestamp, collection, query, where, getDocs, orderBy } from "firebase/firestore";
 
 // Mock Firestore functions
 jest.mock("firebase/firestore", () => ({
@@ -8,6 +8,9 @@ jest.mock("firebase/firestore", () => ({
   doc: jest.fn(),
   setDoc: jest.fn(),
   getDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  deleteDoc: jest.fn(),
+  writeBatch: jest.fn(),
   collection: jest.fn(),
   query: jest.fn(),
   where: jest.fn(),
@@ -70,6 +73,39 @@ describe("PaymentRepository", () => {
     expect(result.amount).toBe(paymentData.amount);
   });
 
+  it("should write a refund and the original payment's allocations in one batch", async () => {
+    const batch = { set: jest.fn(), update: jest.fn(), commit: jest.fn().mockResolvedValue() };
+    writeBatch.mockReturnValue(batch);
+    const allocations = [{ feeId: "2025-03-03", feeDate: "2025-03-03", amount: 5 }];
+
+    const refund = await paymentRepository.createRefund(
+      { studentId: "student123", type: "refund", originalPaymentId: "payment123", amount: -5, date: new Date() },
+      allocations
+    );
+
+    expect(doc).toHaveBeenCalledWith(mockFirestore, "payments", "payment123");
+    expect(batch.set).toHaveBeenCalledWith(mockDocRef, expect.objectContaining({ amount: -5, originalPaymentId: "payment123" }));
+    expect(batch.update).toHaveBeenCalledWith(mockDocRef, expect.objectContaining({ allocations }));
+    expect(batch.commit).toHaveBeenCalledTimes(1);
+    expect(setDoc).not.toHaveBeenCalled();
+    expect(updateDoc).not.toHaveBeenCalled();
+    expect(refund).toHaveProperty('id');
+  });
+
+  it("should delete a refund and give the original payment its allocations back in one batch", async () => {
+    const batch = { delete: jest.fn(), update: jest.fn(), commit: jest.fn().mockResolvedValue() };
+    writeBatch.mockReturnValue(batch);
+    const allocations = [{ feeId: "2025-03-03", feeDate: "2025-03-03", amount: 10 }];
+
+    await paymentRepository.deleteRefund({ id: "refund1", originalPaymentId: "payment123" }, allocations);
+
+    expect(doc).toHaveBeenCalledWith(mockFirestore, "payments", "refund1");
+    expect(doc).toHaveBeenCalledWith(mockFirestore, "payments", "payment123");
+    expect(batch.delete).toHaveBeenCalledWith(mockDocRef);
+    expect(batch.update).toHaveBeenCalledWith(mockDocRef, expect.objectContaining({ allocations }));
+    expect(batch.commit).toHaveBeenCalledTimes(1);
+  });
+
   it("should fetch a payment by ID", async () => {
     // Arrange
     getDoc.mockResolvedValue({
@@ -100,6 +136,27 @@ describe("PaymentRepository", () => {
     expect(payment).toBeNull();
   });
 
+  it("should update a payment in place and return the stored record", async () => {
+    // Arrange
+    const newDate = new Date(2025, 2, 5);
+    Timestamp.fromDate.mockImplementation(date => ({ toDate: () => date }));
+    updateDoc.mockResolvedValue();
+    getDoc.mockResolvedValue({
+      exists: () => true,
+      data: () => ({ ...mockPaymentData, amount: 80 }),
+      id: "payment123"
+    });
+
+    // Act
+    const payment = await paymentRepository.updatePayment("payment123", { amount: 80, date: newDate });
+
+    // Assert
+    expect(doc).toHaveBeenCalledWith(mockFirestore, "payments", "payment123");
+    expect(updateDoc).toHaveBeenCalledWith(mockDocRef, expect.objectContaining({ amount: 80, updatedAt: expect.anything() }));
+    expect(Timestamp.fromDate).toHaveBeenCalledWith(newDate);
+    expect(payment.amount).toBe(80);
+  });
+
   it("should get payments by student ID", async () => {
     // Arrange
     const studentId = "student123";
@@ -3,6 +3,7 @@
 // Create mock repositories with Jest mock functions
 const mockPaymentRepository = {
   createPayment: jest.fn(),
+  createRefund: jest.fn(),
   getPaymentById: jest.fn(),
   getPaymentsByStudentId: jest.fn(),
   getAllPayments: jest.fn(),
@@ -14,7 +15,18 @@ const mockStudentRepository = {
   updateStudent: jest.fn()
 };
 
+// In-memory ledger so balance changes can be checked end to end
+const mockLedgerEntries = [];
+const mockLedgerRepository = {
+  createEntry: jest.fn(),
+  getEntriesByStudentId: jest.fn()
+};
+
 // Mock the repositories
+jest.mock("../repository/LedgerRepository", () => ({
+  ledgerRepository: mockLedgerRepository
+}));
+
 jest.mock("../repository/PaymentRepository", () => ({
   paymentRepository: mockPaymentRepository
 }));
@@ -25,9 +37,14 @@ jest.mock("../repository/StudentRepository", () => ({
 
 // Import PaymentService after mocking using require to avoid hoisting issues
 const PaymentService = require("../services/PaymentService").default;
+const PaymentMethodService = require("../services/PaymentMethodService").default;
+const HolidayService = require("../services/HolidayService").default;
 
 describe("PaymentService", () => {
   let paymentService;
+  let mockReportService;
+  let mockReceiptService;
+  let mockPaymentPlanService;
   
   const mockStudentData = {
     id: "student123",
@@ -51,9 +68,41 @@ describe("PaymentService", () => {
   beforeEach(() => {
     // Clear mock calls before each test
     jest.clearAllMocks();
+    mockLedgerEntries.length = 0;
+  mockLedgerRepository.createEntry.mockImplementation(entry => {
+    const created = { id: `entry${mockLedgerEntries.length + 1}`, ...entry, createdAt: new Date() };
+    mockLedgerEntries.push(created);
+    return Promise.resolve(created);
+  });
+  mockLedgerRepository.getEntriesByStudentId.mockImplementation(studentId =>
+    Promise.resolve(mockLedgerEntries.filter(entry => entry.studentId === studentId))
+  );
+    
+    mockPaymentRepository.getPaymentsByStudentId.mockResolvedValue([]);
+    mockReportService = {
+      calculateStudentBalance: jest.fn().mockResolvedValue({ feeBreakdown: [] })
+    };
+    mockReceiptService = {
+      issueReceipt: jest.fn().mockImplementation(payment => Promise.resolve({ id: payment.id, receiptNumber: "2025-0001" })),
+      voidReceipt: jest.fn().mockResolvedValue(true),
+      reissueReceipt: jest.fn().mockImplementation(payment => Promise.resolve({ id: payment.id, receiptNumber: "2025-0002" }))
+    };
+    mockPaymentPlanService = {
+      applyPayment: jest.fn().mockResolvedValue(null),
+      syncPayment: jest.fn().mockResolvedValue(null)
+    };
     
     // Create service instance with the mock repositories
-    paymentService = new PaymentService(mockPaymentRepository, mockStudentRepository);
+    paymentService = new PaymentService(
+      mockPaymentRepository,
+      mockStudentRepository,
+      new HolidayService({ getAllHolidays: () => Promise.resolve([]) }, { getSettings: () => Promise.resolve(null) }),
+      null,
+      mockReportService,
+      new PaymentMethodService({ getSettings: () => Promise.resolve(null) }),
+      mockReceiptService,
+      mockPaymentPlanService
+    );
   });
 
   test("should record a payment and update student balance", async () => {
@@ -90,7 +139,7 @@ describe("PaymentService", () => {
 
     // Assert
     expect(mockStudentRepository.getStudentById).toHaveBeenCalledWith(paymentData.studentId);
-    expect(mockPaymentRepository.createPayment).toHaveBeenCalledWith(paymentData);
+    expect(mockPaymentRepository.createPayment).toHaveBeenCalledWith({ ...paymentData, allocations: [], allocationMode: "auto" });
     expect(mockStudentRepository.updateStudent).toHaveBeenCalledWith(
       paymentData.studentId,
       { balance: expectedBalance }
@@ -100,6 +149,381 @@ describe("PaymentService", () => {
     expect(result.updatedStudent.balance).toBe(expectedBalance);
   });
 
+  test("should post the payment to the ledger with a reference to the payment", async () => {
+    mockStudentRepository.getStudentById.mockResolvedValue({ ...mockStudentData, balance: 0 });
+    mockPaymentRepository.createPayment.mockResolvedValue({ ...mockPaymentData });
+    mockStudentRepository.updateStudent.mockImplementation((id, data) => Promise.resolve({ id, ...data }));
+
+    const result = await paymentService.recordPayment({ ...mockPaymentData, amount: 30 });
+
+    expect(mockLedgerEntries).toEqual([
+      expect.objectContaining({
+        type: "payment",
+        amount: 30,
+        debitAccount: "cash",
+        creditAccount: "studentReceivable",
+        sourceType: "payment",
+        sourceId: "payment123",
+        createdBy: "admin123"
+      })
+    ]);
+    // Overpayments leave a credit on the account
+    expect(result.updatedStudent.balance).toBe(-30);
+  });
+
+  test("should reverse a deleted payment in the ledger", async () => {
+    mockPaymentRepository.getPaymentById.mockResolvedValue({ ...mockPaymentData, amount: 40 });
+    mockPaymentRepository.deletePayment = jest.fn().mockResolvedValue();
+    mockStudentRepository.getStudentById.mockResolvedValue({ ...mockStudentData, balance: 0 });
+    mockStudentRepository.updateStudent.mockImplementation((id, data) => Promise.resolve({ id, ...data }));
+
+    const result = await paymentService.deletePayment("payment123");
+
+    expect(mockPaymentRepository.deletePayment).toHaveBeenCalledWith("payment123");
+    expect(mockLedgerEntries).toEqual([
+      expect.objectContaining({ type: "payment", amount: 40, debitAccount: "studentReceivable", sourceId: "payment123" })
+    ]);
+    expect(result.updatedStudent.balance).toBe(40);
+    expect(mockReceiptService.voidReceipt).toHaveBeenCalledWith("payment123");
+    expect(mockPaymentPlanService.syncPayment).toHaveBeenCalledWith("student123", "payment123", 0);
+  });
+
+  test("should issue a receipt with the balance left after the payment", async () => {
+    mockStudentRepository.getStudentById.mockResolvedValue({ ...mockStudentData, balance: 50 });
+    mockPaymentRepository.createPayment.mockResolvedValue({ ...mockPaymentData });
+    mockStudentRepository.updateStudent.mockImplementation((id, data) => Promise.resolve({ id, ...data }));
+
+    const result = await paymentService.recordPayment({ ...mockPaymentData, amount: 30 });
+
+    expect(mockReceiptService.issueReceipt).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "payment123" }),
+      expect.objectContaining({ balance: 20 })
+    );
+    expect(result.receipt).toEqual({ id: "payment123", receiptNumber: "2025-0001" });
+  });
+
+  test("should keep the payment when its receipt cannot be issued", async () => {
+    mockStudentRepository.getStudentById.mockResolvedValue({ ...mockStudentData, balance: 50 });
+    mockPaymentRepository.createPayment.mockResolvedValue({ ...mockPaymentData });
+    mockStudentRepository.updateStudent.mockImplementation((id, data) => Promise.resolve({ id, ...data }));
+    mockReceiptService.issueReceipt.mockRejectedValue(new Error("offline"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const result = await paymentService.recordPayment({ ...mockPaymentData, amount: 30 });
+
+    expect(result.payment.id).toBe("payment123");
+    expect(result.receipt).toBeNull();
+    console.error.mockRestore();
+  });
+
+  test("should reissue the receipt when a payment's date is edited, but not its notes", async () => {
+    const payment = { ...mockPaymentData, date: new Date(2025, 7, 12) };
+    mockPaymentRepository.getPaymentById.mockResolvedValue(payment);
+    mockPaymentRepository.getPaymentsByStudentId.mockResolvedValue([payment]);
+    mockPaymentRepository.updatePayment = jest.fn((id, data) => Promise.resolve({ ...payment, ...data }));
+
+    // Moved across August 13 into the next fee year
+    const result = await paymentService.updatePayment("payment123", { date: new Date(2025, 7, 14) });
+
+    expect(mockReceiptService.reissueReceipt).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "payment123", date: new Date(2025, 7, 14) }),
+      null
+    );
+    expect(result.receipt).toEqual({ id: "payment123", receiptNumber: "2025-0002" });
+
+    mockReceiptService.reissueReceipt.mockClear();
+    await paymentService.updatePayment("payment123", { notes: "Paid at the front desk" });
+
+    expect(mockReceiptService.reissueReceipt).not.toHaveBeenCalled();
+  });
+
+  test("should apply a recorded payment to the student's payment plan", async () => {
+    mockStudentRepository.getStudentById.mockResolvedValue({ ...mockStudentData, balance: 50 });
+    mockPaymentRepository.createPayment.mockResolvedValue({ ...mockPaymentData, amount: 30 });
+    mockStudentRepository.updateStudent.mockImplementation((id, data) => Promise.resolve({ id, ...data }));
+
+    await paymentService.recordPayment({ ...mockPaymentData, amount: 30 });
+
+    expect(mockPaymentPlanService.applyPayment).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "payment123", amount: 30 })
+    );
+  });
+
+  test("should keep the payment when its payment plan cannot be updated", async () => {
+    mockStudentRepository.getStudentById.mockResolvedValue({ ...mockStudentData, balance: 50 });
+    mockPaymentRepository.createPayment.mockResolvedValue({ ...mockPaymentData });
+    mockStudentRepository.updateStudent.mockImplementation((id, data) => Promise.resolve({ id, ...data }));
+    mockPaymentPlanService.applyPayment.mockRejectedValue(new Error("offline"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    const result = await paymentService.recordPayment({ ...mockPaymentData, amount: 30 });
+
+    expect(result.payment.id).toBe("payment123");
+    console.error.mockRestore();
+  });
+
+  describe("allocations", () => {
+    const fees = [
+      { feeId: "2025-03-17", date: new Date(2025, 2, 17), status: "absent", fee: 5 },
+      { feeId: "2025-03-03", date: new Date(2025, 2, 3), status: "present", fee: 5 },
+      { feeId: "2025-03-10_wed", date: new Date(2025, 2, 10), status: "absent", fee: 5 }
+    ];
+    const paymentData = { studentId: "student123", amount: 6, date: new Date(2025, 2, 20), paymentMethod: "cash", adminId: "admin123" };
+
+    beforeEach(() => {
+      mockReportService.calculateStudentBalance.mockResolvedValue({ feeBreakdown: fees });
+      mockStudentRepository.getStudentById.mockResolvedValue({ ...mockStudentData, balance: 13 });
+      mockStudentRepository.updateStudent.mockImplementation((id, data) => Promise.resolve({ id, ...data }));
+      mockPaymentRepository.createPayment.mockImplementation(data => Promise.resolve({ id: "payment456", ...data }));
+    });
+
+    test("should allocate a payment to the oldest open fees first", async () => {
+      mockPaymentRepository.getPaymentsByStudentId.mockResolvedValue([
+        { id: "payment1", amount: 2, allocations: [{ feeId: "2025-03-03", feeDate: "2025-03-03", amount: 2 }] }
+      ]);
+
+      await paymentService.recordPayment(paymentData);
+
+      expect(mockPaymentRepository.createPayment).toHaveBeenCalledWith(expect.objectContaining({
+        allocationMode: "auto",
+        allocations: [
+          { feeId: "2025-03-03", feeDate: "2025-03-03", amount: 3 },
+          { feeId: "2025-03-10_wed", feeDate: "2025-03-10", amount: 3 }
+        ]
+      }));
+    });
+
+    test("should allocate to the fees the admin picked and keep the rest as credit", async () => {
+      await paymentService.recordPayment({ ...paymentData, feeId: "2025-03-17", feeDate: "2025-03-17" });
+
+      const record = mockPaymentRepository.createPayment.mock.calls[0][0];
+      expect(record.allocationMode).toBe("manual");
+      expect(record.allocations).toEqual([{ feeId: "2025-03-17", feeDate: "2025-03-17", amount: 5 }]);
+      expect(record).not.toHaveProperty("feeId");
+    });
+
+    test("should release and redo a payment's allocations when its amount is edited", async () => {
+      const payment = {
+        ...mockPaymentData,
+        amount: 10,
+        allocationMode: "auto",
+        allocations: [
+          { feeId: "2025-03-03", feeDate: "2025-03-03", amount: 5 },
+          { feeId: "2025-03-10_wed", feeDate: "2025-03-10", amount: 5 }
+        ]
+      };
+      mockPaymentRepository.getPaymentById.mockResolvedValue(payment);
+      mockPaymentRepository.getPaymentsByStudentId.mockResolvedValue([payment]);
+      mockPaymentRepository.updatePayment = jest.fn((id, data) => Promise.resolve({ ...payment, ...data }));
+
+      await paymentService.updatePayment("payment123", { amount: 4 });
+
+      expect(mockPaymentRepository.updatePayment).toHaveBeenCalledWith("payment123", expect.objectContaining({
+        allocations: [{ feeId: "2025-03-03", feeDate: "2025-03-03", amount: 4 }]
+      }));
+    });
+
+    test("should release allocations the refunded amount no longer covers", async () => {
+      const payment = {
+        ...mockPaymentData,
+        amount: 10,
+        allocations: [
+          { feeId: "2025-03-03", feeDate: "2025-03-03", amount: 5 },
+          { feeId: "2025-03-10_wed", feeDate: "2025-03-10", amount: 5 }
+        ]
+      };
+      mockPaymentRepository.getPaymentById.mockResolvedValue(payment);
+      mockPaymentRepository.getPaymentsByStudentId.mockResolvedValue([payment]);
+      mockPaymentRepository.updatePayment = jest.fn();
+      mockPaymentRepository.createRefund.mockImplementation(data => Promise.resolve({ id: "refund1", ...data }));
+
+      await paymentService.refundPayment("payment123", 3, { reason: "Overcharged", refundMethod: "cash" });
+
+      // Written together with the refund, never on its own
+      expect(mockPaymentRepository.createRefund).toHaveBeenCalledWith(
+        expect.objectContaining({ originalPaymentId: "payment123", amount: -3 }),
+        [
+          { feeId: "2025-03-03", feeDate: "2025-03-03", amount: 5 },
+          { feeId: "2025-03-10_wed", feeDate: "2025-03-10", amount: 2 }
+        ]
+      );
+      expect(mockPaymentRepository.updatePayment).not.toHaveBeenCalled();
+    });
+
+    test("should allocate a deleted refund's money to the original payment again", async () => {
+      const payment = {
+        ...mockPaymentData,
+        amount: 10,
+        allocationMode: "auto",
+        allocations: [
+          { feeId: "2025-03-03", feeDate: "2025-03-03", amount: 5 },
+          { feeId: "2025-03-10_wed", feeDate: "2025-03-10", amount: 2 }
+        ]
+      };
+      const refund = { id: "refund1", studentId: "student123", type: "refund", amount: -3, originalPaymentId: "payment123" };
+      mockPaymentRepository.getPaymentById.mockImplementation(id => Promise.resolve(id === "refund1" ? refund : payment));
+      mockPaymentRepository.getPaymentsByStudentId.mockResolvedValue([payment, refund]);
+      mockPaymentRepository.deletePayment = jest.fn();
+      mockPaymentRepository.deleteRefund = jest.fn().mockResolvedValue();
+
+      await paymentService.deletePayment("refund1");
+
+      // Written together with the deletion, never on its own
+      expect(mockPaymentRepository.deleteRefund).toHaveBeenCalledWith(refund, [
+        { feeId: "2025-03-03", feeDate: "2025-03-03", amount: 5 },
+        { feeId: "2025-03-10_wed", feeDate: "2025-03-10", amount: 5 }
+      ]);
+      expect(mockPaymentRepository.deletePayment).not.toHaveBeenCalled();
+      expect(mockPaymentPlanService.syncPayment).toHaveBeenCalledWith("student123", "payment123", 10);
+      expect(mockLedgerEntries[mockLedgerEntries.length - 1]).toEqual(
+        expect.objectContaining({ type: "refund", amount: 3, creditAccount: "studentReceivable", sourceId: "refund1" })
+      );
+    });
+  });
+
+  test("should refund part of a credit balance", async () => {
+    mockStudentRepository.getStudentById.mockResolvedValue({ ...mockStudentData, balance: -25 });
+    mockPaymentRepository.createPayment.mockImplementation(data => Promise.resolve({ id: "refund1", ...data }));
+    mockStudentRepository.updateStudent.mockImplementation((id, data) => Promise.resolve({ id, ...data }));
+
+    const result = await paymentService.refundCredit("student123", 10, { adminId: "admin123" });
+
+    expect(mockPaymentRepository.createPayment).toHaveBeenCalledWith(
+      expect.objectContaining({ studentId: "student123", type: "refund", amount: -10, paymentMethod: "cash" })
+    );
+    expect(mockLedgerEntries[mockLedgerEntries.length - 1]).toEqual(
+      expect.objectContaining({ type: "refund", amount: 10, debitAccount: "studentReceivable", sourceId: "refund1" })
+    );
+    expect(result.updatedStudent.balance).toBe(-15);
+  });
+
+  test("should not refund more than the student's credit", async () => {
+    mockStudentRepository.getStudentById.mockResolvedValue({ ...mockStudentData, balance: -5 });
+
+    await expect(paymentService.refundCredit("student123", 10)).rejects.toThrow("Refund cannot exceed the student's credit of $5.00");
+    expect(mockPaymentRepository.createPayment).not.toHaveBeenCalled();
+  });
+
+  test("should record a partial refund that references the original payment", async () => {
+    mockPaymentRepository.getPaymentById.mockResolvedValue({ ...mockPaymentData, amount: 40 });
+    mockPaymentRepository.getPaymentsByStudentId.mockResolvedValue([
+      { ...mockPaymentData, amount: 40 },
+      { id: "refund0", type: "refund", amount: -15, originalPaymentId: "payment123" }
+    ]);
+    mockPaymentRepository.createRefund.mockImplementation(data => Promise.resolve({ id: "refund1", ...data }));
+    mockStudentRepository.getStudentById.mockResolvedValue({ ...mockStudentData, balance: -40 });
+    mockStudentRepository.updateStudent.mockImplementation((id, data) => Promise.resolve({ id, ...data }));
+
+    const result = await paymentService.refundPayment("payment123", 25, {
+      reason: " Class cancelled ",
+      refundMethod: "card",
+      adminId: "admin123"
+    });
+
+    expect(result.refund).toEqual(expect.objectContaining({
+      type: "refund",
+      originalPaymentId: "payment123",
+      amount: -25,
+      paymentMethod: "card",
+      reason: "Class cancelled"
+    }));
+    expect(mockLedgerEntries[mockLedgerEntries.length - 1]).toEqual(
+      expect.objectContaining({ type: "refund", amount: 25, sourceId: "refund1" })
+    );
+    expect(result.updatedStudent.balance).toBe(-15);
+    // Only what is left of the payment still counts toward a payment plan
+    expect(mockPaymentPlanService.syncPayment).toHaveBeenCalledWith("student123", "payment123", 0);
+  });
+
+  test("should not refund more than is left on the payment", async () => {
+    mockPaymentRepository.getPaymentById.mockResolvedValue({ ...mockPaymentData, amount: 40 });
+    mockPaymentRepository.getPaymentsByStudentId.mockResolvedValue([
+      { id: "refund0", type: "refund", amount: -30, originalPaymentId: "payment123" }
+    ]);
+
+    await expect(paymentService.refundPayment("payment123", 15, { reason: "Overcharged", refundMethod: "cash" }))
+      .rejects.toThrow("Refund cannot exceed the $10.00 left on this payment");
+    expect(mockPaymentRepository.createRefund).not.toHaveBeenCalled();
+  });
+
+  test("should require a reason and a valid refund method", async () => {
+    await expect(paymentService.refundPayment("payment123", 5, { reason: " ", refundMethod: "cash" }))
+      .rejects.toThrow("A reason is required for refunds");
+    await expect(paymentService.refundPayment("payment123", 5, { reason: "Overcharged", refundMethod: "cheque" }))
+      .rejects.toThrow("Invalid refund method");
+  });
+
+  test("should not delete a payment that has refunds", async () => {
+    mockPaymentRepository.getPaymentById.mockResolvedValue({ ...mockPaymentData, amount: 40 });
+    mockPaymentRepository.getPaymentsByStudentId.mockResolvedValue([
+      { id: "refund0", type: "refund", amount: -5, originalPaymentId: "payment123" }
+    ]);
+    mockPaymentRepository.deletePayment = jest.fn();
+    mockStudentRepository.getStudentById.mockResolvedValue({ ...mockStudentData });
+
+    await expect(paymentService.deletePayment("payment123")).rejects.toThrow("Delete the refunds first");
+    expect(mockPaymentRepository.deletePayment).not.toHaveBeenCalled();
+  });
+
+  test("should edit a payment in place, keep the previous version and post the difference", async () => {
+    const originalDate = new Date(2025, 2, 3);
+    mockPaymentRepository.getPaymentById.mockResolvedValue({ ...mockPaymentData, amount: 40, date: originalDate });
+    mockPaymentRepository.getPaymentsByStudentId.mockResolvedValue([]);
+    mockPaymentRepository.updatePayment = jest.fn((id, data) => Promise.resolve({ ...mockPaymentData, id, ...data }));
+    mockStudentRepository.getStudentById.mockResolvedValue({ ...mockStudentData, balance: 0 });
+    mockStudentRepository.updateStudent.mockImplementation((id, data) => Promise.resolve({ id, ...data }));
+
+    const result = await paymentService.updatePayment("payment123", { amount: 30, paymentMethod: "card" }, { adminId: "admin456" });
+
+    expect(result.changedFields).toEqual(["amount", "paymentMethod"]);
+    expect(mockPaymentRepository.updatePayment).toHaveBeenCalledWith("payment123", expect.objectContaining({
+      amount: 30,
+      paymentMethod: "card",
+      editHistory: [expect.objectContaining({
+        amount: 40,
+        date: originalDate,
+        paymentMethod: "cash",
+        changedFields: ["amount", "paymentMethod"],
+        editedBy: "admin456"
+      })]
+    }));
+    // Ten dollars less was paid, so ten dollars more is owed
+    expect(result.updatedStudent.balance).toBe(10);
+    expect(mockPaymentPlanService.syncPayment).toHaveBeenCalledWith("student123", "payment123", 30);
+  });
+
+  test("should run edited payments through the holiday check", async () => {
+    paymentService.holidayService = {
+      loadCalendar: jest.fn().mockResolvedValue([]),
+      isHoliday: jest.fn().mockReturnValue(true),
+      getHolidayName: jest.fn().mockReturnValue("Independence Day")
+    };
+    mockPaymentRepository.getPaymentById.mockResolvedValue({ ...mockPaymentData, date: new Date(2025, 6, 3) });
+    mockPaymentRepository.getPaymentsByStudentId.mockResolvedValue([]);
+    mockPaymentRepository.updatePayment = jest.fn((id, data) => Promise.resolve({ id, ...data }));
+
+    const result = await paymentService.updatePayment("payment123", { date: new Date(2025, 6, 4) });
+
+    expect(paymentService.holidayService.isHoliday).toHaveBeenCalled();
+    expect(mockPaymentRepository.updatePayment).toHaveBeenCalledWith("payment123", expect.objectContaining({
+      isHolidayPayment: true,
+      holidayName: "Independence Day"
+    }));
+    expect(result.updatedStudent).toBeNull();
+  });
+
+  test("should reject edits that are invalid or go below the refunded amount", async () => {
+    mockPaymentRepository.getPaymentById.mockResolvedValue({ ...mockPaymentData, amount: 40 });
+    mockPaymentRepository.getPaymentsByStudentId.mockResolvedValue([
+      { id: "refund0", type: "refund", amount: -25, originalPaymentId: "payment123" }
+    ]);
+    mockPaymentRepository.updatePayment = jest.fn();
+
+    await expect(paymentService.updatePayment("payment123", { amount: 0 })).rejects.toThrow("Payment amount must be greater than zero");
+    await expect(paymentService.updatePayment("payment123", { amount: 20 })).rejects.toThrow("already refunded");
+    expect(mockPaymentRepository.updatePayment).not.toHaveBeenCalled();
+  });
+
   test("should throw error if amount is not positive", async () => {
     // Arrange
     const paymentData = {
@@ -164,6 +588,41 @@ describe("PaymentService", () => {
     expect(mockStudentRepository.updateStudent).not.toHaveBeenCalled();
   });
 
+  test("should store the reference of configured payment methods", async () => {
+    mockStudentRepository.getStudentById.mockResolvedValue({ ...mockStudentData });
+    mockStudentRepository.updateStudent.mockImplementation((id, data) => Promise.resolve({ id, ...data }));
+    mockPaymentRepository.createPayment.mockImplementation(data => Promise.resolve({ id: "payment456", ...data }));
+
+    await paymentService.recordPayment({ ...mockPaymentData, paymentMethod: "zelle", reference: " ZX-991 " });
+
+    expect(mockPaymentRepository.createPayment).toHaveBeenCalledWith(expect.objectContaining({
+      paymentMethod: "zelle",
+      reference: "ZX-991"
+    }));
+  });
+
+  test("should reject deactivated methods for new payments but let edits keep them", async () => {
+    paymentService.paymentMethodService = new PaymentMethodService({
+      getSettings: () => Promise.resolve({
+        methods: [
+          { id: "cash", label: "Cash", referenceLabel: null, active: true },
+          { id: "card", label: "Card", referenceLabel: null, active: false }
+        ]
+      })
+    });
+    mockStudentRepository.getStudentById.mockResolvedValue({ ...mockStudentData });
+
+    await expect(paymentService.recordPayment({ ...mockPaymentData, paymentMethod: "card" }))
+      .rejects.toThrow("Invalid payment method. Must be one of: cash");
+
+    mockPaymentRepository.getPaymentById.mockResolvedValue({ ...mockPaymentData, paymentMethod: "card" });
+    mockPaymentRepository.updatePayment = jest.fn((id, data) => Promise.resolve({ id, ...data }));
+
+    const result = await paymentService.updatePayment("payment123", { notes: "Corrected note" });
+
+    expect(result.changedFields).toEqual(["notes"]);
+  });
+
   test("should get payments by student", async () => {
     // Arrange
     const studentId = "student123";
@@ -0,0 +1,103 @@
+import { ReceiptRepository } from '../repository/ReceiptRepository';
+import { getFirestore, doc, runTransaction } from 'firebase/firestore';
+
+jest.mock('firebase/firestore', () => ({
+  getFirestore: jest.fn(),
+  doc: jest.fn(),
+  getDoc: jest.fn(),
+  updateDoc: jest.fn(),
+  runTransaction: jest.fn(),
+  collection: jest.fn(),
+  query: jest.fn(),
+  where: jest.fn(),
+  getDocs: jest.fn(),
+  Timestamp: {
+    fromDate: jest.fn(date => date)
+  }
+}));
+jest.mock('../lib/firebase/config/config', () => ({}));
+
+describe('ReceiptRepository', () => {
+  let receiptRepository;
+  let store;
+
+  const snapshot = (path) => ({
+    exists: () => store.has(path),
+    data: () => store.get(path)
+  });
+
+  beforeEach(() => {
+    store = new Map();
+    getFirestore.mockReturnValue({});
+    doc.mockImplementation((db, collectionName, id) => `${collectionName}/${id}`);
+    // Run transactions against an in-memory store, writing only once the update function succeeds
+    runTransaction.mockImplementation(async (db, updateFunction) => {
+      const writes = [];
+      const result = await updateFunction({
+        get: (path) => Promise.resolve(snapshot(path)),
+        set: (path, data) => writes.push([path, data])
+      });
+      writes.forEach(([path, data]) => store.set(path, data));
+      return result;
+    });
+
+    receiptRepository = new ReceiptRepository();
+  });
+
+  it('numbers receipts without gaps within each fee year', async () => {
+    const first = await receiptRepository.issueReceipt('payment1', 2025, { amount: 10 });
+    const second = await receiptRepository.issueReceipt('payment2', 2025, { amount: 20 });
+    const nextYear = await receiptRepository.issueReceipt('payment3', 2026, { amount: 30 });
+
+    expect([first.receiptNumber, second.receiptNumber, nextYear.receiptNumber])
+      .toEqual(['2025-0001', '2025-0002', '2026-0001']);
+    expect(store.get('receiptCounters/2025')).toEqual({ feeYear: 2025, lastSequence: 2 });
+    expect(store.get('receipts/payment2')).toEqual(expect.objectContaining({ paymentId: 'payment2', sequence: 2, voided: false }));
+  });
+
+  it('returns the existing receipt of a payment without using a new number', async () => {
+    await receiptRepository.issueReceipt('payment1', 2025, { amount: 10 });
+
+    const again = await receiptRepository.issueReceipt('payment1', 2025, { amount: 99 });
+
+    expect(again).toEqual(expect.objectContaining({ id: 'payment1', receiptNumber: '2025-0001', amount: 10 }));
+    expect(store.get('receiptCounters/2025').lastSequence).toBe(1);
+  });
+
+  it('keeps the old receipt void and numbers the edited payment in its new fee year', async () => {
+    await receiptRepository.issueReceipt('payment1', 2024, { amount: 10 });
+
+    const receipt = await receiptRepository.reissueReceipt('payment1', 2025, { amount: 12 }, 'Payment edited');
+
+    expect(receipt).toEqual(expect.objectContaining({
+      id: 'payment1',
+      receiptNumber: '2025-0001',
+      amount: 12,
+      replacesReceiptNumber: '2024-0001'
+    }));
+    expect(store.get('receipts/payment1_2024-0001')).toEqual(expect.objectContaining({
+      receiptNumber: '2024-0001',
+      amount: 10,
+      voided: true,
+      voidReason: 'Payment edited'
+    }));
+    expect(store.get('receiptCounters/2024').lastSequence).toBe(1);
+  });
+
+  it('does not reissue a receipt that was never issued or is void', async () => {
+    expect(await receiptRepository.reissueReceipt('payment1', 2025, { amount: 12 }, 'Payment edited')).toBeNull();
+
+    store.set('receipts/payment2', { receiptNumber: '2025-0001', voided: true });
+    expect(await receiptRepository.reissueReceipt('payment2', 2025, { amount: 12 }, 'Payment edited')).toBeNull();
+    expect(store.has('receiptCounters/2025')).toBe(false);
+  });
+
+  it('wraps transaction failures', async () => {
+    runTransaction.mockRejectedValue(new Error('contention'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(receiptRepository.issueReceipt('payment1', 2025, {}))
+      .rejects.toThrow('Failed to issue receipt: contention');
+    console.error.mockRestore();
+  });
+});
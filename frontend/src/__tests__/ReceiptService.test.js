@@ -0,0 +1,93 @@
+import ReceiptService from "../services/ReceiptService";
+import PaymentMethodService from "../services/PaymentMethodService";
+import { DateService } from "../services/DateService";
+
+jest.mock("firebase/firestore");
+jest.mock("../lib/firebase/config/config", () => ({}));
+
+describe("ReceiptService", () => {
+  let receiptService;
+  let mockReceiptRepository;
+  let mockStudentRepository;
+
+  const student = { id: "student1", firstName: "Ana", lastName: "Lopez", balance: 15 };
+  const payment = {
+    id: "payment1",
+    studentId: "student1",
+    amount: 25,
+    date: new Date(2025, 7, 20),
+    paymentMethod: "check",
+    reference: "1042",
+    allocations: [{ feeId: "att1", feeDate: "2025-08-14", amount: 5 }]
+  };
+
+  beforeEach(() => {
+    mockReceiptRepository = {
+      issueReceipt: jest.fn((paymentId, feeYear, data) => Promise.resolve({ ...data, id: paymentId, feeYear, receiptNumber: `${feeYear}-0001` })),
+      getReceiptByPaymentId: jest.fn().mockResolvedValue(null),
+      getReceiptsByStudentId: jest.fn().mockResolvedValue([]),
+      voidReceipt: jest.fn().mockResolvedValue()
+    };
+    mockStudentRepository = {
+      getStudentById: jest.fn().mockResolvedValue(student)
+    };
+    receiptService = new ReceiptService(
+      mockReceiptRepository,
+      mockStudentRepository,
+      new PaymentMethodService({ getSettings: () => Promise.resolve(null) }),
+      new DateService()
+    );
+  });
+
+  test("should number receipts in the fee year of the payment date", async () => {
+    await receiptService.issueReceipt({ ...payment, date: new Date(2025, 7, 12) }, student);
+    await receiptService.issueReceipt({ ...payment, id: "payment2", date: new Date(2025, 7, 13) }, student);
+
+    expect(mockReceiptRepository.issueReceipt.mock.calls.map(call => call[1])).toEqual([2024, 2025]);
+  });
+
+  test("should record the student, method, covered fees and remaining balance", async () => {
+    const receipt = await receiptService.issueReceipt(payment, student);
+
+    expect(receipt).toEqual(expect.objectContaining({
+      studentName: "Ana Lopez",
+      amount: 25,
+      methodLabel: "Check",
+      reference: "1042",
+      paymentDate: "2025-08-20",
+      fees: [{ feeId: "att1", feeDate: "2025-08-14", amount: 5 }],
+      unallocated: 20,
+      remainingBalance: 15
+    }));
+  });
+
+  test("should not issue receipts for refunds", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(receiptService.issueReceipt({ ...payment, type: "refund", amount: -5 }, student))
+      .rejects.toThrow("Refunds do not get receipts");
+    expect(mockReceiptRepository.issueReceipt).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  test("should reuse an existing receipt and issue a missing one when opened", async () => {
+    mockReceiptRepository.getReceiptByPaymentId.mockResolvedValueOnce({ id: "payment1", receiptNumber: "2025-0004" });
+
+    expect((await receiptService.getReceiptForPayment(payment)).receiptNumber).toBe("2025-0004");
+    expect(mockReceiptRepository.issueReceipt).not.toHaveBeenCalled();
+
+    await receiptService.getReceiptForPayment(payment);
+    expect(mockStudentRepository.getStudentById).toHaveBeenCalledWith("student1");
+    expect(mockReceiptRepository.issueReceipt).toHaveBeenCalledTimes(1);
+  });
+
+  test("should void a receipt only once", async () => {
+    mockReceiptRepository.getReceiptByPaymentId
+      .mockResolvedValueOnce({ id: "payment1", voided: false })
+      .mockResolvedValueOnce({ id: "payment1", voided: true });
+
+    expect(await receiptService.voidReceipt("payment1")).toBe(true);
+    expect(await receiptService.voidReceipt("payment1")).toBe(false);
+    expect(mockReceiptRepository.voidReceipt).toHaveBeenCalledTimes(1);
+  });
+});
@@ -24,7 +24,7 @@ const mockAttendanceRepository = {
 };
 
 const mockAttendanceService = {
-  calculateAttendanceFee: jest.fn()
+  calculateAttendanceFeeWithHolidays: jest.fn()
 };
 
 const mockExpenseService = {
@@ -49,6 +49,32 @@ jest.mock("../services/AttendanceService", () => ({
   attendanceService: mockAttendanceService
 }));
 
+jest.mock("../repository/FeeWaiverRepository", () => ({
+  feeWaiverRepository: {
+    getWaiversByStudentId: () => Promise.resolve([]),
+    getWaiversByStatus: () => Promise.resolve([])
+  }
+}));
+
+jest.mock("../services/FeeRuleService", () => {
+  const FeeRuleService = jest.requireActual("../services/FeeRuleService").default;
+  return { feeRuleService: new FeeRuleService({ getSettings: () => Promise.resolve(null) }) };
+});
+
+jest.mock("../services/HolidayService", () => {
+  const HolidayService = jest.requireActual("../services/HolidayService").default;
+  return {
+    holidayService: new HolidayService({ getAllHolidays: () => Promise.resolve([]) }, { getSettings: () => Promise.resolve(null) })
+  };
+});
+
+jest.mock("../services/ClassCancellationService", () => {
+  const ClassCancellationService = jest.requireActual("../services/ClassCancellationService").default;
+  return {
+    classCancellationService: new ClassCancellationService({ getAllCancellations: () => Promise.resolve([]) })
+  };
+});
+
 // Import ReportService after mocking using require to avoid hoisting issues
 const ReportService = require("../services/ReportService").default;
 
@@ -141,7 +167,7 @@ describe("ReportService", () => {
     mockStudentRepository.getAllStudents.mockResolvedValue(mockStudentData);
     
     // Mock the fee calculation
-    mockAttendanceService.calculateAttendanceFee
+    mockAttendanceService.calculateAttendanceFeeWithHolidays
       .mockReturnValueOnce(1) // For student123 (present with late = $1)
       .mockReturnValueOnce(5); // For student456 (absent = $5)
     
@@ -160,6 +186,20 @@ describe("ReportService", () => {
     expect(result.summary).toHaveProperty("outstandingBalance", -244); // $6 - $250
   });
 
+  test("should net refunds out of the monthly payments as negative revenue", async () => {
+    mockReportRepository.getMonthlyFeesCharged.mockResolvedValue([]);
+    mockReportRepository.getMonthlyPayments.mockResolvedValue([
+      ...mockPaymentData,
+      { id: "refund1", studentId: "student123", type: "refund", originalPaymentId: "payment123", amount: -40, paymentMethod: "cash" }
+    ]);
+    mockStudentRepository.getAllStudents.mockResolvedValue(mockStudentData);
+
+    const result = await reportService.generateMonthlyFinancialReport(new Date("2023-01-15"));
+
+    expect(result.summary.totalPaymentsReceived).toBe(210);
+    expect(result.summary.totalRefunds).toBe(-40);
+  });
+
   test("should generate cumulative financial report", async () => {
     // Arrange
     mockStudentRepository.getAllStudents.mockResolvedValue(mockStudentData);
@@ -201,7 +241,7 @@ describe("ReportService", () => {
       }
     ]);
     
-    mockAttendanceService.calculateAttendanceFee.mockReturnValue(1); // For late attendance
+    mockAttendanceService.calculateAttendanceFeeWithHolidays.mockReturnValue(1); // For late attendance
     
     // Act
     const result = await reportService.getStudentFinancialDetails(studentId);
@@ -220,6 +260,105 @@ describe("ReportService", () => {
     expect(result).toHaveProperty("feeHistory");
   });
 
+  test("should mark fees paid from the payments allocated to them", async () => {
+    mockStudentRepository.getStudentById.mockResolvedValue(mockStudentData[0]);
+    mockReportRepository.getStudentPaymentHistory.mockResolvedValue([
+      { id: "payment1", amount: 5, date: new Date(2023, 0, 20), allocations: [{ feeId: "2023-01-16", feeDate: "2023-01-16", amount: 5 }] }
+    ]);
+    mockReportRepository.getStudentAttendanceHistory.mockResolvedValue([
+      { date: new Date(2023, 0, 16), id: "2023-01-16", record: { status: "absent" } },
+      { date: new Date(2023, 0, 9), id: "2023-01-09", record: { status: "absent" } }
+    ]);
+    mockAttendanceService.calculateAttendanceFeeWithHolidays.mockReturnValue(5);
+
+    const result = await reportService.getStudentFinancialDetails("student123");
+
+    // The newer fee was picked, so the older one stays open
+    expect(result.feeHistory.map(({ feeId, paymentStatus, remainingAmount }) => ({ feeId, paymentStatus, remainingAmount }))).toEqual([
+      { feeId: "2023-01-09", paymentStatus: "unpaid", remainingAmount: 5 },
+      { feeId: "2023-01-16", paymentStatus: "paid", remainingAmount: 0 }
+    ]);
+  });
+
+  test("should take approved waivers off the fees owed", async () => {
+    const waiverRepository = {
+      getWaiversByStudentId: jest.fn().mockResolvedValue([
+        { studentId: "student123", status: "approved", fees: [{ feeId: "2023-01-16", amount: 5 }, { feeId: "2023-01-09", amount: 2 }] },
+        { studentId: "student123", status: "pending", fees: [{ feeId: "2023-01-02", amount: 5 }] }
+      ])
+    };
+    reportService = new ReportService(
+      mockReportRepository, mockStudentRepository, mockAttendanceRepository, mockAttendanceService,
+      mockExpenseService, undefined, undefined, undefined, waiverRepository
+    );
+    mockStudentRepository.getStudentById.mockResolvedValue(mockStudentData[0]);
+    mockReportRepository.getStudentPaymentHistory.mockResolvedValue([]);
+    mockReportRepository.getStudentAttendanceHistory.mockResolvedValue([
+      { date: new Date(2023, 0, 16), id: "2023-01-16", record: { status: "absent" } },
+      { date: new Date(2023, 0, 9), id: "2023-01-09", record: { status: "absent" } },
+      { date: new Date(2023, 0, 2), id: "2023-01-02", record: { status: "absent" } }
+    ]);
+    mockAttendanceService.calculateAttendanceFeeWithHolidays.mockReturnValue(5);
+
+    const result = await reportService.getStudentFinancialDetails("student123");
+
+    // The charges stay on the attendance records; only the pending waiver's fee is still fully owed
+    expect(result.financialSummary).toMatchObject({ totalFeesCharged: 15, totalFeesWaived: 7, calculatedBalance: 8 });
+    expect(result.feeHistory.map(({ feeId, paymentStatus, remainingAmount }) => ({ feeId, paymentStatus, remainingAmount }))).toEqual([
+      { feeId: "2023-01-02", paymentStatus: "unpaid", remainingAmount: 5 },
+      { feeId: "2023-01-09", paymentStatus: "unpaid", remainingAmount: 3 },
+      { feeId: "2023-01-16", paymentStatus: "waived", remainingAmount: 0 }
+    ]);
+  });
+
+  test("should leave markings before enrollment out of the monthly cap", async () => {
+    const FeeRuleService = jest.requireActual("../services/FeeRuleService").default;
+    const cappedRules = new FeeRuleService({ getSettings: () => Promise.resolve({ monthlyCap: 8, rules: [] }) });
+    reportService = new ReportService(
+      mockReportRepository, mockStudentRepository, mockAttendanceRepository, mockAttendanceService,
+      mockExpenseService, undefined, undefined, undefined, undefined, cappedRules
+    );
+    mockAttendanceService.calculateAttendanceFeeWithHolidays.mockReturnValue(5);
+
+    const ruleFees = await reportService.getMonthlyRuleFees(
+      [
+        { id: "2023-01-02", data: { student1: { status: "absent" } } },
+        { id: "2023-01-09", data: { student1: { status: "absent" } } }
+      ],
+      new Date(2023, 0, 15),
+      [{ id: "student1", enrollmentStatus: "Enrolled", enrollmentStartDate: "2023-01-05" }]
+    );
+
+    // January 2 is before the student joined, so January 9 is charged in full
+    expect(ruleFees).toEqual({ student1: { "2023-01-09": 5 } });
+  });
+
+  test("should charge fees after the monthly cap, as the attendance screen shows them", async () => {
+    const FeeRuleService = jest.requireActual("../services/FeeRuleService").default;
+    const cappedRules = new FeeRuleService({ getSettings: () => Promise.resolve({ monthlyCap: 8, rules: [] }) });
+    reportService = new ReportService(
+      mockReportRepository, mockStudentRepository, mockAttendanceRepository, mockAttendanceService,
+      mockExpenseService, undefined, undefined, undefined, undefined, cappedRules
+    );
+    mockStudentRepository.getStudentById.mockResolvedValue(mockStudentData[0]);
+    mockReportRepository.getStudentPaymentHistory.mockResolvedValue([]);
+    mockReportRepository.getStudentAttendanceHistory.mockResolvedValue([
+      { date: new Date(2023, 0, 16), id: "2023-01-16", record: { status: "absent" } },
+      { date: new Date(2023, 0, 9), id: "2023-01-09", record: { status: "absent" } },
+      { date: new Date(2023, 0, 2), id: "2023-01-02", record: { status: "absent" } }
+    ]);
+    mockAttendanceService.calculateAttendanceFeeWithHolidays.mockReturnValue(5);
+
+    const result = await reportService.getStudentFinancialDetails("student123");
+
+    expect(result.financialSummary.totalFeesCharged).toBe(8);
+    expect(result.feeHistory.map(({ feeId, fee }) => ({ feeId, fee }))).toEqual([
+      { feeId: "2023-01-02", fee: 5 },
+      { feeId: "2023-01-09", fee: 3 },
+      { feeId: "2023-01-16", fee: 0 }
+    ]);
+  });
+
   test("should get public dashboard data", async () => {
     // Arrange
     mockStudentRepository.getAllStudents.mockResolvedValue(mockStudentData);
@@ -305,4 +444,204 @@ describe("ReportService", () => {
     expect(result.summary).toHaveProperty("attendanceRate", 50); // 1 present out of 2 possible
     expect(result.summary).toHaveProperty("byStudent");
   });
-});
\ No newline at end of file
+
+  test("should count sessions held from the class schedule in the attendance report", async () => {
+    // Arrange
+    const monthDate = new Date(2023, 0, 15);
+    const mockClassScheduleService = {
+      loadSchedule: jest.fn().mockResolvedValue([]),
+      hasSchedule: jest.fn().mockReturnValue(true),
+      getSessionsHeld: jest.fn().mockReturnValue([
+        { sessionId: "2023-01-02_mon", date: "2023-01-02" },
+        { sessionId: "2023-01-04_wed", date: "2023-01-04" },
+        { sessionId: "2023-01-04_wed-late", date: "2023-01-04" }
+      ])
+    };
+    const scheduledReportService = new ReportService(
+      mockReportRepository,
+      mockStudentRepository,
+      mockAttendanceRepository,
+      mockAttendanceService,
+      mockExpenseService,
+      undefined,
+      undefined,
+      mockClassScheduleService
+    );
+    
+    mockReportRepository.getMonthlyAttendance.mockResolvedValue([
+      {
+        date: new Date(2023, 0, 2),
+        id: "2023-01-02",
+        records: {
+          "student123": { status: "present", attributes: {} }
+        }
+      },
+      {
+        // Marked on a day without a scheduled class
+        date: new Date(2023, 0, 3),
+        id: "2023-01-03",
+        records: {
+          "student123": { status: "present", attributes: {} }
+        }
+      }
+    ]);
+    mockStudentRepository.getAllStudents.mockResolvedValue(mockStudentData);
+    
+    // Act
+    const result = await scheduledReportService.generateMonthlyAttendanceReport(monthDate);
+    
+    // Assert
+    expect(mockClassScheduleService.getSessionsHeld).toHaveBeenCalledWith(
+      new Date(2023, 0, 1),
+      new Date(2023, 0, 31)
+    );
+    expect(result.summary).toHaveProperty("sessionsHeld", 3);
+    expect(result.summary).toHaveProperty("scheduleBased", true);
+    expect(result.summary).toHaveProperty("totalDays", 3);
+    expect(result.summary).toHaveProperty("unscheduledDayCount", 1);
+    expect(result.summary).toHaveProperty("presentCount", 1);
+  });
+
+  test("should report cancelled classes separately from sessions held", async () => {
+    // Arrange
+    const monthDate = new Date(2023, 0, 15);
+    const mockClassScheduleService = {
+      loadSchedule: jest.fn().mockResolvedValue([]),
+      hasSchedule: jest.fn().mockReturnValue(true),
+      getSessionsHeld: jest.fn().mockReturnValue([
+        { sessionId: "2023-01-02_mon", date: "2023-01-02" },
+        { sessionId: "2023-01-04_wed", date: "2023-01-04" },
+        { sessionId: "2023-01-04_wed-late", date: "2023-01-04" }
+      ])
+    };
+    const ClassCancellationService = jest.requireActual("../services/ClassCancellationService").default;
+    const classCancellations = new ClassCancellationService({
+      getAllCancellations: () => Promise.resolve([
+        { id: "cancel-1", date: "2023-01-04", sessionId: "2023-01-04_wed-late", className: "19:30 · Advanced", reason: "instructorSick", note: "" }
+      ])
+    });
+    const scheduledReportService = new ReportService(
+      mockReportRepository,
+      mockStudentRepository,
+      mockAttendanceRepository,
+      mockAttendanceService,
+      mockExpenseService,
+      undefined,
+      undefined,
+      mockClassScheduleService,
+      undefined,
+      undefined,
+      undefined,
+      classCancellations
+    );
+
+    mockReportRepository.getMonthlyAttendance.mockResolvedValue([
+      {
+        date: new Date(2023, 0, 2),
+        id: "2023-01-02",
+        records: {
+          "student123": { status: "present", attributes: {} }
+        }
+      }
+    ]);
+    mockStudentRepository.getAllStudents.mockResolvedValue(mockStudentData);
+
+    // Act
+    const result = await scheduledReportService.generateMonthlyAttendanceReport(monthDate);
+
+    // Assert
+    expect(result.summary).toHaveProperty("sessionsHeld", 2);
+    expect(result.summary).toHaveProperty("cancelledCount", 1);
+    expect(result.summary.cancellations).toEqual([
+      {
+        id: "cancel-1",
+        date: "2023-01-04",
+        sessionId: "2023-01-04_wed-late",
+        className: "19:30 · Advanced",
+        reason: "instructorSick",
+        reasonLabel: "Instructor sick",
+        note: ""
+      }
+    ]);
+  });
+
+  test("should only count sessions inside a student's enrollment window in the attendance report", async () => {
+    // Arrange
+    const monthDate = new Date(2023, 0, 15);
+    const mockClassScheduleService = {
+      loadSchedule: jest.fn().mockResolvedValue([]),
+      hasSchedule: jest.fn().mockReturnValue(true),
+      getSessionsHeld: jest.fn().mockReturnValue([
+        { sessionId: "2023-01-02_mon", date: "2023-01-02" },
+        { sessionId: "2023-01-04_wed", date: "2023-01-04" }
+      ])
+    };
+    const scheduledReportService = new ReportService(
+      mockReportRepository,
+      mockStudentRepository,
+      mockAttendanceRepository,
+      mockAttendanceService,
+      mockExpenseService,
+      undefined,
+      undefined,
+      mockClassScheduleService
+    );
+    
+    mockReportRepository.getMonthlyAttendance.mockResolvedValue([
+      {
+        date: new Date(2023, 0, 2),
+        id: "2023-01-02_mon",
+        sessionId: "2023-01-02_mon",
+        records: {
+          // Marked before the student joined
+          "student456": { status: "absent", attributes: {} }
+        }
+      },
+      {
+        date: new Date(2023, 0, 4),
+        id: "2023-01-04_wed",
+        sessionId: "2023-01-04_wed",
+        records: {
+          "student456": { status: "present", attributes: {} }
+        }
+      }
+    ]);
+    mockStudentRepository.getAllStudents.mockResolvedValue([
+      mockStudentData[0],
+      { ...mockStudentData[1], enrollmentStartDate: "2023-01-03" }
+    ]);
+    
+    // Act
+    const result = await scheduledReportService.generateMonthlyAttendanceReport(monthDate);
+    
+    // Assert
+    const janeStats = result.summary.byStudent["student456"];
+    expect(janeStats.sessionsEnrolled).toBe(1);
+    expect(janeStats.absent).toBe(0);
+    expect(janeStats.attendanceRate).toBe(100);
+    expect(result.summary.byStudent["student123"].sessionsEnrolled).toBe(2);
+  });
+
+  test("should not charge fees for sessions outside the enrollment window", async () => {
+    // Arrange
+    mockStudentRepository.getStudentById.mockResolvedValue({
+      ...mockStudentData[0],
+      enrollmentStartDate: "2023-01-10",
+      enrollmentEndDate: "2023-03-31"
+    });
+    mockReportRepository.getStudentPaymentHistory.mockResolvedValue([]);
+    mockReportRepository.getStudentAttendanceHistory.mockResolvedValue([
+      { date: new Date(2023, 0, 2), record: { status: "absent", attributes: {} } },
+      { date: new Date(2023, 0, 16), record: { status: "absent", attributes: {} } },
+      { date: new Date(2023, 3, 3), record: { status: "absent", attributes: {} } }
+    ]);
+    mockAttendanceService.calculateAttendanceFeeWithHolidays.mockReturnValue(5);
+    
+    // Act
+    const result = await reportService.calculateStudentBalance("student123");
+    
+    // Assert
+    expect(result.totalFeesCharged).toBe(5);
+    expect(result.calculatedBalance).toBe(5);
+  });
+});
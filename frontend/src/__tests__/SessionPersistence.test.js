@@ -75,6 +75,30 @@ jest.mock('../components/AttendanceReports', () => {
   };
 });
 
+jest.mock('../components/AccountStatement', () => {
+  return function MockAccountStatement() {
+    return <div>Account Statements</div>;
+  };
+});
+
+jest.mock('../components/FeeWaivers', () => {
+  return function MockFeeWaivers() {
+    return <div>Fee Waivers</div>;
+  };
+});
+
+jest.mock('../components/FeeYearCloseOut', () => {
+  return function MockFeeYearCloseOut() {
+    return <div>Close Fee Year</div>;
+  };
+});
+
+jest.mock('../components/HolidayCalendar', () => {
+  return function MockHolidayCalendar() {
+    return <div>Holiday Calendar</div>;
+  };
+});
+
 // Mock the AttendanceService
 jest.mock('../services/AttendanceService', () => ({
   attendanceService: {
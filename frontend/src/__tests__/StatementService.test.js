@@ -0,0 +1,85 @@
+import StatementService from "../services/StatementService";
+import LedgerService from "../services/LedgerService";
+import PaymentMethodService from "../services/PaymentMethodService";
+
+jest.mock("firebase/firestore");
+jest.mock("../lib/firebase/config/config", () => ({}));
+
+describe("StatementService", () => {
+  let statementService;
+  let mockReportService;
+  let mockLedgerRepository;
+
+  const details = {
+    student: { id: "student1", name: "Ana Lopez", balance: 0 },
+    feeHistory: [
+      { feeId: "a1", date: new Date(2025, 7, 25, 12), status: "absent", attributes: {}, fee: 5 },
+      { feeId: "a2", date: new Date(2025, 8, 2, 12), status: "present", attributes: { late: true, noShoes: true }, fee: 2 },
+      { feeId: "a3", date: new Date(2025, 8, 3, 12), status: "present", attributes: {}, fee: 0 },
+      { date: new Date(2025, 8, 4, 12), status: "absent", attributes: {}, fee: 9, isSynthetic: true },
+      { feeId: "a4", date: new Date(2025, 8, 10, 12), status: "absent", attributes: {}, fee: 5 }
+    ],
+    paymentHistory: [
+      { id: "p1", date: new Date(2025, 8, 2, 12), amount: 5, paymentMethod: "check", reference: "1042" },
+      { id: "r1", type: "refund", date: new Date(2025, 8, 5, 12), amount: -1, paymentMethod: "cash", notes: "Refund: overpaid" }
+    ]
+  };
+
+  const ledgerEntries = [
+    { type: "adjustment", sourceType: "openingBalance", amount: 50, debitAccount: "studentReceivable", creditAccount: "adjustments", date: "2025-08-01" },
+    { type: "holidayCredit", sourceType: "holiday", amount: 2, debitAccount: "feeRevenue", creditAccount: "studentReceivable", date: "2025-09-02", description: "Holiday fee adjustment for Labor Day" },
+    { type: "adjustment", sourceType: "reconciliation", amount: 3, debitAccount: "studentReceivable", creditAccount: "adjustments", date: "2025-09-06" },
+    { type: "waiver", sourceType: "manual", amount: 1.5, debitAccount: "feeWaivers", creditAccount: "studentReceivable", date: "2025-09-20" }
+  ];
+
+  beforeEach(() => {
+    mockReportService = {
+      getStudentFinancialDetails: jest.fn().mockResolvedValue(details)
+    };
+    mockLedgerRepository = {
+      getEntriesByStudentId: jest.fn().mockResolvedValue(ledgerEntries)
+    };
+    statementService = new StatementService(
+      mockReportService,
+      new LedgerService(mockLedgerRepository, {}),
+      new PaymentMethodService({ getSettings: () => Promise.resolve(null) })
+    );
+  });
+
+  test("should carry activity before the period into the opening balance", async () => {
+    const statement = await statementService.generateStatement("student1", "2025-09-01", "2025-09-30");
+
+    expect(statement.openingBalance).toBe(5);
+    expect(statement.lines.map(line => [line.date, line.type, line.amount, line.balance])).toEqual([
+      ["2025-09-02", "charge", 2, 7],
+      ["2025-09-02", "credit", -2, 5],
+      ["2025-09-02", "payment", -5, 0],
+      ["2025-09-05", "refund", 1, 1],
+      ["2025-09-10", "charge", 5, 6],
+      ["2025-09-20", "credit", -1.5, 4.5]
+    ]);
+    expect(statement.closingBalance).toBe(4.5);
+    expect(statement.totals).toEqual({ charges: 7, credits: -3.5, adjustments: 0, payments: -5, refunds: 1 });
+  });
+
+  test("should describe fee types, payment methods and references", async () => {
+    const statement = await statementService.generateStatement("student1", "2025-08-01", "2025-09-05");
+
+    expect(statement.lines.map(line => line.description)).toEqual([
+      "Absent",
+      "Late, No Shoes",
+      "Holiday fee adjustment for Labor Day",
+      "Payment (Check #1042)",
+      "Refund (Cash) - Refund: overpaid"
+    ]);
+  });
+
+  test("should reject a period that ends before it starts", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(statementService.generateStatement("student1", "2025-09-30", "2025-09-01"))
+      .rejects.toThrow("Invalid statement period");
+    expect(mockReportService.getStudentFinancialDetails).not.toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+});
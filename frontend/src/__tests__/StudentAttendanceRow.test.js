@@ -6,7 +6,7 @@ import StudentAttendanceRow from '../components/StudentAttendanceRow';
 // Mock AttendanceService
 jest.mock('../services/AttendanceService', () => ({
   attendanceService: {
-    calculateAttendanceFee: jest.fn((status, attributes) => {
+    calculateMarkingFee: jest.fn((status, attributes) => {
       // Fixed $5 fee for absent
       if (status === 'absent') {
         return 5;
@@ -203,7 +203,7 @@ describe('StudentAttendanceRow', () => {
     
     // Modify the mock implementation to display the fee after selecting status
     const { attendanceService } = require('../services/AttendanceService');
-    attendanceService.calculateAttendanceFee.mockImplementation((status, attributes) => {
+    attendanceService.calculateMarkingFee.mockImplementation((status, attributes) => {
       // For present status, add up fees from attributes
       if (status === 'present') {
         let fee = 0;
@@ -270,8 +270,8 @@ describe('StudentAttendanceRow', () => {
     const user = userEvent.setup();
     
     const { attendanceService } = require('../services/AttendanceService');
-    attendanceService.calculateAttendanceFee.mockClear();
-    attendanceService.calculateAttendanceFee.mockReturnValue(5); // Fixed fee for absent status
+    attendanceService.calculateMarkingFee.mockClear();
+    attendanceService.calculateMarkingFee.mockReturnValue(5); // Fixed fee for absent status
     
     // First render with absent status
     render(
@@ -370,4 +370,38 @@ describe('StudentAttendanceRow', () => {
     // Check that fee note for medical/holiday is shown
     expect(screen.getByText('No fees for this status (attributes ignored)')).toBeInTheDocument();
   });
+
+  it('should price the marking with the student\'s earlier markings for the fee rules', async () => {
+    const { attendanceService } = require('../services/AttendanceService');
+    attendanceService.calculateMarkingFee.mockReturnValue(2);
+    const feeHistory = [
+      { id: '2025-03-01', date: new Date(2025, 2, 1), status: 'present', attributes: { late: true } }
+    ];
+    
+    render(
+      <table>
+        <tbody>
+          <StudentAttendanceRow 
+            student={{
+              ...mockStudent,
+              attendance: { ...mockStudent.attendance, attributes: { late: true } }
+            }}
+            date={new Date(2025, 2, 8)}
+            sessionId="0900"
+            feeHistory={feeHistory}
+            onStatusChange={mockOnStatusChange}
+            onAttributeChange={mockOnAttributeChange}
+            onSelect={mockOnSelect}
+            isSelected={false}
+            recentlyUpdated={false}
+          />
+        </tbody>
+      </table>
+    );
+    
+    await screen.findByText('Fee: $2.00');
+    expect(attendanceService.calculateMarkingFee).toHaveBeenCalledWith(
+      'present', { late: true }, new Date(2025, 2, 8), '2025-03-08_0900', feeHistory
+    );
+  });
 });
\ No newline at end of file
@@ -49,6 +49,7 @@ describe('StudentList', () => {
   
   beforeEach(() => {
     jest.clearAllMocks();
+    window.prompt = jest.fn().mockReturnValue('');
     // Default mock implementation
     studentService.getAllStudents.mockResolvedValue(mockStudents);
     
@@ -150,7 +151,7 @@ describe('StudentList', () => {
     
     // Wait for both the service call and the state update
     await waitFor(() => {
-      expect(studentService.changeEnrollmentStatus).toHaveBeenCalledWith('student1', 'Inactive');
+      expect(studentService.changeEnrollmentStatus).toHaveBeenCalledWith('student1', 'Inactive', { changedBy: null, reason: '' });
     });
     
     // Wait for component to fully update after state changes
@@ -159,6 +160,33 @@ describe('StudentList', () => {
     });
   });
 
+  it('records the reason for a status change and keeps the status when cancelled', async () => {
+    studentService.changeEnrollmentStatus.mockResolvedValue({ id: 'student1', enrollmentStatus: 'Inactive' });
+    window.prompt.mockReturnValueOnce(null).mockReturnValueOnce('Moving away');
+    
+    render(<StudentList currentUser={{ uid: 'admin1', email: 'admin@example.com' }} />);
+    
+    await waitFor(() => {
+      expect(screen.queryByTestId('loading-message')).not.toBeInTheDocument();
+    });
+    
+    fireEvent.change(screen.getByTestId('status-select-student1'), {
+      target: { value: 'Inactive' }
+    });
+    expect(studentService.changeEnrollmentStatus).not.toHaveBeenCalled();
+    
+    fireEvent.change(screen.getByTestId('status-select-student1'), {
+      target: { value: 'Inactive' }
+    });
+    
+    await waitFor(() => {
+      expect(studentService.changeEnrollmentStatus).toHaveBeenCalledWith('student1', 'Inactive', {
+        changedBy: { uid: 'admin1', email: 'admin@example.com' },
+        reason: 'Moving away'
+      });
+    });
+  });
+
   it('removes student with zero balance', async () => {
     render(<StudentList />);
     
@@ -222,7 +250,7 @@ describe('StudentList', () => {
     
     // Wait for both the service call and error state update
     await waitFor(() => {
-      expect(studentService.changeEnrollmentStatus).toHaveBeenCalledWith('student1', 'Inactive');
+      expect(studentService.changeEnrollmentStatus).toHaveBeenCalledWith('student1', 'Inactive', { changedBy: null, reason: '' });
     });
     
     // Check if the error message is displayed
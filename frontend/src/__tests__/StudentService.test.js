@@ -10,6 +10,17 @@ const mockStudentRepository = {
     setStudentData: jest.fn()
   };
   
+  // In-memory ledger so balance changes can be checked end to end
+  const mockLedgerEntries = [];
+  const mockLedgerRepository = {
+    createEntry: jest.fn(),
+    getEntriesByStudentId: jest.fn()
+  };
+  
+  jest.mock("../repository/LedgerRepository", () => ({
+    ledgerRepository: mockLedgerRepository
+  }));
+  
   // Mock the StudentRepository module BEFORE importing StudentService
   jest.mock("../repository/StudentRepository", () => ({
     studentRepository: mockStudentRepository
@@ -32,6 +43,15 @@ const mockStudentRepository = {
     beforeEach(() => {
       // Clear mock calls before each test
       jest.clearAllMocks();
+      mockLedgerEntries.length = 0;
+    mockLedgerRepository.createEntry.mockImplementation(entry => {
+      const created = { id: `entry${mockLedgerEntries.length + 1}`, ...entry, createdAt: new Date() };
+      mockLedgerEntries.push(created);
+      return Promise.resolve(created);
+    });
+    mockLedgerRepository.getEntriesByStudentId.mockImplementation(studentId =>
+      Promise.resolve(mockLedgerEntries.filter(entry => entry.studentId === studentId))
+    );
       
       // Create service instance with the mock repository
       studentService = new StudentService(mockStudentRepository);
@@ -110,10 +130,40 @@ const mockStudentRepository = {
       // Assert
       expect(mockStudentRepository.updateStudent).toHaveBeenCalledWith(
         mockStudentData.id, 
-        { enrollmentStatus: updatedStatus }
+        {
+          enrollmentStatus: updatedStatus,
+          enrollmentHistory: [expect.objectContaining({ status: updatedStatus, previousStatus: "Pending Payment" })]
+        }
       );
       expect(result.enrollmentStatus).toBe(updatedStatus);
     });
+
+    test("should append status changes to the enrollment history with actor and reason", async () => {
+      const earlierChange = { status: "Enrolled", previousStatus: "Pending Payment", effectiveDate: "2025-01-06", changedAt: "2025-01-06T10:00:00.000Z" };
+      mockStudentRepository.getStudentById.mockResolvedValue({
+        ...mockStudentData,
+        enrollmentStatus: "Enrolled",
+        enrollmentHistory: [earlierChange]
+      });
+      mockStudentRepository.updateStudent.mockImplementation((id, data) => Promise.resolve({ id, ...data }));
+
+      const result = await studentService.changeEnrollmentStatus(mockStudentData.id, "Inactive", {
+        changedBy: { uid: "admin1", email: "admin@example.com" },
+        reason: " Injured ",
+        effectiveDate: "2025-03-01"
+      });
+
+      expect(result.enrollmentHistory).toEqual([
+        earlierChange,
+        expect.objectContaining({
+          status: "Inactive",
+          previousStatus: "Enrolled",
+          effectiveDate: "2025-03-01",
+          changedBy: { uid: "admin1", email: "admin@example.com" },
+          reason: "Injured"
+        })
+      ]);
+    });
   
     test("should not remove student with balance", async () => {
       // Arrange
@@ -218,6 +268,39 @@ const mockStudentRepository = {
       expect(result.balance).toBe(expectedBalance);
     });
   
+    test("should post ledger entries with the source reference instead of editing the balance", async () => {
+      mockStudentRepository.getStudentById.mockResolvedValue({ ...mockStudentData, balance: 10 });
+      mockStudentRepository.updateStudent.mockImplementation((id, data) => Promise.resolve({ id, ...data }));
+  
+      await studentService.addBalance(mockStudentData.id, 5, {
+        sourceType: "attendance",
+        sourceId: "2025-03-05_wed",
+        date: "2025-03-05",
+        description: "Absent"
+      });
+  
+      // The existing balance is carried over once, then the fee is charged
+      expect(mockLedgerEntries).toEqual([
+        expect.objectContaining({ type: "adjustment", sourceType: "openingBalance", amount: 10, debitAccount: "studentReceivable" }),
+        expect.objectContaining({
+          type: "charge",
+          amount: 5,
+          debitAccount: "studentReceivable",
+          creditAccount: "feeRevenue",
+          sourceType: "attendance",
+          sourceId: "2025-03-05_wed",
+          date: "2025-03-05"
+        })
+      ]);
+  
+      // Later postings derive the balance from the ledger, not from the stored field
+      mockStudentRepository.getStudentById.mockResolvedValue({ ...mockStudentData, balance: 999 });
+      const result = await studentService.reduceBalance(mockStudentData.id, 5, { type: "holidayCredit" });
+  
+      expect(result.balance).toBe(10);
+      expect(mockLedgerEntries[2]).toMatchObject({ type: "holidayCredit", debitAccount: "feeRevenue", creditAccount: "studentReceivable" });
+    });
+  
     test("should allow negative balances (credits)", async () => {
       // Arrange
       const initialBalance = 30;
@@ -14,6 +14,8 @@ const AccessibleStudentForm = ({ student = {}, onSubmit, onCancel, buttonText =
     email: student.email || '',
     phoneNumber: student.phoneNumber || '',
     enrollmentStatus: student.enrollmentStatus || 'Pending Payment',
+    enrollmentStartDate: student.enrollmentStartDate || '',
+    enrollmentEndDate: student.enrollmentEndDate || '',
     emergencyContact: {
       name: student.emergencyContact?.name || '',
       relation: student.emergencyContact?.relation || '',
@@ -98,6 +100,12 @@ const AccessibleStudentForm = ({ student = {}, onSubmit, onCancel, buttonText =
       newErrors.phoneNumber = 'Please use format: 555-123-4567';
     }
     
+    // Enrollment window validation
+    if (formData.enrollmentStartDate && formData.enrollmentEndDate &&
+        formData.enrollmentEndDate < formData.enrollmentStartDate) {
+      newErrors.enrollmentEndDate = 'End date cannot be before the start date';
+    }
+    
     // Set errors and return validity status
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -334,6 +342,43 @@ const AccessibleStudentForm = ({ student = {}, onSubmit, onCancel, buttonText =
           </select>
         </div>
         
+        <div className={styles.formGroup}>
+          <label htmlFor="enrollmentStartDate">Enrollment Start Date</label>
+          <input
+            id="enrollmentStartDate"
+            name="enrollmentStartDate"
+            type="date"
+            value={formData.enrollmentStartDate}
+            onChange={handleChange}
+            aria-describedby="enrollment-window-hint"
+          />
+        </div>
+        
+        <div className={styles.formGroup}>
+          <label htmlFor="enrollmentEndDate">Enrollment End Date</label>
+          <input
+            id="enrollmentEndDate"
+            name="enrollmentEndDate"
+            type="date"
+            value={formData.enrollmentEndDate}
+            onChange={handleChange}
+            aria-invalid={errors.enrollmentEndDate ? 'true' : 'false'}
+            aria-describedby={getDescribedBy('enrollmentEndDate', 'enrollment-window-hint')}
+          />
+          <div id="enrollment-window-hint" className={styles.formatHint}>
+            Classes outside these dates are not charged. Leave empty for no limit.
+          </div>
+          {errors.enrollmentEndDate && (
+            <div 
+              id={getErrorId('enrollmentEndDate')} 
+              className={styles.errorMessage}
+              role="alert"
+            >
+              {errors.enrollmentEndDate}
+            </div>
+          )}
+        </div>
+        
         <div className={styles.formActions}>
           <button 
             type="button" 
@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { useLocation } from 'react-router-dom';
+import { statementService } from '../services/StatementService';
+import { studentService } from '../services/StudentService';
+import ErrorMessage from './ErrorMessage';
+import styles from './Reports.module.css';
+import { formatCurrency, formatBalance } from '../utils/formatters';
+import { formatDateForDisplay, formatDateForInput } from '../utils/DateUtils';
+import { printStatement, downloadStatementCsv } from '../utils/StatementUtils';
+import { STATEMENT_LINE_LABELS } from '../constants/statementConstants';
+
+// Fallback for tests
+const useLocationSafe = () => {
+  try {
+    return useLocation();
+  } catch (e) {
+    return { pathname: '/statements', search: '' };
+  }
+};
+
+const AccountStatement = ({ userRole }) => {
+  const location = useLocationSafe();
+  const today = new Date();
+  const [students, setStudents] = useState([]);
+  const [studentId, setStudentId] = useState(new URLSearchParams(location.search).get('studentId') || '');
+  const [startDate, setStartDate] = useState(formatDateForInput(new Date(today.getFullYear(), today.getMonth(), 1)));
+  const [endDate, setEndDate] = useState(formatDateForInput(today));
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (userRole !== 'admin') return;
+
+    studentService.getAllStudents()
+      .then(allStudents => setStudents(allStudents))
+      .catch(err => setError(err.message));
+  }, [userRole]);
+
+  if (userRole !== 'admin') {
+    return (
+      <div className={styles.unauthorized}>
+        <p>You don't have permission to view account statements.</p>
+      </div>
+    );
+  }
+
+  const handleGenerate = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    try {
+      setStatement(await statementService.generateStatement(studentId, startDate, endDate));
+    } catch (err) {
+      setStatement(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePrint = () => {
+    try {
+      printStatement(statement);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className={styles.reportsContainer} data-testid="account-statement">
+      <h1>Account Statements</h1>
+
+      <form onSubmit={handleGenerate} className={styles.dateRangeFilter}>
+        <div className={styles.filterInputs}>
+          <div className={styles.dateInput}>
+            <label htmlFor="statementStudent">Student:</label>
+            <select
+              id="statementStudent"
+              value={studentId}
+              onChange={(e) => setStudentId(e.target.value)}
+              required
+              data-testid="statement-student-select"
+            >
+              <option value="">Select a student</option>
+              {students.map(student => (
+                <option key={student.id} value={student.id}>
+                  {student.firstName} {student.lastName}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className={styles.dateInput}>
+            <label htmlFor="statementStart">From:</label>
+            <input
+              id="statementStart"
+              type="date"
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+              required
+              data-testid="statement-start-date"
+            />
+          </div>
+          <div className={styles.dateInput}>
+            <label htmlFor="statementEnd">To:</label>
+            <input
+              id="statementEnd"
+              type="date"
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              required
+              data-testid="statement-end-date"
+            />
+          </div>
+          <button type="submit" className={styles.filterButton} disabled={loading} data-testid="generate-statement-button">
+            {loading ? 'Generating...' : 'Generate Statement'}
+          </button>
+        </div>
+      </form>
+
+      {error && <ErrorMessage message={error} />}
+
+      {statement && (
+        <div className={styles.reportSection} data-testid="statement-result">
+          <h2>{statement.student.name}</h2>
+          <p>{formatDateForDisplay(statement.startDate)} to {formatDateForDisplay(statement.endDate)}</p>
+
+          <div className={styles.exportOptions}>
+            <span>Export:</span>
+            <button onClick={handlePrint} className={styles.exportButton} data-testid="print-statement-button">
+              Print
+            </button>
+            <button onClick={handlePrint} className={styles.exportButton} title="Choose Save as PDF in the print dialog" data-testid="pdf-statement-button">
+              PDF
+            </button>
+            <button onClick={() => downloadStatementCsv(statement)} className={styles.exportButton} data-testid="csv-statement-button">
+              CSV
+            </button>
+          </div>
+
+          <table className={styles.monthlyTable} data-testid="statement-table">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Type</th>
+                <th>Description</th>
+                <th>Amount</th>
+                <th>Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td colSpan="4"><strong>Opening balance</strong></td>
+                <td data-testid="statement-opening-balance"><strong>{formatBalance(statement.openingBalance)}</strong></td>
+              </tr>
+              {statement.lines.length === 0 && (
+                <tr>
+                  <td colSpan="5">No activity in this period</td>
+                </tr>
+              )}
+              {statement.lines.map((line, index) => (
+                <tr key={index}>
+                  <td>{formatDateForDisplay(line.date)}</td>
+                  <td>{STATEMENT_LINE_LABELS[line.type]}</td>
+                  <td>{line.description}</td>
+                  <td>{formatCurrency(line.amount)}</td>
+                  <td>{formatBalance(line.balance)}</td>
+                </tr>
+              ))}
+              <tr>
+                <td colSpan="4"><strong>Closing balance</strong></td>
+                <td data-testid="statement-closing-balance"><strong>{formatBalance(statement.closingBalance)}</strong></td>
+              </tr>
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AccountStatement;
@@ -2,13 +2,20 @@ import React, { useState, useEffect, useCallback, useMemo } from 'react';
 import { getFirestore, doc, onSnapshot } from 'firebase/firestore';
 import { attendanceService } from '../services/AttendanceService';
 import { attendanceDashboardService } from '../services/AttendanceDashboardService';
+import { feeScheduleService } from '../services/FeeScheduleService';
+import { classScheduleService } from '../services/ClassScheduleService';
+import { holidayService } from '../services/HolidayService';
 import StudentAttendanceRow from './StudentAttendanceRow';
 import BulkActionConfirmation from './BulkActionConfirmation';
+import CloseSessionPreview from './CloseSessionPreview';
+import ClassCancellationForm from './ClassCancellationForm';
+import HolidayChangePreview from './HolidayChangePreview';
 import ErrorMessage from './ErrorMessage';
 import styles from './AttendanceDashboard.module.css';
-import { formatDateForInput } from '../utils/DateUtils';
+import { formatDateForInput, parseDateString } from '../utils/DateUtils';
+import { getAttendanceDocId } from '../utils/AttendanceDocUtils';
 
-const AttendanceDashboard = ({ userRole }) => {
+const AttendanceDashboard = ({ userRole, currentUser }) => {
   const [selectedDate, setSelectedDate] = useState(new Date());
   const [attendanceData, setAttendanceData] = useState([]);
   const [loading, setLoading] = useState(true);
@@ -18,16 +25,30 @@ const AttendanceDashboard = ({ userRole }) => {
   // We no longer need bulk attributes as per the new design
   const [recentlyUpdated, setRecentlyUpdated] = useState({});
   const [showConfirmation, setShowConfirmation] = useState(false);
+  const [schedulesLoaded, setSchedulesLoaded] = useState(false);
+  // null means the day record (used when no classes are scheduled on the date)
+  const [selectedSessionId, setSelectedSessionId] = useState(null);
+  const [hasDayRecord, setHasDayRecord] = useState(false);
+  const [kioskOnly, setKioskOnly] = useState(false);
+  const [closePreview, setClosePreview] = useState(null);
+  const [closingSession, setClosingSession] = useState(false);
+  const [showCancellationForm, setShowCancellationForm] = useState(false);
+  const [cancellingClass, setCancellingClass] = useState(false);
+  const [actionResult, setActionResult] = useState('');
+  const [holidayPreview, setHolidayPreview] = useState(null);
+  const [applyingHoliday, setApplyingHoliday] = useState(false);
+  // Earlier markings the fee rules need to price each row, keyed by student ID
+  const [feeHistory, setFeeHistory] = useState({});
   // Instead of tracking an unsubscribe function in state, we'll use a ref
   const unsubscribeRef = React.useRef(null);
   
   // Function to fetch attendance data for the selected date
-  const fetchAttendanceData = useCallback(async (date) => {
+  const fetchAttendanceData = useCallback(async (date, sessionId = null) => {
     setLoading(true);
     setError('');
     
     try {
-      const data = await attendanceService.getAttendanceSummaryWithStudents(date);
+      const data = await attendanceService.getAttendanceSummaryWithStudents(date, sessionId);
       setAttendanceData(data);
     } catch (err) {
       setError(err.message);
@@ -47,9 +68,8 @@ const AttendanceDashboard = ({ userRole }) => {
       unsubscribeRef.current = null;
     }
     
-    const dateStr = formatDateForInput(selectedDate);
     const db = getFirestore();
-    const attendanceRef = doc(db, 'attendance', dateStr);
+    const attendanceRef = doc(db, 'attendance', getAttendanceDocId(selectedDate, selectedSessionId));
     
     // Set up new listener
     const newUnsubscribe = onSnapshot(
@@ -107,14 +127,106 @@ const AttendanceDashboard = ({ userRole }) => {
         unsubscribeRef.current = null;
       }
     };
-  }, [selectedDate, userRole]); // Removed unsubscribe from dependencies
+  }, [selectedDate, selectedSessionId, userRole]); // Removed unsubscribe from dependencies
   
-  // Load data when the component mounts or when the selected date changes
+  // Load the fee schedule and holiday calendar (for fee labels) and the class schedule (for class dates)
+  useEffect(() => {
+    if (userRole !== 'admin' || schedulesLoaded) return;
+    
+    Promise.all([
+      feeScheduleService.loadSchedule(),
+      holidayService.loadCalendar(),
+      classScheduleService.loadSchedule()
+    ]).then(() => setSchedulesLoaded(true));
+  }, [userRole, schedulesLoaded]);
+  
+  // Class dates in the selected month, offered instead of free date entry when a schedule exists
+  const scheduledDates = useMemo(() => {
+    if (!schedulesLoaded || !classScheduleService.hasSchedule()) return [];
+    
+    const monthStart = new Date(selectedDate.getFullYear(), selectedDate.getMonth(), 1);
+    const monthEnd = new Date(selectedDate.getFullYear(), selectedDate.getMonth() + 1, 0);
+    return classScheduleService.getScheduledDates(monthStart, monthEnd);
+  }, [selectedDate, schedulesLoaded]);
+  
+  const sessionsOnSelectedDate = useMemo(
+    () => (schedulesLoaded ? classScheduleService.getSessionsForDate(selectedDate) : []),
+    [selectedDate, schedulesLoaded]
+  );
+  const isNonClassDay = schedulesLoaded && !classScheduleService.isClassDay(selectedDate);
+  
+  // Kiosk check-ins can be filtered out for the admin to review and override
+  const kioskCheckInCount = attendanceData.filter(student => student.attendance?.checkIn).length;
+  const visibleStudents = kioskOnly
+    ? attendanceData.filter(student => student.attendance?.checkIn)
+    : attendanceData;
+  
+  // Ask before marking attendance on a date with no scheduled class
+  const confirmNonClassDay = () => {
+    if (!isNonClassDay) return true;
+    return window.confirm(
+      `No class is scheduled on ${selectedDate.toLocaleDateString()}. Mark attendance anyway?`
+    );
+  };
+  
+  // Pick the session to show when the date changes: the first class of the day,
+  // or the day record when attendance was taken before sessions were scheduled
+  useEffect(() => {
+    if (userRole !== 'admin') return;
+    
+    if (sessionsOnSelectedDate.length === 0) {
+      setSelectedSessionId(null);
+      setHasDayRecord(false);
+      return;
+    }
+    
+    let cancelled = false;
+    attendanceService.getAttendanceSessionsByDate(selectedDate)
+      .then(recordedSessions => {
+        if (cancelled) return;
+        const dayRecord = recordedSessions.some(session => session.sessionId === null);
+        const sessionRecords = recordedSessions.some(session => session.sessionId !== null);
+        setHasDayRecord(dayRecord);
+        setSelectedSessionId(dayRecord && !sessionRecords ? null : sessionsOnSelectedDate[0].sessionId);
+      })
+      .catch(err => {
+        console.error('Error loading class sessions:', err);
+        if (!cancelled) {
+          setHasDayRecord(false);
+          setSelectedSessionId(sessionsOnSelectedDate[0].sessionId);
+        }
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [userRole, selectedDate, sessionsOnSelectedDate]);
+  
+  // Load the markings that change fees under the monthly cap and repeat-offense rules
+  useEffect(() => {
+    if (userRole !== 'admin') return;
+    
+    let cancelled = false;
+    attendanceService.getFeeRuleHistory(selectedDate)
+      .then(history => {
+        if (!cancelled) setFeeHistory(history);
+      })
+      .catch(err => {
+        console.error('Error loading fee rule history:', err);
+        if (!cancelled) setFeeHistory({});
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [userRole, selectedDate]);
+  
+  // Load data when the component mounts or when the selected date or session changes
   useEffect(() => {
     if (userRole === 'admin') {
-      fetchAttendanceData(selectedDate);
+      fetchAttendanceData(selectedDate, selectedSessionId);
     }
-  }, [userRole, selectedDate, fetchAttendanceData]);
+  }, [userRole, selectedDate, selectedSessionId, fetchAttendanceData]);
   
   // Handle date change
   const handleDateChange = (e) => {
@@ -124,14 +236,25 @@ const AttendanceDashboard = ({ userRole }) => {
     const [year, month, day] = e.target.value.split('-').map(Number);
     // Create date with local timezone (months are 0-indexed in JavaScript)
     const newDate = new Date(year, month - 1, day, 12, 0, 0);
+    setSelectedSessionId(null);
+    setSelectedDate(newDate);
+  };
+  
+  // Handle picking one of the scheduled class dates
+  const handleScheduledDateChange = (e) => {
+    const newDate = parseDateString(e.target.value);
+    newDate.setHours(12, 0, 0, 0);
+    setSelectedSessionId(null);
     setSelectedDate(newDate);
   };
   
   // Handle status change for a single student
   const handleStatusChange = async (studentId, newStatus, attributes = {}) => {
+    if (!confirmNonClassDay()) return;
+    
     try {
       setError('');
-      await attendanceService.updateAttendanceWithFee(selectedDate, studentId, newStatus, attributes);
+      await attendanceService.updateAttendanceWithFee(selectedDate, studentId, newStatus, attributes, selectedSessionId);
       
       // Real-time listener will update the UI
     } catch (err) {
@@ -142,9 +265,11 @@ const AttendanceDashboard = ({ userRole }) => {
   
   // Handle attribute change for a single student
   const handleAttributeChange = async (studentId, status, attributes) => {
+    if (!confirmNonClassDay()) return;
+    
     try {
       setError('');
-      await attendanceService.updateAttendanceWithFee(selectedDate, studentId, status, attributes);
+      await attendanceService.updateAttendanceWithFee(selectedDate, studentId, status, attributes, selectedSessionId);
       
       // Real-time listener will update the UI
     } catch (err) {
@@ -157,7 +282,7 @@ const AttendanceDashboard = ({ userRole }) => {
   const handleRemoveAttendance = async (studentId) => {
     try {
       setError('');
-      await attendanceService.removeAttendanceWithFeeAdjustment(selectedDate, studentId);
+      await attendanceService.removeAttendanceWithFeeAdjustment(selectedDate, studentId, selectedSessionId);
       
       // Real-time listener will update the UI
     } catch (err) {
@@ -179,27 +304,125 @@ const AttendanceDashboard = ({ userRole }) => {
   
   // Handle select all checkbox
   const handleSelectAll = () => {
-    if (selectedStudents.length === attendanceData.length) {
+    if (selectedStudents.length === visibleStudents.length) {
       // If all are selected, unselect all
       setSelectedStudents([]);
     } else {
       // Otherwise, select all
-      setSelectedStudents(attendanceData.map(student => student.id));
+      setSelectedStudents(visibleStudents.map(student => student.id));
     }
   };
   
   // Bulk attributes are no longer needed with the new design
   
+  // Sessions can only be closed once they have happened
+  const canCloseSession = formatDateForInput(selectedDate) <= formatDateForInput(new Date());
+  
+  // Preview the students that closing the session will mark absent
+  const handleShowClosePreview = async () => {
+    try {
+      setError('');
+      const preview = await attendanceService.previewCloseSession(selectedDate, selectedSessionId);
+      setClosePreview(preview);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error previewing session close:', err);
+    }
+  };
+  
+  // Mark the previewed students absent through the fee-adjusting path
+  const handleCloseSession = async () => {
+    setClosingSession(true);
+    
+    try {
+      setError('');
+      const previewedIds = closePreview.toMarkAbsent.map(student => student.id);
+      await attendanceService.closeSession(selectedDate, selectedSessionId, previewedIds);
+      setClosePreview(null);
+      
+      // Real-time listener will update the UI
+    } catch (err) {
+      setError(err.message);
+      console.error('Error closing session:', err);
+    } finally {
+      setClosingSession(false);
+    }
+  };
+  
+  // Cancel the class (weather, sick instructor, venue) with fee reversals, credits and student notices
+  const handleCancelClass = async (details) => {
+    setCancellingClass(true);
+    
+    try {
+      setError('');
+      const result = await attendanceDashboardService.processClassCancellation(
+        selectedDate,
+        { ...details, createdBy: currentUser?.uid || null },
+        true
+      );
+      setShowCancellationForm(false);
+      setActionResult(result.message);
+      fetchAttendanceData(selectedDate, selectedSessionId);
+    } catch (err) {
+      setError(err.message);
+      console.error('Error cancelling class:', err);
+    } finally {
+      setCancellingClass(false);
+    }
+  };
+  
   // Show confirmation dialog for bulk action
-  const handleShowBulkConfirmation = () => {
+  const handleShowBulkConfirmation = async () => {
     if (selectedStudents.length === 0) {
       setError('No students selected');
       return;
     }
     
+    // A holiday covers the whole date, so show its dry run instead
+    if (bulkStatus === 'holiday') {
+      try {
+        setError('');
+        setActionResult('');
+        const preview = await attendanceDashboardService.previewHolidayChange(
+          selectedDate,
+          `Manual Holiday - ${selectedDate.toLocaleDateString()}`
+        );
+        setHolidayPreview(preview);
+      } catch (err) {
+        setError(err.message);
+        console.error('Error previewing holiday change:', err);
+      }
+      return;
+    }
+    
     setShowConfirmation(true);
   };
   
+  // Apply the previewed holiday change as one batch that can be rolled back
+  const handleApplyHoliday = async () => {
+    setApplyingHoliday(true);
+    
+    try {
+      setError('');
+      const result = await attendanceDashboardService.processHolidayChange(
+        selectedDate,
+        holidayPreview.holidayName,
+        true,
+        { appliedBy: currentUser?.uid || null }
+      );
+      setHolidayPreview(null);
+      setSelectedStudents([]);
+      setActionResult(result.message);
+      
+      // Real-time listener will update the UI
+    } catch (err) {
+      setError(err.message);
+      console.error('Error applying holiday change:', err);
+    } finally {
+      setApplyingHoliday(false);
+    }
+  };
+  
   // Apply bulk status change with fee
   const applyBulkAction = async () => {
     if (selectedStudents.length === 0) {
@@ -207,6 +430,8 @@ const AttendanceDashboard = ({ userRole }) => {
       return;
     }
     
+    if (!confirmNonClassDay()) return;
+    
     try {
       setError('');
       
@@ -215,47 +440,10 @@ const AttendanceDashboard = ({ userRole }) => {
         selectedDate, 
         selectedStudents, 
         bulkStatus, 
-        {} // Empty attributes for bulk update since we're only setting status
+        {}, // Empty attributes for bulk update since we're only setting status
+        selectedSessionId
       );
       
-      // If changing to holiday status, process holiday payment adjustments
-      if (bulkStatus === 'holiday') {
-        try {
-          console.log(`Processing holiday payment adjustments for ${selectedDate.toLocaleDateString()}`);
-          
-          // Add a small delay and process only once per date
-          const dateKey = selectedDate.toDateString();
-          if (window.holidayProcessingInProgress?.[dateKey]) {
-            console.log('Holiday processing already in progress for this date, skipping...');
-            return;
-          }
-          
-          // Mark as processing
-          if (!window.holidayProcessingInProgress) window.holidayProcessingInProgress = {};
-          window.holidayProcessingInProgress[dateKey] = true;
-          
-          try {
-            const result = await attendanceDashboardService.retroactivelyProcessHoliday(
-              selectedDate, 
-              `Manual Holiday - ${selectedDate.toLocaleDateString()}`
-            );
-            
-            console.log('Holiday payment processing result:', result);
-            
-            if (result.totalCreditsIssued > 0) {
-              setError(`Holiday status applied. Processed $${result.totalCreditsIssued} in payment credits for ${result.paymentAdjustments.length} payments.`);
-            }
-          } finally {
-            // Clear processing flag after completion
-            delete window.holidayProcessingInProgress[dateKey];
-          }
-        } catch (holidayError) {
-          console.error('Error processing holiday payments:', holidayError);
-          // Don't fail the entire operation if holiday processing fails
-          setError(`Attendance updated to holiday, but payment processing had issues: ${holidayError.message}`);
-        }
-      }
-      
       // Real-time listener will update the UI
       
       // Clear the selection after applying
@@ -310,18 +498,90 @@ const AttendanceDashboard = ({ userRole }) => {
             className={styles['date-picker']}
             data-testid="date-picker"
           />
+          {scheduledDates.length > 0 && (
+            <>
+              <label htmlFor="scheduled-date-select">Class Dates:</label>
+              <select
+                id="scheduled-date-select"
+                value={scheduledDates.includes(formatDateForInput(selectedDate)) ? formatDateForInput(selectedDate) : ''}
+                onChange={handleScheduledDateChange}
+                className={styles['date-picker']}
+                data-testid="scheduled-date-select"
+              >
+                <option value="" disabled>-- Select class date --</option>
+                {scheduledDates.map(dateKey => (
+                  <option key={dateKey} value={dateKey}>
+                    {parseDateString(dateKey).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })}
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
         </div>
       </div>
       
+      {sessionsOnSelectedDate.length > 0 && (
+        <div className={styles['session-info']} data-testid="session-info">
+          {sessionsOnSelectedDate.map(session => (
+            <button
+              key={session.sessionId}
+              type="button"
+              className={`${styles['session-chip']} ${selectedSessionId === session.sessionId ? styles['session-chip-active'] : ''}`}
+              onClick={() => setSelectedSessionId(session.sessionId)}
+              data-testid={`session-${session.classId}`}
+            >
+              {session.startTime} ({session.durationMinutes} min)
+              {session.name && ` · ${session.name}`}
+              {session.level && ` · ${session.level}`}
+              {session.location && ` · ${session.location}`}
+              {session.oneOff && ' · extra session'}
+            </button>
+          ))}
+          {hasDayRecord && (
+            <button
+              type="button"
+              className={`${styles['session-chip']} ${selectedSessionId === null ? styles['session-chip-active'] : ''}`}
+              onClick={() => setSelectedSessionId(null)}
+              data-testid="session-day-record"
+            >
+              Recorded before sessions
+            </button>
+          )}
+        </div>
+      )}
+      
+      {isNonClassDay && (
+        <div className={styles['schedule-warning']} data-testid="non-class-day-warning">
+          No class is scheduled on this date. Attendance marked here will not count as a session held.
+        </div>
+      )}
+      
       
       {error && <ErrorMessage message={error} />}
       
+      {actionResult && (
+        <div className={styles['schedule-warning']} data-testid="action-result">
+          {actionResult}
+        </div>
+      )}
+      
       {loading ? (
         <div className={styles.loading} data-testid="loading-indicator">
           Loading attendance data...
         </div>
       ) : (
         <>
+          {kioskCheckInCount > 0 && (
+            <label className={styles['kiosk-filter']} data-testid="kiosk-filter">
+              <input
+                type="checkbox"
+                checked={kioskOnly}
+                onChange={(e) => setKioskOnly(e.target.checked)}
+              />
+              Review kiosk check-ins only ({kioskCheckInCount})
+            </label>
+          )}
+          
           <div className={styles['bulk-actions']} data-testid="bulk-actions">
             <div>
               <label htmlFor="bulk-status-select">Bulk Action:</label>
@@ -333,9 +593,10 @@ const AttendanceDashboard = ({ userRole }) => {
                 data-testid="bulk-status-select"
               >
                 <option value="present">Present</option>
-                <option value="absent">Absent ($5)</option>
+                <option value="absent">Absent (${feeScheduleService.getRate('absent', selectedDate)})</option>
                 <option value="medicalAbsence">Medical Absence</option>
                 <option value="holiday">Holiday</option>
+                <option value="notEnrolled">Not Enrolled</option>
               </select>
             </div>
             
@@ -347,6 +608,28 @@ const AttendanceDashboard = ({ userRole }) => {
             >
               Apply to {selectedStudents.length} selected
             </button>
+            
+            <button
+              onClick={() => {
+                setActionResult('');
+                setShowCancellationForm(true);
+              }}
+              className={styles['apply-button']}
+              title="Call off the class for weather, a sick instructor or a venue problem"
+              data-testid="cancel-class-button"
+            >
+              Cancel Class
+            </button>
+            
+            <button
+              onClick={handleShowClosePreview}
+              disabled={!canCloseSession}
+              className={styles['apply-button']}
+              title="Mark every eligible student without attendance as absent"
+              data-testid="close-session-button"
+            >
+              Close Session
+            </button>
           </div>
           
           <table className={styles['attendance-table']} data-testid="attendance-table">
@@ -355,7 +638,7 @@ const AttendanceDashboard = ({ userRole }) => {
                 <th className={styles['checkbox-header']}>
                   <input
                     type="checkbox"
-                    checked={selectedStudents.length === attendanceData.length && attendanceData.length > 0}
+                    checked={selectedStudents.length === visibleStudents.length && visibleStudents.length > 0}
                     onChange={handleSelectAll}
                     className={styles.checkbox}
                     data-testid="select-all-checkbox"
@@ -368,16 +651,18 @@ const AttendanceDashboard = ({ userRole }) => {
               </tr>
             </thead>
             <tbody>
-              {attendanceData.length === 0 ? (
+              {visibleStudents.length === 0 ? (
                 <tr>
                   <td colSpan="4" style={{ textAlign: 'center' }}>No students found</td>
                 </tr>
               ) : (
-                attendanceData.map(student => (
+                visibleStudents.map(student => (
                   <StudentAttendanceRow
                     key={student.id}
                     student={student}
                     date={selectedDate}
+                    sessionId={selectedSessionId}
+                    feeHistory={feeHistory[student.id]}
                     onStatusChange={handleStatusChange}
                     onAttributeChange={handleAttributeChange}
                     onSelect={handleStudentSelect}
@@ -390,6 +675,30 @@ const AttendanceDashboard = ({ userRole }) => {
             </tbody>
           </table>
           
+          <CloseSessionPreview
+            preview={closePreview}
+            onClose={() => setClosePreview(null)}
+            onConfirm={handleCloseSession}
+            closing={closingSession}
+          />
+          
+          <HolidayChangePreview
+            preview={holidayPreview}
+            onClose={() => setHolidayPreview(null)}
+            onConfirm={handleApplyHoliday}
+            applying={applyingHoliday}
+          />
+          
+          <ClassCancellationForm
+            isOpen={showCancellationForm}
+            date={selectedDate}
+            sessions={sessionsOnSelectedDate}
+            selectedSessionId={selectedSessionId}
+            onClose={() => setShowCancellationForm(false)}
+            onConfirm={handleCancelClass}
+            processing={cancellingClass}
+          />
+          
           <BulkActionConfirmation
             isOpen={showConfirmation}
             onClose={() => setShowConfirmation(false)}
@@ -398,6 +707,7 @@ const AttendanceDashboard = ({ userRole }) => {
             attributes={{}} // Empty attributes for bulk action
             studentCount={selectedStudents.length}
             studentsWithStatus={selectedStudentsWithData}
+            date={selectedDate}
           />
         </>
       )}
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { reportService } from '../services/ReportService';
 import ErrorMessage from './ErrorMessage';
+import { formatDate } from '../utils/formatters';
+import { parseDateString } from '../utils/DateUtils';
 import './AttendanceReports.css'; // Using dedicated CSS file
 
 const AttendanceReports = ({ userRole }) => {
@@ -100,11 +102,24 @@ const AttendanceReports = ({ userRole }) => {
                 <p className="stat-value">{report.summary.totalDays}</p>
               </div>
               
+              <div className="stat-card">
+                <h3>Sessions Held</h3>
+                <p className="stat-value">{report.summary.sessionsHeld ?? report.summary.totalDays}</p>
+                {report.summary.scheduleBased === false && (
+                  <p className="stat-note">Inferred from attendance records (no class schedule set up)</p>
+                )}
+              </div>
+              
               <div className="stat-card">
                 <h3>Holiday Days</h3>
                 <p className="stat-value">{report.summary.holidayCount}</p>
               </div>
               
+              <div className="stat-card" data-testid="cancelled-classes">
+                <h3>Cancelled Classes</h3>
+                <p className="stat-value">{report.summary.cancelledCount || 0}</p>
+              </div>
+              
               <div className="stat-card">
                 <h3>Enrolled Students</h3>
                 <p className="stat-value">{report.summary.enrolledStudentCount}</p>
@@ -121,6 +136,13 @@ const AttendanceReports = ({ userRole }) => {
               </div>
             </div>
             
+            {report.summary.unscheduledDayCount > 0 && (
+              <p className="report-warning" data-testid="unscheduled-attendance-warning">
+                Attendance was marked on {report.summary.unscheduledDayCount} day(s) with no scheduled class. 
+                Those records are not included in the statistics below.
+              </p>
+            )}
+            
             {/* Attendance Issues Summary */}
             <div className="report-details" data-testid="attendance-issues">
               <h3>Common Attendance Issues</h3>
@@ -142,6 +164,33 @@ const AttendanceReports = ({ userRole }) => {
               </div>
             </div>
             
+            {/* Cancelled Classes, reported apart from holidays */}
+            {report.summary.cancellations?.length > 0 && (
+              <div className="report-details" data-testid="cancellation-list">
+                <h3>Cancelled Classes</h3>
+                <table className="student-table">
+                  <thead>
+                    <tr>
+                      <th>Date</th>
+                      <th>Class</th>
+                      <th>Reason</th>
+                      <th>Note</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.summary.cancellations.map(cancellation => (
+                      <tr key={cancellation.id}>
+                        <td>{formatDate(parseDateString(cancellation.date))}</td>
+                        <td>{cancellation.className || 'All classes'}</td>
+                        <td>{cancellation.reasonLabel}</td>
+                        <td>{cancellation.note || '-'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+            
             {/* Per-Student Attendance Table */}
             <div className="report-details" data-testid="student-attendance">
               <h3>Student Attendance Rates</h3>
@@ -149,6 +198,9 @@ const AttendanceReports = ({ userRole }) => {
                 {report.summary.holidayCount > 0 && (
                   <p>• Holidays ({report.summary.holidayCount} days) are not counted in attendance rates calculations.</p>
                 )}
+                {report.summary.cancelledCount > 0 && (
+                  <p>• Cancelled classes ({report.summary.cancelledCount}) are not counted in attendance rates calculations.</p>
+                )}
                 <p>• Medical absences are counted as absences but are considered excused.</p>
               </div>
               <table className="student-table">
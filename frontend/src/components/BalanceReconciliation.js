@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { balanceReconciliationService } from '../services/BalanceReconciliationService';
+import ErrorMessage from './ErrorMessage';
+import styles from './BalanceReconciliation.module.css';
+import { formatCurrency } from '../utils/formatters';
+import { formatDateForDisplay } from '../utils/DateUtils';
+
+const displayDate = (date) => formatDateForDisplay(date?.toDate ? date.toDate() : date);
+
+// Fees by date, payments, holiday credits and legacy frozen amounts behind one mismatch
+const DriftBreakdown = ({ breakdown }) => (
+  <div className={styles.breakdown} data-testid="drift-breakdown">
+    <div>
+      <h4>Fees by date</h4>
+      {breakdown.fees.length === 0 ? (
+        <p className={styles.muted}>No fees charged</p>
+      ) : (
+        <ul>
+          {breakdown.fees.map((fee, index) => (
+            <li key={`fee-${index}`}>
+              {displayDate(fee.date)} ({fee.status}): {formatCurrency(fee.fee)}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+    <div>
+      <h4>Payments</h4>
+      {breakdown.payments.length === 0 ? (
+        <p className={styles.muted}>No payments recorded</p>
+      ) : (
+        <ul>
+          {breakdown.payments.map((payment, index) => (
+            <li key={payment.id || `payment-${index}`}>
+              {displayDate(payment.date)}: {formatCurrency(payment.amount)}
+              {payment.notes && ` (${payment.notes})`}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+    <div>
+      <h4>Holiday credits</h4>
+      {breakdown.holidayCredits.length === 0 ? (
+        <p className={styles.muted}>No holiday credits</p>
+      ) : (
+        <ul>
+          {breakdown.holidayCredits.map((credit, index) => (
+            <li key={`credit-${index}`}>
+              {displayDate(credit.date)} {credit.holidayName}: {formatCurrency(credit.amount)}
+              {credit.used && ' (used)'}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+    <div>
+      <h4>Frozen amounts</h4>
+      {breakdown.frozen ? (
+        <ul>
+          <li>Frozen on: {displayDate(breakdown.frozen.frozenAt)}</li>
+          <li>Fees at freeze: {formatCurrency(breakdown.frozen.frozenFeesTotal)}</li>
+          <li>Balance at freeze: {formatCurrency(breakdown.frozen.frozenBalance)}</li>
+        </ul>
+      ) : (
+        <p className={styles.muted}>None</p>
+      )}
+    </div>
+  </div>
+);
+
+const BalanceReconciliation = ({ userRole, currentUser }) => {
+  const [mismatches, setMismatches] = useState([]);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadMismatches = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const results = await balanceReconciliationService.findMismatches();
+      setMismatches(results);
+      setSelectedIds([]);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (userRole === 'admin') {
+      loadMismatches();
+    }
+  }, [userRole, loadMismatches]);
+
+  if (userRole !== 'admin') {
+    return (
+      <div className={styles.reconciliation}>
+        <p>You don't have permission to reconcile balances.</p>
+      </div>
+    );
+  }
+
+  const adminId = currentUser?.uid || 'unknown-admin';
+
+  const toggleSelected = (studentId) => {
+    setSelectedIds(prev => (
+      prev.includes(studentId) ? prev.filter(id => id !== studentId) : [...prev, studentId]
+    ));
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(prev => (
+      prev.length === mismatches.length ? [] : mismatches.map(mismatch => mismatch.studentId)
+    ));
+  };
+
+  const acceptStudentIds = async (studentIds) => {
+    if (studentIds.length === 0) {
+      return;
+    }
+    if (!window.confirm(`Replace the stored balance with the calculated balance for ${studentIds.length} student(s)?`)) {
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const { corrected, failed } = await balanceReconciliationService.acceptCalculatedBalances(studentIds, adminId);
+      setMessage(`Corrected ${corrected.length} balance(s).`);
+      if (failed.length > 0) {
+        setError(failed.map(failure => failure.error).join('; '));
+      }
+      await loadMismatches();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className={styles.reconciliation}>
+      <h2>Balance Reconciliation</h2>
+      <p>
+        Students whose stored balance differs from the balance recalculated from their attendance and payments.
+        Accepting the calculated balance posts a ledger adjustment and records the change in the audit log.
+      </p>
+
+      {error && <ErrorMessage message={error} />}
+      {message && <p className={styles.success}>{message}</p>}
+
+      {loading ? (
+        <div>Checking balances...</div>
+      ) : mismatches.length === 0 ? (
+        <p data-testid="no-mismatches">All stored balances match the calculated balances.</p>
+      ) : (
+        <>
+          <div className={styles.toolbar}>
+            <button
+              className={styles.button}
+              onClick={() => acceptStudentIds(selectedIds)}
+              disabled={saving || selectedIds.length === 0}
+            >
+              Accept calculated for selected ({selectedIds.length})
+            </button>
+            <button className={styles.linkButton} onClick={loadMismatches} disabled={saving}>
+              Refresh
+            </button>
+          </div>
+
+          <table className={styles.table} data-testid="mismatch-table">
+            <thead>
+              <tr>
+                <th>
+                  <input
+                    type="checkbox"
+                    aria-label="Select all"
+                    checked={selectedIds.length === mismatches.length}
+                    onChange={toggleAll}
+                  />
+                </th>
+                <th>Student</th>
+                <th>Stored</th>
+                <th>Calculated</th>
+                <th>Difference</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {mismatches.map(mismatch => (
+                <React.Fragment key={mismatch.studentId}>
+                  <tr>
+                    <td>
+                      <input
+                        type="checkbox"
+                        aria-label={`Select ${mismatch.studentName}`}
+                        checked={selectedIds.includes(mismatch.studentId)}
+                        onChange={() => toggleSelected(mismatch.studentId)}
+                      />
+                    </td>
+                    <td>{mismatch.studentName}</td>
+                    <td>{formatCurrency(mismatch.storedBalance)}</td>
+                    <td>{formatCurrency(mismatch.calculatedBalance)}</td>
+                    <td className={mismatch.difference > 0 ? styles.increase : styles.decrease}>
+                      {mismatch.difference > 0 ? '+' : ''}{formatCurrency(mismatch.difference)}
+                    </td>
+                    <td>
+                      <button
+                        className={styles.linkButton}
+                        onClick={() => setExpandedId(expandedId === mismatch.studentId ? null : mismatch.studentId)}
+                      >
+                        {expandedId === mismatch.studentId ? 'Hide breakdown' : 'Show breakdown'}
+                      </button>
+                      <button
+                        className={styles.button}
+                        onClick={() => acceptStudentIds([mismatch.studentId])}
+                        disabled={saving}
+                      >
+                        Accept calculated
+                      </button>
+                    </td>
+                  </tr>
+                  {expandedId === mismatch.studentId && (
+                    <tr>
+                      <td colSpan="6">
+                        <DriftBreakdown breakdown={mismatch.breakdown} />
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default BalanceReconciliation;
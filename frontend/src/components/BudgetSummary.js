@@ -147,6 +147,9 @@ const BudgetSummary = ({ refreshTrigger }) => {
             {formatCurrency(summary.feeRevenue)}
           </p>
           <small>{formatPercentage(revenueBreakdown.feePercentage)} of total revenue</small>
+          {summary.refunds < 0 && (
+            <div><small data-testid="fee-revenue-refunds">Net of {formatCurrency(-summary.refunds)} in refunds</small></div>
+          )}
         </div>
 
         <div className={styles.summaryCard} style={{ borderColor: BUDGET_COLORS.CONTRIBUTION_REVENUE }}>
@@ -1,5 +1,6 @@
 import React from 'react';
 import { attendanceService } from '../services/AttendanceService';
+import { feeScheduleService } from '../services/FeeScheduleService';
 import styles from './AttendanceDashboard.module.css';
 
 const BulkActionConfirmation = ({ 
@@ -9,12 +10,14 @@ const BulkActionConfirmation = ({
   status, 
   attributes, 
   studentCount,
-  studentsWithStatus 
+  studentsWithStatus,
+  date
 }) => {
   if (!isOpen) return null;
   
-  // Calculate total fee
-  const feePerStudent = attendanceService.calculateAttendanceFee(status, attributes);
+  // Calculate total fee at the rates in effect on the selected date
+  const rates = feeScheduleService.getRatesForDate(date);
+  const feePerStudent = attendanceService.calculateAttendanceFee(status, attributes, date);
   const totalFee = feePerStudent * studentCount;
   
   // Find students who will have their status changed
@@ -24,9 +27,11 @@ const BulkActionConfirmation = ({
   const getStatusDisplayName = (status) => {
     const statusMap = {
       'present': 'Present',
-      'absent': 'Absent ($5)',
+      'absent': `Absent ($${rates.absent})`,
       'medicalAbsence': 'Medical Absence',
-      'holiday': 'Holiday'
+      'holiday': 'Holiday',
+      'cancelled': 'Class Cancelled',
+      'notEnrolled': 'Not Enrolled'
     };
     return statusMap[status] || status;
   };
@@ -71,7 +76,7 @@ const BulkActionConfirmation = ({
             <div className={`${styles['fee-impact']} ${feeImpactClass}`}>
               <div>Fee Breakdown:</div>
               <ul className={styles['fee-breakdown']}>
-                {status === 'absent' && <li>Absent: $5.00 per student</li>}
+                {status === 'absent' && <li>Absent: ${rates.absent.toFixed(2)} per student</li>}
                 <li><strong>Total fee impact: ${totalFee.toFixed(2)} (${feePerStudent.toFixed(2)} × {studentCount} students)</strong></li>
               </ul>
             </div>
@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { calendarFeedService } from '../services/CalendarFeedService';
+import ErrorMessage from './ErrorMessage';
+import formStyles from './StudentForm.module.css';
+import styles from './StudentManagement.module.css';
+import { HOLIDAY_TYPE_LABELS } from '../constants/holidayConstants';
+import { CALENDAR_FEED_LABELS, IMPORT_STATUSES } from '../constants/calendarFeedConstants';
+import { formatDate } from '../utils/formatters';
+import { parseDateString, timestampToDate } from '../utils/DateUtils';
+
+const readFileText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(new Error('The file could not be read'));
+  reader.readAsText(file);
+});
+
+const IMPORT_STATUS_LABELS = {
+  [IMPORT_STATUSES.NEW]: 'New',
+  [IMPORT_STATUSES.DUPLICATE]: 'Skipped',
+  [IMPORT_STATUSES.INVALID]: 'Skipped'
+};
+
+const CalendarImportExport = ({ currentUser, onImported }) => {
+  const [preview, setPreview] = useState(null);
+  const [importResult, setImportResult] = useState(null);
+  const [feed, setFeed] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    calendarFeedService.getPublishedFeed()
+      .then(published => {
+        if (!cancelled) setFeed(published);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    setPreview(null);
+    setImportResult(null);
+    setError('');
+    if (!file) return;
+
+    try {
+      setPreview(await calendarFeedService.previewImport(await readFileText(file)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleImport = async () => {
+    setWorking(true);
+    setError('');
+
+    try {
+      const result = await calendarFeedService.importHolidays(preview, currentUser?.uid || 'unknown-admin');
+      setImportResult(result);
+      setPreview(null);
+      onImported();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      setError('');
+      await calendarFeedService.downloadFeed();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handlePublish = async () => {
+    setWorking(true);
+    setError('');
+
+    try {
+      setFeed(await calendarFeedService.publishFeed(currentUser?.uid || 'unknown-admin'));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const newCount = (preview || []).filter(item => item.status === IMPORT_STATUSES.NEW).length;
+  const feedUrl = calendarFeedService.getFeedUrl();
+
+  return (
+    <>
+      {error && <ErrorMessage message={error} />}
+
+      <section data-testid="calendar-import">
+        <h3>{CALENDAR_FEED_LABELS.IMPORT_TITLE}</h3>
+        <div className={formStyles.formGroup}>
+          <label htmlFor="icsFile">Calendar File:</label>
+          <input type="file" id="icsFile" accept=".ics,text/calendar" onChange={handleFileChange} />
+          <small>{CALENDAR_FEED_LABELS.IMPORT_HELP}</small>
+        </div>
+
+        {preview && (preview.length === 0 ? (
+          <p className={styles.noData}>{CALENDAR_FEED_LABELS.NO_EVENTS}</p>
+        ) : (
+          <>
+            <table className={styles.table} data-testid="import-preview">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Type</th>
+                  <th>Dates</th>
+                  <th>Import</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map(item => (
+                  <tr key={item.key} data-testid={`import-${item.key}`}>
+                    <td>{item.name}</td>
+                    <td>{HOLIDAY_TYPE_LABELS[item.type]}</td>
+                    <td>
+                      {formatDate(parseDateString(item.startDate))}
+                      {item.endDate !== item.startDate && ` – ${formatDate(parseDateString(item.endDate))}`}
+                    </td>
+                    <td>
+                      {IMPORT_STATUS_LABELS[item.status]}
+                      {item.reason && ` (${item.reason})`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className={formStyles.formActions}>
+              <button
+                onClick={handleImport}
+                disabled={working || newCount === 0}
+                className={formStyles.primaryButton}
+                data-testid="confirm-import"
+              >
+                {working ? 'Importing...' : `Import ${newCount} ${newCount === 1 ? 'Date' : 'Dates'}`}
+              </button>
+            </div>
+          </>
+        ))}
+
+        {importResult && (
+          <p data-testid="import-result">
+            Imported {importResult.imported.length}, skipped {importResult.skipped.length}.
+          </p>
+        )}
+      </section>
+
+      <section data-testid="calendar-feed">
+        <h3>{CALENDAR_FEED_LABELS.FEED_TITLE}</h3>
+        <p>{CALENDAR_FEED_LABELS.FEED_HELP}</p>
+        {feed ? (
+          <p data-testid="feed-status">
+            Published {formatDate(timestampToDate(feed.publishedAt))} with {feed.eventCount} events.
+            {feedUrl && <> Subscribe at <a href={feedUrl}>{feedUrl}</a></>}
+          </p>
+        ) : (
+          <p className={styles.noData}>{CALENDAR_FEED_LABELS.NOT_PUBLISHED}</p>
+        )}
+        <div className={formStyles.formActions}>
+          <button onClick={handleDownload} className={formStyles.secondaryButton}>
+            Download .ics
+          </button>
+          <button
+            onClick={handlePublish}
+            disabled={working}
+            className={formStyles.primaryButton}
+            data-testid="publish-feed"
+          >
+            Publish Feed
+          </button>
+        </div>
+      </section>
+    </>
+  );
+};
+
+export default CalendarImportExport;
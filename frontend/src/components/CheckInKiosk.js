@@ -0,0 +1,183 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { checkInService } from '../services/CheckInService';
+import styles from './CheckInKiosk.module.css';
+import { CHECKIN_LABELS } from '../constants/scheduleConstants';
+
+// How long a result stays on screen before the kiosk is ready for the next student
+const RESET_DELAY_MS = 5000;
+
+const KEYPAD_KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'clear', '0', 'back'];
+
+const describeSession = (session) => {
+  if (!session) return '';
+  const details = [session.name, session.level, session.location].filter(Boolean).join(' · ');
+  return details ? `${session.startTime} ${details}` : session.startTime;
+};
+
+const CheckInKiosk = ({ userRole }) => {
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const inputRef = useRef(null);
+
+  // Return to the code entry screen a few seconds after each result
+  useEffect(() => {
+    if (!result && !error) return;
+    if (result?.needsSessionChoice) return;
+
+    const timer = setTimeout(() => {
+      setResult(null);
+      setError('');
+      setCode('');
+      inputRef.current?.focus();
+    }, RESET_DELAY_MS);
+
+    return () => clearTimeout(timer);
+  }, [result, error]);
+
+  if (userRole !== 'admin') {
+    return (
+      <div className={styles.kiosk}>
+        <p>{CHECKIN_LABELS.UNAUTHORIZED}</p>
+      </div>
+    );
+  }
+
+  const submitCheckIn = async (sessionId = null) => {
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const checkInResult = await checkInService.checkIn(code, { sessionId });
+      setResult(checkInResult);
+      if (!checkInResult.needsSessionChoice) {
+        setCode('');
+      }
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+      setCode('');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    submitCheckIn();
+  };
+
+  const handleKeypad = (key) => {
+    if (key === 'clear') {
+      setCode('');
+    } else if (key === 'back') {
+      setCode(prev => prev.slice(0, -1));
+    } else {
+      setCode(prev => prev + key);
+    }
+    inputRef.current?.focus();
+  };
+
+  const renderResult = () => {
+    const firstName = result.student.firstName || '';
+
+    if (result.needsSessionChoice) {
+      return (
+        <div className={styles.choice} data-testid="checkin-session-choice">
+          <p>{CHECKIN_LABELS.CHOOSE_SESSION.replace('{name}', firstName)}</p>
+          {result.sessions.map(session => (
+            <button
+              key={session.sessionId}
+              type="button"
+              className={styles.sessionButton}
+              onClick={() => submitCheckIn(session.sessionId)}
+              disabled={submitting}
+            >
+              {describeSession(session)}
+            </button>
+          ))}
+          <button
+            type="button"
+            className={styles.cancelButton}
+            onClick={() => {
+              setResult(null);
+              setCode('');
+            }}
+          >
+            Cancel
+          </button>
+        </div>
+      );
+    }
+
+    if (result.alreadyCheckedIn) {
+      return (
+        <div className={styles.notice} data-testid="checkin-already">
+          {CHECKIN_LABELS.ALREADY_CHECKED_IN.replace('{name}', firstName)}
+        </div>
+      );
+    }
+
+    return (
+      <div className={result.late ? styles.late : styles.success} data-testid="checkin-success">
+        <p className={styles.welcome}>{CHECKIN_LABELS.WELCOME.replace('{name}', firstName)}</p>
+        {result.session && <p>{describeSession(result.session)}</p>}
+        {result.late && (
+          <p>{CHECKIN_LABELS.MARKED_LATE.replace('{minutes}', result.minutesAfterStart)}</p>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className={styles.kiosk} data-testid="checkin-kiosk">
+      <h1>{CHECKIN_LABELS.TITLE}</h1>
+
+      {result ? renderResult() : (
+        <form onSubmit={handleSubmit} className={styles.form}>
+          <label htmlFor="checkin-code">{CHECKIN_LABELS.PROMPT}</label>
+          <input
+            ref={inputRef}
+            id="checkin-code"
+            type="password"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            autoFocus
+            autoComplete="off"
+            className={styles.codeInput}
+            data-testid="checkin-code-input"
+          />
+
+          <div className={styles.keypad}>
+            {KEYPAD_KEYS.map(key => (
+              <button
+                key={key}
+                type="button"
+                className={styles.key}
+                onClick={() => handleKeypad(key)}
+              >
+                {key === 'clear' ? 'Clear' : key === 'back' ? '⌫' : key}
+              </button>
+            ))}
+          </div>
+
+          <button
+            type="submit"
+            disabled={submitting || !code}
+            className={styles.submitButton}
+            data-testid="checkin-submit"
+          >
+            {submitting ? 'Checking in...' : 'Check In'}
+          </button>
+        </form>
+      )}
+
+      {error && (
+        <div className={styles.error} data-testid="checkin-error">{error}</div>
+      )}
+    </div>
+  );
+};
+
+export default CheckInKiosk;
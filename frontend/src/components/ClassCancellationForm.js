@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import styles from './AttendanceDashboard.module.css';
+import {
+  CANCELLATION_REASONS,
+  CANCELLATION_REASON_LABELS,
+  CLASS_CANCELLATION_LABELS
+} from '../constants/cancellationConstants';
+
+const WHOLE_DAY = 'all';
+
+const describeSession = (session) => [session.startTime, session.name, session.level].filter(Boolean).join(' · ');
+
+const ClassCancellationForm = ({
+  isOpen,
+  date,
+  sessions,
+  selectedSessionId,
+  onClose,
+  onConfirm,
+  processing
+}) => {
+  const [scope, setScope] = useState(WHOLE_DAY);
+  const [reason, setReason] = useState(CANCELLATION_REASONS.WEATHER);
+  const [note, setNote] = useState('');
+
+  // Start from the class being viewed each time the form opens
+  useEffect(() => {
+    if (isOpen) {
+      setScope(selectedSessionId || WHOLE_DAY);
+      setReason(CANCELLATION_REASONS.WEATHER);
+      setNote('');
+    }
+  }, [isOpen, selectedSessionId]);
+
+  if (!isOpen) return null;
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const session = sessions.find(s => s.sessionId === scope);
+    onConfirm({
+      sessionId: session ? session.sessionId : null,
+      className: session ? describeSession(session) : null,
+      reason,
+      note
+    });
+  };
+
+  return (
+    <div className={styles['confirmation-dialog']} data-testid="class-cancellation-form">
+      <form className={styles['confirmation-content']} onSubmit={handleSubmit}>
+        <h2 className={styles['confirmation-title']}>{CLASS_CANCELLATION_LABELS.FORM_TITLE}</h2>
+
+        <div className={styles['confirmation-summary']}>
+          <p>
+            Cancel class on <strong>{date.toLocaleDateString()}</strong>. Fees already charged for the class are
+            reversed, payments made for the date are credited back if every class that day is cancelled and
+            students are notified in the app.
+          </p>
+
+          {sessions.length > 0 && (
+            <div className={styles['cancellation-field']}>
+              <label htmlFor="cancellation-scope">Class:</label>
+              <select id="cancellation-scope" value={scope} onChange={(e) => setScope(e.target.value)}>
+                <option value={WHOLE_DAY}>{CLASS_CANCELLATION_LABELS.WHOLE_DAY}</option>
+                {sessions.map(session => (
+                  <option key={session.sessionId} value={session.sessionId}>
+                    {describeSession(session)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className={styles['cancellation-field']}>
+            <label htmlFor="cancellation-reason">Reason:</label>
+            <select id="cancellation-reason" value={reason} onChange={(e) => setReason(e.target.value)}>
+              {Object.values(CANCELLATION_REASONS).map(value => (
+                <option key={value} value={value}>{CANCELLATION_REASON_LABELS[value]}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className={styles['cancellation-field']}>
+            <label htmlFor="cancellation-note">Note to students:</label>
+            <textarea
+              id="cancellation-note"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="e.g. Make-up class next Saturday"
+            />
+          </div>
+        </div>
+
+        <div className={styles['confirmation-buttons']}>
+          <button type="button" className={styles['cancel-button']} onClick={onClose} disabled={processing}>
+            Back
+          </button>
+          <button
+            type="submit"
+            className={styles['confirm-button']}
+            disabled={processing}
+            data-testid="confirm-class-cancellation"
+          >
+            {processing ? 'Cancelling...' : 'Cancel Class & Notify'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ClassCancellationForm;
@@ -0,0 +1,415 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { classScheduleService } from '../services/ClassScheduleService';
+import { checkInService } from '../services/CheckInService';
+import ErrorMessage from './ErrorMessage';
+import formStyles from './StudentForm.module.css';
+import styles from './StudentManagement.module.css';
+import { WEEKDAY_OPTIONS, CLASS_SCHEDULE_LABELS, CHECKIN_LABELS } from '../constants/scheduleConstants';
+import { formatDate } from '../utils/formatters';
+import { formatDateForInput, parseDateString } from '../utils/DateUtils';
+
+const EMPTY_CLASS = {
+  name: '',
+  weekday: 1,
+  date: formatDateForInput(new Date()),
+  startTime: '18:00',
+  durationMinutes: '90',
+  level: '',
+  location: '',
+  startDate: '',
+  endDate: ''
+};
+
+const getWeekdayLabel = (weekday) => {
+  const option = WEEKDAY_OPTIONS.find(opt => opt.value === weekday);
+  return option ? option.label : '';
+};
+
+const ClassScheduleManagement = ({ userRole }) => {
+  const [activeTab, setActiveTab] = useState('recurring');
+  const [recurringClasses, setRecurringClasses] = useState([]);
+  const [oneOffSessions, setOneOffSessions] = useState([]);
+  const [formData, setFormData] = useState(EMPTY_CLASS);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [graceMinutes, setGraceMinutes] = useState('');
+  const [graceSaved, setGraceSaved] = useState(false);
+
+  const refreshLists = () => {
+    setRecurringClasses(classScheduleService.getRecurringClasses());
+    setOneOffSessions(classScheduleService.getOneOffSessions());
+  };
+
+  const loadSchedule = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      await classScheduleService.loadSchedule(true);
+      refreshLists();
+      setGraceMinutes(String(await checkInService.getGraceMinutes()));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (userRole === 'admin') {
+      loadSchedule();
+    }
+  }, [userRole, loadSchedule]);
+
+  if (userRole !== 'admin') {
+    return (
+      <div className={styles.unauthorized}>
+        <p>You don't have permission to manage the class schedule.</p>
+      </div>
+    );
+  }
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: name === 'weekday' ? Number(value) : value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const details = {
+        name: formData.name.trim(),
+        startTime: formData.startTime,
+        durationMinutes: parseInt(formData.durationMinutes, 10),
+        level: formData.level.trim(),
+        location: formData.location.trim()
+      };
+
+      if (activeTab === 'recurring') {
+        await classScheduleService.addRecurringClass({
+          ...details,
+          weekday: formData.weekday,
+          startDate: formData.startDate || null,
+          endDate: formData.endDate || null
+        });
+      } else {
+        await classScheduleService.addOneOffSession({
+          ...details,
+          date: formData.date
+        });
+      }
+
+      refreshLists();
+      setFormData(EMPTY_CLASS);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleGraceSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setGraceSaved(false);
+
+    try {
+      await checkInService.saveGraceMinutes(Number(graceMinutes));
+      setGraceSaved(true);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDelete = async (entryId) => {
+    if (!window.confirm(CLASS_SCHEDULE_LABELS.CONFIRM_DELETE)) {
+      return;
+    }
+
+    try {
+      await classScheduleService.removeEntry(entryId);
+      refreshLists();
+    } catch (err) {
+      setError(`${CLASS_SCHEDULE_LABELS.DELETE_FAILED} ${err.message}`);
+    }
+  };
+
+  const renderDeleteButton = (entry) => (
+    <button
+      onClick={() => handleDelete(entry.id)}
+      className={styles.deleteButton}
+    >
+      Delete
+    </button>
+  );
+
+  return (
+    <div className={styles.managementContainer}>
+      <h2>{CLASS_SCHEDULE_LABELS.TITLE}</h2>
+
+      {error && <ErrorMessage message={error} />}
+
+      <div className={styles.tabs}>
+        <button
+          className={activeTab === 'recurring' ? styles.activeTab : ''}
+          onClick={() => setActiveTab('recurring')}
+        >
+          {CLASS_SCHEDULE_LABELS.RECURRING_TITLE}
+        </button>
+        <button
+          className={activeTab === 'oneOff' ? styles.activeTab : ''}
+          onClick={() => setActiveTab('oneOff')}
+        >
+          {CLASS_SCHEDULE_LABELS.ONE_OFF_TITLE}
+        </button>
+      </div>
+
+      {loading ? (
+        <div className={styles.loading}>{CLASS_SCHEDULE_LABELS.LOADING}</div>
+      ) : (
+        <div className={styles.content}>
+          {activeTab === 'recurring' ? (
+            recurringClasses.length === 0 ? (
+              <p className={styles.noData}>{CLASS_SCHEDULE_LABELS.NO_RECURRING}</p>
+            ) : (
+              <table className={styles.table} data-testid="recurring-classes">
+                <thead>
+                  <tr>
+                    <th>Day</th>
+                    <th>Start</th>
+                    <th>Duration</th>
+                    <th>Class</th>
+                    <th>Level</th>
+                    <th>Location</th>
+                    <th>Runs</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {recurringClasses.map(entry => (
+                    <tr key={entry.id}>
+                      <td>{getWeekdayLabel(entry.weekday)}</td>
+                      <td>{entry.startTime}</td>
+                      <td>{entry.durationMinutes} min</td>
+                      <td>{entry.name}</td>
+                      <td>{entry.level}</td>
+                      <td>{entry.location}</td>
+                      <td>
+                        {entry.startDate ? formatDate(parseDateString(entry.startDate)) : 'Always'}
+                        {entry.endDate && ` – ${formatDate(parseDateString(entry.endDate))}`}
+                      </td>
+                      <td>{renderDeleteButton(entry)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )
+          ) : (
+            oneOffSessions.length === 0 ? (
+              <p className={styles.noData}>{CLASS_SCHEDULE_LABELS.NO_ONE_OFF}</p>
+            ) : (
+              <table className={styles.table} data-testid="one-off-sessions">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Start</th>
+                    <th>Duration</th>
+                    <th>Class</th>
+                    <th>Level</th>
+                    <th>Location</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {oneOffSessions.map(entry => (
+                    <tr key={entry.id}>
+                      <td>{formatDate(parseDateString(entry.date))}</td>
+                      <td>{entry.startTime}</td>
+                      <td>{entry.durationMinutes} min</td>
+                      <td>{entry.name}</td>
+                      <td>{entry.level}</td>
+                      <td>{entry.location}</td>
+                      <td>{renderDeleteButton(entry)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )
+          )}
+
+          <div className={formStyles.formContainer}>
+            <h3>{activeTab === 'recurring' ? CLASS_SCHEDULE_LABELS.ADD_RECURRING : CLASS_SCHEDULE_LABELS.ADD_ONE_OFF}</h3>
+            <form onSubmit={handleSubmit} className={formStyles.form}>
+              {activeTab === 'recurring' ? (
+                <div className={formStyles.formGroup}>
+                  <label htmlFor="weekday">Day of Week:</label>
+                  <select
+                    id="weekday"
+                    name="weekday"
+                    value={formData.weekday}
+                    onChange={handleInputChange}
+                    required
+                  >
+                    {WEEKDAY_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              ) : (
+                <div className={formStyles.formGroup}>
+                  <label htmlFor="date">Date:</label>
+                  <input
+                    type="date"
+                    id="date"
+                    name="date"
+                    value={formData.date}
+                    onChange={handleInputChange}
+                    required
+                  />
+                </div>
+              )}
+
+              <div className={formStyles.formGroup}>
+                <label htmlFor="startTime">Start Time:</label>
+                <input
+                  type="time"
+                  id="startTime"
+                  name="startTime"
+                  value={formData.startTime}
+                  onChange={handleInputChange}
+                  required
+                />
+              </div>
+
+              <div className={formStyles.formGroup}>
+                <label htmlFor="durationMinutes">Duration (minutes):</label>
+                <input
+                  type="number"
+                  id="durationMinutes"
+                  name="durationMinutes"
+                  value={formData.durationMinutes}
+                  onChange={handleInputChange}
+                  required
+                  min="1"
+                  step="1"
+                />
+              </div>
+
+              <div className={formStyles.formGroup}>
+                <label htmlFor="name">Class Name (optional):</label>
+                <input
+                  type="text"
+                  id="name"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleInputChange}
+                  placeholder="e.g. Salsa Fundamentals"
+                />
+              </div>
+
+              <div className={formStyles.formGroup}>
+                <label htmlFor="level">Level:</label>
+                <input
+                  type="text"
+                  id="level"
+                  name="level"
+                  value={formData.level}
+                  onChange={handleInputChange}
+                  placeholder="e.g. Beginner"
+                />
+              </div>
+
+              <div className={formStyles.formGroup}>
+                <label htmlFor="location">Location:</label>
+                <input
+                  type="text"
+                  id="location"
+                  name="location"
+                  value={formData.location}
+                  onChange={handleInputChange}
+                  placeholder="e.g. Studio A"
+                />
+              </div>
+
+              {activeTab === 'recurring' && (
+                <>
+                  <div className={formStyles.formGroup}>
+                    <label htmlFor="startDate">First Class (optional):</label>
+                    <input
+                      type="date"
+                      id="startDate"
+                      name="startDate"
+                      value={formData.startDate}
+                      onChange={handleInputChange}
+                    />
+                  </div>
+
+                  <div className={formStyles.formGroup}>
+                    <label htmlFor="endDate">Last Class (optional):</label>
+                    <input
+                      type="date"
+                      id="endDate"
+                      name="endDate"
+                      value={formData.endDate}
+                      onChange={handleInputChange}
+                    />
+                  </div>
+                </>
+              )}
+
+              <div className={formStyles.formActions}>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className={formStyles.primaryButton}
+                >
+                  {saving ? 'Saving...' : activeTab === 'recurring' ? 'Add Class' : 'Add Session'}
+                </button>
+              </div>
+            </form>
+          </div>
+
+          <div className={formStyles.formContainer}>
+            <h3>{CHECKIN_LABELS.GRACE_TITLE}</h3>
+            <form onSubmit={handleGraceSubmit} className={formStyles.form}>
+              <div className={formStyles.formGroup}>
+                <label htmlFor="graceMinutes">Late After (minutes):</label>
+                <input
+                  type="number"
+                  id="graceMinutes"
+                  name="graceMinutes"
+                  value={graceMinutes}
+                  onChange={(e) => {
+                    setGraceMinutes(e.target.value);
+                    setGraceSaved(false);
+                  }}
+                  required
+                  min="0"
+                  max="120"
+                  step="1"
+                />
+                <small>{CHECKIN_LABELS.GRACE_HELP}</small>
+              </div>
+
+              <div className={formStyles.formActions}>
+                <button type="submit" className={formStyles.primaryButton}>
+                  {graceSaved ? 'Saved' : 'Save Grace Period'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ClassScheduleManagement;
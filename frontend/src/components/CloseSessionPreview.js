@@ -0,0 +1,72 @@
+import React from 'react';
+import styles from './AttendanceDashboard.module.css';
+
+const CloseSessionPreview = ({
+  preview,
+  onClose,
+  onConfirm,
+  closing
+}) => {
+  if (!preview) return null;
+
+  const { toMarkAbsent, notEnrolled, recordedCount, absentFee, isHoliday } = preview;
+  const totalFee = absentFee * toMarkAbsent.length;
+
+  return (
+    <div className={styles['confirmation-dialog']} data-testid="close-session-preview">
+      <div className={styles['confirmation-content']}>
+        <h2 className={styles['confirmation-title']}>Close Session</h2>
+
+        <div className={styles['confirmation-summary']}>
+          {isHoliday ? (
+            <p>This date is a holiday. No absences will be recorded.</p>
+          ) : toMarkAbsent.length === 0 ? (
+            <p>Every eligible student already has attendance recorded. Nothing to close.</p>
+          ) : (
+            <>
+              <p>
+                <strong>{toMarkAbsent.length}</strong> students have no attendance recorded and will be marked
+                {' '}<strong>Absent (${absentFee})</strong>:
+              </p>
+              <ul>
+                {toMarkAbsent.map(student => (
+                  <li key={student.id}>{student.firstName} {student.lastName}</li>
+                ))}
+              </ul>
+
+              {totalFee > 0 && (
+                <div className={`${styles['fee-impact']} ${totalFee > 10 ? styles.high : ''}`}>
+                  <strong>Total fee impact: ${totalFee.toFixed(2)}</strong>
+                </div>
+              )}
+            </>
+          )}
+
+          <p>{recordedCount} students already have attendance recorded and are not changed.</p>
+
+          {notEnrolled.length > 0 && (
+            <p>
+              Skipped (not enrolled on this date): {notEnrolled.map(student => `${student.firstName} ${student.lastName}`).join(', ')}
+            </p>
+          )}
+        </div>
+
+        <div className={styles['confirmation-buttons']}>
+          <button className={styles['cancel-button']} onClick={onClose} disabled={closing}>
+            Cancel
+          </button>
+          <button
+            className={styles['confirm-button']}
+            onClick={onConfirm}
+            disabled={closing || isHoliday || toMarkAbsent.length === 0}
+            data-testid="confirm-close-session"
+          >
+            {closing ? 'Closing...' : 'Mark Absent & Close'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CloseSessionPreview;
@@ -0,0 +1,43 @@
+// EnrollmentHistory.js
+import React from 'react';
+import { getEnrollmentHistory, CHARGEABLE_STATUSES } from '../utils/EnrollmentUtils';
+import { formatDateForDisplay } from '../utils/DateUtils';
+import { formatDateTime } from '../utils/formatters';
+import styles from './StudentFormView.module.css';
+
+// Timeline of a student's enrollment status changes, newest first
+const EnrollmentHistory = ({ student }) => {
+  const history = getEnrollmentHistory(student).reverse();
+
+  if (history.length === 0) {
+    return (
+      <p data-testid="no-enrollment-history">
+        No status changes recorded. The student is charged as Enrolled.
+      </p>
+    );
+  }
+
+  return (
+    <ol className={styles['status-timeline']} data-testid="enrollment-history">
+      {history.map((entry, index) => (
+        <li key={`${entry.changedAt}-${index}`} className={styles['timeline-entry']}>
+          <div>
+            <strong>{entry.previousStatus || 'Pending Payment'} &rarr; {entry.status}</strong>
+            {' '}from {formatDateForDisplay(entry.effectiveDate)}
+            {!CHARGEABLE_STATUSES.includes(entry.status) && (
+              <span className={styles['timeline-no-fees']}> (no attendance fees)</span>
+            )}
+          </div>
+          <div className={styles['timeline-meta']}>
+            {entry.legacy
+              ? 'Recorded before status history was kept'
+              : `Changed ${formatDateTime(entry.changedAt)} by ${entry.changedBy?.email || entry.changedBy?.uid || 'unknown admin'}`}
+          </div>
+          {entry.reason && <div className={styles['timeline-reason']}>Reason: {entry.reason}</div>}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default EnrollmentHistory;
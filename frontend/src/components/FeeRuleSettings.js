@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { feeRuleService } from '../services/FeeRuleService';
+import ErrorMessage from './ErrorMessage';
+import formStyles from './StudentForm.module.css';
+import styles from './StudentManagement.module.css';
+import { FEE_TYPE_OPTIONS } from '../constants/feeConstants';
+import { FEE_RULE_TYPES, FEE_RULE_TYPE_LABELS, FEE_RULE_LABELS } from '../constants/feeRuleConstants';
+import { formatCurrency } from '../utils/formatters';
+
+const getFeeTypeLabel = (feeType) => {
+  const option = FEE_TYPE_OPTIONS.find(opt => opt.value === feeType);
+  return option ? option.label : feeType;
+};
+
+const describeRule = (rule) => {
+  const feeType = getFeeTypeLabel(rule.feeType);
+  return rule.type === FEE_RULE_TYPES.ESCALATE
+    ? `${feeType}: charged ${rule.multiplier}x after ${rule.afterCount} in a fee year`
+    : `${feeType}: first ${rule.count} in a fee year not charged`;
+};
+
+/**
+ * Admin settings for the monthly fee cap and the repeat-offense rules
+ * Shown under the fee schedule, since the rules adjust the rates charged there
+ */
+const FeeRuleSettings = () => {
+  const [feeRules, setFeeRules] = useState(feeRuleService.getRules());
+  const [capInput, setCapInput] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState({
+    type: FEE_RULE_TYPES.ESCALATE,
+    feeType: 'late',
+    count: '3',
+    multiplier: '2'
+  });
+
+  useEffect(() => {
+    feeRuleService.loadRules(true).then(rules => {
+      setFeeRules(rules);
+      setCapInput(rules.monthlyCap === null ? '' : String(rules.monthlyCap));
+    });
+  }, []);
+
+  const saveRules = async (nextRules, errorPrefix = '') => {
+    setSaving(true);
+    setError('');
+
+    try {
+      const saved = await feeRuleService.saveRules(nextRules);
+      setFeeRules(saved);
+    } catch (err) {
+      setError(errorPrefix ? `${errorPrefix} ${err.message}` : err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCapSubmit = (e) => {
+    e.preventDefault();
+    // An empty cap removes it
+    const monthlyCap = capInput === '' ? null : parseFloat(capInput);
+    if (monthlyCap !== null && !Number.isFinite(monthlyCap)) {
+      setError('Monthly cap must be zero or more');
+      return;
+    }
+    saveRules({ ...feeRules, monthlyCap });
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleRuleSubmit = (e) => {
+    e.preventDefault();
+    const count = parseInt(formData.count, 10);
+    const rule = formData.type === FEE_RULE_TYPES.ESCALATE
+      ? { type: formData.type, feeType: formData.feeType, afterCount: count, multiplier: parseFloat(formData.multiplier) }
+      : { type: formData.type, feeType: formData.feeType, count };
+
+    saveRules({ ...feeRules, rules: [...feeRules.rules, rule] });
+  };
+
+  const handleDeleteRule = (index) => {
+    if (!window.confirm(FEE_RULE_LABELS.CONFIRM_DELETE)) {
+      return;
+    }
+
+    saveRules(
+      { ...feeRules, rules: feeRules.rules.filter((_, i) => i !== index) },
+      FEE_RULE_LABELS.DELETE_FAILED
+    );
+  };
+
+  const isEscalation = formData.type === FEE_RULE_TYPES.ESCALATE;
+
+  return (
+    <section data-testid="fee-rules">
+      <h3>{FEE_RULE_LABELS.TITLE}</h3>
+
+      {error && <ErrorMessage message={error} />}
+
+      <div className={formStyles.formContainer}>
+        <h4>{FEE_RULE_LABELS.CAP_TITLE}</h4>
+        <form onSubmit={handleCapSubmit} className={formStyles.form}>
+          <div className={formStyles.formGroup}>
+            <label htmlFor="monthlyCap">Most a student is charged per month:</label>
+            <input
+              type="number"
+              id="monthlyCap"
+              value={capInput}
+              onChange={(e) => setCapInput(e.target.value)}
+              min="0"
+              step="0.01"
+              placeholder="No cap"
+              data-testid="monthly-cap"
+            />
+            <small>
+              {feeRules.monthlyCap === null
+                ? 'No cap is set. Leave empty for no cap.'
+                : `Currently capped at ${formatCurrency(feeRules.monthlyCap)}. Leave empty to remove the cap.`}
+            </small>
+          </div>
+          <div className={formStyles.formActions}>
+            <button type="submit" disabled={saving} className={formStyles.primaryButton}>
+              {saving ? 'Saving...' : 'Save Cap'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <h4>{FEE_RULE_LABELS.RULES_TITLE}</h4>
+      {feeRules.rules.length === 0 ? (
+        <p className={styles.noData}>{FEE_RULE_LABELS.NO_RULES}</p>
+      ) : (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th>Rule</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {feeRules.rules.map((rule, index) => (
+              <tr key={`${rule.type}-${rule.feeType}-${index}`}>
+                <td>{describeRule(rule)}</td>
+                <td>
+                  <button
+                    onClick={() => handleDeleteRule(index)}
+                    className={styles.deleteButton}
+                    data-testid={`delete-rule-${index}`}
+                  >
+                    Delete
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <div className={formStyles.formContainer}>
+        <h4>{FEE_RULE_LABELS.FORM_TITLE}</h4>
+        <form onSubmit={handleRuleSubmit} className={formStyles.form} data-testid="fee-rule-form">
+          <div className={formStyles.formGroup}>
+            <label htmlFor="ruleType">Rule:</label>
+            <select id="ruleType" name="type" value={formData.type} onChange={handleInputChange}>
+              {Object.values(FEE_RULE_TYPES).map(type => (
+                <option key={type} value={type}>{FEE_RULE_TYPE_LABELS[type]}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className={formStyles.formGroup}>
+            <label htmlFor="ruleCount">{isEscalation ? 'Offenses charged at the rate:' : 'Offenses not charged:'}</label>
+            <input
+              type="number"
+              id="ruleCount"
+              name="count"
+              value={formData.count}
+              onChange={handleInputChange}
+              required
+              min={isEscalation ? '0' : '1'}
+              step="1"
+            />
+          </div>
+
+          <div className={formStyles.formGroup}>
+            <label htmlFor="ruleFeeType">Fee Type:</label>
+            <select id="ruleFeeType" name="feeType" value={formData.feeType} onChange={handleInputChange}>
+              {FEE_TYPE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {isEscalation && (
+            <div className={formStyles.formGroup}>
+              <label htmlFor="ruleMultiplier">Then charge the rate times:</label>
+              <input
+                type="number"
+                id="ruleMultiplier"
+                name="multiplier"
+                value={formData.multiplier}
+                onChange={handleInputChange}
+                required
+                min="0.01"
+                step="0.01"
+              />
+            </div>
+          )}
+
+          <small>Offenses are counted per student within a fee year, in date order.</small>
+
+          <div className={formStyles.formActions}>
+            <button type="submit" disabled={saving} className={formStyles.primaryButton}>
+              {saving ? 'Saving...' : 'Add Rule'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </section>
+  );
+};
+
+export default FeeRuleSettings;
@@ -0,0 +1,241 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { feeScheduleService } from '../services/FeeScheduleService';
+import ErrorMessage from './ErrorMessage';
+import FeeRuleSettings from './FeeRuleSettings';
+import formStyles from './StudentForm.module.css';
+import styles from './StudentManagement.module.css';
+import { FEE_TYPE_OPTIONS, FEE_SCHEDULE_LABELS } from '../constants/feeConstants';
+import { formatCurrency, formatDate } from '../utils/formatters';
+import { formatDateForInput, parseDateString } from '../utils/DateUtils';
+
+const getFeeTypeLabel = (feeType) => {
+  const option = FEE_TYPE_OPTIONS.find(opt => opt.value === feeType);
+  return option ? option.label : feeType;
+};
+
+const FeeScheduleSettings = ({ userRole, currentUser }) => {
+  const [schedule, setSchedule] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState({
+    feeType: 'absent',
+    amount: '',
+    effectiveFrom: formatDateForInput(new Date())
+  });
+
+  const loadSchedule = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      await feeScheduleService.loadSchedule(true);
+      setSchedule(feeScheduleService.getSchedule());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (userRole === 'admin') {
+      loadSchedule();
+    }
+  }, [userRole, loadSchedule]);
+
+  if (userRole !== 'admin') {
+    return (
+      <div className={styles.unauthorized}>
+        <p>You don't have permission to manage fee settings.</p>
+      </div>
+    );
+  }
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const amount = parseFloat(formData.amount);
+
+      if (!Number.isFinite(amount) || amount < 0) {
+        throw new Error('Amount must be zero or a positive number');
+      }
+
+      await feeScheduleService.addRate({
+        feeType: formData.feeType,
+        amount,
+        effectiveFrom: formData.effectiveFrom,
+        adminId: currentUser?.uid || 'unknown-admin'
+      });
+
+      setSchedule(feeScheduleService.getSchedule());
+      setFormData(prev => ({ ...prev, amount: '' }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteRate = async (rateId) => {
+    if (!window.confirm(FEE_SCHEDULE_LABELS.CONFIRM_DELETE)) {
+      return;
+    }
+
+    try {
+      await feeScheduleService.removeRate(rateId);
+      setSchedule(feeScheduleService.getSchedule());
+    } catch (err) {
+      setError(`${FEE_SCHEDULE_LABELS.DELETE_FAILED} ${err.message}`);
+    }
+  };
+
+  const currentRates = feeScheduleService.getRatesForDate(new Date());
+  const todayKey = formatDateForInput(new Date());
+
+  return (
+    <div className={styles.managementContainer}>
+      <h2>{FEE_SCHEDULE_LABELS.TITLE}</h2>
+
+      {error && <ErrorMessage message={error} />}
+
+      {loading ? (
+        <div className={styles.loading}>{FEE_SCHEDULE_LABELS.LOADING}</div>
+      ) : (
+        <>
+          <section data-testid="current-rates">
+            <h3>{FEE_SCHEDULE_LABELS.CURRENT_RATES}</h3>
+            <table className={styles.table}>
+              <thead>
+                <tr>
+                  <th>Fee Type</th>
+                  <th>Amount</th>
+                </tr>
+              </thead>
+              <tbody>
+                {FEE_TYPE_OPTIONS.map(option => (
+                  <tr key={option.value}>
+                    <td>{option.label}</td>
+                    <td>{formatCurrency(currentRates[option.value])}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          <section className={formStyles.formContainer}>
+            <h3>{FEE_SCHEDULE_LABELS.FORM_TITLE}</h3>
+            <form onSubmit={handleSubmit} className={formStyles.form}>
+              <div className={formStyles.formGroup}>
+                <label htmlFor="feeType">Fee Type:</label>
+                <select
+                  id="feeType"
+                  name="feeType"
+                  value={formData.feeType}
+                  onChange={handleInputChange}
+                  required
+                >
+                  {FEE_TYPE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className={formStyles.formGroup}>
+                <label htmlFor="amount">Amount:</label>
+                <input
+                  type="number"
+                  id="amount"
+                  name="amount"
+                  value={formData.amount}
+                  onChange={handleInputChange}
+                  required
+                  min="0"
+                  step="0.01"
+                  placeholder="0.00"
+                />
+              </div>
+
+              <div className={formStyles.formGroup}>
+                <label htmlFor="effectiveFrom">Effective From:</label>
+                <input
+                  type="date"
+                  id="effectiveFrom"
+                  name="effectiveFrom"
+                  value={formData.effectiveFrom}
+                  onChange={handleInputChange}
+                  required
+                />
+                <small>Attendance on or after this date is charged the new amount. Earlier dates keep their original rate.</small>
+              </div>
+
+              <div className={formStyles.formActions}>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className={formStyles.primaryButton}
+                >
+                  {saving ? 'Saving...' : 'Add Rate'}
+                </button>
+              </div>
+            </form>
+          </section>
+
+          <section data-testid="rate-history">
+            <h3>{FEE_SCHEDULE_LABELS.HISTORY_TITLE}</h3>
+            {schedule.length === 0 ? (
+              <p className={styles.noData}>{FEE_SCHEDULE_LABELS.NO_HISTORY}</p>
+            ) : (
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>Fee Type</th>
+                    <th>Amount</th>
+                    <th>Effective From</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {schedule.map(entry => (
+                    <tr key={entry.id}>
+                      <td>{getFeeTypeLabel(entry.feeType)}</td>
+                      <td>{formatCurrency(entry.amount)}</td>
+                      <td>
+                        {formatDate(parseDateString(entry.effectiveFrom))}
+                        {entry.effectiveFrom > todayKey && ' (scheduled)'}
+                      </td>
+                      <td>
+                        <button
+                          onClick={() => handleDeleteRate(entry.id)}
+                          className={styles.deleteButton}
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+
+          <FeeRuleSettings />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default FeeScheduleSettings;
@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { feeWaiverService } from '../services/FeeWaiverService';
+import ErrorMessage from './ErrorMessage';
+import { formatDateForDisplay, timestampToDate } from '../utils/DateUtils';
+import { formatCurrency } from '../utils/formatters';
+import formStyles from './StudentForm.module.css';
+import styles from './StudentManagement.module.css';
+
+// Dates of the fees a waiver covers, or its date range when it was requested for one
+const describeFees = (waiver) => {
+  if (waiver.startDate && waiver.endDate) {
+    return `${formatDateForDisplay(waiver.startDate)} – ${formatDateForDisplay(waiver.endDate)}`;
+  }
+  return (waiver.fees || []).map(fee => formatDateForDisplay(fee.feeDate)).join(', ');
+};
+
+const FeeWaivers = ({ userRole, currentUser }) => {
+  const [pendingWaivers, setPendingWaivers] = useState([]);
+  const [threshold, setThreshold] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const adminId = currentUser?.uid || null;
+
+  const loadWaivers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const [waivers, approvalThreshold] = await Promise.all([
+        feeWaiverService.getPendingWaivers(),
+        feeWaiverService.getApprovalThreshold()
+      ]);
+      setPendingWaivers(waivers);
+      setThreshold(approvalThreshold.toFixed(2));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (userRole === 'admin') {
+      loadWaivers();
+    }
+  }, [userRole, loadWaivers]);
+
+  if (userRole !== 'admin') {
+    return (
+      <div className={styles.unauthorized}>
+        <p>You don't have permission to manage fee waivers.</p>
+      </div>
+    );
+  }
+
+  const handleApprove = async (waiver) => {
+    setError('');
+    setMessage('');
+
+    try {
+      const { waiver: approved } = await feeWaiverService.approveWaiver(waiver.id, { adminId });
+      setMessage(`Waived ${formatCurrency(approved.amount)} for ${waiver.studentName}.`);
+      await loadWaivers();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleReject = async (waiver) => {
+    const reason = window.prompt(`Why is the waiver for ${waiver.studentName} rejected?`, '');
+    if (reason === null) return;
+
+    setError('');
+    setMessage('');
+
+    try {
+      await feeWaiverService.rejectWaiver(waiver.id, { adminId, reason });
+      setMessage(`Rejected the waiver for ${waiver.studentName}.`);
+      await loadWaivers();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSaveThreshold = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setMessage('');
+
+    try {
+      await feeWaiverService.saveApprovalThreshold(parseFloat(threshold));
+      setMessage('Approval threshold saved.');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className={styles.managementContainer}>
+      <h2>Fee Waivers</h2>
+      <p>
+        Waivers are requested from a student's fee history. Waivers above the approval threshold wait here until
+        an admin other than the one who requested them approves or rejects them.
+      </p>
+
+      {error && <ErrorMessage message={error} />}
+      {message && <p data-testid="fee-waivers-message">{message}</p>}
+
+      <form onSubmit={handleSaveThreshold} className={formStyles.formGroup}>
+        <label htmlFor="waiverThreshold">Approval threshold ($):</label>
+        <input
+          id="waiverThreshold"
+          type="number"
+          min="0"
+          step="0.01"
+          value={threshold}
+          onChange={(e) => setThreshold(e.target.value)}
+          required
+          data-testid="waiver-threshold"
+        />
+        <button type="submit" disabled={saving || loading} className={formStyles.primaryButton}>
+          {saving ? 'Saving...' : 'Save Threshold'}
+        </button>
+      </form>
+
+      <h3>Waiting for Approval</h3>
+      {loading ? (
+        <div className={styles.loading}>Loading fee waivers...</div>
+      ) : pendingWaivers.length === 0 ? (
+        <p>No waivers are waiting for approval.</p>
+      ) : (
+        <table className={styles.table} data-testid="pending-waivers">
+          <thead>
+            <tr>
+              <th>Requested</th>
+              <th>Student</th>
+              <th>Fees</th>
+              <th>Amount</th>
+              <th>Reason</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pendingWaivers.map(waiver => {
+              const ownRequest = waiver.requestedBy === adminId;
+              return (
+                <tr key={waiver.id} data-testid={`waiver-${waiver.id}`}>
+                  <td>{formatDateForDisplay(timestampToDate(waiver.requestedAt))}</td>
+                  <td>{waiver.studentName}</td>
+                  <td>{describeFees(waiver)}</td>
+                  <td>{formatCurrency(waiver.amount)}</td>
+                  <td>{waiver.reason}</td>
+                  <td>
+                    <button
+                      onClick={() => handleApprove(waiver)}
+                      disabled={ownRequest}
+                      title={ownRequest ? 'A second admin must approve your own request' : 'Approve this waiver'}
+                      className={formStyles.primaryButton}
+                      data-testid={`approve-waiver-${waiver.id}`}
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleReject(waiver)}
+                      className={styles.deleteButton}
+                      data-testid={`reject-waiver-${waiver.id}`}
+                    >
+                      Reject
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default FeeWaivers;
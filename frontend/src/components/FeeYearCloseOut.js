@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { feeYearCloseService } from '../services/FeeYearCloseService';
+import ErrorMessage from './ErrorMessage';
+import { formatDateForDisplay } from '../utils/DateUtils';
+import { formatCurrency } from '../utils/formatters';
+import { formatFeeYear } from '../utils/ReceiptUtils';
+import { DEFAULT_INACTIVE_REMOVAL_MONTHS, FEE_YEAR_CLOSE_LABELS } from '../constants/feeYearConstants';
+import formStyles from './StudentForm.module.css';
+import styles from './StudentManagement.module.css';
+
+// Years offered for closing: the one that just ended and the two before it
+const YEARS_OFFERED = 3;
+
+/**
+ * Wizard for closing a fee year: choose the year and options, review the preview, then close
+ */
+const FeeYearCloseOut = ({ userRole, currentUser }) => {
+  const lastEndedYear = feeYearCloseService.getLastEndedFeeYear();
+  const [feeYear, setFeeYear] = useState(lastEndedYear);
+  const [removeInactive, setRemoveInactive] = useState(true);
+  const [removeInactiveMonths, setRemoveInactiveMonths] = useState(String(DEFAULT_INACTIVE_REMOVAL_MONTHS));
+  const [preview, setPreview] = useState(null);
+  const [archive, setArchive] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState('');
+
+  if (userRole !== 'admin') {
+    return (
+      <div className={styles.unauthorized}>
+        <p>You don't have permission to close fee years.</p>
+      </div>
+    );
+  }
+
+  const getOptions = () => ({
+    removeInactiveMonths: removeInactive ? parseInt(removeInactiveMonths, 10) : null
+  });
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    setError('');
+
+    try {
+      setPreview(await feeYearCloseService.previewClose(feeYear, getOptions()));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleClose = async () => {
+    if (!window.confirm(FEE_YEAR_CLOSE_LABELS.CONFIRM_CLOSE)) {
+      return;
+    }
+
+    setWorking(true);
+    setError('');
+
+    try {
+      setArchive(await feeYearCloseService.closeFeeYear(feeYear, {
+        ...getOptions(),
+        closedBy: currentUser ? { uid: currentUser.uid, email: currentUser.email || null } : null
+      }));
+      setPreview(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className={styles.managementContainer}>
+      <h2>{FEE_YEAR_CLOSE_LABELS.TITLE}</h2>
+      <p>
+        Closing a fee year archives every student's balance and the year's financial report, and carries
+        balances and credits into the next fee year as opening entries.
+      </p>
+
+      {error && <ErrorMessage message={error} />}
+
+      {archive ? (
+        <div data-testid="close-complete">
+          <p>
+            Fee year {archive.label} is closed. {formatCurrency(archive.totals.owed)} owed
+            and {formatCurrency(archive.totals.credit)} in credit were carried forward
+            {archive.removedStudents.length > 0 && `, and ${archive.removedStudents.length} inactive student(s) were removed`}.
+          </p>
+          <Link to="/financial-reports">View the archived year in Financial Reports</Link>
+        </div>
+      ) : !preview ? (
+        <form onSubmit={handlePreview} className={formStyles.form} data-testid="close-options">
+          <div className={formStyles.formGroup}>
+            <label htmlFor="closeFeeYear">Fee year:</label>
+            <select id="closeFeeYear" value={feeYear} onChange={(e) => setFeeYear(parseInt(e.target.value, 10))}>
+              {Array.from({ length: YEARS_OFFERED }, (_, i) => lastEndedYear - i).map(year => (
+                <option key={year} value={year}>{formatFeeYear(year)}</option>
+              ))}
+            </select>
+          </div>
+
+          <div className={formStyles.formGroup}>
+            <label>
+              <input
+                type="checkbox"
+                checked={removeInactive}
+                onChange={(e) => setRemoveInactive(e.target.checked)}
+                data-testid="remove-inactive"
+              />
+              {' '}Move students Inactive for at least
+            </label>
+            <input
+              type="number"
+              min="0"
+              step="1"
+              value={removeInactiveMonths}
+              onChange={(e) => setRemoveInactiveMonths(e.target.value)}
+              disabled={!removeInactive}
+              required
+              aria-label="Months inactive"
+            />
+            <small>months by the end of the year to Removed, if they owe nothing.</small>
+          </div>
+
+          <div className={formStyles.formActions}>
+            <button type="submit" disabled={working} className={formStyles.primaryButton} data-testid="preview-close">
+              {working ? 'Preparing...' : 'Preview Close-Out'}
+            </button>
+          </div>
+        </form>
+      ) : (
+        <div data-testid="close-preview">
+          <h3>Fee year {preview.label}: {formatDateForDisplay(preview.startDate)} – {formatDateForDisplay(preview.endDate)}</h3>
+          <ul>
+            <li>{preview.totals.studentCount} student balance(s) will be archived.</li>
+            <li>{formatCurrency(preview.totals.owed)} owed will be carried forward.</li>
+            <li>{formatCurrency(preview.totals.credit)} in credit will be carried forward.</li>
+          </ul>
+
+          <table className={styles.table}>
+            <thead>
+              <tr>
+                <th>Student</th>
+                <th>Status</th>
+                <th>Opening Balance</th>
+                <th>Closing Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.students.map(student => (
+                <tr key={student.studentId} data-testid={`close-student-${student.studentId}`}>
+                  <td>{student.name}</td>
+                  <td>{student.enrollmentStatus}</td>
+                  <td>{formatCurrency(student.openingBalance)}</td>
+                  <td>{formatCurrency(student.closingBalance)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h4>Students to move to Removed</h4>
+          {preview.studentsToRemove.length === 0 ? (
+            <p>None.</p>
+          ) : (
+            <ul data-testid="students-to-remove">
+              {preview.studentsToRemove.map(student => (
+                <li key={student.studentId}>
+                  {student.name} (Inactive since {formatDateForDisplay(student.inactiveSince)})
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className={formStyles.formActions}>
+            <button onClick={() => setPreview(null)} disabled={working} className={formStyles.secondaryButton}>
+              Back
+            </button>
+            <button onClick={handleClose} disabled={working} className={formStyles.primaryButton} data-testid="confirm-close">
+              {working ? 'Closing...' : `Close Fee Year ${preview.label}`}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FeeYearCloseOut;
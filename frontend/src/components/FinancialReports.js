@@ -2,18 +2,23 @@ import React, { useState, useEffect, useRef } from 'react';
 import { reportService } from '../services/ReportService';
 import { budgetService } from '../services/BudgetService';
 import { dateService } from '../services/DateService';
+import { feeYearCloseService } from '../services/FeeYearCloseService';
 import ErrorMessage from './ErrorMessage';
 import styles from './Reports.module.css';
 import { formatCurrency } from '../utils/formatters';
+import { formatDateForDisplay } from '../utils/DateUtils';
+import { FEE_YEAR_CLOSE_LABELS } from '../constants/feeYearConstants';
 
 const FinancialReports = ({ userRole }) => {
   // State for report data and UI controls
   const [currentDate, setCurrentDate] = useState(new Date());
-  const [activeTab, setActiveTab] = useState('monthly'); // 'monthly', 'cumulative', 'visualization'
+  const [activeTab, setActiveTab] = useState('monthly'); // 'monthly', 'cumulative', 'visualization', 'archive'
   const [monthlyReport, setMonthlyReport] = useState(null);
   const [cumulativeReport, setCumulativeReport] = useState(null);
   const [visualizationData, setVisualizationData] = useState(null);
   const [budgetSummary, setBudgetSummary] = useState(null);
+  const [archives, setArchives] = useState(null);
+  const [selectedArchiveId, setSelectedArchiveId] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [dateRange, setDateRange] = useState(() => {
@@ -69,6 +74,13 @@ const FinancialReports = ({ userRole }) => {
           const visualizationResult = await reportService.getDataForVisualization(dateRange);
           setVisualizationData(visualizationResult);
         }
+        
+        if (activeTab === 'archive') {
+          // Closed fee years are read back exactly as they were archived
+          const archiveList = await feeYearCloseService.getArchives();
+          setArchives(archiveList);
+          setSelectedArchiveId(prev => prev || archiveList[0]?.id || '');
+        }
       } catch (err) {
         setError(err.message);
         console.error('Error fetching report data:', err);
@@ -179,6 +191,9 @@ const FinancialReports = ({ userRole }) => {
     }
   };
 
+  // The archived fee year on display
+  const archive = archives?.find(entry => entry.id === selectedArchiveId) || archives?.[0] || null;
+
   return (
     <div className={styles.reportsContainer} data-testid="financial-reports">
       <h1>Financial Reports</h1>
@@ -208,6 +223,13 @@ const FinancialReports = ({ userRole }) => {
         >
           Visualizations
         </button>
+        <button 
+          className={activeTab === 'archive' ? styles.activeTab : ''} 
+          onClick={() => setActiveTab('archive')}
+          data-testid="archive-tab"
+        >
+          {FEE_YEAR_CLOSE_LABELS.ARCHIVE_TAB}
+        </button>
       </div>
       
       {/* Export options */}
@@ -262,6 +284,18 @@ const FinancialReports = ({ userRole }) => {
                   <h3>Total Payments Received</h3>
                   <p className={styles.amount}>{formatCurrency(monthlyReport.summary.totalPaymentsReceived)}</p>
                 </div>
+                {monthlyReport.summary.totalFeesWaived > 0 && (
+                  <div className={styles.summaryCard} data-testid="monthly-waived">
+                    <h3>Fees Waived</h3>
+                    <p className={styles.amount}>{formatCurrency(monthlyReport.summary.totalFeesWaived)}</p>
+                  </div>
+                )}
+                {monthlyReport.summary.totalRefunds < 0 && (
+                  <div className={styles.summaryCard} data-testid="monthly-refunds">
+                    <h3>Refunds</h3>
+                    <p className={`${styles.amount} ${styles.negativeIncome}`}>{formatCurrency(monthlyReport.summary.totalRefunds)}</p>
+                  </div>
+                )}
                 <div className={styles.summaryCard}>
                   <h3>Fees Collected</h3>
                   <p className={styles.amount}>{formatCurrency(monthlyReport.summary.feesCollected)}</p>
@@ -448,6 +482,12 @@ const FinancialReports = ({ userRole }) => {
                     <h4>Total Fees Charged</h4>
                     <p className={styles.amount}>{formatCurrency(cumulativeReport.totals.totalFeesCharged)}</p>
                   </div>
+                  {cumulativeReport.totals.totalFeesWaived > 0 && (
+                    <div className={styles.summaryCard} data-testid="cumulative-waived">
+                      <h4>Fees Waived</h4>
+                      <p className={styles.amount}>{formatCurrency(cumulativeReport.totals.totalFeesWaived)}</p>
+                    </div>
+                  )}
                   <div className={styles.summaryCard}>
                     <h4>Total Payments Received</h4>
                     <p className={styles.amount}>{formatCurrency(cumulativeReport.totals.totalPaymentsReceived)}</p>
@@ -596,8 +636,9 @@ const FinancialReports = ({ userRole }) => {
                   </thead>
                   <tbody>
                     {cumulativeReport.monthlyReports.map((month, index) => {
-                      const collectionRate = month.summary.totalFeesCharged > 0
-                        ? (month.summary.feesCollected / month.summary.totalFeesCharged) * 100
+                      const feesOwed = month.summary.totalFeesCharged - (month.summary.totalFeesWaived || 0);
+                      const collectionRate = feesOwed > 0
+                        ? (month.summary.feesCollected / feesOwed) * 100
                         : 0;
                       
                       return (
@@ -636,6 +677,123 @@ const FinancialReports = ({ userRole }) => {
             </div>
           )}
           
+          {/* Archived fee years (read-only) */}
+          {activeTab === 'archive' && archives && (
+            <div className={styles.reportSection} data-testid="archive-section">
+              <h2>{FEE_YEAR_CLOSE_LABELS.ARCHIVE_TAB}</h2>
+              {!archive ? (
+                <p>{FEE_YEAR_CLOSE_LABELS.NO_ARCHIVES}</p>
+              ) : (
+                <>
+                  <div className={styles.dateRangeFilter}>
+                    <label htmlFor="archiveYear">Fee Year: </label>
+                    <select
+                      id="archiveYear"
+                      value={archive.id}
+                      onChange={(e) => setSelectedArchiveId(e.target.value)}
+                      data-testid="archive-select"
+                    >
+                      {archives.map(entry => (
+                        <option key={entry.id} value={entry.id}>{entry.label}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div data-testid="archived-report">
+                    <h3>{archive.report.title}</h3>
+                    <p>
+                      {formatDateForDisplay(archive.startDate)} – {formatDateForDisplay(archive.endDate)}.
+                      Closed by {archive.closedBy?.email || archive.closedBy?.uid || 'unknown admin'}; this archive cannot be changed.
+                    </p>
+
+                    <div className={styles.summaryCards}>
+                      <div className={styles.summaryCard}>
+                        <h4>Total Fees Charged</h4>
+                        <p className={styles.amount}>{formatCurrency(archive.report.totals.totalFeesCharged)}</p>
+                      </div>
+                      <div className={styles.summaryCard}>
+                        <h4>Fees Waived</h4>
+                        <p className={styles.amount}>{formatCurrency(archive.report.totals.totalFeesWaived || 0)}</p>
+                      </div>
+                      <div className={styles.summaryCard}>
+                        <h4>Total Payments Received</h4>
+                        <p className={styles.amount}>{formatCurrency(archive.report.totals.totalPaymentsReceived)}</p>
+                      </div>
+                      <div className={styles.summaryCard}>
+                        <h4>Total Expenses</h4>
+                        <p className={styles.amount}>{formatCurrency(archive.report.totals.totalExpenses || 0)}</p>
+                      </div>
+                      <div className={styles.summaryCard} data-testid="archived-carried-owed">
+                        <h4>Owed Carried Forward</h4>
+                        <p className={styles.amount}>{formatCurrency(archive.totals.owed)}</p>
+                      </div>
+                      <div className={styles.summaryCard}>
+                        <h4>Credit Carried Forward</h4>
+                        <p className={styles.amount}>{formatCurrency(archive.totals.credit)}</p>
+                      </div>
+                    </div>
+
+                    <div className={styles.monthlyBreakdown}>
+                      <h3>Monthly Breakdown</h3>
+                      <table className={styles.monthlyTable}>
+                        <thead>
+                          <tr>
+                            <th>Month</th>
+                            <th>Fees Charged</th>
+                            <th>Payments Received</th>
+                            <th>Collected</th>
+                            <th>Pending</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {archive.report.months.map(month => (
+                            <tr key={month.title}>
+                              <td>{month.title}</td>
+                              <td>{formatCurrency(month.summary.totalFeesCharged)}</td>
+                              <td>{formatCurrency(month.summary.totalPaymentsReceived)}</td>
+                              <td>{formatCurrency(month.summary.feesCollected)}</td>
+                              <td>{formatCurrency(month.summary.pendingFees)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+
+                    <h3>Student Balances at Year End</h3>
+                    <table className={styles.studentTable}>
+                      <thead>
+                        <tr>
+                          <th>Student</th>
+                          <th>Status</th>
+                          <th>Opening Balance</th>
+                          <th>Charges</th>
+                          <th>Payments</th>
+                          <th>Closing Balance</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {archive.students.map(student => (
+                          <tr key={student.studentId}>
+                            <td>{student.name}</td>
+                            <td>{student.enrollmentStatus}</td>
+                            <td>{formatCurrency(student.openingBalance)}</td>
+                            <td>{formatCurrency(student.charges)}</td>
+                            <td>{formatCurrency(-student.payments)}</td>
+                            <td>{formatCurrency(student.closingBalance)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+
+                    {archive.removedStudents.length > 0 && (
+                      <p>Moved to Removed at close-out: {archive.removedStudents.map(student => student.name).join(', ')}</p>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+          
           {/* Visualization View */}
           {activeTab === 'visualization' && visualizationData && (
             <div className={styles.visualizationSection} data-testid="visualization-section">
@@ -0,0 +1,253 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { holidayService } from '../services/HolidayService';
+import ErrorMessage from './ErrorMessage';
+import CalendarImportExport from './CalendarImportExport';
+import HolidayChangeHistory from './HolidayChangeHistory';
+import HolidayRuleSettings from './HolidayRuleSettings';
+import formStyles from './StudentForm.module.css';
+import styles from './StudentManagement.module.css';
+import { HOLIDAY_TYPES, HOLIDAY_TYPE_LABELS, HOLIDAY_CALENDAR_LABELS } from '../constants/holidayConstants';
+import { formatDate } from '../utils/formatters';
+import { formatDateForInput, parseDateString } from '../utils/DateUtils';
+
+const formatEntryDates = ({ startDate, endDate }) => (
+  startDate === endDate
+    ? formatDate(parseDateString(startDate))
+    : `${formatDate(parseDateString(startDate))} – ${formatDate(parseDateString(endDate))}`
+);
+
+const HolidayCalendar = ({ userRole, currentUser }) => {
+  const [calendar, setCalendar] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState({
+    name: '',
+    type: HOLIDAY_TYPES.HOLIDAY,
+    startDate: formatDateForInput(new Date()),
+    endDate: ''
+  });
+
+  const loadCalendar = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      await holidayService.loadCalendar(true);
+      setCalendar(holidayService.getCalendar());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (userRole === 'admin') {
+      loadCalendar();
+    }
+  }, [userRole, loadCalendar]);
+
+  if (userRole !== 'admin') {
+    return (
+      <div className={styles.unauthorized}>
+        <p>You don't have permission to manage the holiday calendar.</p>
+      </div>
+    );
+  }
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      await holidayService.addHoliday({
+        name: formData.name,
+        type: formData.type,
+        startDate: formData.startDate,
+        endDate: formData.endDate || formData.startDate,
+        createdBy: currentUser?.uid || 'unknown-admin'
+      });
+
+      setCalendar(holidayService.getCalendar());
+      setFormData(prev => ({ ...prev, name: '', endDate: '' }));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRename = async (entry) => {
+    const name = window.prompt('New name:', entry.name);
+    if (name === null || name.trim() === entry.name) {
+      return;
+    }
+
+    try {
+      await holidayService.updateHoliday(entry.id, { name });
+      setCalendar(holidayService.getCalendar());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemove = async (entryId) => {
+    if (!window.confirm(HOLIDAY_CALENDAR_LABELS.CONFIRM_DELETE)) {
+      return;
+    }
+
+    try {
+      await holidayService.removeHoliday(entryId);
+      setCalendar(holidayService.getCalendar());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className={styles.managementContainer}>
+      <h2>{HOLIDAY_CALENDAR_LABELS.TITLE}</h2>
+
+      {error && <ErrorMessage message={error} />}
+
+      {loading ? (
+        <div className={styles.loading}>Loading holiday calendar...</div>
+      ) : (
+        <>
+          <section className={formStyles.formContainer}>
+            <h3>{HOLIDAY_CALENDAR_LABELS.FORM_TITLE}</h3>
+            <form onSubmit={handleSubmit} className={formStyles.form}>
+              <div className={formStyles.formGroup}>
+                <label htmlFor="holidayName">Name:</label>
+                <input
+                  type="text"
+                  id="holidayName"
+                  name="name"
+                  value={formData.name}
+                  onChange={handleInputChange}
+                  required
+                  placeholder="e.g. Winter Break"
+                />
+              </div>
+
+              <div className={formStyles.formGroup}>
+                <label htmlFor="holidayType">Type:</label>
+                <select
+                  id="holidayType"
+                  name="type"
+                  value={formData.type}
+                  onChange={handleInputChange}
+                >
+                  {Object.values(HOLIDAY_TYPES).map(type => (
+                    <option key={type} value={type}>
+                      {HOLIDAY_TYPE_LABELS[type]}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className={formStyles.formGroup}>
+                <label htmlFor="holidayStartDate">Start Date:</label>
+                <input
+                  type="date"
+                  id="holidayStartDate"
+                  name="startDate"
+                  value={formData.startDate}
+                  onChange={handleInputChange}
+                  required
+                />
+              </div>
+
+              <div className={formStyles.formGroup}>
+                <label htmlFor="holidayEndDate">End Date:</label>
+                <input
+                  type="date"
+                  id="holidayEndDate"
+                  name="endDate"
+                  value={formData.endDate}
+                  min={formData.startDate}
+                  onChange={handleInputChange}
+                />
+                <small>Leave empty for a single day. No fees are charged on any day in the range.</small>
+              </div>
+
+              <div className={formStyles.formActions}>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className={formStyles.primaryButton}
+                >
+                  {saving ? 'Saving...' : 'Add to Calendar'}
+                </button>
+              </div>
+            </form>
+          </section>
+
+          <section data-testid="holiday-calendar">
+            <h3>{HOLIDAY_CALENDAR_LABELS.CALENDAR_TITLE}</h3>
+            {calendar.length === 0 ? (
+              <p className={styles.noData}>{HOLIDAY_CALENDAR_LABELS.NO_ENTRIES}</p>
+            ) : (
+              <table className={styles.table}>
+                <thead>
+                  <tr>
+                    <th>Name</th>
+                    <th>Type</th>
+                    <th>Dates</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {calendar.map(entry => (
+                    <tr key={entry.id} data-testid={`holiday-${entry.id}`}>
+                      <td>{entry.name}</td>
+                      <td>{HOLIDAY_TYPE_LABELS[entry.type] || entry.type}</td>
+                      <td>{formatEntryDates(entry)}</td>
+                      <td>
+                        <button
+                          onClick={() => handleRename(entry)}
+                          className={formStyles.secondaryButton}
+                        >
+                          Rename
+                        </button>
+                        <button
+                          onClick={() => handleRemove(entry.id)}
+                          className={styles.deleteButton}
+                        >
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </section>
+
+          <HolidayRuleSettings />
+
+          <CalendarImportExport
+            currentUser={currentUser}
+            onImported={() => setCalendar(holidayService.getCalendar())}
+          />
+
+          <HolidayChangeHistory
+            currentUser={currentUser}
+            onRolledBack={() => setCalendar(holidayService.getCalendar())}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default HolidayCalendar;
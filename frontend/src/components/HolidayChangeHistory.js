@@ -0,0 +1,108 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { attendanceDashboardService } from '../services/AttendanceDashboardService';
+import ErrorMessage from './ErrorMessage';
+import styles from './StudentManagement.module.css';
+import {
+  HOLIDAY_ADJUSTMENT_STATUSES,
+  HOLIDAY_ADJUSTMENT_STATUS_LABELS,
+  HOLIDAY_ADJUSTMENT_LABELS
+} from '../constants/holidayConstants';
+import { formatDate } from '../utils/formatters';
+import { parseDateString } from '../utils/DateUtils';
+
+// Holiday changes applied from the attendance dashboard, each of which can be rolled back in one step
+// (an incomplete change is rolled back from the credits it recorded before it stopped)
+const HolidayChangeHistory = ({ currentUser, onRolledBack }) => {
+  const [changes, setChanges] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [rollingBack, setRollingBack] = useState(null);
+  const [error, setError] = useState('');
+  const [result, setResult] = useState('');
+
+  const loadChanges = useCallback(async () => {
+    try {
+      setLoading(true);
+      setChanges(await attendanceDashboardService.getHolidayChanges());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadChanges();
+  }, [loadChanges]);
+
+  const handleRollback = async (change) => {
+    if (!window.confirm(HOLIDAY_ADJUSTMENT_LABELS.CONFIRM_ROLLBACK)) {
+      return;
+    }
+
+    try {
+      setRollingBack(change.id);
+      setError('');
+      setResult('');
+      const rollback = await attendanceDashboardService.rollbackHolidayChange(change.id, {
+        rolledBackBy: currentUser?.uid || null
+      });
+      setResult(rollback.message);
+      await loadChanges();
+      if (onRolledBack) onRolledBack();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  return (
+    <section data-testid="holiday-change-history">
+      <h3>{HOLIDAY_ADJUSTMENT_LABELS.TITLE}</h3>
+      {error && <ErrorMessage message={error} />}
+      {result && <p data-testid="holiday-rollback-result">{result}</p>}
+      {loading ? (
+        <p>Loading holiday changes...</p>
+      ) : changes.length === 0 ? (
+        <p className={styles.noData}>{HOLIDAY_ADJUSTMENT_LABELS.NO_ADJUSTMENTS}</p>
+      ) : (
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Holiday</th>
+              <th>Students</th>
+              <th>Credits Issued</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {changes.map(change => (
+              <tr key={change.id} data-testid={`holiday-change-${change.id}`}>
+                <td>{formatDate(parseDateString(change.date))}</td>
+                <td>{change.holidayName}</td>
+                <td>{(change.students || []).length}</td>
+                <td>${(change.totalCreditsIssued || 0).toFixed(2)}</td>
+                <td>{HOLIDAY_ADJUSTMENT_STATUS_LABELS[change.status] || change.status}</td>
+                <td>
+                  {change.status !== HOLIDAY_ADJUSTMENT_STATUSES.ROLLED_BACK && (
+                    <button
+                      onClick={() => handleRollback(change)}
+                      disabled={rollingBack !== null}
+                      className={styles.deleteButton}
+                    >
+                      {rollingBack === change.id ? 'Rolling back...' : 'Roll Back'}
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+};
+
+export default HolidayChangeHistory;
@@ -0,0 +1,93 @@
+import React from 'react';
+import styles from './AttendanceDashboard.module.css';
+import { parseDateString } from '../utils/DateUtils';
+
+const formatAmount = (amount) => `${amount < 0 ? '-' : ''}$${Math.abs(amount).toFixed(2)}`;
+
+const HolidayChangePreview = ({
+  preview,
+  onClose,
+  onConfirm,
+  applying
+}) => {
+  if (!preview) return null;
+
+  const { date, holidayName, alreadyHoliday, students, totals } = preview;
+
+  return (
+    <div className={styles['confirmation-dialog']} data-testid="holiday-change-preview">
+      <div className={styles['confirmation-content']}>
+        <h2 className={styles['confirmation-title']}>Dry Run: Mark as Holiday</h2>
+
+        <div className={styles['confirmation-summary']}>
+          <p>
+            Every class on <strong>{parseDateString(date).toLocaleDateString()}</strong> becomes
+            {' '}<strong>{holidayName}</strong>
+            {alreadyHoliday && ' (the date is already a holiday, so no fees were charged and no credits are issued)'}.
+            Nothing has been changed yet. Once applied, the whole change can be rolled back from the holiday calendar.
+          </p>
+
+          {students.length === 0 ? (
+            <p>No attendance fees or payments are recorded on this date. No credits will be issued.</p>
+          ) : (
+            <table className={styles['preview-table']} data-testid="holiday-change-rows">
+              <thead>
+                <tr>
+                  <th>Student</th>
+                  <th>Old Fee</th>
+                  <th>New Fee</th>
+                  <th>Credits</th>
+                  <th>Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {students.map(row => (
+                  <tr key={row.studentId} data-testid={`holiday-change-${row.studentId}`}>
+                    <td>
+                      {row.name}
+                      {row.payments.some(payment => payment.skipped) && (
+                        <div><small>Payment already credited, skipped</small></div>
+                      )}
+                      {row.repricedFees !== 0 && (
+                        <div><small>Later fees re-priced: {formatAmount(row.repricedFees)}</small></div>
+                      )}
+                    </td>
+                    <td>{formatAmount(row.oldFee)}</td>
+                    <td>{formatAmount(row.newFee)}</td>
+                    <td>{formatAmount(row.creditsToIssue)}</td>
+                    <td>
+                      {formatAmount(row.currentBalance)} → {formatAmount(row.newBalance)} ({formatAmount(row.balanceDelta)})
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {totals.creditsToIssue > 0 && (
+            <div className={`${styles['fee-impact']} ${totals.creditsToIssue > 10 ? styles.high : ''}`}>
+              <strong>Total credits: {formatAmount(totals.creditsToIssue)}</strong>
+              {' '}(Attendance: {formatAmount(totals.attendanceCredits)}, Payments: {formatAmount(totals.paymentCredits)})
+            </div>
+          )}
+        </div>
+
+        <div className={styles['confirmation-buttons']}>
+          <button className={styles['cancel-button']} onClick={onClose} disabled={applying}>
+            Cancel
+          </button>
+          <button
+            className={styles['confirm-button']}
+            onClick={onConfirm}
+            disabled={applying}
+            data-testid="confirm-holiday-change"
+          >
+            {applying ? 'Applying...' : 'Apply Holiday'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HolidayChangePreview;
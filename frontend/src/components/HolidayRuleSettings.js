@@ -0,0 +1,288 @@
+import React, { useState } from 'react';
+import { holidayService } from '../services/HolidayService';
+import ErrorMessage from './ErrorMessage';
+import formStyles from './StudentForm.module.css';
+import styles from './StudentManagement.module.css';
+import { HOLIDAY_CALENDAR_LABELS } from '../constants/holidayConstants';
+import {
+  HOLIDAY_RULE_TYPES,
+  HOLIDAY_RULE_TYPE_LABELS,
+  HOLIDAY_OBSERVANCES,
+  HOLIDAY_OBSERVANCE_LABELS,
+  HOLIDAY_RULE_SETS,
+  HOLIDAY_RULE_SET_LABELS,
+  CUSTOM_HOLIDAY_RULE_SET,
+  HOLIDAY_RULE_LABELS
+} from '../constants/holidayRuleConstants';
+import { WEEKDAY_OPTIONS } from '../constants/scheduleConstants';
+import { DateService } from '../services/DateService';
+import { formatDate } from '../utils/formatters';
+import { describeHolidayRule } from '../utils/HolidayRuleUtils';
+
+const OCCURRENCE_OPTIONS = [
+  { value: 1, label: 'First' },
+  { value: 2, label: 'Second' },
+  { value: 3, label: 'Third' },
+  { value: 4, label: 'Fourth' },
+  { value: -1, label: 'Last' }
+];
+
+const EMPTY_RULE = {
+  name: '',
+  type: HOLIDAY_RULE_TYPES.FIXED_DATE,
+  month: 0,
+  day: 1,
+  weekday: 1,
+  n: 1,
+  offset: 0,
+  observance: HOLIDAY_OBSERVANCES.ON_DATE
+};
+
+// Holiday rule sets, the rules they give for a year and the studio's custom rules.
+// Rendered once the holiday calendar is loaded.
+const HolidayRuleSettings = () => {
+  const [enabledRuleSets, setEnabledRuleSets] = useState(() => holidayService.getEnabledRuleSets());
+  const [disabledBuiltIns, setDisabledBuiltIns] = useState(() => holidayService.getDisabledBuiltIns());
+  const [year, setYear] = useState(new Date().getFullYear());
+  const [ruleForm, setRuleForm] = useState(EMPTY_RULE);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleToggleRuleSet = async (ruleSet) => {
+    try {
+      setError('');
+      setEnabledRuleSets(await holidayService.setRuleSetEnabled(ruleSet, !enabledRuleSets.includes(ruleSet)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleToggleBuiltIn = async (name) => {
+    try {
+      setError('');
+      setDisabledBuiltIns(await holidayService.setBuiltInEnabled(name, disabledBuiltIns.includes(name)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRuleChange = (e) => {
+    const { name, value } = e.target;
+    setRuleForm(prev => ({
+      ...prev,
+      [name]: ['name', 'type', 'observance'].includes(name) ? value : Number(value)
+    }));
+  };
+
+  const handleAddRule = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      await holidayService.addCustomRule(ruleForm);
+      setRuleForm(EMPTY_RULE);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemoveRule = async (name) => {
+    if (!window.confirm(HOLIDAY_RULE_LABELS.CONFIRM_DELETE)) {
+      return;
+    }
+
+    try {
+      setError('');
+      await holidayService.removeCustomRule(name);
+      setDisabledBuiltIns(holidayService.getDisabledBuiltIns());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const rulesByName = Object.fromEntries(holidayService.getRules().map(rule => [rule.name, rule]));
+
+  return (
+    <>
+      {error && <ErrorMessage message={error} />}
+
+      <section data-testid="holiday-rule-sets">
+        <h3>{HOLIDAY_RULE_LABELS.RULE_SETS_TITLE}</h3>
+        {Object.values(HOLIDAY_RULE_SETS).map(ruleSet => (
+          <div key={ruleSet} className={formStyles.formGroup}>
+            <label>
+              <input
+                type="checkbox"
+                checked={enabledRuleSets.includes(ruleSet)}
+                onChange={() => handleToggleRuleSet(ruleSet)}
+              />
+              {' '}Use {HOLIDAY_RULE_SET_LABELS[ruleSet]}
+            </label>
+          </div>
+        ))}
+        <small>Custom rules are always used. Holidays are worked out for every year without any external holiday service.</small>
+      </section>
+
+      <section data-testid="built-in-holidays">
+        <h3>{HOLIDAY_CALENDAR_LABELS.BUILT_IN_TITLE}</h3>
+        <div className={formStyles.formGroup}>
+          <label htmlFor="builtInYear">Year:</label>
+          <input
+            type="number"
+            id="builtInYear"
+            value={year}
+            onChange={(e) => setYear(Number(e.target.value) || new Date().getFullYear())}
+          />
+          <small>Turning off a holiday applies to every year; fees are charged on it again.</small>
+        </div>
+        <table className={styles.table}>
+          <thead>
+            <tr>
+              <th>Name</th>
+              <th>Rule</th>
+              <th>Set</th>
+              <th>Date</th>
+              <th>Observed</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {holidayService.getBuiltInHolidays(year).map(({ date, name, ruleSet }) => (
+              <tr key={name} data-testid={`holiday-rule-${name}`}>
+                <td>{name}</td>
+                <td>{describeHolidayRule(rulesByName[name])}</td>
+                <td>{HOLIDAY_RULE_SET_LABELS[ruleSet]}</td>
+                <td>{formatDate(date)}</td>
+                <td>
+                  <input
+                    type="checkbox"
+                    aria-label={`Observe ${name}`}
+                    checked={!disabledBuiltIns.includes(name)}
+                    onChange={() => handleToggleBuiltIn(name)}
+                  />
+                </td>
+                <td>
+                  {ruleSet === CUSTOM_HOLIDAY_RULE_SET && (
+                    <button onClick={() => handleRemoveRule(name)} className={styles.deleteButton}>
+                      Remove
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </section>
+
+      <section className={formStyles.formContainer}>
+        <h3>{HOLIDAY_RULE_LABELS.FORM_TITLE}</h3>
+        <form onSubmit={handleAddRule} className={formStyles.form}>
+          <div className={formStyles.formGroup}>
+            <label htmlFor="ruleName">Rule name:</label>
+            <input
+              type="text"
+              id="ruleName"
+              name="name"
+              value={ruleForm.name}
+              onChange={handleRuleChange}
+              required
+              placeholder="e.g. Day after Thanksgiving"
+            />
+          </div>
+
+          <div className={formStyles.formGroup}>
+            <label htmlFor="ruleType">Rule type:</label>
+            <select id="ruleType" name="type" value={ruleForm.type} onChange={handleRuleChange}>
+              {Object.values(HOLIDAY_RULE_TYPES).map(type => (
+                <option key={type} value={type}>{HOLIDAY_RULE_TYPE_LABELS[type]}</option>
+              ))}
+            </select>
+          </div>
+
+          {ruleForm.type === HOLIDAY_RULE_TYPES.NTH_WEEKDAY && (
+            <>
+              <div className={formStyles.formGroup}>
+                <label htmlFor="ruleOccurrence">Occurrence:</label>
+                <select id="ruleOccurrence" name="n" value={ruleForm.n} onChange={handleRuleChange}>
+                  {OCCURRENCE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className={formStyles.formGroup}>
+                <label htmlFor="ruleWeekday">Weekday:</label>
+                <select id="ruleWeekday" name="weekday" value={ruleForm.weekday} onChange={handleRuleChange}>
+                  {WEEKDAY_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            </>
+          )}
+
+          {ruleForm.type !== HOLIDAY_RULE_TYPES.EASTER_RELATIVE && (
+            <div className={formStyles.formGroup}>
+              <label htmlFor="ruleMonth">Month:</label>
+              <select id="ruleMonth" name="month" value={ruleForm.month} onChange={handleRuleChange}>
+                {DateService.MONTHS.map((month, index) => (
+                  <option key={month} value={index}>{month}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {ruleForm.type === HOLIDAY_RULE_TYPES.FIXED_DATE && (
+            <>
+              <div className={formStyles.formGroup}>
+                <label htmlFor="ruleDay">Day:</label>
+                <input
+                  type="number"
+                  id="ruleDay"
+                  name="day"
+                  min="1"
+                  max="31"
+                  value={ruleForm.day}
+                  onChange={handleRuleChange}
+                />
+              </div>
+              <div className={formStyles.formGroup}>
+                <label htmlFor="ruleObservance">Observed:</label>
+                <select id="ruleObservance" name="observance" value={ruleForm.observance} onChange={handleRuleChange}>
+                  {Object.values(HOLIDAY_OBSERVANCES).map(observance => (
+                    <option key={observance} value={observance}>{HOLIDAY_OBSERVANCE_LABELS[observance]}</option>
+                  ))}
+                </select>
+                <small>On the nearest weekday, a Saturday holiday is observed on Friday and a Sunday one on Monday.</small>
+              </div>
+            </>
+          )}
+
+          {ruleForm.type === HOLIDAY_RULE_TYPES.EASTER_RELATIVE && (
+            <div className={formStyles.formGroup}>
+              <label htmlFor="ruleOffset">Days from Easter:</label>
+              <input
+                type="number"
+                id="ruleOffset"
+                name="offset"
+                value={ruleForm.offset}
+                onChange={handleRuleChange}
+              />
+              <small>Negative for days before Easter Sunday, e.g. -2 for Good Friday.</small>
+            </div>
+          )}
+
+          <div className={formStyles.formActions}>
+            <button type="submit" disabled={saving} className={formStyles.primaryButton}>
+              {saving ? 'Saving...' : 'Add Rule'}
+            </button>
+          </div>
+        </form>
+      </section>
+    </>
+  );
+};
+
+export default HolidayRuleSettings;
@@ -107,6 +107,86 @@ const NavigationLinks = ({ userRole, isExpanded }) => {
         to="/attendance-reports"
       />
     );
+    
+    links.push(
+      <NavLink 
+        key="class-schedule" 
+        label="Class Schedule" 
+        to="/class-schedule"
+      />
+    );
+    
+    links.push(
+      <NavLink 
+        key="holidays" 
+        label="Holiday Calendar" 
+        to="/holidays"
+      />
+    );
+    
+    links.push(
+      <NavLink 
+        key="checkin" 
+        label="Check-in Kiosk" 
+        to="/checkin"
+      />
+    );
+    
+    links.push(
+      <NavLink 
+        key="fee-settings" 
+        label="Fee Settings" 
+        to="/fee-settings"
+      />
+    );
+    
+    links.push(
+      <NavLink 
+        key="balance-reconciliation" 
+        label="Balance Reconciliation" 
+        to="/balance-reconciliation"
+      />
+    );
+    
+    links.push(
+      <NavLink 
+        key="payment-methods" 
+        label="Payment Methods" 
+        to="/payment-methods"
+      />
+    );
+    
+    links.push(
+      <NavLink 
+        key="payment-reconciliation" 
+        label="Payment Reconciliation" 
+        to="/payment-reconciliation"
+      />
+    );
+    
+    links.push(
+      <NavLink 
+        key="statements" 
+        label="Account Statements" 
+        to="/statements"
+      />
+    );
+    
+    links.push(
+      <NavLink 
+        key="waivers" 
+        label="Fee Waivers" 
+        to="/waivers"
+      />
+    );
+    
+    links.push(
+      <NavLink 
+        key="fee-year-close" 
+        label="Close Fee Year" 
+        to="/fee-year-close"
+      />
+    );
   }
 
   return (
@@ -174,6 +254,11 @@ const Navbar = ({ user, userRole, onLogout }) => {
   // Determine if we're on the public dashboard page
   const isPublicDashboard = location.pathname === '/public-dashboard';
 
+  // The check-in kiosk runs full screen so students cannot reach the admin pages
+  if (location.pathname === '/checkin') {
+    return null;
+  }
+
   // Always show a navbar, but the content will vary based on authentication
 
   return (
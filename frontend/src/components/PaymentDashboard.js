@@ -2,6 +2,7 @@
 import React, { useState, useEffect } from 'react';
 import PaymentForm from './PaymentForm';
 import PaymentList from './PaymentList';
+import PlansDueThisWeek from './PlansDueThisWeek';
 import ErrorMessage from './ErrorMessage';
 import { useLocation } from 'react-router-dom';
 import styles from './StudentManagement.module.css'; // Reusing the existing management styles
@@ -20,6 +21,7 @@ const PaymentDashboard = ({ userRole }) => {
   const [viewMode, setViewMode] = useState('dashboard'); // 'dashboard' or 'form'
   const [refreshKey, setRefreshKey] = useState(0); // For forcing re-render of payment list
   const [pendingPayment, setPendingPayment] = useState(null);
+  const [editingPayment, setEditingPayment] = useState(null);
   const location = useLocationSafe();
 
   // Check for URL params and pending payments when component mounts
@@ -52,6 +54,22 @@ const PaymentDashboard = ({ userRole }) => {
     
     // Clear any pending payment data
     setPendingPayment(null);
+    
+    // Go back to the list once an edit is saved
+    if (editingPayment) {
+      setEditingPayment(null);
+      setViewMode('dashboard');
+    }
+  };
+
+  const handleEditPayment = (payment) => {
+    setEditingPayment(payment);
+    setViewMode('form');
+  };
+
+  const handleCancelEdit = () => {
+    setEditingPayment(null);
+    setViewMode('dashboard');
   };
 
   // Listen for custom event to refresh payments
@@ -94,7 +112,10 @@ const PaymentDashboard = ({ userRole }) => {
           Dashboard
         </button>
         <button
-          onClick={() => setViewMode('form')}
+          onClick={() => {
+            setEditingPayment(null);
+            setViewMode('form');
+          }}
           className={viewMode === 'form' ? styles['active-button'] : ''}
           data-testid="view-form-button"
         >
@@ -105,12 +126,16 @@ const PaymentDashboard = ({ userRole }) => {
       <div className={styles['content-container']}>
         {viewMode === 'form' ? (
           <PaymentForm 
+            key={editingPayment ? editingPayment.id : 'new'}
             onSuccess={handlePaymentSuccess} 
+            onCancel={editingPayment ? handleCancelEdit : undefined}
             pendingPayment={pendingPayment}
+            payment={editingPayment}
           />
         ) : (
           <div key={refreshKey}>
-            <PaymentList />
+            <PlansDueThisWeek />
+            <PaymentList onEdit={handleEditPayment} />
           </div>
         )}
       </div>
@@ -2,24 +2,51 @@
 import React, { useState, useEffect } from 'react';
 import { paymentService } from '../services/PaymentService';
 import { studentService } from '../services/StudentService';
+import { paymentMethodService } from '../services/PaymentMethodService';
 import ErrorMessage from './ErrorMessage';
+import ReceiptActions from './ReceiptActions';
 import { auth } from '../lib/firebase/config/config';
 import styles from './StudentForm.module.css'; // Reusing the existing form styles
+import { formatDateForInput, formatDateForDisplay } from '../utils/DateUtils';
 
-const PaymentForm = ({ onSuccess, onCancel, pendingPayment }) => {
+// Converts a stored payment into form values for editing
+const getEditFormData = (payment) => ({
+  studentId: payment.studentId,
+  amount: payment.amount,
+  date: formatDateForInput(typeof payment.date?.toDate === 'function' ? payment.date.toDate() : payment.date),
+  paymentMethod: payment.paymentMethod || 'cash',
+  reference: payment.reference || '',
+  notes: payment.notes || ''
+});
+
+// Describes an open fee for the fee picker
+const describeFee = (fee) => {
+  const reasons = [];
+  if (fee.status === 'absent') reasons.push('Absence');
+  if (fee.attributes?.late) reasons.push('Late');
+  if (fee.attributes?.noShoes) reasons.push('No Shoes');
+  if (fee.attributes?.notInUniform) reasons.push('Not In Uniform');
+  return `${formatDateForDisplay(fee.date)} - ${reasons.join(', ') || 'Fee'} - $${fee.remaining.toFixed(2)} open`;
+};
+
+const PaymentForm = ({ onSuccess, onCancel, pendingPayment, payment }) => {
   const [students, setStudents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  const [recorded, setRecorded] = useState(null);
+  const [openFees, setOpenFees] = useState([]);
+  const [paymentMethods, setPaymentMethods] = useState(paymentMethodService.getMethods());
+  const isEditing = Boolean(payment);
   
-  const [formData, setFormData] = useState({
+  const [formData, setFormData] = useState(payment ? getEditFormData(payment) : {
     studentId: '',
     amount: '',
     date: new Date().toISOString().split('T')[0],
     paymentMethod: 'cash',
+    reference: '',
     notes: '',
-    feeId: null,
-    feeDate: null
+    feeIds: []
   });
 
   // Fetch students when component mounts
@@ -40,6 +67,43 @@ const PaymentForm = ({ onSuccess, onCancel, pendingPayment }) => {
     loadStudents();
   }, []);
   
+  // Load the configured payment methods
+  useEffect(() => {
+    let cancelled = false;
+    const loadPaymentMethods = async () => {
+      await paymentMethodService.loadMethods();
+      if (!cancelled) setPaymentMethods(paymentMethodService.getMethods());
+    };
+    
+    loadPaymentMethods();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+  
+  // Load the selected student's open fees so the admin can pick which ones the payment covers
+  useEffect(() => {
+    if (isEditing || !formData.studentId) {
+      setOpenFees([]);
+      return;
+    }
+    
+    let cancelled = false;
+    const loadOpenFees = async () => {
+      try {
+        const fees = await paymentService.getOpenFees(formData.studentId);
+        if (!cancelled) setOpenFees(fees);
+      } catch (err) {
+        if (!cancelled) setOpenFees([]);
+      }
+    };
+    
+    loadOpenFees();
+    return () => {
+      cancelled = true;
+    };
+  }, [formData.studentId, isEditing]);
+  
   // Update form data when pendingPayment changes
   useEffect(() => {
     if (pendingPayment && students.length > 0) {
@@ -53,8 +117,7 @@ const PaymentForm = ({ onSuccess, onCancel, pendingPayment }) => {
           studentId: pendingPayment.studentId,
           amount: pendingPayment.amount,
           notes: pendingPayment.notes || prevFormData.notes,
-          feeId: pendingPayment.feeId,
-          feeDate: pendingPayment.feeDate
+          feeIds: pendingPayment.feeId ? [pendingPayment.feeId] : []
         }));
       }
     }
@@ -64,14 +127,32 @@ const PaymentForm = ({ onSuccess, onCancel, pendingPayment }) => {
     const { name, value } = e.target;
     setFormData({
       ...formData,
-      [name]: name === 'amount' ? parseFloat(value) || '' : value
+      [name]: name === 'amount' ? parseFloat(value) || '' : value,
+      // Picked fees belong to the previously selected student
+      ...(name === 'studentId' && { feeIds: [] })
     });
   };
 
+  const handleFeeToggle = (feeId) => {
+    setFormData(prevFormData => ({
+      ...prevFormData,
+      feeIds: prevFormData.feeIds.includes(feeId)
+        ? prevFormData.feeIds.filter(id => id !== feeId)
+        : [...prevFormData.feeIds, feeId]
+    }));
+  };
+
+  // An edited payment keeps its method even if that method has since been deactivated
+  const methodOptions = paymentMethods.some(method => method.id === formData.paymentMethod)
+    ? paymentMethods
+    : [...paymentMethods, { id: formData.paymentMethod, label: paymentMethodService.getLabel(formData.paymentMethod) }];
+  const referenceLabel = paymentMethodService.getMethod(formData.paymentMethod)?.referenceLabel;
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
     setSuccess('');
+    setRecorded(null);
     
     try {
       // Get the current admin user's ID
@@ -80,14 +161,33 @@ const PaymentForm = ({ onSuccess, onCancel, pendingPayment }) => {
         throw new Error("Administrator authentication required");
       }
       
+      if (isEditing) {
+        // Correct the existing payment; the previous version is kept in its edit history
+        const result = await paymentService.updatePayment(payment.id, {
+          amount: formData.amount,
+          date: new Date(formData.date),
+          paymentMethod: formData.paymentMethod,
+          reference: referenceLabel ? formData.reference : '',
+          notes: formData.notes
+        }, { adminId });
+        
+        setSuccess(result.changedFields.length === 0
+          ? 'No changes to save.'
+          : `Payment updated (${result.changedFields.join(', ')}).`);
+        
+        if (onSuccess && result.changedFields.length > 0) {
+          onSuccess(result);
+        }
+        return;
+      }
+      
       // Add adminId to payment data
       const paymentData = {
         ...formData,
         adminId,
         date: new Date(formData.date),
-        // Include the feeId if it exists
-        feeId: formData.feeId || null,
-        feeDate: formData.feeDate || null
+        // Methods without a reference field never carry one
+        reference: referenceLabel ? formData.reference : ''
       };
       
       // Record the payment
@@ -98,6 +198,7 @@ const PaymentForm = ({ onSuccess, onCancel, pendingPayment }) => {
       const studentName = student ? `${student.firstName} ${student.lastName}` : 'Student';
       
       setSuccess(`Payment of $${formData.amount} recorded for ${studentName}. New balance: $${result.updatedStudent.balance}`);
+      setRecorded(result);
       
       // Reset form (except date)
       setFormData({
@@ -105,7 +206,9 @@ const PaymentForm = ({ onSuccess, onCancel, pendingPayment }) => {
         amount: '',
         date: formData.date,
         paymentMethod: 'cash',
-        notes: ''
+        reference: '',
+        notes: '',
+        feeIds: []
       });
       
       // Notify parent component of success
@@ -123,7 +226,7 @@ const PaymentForm = ({ onSuccess, onCancel, pendingPayment }) => {
 
   return (
     <div className={styles['student-form']} data-testid="payment-form">
-      <h2>Record Payment</h2>
+      <h2>{isEditing ? 'Edit Payment' : 'Record Payment'}</h2>
       
       {loading ? (
         <p>Loading students...</p>
@@ -137,6 +240,7 @@ const PaymentForm = ({ onSuccess, onCancel, pendingPayment }) => {
               value={formData.studentId}
               onChange={handleChange}
               required
+              disabled={isEditing}
               data-testid="payment-student-select"
             >
               <option value="">Select a student</option>
@@ -156,6 +260,26 @@ const PaymentForm = ({ onSuccess, onCancel, pendingPayment }) => {
             </div>
           )}
           
+          {!isEditing && openFees.length > 0 && (
+            <fieldset className={styles.fieldset} data-testid="payment-fee-picker">
+              <legend>Apply to Fees</legend>
+              <p className={styles.formatHint}>Leave all unticked to pay the oldest fees first.</p>
+              {openFees.map(fee => (
+                <div key={fee.feeId}>
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={formData.feeIds.includes(fee.feeId)}
+                      onChange={() => handleFeeToggle(fee.feeId)}
+                      data-testid={`payment-fee-${fee.feeId}`}
+                    />
+                    {' '}{describeFee(fee)}
+                  </label>
+                </div>
+              ))}
+            </fieldset>
+          )}
+          
           <div className={styles['form-group']}>
             <label htmlFor="amount">Amount ($)</label>
             <input
@@ -195,11 +319,26 @@ const PaymentForm = ({ onSuccess, onCancel, pendingPayment }) => {
               required
               data-testid="payment-method-select"
             >
-              <option value="cash">Cash</option>
-              <option value="card">Card</option>
+              {methodOptions.map(method => (
+                <option key={method.id} value={method.id}>{method.label}</option>
+              ))}
             </select>
           </div>
           
+          {referenceLabel && (
+            <div className={styles['form-group']}>
+              <label htmlFor="reference">{referenceLabel} (optional)</label>
+              <input
+                type="text"
+                id="reference"
+                name="reference"
+                value={formData.reference}
+                onChange={handleChange}
+                data-testid="payment-reference-input"
+              />
+            </div>
+          )}
+          
           <div className={styles['form-group']}>
             <label htmlFor="notes">Notes</label>
             <textarea
@@ -219,7 +358,7 @@ const PaymentForm = ({ onSuccess, onCancel, pendingPayment }) => {
               data-testid="payment-submit-button"
               disabled={!formData.studentId || !formData.amount}
             >
-              Record Payment
+              {isEditing ? 'Save Changes' : 'Record Payment'}
             </button>
             
             {onCancel && (
@@ -236,6 +375,12 @@ const PaymentForm = ({ onSuccess, onCancel, pendingPayment }) => {
           
           {error && <ErrorMessage message={error} />}
           {success && <div className={styles['success-message']} data-testid="payment-success-message">{success}</div>}
+          {recorded && (
+            <div data-testid="payment-receipt-actions">
+              {recorded.receipt && <span>Receipt {recorded.receipt.receiptNumber} </span>}
+              <ReceiptActions payment={recorded.payment} receipt={recorded.receipt} onError={setError} />
+            </div>
+          )}
         </form>
       )}
     </div>
@@ -1,11 +1,17 @@
 // PaymentList.js
 import React, { useState, useEffect } from 'react';
 import { paymentService } from '../services/PaymentService';
+import { paymentMethodService } from '../services/PaymentMethodService';
 import ErrorMessage from './ErrorMessage';
+import ReceiptActions from './ReceiptActions';
+import { formatBalance } from '../utils/formatters';
+import { isRefund } from '../utils/PaymentUtils';
 import styles from './StudentList.module.css'; // Reusing the student list styles
 
-const PaymentList = ({ studentId }) => {
+const PaymentList = ({ studentId, onEdit }) => {
   const [payments, setPayments] = useState([]);
+  const [expandedHistoryId, setExpandedHistoryId] = useState(null);
+  const [student, setStudent] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   
@@ -47,11 +53,14 @@ const PaymentList = ({ studentId }) => {
     const loadPayments = async () => {
       try {
         setLoading(true);
+        // Labels of configured payment methods
+        await paymentMethodService.loadMethods();
         let result;
         
         if (studentId) {
           // Get payments for a specific student
           result = await paymentService.getPaymentsByStudent(studentId);
+          setStudent(result.student);
           setPayments(result.payments);
         } else if (isFiltering && startDate && endDate) {
           // Get payments within date range
@@ -92,6 +101,12 @@ const PaymentList = ({ studentId }) => {
     <div className={styles['student-list']} data-testid="payment-list">
       <h2>{studentId ? 'Student Payment History' : 'All Payments'}</h2>
       
+      {studentId && student && (
+        <p data-testid="student-balance">
+          Current balance: {formatBalance(student.balance || 0)}
+        </p>
+      )}
+      
       {!studentId && (
         <div className={styles['filter-controls']}>
           <form onSubmit={handleFilter}>
@@ -157,21 +172,62 @@ const PaymentList = ({ studentId }) => {
               <th>Amount</th>
               <th>Payment Method</th>
               <th>Notes</th>
+              <th>Actions</th>
             </tr>
           </thead>
           <tbody>
             {payments.map(payment => (
-              <tr key={payment.id} data-testid={`payment-row-${payment.id}`}>
-                <td>{formatDate(payment.date)}</td>
-                {!studentId && (
+              <React.Fragment key={payment.id}>
+                <tr data-testid={`payment-row-${payment.id}`}>
+                  <td>{formatDate(payment.date)}</td>
+                  {!studentId && (
+                    <td>
+                      {payment.studentName || payment.studentId}
+                    </td>
+                  )}
+                  <td>
+                    {isRefund(payment)
+                      ? `-$${Math.abs(payment.amount).toFixed(2)} (refund)`
+                      : `$${payment.amount.toFixed(2)}`}
+                  </td>
+                  <td>
+                    {paymentMethodService.getLabel(payment.paymentMethod)}
+                    {payment.reference && <div data-testid={`payment-reference-${payment.id}`}>#{payment.reference}</div>}
+                  </td>
+                  <td>{payment.notes || '-'}</td>
                   <td>
-                    {payment.studentName || payment.studentId}
+                    {onEdit && !isRefund(payment) && (
+                      <button onClick={() => onEdit(payment)} data-testid={`edit-payment-${payment.id}`}>
+                        Edit
+                      </button>
+                    )}
+                    {onEdit && payment.editHistory?.length > 0 && (
+                      <button
+                        onClick={() => setExpandedHistoryId(expandedHistoryId === payment.id ? null : payment.id)}
+                        data-testid={`payment-history-toggle-${payment.id}`}
+                      >
+                        History ({payment.editHistory.length})
+                      </button>
+                    )}
+                    {!isRefund(payment) && <ReceiptActions payment={payment} onError={setError} />}
                   </td>
+                </tr>
+                {expandedHistoryId === payment.id && (
+                  <tr data-testid={`payment-versions-${payment.id}`}>
+                    <td colSpan={studentId ? 5 : 6}>
+                      <ul>
+                        {[...payment.editHistory].reverse().map((version, index) => (
+                          <li key={index}>
+                            {formatDate(version.editedAt)} by {version.editedBy || 'unknown admin'}: changed {version.changedFields.join(', ')}.
+                            {' '}Was ${Number(version.amount).toFixed(2)} on {formatDate(version.date)} ({paymentMethodService.getLabel(version.paymentMethod)})
+                            {version.notes && ` (${version.notes})`}
+                          </li>
+                        ))}
+                      </ul>
+                    </td>
+                  </tr>
                 )}
-                <td>${payment.amount.toFixed(2)}</td>
-                <td>{payment.paymentMethod === 'cash' ? 'Cash' : 'Card'}</td>
-                <td>{payment.notes || '-'}</td>
-              </tr>
+              </React.Fragment>
             ))}
           </tbody>
         </table>
@@ -0,0 +1,167 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { paymentMethodService } from '../services/PaymentMethodService';
+import ErrorMessage from './ErrorMessage';
+import formStyles from './StudentForm.module.css';
+import styles from './StudentManagement.module.css';
+
+const emptyMethod = { id: '', label: '', referenceLabel: '', active: true, isNew: true };
+
+const PaymentMethodSettings = ({ userRole }) => {
+  const [methods, setMethods] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadMethods = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      await paymentMethodService.loadMethods(true);
+      setMethods(paymentMethodService.getMethods({ includeInactive: true }).map(method => ({
+        ...method,
+        referenceLabel: method.referenceLabel || ''
+      })));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (userRole === 'admin') {
+      loadMethods();
+    }
+  }, [userRole, loadMethods]);
+
+  if (userRole !== 'admin') {
+    return (
+      <div className={styles.unauthorized}>
+        <p>You don't have permission to manage payment methods.</p>
+      </div>
+    );
+  }
+
+  const updateMethod = (index, field, value) => {
+    setMethods(prev => prev.map((method, i) => (i === index ? { ...method, [field]: value } : method)));
+  };
+
+  const removeNewMethod = (index) => {
+    setMethods(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+    setMessage('');
+
+    try {
+      await paymentMethodService.saveMethods(methods);
+      setMessage('Payment methods saved.');
+      await loadMethods();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className={styles.managementContainer}>
+      <h2>Payment Methods</h2>
+      <p>
+        Methods offered when recording payments and refunds. A reference label adds an optional field such as a
+        check number or transaction ID. Deactivate a method instead of removing it once payments use it.
+      </p>
+
+      {error && <ErrorMessage message={error} />}
+      {message && <p data-testid="payment-methods-saved">{message}</p>}
+
+      {loading ? (
+        <div className={styles.loading}>Loading payment methods...</div>
+      ) : (
+        <form onSubmit={handleSave}>
+          <table className={styles.table} data-testid="payment-methods-table">
+            <thead>
+              <tr>
+                <th>ID</th>
+                <th>Label</th>
+                <th>Reference Label</th>
+                <th>Active</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {methods.map((method, index) => (
+                <tr key={method.isNew ? `new-${index}` : method.id}>
+                  <td>
+                    {method.isNew ? (
+                      <input
+                        type="text"
+                        aria-label="Method ID"
+                        value={method.id}
+                        onChange={(e) => updateMethod(index, 'id', e.target.value)}
+                        placeholder="e.g. paypal"
+                        required
+                      />
+                    ) : method.id}
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      aria-label={`Label for ${method.id || 'new method'}`}
+                      value={method.label}
+                      onChange={(e) => updateMethod(index, 'label', e.target.value)}
+                      required
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="text"
+                      aria-label={`Reference label for ${method.id || 'new method'}`}
+                      value={method.referenceLabel}
+                      onChange={(e) => updateMethod(index, 'referenceLabel', e.target.value)}
+                      placeholder="None"
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="checkbox"
+                      aria-label={`${method.id || 'New method'} active`}
+                      checked={method.active !== false}
+                      onChange={(e) => updateMethod(index, 'active', e.target.checked)}
+                    />
+                  </td>
+                  <td>
+                    {method.isNew && (
+                      <button type="button" onClick={() => removeNewMethod(index)} className={styles.deleteButton}>
+                        Remove
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div className={formStyles.formActions}>
+            <button
+              type="button"
+              onClick={() => setMethods(prev => [...prev, { ...emptyMethod }])}
+              className={formStyles.secondaryButton}
+            >
+              Add Method
+            </button>
+            <button type="submit" disabled={saving} className={formStyles.primaryButton}>
+              {saving ? 'Saving...' : 'Save Methods'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default PaymentMethodSettings;
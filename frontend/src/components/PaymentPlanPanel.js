@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { paymentPlanService } from '../services/PaymentPlanService';
+import ErrorMessage from './ErrorMessage';
+import { formatDateForDisplay, formatDateForInput, addMonths } from '../utils/DateUtils';
+import { formatCurrency } from '../utils/formatters';
+import {
+  PAYMENT_PLAN_FREQUENCIES,
+  PAYMENT_PLAN_FREQUENCY_LABELS,
+  PAYMENT_PLAN_STATES,
+  PAYMENT_PLAN_STATUSES,
+  PAYMENT_PLAN_STATUS_LABELS,
+  MAX_PAYMENT_PLAN_INSTALLMENTS
+} from '../constants/paymentPlanConstants';
+
+// Badge colours shared with the enrollment status badges of the dashboard
+const STATUS_BADGE_CLASSES = {
+  [PAYMENT_PLAN_STATUSES.ON_TRACK]: 'status-enrolled',
+  [PAYMENT_PLAN_STATUSES.BEHIND]: 'status-removed',
+  [PAYMENT_PLAN_STATUSES.COMPLETED]: 'status-special',
+  [PAYMENT_PLAN_STATUSES.CANCELLED]: 'status-inactive'
+};
+
+export const PaymentPlanStatusBadge = ({ status }) => (
+  <span className={`status-badge ${STATUS_BADGE_CLASSES[status] || ''}`} data-testid="payment-plan-status">
+    {PAYMENT_PLAN_STATUS_LABELS[status] || status}
+  </span>
+);
+
+// Terms of a new plan: total (up to the balance), number of installments, first due date and frequency
+const PaymentPlanForm = ({ balance, onSubmit, onCancel, saving }) => {
+  const [total, setTotal] = useState(balance > 0 ? balance.toFixed(2) : '');
+  const [installmentCount, setInstallmentCount] = useState('3');
+  const [firstDueDate, setFirstDueDate] = useState(formatDateForInput(addMonths(new Date(), 1)));
+  const [frequency, setFrequency] = useState(PAYMENT_PLAN_FREQUENCIES.MONTHLY);
+  const [notes, setNotes] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({
+      total: parseFloat(total),
+      installmentCount: parseInt(installmentCount, 10),
+      firstDueDate,
+      frequency,
+      notes
+    });
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="payment-plan-form" data-testid="payment-plan-form">
+      <label htmlFor="planTotal">Total:</label>
+      <input
+        id="planTotal"
+        type="number"
+        min="0.01"
+        max={balance}
+        step="0.01"
+        value={total}
+        onChange={(e) => setTotal(e.target.value)}
+        required
+        data-testid="plan-total"
+      />
+      <label htmlFor="planInstallments">Installments:</label>
+      <input
+        id="planInstallments"
+        type="number"
+        min="1"
+        max={MAX_PAYMENT_PLAN_INSTALLMENTS}
+        step="1"
+        value={installmentCount}
+        onChange={(e) => setInstallmentCount(e.target.value)}
+        required
+        data-testid="plan-installments"
+      />
+      <label htmlFor="planFirstDue">First due date:</label>
+      <input
+        id="planFirstDue"
+        type="date"
+        value={firstDueDate}
+        onChange={(e) => setFirstDueDate(e.target.value)}
+        required
+        data-testid="plan-first-due"
+      />
+      <label htmlFor="planFrequency">Frequency:</label>
+      <select id="planFrequency" value={frequency} onChange={(e) => setFrequency(e.target.value)}>
+        {Object.values(PAYMENT_PLAN_FREQUENCIES).map(value => (
+          <option key={value} value={value}>{PAYMENT_PLAN_FREQUENCY_LABELS[value]}</option>
+        ))}
+      </select>
+      <label htmlFor="planNotes">Notes:</label>
+      <input
+        id="planNotes"
+        type="text"
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+      />
+      <div className="modal-actions">
+        <button type="button" className="cancel-button" onClick={onCancel}>Cancel</button>
+        <button type="submit" className="confirm-button" disabled={saving} data-testid="save-payment-plan">
+          {saving ? 'Saving...' : 'Create Plan'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+/**
+ * Payment plans of one student: progress, installment schedule and, for admins,
+ * creating and cancelling plans. Used on the student's page of the PublicDashboard.
+ */
+const PaymentPlanPanel = ({ studentId, userRole, balance = 0, adminId = null }) => {
+  const [plans, setPlans] = useState([]);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const isAdmin = userRole === 'admin';
+
+  const loadPlans = useCallback(async () => {
+    try {
+      setPlans(await paymentPlanService.getStudentPlans(studentId));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [studentId]);
+
+  // Reload when the balance changes, since payments recorded elsewhere move the plan along
+  useEffect(() => {
+    loadPlans();
+  }, [loadPlans, balance]);
+
+  const handleCreate = async (terms) => {
+    setSaving(true);
+    setError('');
+
+    try {
+      await paymentPlanService.createPlan(studentId, terms, { adminId });
+      setShowForm(false);
+      await loadPlans();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCancelPlan = async (planId) => {
+    if (!window.confirm('Cancel this payment plan? Payments already made stay on the account.')) return;
+    setError('');
+
+    try {
+      await paymentPlanService.cancelPlan(planId, { adminId });
+      await loadPlans();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const hasActivePlan = plans.some(plan => plan.state === PAYMENT_PLAN_STATES.ACTIVE);
+
+  // Students only see the section once they have a plan
+  if (!isAdmin && plans.length === 0) return null;
+
+  return (
+    <div className="history-section" data-testid="payment-plans">
+      <div className="section-header">
+        <h3>Payment Plan</h3>
+        {isAdmin && !hasActivePlan && !showForm && balance > 0 && (
+          <button className="toggle-view-button" onClick={() => setShowForm(true)} data-testid="new-payment-plan">
+            New Payment Plan
+          </button>
+        )}
+      </div>
+
+      {error && <ErrorMessage message={error} />}
+
+      {showForm && (
+        <PaymentPlanForm
+          balance={balance}
+          onSubmit={handleCreate}
+          onCancel={() => setShowForm(false)}
+          saving={saving}
+        />
+      )}
+
+      {plans.length === 0 && !showForm && <p>No payment plan.</p>}
+
+      {plans.map(plan => (
+        <div key={plan.id} className="payment-plan" data-testid={`payment-plan-${plan.id}`}>
+          <p>
+            <PaymentPlanStatusBadge status={plan.progress.status} />{' '}
+            {formatCurrency(plan.progress.paid)} of {formatCurrency(plan.total)} paid,{' '}
+            {PAYMENT_PLAN_FREQUENCY_LABELS[plan.frequency]?.toLowerCase()} installments
+            {plan.progress.amountBehind > 0 && ` (${formatCurrency(plan.progress.amountBehind)} behind)`}
+            {plan.notes && ` - ${plan.notes}`}
+          </p>
+          {isAdmin && plan.state === PAYMENT_PLAN_STATES.ACTIVE && (
+            <button className="delete-button" onClick={() => handleCancelPlan(plan.id)} data-testid={`cancel-plan-${plan.id}`}>
+              Cancel Plan
+            </button>
+          )}
+          {plan.state !== PAYMENT_PLAN_STATES.CANCELLED && (
+            <table className="history-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Due</th>
+                  <th>Amount</th>
+                  <th>Paid</th>
+                  <th>Remaining</th>
+                </tr>
+              </thead>
+              <tbody>
+                {plan.progress.installments.map(installment => (
+                  <tr key={installment.number} className={installment.overdue ? 'negative-balance' : ''}>
+                    <td>{installment.number}</td>
+                    <td>{formatDateForDisplay(installment.dueDate)}{installment.overdue && ' (overdue)'}</td>
+                    <td>{formatCurrency(installment.amount)}</td>
+                    <td>{formatCurrency(installment.paid)}</td>
+                    <td>{formatCurrency(installment.remaining)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default PaymentPlanPanel;
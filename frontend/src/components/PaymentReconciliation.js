@@ -0,0 +1,276 @@
+import React, { useState } from 'react';
+import { paymentReconciliationService } from '../services/PaymentReconciliationService';
+import ErrorMessage from './ErrorMessage';
+import styles from './BalanceReconciliation.module.css';
+import { formatCurrency } from '../utils/formatters';
+import { formatDateForDisplay, formatDateForInput } from '../utils/DateUtils';
+
+const signedCurrency = (amount) => `${amount > 0 ? '+' : ''}${formatCurrency(amount)}`;
+
+// Payments and deposits of one method, with a form to deposit the selected payments
+const MethodDetails = ({ method, saving, onRecordDeposit, onDeleteDeposit }) => {
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [depositDate, setDepositDate] = useState(formatDateForInput(new Date()));
+  const [depositAmount, setDepositAmount] = useState('');
+  const [reference, setReference] = useState('');
+
+  const selectedTotal = method.payments
+    .filter(payment => selectedIds.includes(payment.id))
+    .reduce((total, payment) => total + (payment.amount || 0), 0);
+
+  const toggleSelected = (paymentId) => {
+    setSelectedIds(prev => (
+      prev.includes(paymentId) ? prev.filter(id => id !== paymentId) : [...prev, paymentId]
+    ));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const recorded = await onRecordDeposit({
+      method: method.method,
+      date: depositDate,
+      amount: parseFloat(depositAmount || selectedTotal),
+      reference,
+      paymentIds: selectedIds
+    });
+    if (recorded) {
+      setSelectedIds([]);
+      setDepositAmount('');
+      setReference('');
+    }
+  };
+
+  return (
+    <div className={styles.breakdown} data-testid={`method-details-${method.method}`}>
+      <div>
+        <h4>Payments</h4>
+        {method.payments.length === 0 ? (
+          <p className={styles.muted}>No payments in this range</p>
+        ) : (
+          <ul>
+            {method.payments.map(payment => (
+              <li key={payment.id}>
+                {!payment.depositId && (
+                  <input
+                    type="checkbox"
+                    aria-label={`Deposit payment ${payment.id}`}
+                    checked={selectedIds.includes(payment.id)}
+                    onChange={() => toggleSelected(payment.id)}
+                  />
+                )}
+                {' '}{formatDateForDisplay(payment.date)} {payment.studentName || payment.studentId}: {formatCurrency(payment.amount)}
+                {payment.reference && ` #${payment.reference}`}
+                {payment.depositId ? ' (deposited)' : ''}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <div>
+        <h4>Deposits</h4>
+        {method.deposits.length === 0 ? (
+          <p className={styles.muted}>No deposits in this range</p>
+        ) : (
+          <ul>
+            {method.deposits.map(deposit => (
+              <li key={deposit.id}>
+                {formatDateForDisplay(deposit.date)}: {formatCurrency(deposit.amount)}
+                {deposit.reference && ` #${deposit.reference}`}
+                {' '}({(deposit.paymentIds || []).length} payments)
+                {' '}
+                <button className={styles.linkButton} onClick={() => onDeleteDeposit(deposit)} disabled={saving}>
+                  Delete
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+      <form onSubmit={handleSubmit} data-testid={`deposit-form-${method.method}`}>
+        <h4>Record deposit</h4>
+        <p className={styles.muted}>
+          {selectedIds.length} payment(s) selected, totaling {formatCurrency(selectedTotal)}
+        </p>
+        <label>
+          Date{' '}
+          <input type="date" value={depositDate} onChange={(e) => setDepositDate(e.target.value)} required />
+        </label>
+        <label>
+          Amount deposited{' '}
+          <input
+            type="number"
+            min="0.01"
+            step="0.01"
+            value={depositAmount}
+            onChange={(e) => setDepositAmount(e.target.value)}
+            placeholder={selectedTotal.toFixed(2)}
+          />
+        </label>
+        <label>
+          Bank reference{' '}
+          <input type="text" value={reference} onChange={(e) => setReference(e.target.value)} />
+        </label>
+        <button type="submit" className={styles.button} disabled={saving || (!depositAmount && selectedTotal <= 0)}>
+          Record deposit
+        </button>
+      </form>
+    </div>
+  );
+};
+
+const PaymentReconciliation = ({ userRole, currentUser }) => {
+  const today = new Date();
+  const [startDate, setStartDate] = useState(formatDateForInput(new Date(today.getFullYear(), today.getMonth(), 1)));
+  const [endDate, setEndDate] = useState(formatDateForInput(today));
+  const [report, setReport] = useState(null);
+  const [expandedMethod, setExpandedMethod] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  if (userRole !== 'admin') {
+    return (
+      <div className={styles.reconciliation}>
+        <p>You don't have permission to reconcile payments.</p>
+      </div>
+    );
+  }
+
+  const loadReport = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      setReport(await paymentReconciliationService.getReconciliationReport(startDate, endDate));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRecordDeposit = async (depositData) => {
+    setSaving(true);
+    setError('');
+    setMessage('');
+
+    try {
+      const { difference } = await paymentReconciliationService.recordDeposit(depositData, currentUser?.uid || 'unknown-admin');
+      setMessage(difference === 0
+        ? 'Deposit recorded and matches its payments.'
+        : `Deposit recorded. It differs from its payments by ${signedCurrency(difference)}.`);
+      await loadReport();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteDeposit = async (deposit) => {
+    if (!window.confirm(`Delete the ${formatCurrency(deposit.amount)} deposit? Its payments will show as not deposited.`)) {
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+    try {
+      await paymentReconciliationService.deleteDeposit(deposit.id);
+      await loadReport();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className={styles.reconciliation}>
+      <h2>Payment Reconciliation</h2>
+      <p>
+        Compare the payments recorded for each method with what was deposited, and record which payments each
+        bank deposit contains.
+      </p>
+
+      <div className={styles.toolbar}>
+        <label>
+          From{' '}
+          <input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} data-testid="reconciliation-start" />
+        </label>
+        <label>
+          To{' '}
+          <input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} data-testid="reconciliation-end" />
+        </label>
+        <button className={styles.button} onClick={loadReport} disabled={loading}>
+          {loading ? 'Loading...' : 'Show Report'}
+        </button>
+      </div>
+
+      {error && <ErrorMessage message={error} />}
+      {message && <p className={styles.success}>{message}</p>}
+
+      {report && (report.methods.length === 0 ? (
+        <p data-testid="no-reconciliation-data">No payments or deposits in this range.</p>
+      ) : (
+        <table className={styles.table} data-testid="payment-reconciliation-table">
+          <thead>
+            <tr>
+              <th>Method</th>
+              <th>Expected</th>
+              <th>Deposited</th>
+              <th>Difference</th>
+              <th>Not deposited</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {report.methods.map(method => (
+              <React.Fragment key={method.method}>
+                <tr data-testid={`reconciliation-row-${method.method}`}>
+                  <td>{method.label}</td>
+                  <td>{formatCurrency(method.expected)}</td>
+                  <td>{formatCurrency(method.deposited)}</td>
+                  <td className={method.difference < 0 ? styles.increase : styles.decrease}>
+                    {signedCurrency(method.difference)}
+                  </td>
+                  <td>{method.undeposited.length}</td>
+                  <td>
+                    <button
+                      className={styles.linkButton}
+                      onClick={() => setExpandedMethod(expandedMethod === method.method ? null : method.method)}
+                    >
+                      {expandedMethod === method.method ? 'Hide payments' : 'Show payments'}
+                    </button>
+                  </td>
+                </tr>
+                {expandedMethod === method.method && (
+                  <tr>
+                    <td colSpan="6">
+                      <MethodDetails
+                        method={method}
+                        saving={saving}
+                        onRecordDeposit={handleRecordDeposit}
+                        onDeleteDeposit={handleDeleteDeposit}
+                      />
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+            <tr>
+              <td><strong>Total</strong></td>
+              <td><strong>{formatCurrency(report.totals.expected)}</strong></td>
+              <td><strong>{formatCurrency(report.totals.deposited)}</strong></td>
+              <td><strong>{signedCurrency(report.totals.difference)}</strong></td>
+              <td colSpan="2"></td>
+            </tr>
+          </tbody>
+        </table>
+      ))}
+    </div>
+  );
+};
+
+export default PaymentReconciliation;
@@ -0,0 +1,63 @@
+// PlansDueThisWeek.js
+import React, { useState, useEffect } from 'react';
+import { paymentPlanService } from '../services/PaymentPlanService';
+import ErrorMessage from './ErrorMessage';
+import { PaymentPlanStatusBadge } from './PaymentPlanPanel';
+import { formatDateForDisplay } from '../utils/DateUtils';
+import { formatCurrency } from '../utils/formatters';
+import styles from './StudentList.module.css'; // Reusing the student list styles
+
+// Payment plans with an installment due in the next seven days or already overdue
+const PlansDueThisWeek = () => {
+  const [duePlans, setDuePlans] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    paymentPlanService.getPlansDueThisWeek()
+      .then(setDuePlans)
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  return (
+    <div className={styles['student-list']} data-testid="plans-due-this-week">
+      <h2>Payment Plans Due This Week</h2>
+
+      {error && <ErrorMessage message={error} />}
+
+      {loading ? (
+        <p>Loading payment plans...</p>
+      ) : duePlans.length === 0 ? (
+        <p>No installments due this week.</p>
+      ) : (
+        <table className={styles['data-table']}>
+          <thead>
+            <tr>
+              <th>Student</th>
+              <th>Due</th>
+              <th>Amount Due</th>
+              <th>Plan Balance</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {duePlans.map(({ plan, progress, dueInstallments, amountDue }) => (
+              <tr key={plan.id} data-testid={`plan-due-${plan.id}`}>
+                <td>{plan.studentName || plan.studentId}</td>
+                <td>
+                  {dueInstallments.map(installment => formatDateForDisplay(installment.dueDate)).join(', ')}
+                </td>
+                <td>{formatCurrency(amountDue)}</td>
+                <td>{formatCurrency(progress.remaining)}</td>
+                <td><PaymentPlanStatusBadge status={progress.status} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default PlansDueThisWeek;
@@ -2,10 +2,20 @@ import React, { useState, useEffect } from 'react';
 import { reportService } from '../services/ReportService';
 import { paymentService } from '../services/PaymentService';
 import { attendanceService } from '../services/AttendanceService';
+import { ledgerService } from '../services/LedgerService';
+import { LEDGER_TYPE_LABELS } from '../constants/ledgerConstants';
 import ErrorMessage from './ErrorMessage';
+import PaymentPlanPanel from './PaymentPlanPanel';
 import { useNavigate } from 'react-router-dom';
 import './PublicDashboard.css'; // Using the new CSS file
-import { formatDateForDisplay } from '../utils/DateUtils';
+import { formatDateForDisplay, formatDateForDocId, addDays, parseDateString } from '../utils/DateUtils';
+import { formatBalance } from '../utils/formatters';
+import { isRefund, getRefundStatus } from '../utils/PaymentUtils';
+import { paymentMethodService } from '../services/PaymentMethodService';
+import { feeWaiverService } from '../services/FeeWaiverService';
+import { classCancellationService } from '../services/ClassCancellationService';
+import { WAIVER_STATUSES } from '../constants/waiverConstants';
+import { CLASS_CANCELLATION_LABELS, RECENT_CANCELLATION_DAYS } from '../constants/cancellationConstants';
 
 // Fallback for tests
 const useNavigateSafe = () => {
@@ -35,6 +45,8 @@ const getPaymentStatusClass = (status) => {
       return "status-pending";
     case 'unpaid':
       return "status-inactive";
+    case 'waived':
+      return "status-special";
     default:
       return "status-inactive";
   }
@@ -47,6 +59,8 @@ const getFeeAmountClass = (paymentStatus) => {
       return "fee-paid";
     case 'partial':
       return "fee-partial";
+    case 'waived':
+      return "fee-waived";
     case 'unpaid':
       return "negative-balance";
     default:
@@ -72,10 +86,124 @@ const ConfirmModal = ({ isOpen, title, message, onConfirm, onCancel }) => {
   );
 };
 
+// Refund form for one payment: amount (up to what is left to refund), method and reason
+const RefundModal = ({ payment, refundable, onSubmit, onCancel }) => {
+  const [amount, setAmount] = useState(refundable.toFixed(2));
+  const methods = paymentMethodService.getMethods();
+  const [refundMethod, setRefundMethod] = useState(
+    methods.some(method => method.id === payment?.paymentMethod) ? payment.paymentMethod : methods[0]?.id
+  );
+  const [reason, setReason] = useState('');
+  
+  if (!payment) return null;
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ amount: parseFloat(amount), refundMethod, reason });
+  };
+  
+  return (
+    <div className="modal-overlay">
+      <form className="modal-content" onSubmit={handleSubmit} data-testid="refund-form">
+        <h3>Refund Payment</h3>
+        <p>Up to ${refundable.toFixed(2)} of this payment can be refunded.</p>
+        <label htmlFor="refundAmount">Amount:</label>
+        <input
+          id="refundAmount"
+          type="number"
+          min="0.01"
+          max={refundable}
+          step="0.01"
+          value={amount}
+          onChange={(e) => setAmount(e.target.value)}
+          required
+        />
+        <label htmlFor="refundMethod">Refund method:</label>
+        <select id="refundMethod" value={refundMethod} onChange={(e) => setRefundMethod(e.target.value)}>
+          {methods.map(method => (
+            <option key={method.id} value={method.id}>{method.label}</option>
+          ))}
+        </select>
+        <label htmlFor="refundReason">Reason:</label>
+        <input
+          id="refundReason"
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          required
+        />
+        <div className="modal-actions">
+          <button type="button" className="cancel-button" onClick={onCancel}>Cancel</button>
+          <button type="submit" className="confirm-button">Refund</button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// Waiver form: one fee when a fee is given, otherwise every unpaid fee in a date range
+const WaiverModal = ({ fee, onSubmit, onCancel }) => {
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [reason, setReason] = useState('');
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(fee ? { feeIds: [fee.feeId], reason } : { startDate, endDate, reason });
+  };
+  
+  return (
+    <div className="modal-overlay">
+      <form className="modal-content" onSubmit={handleSubmit} data-testid="waiver-form">
+        <h3>Waive Fees</h3>
+        {fee ? (
+          <p>Waive the ${fee.remainingAmount.toFixed(2)} still owed for {formatDateForDisplay(fee.date)}.</p>
+        ) : (
+          <>
+            <p>Waive what is still owed on every fee in this range.</p>
+            <label htmlFor="waiverStart">From:</label>
+            <input
+              id="waiverStart"
+              type="date"
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+              required
+              data-testid="waiver-start"
+            />
+            <label htmlFor="waiverEnd">To:</label>
+            <input
+              id="waiverEnd"
+              type="date"
+              value={endDate}
+              min={startDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              required
+              data-testid="waiver-end"
+            />
+          </>
+        )}
+        <label htmlFor="waiverReason">Reason:</label>
+        <input
+          id="waiverReason"
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          required
+          data-testid="waiver-reason"
+        />
+        <div className="modal-actions">
+          <button type="button" className="cancel-button" onClick={onCancel}>Cancel</button>
+          <button type="submit" className="confirm-button" data-testid="submit-waiver">Waive</button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
 // Constants
 const SUCCESS_MESSAGE_TIMEOUT = 3000; // 3 seconds
 
-const PublicDashboard = ({ userRole }) => {
+const PublicDashboard = ({ userRole, currentUser }) => {
   const [students, setStudents] = useState([]);
   const [selectedStudent, setSelectedStudent] = useState(null);
   const [studentDetails, setStudentDetails] = useState(null);
@@ -83,6 +211,10 @@ const PublicDashboard = ({ userRole }) => {
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [showAllFees, setShowAllFees] = useState(false);
+  const [ledgerEntries, setLedgerEntries] = useState([]);
+  const [refundTarget, setRefundTarget] = useState(null);
+  const [waiverTarget, setWaiverTarget] = useState(null);
+  const [cancellations, setCancellations] = useState([]);
   const [confirmModal, setConfirmModal] = useState({ 
     isOpen: false, 
     title: '', 
@@ -98,8 +230,8 @@ const PublicDashboard = ({ userRole }) => {
     // Create the payment data
     const paymentData = {
       studentId: selectedStudent,
-      amount: fee.paymentStatus === 'unpaid' ? fee.fee : fee.remainingAmount,
-      feeId: fee.id || null,
+      amount: fee.remainingAmount,
+      feeId: fee.feeId || null,
       feeDate: fee.date,
       notes: `Payment for ${formatDate(fee.date)} - ${fee.status === 'absent' ? 'Absence' : ''}`
     };
@@ -154,6 +286,110 @@ const PublicDashboard = ({ userRole }) => {
     }
   };
   
+  /**
+   * Refunds part or all of a payment from the refund form
+   * @param {Object} refundData - { amount, refundMethod, reason }
+   * @returns {Promise<void>}
+   */
+  const handleRefundPayment = async ({ amount, refundMethod, reason }) => {
+    if (!refundTarget) return;
+    
+    const { payment } = refundTarget;
+    setRefundTarget(null);
+    
+    try {
+      setLoading(true);
+      setError('');
+      await paymentService.refundPayment(payment.id, amount, {
+        refundMethod,
+        reason,
+        adminId: currentUser?.uid || null
+      });
+      
+      const details = await reportService.getStudentFinancialDetails(selectedStudent);
+      setStudentDetails(details);
+      
+      setSuccess(`Refunded ${formatCurrency(amount)}`);
+    } catch (err) {
+      setSuccess('');
+      setError(`Failed to refund payment: ${err.message}`);
+      console.error('Error refunding payment:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  /**
+   * Refunds part or all of the selected student's credit balance
+   * @param {number} credit - The credit currently available to refund
+   * @returns {Promise<void>}
+   */
+  const handleRefundCredit = async (credit) => {
+    if (!selectedStudent) return;
+    
+    const input = window.prompt(`Amount to refund (available credit ${formatCurrency(credit)}):`, credit.toFixed(2));
+    if (input === null) return;
+    
+    const amount = parseFloat(input);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      setError('Refund amount must be greater than zero');
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      setError('');
+      await paymentService.refundCredit(selectedStudent, amount, {
+        adminId: currentUser?.uid || null,
+        notes: 'Credit refund'
+      });
+      
+      const details = await reportService.getStudentFinancialDetails(selectedStudent);
+      setStudentDetails(details);
+      
+      setSuccess(`Refunded ${formatCurrency(amount)}`);
+    } catch (err) {
+      setSuccess('');
+      setError(`Failed to refund credit: ${err.message}`);
+      console.error('Error refunding credit:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+  
+  /**
+   * Waives one fee or the fees of a date range from the waiver form
+   * Waivers above the approval threshold wait for a second admin on the Fee Waivers page.
+   * @param {Object} request - { feeIds } or { startDate, endDate }, and a reason
+   * @returns {Promise<void>}
+   */
+  const handleWaiveFees = async (request) => {
+    if (!selectedStudent) return;
+    
+    setWaiverTarget(null);
+    
+    try {
+      setLoading(true);
+      setError('');
+      const { waiver } = await feeWaiverService.requestWaiver(selectedStudent, request, {
+        adminId: currentUser?.uid || null
+      });
+      
+      const details = await reportService.getStudentFinancialDetails(selectedStudent);
+      setStudentDetails(details);
+      
+      setSuccess(waiver.status === WAIVER_STATUSES.PENDING
+        ? `Waiver of ${formatCurrency(waiver.amount)} is waiting for a second admin's approval`
+        : `Waived ${formatCurrency(waiver.amount)}`);
+    } catch (err) {
+      setSuccess('');
+      setError(err.message);
+      console.error('Error waiving fees:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+  
   /**
    * Shows confirmation modal for fee deletion
    * @param {Date|string} feeDate - The date of the fee to delete
@@ -232,6 +468,13 @@ const PublicDashboard = ({ userRole }) => {
     };
     
     fetchStudentData();
+    // Method labels and the refund form use the configured payment methods
+    paymentMethodService.loadMethods();
+    // Recent and upcoming class cancellations are listed with the students
+    classCancellationService.loadCancellations(true).then(() => {
+      const since = formatDateForDocId(addDays(new Date(), -RECENT_CANCELLATION_DAYS));
+      setCancellations(classCancellationService.getCancellations().filter(cancellation => cancellation.date >= since));
+    });
   }, []);
 
   // Load detailed student information when a student is selected
@@ -258,6 +501,26 @@ const PublicDashboard = ({ userRole }) => {
     fetchStudentDetails();
   }, [selectedStudent]);
 
+  // Load the student's ledger for admins whenever the details are (re)loaded
+  useEffect(() => {
+    const fetchLedgerEntries = async () => {
+      if (userRole !== 'admin' || !studentDetails) {
+        setLedgerEntries([]);
+        return;
+      }
+      
+      try {
+        const entries = await ledgerService.getStudentEntries(studentDetails.student.id);
+        setLedgerEntries(entries);
+      } catch (err) {
+        console.error('Error fetching ledger entries:', err);
+        setLedgerEntries([]);
+      }
+    };
+    
+    fetchLedgerEntries();
+  }, [studentDetails, userRole]);
+
   // Handle student selection
   const handleSelectStudent = (studentId) => {
     setSelectedStudent(studentId);
@@ -342,18 +605,56 @@ const PublicDashboard = ({ userRole }) => {
             <h3>Total Fees</h3>
             <p>{formatCurrency(studentDetails.financialSummary.totalFeesCharged)}</p>
           </div>
+          {studentDetails.financialSummary.totalFeesWaived > 0 && (
+            <div className="summary-item" data-testid="waived-total">
+              <h3>Waived</h3>
+              <p>{formatCurrency(studentDetails.financialSummary.totalFeesWaived)}</p>
+            </div>
+          )}
           <div className="summary-item">
             <h3>Payments Made</h3>
             <p>{formatCurrency(studentDetails.financialSummary.totalPaymentsMade)}</p>
           </div>
+          {studentDetails.financialSummary.totalRefunds < 0 && (
+            <div className="summary-item" data-testid="refunds-total">
+              <h3>Refunded</h3>
+              <p>{formatCurrency(-studentDetails.financialSummary.totalRefunds)}</p>
+            </div>
+          )}
           <div className="summary-item">
             <h3>Current Balance</h3>
-            <p className={balanceClass}>
-              {formatCurrency(balance)}
+            <p className={balanceClass} data-testid="current-balance">
+              {formatBalance(balance)}
             </p>
+            {userRole === 'admin' && balance < 0 && (
+              <button
+                onClick={() => handleRefundCredit(-balance)}
+                className="view-details-button"
+                data-testid="refund-credit"
+              >
+                Refund Credit
+              </button>
+            )}
           </div>
         </div>
         
+        {userRole === 'admin' && (
+          <button
+            onClick={() => navigate(`/statements?studentId=${selectedStudent}`)}
+            className="view-details-button"
+            data-testid="account-statement-link"
+          >
+            Account Statement
+          </button>
+        )}
+        
+        <PaymentPlanPanel
+          studentId={studentDetails.student.id}
+          userRole={userRole}
+          balance={balance}
+          adminId={currentUser?.uid || null}
+        />
+        
         {/* Payment History Section */}
         <div className="history-section" data-testid="payment-history">
           <h3>Payment History</h3>
@@ -366,35 +667,65 @@ const PublicDashboard = ({ userRole }) => {
                   <th>Date</th>
                   <th>Amount</th>
                   <th>Payment Method</th>
+                  <th>Applied To</th>
                   <th>Notes</th>
                   {userRole === 'admin' && <th>Actions</th>}
                 </tr>
               </thead>
               <tbody>
-                {studentDetails.paymentHistory.map(payment => (
-                  <tr key={payment.id}>
-                    <td>{formatDate(payment.date)}</td>
-                    <td>{formatCurrency(payment.amount)}</td>
-                    <td>
-                      {payment.paymentMethod === 'cash' ? 
-                        <span className="status-badge status-enrolled">Cash</span> : 
-                        <span className="status-badge status-pending">Card</span>
-                      }
-                    </td>
-                    <td>{payment.notes || 'N/A'}</td>
-                    {userRole === 'admin' && (
+                {studentDetails.paymentHistory.map(payment => {
+                  const refund = isRefund(payment);
+                  const { refunded, refundable } = refund
+                    ? { refunded: 0, refundable: 0 }
+                    : getRefundStatus(payment, studentDetails.paymentHistory);
+                  
+                  return (
+                    <tr key={payment.id} data-testid={`payment-history-row-${payment.id}`}>
+                      <td>{formatDate(payment.date)}</td>
+                      <td className={refund ? 'positive-balance' : undefined}>
+                        {refund ? `-${formatCurrency(-payment.amount)}` : formatCurrency(payment.amount)}
+                        {refund && <span className="status-badge status-inactive">Refund</span>}
+                        {refunded > 0 && <div className="section-counter">{formatCurrency(refunded)} refunded</div>}
+                      </td>
                       <td>
-                        <button 
-                          onClick={() => confirmDeletePayment(payment.id)}
-                          className="delete-button"
-                          data-testid={`delete-payment-${payment.id}`}
-                        >
-                          Remove
-                        </button>
+                        <span className={`status-badge ${payment.paymentMethod === 'cash' ? 'status-enrolled' : 'status-pending'}`}>
+                          {paymentMethodService.getLabel(payment.paymentMethod)}
+                        </span>
+                        {payment.reference && <div className="section-counter">#{payment.reference}</div>}
                       </td>
-                    )}
-                  </tr>
-                ))}
+                      <td data-testid={`payment-allocations-${payment.id}`}>
+                        {payment.allocations?.length > 0
+                          ? payment.allocations.map(allocation => (
+                            <div key={allocation.feeId}>
+                              {formatDate(allocation.feeDate)}: {formatCurrency(allocation.amount)}
+                            </div>
+                          ))
+                          : 'N/A'}
+                      </td>
+                      <td>{payment.notes || 'N/A'}</td>
+                      {userRole === 'admin' && (
+                        <td>
+                          {!refund && refundable > 0 && (
+                            <button 
+                              onClick={() => setRefundTarget({ payment, refundable })}
+                              className="view-details-button"
+                              data-testid={`refund-payment-${payment.id}`}
+                            >
+                              Refund
+                            </button>
+                          )}
+                          <button 
+                            onClick={() => confirmDeletePayment(payment.id)}
+                            className="delete-button"
+                            data-testid={`delete-payment-${payment.id}`}
+                          >
+                            Remove
+                          </button>
+                        </td>
+                      )}
+                    </tr>
+                  );
+                })}
               </tbody>
             </table>
           )}
@@ -416,6 +747,15 @@ const PublicDashboard = ({ userRole }) => {
               >
                 {showAllFees ? 'Show Unpaid Only' : 'View All Fees'}
               </button>
+              {userRole === 'admin' && unpaidFeesCount > 0 && (
+                <button
+                  onClick={() => setWaiverTarget({ fee: null })}
+                  className="toggle-view-button"
+                  data-testid="waive-range"
+                >
+                  Waive Date Range
+                </button>
+              )}
             </div>
           </div>
           
@@ -476,7 +816,7 @@ const PublicDashboard = ({ userRole }) => {
                       </td>
                       <td>
                         {fee.paymentStatus === 'unpaid' ? 
-                          <span className="negative-balance">{formatCurrency(fee.fee)}</span> :
+                          <span className="negative-balance">{formatCurrency(fee.remainingAmount)}</span> :
                           fee.paymentStatus === 'partial' ? 
                             <span className="negative-balance">{formatCurrency(fee.remainingAmount)}</span> :
                             <span className="paid-amount">$0.00</span>
@@ -495,6 +835,17 @@ const PublicDashboard = ({ userRole }) => {
                             </button>
                           )}
                           
+                          {(fee.paymentStatus === 'unpaid' || fee.paymentStatus === 'partial') && userRole === 'admin' && !fee.isSynthetic && (
+                            <button 
+                              onClick={() => setWaiverTarget({ fee })}
+                              className="pay-button"
+                              data-testid={`waive-fee-${index}`}
+                              title="Waive this fee"
+                            >
+                              Waive
+                            </button>
+                          )}
+                          
                           {userRole === 'admin' && (
                             <button 
                               onClick={() => confirmDeleteFee(fee.date, fee.isSynthetic)}
@@ -514,6 +865,82 @@ const PublicDashboard = ({ userRole }) => {
             </table>
           )}
         </div>
+        
+        {/* Ledger Section (admins only) */}
+        {userRole === 'admin' && (
+          <div className="history-section" data-testid="ledger-history">
+            <h3>Account Ledger</h3>
+            {ledgerEntries.length === 0 ? (
+              <p>No ledger entries yet.</p>
+            ) : (
+              <table className="history-table">
+                <thead>
+                  <tr>
+                    <th>Date</th>
+                    <th>Type</th>
+                    <th>Description</th>
+                    <th>Debit</th>
+                    <th>Credit</th>
+                    <th>Amount</th>
+                    <th>Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {[...ledgerEntries].reverse().map(entry => {
+                    const effect = ledgerService.getStudentEffect(entry);
+                    return (
+                      <tr key={entry.id}>
+                        <td>{formatDate(entry.date)}</td>
+                        <td>{LEDGER_TYPE_LABELS[entry.type] || entry.type}</td>
+                        <td>
+                          {entry.description || 'N/A'}
+                          {entry.creditApplied > 0 && ` (${formatCurrency(entry.creditApplied)} paid from credit)`}
+                        </td>
+                        <td>{entry.debitAccount}</td>
+                        <td>{entry.creditAccount}</td>
+                        <td className={effect > 0 ? 'negative-balance' : 'positive-balance'}>
+                          {effect > 0 ? '+' : '-'}{formatCurrency(entry.amount)}
+                        </td>
+                        <td>{formatBalance(entry.runningBalance)}</td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // Render the recent and upcoming class cancellations
+  const renderCancellations = () => {
+    if (cancellations.length === 0) return null;
+    
+    return (
+      <div className="history-section" data-testid="class-cancellations">
+        <h3>{CLASS_CANCELLATION_LABELS.LIST_TITLE}</h3>
+        <table className="history-table">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Class</th>
+              <th>Reason</th>
+              <th>Notes</th>
+            </tr>
+          </thead>
+          <tbody>
+            {cancellations.map(cancellation => (
+              <tr key={cancellation.id} data-testid={`cancellation-${cancellation.id}`}>
+                <td>{formatDate(parseDateString(cancellation.date))}</td>
+                <td>{cancellation.className || CLASS_CANCELLATION_LABELS.WHOLE_DAY}</td>
+                <td>{classCancellationService.getReasonLabel(cancellation)}</td>
+                <td>{cancellation.note || 'N/A'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
       </div>
     );
   };
@@ -550,7 +977,7 @@ const PublicDashboard = ({ userRole }) => {
                       </span>
                     </td>
                     <td className={balanceClass}>
-                      {formatCurrency(balance)}
+                      {formatBalance(balance)}
                     </td>
                     <td>
                       <button 
@@ -567,6 +994,8 @@ const PublicDashboard = ({ userRole }) => {
             </tbody>
           </table>
         )}
+        
+        {renderCancellations()}
       </div>
     );
   };
@@ -595,6 +1024,23 @@ const PublicDashboard = ({ userRole }) => {
       )}
       
       {/* Confirmation Modal */}
+      {refundTarget && (
+        <RefundModal
+          payment={refundTarget.payment}
+          refundable={refundTarget.refundable}
+          onSubmit={handleRefundPayment}
+          onCancel={() => setRefundTarget(null)}
+        />
+      )}
+      
+      {waiverTarget && (
+        <WaiverModal
+          fee={waiverTarget.fee}
+          onSubmit={handleWaiveFees}
+          onCancel={() => setWaiverTarget(null)}
+        />
+      )}
+      
       <ConfirmModal 
         isOpen={confirmModal.isOpen}
         title={confirmModal.title}
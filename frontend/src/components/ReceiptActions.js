@@ -0,0 +1,38 @@
+import React, { useState } from 'react';
+import { receiptService } from '../services/ReceiptService';
+import { printReceipt, downloadReceipt } from '../utils/ReceiptUtils';
+
+// Print and save buttons for a payment receipt. Given only a payment, the receipt is
+// fetched when a button is clicked, and issued if the payment does not have one yet.
+const ReceiptActions = ({ payment = null, receipt = null, onError }) => {
+  const [busy, setBusy] = useState(false);
+  const id = receipt?.id || payment?.id;
+
+  const withReceipt = async (action) => {
+    setBusy(true);
+    try {
+      action(receipt || await receiptService.getReceiptForPayment(payment));
+    } catch (err) {
+      if (onError) {
+        onError(err.message);
+      } else {
+        console.error('Error opening receipt:', err);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <button type="button" onClick={() => withReceipt(printReceipt)} disabled={busy} data-testid={`print-receipt-${id}`}>
+        Print Receipt
+      </button>
+      <button type="button" onClick={() => withReceipt(downloadReceipt)} disabled={busy} data-testid={`save-receipt-${id}`}>
+        Save Receipt
+      </button>
+    </>
+  );
+};
+
+export default ReceiptActions;
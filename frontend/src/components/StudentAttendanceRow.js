@@ -1,10 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { attendanceService } from '../services/AttendanceService';
+import { feeScheduleService } from '../services/FeeScheduleService';
+import { getAttendanceDocId } from '../utils/AttendanceDocUtils';
 import styles from './AttendanceDashboard.module.css';
 
+// Students with no earlier markings share one history so the fee effect does not rerun each render
+const NO_FEE_HISTORY = [];
+
 const StudentAttendanceRow = ({ 
   student, 
   date, 
+  sessionId = null,
+  feeHistory = NO_FEE_HISTORY,
   onStatusChange, 
   onAttributeChange,
   onSelect,
@@ -17,21 +24,26 @@ const StudentAttendanceRow = ({
   const [fee, setFee] = useState(0);
   const [isExpanded, setIsExpanded] = useState(false);
   
+  // Fee amounts in effect on the selected date
+  const rates = feeScheduleService.getRatesForDate(date);
+  
   // Set initial values when props change
   useEffect(() => {
     setStatus(student.attendance?.status || '');
     setAttributes(student.attendance?.attributes || {});
   }, [student.attendance]);
   
-  // Calculate fee whenever status or attributes change
+  // Calculate fee whenever status or attributes change, as charged after the fee rules
   useEffect(() => {
     if (status) {
-      const calculatedFee = attendanceService.calculateAttendanceFee(status, attributes);
+      const calculatedFee = attendanceService.calculateMarkingFee(
+        status, attributes, date, getAttendanceDocId(date, sessionId), feeHistory
+      );
       setFee(calculatedFee);
     } else {
       setFee(0);
     }
-  }, [status, attributes]);
+  }, [status, attributes, date, sessionId, feeHistory]);
   
   // Handle status change
   const handleStatusChange = (e) => {
@@ -79,7 +91,7 @@ const StudentAttendanceRow = ({
   };
   
   // Determine if fee attributes should be disabled
-  const areFeeAttributesDisabled = status === 'absent' || status === 'medicalAbsence' || status === 'holiday';
+  const areFeeAttributesDisabled = status === 'absent' || status === 'medicalAbsence' || status === 'holiday' || status === 'cancelled' || status === 'notEnrolled';
   
   return (
     <tr 
@@ -117,9 +129,11 @@ const StudentAttendanceRow = ({
             >
               <option value="" disabled>-- Select --</option>
               <option value="present">Present</option>
-              <option value="absent">Absent ($5)</option>
+              <option value="absent">Absent (${rates.absent})</option>
               <option value="medicalAbsence">Medical Absence</option>
               <option value="holiday">Holiday</option>
+              <option value="cancelled">Class Cancelled</option>
+              <option value="notEnrolled">Not Enrolled</option>
             </select>
           </div>
           
@@ -137,7 +151,7 @@ const StudentAttendanceRow = ({
                   disabled={areFeeAttributesDisabled}
                   data-testid={`late-checkbox-${student.id}`}
                 />
-                <label htmlFor={`late-${student.id}`}>Late ($1)</label>
+                <label htmlFor={`late-${student.id}`}>Late (${rates.late})</label>
               </div>
               
               <div className={`${styles['attribute-checkbox']} ${areFeeAttributesDisabled ? styles.disabled : ''}`}>
@@ -149,7 +163,7 @@ const StudentAttendanceRow = ({
                   disabled={areFeeAttributesDisabled}
                   data-testid={`noShoes-checkbox-${student.id}`}
                 />
-                <label htmlFor={`noShoes-${student.id}`}>No Shoes ($1)</label>
+                <label htmlFor={`noShoes-${student.id}`}>No Shoes (${rates.noShoes})</label>
               </div>
               
               <div className={`${styles['attribute-checkbox']} ${areFeeAttributesDisabled ? styles.disabled : ''}`}>
@@ -161,7 +175,7 @@ const StudentAttendanceRow = ({
                   disabled={areFeeAttributesDisabled}
                   data-testid={`notInUniform-checkbox-${student.id}`}
                 />
-                <label htmlFor={`notInUniform-${student.id}`}>Not in Uniform ($1)</label>
+                <label htmlFor={`notInUniform-${student.id}`}>Not in Uniform (${rates.notInUniform})</label>
               </div>
               
               {/* Fee Display */}
@@ -175,16 +189,33 @@ const StudentAttendanceRow = ({
           
           {areFeeAttributesDisabled && status === 'absent' && (
             <div className={styles['fee-note']}>
-              Absent: Fixed $5 fee (attributes ignored)
+              Absent: Fixed ${rates.absent} fee (attributes ignored)
             </div>
           )}
           
-          {areFeeAttributesDisabled && (status === 'medicalAbsence' || status === 'holiday') && (
+          {areFeeAttributesDisabled && (status === 'medicalAbsence' || status === 'holiday' || status === 'cancelled' || status === 'notEnrolled') && (
             <div className={styles['fee-note']}>
               No fees for this status (attributes ignored)
             </div>
           )}
           
+          {student.enrolledOnDate === false && (
+            <div className={styles['enrollment-note']} data-testid={`not-enrolled-${student.id}`}>
+              Not enrolled on this date - bulk actions skip this student
+            </div>
+          )}
+          
+          {student.attendance?.checkIn && (
+            <div className={styles['kiosk-note']} data-testid={`kiosk-checkin-${student.id}`}>
+              Kiosk check-in at {formatTimestamp(student.attendance.checkIn.checkedInAt)}
+              {typeof student.attendance.checkIn.minutesAfterStart === 'number' && (
+                student.attendance.checkIn.minutesAfterStart > 0
+                  ? ` (${student.attendance.checkIn.minutesAfterStart} min after start)`
+                  : ' (on time)'
+              )}
+            </div>
+          )}
+          
           {student.attendance?.timestamp && (
             <div className={styles['attendance-actions']}>
               <span className={styles.timestamp}>
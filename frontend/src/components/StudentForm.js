@@ -10,7 +10,13 @@ const StudentForm = ({ student, onSubmit, buttonText = "Save", isAdminView = fal
     email: student?.email || '',
     enrollmentStatus: student?.enrollmentStatus || 'Pending Payment',
     balance: student?.balance || 0,
-    danceRole: student?.danceRole || 'Lead'
+    danceRole: student?.danceRole || 'Lead',
+    // Only admins assign kiosk check-in codes and enrollment dates
+    ...(isAdminView && {
+      checkinCode: student?.checkinCode || '',
+      enrollmentStartDate: student?.enrollmentStartDate || '',
+      enrollmentEndDate: student?.enrollmentEndDate || ''
+    })
   });
   
   const [error, setError] = useState('');
@@ -126,6 +132,44 @@ const StudentForm = ({ student, onSubmit, buttonText = "Save", isAdminView = fal
                 placeholder="0.00"
               />
             </div>
+            
+            <div className={styles['form-group']}>
+              <label htmlFor="enrollmentStartDate">Enrollment Start Date</label>
+              <input
+                type="date"
+                id="enrollmentStartDate"
+                name="enrollmentStartDate"
+                value={formData.enrollmentStartDate}
+                onChange={handleChange}
+                data-testid="student-enrollment-start-input"
+              />
+            </div>
+            
+            <div className={styles['form-group']}>
+              <label htmlFor="enrollmentEndDate">Enrollment End Date (optional)</label>
+              <input
+                type="date"
+                id="enrollmentEndDate"
+                name="enrollmentEndDate"
+                value={formData.enrollmentEndDate}
+                onChange={handleChange}
+                data-testid="student-enrollment-end-input"
+              />
+            </div>
+            
+            <div className={styles['form-group']}>
+              <label htmlFor="checkinCode">Check-in PIN / Card Code</label>
+              <input
+                type="text"
+                id="checkinCode"
+                name="checkinCode"
+                value={formData.checkinCode}
+                onChange={handleChange}
+                autoComplete="off"
+                data-testid="student-checkin-code-input"
+                placeholder="Used at the check-in kiosk"
+              />
+            </div>
           </>
         )}
 
@@ -2,18 +2,20 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import StudentForm from './StudentForm';
 import PaymentList from './PaymentList';
+import EnrollmentHistory from './EnrollmentHistory';
 import ErrorMessage from './ErrorMessage';
 import { studentService } from '../services/StudentService';
 import { authService } from '../services/AuthService';
 import { paymentService } from '../services/PaymentService';
+import { formatDateForDocId } from '../utils/DateUtils';
 import styles from './StudentFormView.module.css';
 
 // This component is solely responsible for managing the add/edit student form
 // It also shows payment history using the paymentService for existing students
-const StudentFormView = ({ selectedStudent, onSuccess, onCancel }) => {
+const StudentFormView = ({ selectedStudent, onSuccess, onCancel, currentUser }) => {
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState('details'); // 'details', 'payments'
+  const [activeTab, setActiveTab] = useState('details'); // 'details', 'history', 'payments'
   const [paymentHistory, setPaymentHistory] = useState([]);
 
   // Use paymentService to fetch payment history when switching to payments tab
@@ -43,8 +45,29 @@ const StudentFormView = ({ selectedStudent, onSuccess, onCancel }) => {
     
     try {
       if (selectedStudent) {
+        // Status changes go through changeEnrollmentStatus so they are kept in the status history
+        const { enrollmentStatus, ...details } = formData;
+        const statusChanged = enrollmentStatus !== undefined &&
+          enrollmentStatus !== (selectedStudent.enrollmentStatus || 'Pending Payment');
+        
+        let reason = '';
+        if (statusChanged) {
+          reason = window.prompt(`Reason for changing the status to ${enrollmentStatus} (optional):`, '');
+          if (reason === null) {
+            setLoading(false);
+            return;
+          }
+        }
+        
         // Update existing student
-        await studentService.updateStudent(selectedStudent.id, formData);
+        await studentService.updateStudent(selectedStudent.id, details);
+        
+        if (statusChanged) {
+          await studentService.changeEnrollmentStatus(selectedStudent.id, enrollmentStatus, {
+            changedBy: currentUser ? { uid: currentUser.uid, email: currentUser.email || null } : null,
+            reason
+          });
+        }
         setLoading(false);
         onSuccess();
         return;
@@ -61,7 +84,9 @@ const StudentFormView = ({ selectedStudent, onSuccess, onCancel }) => {
       await studentService.initializeStudentProfile(user.uid, {
         firstName,
         lastName,
-        email
+        email,
+        // Students are not charged for sessions before they joined
+        enrollmentStartDate: formatDateForDocId(new Date())
       });
       
       setLoading(false);
@@ -88,6 +113,13 @@ const StudentFormView = ({ selectedStudent, onSuccess, onCancel }) => {
           >
             Student Details
           </button>
+          <button 
+            className={activeTab === 'history' ? styles['active-tab'] : ''}
+            onClick={() => setActiveTab('history')}
+            data-testid="history-tab"
+          >
+            Status History
+          </button>
           <button 
             className={activeTab === 'payments' ? styles['active-tab'] : ''}
             onClick={() => setActiveTab('payments')}
@@ -119,6 +151,19 @@ const StudentFormView = ({ selectedStudent, onSuccess, onCancel }) => {
             </button>
           </div>
         </>
+      ) : activeTab === 'history' ? (
+        <>
+          <EnrollmentHistory student={selectedStudent} />
+          
+          <div className={styles.buttons}>
+            <button 
+              onClick={() => setActiveTab('details')}
+              className={styles['back-button']}
+            >
+              Back to Details
+            </button>
+          </div>
+        </>
       ) : (
         <>
           {/* We can either use studentId directly or pass our pre-fetched payment history */}
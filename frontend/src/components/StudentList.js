@@ -4,7 +4,7 @@ import { studentService } from '../services/StudentService';
 import ErrorMessage from './ErrorMessage';
 import styles from './StudentList.module.css';
 
-const StudentList = ({ onSelectStudent }) => {
+const StudentList = ({ onSelectStudent, currentUser }) => {
   const [students, setStudents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
@@ -76,11 +76,20 @@ const StudentList = ({ onSelectStudent }) => {
   };
 
   const handleStatusChange = async (studentId, newStatus) => {
+    // The reason is kept in the student's status history; cancelling keeps the current status
+    const reason = window.prompt(`Reason for changing the status to ${newStatus} (optional):`, '');
+    if (reason === null) {
+      return;
+    }
+    
     try {
-      await studentService.changeEnrollmentStatus(studentId, newStatus);
+      const updated = await studentService.changeEnrollmentStatus(studentId, newStatus, {
+        changedBy: currentUser ? { uid: currentUser.uid, email: currentUser.email || null } : null,
+        reason
+      });
       // Update the local state to avoid a full reload
       setStudents(students.map(student => 
-        student.id === studentId ? {...student, enrollmentStatus: newStatus} : student
+        student.id === studentId ? {...student, ...updated, enrollmentStatus: newStatus} : student
       ));
     } catch (err) {
       setError(err.message);
@@ -5,7 +5,7 @@ import StudentFormView from './StudentFormView';
 import ErrorMessage from './ErrorMessage';
 import styles from './StudentManagement.module.css';
 
-const StudentManagement = ({ userRole }) => {
+const StudentManagement = ({ userRole, currentUser }) => {
   const [error, setError] = useState('');
   const [selectedStudent, setSelectedStudent] = useState(null);
   const [viewMode, setViewMode] = useState('list'); // 'list' or 'form'
@@ -57,6 +57,7 @@ const StudentManagement = ({ userRole }) => {
           selectedStudent={selectedStudent}
           onSuccess={handleFormSuccess}
           onCancel={switchToListView}
+          currentUser={currentUser}
         />
       ) : (
         // Show the list view
@@ -71,7 +72,7 @@ const StudentManagement = ({ userRole }) => {
             </button>
           </div>
           
-          <StudentList onSelectStudent={handleSelectStudent} />
+          <StudentList onSelectStudent={handleSelectStudent} currentUser={currentUser} />
         </>
       )}
     </div>
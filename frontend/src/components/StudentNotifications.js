@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import { notificationService } from '../services/NotificationService';
+import ErrorMessage from './ErrorMessage';
+import { NOTIFICATION_LABELS } from '../constants/notificationConstants';
+
+// A student's unread notices (e.g. cancelled classes), which they dismiss once read
+const StudentNotifications = ({ studentId }) => {
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    notificationService.getStudentNotifications(studentId, true)
+      .then(unread => {
+        if (!cancelled) setNotifications(unread);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [studentId]);
+
+  const handleDismiss = async (notificationId) => {
+    try {
+      setError('');
+      await notificationService.markAsRead(notificationId);
+      setNotifications(prev => prev.filter(notification => notification.id !== notificationId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="student-notifications" data-testid="student-notifications">
+      <h2>{NOTIFICATION_LABELS.TITLE}</h2>
+      {error && <ErrorMessage message={error} />}
+      {loading ? (
+        <p>Loading notices...</p>
+      ) : notifications.length === 0 ? (
+        <p>{NOTIFICATION_LABELS.NO_NOTIFICATIONS}</p>
+      ) : (
+        <ul>
+          {notifications.map(notification => (
+            <li key={notification.id} data-testid={`notification-${notification.id}`}>
+              <strong>{notification.title}</strong>
+              <p>{notification.message}</p>
+              <button onClick={() => handleDismiss(notification.id)}>Dismiss</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default StudentNotifications;
@@ -0,0 +1,67 @@
+import React, { useState, useEffect } from 'react';
+import { receiptService } from '../services/ReceiptService';
+import ReceiptActions from './ReceiptActions';
+import ErrorMessage from './ErrorMessage';
+import { formatCurrency } from '../utils/formatters';
+import { formatDateForDisplay } from '../utils/DateUtils';
+
+// A student's payment receipts, which they can print or save again at any time
+const StudentReceipts = ({ studentId }) => {
+  const [receipts, setReceipts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    receiptService.getStudentReceipts(studentId)
+      .then(studentReceipts => {
+        if (!cancelled) setReceipts(studentReceipts);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [studentId]);
+
+  return (
+    <div className="student-receipts" data-testid="student-receipts">
+      <h2>Your Receipts</h2>
+      {error && <ErrorMessage message={error} />}
+      {loading ? (
+        <p>Loading receipts...</p>
+      ) : receipts.length === 0 ? (
+        <p>No receipts yet.</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>Receipt</th>
+              <th>Date</th>
+              <th>Amount</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {receipts.map(receipt => (
+              <tr key={receipt.id} data-testid={`student-receipt-${receipt.id}`}>
+                <td>{receipt.receiptNumber}{receipt.voided && ' (void)'}</td>
+                <td>{formatDateForDisplay(receipt.paymentDate)}</td>
+                <td>{formatCurrency(receipt.amount)}</td>
+                <td><ReceiptActions receipt={receipt} onError={setError} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default StudentReceipts;
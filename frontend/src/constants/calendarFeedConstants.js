@@ -0,0 +1,33 @@
+/**
+ * How many days ahead the published calendar feed lists classes and holidays
+ */
+export const CALENDAR_FEED_DAYS_AHEAD = 180;
+
+/**
+ * ID of the feed document the backend serves at CALENDAR_FEED_PATH
+ */
+export const CALENDAR_FEED_ID = 'public';
+export const CALENDAR_FEED_PATH = '/calendar.ics';
+export const CALENDAR_FEED_NAME = 'Dkale Dance Classes';
+export const CALENDAR_FEED_FILE_NAME = 'dkale-dance-calendar.ics';
+
+/**
+ * What happens to each date range of an imported file
+ * - new: added to the holiday calendar
+ * - duplicate: every day is already a holiday, or the range appears earlier in the file
+ * - invalid: cannot be added, e.g. it overlaps part of an existing entry
+ */
+export const IMPORT_STATUSES = {
+  NEW: 'new',
+  DUPLICATE: 'duplicate',
+  INVALID: 'invalid'
+};
+
+export const CALENDAR_FEED_LABELS = {
+  IMPORT_TITLE: 'Import from a Calendar File',
+  IMPORT_HELP: 'Choose an .ics file to preview its dates. Dates that are already holidays are skipped.',
+  FEED_TITLE: 'Calendar Feed',
+  FEED_HELP: 'Upcoming classes, holidays and cancelled classes. Once published, the feed is updated whenever the schedule, the holidays or the cancellations change.',
+  NOT_PUBLISHED: 'The feed has not been published yet.',
+  NO_EVENTS: 'The file has no events.'
+};
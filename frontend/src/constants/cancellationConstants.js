@@ -0,0 +1,27 @@
+/**
+ * Why a class was called off. Unlike holidays, cancellations are decided at short notice,
+ * so fees already charged for the class are reversed and students are notified.
+ */
+export const CANCELLATION_REASONS = {
+  WEATHER: 'weather',
+  INSTRUCTOR_SICK: 'instructorSick',
+  VENUE: 'venue',
+  OTHER: 'other'
+};
+
+export const CANCELLATION_REASON_LABELS = {
+  [CANCELLATION_REASONS.WEATHER]: 'Weather',
+  [CANCELLATION_REASONS.INSTRUCTOR_SICK]: 'Instructor sick',
+  [CANCELLATION_REASONS.VENUE]: 'Venue issue',
+  [CANCELLATION_REASONS.OTHER]: 'Other'
+};
+
+export const CLASS_CANCELLATION_LABELS = {
+  FORM_TITLE: 'Cancel Class',
+  LIST_TITLE: 'Class Cancellations',
+  NO_CANCELLATIONS: 'No classes have been cancelled.',
+  WHOLE_DAY: 'All classes on this date'
+};
+
+// How far back the public dashboard lists cancellations
+export const RECENT_CANCELLATION_DAYS = 30;
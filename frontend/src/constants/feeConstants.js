@@ -0,0 +1,18 @@
+export const FEE_TYPE_OPTIONS = [
+  { value: 'absent', label: 'Absent' },
+  { value: 'late', label: 'Late' },
+  { value: 'noShoes', label: 'No Shoes' },
+  { value: 'notInUniform', label: 'Not in Uniform' }
+];
+
+export const FEE_SCHEDULE_LABELS = {
+  TITLE: 'Fee Settings',
+  CURRENT_RATES: 'Current Rates',
+  HISTORY_TITLE: 'Rate History',
+  FORM_TITLE: 'Schedule a Rate Change',
+  NO_HISTORY: 'No rate changes scheduled. The default rates apply.',
+  DEFAULT_RATE: 'Default',
+  CONFIRM_DELETE: 'Are you sure you want to delete this rate? Attendance on affected dates will fall back to the previous rate.',
+  DELETE_FAILED: 'Failed to delete rate:',
+  LOADING: 'Loading fee schedule...'
+};
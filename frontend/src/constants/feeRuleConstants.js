@@ -0,0 +1,32 @@
+/**
+ * Repeat-offense rules, counted per student within a fee year:
+ * - escalate: offenses after the first afterCount are charged multiplier times the rate
+ * - waiveFirst: the first count offenses are not charged
+ */
+export const FEE_RULE_TYPES = {
+  ESCALATE: 'escalate',
+  WAIVE_FIRST: 'waiveFirst'
+};
+
+export const FEE_RULE_TYPE_LABELS = {
+  [FEE_RULE_TYPES.ESCALATE]: 'Escalate after',
+  [FEE_RULE_TYPES.WAIVE_FIRST]: 'Waive the first'
+};
+
+/**
+ * Fee rules in effect until admins configure their own: no monthly cap and no repeat-offense rules
+ */
+export const DEFAULT_FEE_RULES = {
+  monthlyCap: null,
+  rules: []
+};
+
+export const FEE_RULE_LABELS = {
+  TITLE: 'Fee Caps and Repeat-Offense Rules',
+  CAP_TITLE: 'Monthly Fee Cap',
+  RULES_TITLE: 'Repeat-Offense Rules',
+  FORM_TITLE: 'Add a Rule',
+  NO_RULES: 'No repeat-offense rules. Every offense is charged at its rate.',
+  CONFIRM_DELETE: 'Are you sure you want to delete this rule? Fees on past attendance will be recalculated without it.',
+  DELETE_FAILED: 'Failed to delete rule:'
+};
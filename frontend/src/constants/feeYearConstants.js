@@ -0,0 +1,12 @@
+/**
+ * How long, in months, a student must have been Inactive at the end of a closed fee year before
+ * the close-out offers to move them to Removed (only once they owe nothing)
+ */
+export const DEFAULT_INACTIVE_REMOVAL_MONTHS = 12;
+
+export const FEE_YEAR_CLOSE_LABELS = {
+  TITLE: 'Close Fee Year',
+  ARCHIVE_TAB: 'Archived Years',
+  NO_ARCHIVES: 'No fee years have been closed yet.',
+  CONFIRM_CLOSE: 'Closing a fee year archives its balances and report permanently and posts the carry-forward entries. Continue?'
+};
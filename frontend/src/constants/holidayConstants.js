@@ -0,0 +1,44 @@
+/**
+ * Kinds of calendar entries. Both are fee-free days; closures are studio-specific
+ * (winter break, facility work) and usually span several days.
+ */
+export const HOLIDAY_TYPES = {
+  HOLIDAY: 'holiday',
+  CLOSURE: 'closure'
+};
+
+export const HOLIDAY_TYPE_LABELS = {
+  [HOLIDAY_TYPES.HOLIDAY]: 'Holiday',
+  [HOLIDAY_TYPES.CLOSURE]: 'Closure'
+};
+
+export const HOLIDAY_CALENDAR_LABELS = {
+  TITLE: 'Holiday Calendar',
+  CALENDAR_TITLE: 'Holidays and Closures',
+  BUILT_IN_TITLE: 'Holiday Rules',
+  FORM_TITLE: 'Add a Holiday or Closure',
+  NO_ENTRIES: 'No holidays or closures have been added.',
+  CONFIRM_DELETE: 'Are you sure you want to remove this entry? Fees will be charged again on its dates.'
+};
+
+/**
+ * Lifecycle of an applied holiday change. A change is recorded as applying before any credit
+ * is issued, so one that fails part way still shows up for review.
+ */
+export const HOLIDAY_ADJUSTMENT_STATUSES = {
+  APPLYING: 'applying',
+  APPLIED: 'applied',
+  ROLLED_BACK: 'rolledBack'
+};
+
+export const HOLIDAY_ADJUSTMENT_STATUS_LABELS = {
+  [HOLIDAY_ADJUSTMENT_STATUSES.APPLYING]: 'Incomplete',
+  [HOLIDAY_ADJUSTMENT_STATUSES.APPLIED]: 'Applied',
+  [HOLIDAY_ADJUSTMENT_STATUSES.ROLLED_BACK]: 'Rolled back'
+};
+
+export const HOLIDAY_ADJUSTMENT_LABELS = {
+  TITLE: 'Holiday Changes',
+  NO_ADJUSTMENTS: 'No holiday changes have been applied.',
+  CONFIRM_ROLLBACK: 'Roll back this holiday change? Its credits are reversed, the attendance it changed is restored and the holiday is taken off the calendar.'
+};
@@ -0,0 +1,93 @@
+/**
+ * Ways a holiday rule picks its date each year:
+ * - fixedDate: the same month and day (month is 0-11)
+ * - nthWeekday: the nth weekday of a month (n is 1-4, or -1 for the last one)
+ * - easterRelative: offset days from Easter Sunday (e.g. -2 for Good Friday)
+ */
+export const HOLIDAY_RULE_TYPES = {
+  FIXED_DATE: 'fixedDate',
+  NTH_WEEKDAY: 'nthWeekday',
+  EASTER_RELATIVE: 'easterRelative'
+};
+
+export const HOLIDAY_RULE_TYPE_LABELS = {
+  [HOLIDAY_RULE_TYPES.FIXED_DATE]: 'Fixed date',
+  [HOLIDAY_RULE_TYPES.NTH_WEEKDAY]: 'Nth weekday of month',
+  [HOLIDAY_RULE_TYPES.EASTER_RELATIVE]: 'Days from Easter'
+};
+
+/**
+ * When a holiday falling on a weekend is observed. nearestWeekday moves Saturday to the
+ * Friday before and Sunday to the Monday after.
+ */
+export const HOLIDAY_OBSERVANCES = {
+  ON_DATE: 'onDate',
+  NEAREST_WEEKDAY: 'nearestWeekday'
+};
+
+export const HOLIDAY_OBSERVANCE_LABELS = {
+  [HOLIDAY_OBSERVANCES.ON_DATE]: 'On the date',
+  [HOLIDAY_OBSERVANCES.NEAREST_WEEKDAY]: 'Nearest weekday'
+};
+
+/**
+ * Holiday rule sets an organization can select. Rules the studio adds itself belong to the
+ * custom set, which is always in use.
+ */
+export const HOLIDAY_RULE_SETS = {
+  US_FEDERAL: 'usFederal',
+  HAWAII: 'hawaii'
+};
+
+export const CUSTOM_HOLIDAY_RULE_SET = 'custom';
+
+export const HOLIDAY_RULE_SET_LABELS = {
+  [HOLIDAY_RULE_SETS.US_FEDERAL]: 'US federal holidays',
+  [HOLIDAY_RULE_SETS.HAWAII]: 'Hawaii state holidays',
+  [CUSTOM_HOLIDAY_RULE_SET]: 'Custom'
+};
+
+export const HOLIDAY_RULE_SET_RULES = {
+  [HOLIDAY_RULE_SETS.US_FEDERAL]: [
+    { name: "New Year's Day", type: HOLIDAY_RULE_TYPES.FIXED_DATE, month: 0, day: 1 },
+    { name: 'Martin Luther King Jr. Day', type: HOLIDAY_RULE_TYPES.NTH_WEEKDAY, month: 0, weekday: 1, n: 3 },
+    { name: 'Presidents Day', type: HOLIDAY_RULE_TYPES.NTH_WEEKDAY, month: 1, weekday: 1, n: 3 },
+    { name: 'Memorial Day', type: HOLIDAY_RULE_TYPES.NTH_WEEKDAY, month: 4, weekday: 1, n: -1 },
+    { name: 'Independence Day', type: HOLIDAY_RULE_TYPES.FIXED_DATE, month: 6, day: 4 },
+    { name: 'Labor Day', type: HOLIDAY_RULE_TYPES.NTH_WEEKDAY, month: 8, weekday: 1, n: 1 },
+    { name: 'Columbus Day', type: HOLIDAY_RULE_TYPES.NTH_WEEKDAY, month: 9, weekday: 1, n: 2 },
+    { name: 'Veterans Day', type: HOLIDAY_RULE_TYPES.FIXED_DATE, month: 10, day: 11 },
+    { name: 'Thanksgiving', type: HOLIDAY_RULE_TYPES.NTH_WEEKDAY, month: 10, weekday: 4, n: 4 },
+    { name: 'Christmas Day', type: HOLIDAY_RULE_TYPES.FIXED_DATE, month: 11, day: 25 }
+  ],
+  // State holidays on top of the federal ones
+  [HOLIDAY_RULE_SETS.HAWAII]: [
+    {
+      name: 'Prince Kuhio Day',
+      type: HOLIDAY_RULE_TYPES.FIXED_DATE,
+      month: 2,
+      day: 26,
+      observance: HOLIDAY_OBSERVANCES.NEAREST_WEEKDAY
+    },
+    { name: 'Good Friday', type: HOLIDAY_RULE_TYPES.EASTER_RELATIVE, offset: -2 },
+    {
+      name: 'King Kamehameha Day',
+      type: HOLIDAY_RULE_TYPES.FIXED_DATE,
+      month: 5,
+      day: 11,
+      observance: HOLIDAY_OBSERVANCES.NEAREST_WEEKDAY
+    },
+    { name: 'Statehood Day', type: HOLIDAY_RULE_TYPES.NTH_WEEKDAY, month: 7, weekday: 5, n: 3 }
+  ]
+};
+
+/**
+ * Rule sets in use until an admin selects others
+ */
+export const DEFAULT_HOLIDAY_RULE_SETS = [HOLIDAY_RULE_SETS.US_FEDERAL];
+
+export const HOLIDAY_RULE_LABELS = {
+  RULE_SETS_TITLE: 'Holiday Rule Sets',
+  FORM_TITLE: 'Add a Custom Holiday Rule',
+  CONFIRM_DELETE: 'Are you sure you want to remove this rule? Fees will be charged again on its dates.'
+};
@@ -0,0 +1,60 @@
+/**
+ * Ledger entry types. Every change to what a student owes is one of these.
+ */
+export const LEDGER_ENTRY_TYPES = {
+  CHARGE: 'charge',
+  PAYMENT: 'payment',
+  REFUND: 'refund',
+  HOLIDAY_CREDIT: 'holidayCredit',
+  CANCELLATION_CREDIT: 'cancellationCredit',
+  WAIVER: 'waiver',
+  ADJUSTMENT: 'adjustment'
+};
+
+/**
+ * Ledger accounts. Each entry debits one account and credits another.
+ * Debits to the student receivable raise what the student owes, credits lower it.
+ */
+export const LEDGER_ACCOUNTS = {
+  STUDENT_RECEIVABLE: 'studentReceivable',
+  FEE_REVENUE: 'feeRevenue',
+  CASH: 'cash',
+  FEE_WAIVERS: 'feeWaivers',
+  ADJUSTMENTS: 'adjustments'
+};
+
+/**
+ * The account on the other side of the student receivable for each entry type
+ */
+export const LEDGER_CONTRA_ACCOUNTS = {
+  [LEDGER_ENTRY_TYPES.CHARGE]: LEDGER_ACCOUNTS.FEE_REVENUE,
+  [LEDGER_ENTRY_TYPES.PAYMENT]: LEDGER_ACCOUNTS.CASH,
+  [LEDGER_ENTRY_TYPES.REFUND]: LEDGER_ACCOUNTS.CASH,
+  [LEDGER_ENTRY_TYPES.HOLIDAY_CREDIT]: LEDGER_ACCOUNTS.FEE_REVENUE,
+  [LEDGER_ENTRY_TYPES.CANCELLATION_CREDIT]: LEDGER_ACCOUNTS.FEE_REVENUE,
+  [LEDGER_ENTRY_TYPES.WAIVER]: LEDGER_ACCOUNTS.FEE_WAIVERS,
+  [LEDGER_ENTRY_TYPES.ADJUSTMENT]: LEDGER_ACCOUNTS.ADJUSTMENTS
+};
+
+export const LEDGER_SOURCE_TYPES = {
+  ATTENDANCE: 'attendance',
+  PAYMENT: 'payment',
+  HOLIDAY: 'holiday',
+  HOLIDAY_ADJUSTMENT: 'holidayAdjustment',
+  WAIVER: 'waiver',
+  MANUAL: 'manual',
+  OPENING_BALANCE: 'openingBalance',
+  RECONCILIATION: 'reconciliation',
+  FEE_YEAR_CLOSE: 'feeYearClose',
+  FEE_YEAR_OPENING: 'feeYearOpening'
+};
+
+export const LEDGER_TYPE_LABELS = {
+  [LEDGER_ENTRY_TYPES.CHARGE]: 'Charge',
+  [LEDGER_ENTRY_TYPES.PAYMENT]: 'Payment',
+  [LEDGER_ENTRY_TYPES.REFUND]: 'Refund',
+  [LEDGER_ENTRY_TYPES.HOLIDAY_CREDIT]: 'Holiday Credit',
+  [LEDGER_ENTRY_TYPES.CANCELLATION_CREDIT]: 'Cancellation Credit',
+  [LEDGER_ENTRY_TYPES.WAIVER]: 'Waiver',
+  [LEDGER_ENTRY_TYPES.ADJUSTMENT]: 'Adjustment'
+};
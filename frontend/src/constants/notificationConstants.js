@@ -0,0 +1,11 @@
+/**
+ * Kinds of in-app notices shown to students on their home page
+ */
+export const NOTIFICATION_TYPES = {
+  CLASS_CANCELLED: 'classCancelled'
+};
+
+export const NOTIFICATION_LABELS = {
+  TITLE: 'Notices',
+  NO_NOTIFICATIONS: 'You have no new notices.'
+};
@@ -0,0 +1,27 @@
+/**
+ * Payment record types. Refunds are stored with the payments, with a negative amount.
+ */
+export const PAYMENT_TYPES = {
+  PAYMENT: 'payment',
+  REFUND: 'refund'
+};
+
+/**
+ * Payment methods offered until admins configure their own list.
+ * referenceLabel names the optional reference recorded with a payment (null for none).
+ */
+export const DEFAULT_PAYMENT_METHODS = [
+  { id: 'cash', label: 'Cash', referenceLabel: null, active: true },
+  { id: 'card', label: 'Card', referenceLabel: 'Transaction ID', active: true },
+  { id: 'venmo', label: 'Venmo', referenceLabel: 'Transaction ID', active: true },
+  { id: 'zelle', label: 'Zelle', referenceLabel: 'Confirmation number', active: true },
+  { id: 'check', label: 'Check', referenceLabel: 'Check number', active: true },
+  { id: 'bankTransfer', label: 'Bank transfer', referenceLabel: 'Transaction ID', active: true }
+];
+
+export const PAYMENT_METHODS = DEFAULT_PAYMENT_METHODS.map(method => method.id);
+
+export const PAYMENT_METHOD_LABELS = DEFAULT_PAYMENT_METHODS.reduce((labels, method) => ({
+  ...labels,
+  [method.id]: method.label
+}), {});
@@ -0,0 +1,42 @@
+/**
+ * How far apart a payment plan's installments fall
+ */
+export const PAYMENT_PLAN_FREQUENCIES = {
+  WEEKLY: 'weekly',
+  BIWEEKLY: 'biweekly',
+  MONTHLY: 'monthly'
+};
+
+export const PAYMENT_PLAN_FREQUENCY_LABELS = {
+  [PAYMENT_PLAN_FREQUENCIES.WEEKLY]: 'Weekly',
+  [PAYMENT_PLAN_FREQUENCIES.BIWEEKLY]: 'Every two weeks',
+  [PAYMENT_PLAN_FREQUENCIES.MONTHLY]: 'Monthly'
+};
+
+/**
+ * Stored state of a payment plan. A student has at most one active plan.
+ */
+export const PAYMENT_PLAN_STATES = {
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Progress of a plan, worked out from what has been paid against what has fallen due
+ */
+export const PAYMENT_PLAN_STATUSES = {
+  ON_TRACK: 'onTrack',
+  BEHIND: 'behind',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+export const PAYMENT_PLAN_STATUS_LABELS = {
+  [PAYMENT_PLAN_STATUSES.ON_TRACK]: 'On track',
+  [PAYMENT_PLAN_STATUSES.BEHIND]: 'Behind',
+  [PAYMENT_PLAN_STATUSES.COMPLETED]: 'Completed',
+  [PAYMENT_PLAN_STATUSES.CANCELLED]: 'Cancelled'
+};
+
+export const MAX_PAYMENT_PLAN_INSTALLMENTS = 24;
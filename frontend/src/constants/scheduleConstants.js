@@ -0,0 +1,34 @@
+export const WEEKDAY_OPTIONS = [
+  { value: 0, label: 'Sunday' },
+  { value: 1, label: 'Monday' },
+  { value: 2, label: 'Tuesday' },
+  { value: 3, label: 'Wednesday' },
+  { value: 4, label: 'Thursday' },
+  { value: 5, label: 'Friday' },
+  { value: 6, label: 'Saturday' }
+];
+
+export const CLASS_SCHEDULE_LABELS = {
+  TITLE: 'Class Schedule',
+  RECURRING_TITLE: 'Weekly Classes',
+  ONE_OFF_TITLE: 'Extra Sessions',
+  ADD_RECURRING: 'Add Weekly Class',
+  ADD_ONE_OFF: 'Add Extra Session',
+  NO_RECURRING: 'No weekly classes scheduled. Attendance can be marked on any date until a schedule is set up.',
+  NO_ONE_OFF: 'No extra sessions scheduled.',
+  CONFIRM_DELETE: 'Are you sure you want to delete this from the schedule? Attendance already marked is not affected.',
+  DELETE_FAILED: 'Failed to delete schedule entry:',
+  LOADING: 'Loading class schedule...'
+};
+
+export const CHECKIN_LABELS = {
+  TITLE: 'Check In',
+  PROMPT: 'Enter your PIN or scan your card',
+  WELCOME: 'Welcome, {name}! You are checked in.',
+  MARKED_LATE: 'Marked late ({minutes} min after the start).',
+  ALREADY_CHECKED_IN: '{name}, you are already checked in for this class.',
+  CHOOSE_SESSION: '{name}, which class are you here for?',
+  UNAUTHORIZED: 'The check-in kiosk must be opened from an admin account.',
+  GRACE_TITLE: 'Kiosk Check-in',
+  GRACE_HELP: 'Kiosk check-ins more than this many minutes after a class starts are marked late.'
+};
@@ -0,0 +1,18 @@
+/**
+ * Account statement line types, in the order lines of the same day are listed
+ */
+export const STATEMENT_LINE_TYPES = {
+  CHARGE: 'charge',
+  CREDIT: 'credit',
+  ADJUSTMENT: 'adjustment',
+  PAYMENT: 'payment',
+  REFUND: 'refund'
+};
+
+export const STATEMENT_LINE_LABELS = {
+  [STATEMENT_LINE_TYPES.CHARGE]: 'Charge',
+  [STATEMENT_LINE_TYPES.CREDIT]: 'Credit',
+  [STATEMENT_LINE_TYPES.ADJUSTMENT]: 'Adjustment',
+  [STATEMENT_LINE_TYPES.PAYMENT]: 'Payment',
+  [STATEMENT_LINE_TYPES.REFUND]: 'Refund'
+};
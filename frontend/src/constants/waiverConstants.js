@@ -0,0 +1,20 @@
+/**
+ * Fee waiver states. Waivers at or below the approval threshold are approved when requested;
+ * larger ones stay pending until a second admin approves or rejects them.
+ */
+export const WAIVER_STATUSES = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+export const WAIVER_STATUS_LABELS = {
+  [WAIVER_STATUSES.PENDING]: 'Pending approval',
+  [WAIVER_STATUSES.APPROVED]: 'Approved',
+  [WAIVER_STATUSES.REJECTED]: 'Rejected'
+};
+
+/**
+ * Largest waiver, in dollars, one admin can grant alone until admins configure their own
+ */
+export const DEFAULT_WAIVER_APPROVAL_THRESHOLD = 25;
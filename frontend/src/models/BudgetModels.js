@@ -197,8 +197,9 @@ export class ExpenseEntry extends BaseBudgetEntry {
  * Budget Summary - Aggregated view of budget data
  */
 export class BudgetSummary {
-  constructor(feeRevenue = 0, contributionRevenue = 0, totalExpenses = 0, period = null) {
-    this.feeRevenue = feeRevenue;
+  constructor(feeRevenue = 0, contributionRevenue = 0, totalExpenses = 0, period = null, refunds = 0) {
+    this.feeRevenue = feeRevenue; // Net of refunds
+    this.refunds = refunds; // Student refunds in the period, as negative revenue
     this.contributionRevenue = contributionRevenue;
     this.totalExpenses = totalExpenses;
     this.period = period; // { startDate, endDate }
@@ -1,5 +1,6 @@
-import { getFirestore, doc, setDoc, getDoc, Timestamp } from "firebase/firestore";
+import { getFirestore, doc, setDoc, getDoc, Timestamp, collection, query, where, getDocs, documentId } from "firebase/firestore";
 import app from "../lib/firebase/config/config";
+import { getAttendanceDocId, parseAttendanceDocId } from "../utils/AttendanceDocUtils";
 import { formatDateForDocId } from "../utils/DateUtils";
 
 export class AttendanceRepository {
@@ -19,13 +20,14 @@ export class AttendanceRepository {
    * Used by the PublicDashboard to allow admins to delete fee entries
    * @param {Date} date - The date of the fee/attendance record to remove
    * @param {string} studentId - The student's ID
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<Object|null>} The removed record or null if not found
    */
-  async removeFeeRecord(date, studentId) {
+  async removeFeeRecord(date, studentId, sessionId = null) {
     try {
       // This is the same as removeAttendance but with a different name
       // to clarify its purpose in the fee-related context
-      return this.removeAttendance(date, studentId);
+      return this.removeAttendance(date, studentId, sessionId);
     } catch (error) {
       console.error("Error removing fee record:", error);
       throw new Error(`Failed to remove fee record: ${error.message}`);
@@ -33,14 +35,15 @@ export class AttendanceRepository {
   }
 
   /**
-   * Fetches attendance records for a specific date
+   * Fetches attendance records for a specific date (and class session)
    * @param {Date} date - The date to get attendance for
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<Object>} Attendance data keyed by student ID
    */
-  async getAttendanceByDate(date) {
+  async getAttendanceByDate(date, sessionId = null) {
     try {
-      const dateStr = formatDateForDocId(date);
-      const attendanceRef = doc(this.db, this.collectionName, dateStr);
+      const docId = getAttendanceDocId(date, sessionId);
+      const attendanceRef = doc(this.db, this.collectionName, docId);
       const docSnap = await getDoc(attendanceRef);
       
       if (docSnap.exists()) {
@@ -54,15 +57,70 @@ export class AttendanceRepository {
     }
   }
   
+  /**
+   * Fetches every attendance document for a date: the day document and one per class session
+   * @param {Date} date - The date to get attendance for
+   * @returns {Promise<Array>} Array of { sessionId, records } (sessionId is null for the day document)
+   */
+  async getAttendanceSessionsByDate(date) {
+    try {
+      const dateStr = formatDateForDocId(date);
+      const attendanceRef = collection(this.db, this.collectionName);
+      const q = query(
+        attendanceRef,
+        where(documentId(), ">=", dateStr),
+        where(documentId(), "<=", `${dateStr}_\uf8ff`)
+      );
+      
+      const querySnapshot = await getDocs(q);
+      
+      return querySnapshot.docs.map(doc => ({
+        sessionId: parseAttendanceDocId(doc.id).sessionId,
+        records: doc.data()
+      }));
+    } catch (error) {
+      console.error("Error fetching attendance sessions:", error);
+      throw new Error(`Failed to fetch attendance sessions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fetches every attendance document (days and class sessions) between two dates, inclusive
+   * @param {Date} startDate - First date
+   * @param {Date} endDate - Last date
+   * @returns {Promise<Array>} Array of { id, dateStr, sessionId, records }
+   */
+  async getAttendanceByDateRange(startDate, endDate) {
+    try {
+      const attendanceRef = collection(this.db, this.collectionName);
+      const q = query(
+        attendanceRef,
+        where(documentId(), ">=", formatDateForDocId(startDate)),
+        where(documentId(), "<=", `${formatDateForDocId(endDate)}_\uf8ff`)
+      );
+
+      const querySnapshot = await getDocs(q);
+
+      return querySnapshot.docs.map(doc => {
+        const { dateStr, sessionId } = parseAttendanceDocId(doc.id);
+        return { id: doc.id, dateStr, sessionId, records: doc.data() };
+      });
+    } catch (error) {
+      console.error("Error fetching attendance by date range:", error);
+      throw new Error(`Failed to fetch attendance by date range: ${error.message}`);
+    }
+  }
+
   /**
    * Gets a single attendance record for a specific student and date
    * @param {Date} date - The date of attendance
    * @param {string} studentId - The student's ID
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<Object|null>} Attendance record or null if not found
    */
-  async getAttendanceRecord(date, studentId) {
+  async getAttendanceRecord(date, studentId, sessionId = null) {
     try {
-      const attendanceData = await this.getAttendanceByDate(date);
+      const attendanceData = await this.getAttendanceByDate(date, sessionId);
       // Ensure we always return the complete record structure even if some properties are missing
       const record = attendanceData[studentId] || null;
       
@@ -83,12 +141,13 @@ export class AttendanceRepository {
    * @param {Date} date - The date of attendance
    * @param {string} studentId - The student's ID
    * @param {string} status - Attendance status ('present', 'absent', 'late', 'medicalAbsence', 'holiday')
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<void>}
    */
-  async updateAttendance(date, studentId, status) {
+  async updateAttendance(date, studentId, status, sessionId = null) {
     try {
-      const dateStr = formatDateForDocId(date);
-      const attendanceRef = doc(this.db, this.collectionName, dateStr);
+      const docId = getAttendanceDocId(date, sessionId);
+      const attendanceRef = doc(this.db, this.collectionName, docId);
       
       // Create update data with the current timestamp
       const updateData = {
@@ -112,12 +171,13 @@ export class AttendanceRepository {
    * @param {Date} date - The date of attendance
    * @param {string[]} studentIds - Array of student IDs
    * @param {string} status - Attendance status ('present', 'absent', 'late', 'medicalAbsence', 'holiday')
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<void>}
    */
-  async bulkUpdateAttendance(date, studentIds, status) {
+  async bulkUpdateAttendance(date, studentIds, status, sessionId = null) {
     try {
-      const dateStr = formatDateForDocId(date);
-      const attendanceRef = doc(this.db, this.collectionName, dateStr);
+      const docId = getAttendanceDocId(date, sessionId);
+      const attendanceRef = doc(this.db, this.collectionName, docId);
       
       // Create update data for all students
       const now = new Date();
@@ -144,19 +204,22 @@ export class AttendanceRepository {
    * @param {string} studentId - The student's ID
    * @param {string} status - Attendance status ('present', 'absent', 'late', 'medicalAbsence', 'holiday')
    * @param {Object} attributes - Attributes like { noShoes: true, notInUniform: true }
+   * @param {string|null} sessionId - Class session ID (null for the day document)
+   * @param {Object|null} checkIn - Kiosk check-in details (method, checkedInAt, minutesAfterStart), kept on later edits
    * @returns {Promise<void>}
    */
-  async updateAttendanceWithAttributes(date, studentId, status, attributes) {
+  async updateAttendanceWithAttributes(date, studentId, status, attributes, sessionId = null, checkIn = null) {
     try {
-      const dateStr = formatDateForDocId(date);
-      const attendanceRef = doc(this.db, this.collectionName, dateStr);
+      const docId = getAttendanceDocId(date, sessionId);
+      const attendanceRef = doc(this.db, this.collectionName, docId);
       
       // Create update data with attributes
       const updateData = {
         [studentId]: {
           status,
           timestamp: Timestamp.fromDate(new Date()),
-          attributes
+          attributes,
+          ...(checkIn && { checkIn })
         }
       };
       
@@ -174,12 +237,13 @@ export class AttendanceRepository {
    * @param {string[]} studentIds - Array of student IDs
    * @param {string} status - Attendance status ('present', 'absent', 'late', 'medicalAbsence', 'holiday')
    * @param {Object} attributes - Attributes like { noShoes: true, notInUniform: true }
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<void>}
    */
-  async bulkUpdateAttendanceWithAttributes(date, studentIds, status, attributes) {
+  async bulkUpdateAttendanceWithAttributes(date, studentIds, status, attributes, sessionId = null) {
     try {
-      const dateStr = formatDateForDocId(date);
-      const attendanceRef = doc(this.db, this.collectionName, dateStr);
+      const docId = getAttendanceDocId(date, sessionId);
+      const attendanceRef = doc(this.db, this.collectionName, docId);
       
       // Create update data for all students with attributes
       const now = new Date();
@@ -204,12 +268,13 @@ export class AttendanceRepository {
    * Removes attendance record for a specific student on a given date
    * @param {Date} date - The date of attendance
    * @param {string} studentId - The student's ID
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<void>}
    */
-  async removeAttendance(date, studentId) {
+  async removeAttendance(date, studentId, sessionId = null) {
     try {
-      const dateStr = formatDateForDocId(date);
-      const attendanceRef = doc(this.db, this.collectionName, dateStr);
+      const docId = getAttendanceDocId(date, sessionId);
+      const attendanceRef = doc(this.db, this.collectionName, docId);
       
       // Get the current attendance data
       const docSnap = await getDoc(attendanceRef);
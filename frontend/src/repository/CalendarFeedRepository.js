@@ -0,0 +1,62 @@
+import { getFirestore, doc, setDoc, getDoc, Timestamp } from "firebase/firestore";
+import app from "../lib/firebase/config/config";
+
+export class CalendarFeedRepository {
+  constructor() {
+    try {
+      this.db = getFirestore(app);
+    } catch (error) {
+      console.error("Error initializing Firestore:", error);
+      // For tests, provide a mock db
+      this.db = {};
+    }
+    this.collectionName = "calendarFeeds";
+  }
+
+  /**
+   * Retrieves a published feed
+   * @param {string} feedId - The feed ID
+   * @returns {Promise<Object|null>} Feed with ics text, eventCount, publishedBy and publishedAt, or null if never published
+   */
+  async getFeed(feedId) {
+    try {
+      const feedRef = doc(this.db, this.collectionName, feedId);
+      const docSnap = await getDoc(feedRef);
+
+      return docSnap.exists() ? { id: docSnap.id, ...docSnap.data() } : null;
+    } catch (error) {
+      console.error("Error fetching calendar feed:", error);
+      throw new Error(`Failed to fetch calendar feed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publishes a feed, replacing the previous version
+   * @param {string} feedId - The feed ID
+   * @param {Object} feedData - Feed data with ics text, eventCount and publishedBy
+   * @returns {Promise<Object>} The published feed
+   */
+  async saveFeed(feedId, feedData) {
+    try {
+      const feedRef = doc(this.db, this.collectionName, feedId);
+
+      const feed = {
+        ...feedData,
+        publishedAt: Timestamp.fromDate(new Date())
+      };
+
+      await setDoc(feedRef, feed);
+
+      return {
+        id: feedId,
+        ...feed
+      };
+    } catch (error) {
+      console.error("Error publishing calendar feed:", error);
+      throw new Error(`Failed to publish calendar feed: ${error.message}`);
+    }
+  }
+}
+
+// Export a default instance
+export const calendarFeedRepository = new CalendarFeedRepository();
@@ -0,0 +1,68 @@
+import { getFirestore, doc, setDoc, Timestamp, collection, query, orderBy, getDocs } from "firebase/firestore";
+import { v4 as uuidv4 } from "uuid";
+import app from "../lib/firebase/config/config";
+
+export class ClassCancellationRepository {
+  constructor() {
+    try {
+      this.db = getFirestore(app);
+    } catch (error) {
+      console.error("Error initializing Firestore:", error);
+      // For tests, provide a mock db
+      this.db = {};
+    }
+    this.collectionName = "classCancellations";
+  }
+
+  /**
+   * Retrieves every class cancellation, earliest first
+   * @returns {Promise<Array>} Array of cancellations
+   */
+  async getAllCancellations() {
+    try {
+      const cancellationsRef = collection(this.db, this.collectionName);
+      const q = query(cancellationsRef, orderBy("date", "asc"));
+
+      const querySnapshot = await getDocs(q);
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching class cancellations:", error);
+      throw new Error(`Failed to fetch class cancellations: ${error.message}`);
+    }
+  }
+
+  /**
+   * Records a class cancellation
+   * @param {Object} cancellationData - date (YYYY-MM-DD), sessionId (null for every class that day),
+   *   className, reason, note and createdBy
+   * @returns {Promise<Object>} Created cancellation with ID
+   */
+  async createCancellation(cancellationData) {
+    try {
+      const cancellationId = uuidv4();
+      const cancellationRef = doc(this.db, this.collectionName, cancellationId);
+
+      const cancellation = {
+        ...cancellationData,
+        createdAt: Timestamp.fromDate(new Date())
+      };
+
+      await setDoc(cancellationRef, cancellation);
+
+      return {
+        id: cancellationId,
+        ...cancellation
+      };
+    } catch (error) {
+      console.error("Error creating class cancellation:", error);
+      throw new Error(`Failed to create class cancellation: ${error.message}`);
+    }
+  }
+}
+
+// Export a default instance
+export const classCancellationRepository = new ClassCancellationRepository();
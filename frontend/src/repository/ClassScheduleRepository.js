@@ -0,0 +1,107 @@
+import { getFirestore, doc, setDoc, updateDoc, deleteDoc, Timestamp, collection, getDocs } from "firebase/firestore";
+import { v4 as uuidv4 } from "uuid";
+import app from "../lib/firebase/config/config";
+
+export class ClassScheduleRepository {
+  constructor() {
+    try {
+      this.db = getFirestore(app);
+    } catch (error) {
+      console.error("Error initializing Firestore:", error);
+      // For tests, provide a mock db
+      this.db = {};
+    }
+    this.collectionName = "classSchedule";
+  }
+
+  /**
+   * Retrieves every schedule entry (recurring classes and one-off sessions)
+   * @returns {Promise<Array>} Array of schedule entries
+   */
+  async getAllEntries() {
+    try {
+      const scheduleRef = collection(this.db, this.collectionName);
+      const querySnapshot = await getDocs(scheduleRef);
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching class schedule:", error);
+      throw new Error(`Failed to fetch class schedule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates a new schedule entry
+   * @param {Object} entryData - Recurring class or one-off session data
+   * @returns {Promise<Object>} Created entry with ID
+   */
+  async createEntry(entryData) {
+    try {
+      const entryId = uuidv4();
+      const entryRef = doc(this.db, this.collectionName, entryId);
+
+      const entry = {
+        ...entryData,
+        createdAt: Timestamp.fromDate(new Date())
+      };
+
+      await setDoc(entryRef, entry);
+
+      return {
+        id: entryId,
+        ...entry
+      };
+    } catch (error) {
+      console.error("Error creating schedule entry:", error);
+      throw new Error(`Failed to create schedule entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Updates an existing schedule entry
+   * @param {string} entryId - The entry ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} The applied updates with ID
+   */
+  async updateEntry(entryId, updates) {
+    try {
+      const entryRef = doc(this.db, this.collectionName, entryId);
+
+      const updateData = {
+        ...updates,
+        updatedAt: Timestamp.fromDate(new Date())
+      };
+
+      await updateDoc(entryRef, updateData);
+
+      return {
+        id: entryId,
+        ...updateData
+      };
+    } catch (error) {
+      console.error("Error updating schedule entry:", error);
+      throw new Error(`Failed to update schedule entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a schedule entry
+   * @param {string} entryId - The entry ID to delete
+   * @returns {Promise<void>}
+   */
+  async deleteEntry(entryId) {
+    try {
+      const entryRef = doc(this.db, this.collectionName, entryId);
+      await deleteDoc(entryRef);
+    } catch (error) {
+      console.error("Error deleting schedule entry:", error);
+      throw new Error(`Failed to delete schedule entry: ${error.message}`);
+    }
+  }
+}
+
+// Export a default instance
+export const classScheduleRepository = new ClassScheduleRepository();
@@ -0,0 +1,110 @@
+import { getFirestore, doc, setDoc, deleteDoc, Timestamp, collection, query, where, orderBy, getDocs } from "firebase/firestore";
+import { v4 as uuidv4 } from "uuid";
+import app from "../lib/firebase/config/config";
+
+export class DepositRepository {
+  constructor() {
+    try {
+      this.db = getFirestore(app);
+    } catch (error) {
+      console.error("Error initializing Firestore:", error);
+      // For tests, provide a mock db
+      this.db = {};
+    }
+    this.collectionName = "deposits";
+  }
+
+  /**
+   * Retrieves every bank deposit
+   * @returns {Promise<Array>} Array of deposits, oldest first
+   */
+  async getAllDeposits() {
+    try {
+      const depositsRef = collection(this.db, this.collectionName);
+      const q = query(depositsRef, orderBy("date", "asc"));
+
+      const querySnapshot = await getDocs(q);
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching deposits:", error);
+      throw new Error(`Failed to fetch deposits: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves the deposits made within a date range
+   * @param {string} startDate - First day (YYYY-MM-DD)
+   * @param {string} endDate - Last day (YYYY-MM-DD)
+   * @returns {Promise<Array>} Array of deposits, oldest first
+   */
+  async getDepositsByDateRange(startDate, endDate) {
+    try {
+      const depositsRef = collection(this.db, this.collectionName);
+      const q = query(
+        depositsRef,
+        where("date", ">=", startDate),
+        where("date", "<=", endDate),
+        orderBy("date", "asc")
+      );
+
+      const querySnapshot = await getDocs(q);
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching deposits by date range:", error);
+      throw new Error(`Failed to fetch deposits by date range: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates a deposit
+   * @param {Object} depositData - Deposit data with method, date (YYYY-MM-DD), amount, reference, paymentIds, notes, createdBy
+   * @returns {Promise<Object>} Created deposit with ID
+   */
+  async createDeposit(depositData) {
+    try {
+      const depositId = uuidv4();
+      const depositRef = doc(this.db, this.collectionName, depositId);
+
+      const deposit = {
+        ...depositData,
+        createdAt: Timestamp.fromDate(new Date())
+      };
+
+      await setDoc(depositRef, deposit);
+
+      return {
+        id: depositId,
+        ...deposit
+      };
+    } catch (error) {
+      console.error("Error creating deposit:", error);
+      throw new Error(`Failed to create deposit: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a deposit
+   * @param {string} depositId - The deposit ID to delete
+   * @returns {Promise<void>}
+   */
+  async deleteDeposit(depositId) {
+    try {
+      const depositRef = doc(this.db, this.collectionName, depositId);
+      await deleteDoc(depositRef);
+    } catch (error) {
+      console.error("Error deleting deposit:", error);
+      throw new Error(`Failed to delete deposit: ${error.message}`);
+    }
+  }
+}
+
+// Export a default instance
+export const depositRepository = new DepositRepository();
@@ -0,0 +1,82 @@
+import { getFirestore, doc, setDoc, deleteDoc, Timestamp, collection, query, orderBy, getDocs } from "firebase/firestore";
+import { v4 as uuidv4 } from "uuid";
+import app from "../lib/firebase/config/config";
+
+export class FeeScheduleRepository {
+  constructor() {
+    try {
+      this.db = getFirestore(app);
+    } catch (error) {
+      console.error("Error initializing Firestore:", error);
+      // For tests, provide a mock db
+      this.db = {};
+    }
+    this.collectionName = "feeSchedule";
+  }
+
+  /**
+   * Retrieves every fee rate entry, oldest effective date first
+   * @returns {Promise<Array>} Array of fee rate entries
+   */
+  async getAllRates() {
+    try {
+      const ratesRef = collection(this.db, this.collectionName);
+      const q = query(ratesRef, orderBy("effectiveFrom", "asc"));
+
+      const querySnapshot = await getDocs(q);
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching fee schedule:", error);
+      throw new Error(`Failed to fetch fee schedule: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates a new fee rate entry
+   * @param {Object} rateData - Rate data with feeType, amount, effectiveFrom (YYYY-MM-DD), adminId
+   * @returns {Promise<Object>} Created rate entry with ID
+   */
+  async createRate(rateData) {
+    try {
+      const rateId = uuidv4();
+      const rateRef = doc(this.db, this.collectionName, rateId);
+
+      const rate = {
+        ...rateData,
+        createdAt: Timestamp.fromDate(new Date())
+      };
+
+      await setDoc(rateRef, rate);
+
+      return {
+        id: rateId,
+        ...rate
+      };
+    } catch (error) {
+      console.error("Error creating fee rate:", error);
+      throw new Error(`Failed to create fee rate: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a fee rate entry
+   * @param {string} rateId - The rate entry ID to delete
+   * @returns {Promise<void>}
+   */
+  async deleteRate(rateId) {
+    try {
+      const rateRef = doc(this.db, this.collectionName, rateId);
+      await deleteDoc(rateRef);
+    } catch (error) {
+      console.error("Error deleting fee rate:", error);
+      throw new Error(`Failed to delete fee rate: ${error.message}`);
+    }
+  }
+}
+
+// Export a default instance
+export const feeScheduleRepository = new FeeScheduleRepository();
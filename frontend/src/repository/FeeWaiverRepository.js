@@ -0,0 +1,134 @@
+import { getFirestore, doc, getDoc, setDoc, updateDoc, Timestamp, collection, query, where, getDocs } from "firebase/firestore";
+import { v4 as uuidv4 } from "uuid";
+import app from "../lib/firebase/config/config";
+
+/**
+ * Store for fee waivers
+ * A waiver lists the fees it forgives as [{ feeId, feeDate, amount }], where feeId is the
+ * attendance document ID of the session charged. The attendance records are left as they were.
+ */
+export class FeeWaiverRepository {
+  constructor() {
+    try {
+      this.db = getFirestore(app);
+    } catch (error) {
+      console.error("Error initializing Firestore:", error);
+      // For tests, provide a mock db
+      this.db = {};
+    }
+    this.collectionName = "feeWaivers";
+  }
+
+  /**
+   * Retrieves a waiver
+   * @param {string} waiverId - The waiver ID
+   * @returns {Promise<Object|null>} Waiver or null if not found
+   */
+  async getWaiverById(waiverId) {
+    try {
+      const waiverRef = doc(this.db, this.collectionName, waiverId);
+      const waiverSnap = await getDoc(waiverRef);
+
+      return waiverSnap.exists() ? { ...waiverSnap.data(), id: waiverSnap.id } : null;
+    } catch (error) {
+      console.error("Error fetching fee waiver:", error);
+      throw new Error(`Failed to fetch fee waiver: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves every waiver of a student
+   * @param {string} studentId - The student's ID
+   * @returns {Promise<Array>} Array of waivers
+   */
+  async getWaiversByStudentId(studentId) {
+    try {
+      const waiversRef = collection(this.db, this.collectionName);
+      const q = query(waiversRef, where("studentId", "==", studentId));
+
+      const querySnapshot = await getDocs(q);
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching fee waivers by student:", error);
+      throw new Error(`Failed to fetch fee waivers by student: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves the waivers in a given state
+   * @param {string} status - pending, approved or rejected
+   * @returns {Promise<Array>} Array of waivers
+   */
+  async getWaiversByStatus(status) {
+    try {
+      const waiversRef = collection(this.db, this.collectionName);
+      const q = query(waiversRef, where("status", "==", status));
+
+      const querySnapshot = await getDocs(q);
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching fee waivers by status:", error);
+      throw new Error(`Failed to fetch fee waivers by status: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates a waiver
+   * @param {Object} waiverData - Waiver data with studentId, studentName, fees, amount, reason, status, requestedBy and approvedBy
+   * @returns {Promise<Object>} Created waiver with ID
+   */
+  async createWaiver(waiverData) {
+    try {
+      const waiverId = uuidv4();
+      const waiverRef = doc(this.db, this.collectionName, waiverId);
+
+      const waiver = {
+        ...waiverData,
+        requestedAt: Timestamp.fromDate(new Date())
+      };
+
+      await setDoc(waiverRef, waiver);
+
+      return {
+        id: waiverId,
+        ...waiver
+      };
+    } catch (error) {
+      console.error("Error creating fee waiver:", error);
+      throw new Error(`Failed to create fee waiver: ${error.message}`);
+    }
+  }
+
+  /**
+   * Updates a waiver
+   * @param {string} waiverId - The waiver ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated waiver
+   */
+  async updateWaiver(waiverId, updates) {
+    try {
+      const waiverRef = doc(this.db, this.collectionName, waiverId);
+
+      await updateDoc(waiverRef, {
+        ...updates,
+        updatedAt: Timestamp.fromDate(new Date())
+      });
+
+      return await this.getWaiverById(waiverId);
+    } catch (error) {
+      console.error("Error updating fee waiver:", error);
+      throw new Error(`Failed to update fee waiver: ${error.message}`);
+    }
+  }
+}
+
+// Export a default instance
+export const feeWaiverRepository = new FeeWaiverRepository();
@@ -0,0 +1,85 @@
+import { getFirestore, doc, getDoc, setDoc, Timestamp, collection, getDocs } from "firebase/firestore";
+import app from "../lib/firebase/config/config";
+
+/**
+ * Store for closed fee years
+ * One document per fee year, keyed by the year the fee year starts in. Archives are written once
+ * when the year is closed and never changed afterwards.
+ */
+export class FeeYearArchiveRepository {
+  constructor() {
+    try {
+      this.db = getFirestore(app);
+    } catch (error) {
+      console.error("Error initializing Firestore:", error);
+      // For tests, provide a mock db
+      this.db = {};
+    }
+    this.collectionName = "feeYearArchives";
+  }
+
+  /**
+   * Retrieves the archive of a fee year
+   * @param {number} feeYear - Start year of the fee year
+   * @returns {Promise<Object|null>} Archive or null if the year has not been closed
+   */
+  async getArchive(feeYear) {
+    try {
+      const archiveRef = doc(this.db, this.collectionName, String(feeYear));
+      const archiveSnap = await getDoc(archiveRef);
+
+      return archiveSnap.exists() ? { ...archiveSnap.data(), id: archiveSnap.id } : null;
+    } catch (error) {
+      console.error("Error fetching fee year archive:", error);
+      throw new Error(`Failed to fetch fee year archive: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves every closed fee year
+   * @returns {Promise<Array>} Array of archives
+   */
+  async getAllArchives() {
+    try {
+      const querySnapshot = await getDocs(collection(this.db, this.collectionName));
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching fee year archives:", error);
+      throw new Error(`Failed to fetch fee year archives: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stores the archive of a closed fee year
+   * @param {number} feeYear - Start year of the fee year
+   * @param {Object} archiveData - Snapshot of the year's balances and financial report
+   * @returns {Promise<Object>} Created archive with ID
+   */
+  async createArchive(feeYear, archiveData) {
+    try {
+      const archiveRef = doc(this.db, this.collectionName, String(feeYear));
+
+      const archive = {
+        ...archiveData,
+        closedAt: Timestamp.fromDate(new Date())
+      };
+
+      await setDoc(archiveRef, archive);
+
+      return {
+        id: String(feeYear),
+        ...archive
+      };
+    } catch (error) {
+      console.error("Error creating fee year archive:", error);
+      throw new Error(`Failed to create fee year archive: ${error.message}`);
+    }
+  }
+}
+
+// Export a default instance
+export const feeYearArchiveRepository = new FeeYearArchiveRepository();
@@ -0,0 +1,108 @@
+import { getFirestore, doc, getDoc, setDoc, updateDoc, Timestamp, collection, query, orderBy, getDocs } from "firebase/firestore";
+import { v4 as uuidv4 } from "uuid";
+import app from "../lib/firebase/config/config";
+
+/**
+ * Store for applied holiday changes
+ * One document per change, holding every credit it issued and the attendance it overwrote,
+ * so the whole change can be rolled back at once.
+ */
+export class HolidayAdjustmentRepository {
+  constructor() {
+    try {
+      this.db = getFirestore(app);
+    } catch (error) {
+      console.error("Error initializing Firestore:", error);
+      // For tests, provide a mock db
+      this.db = {};
+    }
+    this.collectionName = "holidayAdjustments";
+  }
+
+  /**
+   * Retrieves every holiday adjustment, newest first
+   * @returns {Promise<Array>} Array of adjustments
+   */
+  async getAllAdjustments() {
+    try {
+      const adjustmentsRef = collection(this.db, this.collectionName);
+      const q = query(adjustmentsRef, orderBy("createdAt", "desc"));
+
+      const querySnapshot = await getDocs(q);
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching holiday adjustments:", error);
+      throw new Error(`Failed to fetch holiday adjustments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves a holiday adjustment by ID
+   * @param {string} adjustmentId - The adjustment ID
+   * @returns {Promise<Object|null>} Adjustment or null if not found
+   */
+  async getAdjustment(adjustmentId) {
+    try {
+      const adjustmentRef = doc(this.db, this.collectionName, adjustmentId);
+      const adjustmentSnap = await getDoc(adjustmentRef);
+
+      return adjustmentSnap.exists() ? { ...adjustmentSnap.data(), id: adjustmentSnap.id } : null;
+    } catch (error) {
+      console.error("Error fetching holiday adjustment:", error);
+      throw new Error(`Failed to fetch holiday adjustment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Records a holiday adjustment
+   * @param {Object} adjustmentData - date (YYYY-MM-DD), holidayName, status and appliedBy
+   * @returns {Promise<Object>} Created adjustment with ID
+   */
+  async createAdjustment(adjustmentData) {
+    try {
+      const adjustmentId = uuidv4();
+      const adjustmentRef = doc(this.db, this.collectionName, adjustmentId);
+
+      const adjustment = {
+        ...adjustmentData,
+        createdAt: Timestamp.fromDate(new Date())
+      };
+
+      await setDoc(adjustmentRef, adjustment);
+
+      return {
+        id: adjustmentId,
+        ...adjustment
+      };
+    } catch (error) {
+      console.error("Error creating holiday adjustment:", error);
+      throw new Error(`Failed to create holiday adjustment: ${error.message}`);
+    }
+  }
+
+  /**
+   * Updates a holiday adjustment, e.g. with its results or when it is rolled back
+   * @param {string} adjustmentId - The adjustment ID
+   * @param {Object} updates - Fields to change
+   * @returns {Promise<void>}
+   */
+  async updateAdjustment(adjustmentId, updates) {
+    try {
+      const adjustmentRef = doc(this.db, this.collectionName, adjustmentId);
+      await updateDoc(adjustmentRef, {
+        ...updates,
+        updatedAt: Timestamp.fromDate(new Date())
+      });
+    } catch (error) {
+      console.error("Error updating holiday adjustment:", error);
+      throw new Error(`Failed to update holiday adjustment: ${error.message}`);
+    }
+  }
+}
+
+// Export a default instance
+export const holidayAdjustmentRepository = new HolidayAdjustmentRepository();
@@ -0,0 +1,101 @@
+import { getFirestore, doc, setDoc, updateDoc, deleteDoc, Timestamp, collection, query, orderBy, getDocs } from "firebase/firestore";
+import { v4 as uuidv4 } from "uuid";
+import app from "../lib/firebase/config/config";
+
+export class HolidayRepository {
+  constructor() {
+    try {
+      this.db = getFirestore(app);
+    } catch (error) {
+      console.error("Error initializing Firestore:", error);
+      // For tests, provide a mock db
+      this.db = {};
+    }
+    this.collectionName = "holidays";
+  }
+
+  /**
+   * Retrieves every holiday and closure on the calendar, earliest first
+   * @returns {Promise<Array>} Array of calendar entries
+   */
+  async getAllHolidays() {
+    try {
+      const holidaysRef = collection(this.db, this.collectionName);
+      const q = query(holidaysRef, orderBy("startDate", "asc"));
+
+      const querySnapshot = await getDocs(q);
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching holidays:", error);
+      throw new Error(`Failed to fetch holidays: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates a new calendar entry
+   * @param {Object} holidayData - Entry data with name, type, startDate and endDate (YYYY-MM-DD), createdBy
+   * @returns {Promise<Object>} Created entry with ID
+   */
+  async createHoliday(holidayData) {
+    try {
+      const holidayId = uuidv4();
+      const holidayRef = doc(this.db, this.collectionName, holidayId);
+
+      const holiday = {
+        ...holidayData,
+        createdAt: Timestamp.fromDate(new Date())
+      };
+
+      await setDoc(holidayRef, holiday);
+
+      return {
+        id: holidayId,
+        ...holiday
+      };
+    } catch (error) {
+      console.error("Error creating holiday:", error);
+      throw new Error(`Failed to create holiday: ${error.message}`);
+    }
+  }
+
+  /**
+   * Updates a calendar entry
+   * @param {string} holidayId - The entry ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<void>}
+   */
+  async updateHoliday(holidayId, updates) {
+    try {
+      const holidayRef = doc(this.db, this.collectionName, holidayId);
+      await updateDoc(holidayRef, {
+        ...updates,
+        updatedAt: Timestamp.fromDate(new Date())
+      });
+    } catch (error) {
+      console.error("Error updating holiday:", error);
+      throw new Error(`Failed to update holiday: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a calendar entry
+   * @param {string} holidayId - The entry ID to delete
+   * @returns {Promise<void>}
+   */
+  async deleteHoliday(holidayId) {
+    try {
+      const holidayRef = doc(this.db, this.collectionName, holidayId);
+      await deleteDoc(holidayRef);
+    } catch (error) {
+      console.error("Error deleting holiday:", error);
+      throw new Error(`Failed to delete holiday: ${error.message}`);
+    }
+  }
+}
+
+// Export a default instance
+export const holidayRepository = new HolidayRepository();
@@ -0,0 +1,117 @@
+import { getFirestore, doc, setDoc, Timestamp, collection, query, where, getDocs } from "firebase/firestore";
+import { v4 as uuidv4 } from "uuid";
+import app from "../lib/firebase/config/config";
+
+/**
+ * Append-only store for ledger entries
+ * There is deliberately no update or delete: corrections are posted as new entries
+ */
+export class LedgerRepository {
+  constructor() {
+    try {
+      this.db = getFirestore(app);
+    } catch (error) {
+      console.error("Error initializing Firestore:", error);
+      // For tests, provide a mock db
+      this.db = {};
+    }
+    this.collectionName = "ledger";
+  }
+
+  /**
+   * Appends a ledger entry
+   * @param {Object} entryData - Entry with studentId, type, amount, debitAccount, creditAccount and source reference
+   * @returns {Promise<Object>} Created entry with ID
+   */
+  async createEntry(entryData) {
+    try {
+      const entryId = uuidv4();
+      const entryRef = doc(this.db, this.collectionName, entryId);
+
+      const entry = {
+        ...entryData,
+        createdAt: Timestamp.fromDate(new Date())
+      };
+
+      await setDoc(entryRef, entry);
+
+      return {
+        id: entryId,
+        ...entry
+      };
+    } catch (error) {
+      console.error("Error creating ledger entry:", error);
+      throw new Error(`Failed to create ledger entry: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves every ledger entry for a student
+   * @param {string} studentId - The student's ID
+   * @returns {Promise<Array>} Array of ledger entries
+   */
+  async getEntriesByStudentId(studentId) {
+    try {
+      const ledgerRef = collection(this.db, this.collectionName);
+      const q = query(ledgerRef, where("studentId", "==", studentId));
+
+      const querySnapshot = await getDocs(q);
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching student ledger entries:", error);
+      throw new Error(`Failed to fetch student ledger entries: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves the ledger entries posted for a source record (e.g. a payment)
+   * @param {string} sourceType - Source type from LEDGER_SOURCE_TYPES
+   * @param {string} sourceId - ID of the source record
+   * @returns {Promise<Array>} Array of ledger entries
+   */
+  async getEntriesBySource(sourceType, sourceId) {
+    try {
+      const ledgerRef = collection(this.db, this.collectionName);
+      const q = query(
+        ledgerRef,
+        where("sourceType", "==", sourceType),
+        where("sourceId", "==", sourceId)
+      );
+
+      const querySnapshot = await getDocs(q);
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching ledger entries by source:", error);
+      throw new Error(`Failed to fetch ledger entries by source: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves every ledger entry
+   * @returns {Promise<Array>} Array of ledger entries
+   */
+  async getAllEntries() {
+    try {
+      const ledgerRef = collection(this.db, this.collectionName);
+      const querySnapshot = await getDocs(ledgerRef);
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching ledger entries:", error);
+      throw new Error(`Failed to fetch ledger entries: ${error.message}`);
+    }
+  }
+}
+
+export const ledgerRepository = new LedgerRepository();
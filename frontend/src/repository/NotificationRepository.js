@@ -0,0 +1,94 @@
+import { getFirestore, doc, setDoc, updateDoc, Timestamp, collection, query, where, getDocs } from "firebase/firestore";
+import { v4 as uuidv4 } from "uuid";
+import app from "../lib/firebase/config/config";
+
+/**
+ * Store for in-app notices to students, one document per student and notice
+ */
+export class NotificationRepository {
+  constructor() {
+    try {
+      this.db = getFirestore(app);
+    } catch (error) {
+      console.error("Error initializing Firestore:", error);
+      // For tests, provide a mock db
+      this.db = {};
+    }
+    this.collectionName = "notifications";
+  }
+
+  /**
+   * Creates the same notice for several students
+   * @param {string[]} studentIds - Students to notify
+   * @param {Object} notificationData - type, title, message and related fields
+   * @returns {Promise<Array>} Created notices with IDs
+   */
+  async createNotifications(studentIds, notificationData) {
+    try {
+      const createdAt = Timestamp.fromDate(new Date());
+
+      const notifications = studentIds.map(studentId => {
+        const notificationId = uuidv4();
+        const notification = {
+          ...notificationData,
+          studentId,
+          read: false,
+          createdAt
+        };
+
+        return { id: notificationId, ...notification };
+      });
+
+      await Promise.all(notifications.map(({ id, ...notification }) =>
+        setDoc(doc(this.db, this.collectionName, id), notification)
+      ));
+      return notifications;
+    } catch (error) {
+      console.error("Error creating notifications:", error);
+      throw new Error(`Failed to create notifications: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves every notice sent to a student
+   * @param {string} studentId - The student's ID
+   * @returns {Promise<Array>} Array of notices
+   */
+  async getNotificationsByStudentId(studentId) {
+    try {
+      const notificationsRef = collection(this.db, this.collectionName);
+      const q = query(notificationsRef, where("studentId", "==", studentId));
+
+      const querySnapshot = await getDocs(q);
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching notifications:", error);
+      throw new Error(`Failed to fetch notifications: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marks a notice as read
+   * @param {string} notificationId - The notice ID
+   * @returns {Promise<void>}
+   */
+  async markAsRead(notificationId) {
+    try {
+      const notificationRef = doc(this.db, this.collectionName, notificationId);
+      await updateDoc(notificationRef, {
+        read: true,
+        readAt: Timestamp.fromDate(new Date())
+      });
+    } catch (error) {
+      console.error("Error marking notification as read:", error);
+      throw new Error(`Failed to mark notification as read: ${error.message}`);
+    }
+  }
+}
+
+// Export a default instance
+export const notificationRepository = new NotificationRepository();
@@ -0,0 +1,134 @@
+import { getFirestore, doc, getDoc, setDoc, updateDoc, Timestamp, collection, query, where, getDocs } from "firebase/firestore";
+import { v4 as uuidv4 } from "uuid";
+import app from "../lib/firebase/config/config";
+
+/**
+ * Store for student payment plans
+ * A plan keeps its installment schedule and the payments applied to it; what each
+ * installment has received is worked out from those payments by PaymentPlanService.
+ */
+export class PaymentPlanRepository {
+  constructor() {
+    try {
+      this.db = getFirestore(app);
+    } catch (error) {
+      console.error("Error initializing Firestore:", error);
+      // For tests, provide a mock db
+      this.db = {};
+    }
+    this.collectionName = "paymentPlans";
+  }
+
+  /**
+   * Retrieves a payment plan
+   * @param {string} planId - The plan ID
+   * @returns {Promise<Object|null>} Plan or null if not found
+   */
+  async getPlanById(planId) {
+    try {
+      const planRef = doc(this.db, this.collectionName, planId);
+      const planSnap = await getDoc(planRef);
+
+      return planSnap.exists() ? { ...planSnap.data(), id: planSnap.id } : null;
+    } catch (error) {
+      console.error("Error fetching payment plan:", error);
+      throw new Error(`Failed to fetch payment plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves every payment plan of a student
+   * @param {string} studentId - The student's ID
+   * @returns {Promise<Array>} Array of plans
+   */
+  async getPlansByStudentId(studentId) {
+    try {
+      const plansRef = collection(this.db, this.collectionName);
+      const q = query(plansRef, where("studentId", "==", studentId));
+
+      const querySnapshot = await getDocs(q);
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching payment plans by student:", error);
+      throw new Error(`Failed to fetch payment plans by student: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves the payment plans in a given state
+   * @param {string} state - Plan state (active, completed or cancelled)
+   * @returns {Promise<Array>} Array of plans
+   */
+  async getPlansByState(state) {
+    try {
+      const plansRef = collection(this.db, this.collectionName);
+      const q = query(plansRef, where("state", "==", state));
+
+      const querySnapshot = await getDocs(q);
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching payment plans by state:", error);
+      throw new Error(`Failed to fetch payment plans by state: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates a payment plan
+   * @param {Object} planData - Plan data with studentId, studentName, total, frequency, installments, payments, state, notes, createdBy
+   * @returns {Promise<Object>} Created plan with ID
+   */
+  async createPlan(planData) {
+    try {
+      const planId = uuidv4();
+      const planRef = doc(this.db, this.collectionName, planId);
+
+      const plan = {
+        ...planData,
+        createdAt: Timestamp.fromDate(new Date())
+      };
+
+      await setDoc(planRef, plan);
+
+      return {
+        id: planId,
+        ...plan
+      };
+    } catch (error) {
+      console.error("Error creating payment plan:", error);
+      throw new Error(`Failed to create payment plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Updates a payment plan
+   * @param {string} planId - The plan ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated plan
+   */
+  async updatePlan(planId, updates) {
+    try {
+      const planRef = doc(this.db, this.collectionName, planId);
+
+      await updateDoc(planRef, {
+        ...updates,
+        updatedAt: Timestamp.fromDate(new Date())
+      });
+
+      return await this.getPlanById(planId);
+    } catch (error) {
+      console.error("Error updating payment plan:", error);
+      throw new Error(`Failed to update payment plan: ${error.message}`);
+    }
+  }
+}
+
+// Export a default instance
+export const paymentPlanRepository = new PaymentPlanRepository();
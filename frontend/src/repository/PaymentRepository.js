@@ -1,4 +1,4 @@
-import { getFirestore, doc, setDoc, getDoc, deleteDoc, Timestamp, collection, query, where, getDocs, orderBy } from "firebase/firestore";
+import { getFirestore, doc, setDoc, getDoc, updateDoc, deleteDoc, writeBatch, Timestamp, collection, query, where, getDocs, orderBy } from "firebase/firestore";
 import { v4 as uuidv4 } from "uuid";
 import app from "../lib/firebase/config/config";
 
@@ -65,6 +65,74 @@ export class PaymentRepository {
     }
   }
 
+  /**
+   * Creates a refund of a payment and releases the original payment's allocations in one batch,
+   * so the original is never left under-allocated without its refund
+   * @param {Object} refundData - Refund record with studentId, originalPaymentId, amount (negative), date
+   * @param {Array|null} allocations - The original payment's remaining allocations (null to leave them)
+   * @returns {Promise<Object>} Created refund record with ID
+   */
+  async createRefund(refundData, allocations = null) {
+    try {
+      const refundId = uuidv4();
+      const batch = writeBatch(this.db);
+      const now = Timestamp.fromDate(new Date());
+
+      const refund = {
+        ...refundData,
+        date: refundData.date instanceof Date
+          ? Timestamp.fromDate(refundData.date)
+          : Timestamp.fromDate(new Date(refundData.date)),
+        createdAt: now
+      };
+      batch.set(doc(this.db, this.collectionName, refundId), refund);
+
+      if (allocations) {
+        batch.update(doc(this.db, this.collectionName, refundData.originalPaymentId), {
+          allocations,
+          updatedAt: now
+        });
+      }
+
+      await batch.commit();
+
+      return {
+        id: refundId,
+        ...refund
+      };
+    } catch (error) {
+      console.error("Error creating refund:", error);
+      throw new Error(`Failed to create refund: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a refund and gives the original payment its allocations back in one batch,
+   * so the original is never left under-allocated once its refund is gone
+   * @param {Object} refund - The refund record, with id and originalPaymentId
+   * @param {Array|null} allocations - The original payment's allocations (null to leave them)
+   * @returns {Promise<void>}
+   * @throws {Error} If deletion fails
+   */
+  async deleteRefund(refund, allocations = null) {
+    try {
+      const batch = writeBatch(this.db);
+      batch.delete(doc(this.db, this.collectionName, refund.id));
+
+      if (allocations) {
+        batch.update(doc(this.db, this.collectionName, refund.originalPaymentId), {
+          allocations,
+          updatedAt: Timestamp.fromDate(new Date())
+        });
+      }
+
+      await batch.commit();
+    } catch (error) {
+      console.error("Error deleting refund:", error);
+      throw new Error(`Failed to delete refund: ${error.message}`);
+    }
+  }
+
   /**
    * Retrieves a payment by ID
    * @param {string} paymentId - The payment ID
@@ -89,6 +157,35 @@ export class PaymentRepository {
     }
   }
 
+  /**
+   * Updates an existing payment record in place, keeping its ID and creation time
+   * @param {string} paymentId - The payment ID
+   * @param {Object} updateData - Fields to change
+   * @returns {Promise<Object>} The updated payment record
+   */
+  async updatePayment(paymentId, updateData) {
+    try {
+      const paymentRef = doc(this.db, this.collectionName, paymentId);
+      
+      const updates = {
+        ...updateData,
+        updatedAt: Timestamp.fromDate(new Date())
+      };
+      if (updateData.date) {
+        updates.date = updateData.date instanceof Date
+          ? Timestamp.fromDate(updateData.date)
+          : Timestamp.fromDate(new Date(updateData.date));
+      }
+      
+      await updateDoc(paymentRef, updates);
+      
+      return await this.getPaymentById(paymentId);
+    } catch (error) {
+      console.error("Error updating payment:", error);
+      throw new Error(`Failed to update payment: ${error.message}`);
+    }
+  }
+
   /**
    * Retrieves all payments for a specific student
    * @param {string} studentId - The student's ID
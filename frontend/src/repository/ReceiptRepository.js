@@ -0,0 +1,185 @@
+import { getFirestore, doc, getDoc, updateDoc, runTransaction, Timestamp, collection, query, where, getDocs } from "firebase/firestore";
+import app from "../lib/firebase/config/config";
+import { formatReceiptNumber } from "../utils/ReceiptUtils";
+
+/**
+ * Store for payment receipts
+ * Each receipt is saved under its payment's ID and numbered from a per fee year counter.
+ * Receipts are never deleted, so their numbers stay gap-free; a receipt whose payment is
+ * deleted is marked void instead, and one whose payment is edited is kept void beside its
+ * replacement.
+ */
+export class ReceiptRepository {
+  constructor() {
+    try {
+      this.db = getFirestore(app);
+    } catch (error) {
+      console.error("Error initializing Firestore:", error);
+      // For tests, provide a mock db
+      this.db = {};
+    }
+    this.collectionName = "receipts";
+    this.counterCollectionName = "receiptCounters";
+  }
+
+  /**
+   * Takes the next number of a fee year and writes the payment's receipt within a transaction
+   * @param {Object} transaction - Firestore transaction, with no writes made yet
+   * @param {string} paymentId - The payment ID
+   * @param {number} feeYear - Start year of the payment's fee year
+   * @param {Object} receiptData - Receipt contents
+   * @returns {Promise<Object>} The receipt with id, feeYear, sequence and receiptNumber
+   */
+  async numberReceipt(transaction, paymentId, feeYear, receiptData) {
+    const receiptRef = doc(this.db, this.collectionName, paymentId);
+    const counterRef = doc(this.db, this.counterCollectionName, String(feeYear));
+
+    const counterSnap = await transaction.get(counterRef);
+    const sequence = (counterSnap.exists() ? counterSnap.data().lastSequence || 0 : 0) + 1;
+
+    const receipt = {
+      ...receiptData,
+      paymentId,
+      feeYear,
+      sequence,
+      receiptNumber: formatReceiptNumber(feeYear, sequence),
+      voided: false,
+      issuedAt: Timestamp.fromDate(new Date())
+    };
+
+    transaction.set(counterRef, { feeYear, lastSequence: sequence });
+    transaction.set(receiptRef, receipt);
+
+    return { ...receipt, id: paymentId };
+  }
+
+  /**
+   * Issues the receipt of a payment, taking the next number of its fee year
+   * The counter and the receipt are written in one transaction, so a number is only used
+   * once a receipt holds it. If the payment already has a receipt, that receipt is returned.
+   * @param {string} paymentId - The payment ID
+   * @param {number} feeYear - Start year of the payment's fee year
+   * @param {Object} receiptData - Receipt contents
+   * @returns {Promise<Object>} The receipt with id, feeYear, sequence and receiptNumber
+   */
+  async issueReceipt(paymentId, feeYear, receiptData) {
+    try {
+      const receiptRef = doc(this.db, this.collectionName, paymentId);
+
+      return await runTransaction(this.db, async (transaction) => {
+        const receiptSnap = await transaction.get(receiptRef);
+        if (receiptSnap.exists()) {
+          return { ...receiptSnap.data(), id: paymentId };
+        }
+
+        return this.numberReceipt(transaction, paymentId, feeYear, receiptData);
+      });
+    } catch (error) {
+      console.error("Error issuing receipt:", error);
+      throw new Error(`Failed to issue receipt: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replaces the receipt of an edited payment with a newly numbered one
+   * The old receipt is kept void under "<paymentId>_<receiptNumber>", so its number stays on file,
+   * and the new one takes the next number of the payment's (possibly different) fee year.
+   * @param {string} paymentId - The payment ID
+   * @param {number} feeYear - Start year of the payment's fee year
+   * @param {Object} receiptData - Receipt contents
+   * @param {string} reason - Why the old receipt is void
+   * @returns {Promise<Object|null>} The new receipt, or null if the payment had no receipt in use
+   */
+  async reissueReceipt(paymentId, feeYear, receiptData, reason) {
+    try {
+      const receiptRef = doc(this.db, this.collectionName, paymentId);
+
+      return await runTransaction(this.db, async (transaction) => {
+        const receiptSnap = await transaction.get(receiptRef);
+        if (!receiptSnap.exists() || receiptSnap.data().voided) {
+          return null;
+        }
+
+        const previous = receiptSnap.data();
+        const receipt = await this.numberReceipt(transaction, paymentId, feeYear, {
+          ...receiptData,
+          replacesReceiptNumber: previous.receiptNumber
+        });
+
+        transaction.set(doc(this.db, this.collectionName, `${paymentId}_${previous.receiptNumber}`), {
+          ...previous,
+          voided: true,
+          voidReason: reason,
+          voidedAt: Timestamp.fromDate(new Date())
+        });
+
+        return receipt;
+      });
+    } catch (error) {
+      console.error("Error reissuing receipt:", error);
+      throw new Error(`Failed to reissue receipt: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves the receipt of a payment
+   * @param {string} paymentId - The payment ID
+   * @returns {Promise<Object|null>} Receipt or null if none was issued
+   */
+  async getReceiptByPaymentId(paymentId) {
+    try {
+      const receiptRef = doc(this.db, this.collectionName, paymentId);
+      const receiptSnap = await getDoc(receiptRef);
+
+      return receiptSnap.exists() ? { ...receiptSnap.data(), id: receiptSnap.id } : null;
+    } catch (error) {
+      console.error("Error fetching receipt:", error);
+      throw new Error(`Failed to fetch receipt: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retrieves every receipt of a student
+   * @param {string} studentId - The student's ID
+   * @returns {Promise<Array>} Array of receipts
+   */
+  async getReceiptsByStudentId(studentId) {
+    try {
+      const receiptsRef = collection(this.db, this.collectionName);
+      const q = query(receiptsRef, where("studentId", "==", studentId));
+
+      const querySnapshot = await getDocs(q);
+
+      return querySnapshot.docs.map(doc => ({
+        ...doc.data(),
+        id: doc.id
+      }));
+    } catch (error) {
+      console.error("Error fetching student receipts:", error);
+      throw new Error(`Failed to fetch student receipts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marks a receipt void, keeping its number in the sequence
+   * @param {string} paymentId - The payment ID
+   * @param {string} reason - Why the receipt is void
+   * @returns {Promise<void>}
+   */
+  async voidReceipt(paymentId, reason) {
+    try {
+      const receiptRef = doc(this.db, this.collectionName, paymentId);
+      await updateDoc(receiptRef, {
+        voided: true,
+        voidReason: reason,
+        voidedAt: Timestamp.fromDate(new Date())
+      });
+    } catch (error) {
+      console.error("Error voiding receipt:", error);
+      throw new Error(`Failed to void receipt: ${error.message}`);
+    }
+  }
+}
+
+// Export a default instance
+export const receiptRepository = new ReceiptRepository();
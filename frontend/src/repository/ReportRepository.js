@@ -1,6 +1,7 @@
 import { getFirestore, collection, query, where, getDocs, Timestamp, orderBy } from "firebase/firestore";
 import app from "../lib/firebase/config/config";
 import { parseDateString } from "../utils/DateUtils";
+import { parseAttendanceDocId } from "../utils/AttendanceDocUtils";
 
 export class ReportRepository {
   constructor() {
@@ -189,12 +190,15 @@ export class ReportRepository {
       const monthlyAttendance = [];
       
       for (const doc of querySnapshot.docs) {
-        const dateStr = doc.id; // Format should be YYYY-MM-DD
+        // Doc ID is YYYY-MM-DD, or YYYY-MM-DD_{classId} for a class session
+        const { dateStr, sessionId } = parseAttendanceDocId(doc.id);
         const recordDate = new Date(dateStr);
         
         if (recordDate >= startOfMonth && recordDate <= endOfMonth) {
           monthlyAttendance.push({
             date: recordDate,
+            id: doc.id,
+            sessionId,
             data: doc.data()
           });
         }
@@ -226,13 +230,15 @@ export class ReportRepository {
       const monthlyAttendance = [];
       
       for (const doc of querySnapshot.docs) {
-        const dateStr = doc.id; // Format should be YYYY-MM-DD
+        // Doc ID is YYYY-MM-DD, or YYYY-MM-DD_{classId} for a class session
+        const { dateStr, sessionId } = parseAttendanceDocId(doc.id);
         const recordDate = new Date(dateStr);
         
         if (recordDate >= startOfMonth && recordDate <= endOfMonth) {
           monthlyAttendance.push({
             date: recordDate,
             id: doc.id,
+            sessionId,
             records: doc.data()
           });
         }
@@ -316,7 +322,8 @@ export class ReportRepository {
       const attendanceHistory = [];
       
       for (const doc of querySnapshot.docs) {
-        const dateStr = doc.id; // Format should be YYYY-MM-DD
+        // Doc ID is YYYY-MM-DD, or YYYY-MM-DD_{classId} for a class session
+        const { dateStr, sessionId } = parseAttendanceDocId(doc.id);
         const data = doc.data();
         
         // Check if this date's attendance contains data for our student
@@ -326,6 +333,7 @@ export class ReportRepository {
           attendanceHistory.push({
             date: parseDateString(dateStr),
             id: doc.id,
+            sessionId,
             record: data[studentId]
           });
         }
@@ -359,7 +367,8 @@ export class ReportRepository {
       const monthlyAttendance = [];
       
       for (const doc of querySnapshot.docs) {
-        const dateStr = doc.id; // Format should be YYYY-MM-DD
+        // Doc ID is YYYY-MM-DD, or YYYY-MM-DD_{classId} for a class session
+        const { dateStr, sessionId } = parseAttendanceDocId(doc.id);
         const recordDate = new Date(dateStr);
         const allData = doc.data();
         
@@ -384,6 +393,7 @@ export class ReportRepository {
             monthlyAttendance.push({
               date: recordDate,
               id: doc.id,
+              sessionId,
               studentRecords
             });
           }
@@ -422,7 +432,8 @@ export class ReportRepository {
       
       // Filter and organize records by month
       for (const doc of querySnapshot.docs) {
-        const dateStr = doc.id; // Format should be YYYY-MM-DD
+        // Doc ID is YYYY-MM-DD, or YYYY-MM-DD_{classId} for a class session
+        const { dateStr, sessionId } = parseAttendanceDocId(doc.id);
         const recordDate = new Date(dateStr);
         
         if (recordDate >= startOfYear && recordDate <= endOfYear) {
@@ -431,6 +442,7 @@ export class ReportRepository {
           attendanceByMonth[month].push({
             date: recordDate,
             id: doc.id,
+            sessionId,
             records: doc.data()
           });
         }
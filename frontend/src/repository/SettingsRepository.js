@@ -0,0 +1,58 @@
+import { getFirestore, doc, setDoc, getDoc, Timestamp } from "firebase/firestore";
+import app from "../lib/firebase/config/config";
+
+export class SettingsRepository {
+  constructor() {
+    try {
+      this.db = getFirestore(app);
+    } catch (error) {
+      console.error("Error initializing Firestore:", error);
+      // For tests, provide a mock db
+      this.db = {};
+    }
+    this.collectionName = "settings";
+  }
+
+  /**
+   * Retrieves a settings document
+   * @param {string} key - The settings document ID (e.g. "checkin")
+   * @returns {Promise<Object|null>} The stored settings or null if none exist
+   */
+  async getSettings(key) {
+    try {
+      const settingsRef = doc(this.db, this.collectionName, key);
+      const docSnap = await getDoc(settingsRef);
+
+      return docSnap.exists() ? docSnap.data() : null;
+    } catch (error) {
+      console.error("Error fetching settings:", error);
+      throw new Error(`Failed to fetch settings: ${error.message}`);
+    }
+  }
+
+  /**
+   * Saves (merges) values into a settings document
+   * @param {string} key - The settings document ID
+   * @param {Object} values - Values to store
+   * @returns {Promise<Object>} The saved values
+   */
+  async saveSettings(key, values) {
+    try {
+      const settingsRef = doc(this.db, this.collectionName, key);
+      const settings = {
+        ...values,
+        updatedAt: Timestamp.fromDate(new Date())
+      };
+
+      await setDoc(settingsRef, settings, { merge: true });
+
+      return settings;
+    } catch (error) {
+      console.error("Error saving settings:", error);
+      throw new Error(`Failed to save settings: ${error.message}`);
+    }
+  }
+}
+
+// Export a default instance
+export const settingsRepository = new SettingsRepository();
@@ -68,6 +68,21 @@ export class StudentRepository {
     }));
   }
 
+  async getStudentByCheckinCode(checkinCode) {
+    const usersRef = collection(this.db, this.collectionName);
+    const q = query(
+      usersRef,
+      where("role", "==", "student"),
+      where("checkinCode", "==", checkinCode)
+    );
+    const querySnapshot = await getDocs(q);
+    
+    return querySnapshot.docs.map(doc => ({
+      ...doc.data(),
+      id: doc.id
+    }));
+  }
+
   async getAllStudents() {
     const usersRef = collection(this.db, this.collectionName);
     const q = query(usersRef, where("role", "==", "student"));
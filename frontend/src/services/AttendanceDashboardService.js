@@ -3,6 +3,19 @@ import { attendanceService } from './AttendanceService';
 import { holidayFeeAdjustmentService } from './HolidayFeeAdjustmentService';
 import { studentService } from './StudentService';
 import { paymentService } from './PaymentService';
+import { classCancellationService } from './ClassCancellationService';
+import { classScheduleService } from './ClassScheduleService';
+import { notificationService } from './NotificationService';
+import { ledgerService } from './LedgerService';
+import { holidayAdjustmentRepository } from '../repository/HolidayAdjustmentRepository';
+import { feeWaiverRepository } from '../repository/FeeWaiverRepository';
+import { LEDGER_ENTRY_TYPES, LEDGER_SOURCE_TYPES } from '../constants/ledgerConstants';
+import { NOTIFICATION_TYPES } from '../constants/notificationConstants';
+import { HOLIDAY_ADJUSTMENT_STATUSES } from '../constants/holidayConstants';
+import { isWithinEnrollment } from '../utils/EnrollmentUtils';
+import { formatDateForDocId, parseDateString } from '../utils/DateUtils';
+import { getAttendanceDocId, parseAttendanceDocId } from '../utils/AttendanceDocUtils';
+import { getWaivedAmounts } from '../utils/WaiverUtils';
 
 export default class AttendanceDashboardService {
   constructor(
@@ -10,13 +23,25 @@ export default class AttendanceDashboardService {
     attendanceServiceInstance = attendanceService,
     holidayFeeAdjustmentServiceInstance = holidayFeeAdjustmentService,
     studentServiceInstance = studentService,
-    paymentServiceInstance = paymentService
+    paymentServiceInstance = paymentService,
+    classCancellationServiceInstance = classCancellationService,
+    classScheduleServiceInstance = classScheduleService,
+    notificationServiceInstance = notificationService,
+    holidayAdjustmentRepositoryInstance = holidayAdjustmentRepository,
+    ledgerServiceInstance = ledgerService,
+    feeWaiverRepositoryInstance = feeWaiverRepository
   ) {
     this.holidayService = holidayServiceInstance;
     this.attendanceService = attendanceServiceInstance;
     this.holidayFeeAdjustmentService = holidayFeeAdjustmentServiceInstance;
     this.studentService = studentServiceInstance;
     this.paymentService = paymentServiceInstance;
+    this.classCancellationService = classCancellationServiceInstance;
+    this.classScheduleService = classScheduleServiceInstance;
+    this.notificationService = notificationServiceInstance;
+    this.holidayAdjustmentRepository = holidayAdjustmentRepositoryInstance;
+    this.ledgerService = ledgerServiceInstance;
+    this.feeWaiverRepository = feeWaiverRepositoryInstance;
   }
 
   async analyzeHolidayPaymentImpact(date) {
@@ -116,31 +141,108 @@ export default class AttendanceDashboardService {
     ];
   }
 
+  _getSessionAttendance(attendanceSessions, eligibleStudents) {
+    const sessionAttendance = [];
+
+    for (const { sessionId, records } of attendanceSessions) {
+      for (const student of eligibleStudents) {
+        if (records[student.id]) {
+          sessionAttendance.push({ student, sessionId, attendance: records[student.id] });
+        }
+      }
+    }
+
+    return sessionAttendance;
+  }
+
+  /**
+   * Looks up what approved waivers took off a fee, loading each student's waivers once
+   * @returns {Function} async (studentId, feeId) => waived amount, where feeId is the attendance document ID
+   */
+  _createWaiverLookup() {
+    const waivedByStudent = new Map();
+
+    return async (studentId, feeId) => {
+      if (!waivedByStudent.has(studentId)) {
+        waivedByStudent.set(studentId, this.feeWaiverRepository.getWaiversByStudentId(studentId)
+          .then(waivers => getWaivedAmounts(waivers)[studentId] || {}));
+      }
+      return (await waivedByStudent.get(studentId))[feeId] || 0;
+    };
+  }
+
+  /**
+   * Prices each student's marking in each session on a date as it was charged (fee schedule, fee
+   * rules, enrollment and waivers), while the date is not yet a holiday, and the student's later markings that
+   * change once it is marked with the new status. The markings are changed one at a time, so a student
+   * with several sessions that day has each priced after the ones before it.
+   * @param {Date} date - The date
+   * @param {Array} sessionAttendance - From _getSessionAttendance
+   * @param {Array} eligibleStudents - Students whose enrollment decides what is charged
+   * @param {string} status - Status the markings change to ('holiday' or 'cancelled')
+   * @param {Object} options - { post } to post the re-priced later markings through postMarkingFeeChange,
+   *   { onPriced } called with each entry and its { chargedFee, repriced } once it is priced (and posted)
+   * @returns {Promise<Array>} { chargedFee, repriced } for each entry of sessionAttendance, in order
+   */
+  async _priceMarkingChanges(date, sessionAttendance, eligibleStudents, status, { post = false, onPriced = null } = {}) {
+    const history = await this.attendanceService.getFeeRuleHistory(date, eligibleStudents);
+    const getWaived = this._createWaiverLookup();
+    const priced = [];
+
+    for (const entry of sessionAttendance) {
+      const { student, sessionId, attendance } = entry;
+      const change = { date, sessionId, previous: attendance, next: { status, attributes: {} } };
+      const { feeDifference, repriced: laterMarkings } = post
+        ? await this.attendanceService.postMarkingFeeChange(student.id, change, { student, history, repriceOnly: true })
+        : await this.attendanceService.priceMarkingFeeChange(student.id, change, { student, history });
+
+      const markingId = getAttendanceDocId(date, sessionId);
+      if (history[student.id]) {
+        history[student.id] = [
+          ...history[student.id].filter(marking => marking.id !== markingId),
+          { id: markingId, date, ...change.next }
+        ];
+      }
+      const repriced = laterMarkings.map(({ markingId, feeDifference: markingDifference }) => ({
+        studentId: student.id,
+        markingId,
+        feeDifference: markingDifference
+      }));
+      // What a waiver took off was never owed, so it is not credited again
+      const waived = await getWaived(student.id, markingId);
+      const result = { chargedFee: Math.max(0, Math.round((-feeDifference - waived) * 100) / 100), repriced };
+      if (onPriced) {
+        await onPriced(entry, result);
+      }
+      priced.push(result);
+    }
+
+    return priced;
+  }
+
   async analyzeHolidayChangeImpact(date, newHolidayName = 'Manual Holiday') {
     try {
-      // Get current attendance data for the date
-      const attendanceData = await this.attendanceService.getAttendanceByDate(date);
+      // Get current attendance data for every session on the date
+      const attendanceSessions = await this.attendanceService.getAttendanceSessionsByDate(date);
       const eligibleStudents = await this.attendanceService.getEligibleStudents();
-      
+
       // Analyze payment impact
       const paymentImpact = await this.analyzeHolidayPaymentImpact(date);
-      
-      // Filter students who have attendance on this date
-      const studentsWithAttendance = eligibleStudents.filter(student => 
-        attendanceData[student.id]
-      );
+
+      // Collect each student's attendance in each session on this date
+      const sessionAttendance = this._getSessionAttendance(attendanceSessions, eligibleStudents);
 
       // Calculate fee adjustments for each student
       const affectedStudents = [];
       let totalAttendanceAdjustment = 0;
 
-      for (const student of studentsWithAttendance) {
-        const attendance = attendanceData[student.id];
-        
+      for (const { student, sessionId, attendance } of sessionAttendance) {
+
         // Calculate current fee (without holiday consideration)
         const currentFee = this.attendanceService.calculateAttendanceFee(
           attendance.status,
-          attendance.attributes || {}
+          attendance.attributes || {},
+          date
         );
 
         // Calculate new fee (with holiday consideration - should be 0)
@@ -159,6 +261,7 @@ export default class AttendanceDashboardService {
             newFee: newFee,
             adjustment: adjustment,
             creditAmount: Math.abs(adjustment),
+            sessionId,
             type: 'attendance'
           });
           totalAttendanceAdjustment += Math.abs(adjustment);
@@ -213,7 +316,15 @@ export default class AttendanceDashboardService {
     }
   }
 
-  async processHolidayPaymentAdjustments(date, newHolidayName) {
+  /**
+   * Credits the payments made on or for a date that became a holiday
+   * @param {Date} date - The holiday
+   * @param {string} newHolidayName - Name of the holiday
+   * @param {string|null} adjustmentId - Holiday adjustment the credits belong to
+   * @param {Function|null} onCredited - Awaited after each credit is issued, with the payment adjustment
+   * @returns {Promise<Object>} { paymentAdjustments, totalPaymentCredits }
+   */
+  async processHolidayPaymentAdjustments(date, newHolidayName, adjustmentId = null, onCredited = null) {
     try {
       const paymentImpact = await this.analyzeHolidayPaymentImpact(date);
       
@@ -250,18 +361,7 @@ export default class AttendanceDashboardService {
           }
 
           // Add holiday credit and adjust balance
-          await this._applyHolidayPaymentCredit(payment, date, newHolidayName);
-          
-          paymentAdjustments.push({
-            studentId: payment.studentId,
-            studentName: payment.studentName,
-            paymentId: payment.paymentId,
-            amount: payment.amount,
-            creditAmount: payment.creditAmount,
-            balanceAdjusted: true
-          });
-
-          totalPaymentCredits += payment.creditAmount;
+          await this._applyHolidayPaymentCredit(payment, date, newHolidayName, adjustmentId);
         } catch (error) {
           console.error(`Error processing payment adjustment for student ${payment.studentId}:`, error);
           paymentAdjustments.push({
@@ -270,6 +370,22 @@ export default class AttendanceDashboardService {
             error: error.message,
             balanceAdjusted: false
           });
+          continue;
+        }
+
+        const paymentAdjustment = {
+          studentId: payment.studentId,
+          studentName: payment.studentName,
+          paymentId: payment.paymentId,
+          amount: payment.amount,
+          creditAmount: payment.creditAmount,
+          balanceAdjusted: true
+        };
+        paymentAdjustments.push(paymentAdjustment);
+        totalPaymentCredits += payment.creditAmount;
+        // A credit that cannot be recorded stops the adjustments, so no further credits go unrecorded
+        if (onCredited) {
+          await onCredited(paymentAdjustment);
         }
       }
 
@@ -311,7 +427,7 @@ export default class AttendanceDashboardService {
     }
   }
 
-  async _applyHolidayPaymentCredit(payment, date, holidayName) {
+  async _applyHolidayPaymentCredit(payment, date, holidayName, adjustmentId = null) {
     await this.studentService.addHolidayCredit(payment.studentId, {
       amount: payment.creditAmount,
       date: date,
@@ -319,13 +435,21 @@ export default class AttendanceDashboardService {
       paymentId: payment.paymentId,
       paymentMethod: payment.paymentMethod,
       originalNotes: payment.notes,
-      reason: `Holiday payment adjustment for ${holidayName} - Payment made on holiday`
+      reason: `Holiday payment adjustment for ${holidayName} - Payment made on holiday`,
+      ...(adjustmentId && { adjustmentId })
     });
 
     console.log(`Applying $${payment.creditAmount} credit to ${payment.studentName}`);
     const updatedStudent = await this.studentService.reduceBalance(
       payment.studentId, 
-      payment.creditAmount
+      payment.creditAmount,
+      {
+        type: LEDGER_ENTRY_TYPES.HOLIDAY_CREDIT,
+        sourceType: LEDGER_SOURCE_TYPES.PAYMENT,
+        sourceId: payment.paymentId,
+        date,
+        description: `Holiday payment adjustment for ${holidayName}`
+      }
     );
     console.log(`${payment.studentName} new balance: $${updatedStudent.balance}`);
   }
@@ -345,51 +469,224 @@ export default class AttendanceDashboardService {
     return null;
   }
 
-  async processHolidayChange(date, newHolidayName = 'Manual Holiday', confirmed = false) {
+  /**
+   * Works out what marking a date as a holiday would do, without changing anything
+   * Every holiday change is previewed first: per student, the fees charged on the date now (fee rules
+   * and enrollment applied, as they were charged) and once it is a holiday, the credits to issue, the
+   * later fees the fee rules re-price and how the balance moves. A date that is already a holiday is
+   * charged nothing, so no credits are issued.
+   * @param {Date} date - Date to mark as a holiday
+   * @param {string} holidayName - Name of the holiday
+   * @returns {Promise<Object>} { date, holidayName, alreadyHoliday, students, totals }
+   */
+  async previewHolidayChange(date, holidayName = 'Manual Holiday') {
+    try {
+      const alreadyHoliday = Boolean(this.holidayService.isHoliday(date));
+      const attendanceSessions = await this.attendanceService.getAttendanceSessionsByDate(date);
+      const eligibleStudents = await this.attendanceService.getEligibleStudents();
+      const sessionAttendance = this._getSessionAttendance(attendanceSessions, eligibleStudents);
+      const pricedMarkings = alreadyHoliday
+        ? sessionAttendance.map(() => ({ chargedFee: 0, repriced: [] }))
+        : await this._priceMarkingChanges(date, sessionAttendance, eligibleStudents, 'holiday');
+      const affectedPayments = alreadyHoliday
+        ? []
+        : (await this.analyzeHolidayPaymentImpact(date)).affectedPayments;
+
+      const rows = new Map();
+      const getRow = (studentId, name) => {
+        if (!rows.has(studentId)) {
+          rows.set(studentId, { studentId, name, oldFee: 0, newFee: 0, attendanceCredit: 0, paymentCredit: 0, repricedFees: 0, sessions: [], payments: [] });
+        }
+        return rows.get(studentId);
+      };
+
+      sessionAttendance.forEach(({ student, sessionId, attendance }, index) => {
+        const { chargedFee: oldFee, repriced } = pricedMarkings[index];
+        const row = getRow(student.id, `${student.firstName} ${student.lastName}`);
+
+        // No fees are charged on holidays
+        row.oldFee += oldFee;
+        row.attendanceCredit += oldFee;
+        row.repricedFees += repriced.reduce((sum, marking) => sum + marking.feeDifference, 0);
+        row.sessions.push({ sessionId, status: attendance.status, oldFee, newFee: 0 });
+      });
+
+      for (const payment of affectedPayments) {
+        const shouldProcess = await this._shouldProcessPaymentCredit(payment, date);
+        const creditAmount = shouldProcess.process ? payment.creditAmount : 0;
+        const row = getRow(payment.studentId, payment.studentName || 'Unknown');
+
+        row.paymentCredit += creditAmount;
+        row.payments.push({
+          paymentId: payment.paymentId,
+          amount: payment.amount,
+          creditAmount,
+          skipped: !shouldProcess.process,
+          reason: shouldProcess.reason || null
+        });
+      }
+
+      const students = await Promise.all([...rows.values()].map(async row => {
+        const student = await this.studentService.getStudentById(row.studentId);
+        const currentBalance = student?.balance || 0;
+        const creditsToIssue = row.attendanceCredit + row.paymentCredit;
+        const balanceDelta = Math.round((row.repricedFees - creditsToIssue) * 100) / 100;
+
+        return {
+          ...row,
+          creditsToIssue,
+          balanceDelta,
+          currentBalance,
+          newBalance: currentBalance + balanceDelta
+        };
+      }));
+
+      const sum = field => students.reduce((total, row) => total + row[field], 0);
+
+      return {
+        date: formatDateForDocId(date),
+        holidayName,
+        alreadyHoliday,
+        students: students.sort((a, b) => a.name.localeCompare(b.name)),
+        totals: {
+          oldFees: sum('oldFee'),
+          newFees: sum('newFee'),
+          attendanceCredits: sum('attendanceCredit'),
+          paymentCredits: sum('paymentCredit'),
+          repricedFees: sum('repricedFees'),
+          creditsToIssue: sum('creditsToIssue'),
+          balanceDelta: sum('balanceDelta')
+        }
+      };
+    } catch (error) {
+      console.error('Error previewing holiday change:', error);
+      throw new Error(`Failed to preview holiday change: ${error.message}`);
+    }
+  }
+
+  /**
+   * Marks a date as a holiday and issues the credits shown by previewHolidayChange
+   * The change is recorded as one holiday adjustment holding every credit issued and the attendance
+   * it overwrote, so rollbackHolidayChange can undo it in one step, even if it stopped part way. A date
+   * that is already a holiday is only marked 'holiday' in attendance; no credits are issued. A date can
+   * only have one applied change at a time.
+   * @param {Date} date - Date to mark as a holiday
+   * @param {string} newHolidayName - Name of the holiday
+   * @param {boolean} confirmed - Must be true; the admin confirms the preview before credits are issued
+   * @param {Object} options - { appliedBy: user ID of the admin }
+   * @returns {Promise<Object>} Summary of the change, with the adjustmentId to roll it back
+   */
+  async processHolidayChange(date, newHolidayName = 'Manual Holiday', confirmed = false, { appliedBy = null } = {}) {
     try {
       if (!confirmed) {
         throw new Error('Holiday change must be explicitly confirmed');
       }
 
-      // Add the date as a holiday
       const normalizedDate = new Date(date);
-      this.holidayService.addSpecificHoliday(
-        normalizedDate.getFullYear(),
-        normalizedDate.getMonth(),
-        normalizedDate.getDate(),
-        newHolidayName
-      );
+      const dateKey = formatDateForDocId(normalizedDate);
 
-      // Get attendance data for processing
-      const attendanceData = await this.attendanceService.getAttendanceByDate(date);
+      const appliedChange = (await this.holidayAdjustmentRepository.getAllAdjustments())
+        .find(adjustment => adjustment.date === dateKey && adjustment.status !== HOLIDAY_ADJUSTMENT_STATUSES.ROLLED_BACK);
+      if (appliedChange) {
+        throw new Error(`A holiday change for ${normalizedDate.toLocaleDateString()} is already applied; roll it back first`);
+      }
+
+      const adjustment = await this.holidayAdjustmentRepository.createAdjustment({
+        date: dateKey,
+        holidayName: newHolidayName,
+        status: HOLIDAY_ADJUSTMENT_STATUSES.APPLYING,
+        appliedBy
+      });
+
+      // Price the date's markings as they were charged, before the date becomes a holiday, and
+      // re-price the later markings they no longer count toward. Each re-pricing is recorded as it is
+      // posted so a rollback can reverse it. A date that is already fee-free was charged nothing,
+      // so it gets no credits.
+      await this.holidayService.loadCalendar();
+      const holidayAdded = !this.holidayService.isHoliday(normalizedDate);
+      const attendanceSessions = await this.attendanceService.getAttendanceSessionsByDate(date);
       const eligibleStudents = await this.attendanceService.getEligibleStudents();
-      
-      // Build attendance records for processing
-      const attendanceRecords = [];
-      for (const student of eligibleStudents) {
-        if (attendanceData[student.id]) {
-          attendanceRecords.push({
-            studentId: student.id,
-            date: normalizedDate,
-            status: attendanceData[student.id].status,
-            attributes: attendanceData[student.id].attributes || {}
-          });
-        }
+      const sessionAttendance = this._getSessionAttendance(attendanceSessions, eligibleStudents);
+      const repricedMarkings = [];
+      const pricedMarkings = holidayAdded
+        ? await this._priceMarkingChanges(normalizedDate, sessionAttendance, eligibleStudents, 'holiday', {
+            post: true,
+            onPriced: (entry, { repriced }) => {
+              if (repriced.length === 0) return null;
+              repricedMarkings.push(...repriced);
+              return this.holidayAdjustmentRepository.updateAdjustment(adjustment.id, { repriced: repricedMarkings });
+            }
+          })
+        : [];
+
+      if (holidayAdded) {
+        await this.holidayService.addSpecificHoliday(
+          normalizedDate.getFullYear(),
+          normalizedDate.getMonth(),
+          normalizedDate.getDate(),
+          newHolidayName
+        );
       }
 
+      // Record what the change overwrites before any credit is issued, and each credit as it is
+      // issued, so a change that stops part way can still be rolled back
+      await this.holidayAdjustmentRepository.updateAdjustment(adjustment.id, {
+        holidayAdded,
+        attendance: sessionAttendance.map(({ student, sessionId, attendance }) => ({
+          studentId: student.id,
+          sessionId: sessionId || null,
+          status: attendance.status,
+          attributes: attendance.attributes || {}
+        }))
+      });
+
+      const creditedAttendance = [];
+      const creditedPayments = [];
+      const recordCredits = () => {
+        const students = this._getCreditsIssued(creditedAttendance, creditedPayments, eligibleStudents);
+        return this.holidayAdjustmentRepository.updateAdjustment(adjustment.id, {
+          students,
+          totalCreditsIssued: students.reduce((sum, entry) => sum + entry.creditsIssued, 0)
+        });
+      };
+
+      // Build attendance records for processing
+      const attendanceRecords = sessionAttendance.map(({ student, attendance }, index) => ({
+        studentId: student.id,
+        date: normalizedDate,
+        status: attendance.status,
+        attributes: attendance.attributes || {},
+        adjustmentId: adjustment.id,
+        chargedFee: pricedMarkings[index]?.chargedFee ?? 0
+      }));
+
       // Process holiday fee adjustments (attendance)
-      const adjustmentResults = await this.holidayFeeAdjustmentService.scanAndAdjustHolidayFees(
-        attendanceRecords
-      );
+      const adjustmentResults = holidayAdded
+        ? await this.holidayFeeAdjustmentService.scanAndAdjustHolidayFees(attendanceRecords, result => {
+            creditedAttendance.push(result);
+            return recordCredits();
+          })
+        : [];
 
       // Process holiday payment adjustments
-      const paymentResults = await this.processHolidayPaymentAdjustments(date, newHolidayName);
+      const paymentResults = holidayAdded
+        ? await this.processHolidayPaymentAdjustments(date, newHolidayName, adjustment.id, paymentAdjustment => {
+            creditedPayments.push(paymentAdjustment);
+            return recordCredits();
+          })
+        : { paymentAdjustments: [], totalPaymentCredits: 0 };
 
-      // Update all attendance statuses to 'holiday' for this date
-      const studentIds = attendanceRecords.map(r => r.studentId);
-      if (studentIds.length > 0) {
-        await this.attendanceService.bulkMarkAttendance(date, studentIds, 'holiday');
+      // Update all attendance statuses to 'holiday' for this date, session by session
+      for (const { sessionId } of attendanceSessions) {
+        const sessionStudentIds = sessionAttendance
+          .filter(entry => entry.sessionId === sessionId)
+          .map(entry => entry.student.id);
+
+        if (sessionStudentIds.length > 0) {
+          await this.attendanceService.bulkMarkAttendance(date, sessionStudentIds, 'holiday', sessionId);
+        }
       }
+      const studentIds = attendanceRecords.map(r => r.studentId);
 
       // Calculate summary
       const successfulAttendanceAdjustments = adjustmentResults.filter(r => r.balanceAdjusted);
@@ -404,9 +701,18 @@ export default class AttendanceDashboardService {
       const totalCreditsIssued = totalAttendanceCredits + totalPaymentCredits;
       const totalAffectedStudents = successfulAttendanceAdjustments.length + successfulPaymentAdjustments.length;
 
+      await this.holidayAdjustmentRepository.updateAdjustment(adjustment.id, {
+        status: HOLIDAY_ADJUSTMENT_STATUSES.APPLIED,
+        students: this._getCreditsIssued(successfulAttendanceAdjustments, successfulPaymentAdjustments, eligibleStudents),
+        totalAttendanceCredits,
+        totalPaymentCredits,
+        totalCreditsIssued
+      });
+
       return {
         success: true,
-        holidayAdded: true,
+        adjustmentId: adjustment.id,
+        holidayAdded,
         attendanceUpdated: studentIds.length,
         adjustmentResults,
         paymentAdjustments: paymentResults.paymentAdjustments,
@@ -426,6 +732,32 @@ export default class AttendanceDashboardService {
     }
   }
 
+  _getCreditsIssued(attendanceAdjustments, paymentAdjustments, eligibleStudents) {
+    const credits = new Map();
+    const getEntry = (studentId) => {
+      if (!credits.has(studentId)) {
+        const student = eligibleStudents.find(s => s.id === studentId);
+        const name = student ? `${student.firstName} ${student.lastName}` : studentId;
+        credits.set(studentId, { studentId, name, attendanceCredit: 0, paymentCredit: 0, creditsIssued: 0 });
+      }
+      return credits.get(studentId);
+    };
+
+    for (const result of attendanceAdjustments) {
+      const entry = getEntry(result.studentId);
+      entry.attendanceCredit += Math.abs(result.adjustmentCalculation.adjustment);
+      entry.creditsIssued += Math.abs(result.adjustmentCalculation.adjustment);
+    }
+    for (const payment of paymentAdjustments) {
+      const entry = getEntry(payment.studentId);
+      if (payment.studentName) entry.name = payment.studentName;
+      entry.paymentCredit += payment.creditAmount;
+      entry.creditsIssued += payment.creditAmount;
+    }
+
+    return [...credits.values()];
+  }
+
   async getHolidayWarning(date) {
     try {
       const impact = await this.analyzeHolidayChangeImpact(date);
@@ -489,41 +821,333 @@ export default class AttendanceDashboardService {
   }
 
   /**
-   * Retroactively process a date as a holiday - useful for fixing cases where
-   * holiday status was set via dropdown instead of proper holiday processing
+   * Gets every applied holiday change, newest first
+   * @returns {Promise<Array>} Holiday adjustments
    */
-  async retroactivelyProcessHoliday(date, holidayName = 'Retroactive Holiday') {
+  async getHolidayChanges() {
+    return this.holidayAdjustmentRepository.getAllAdjustments();
+  }
+
+  /**
+   * Undoes a holiday change made by processHolidayChange
+   * The credits it issued are reversed with ledger entries (the ledger is append-only), its holiday
+   * credits are removed, the later fees it re-priced are put back, the attendance it overwrote is
+   * restored without charging fees again, and the holiday it added is taken off the calendar.
+   * @param {string} adjustmentId - The holiday adjustment to roll back
+   * @param {Object} options - { rolledBackBy: user ID of the admin }
+   * @returns {Promise<Object>} Summary of the reversal
+   * A change that stopped part way (still applying) is rolled back from the credits recorded so far.
+   * @throws {Error} If the change is unknown, already rolled back, or its credits have been used
+   */
+  async rollbackHolidayChange(adjustmentId, { rolledBackBy = null } = {}) {
     try {
-      console.log(`Processing retroactive holiday for ${date.toLocaleDateString()}`);
-      
-      // First check if this date already has the holiday in HolidayService
-      const isAlreadyHoliday = this.holidayService.isHoliday(date);
-      if (!isAlreadyHoliday) {
-        // Add the date as a holiday
-        this.holidayService.addSpecificHoliday(
-          date.getFullYear(),
-          date.getMonth(),
-          date.getDate(),
-          holidayName
+      const adjustment = await this.holidayAdjustmentRepository.getAdjustment(adjustmentId);
+      if (!adjustment) {
+        throw new Error('Holiday change not found');
+      }
+      if (adjustment.status === HOLIDAY_ADJUSTMENT_STATUSES.ROLLED_BACK) {
+        throw new Error('This holiday change has already been rolled back');
+      }
+
+      const date = parseDateString(adjustment.date);
+      const students = adjustment.students || [];
+
+      // Credits already applied to later fees cannot be taken back automatically
+      for (const entry of students) {
+        const holidayCredits = await this.studentService.getHolidayCredits(entry.studentId);
+        const used = holidayCredits.some(credit => credit.adjustmentId === adjustment.id && (credit.usedAmount || 0) > 0);
+        if (used) {
+          throw new Error(`Holiday credits from this change have already been used by ${entry.name}; it can no longer be rolled back`);
+        }
+      }
+
+      const reversals = [];
+      for (const entry of students) {
+        if (!(entry.creditsIssued > 0)) continue;
+
+        try {
+          await this.studentService.addBalance(entry.studentId, entry.creditsIssued, {
+            type: LEDGER_ENTRY_TYPES.HOLIDAY_CREDIT,
+            sourceType: LEDGER_SOURCE_TYPES.HOLIDAY_ADJUSTMENT,
+            sourceId: adjustment.id,
+            date,
+            description: `Holiday change rolled back (${adjustment.holidayName})`,
+            createdBy: rolledBackBy
+          });
+          await this.studentService.removeHolidayCredits(entry.studentId, adjustment.id);
+          reversals.push({ studentId: entry.studentId, amount: entry.creditsIssued, reversed: true });
+        } catch (error) {
+          console.error(`Error reversing holiday credit for student ${entry.studentId}:`, error);
+          reversals.push({ studentId: entry.studentId, amount: entry.creditsIssued, error: error.message, reversed: false });
+        }
+      }
+
+      // The restored attendance counts toward the cap and the offense counts again
+      for (const { studentId, markingId, feeDifference } of adjustment.repriced || []) {
+        const { dateStr, sessionId } = parseAttendanceDocId(markingId);
+        await this.attendanceService.postFeeDifference(studentId, -feeDifference, this.attendanceService.getLedgerDetails(
+          parseDateString(dateStr),
+          sessionId,
+          `Fee rules re-applied after the ${adjustment.date} holiday change was rolled back`
+        ));
+      }
+
+      // Put back the attendance the change marked as holiday
+      for (const record of adjustment.attendance || []) {
+        await this.attendanceService.markAttendanceWithAttributes(
+          date,
+          record.studentId,
+          record.status,
+          record.attributes || {},
+          record.sessionId || null
         );
-        console.log(`Added ${date.toLocaleDateString()} as holiday: ${holidayName}`);
       }
-      
-      // Process holiday payment adjustments for existing payments on this date
-      const paymentResults = await this.processHolidayPaymentAdjustments(date, holidayName);
-      console.log('Payment adjustment results:', paymentResults);
-      
+
+      if (adjustment.holidayAdded) {
+        await this.holidayService.removeSpecificHoliday(date.getFullYear(), date.getMonth(), date.getDate());
+      }
+
+      const totalReversed = reversals
+        .filter(reversal => reversal.reversed)
+        .reduce((sum, reversal) => sum + reversal.amount, 0);
+
+      await this.holidayAdjustmentRepository.updateAdjustment(adjustment.id, {
+        status: HOLIDAY_ADJUSTMENT_STATUSES.ROLLED_BACK,
+        rolledBackBy,
+        rolledBackAt: new Date().toISOString(),
+        reversals
+      });
+
       return {
         success: true,
-        date: date.toLocaleDateString(),
-        holidayName,
+        adjustmentId: adjustment.id,
+        reversals,
+        totalReversed,
+        attendanceRestored: (adjustment.attendance || []).length,
+        holidayRemoved: Boolean(adjustment.holidayAdded),
+        message: `Rolled back ${adjustment.holidayName} on ${date.toLocaleDateString()}. ` +
+                `Reversed $${totalReversed} in holiday credits and restored ${(adjustment.attendance || []).length} attendance records.`
+      };
+    } catch (error) {
+      console.error('Error rolling back holiday change:', error);
+      throw new Error(`Failed to roll back holiday change: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancels a class at short notice (weather, a sick instructor, a venue problem)
+   * Unlike a holiday, the date stays a normal class day: fees already charged for the cancelled
+   * classes are reversed (less any waiver), the students' later fees are re-priced without them,
+   * payments made for the date are credited back when every class that day is cancelled, the
+   * classes' attendance is marked 'cancelled' and the students are sent an in-app notice.
+   * The cancellation is saved once its credits are issued. Every step can run again, so a
+   * cancellation that stopped part way is finished by confirming it again: markings already
+   * marked 'cancelled' have been re-priced, and fees and payments already credited are skipped.
+   * @param {Date} date - Date of the cancelled class
+   * @param {Object} details - { sessionId (null cancels every class that day), className, reason, note, createdBy }
+   * @param {boolean} confirmed - Must be true; the admin confirms before credits are issued
+   * @returns {Promise<Object>} Summary of the credits issued and students notified
+   */
+  async processClassCancellation(date, { sessionId = null, className = null, reason, note = '', createdBy = null } = {}, confirmed = false) {
+    try {
+      if (!confirmed) {
+        throw new Error('Class cancellation must be explicitly confirmed');
+      }
+
+      const normalizedDate = new Date(date);
+      await Promise.all([
+        this.classCancellationService.loadCancellations(),
+        this.classScheduleService.loadSchedule()
+      ]);
+
+      // Payments are not tied to a session, so they are only credited when the whole day is called off
+      // (a whole-day cancellation cannot be added once any class that day is cancelled)
+      const creditPayments = !sessionId;
+
+      const cancellationData = { date: normalizedDate, sessionId, className, reason, note, createdBy };
+      const reasonLabel = this.classCancellationService.getReasonLabel(
+        await this.classCancellationService.prepareCancellation(cancellationData)
+      );
+
+      // Get attendance data for the cancelled sessions
+      const attendanceSessions = (await this.attendanceService.getAttendanceSessionsByDate(normalizedDate))
+        .filter(session => !sessionId || session.sessionId === sessionId);
+      const eligibleStudents = await this.attendanceService.getEligibleStudents();
+      const sessionAttendance = this._getSessionAttendance(attendanceSessions, eligibleStudents);
+
+      // Each marking is marked 'cancelled' as soon as the later markings are re-priced without it
+      const pricedMarkings = await this._priceMarkingChanges(
+        normalizedDate,
+        sessionAttendance.filter(({ attendance }) => attendance.status !== 'cancelled'),
+        eligibleStudents,
+        'cancelled',
+        {
+          post: true,
+          onPriced: ({ student, sessionId: markingSessionId }) =>
+            this.attendanceService.markAttendance(normalizedDate, student.id, 'cancelled', markingSessionId)
+        }
+      );
+      const feeReversals = await this._reverseCancelledClassFees(normalizedDate, sessionAttendance, reasonLabel);
+      const paymentResults = creditPayments
+        ? await this._creditCancelledClassPayments(normalizedDate, reasonLabel)
+        : { paymentAdjustments: [], totalPaymentCredits: 0 };
+
+      // Mark every enrolled student 'cancelled' so closing the session charges no absences
+      const enrolledStudents = eligibleStudents.filter(student => isWithinEnrollment(student, normalizedDate));
+      const cancelledSessionIds = this._getCancelledSessionIds(normalizedDate, sessionId, attendanceSessions);
+      if (enrolledStudents.length > 0) {
+        for (const cancelledSessionId of cancelledSessionIds) {
+          await this.attendanceService.bulkMarkAttendance(
+            normalizedDate,
+            enrolledStudents.map(student => student.id),
+            'cancelled',
+            cancelledSessionId
+          );
+        }
+      }
+
+      const cancellation = await this.classCancellationService.addCancellation(cancellationData);
+
+      const notifiedStudents = await this._notifyCancellation(
+        normalizedDate,
+        cancellation,
+        reasonLabel,
+        [
+          ...enrolledStudents.map(student => student.id),
+          ...paymentResults.paymentAdjustments.map(adjustment => adjustment.studentId)
+        ]
+      );
+
+      const totalFeeReversals = feeReversals
+        .filter(reversal => reversal.balanceAdjusted)
+        .reduce((sum, reversal) => sum + reversal.amount, 0);
+      const totalPaymentCredits = paymentResults.totalPaymentCredits;
+      const totalCreditsIssued = totalFeeReversals + totalPaymentCredits;
+
+      return {
+        success: true,
+        cancellation,
+        attendanceUpdated: enrolledStudents.length * cancelledSessionIds.length,
+        feeReversals,
+        repriced: pricedMarkings.flatMap(marking => marking.repriced),
         paymentAdjustments: paymentResults.paymentAdjustments,
-        totalCreditsIssued: paymentResults.totalPaymentCredits
+        totalFeeReversals,
+        totalPaymentCredits,
+        totalCreditsIssued,
+        notifiedStudents,
+        message: `Cancelled ${className || 'classes'} on ${normalizedDate.toLocaleDateString()} (${reasonLabel}). ` +
+                `Issued $${totalCreditsIssued} in credits` +
+                (totalFeeReversals > 0 ? ` (Fees reversed: $${totalFeeReversals})` : '') +
+                (totalPaymentCredits > 0 ? ` (Payments: $${totalPaymentCredits})` : '') +
+                ` and notified ${notifiedStudents} students.`
       };
-      
     } catch (error) {
-      console.error('Error processing retroactive holiday:', error);
-      throw new Error(`Failed to process retroactive holiday: ${error.message}`);
+      console.error('Error processing class cancellation:', error);
+      throw new Error(`Failed to process class cancellation: ${error.message}`);
+    }
+  }
+
+  _getCancelledSessionIds(date, sessionId, attendanceSessions) {
+    if (sessionId) {
+      return [sessionId];
+    }
+
+    const sessionIds = new Set([
+      ...attendanceSessions.map(session => session.sessionId),
+      ...this.classScheduleService.getSessionsForDate(date).map(session => session.sessionId)
+    ]);
+    return sessionIds.size > 0 ? [...sessionIds] : [null];
+  }
+
+  async _reverseCancelledClassFees(date, sessionAttendance, reasonLabel) {
+    const feeReversals = [];
+    const getWaived = this._createWaiverLookup();
+
+    for (const { student, sessionId } of sessionAttendance) {
+      let amount = 0;
+      try {
+        // Reverse what the ledger still holds for the marking (fee rules and later edits included),
+        // less what a waiver already took off; a reversal already posted leaves nothing to reverse
+        const ledgerDetails = this.attendanceService.getLedgerDetails(date, sessionId, `Fee reversed - class cancelled (${reasonLabel})`);
+        const posted = await this.ledgerService.getSourceBalance(student.id, ledgerDetails.sourceType, ledgerDetails.sourceId);
+        amount = this.ledgerService.roundAmount(posted - await getWaived(student.id, ledgerDetails.sourceId));
+        if (amount <= 0) continue;
+
+        await this.studentService.reduceBalance(student.id, amount, {
+          type: LEDGER_ENTRY_TYPES.CANCELLATION_CREDIT,
+          ...ledgerDetails
+        });
+        feeReversals.push({ studentId: student.id, sessionId, amount, balanceAdjusted: true });
+      } catch (error) {
+        console.error(`Error reversing cancelled class fee for student ${student.id}:`, error);
+        feeReversals.push({ studentId: student.id, sessionId, amount, error: error.message, balanceAdjusted: false });
+      }
+    }
+
+    return feeReversals;
+  }
+
+  async _creditCancelledClassPayments(date, reasonLabel) {
+    const paymentImpact = await this.analyzeHolidayPaymentImpact(date);
+    const paymentAdjustments = [];
+    let totalPaymentCredits = 0;
+
+    for (const payment of paymentImpact.affectedPayments) {
+      try {
+        // A payment credited by an earlier attempt at the cancellation is not credited again
+        const entries = await this.ledgerService.getSourceEntries(payment.studentId, LEDGER_SOURCE_TYPES.PAYMENT, payment.paymentId);
+        if (entries.some(entry => entry.type === LEDGER_ENTRY_TYPES.CANCELLATION_CREDIT)) continue;
+
+        await this.studentService.reduceBalance(payment.studentId, payment.creditAmount, {
+          type: LEDGER_ENTRY_TYPES.CANCELLATION_CREDIT,
+          sourceType: LEDGER_SOURCE_TYPES.PAYMENT,
+          sourceId: payment.paymentId,
+          date,
+          description: `Payment credited - class cancelled (${reasonLabel})`
+        });
+
+        paymentAdjustments.push({
+          studentId: payment.studentId,
+          studentName: payment.studentName,
+          paymentId: payment.paymentId,
+          amount: payment.amount,
+          creditAmount: payment.creditAmount,
+          balanceAdjusted: true
+        });
+        totalPaymentCredits += payment.creditAmount;
+      } catch (error) {
+        console.error(`Error crediting payment ${payment.paymentId} for cancelled class:`, error);
+        paymentAdjustments.push({
+          studentId: payment.studentId,
+          paymentId: payment.paymentId,
+          error: error.message,
+          balanceAdjusted: false
+        });
+      }
+    }
+
+    return { paymentAdjustments, totalPaymentCredits };
+  }
+
+  async _notifyCancellation(date, cancellation, reasonLabel, studentIds) {
+    const what = cancellation.className ? `${cancellation.className} class` : 'Classes';
+    const verb = cancellation.className ? 'is' : 'are';
+
+    try {
+      const notifications = await this.notificationService.notifyStudents(studentIds, {
+        type: NOTIFICATION_TYPES.CLASS_CANCELLED,
+        title: `Class cancelled on ${date.toLocaleDateString()}`,
+        message: `${what} on ${date.toLocaleDateString()} ${verb} cancelled (${reasonLabel}).` +
+                (cancellation.note ? ` ${cancellation.note}` : '') +
+                ' No fees are charged for the cancelled class.',
+        date: cancellation.date,
+        cancellationId: cancellation.id
+      });
+      return notifications.length;
+    } catch (error) {
+      // The cancellation and credits stand even if the notices could not be sent
+      console.error('Error notifying students of class cancellation:', error);
+      return 0;
     }
   }
 }
@@ -533,5 +1157,9 @@ export const attendanceDashboardService = new AttendanceDashboardService(
   attendanceService,
   holidayFeeAdjustmentService,
   studentService,
-  paymentService
+  paymentService,
+  classCancellationService,
+  classScheduleService,
+  notificationService,
+  holidayAdjustmentRepository
 );
\ No newline at end of file
@@ -2,14 +2,23 @@ import { attendanceRepository } from "../repository/AttendanceRepository";
 import { studentRepository } from "../repository/StudentRepository";
 import { studentService } from "../services/StudentService";
 import { holidayService } from "../services/HolidayService";
+import { feeScheduleService } from "../services/FeeScheduleService";
+import { feeRuleService } from "../services/FeeRuleService";
 import { sortStudentsByFirstName } from "../utils/sorting";
+import { formatDateForDocId } from "../utils/DateUtils";
+import { isWithinEnrollment, isChargeableOnDate } from "../utils/EnrollmentUtils";
+import { getAttendanceDocId, parseAttendanceDocId } from "../utils/AttendanceDocUtils";
+import { groupMarkingsByStudent } from "../utils/FeeRuleUtils";
+import { LEDGER_SOURCE_TYPES } from "../constants/ledgerConstants";
 
 export default class AttendanceService {
-  constructor(attendanceRepository, studentRepository, studentServiceInstance = studentService, holidayServiceInstance = holidayService) {
+  constructor(attendanceRepository, studentRepository, studentServiceInstance = studentService, holidayServiceInstance = holidayService, feeScheduleServiceInstance = feeScheduleService, feeRuleServiceInstance = feeRuleService) {
     this.attendanceRepository = attendanceRepository;
     this.studentRepository = studentRepository;
     this.studentService = studentServiceInstance;
     this.holidayService = holidayServiceInstance;
+    this.feeScheduleService = feeScheduleServiceInstance;
+    this.feeRuleService = feeRuleServiceInstance;
   }
   
   /**
@@ -17,26 +26,53 @@ export default class AttendanceService {
    * Used by the PublicDashboard to allow admins to delete fee entries and update balances
    * @param {Date} date - The date of the fee/attendance record to remove
    * @param {string} studentId - The student's ID
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<Object>} Result containing status, previous record details, and balance adjustment
    */
-  async removeFeeRecord(date, studentId) {
+  async removeFeeRecord(date, studentId, sessionId = null) {
     try {
       // This is essentially the same as removeAttendanceWithFeeAdjustment
       // but with a different name for clarity in the fee-related context
-      return this.removeAttendanceWithFeeAdjustment(date, studentId);
+      return this.removeAttendanceWithFeeAdjustment(date, studentId, sessionId);
     } catch (error) {
       console.error("Error removing fee record:", error);
       throw new Error(`Failed to remove fee record: ${error.message}`);
     }
   }
 
+  /**
+   * Source reference for ledger entries posted because of an attendance record
+   * @param {Date} date - The date of attendance
+   * @param {string|null} sessionId - Class session ID (null for the day document)
+   * @param {string} description - What changed
+   * @returns {Object} Ledger entry details
+   */
+  getLedgerDetails(date, sessionId, description) {
+    return {
+      sourceType: LEDGER_SOURCE_TYPES.ATTENDANCE,
+      sourceId: getAttendanceDocId(date, sessionId),
+      date,
+      description
+    };
+  }
+
   /**
    * Get raw attendance data for a specific date
    * @param {Date} date - The date to get attendance for
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<Object>} Attendance data keyed by student ID
    */
-  async getAttendanceByDate(date) {
-    return this.attendanceRepository.getAttendanceByDate(date);
+  async getAttendanceByDate(date, sessionId = null) {
+    return this.attendanceRepository.getAttendanceByDate(date, sessionId);
+  }
+
+  /**
+   * Get attendance for every session on a date (the day document plus one per class session)
+   * @param {Date} date - The date to get attendance for
+   * @returns {Promise<Array>} Array of { sessionId, records }
+   */
+  async getAttendanceSessionsByDate(date) {
+    return this.attendanceRepository.getAttendanceSessionsByDate(date);
   }
 
   /**
@@ -45,7 +81,7 @@ export default class AttendanceService {
    * @throws {Error} If status is invalid
    */
   validateStatus(status) {
-    const validStatuses = ['present', 'absent', 'medicalAbsence', 'holiday'];
+    const validStatuses = ['present', 'absent', 'medicalAbsence', 'holiday', 'cancelled', 'notEnrolled'];
     if (!validStatuses.includes(status)) {
       throw new Error(`Invalid attendance status. Must be one of: ${validStatuses.join(', ')}`);
     }
@@ -64,20 +100,33 @@ export default class AttendanceService {
     // No validation needed
   }
 
+  /**
+   * Get the fee rates that were in effect on a date
+   * @param {Date|null} date - The attendance date (defaults to today)
+   * @returns {Object} Rates keyed by fee type (absent, late, noShoes, notInUniform)
+   */
+  getFeeRates(date = null) {
+    return this.feeScheduleService.getRatesForDate(date);
+  }
+
   /**
    * Calculate the fee for attendance status and attributes
-   * @param {string} status - Attendance status (present, absent, medicalAbsence, holiday)
+   * Uses the fee schedule rates in effect on the attendance date
+   * @param {string} status - Attendance status (present, absent, medicalAbsence, holiday, cancelled)
    * @param {Object} attributes - Fee attributes (late, noShoes, notInUniform)
+   * @param {Date|null} date - The attendance date (defaults to today's rates)
    * @returns {number} Fee amount in dollars
    */
-  calculateAttendanceFee(status, attributes) {
-    // For Absent, fixed $5 fee regardless of attributes
+  calculateAttendanceFee(status, attributes, date = null) {
+    const rates = this.getFeeRates(date);
+    
+    // For Absent, fixed absence fee regardless of attributes
     if (status === 'absent') {
-      return 5;
+      return rates.absent;
     }
     
-    // For Medical Absence or Holiday, no fees regardless of attributes
-    if (status === 'medicalAbsence' || status === 'holiday') {
+    // For Medical Absence, Holiday, Cancelled class or Not Enrolled, no fees regardless of attributes
+    if (status === 'medicalAbsence' || status === 'holiday' || status === 'cancelled' || status === 'notEnrolled') {
       return 0;
     }
     
@@ -86,20 +135,164 @@ export default class AttendanceService {
     
     // Add fee for each attribute
     if (attributes.late) {
-      fee += 1;
+      fee += rates.late;
     }
     
     if (attributes.noShoes) {
-      fee += 1;
+      fee += rates.noShoes;
     }
     
     if (attributes.notInUniform) {
-      fee += 1;
+      fee += rates.notInUniform;
     }
     
     return fee;
   }
 
+  /**
+   * Calculate the fees of one student's markings with the monthly cap and repeat-offense rules applied
+   * Markings on holidays carry no fee and do not count as offenses.
+   * @param {Array} markings - The student's markings [{ id, date, status, attributes }]
+   * @returns {Object} Fee keyed by marking ID
+   */
+  calculateStudentFees(markings) {
+    return this.feeRuleService.calculateFees(
+      markings,
+      (status, attributes, date) => this.calculateAttendanceFeeWithHolidays(status, attributes, date)
+    );
+  }
+
+  /**
+   * Calculate the fee of one marking as it is charged, after the fee rules
+   * @param {string} status - Attendance status
+   * @param {Object} attributes - Fee attributes (late, noShoes, notInUniform)
+   * @param {Date} date - The attendance date
+   * @param {string} markingId - Attendance document ID of the marking
+   * @param {Array} history - The student's other markings from getFeeRuleHistory (empty without rules)
+   * @returns {number} Fee amount in dollars
+   */
+  calculateMarkingFee(status, attributes, date, markingId, history = []) {
+    if (!this.feeRuleService.hasRules()) {
+      return this.calculateAttendanceFeeWithHolidays(status, attributes, date);
+    }
+
+    const markings = [
+      ...history.filter(marking => marking.id !== markingId),
+      { id: markingId, date, status, attributes }
+    ];
+    return this.calculateStudentFees(markings)[markingId];
+  }
+
+  /**
+   * Get every student's chargeable markings the fee rules work over around a date: the fee year
+   * with repeat-offense rules, otherwise the month for the cap. Markings after the date are
+   * included so a change on the date can re-price them; they never change the fee of an earlier one.
+   * @param {Date} date - The attendance date
+   * @param {Array|null} students - Students whose enrollment decides which markings are charged (all if not given)
+   * @returns {Promise<Object>} Markings keyed by student ID (empty when no rules are configured)
+   */
+  async getFeeRuleHistory(date, students = null) {
+    await this.feeRuleService.loadRules();
+    if (!this.feeRuleService.hasRules()) {
+      return {};
+    }
+
+    const [attendanceDocs, loadedStudents] = await Promise.all([
+      this.attendanceRepository.getAttendanceByDateRange(
+        this.feeRuleService.getHistoryStartDate(date),
+        this.feeRuleService.getHistoryEndDate(date)
+      ),
+      students || this.studentRepository.getAllStudents()
+    ]);
+    const studentMap = new Map((loadedStudents || []).map(student => [student.id, student]));
+
+    // Sessions outside the enrollment window or while not Enrolled/Pending Payment carry no fee
+    // and do not count toward the cap or the offense counts, as in the balance reports
+    return Object.fromEntries(
+      Object.entries(groupMarkingsByStudent(attendanceDocs)).map(([studentId, markings]) => [
+        studentId,
+        markings.filter(marking => isChargeableOnDate(studentMap.get(studentId), marking.date))
+      ])
+    );
+  }
+
+  /**
+   * Posts a fee difference to the student's ledger, as a charge or a reduction
+   * @param {string} studentId - The student's ID
+   * @param {number} difference - Positive to charge, negative to reduce
+   * @param {Object} ledgerDetails - From getLedgerDetails
+   * @returns {Promise<void>}
+   */
+  async postFeeDifference(studentId, difference, ledgerDetails) {
+    if (difference > 0) {
+      await this.studentService.addBalance(studentId, difference, ledgerDetails);
+    } else if (difference < 0) {
+      await this.studentService.reduceBalance(studentId, Math.abs(difference), ledgerDetails);
+    }
+  }
+
+  /**
+   * Prices the change of one of a student's markings with the fee rules as it is charged, without posting it
+   * @param {string} studentId - The student's ID
+   * @param {Object} change - { date, sessionId, previous, next } where previous/next are
+   *   { status, attributes } records, or null when there was none / it was removed
+   * @param {Object} options - { student, history } history from getFeeRuleHistory (loaded if not given)
+   * @returns {Promise<Object>} { feeDifference, repriced } - the marking's own difference and the
+   *   later markings whose fee moves [{ markingId, date, feeDifference }]
+   */
+  async priceMarkingFeeChange(studentId, { date, sessionId = null, previous = null, next = null }, { student = null, history = null } = {}) {
+    const markingHistory = history || await this.getFeeRuleHistory(date, student ? [student] : null);
+    const markingId = getAttendanceDocId(date, sessionId);
+    const others = (markingHistory[studentId] || []).filter(marking => marking.id !== markingId);
+    const chargeable = isChargeableOnDate(student, date);
+    const priceWith = record => this.calculateStudentFees(
+      record && chargeable
+        ? [...others, { id: markingId, date, status: record.status, attributes: record.attributes || {} }]
+        : others
+    );
+    const before = priceWith(previous);
+    const after = priceWith(next);
+    const difference = id => Math.round(((after[id] || 0) - (before[id] || 0)) * 100) / 100;
+
+    return {
+      feeDifference: difference(markingId),
+      repriced: others
+        .map(marking => ({ markingId: marking.id, date: marking.date, feeDifference: difference(marking.id) }))
+        .filter(marking => marking.feeDifference !== 0)
+    };
+  }
+
+  /**
+   * Charges the change of one of a student's markings, priced with the fee rules as it is charged
+   * With rules the change can also re-price the student's later markings in the month (cap) or
+   * fee year (repeat-offense rules), so each marking whose fee moves gets its own ledger entry.
+   * @param {string} studentId - The student's ID
+   * @param {Object} change - { date, sessionId, previous, next } (see priceMarkingFeeChange)
+   * @param {Object} options - { description, student, history } history from getFeeRuleHistory (loaded if not given);
+   *   { repriceOnly } posts only the later markings, for callers that credit the marking itself another way
+   * @returns {Promise<Object>} { feeDifference, repriced } - the marking's own difference and the later markings re-priced
+   */
+  async postMarkingFeeChange(studentId, change, { description, student = null, history = null, repriceOnly = false } = {}) {
+    const { date, sessionId = null } = change;
+    const { feeDifference, repriced } = await this.priceMarkingFeeChange(studentId, change, { student, history });
+    if (!repriceOnly) {
+      await this.postFeeDifference(studentId, feeDifference, this.getLedgerDetails(date, sessionId, description));
+    }
+
+    for (const marking of repriced) {
+      await this.postFeeDifference(studentId, marking.feeDifference, this.getLedgerDetails(
+        marking.date,
+        parseAttendanceDocId(marking.markingId).sessionId,
+        `Fee rules re-applied after the ${formatDateForDocId(date)} change`
+      ));
+    }
+
+    return {
+      feeDifference,
+      repriced: repriced.map(({ markingId, feeDifference: markingDifference }) => ({ markingId, feeDifference: markingDifference }))
+    };
+  }
+
   /**
    * Calculate the fee for attendance status and attributes, considering holidays
    * On holidays, no fees should be charged regardless of status/attributes
@@ -114,8 +307,8 @@ export default class AttendanceService {
       return 0;
     }
     
-    // Otherwise, calculate fee normally
-    return this.calculateAttendanceFee(status, attributes);
+    // Otherwise, calculate fee with the rates in effect on that date
+    return this.calculateAttendanceFee(status, attributes, date);
   }
 
   /**
@@ -123,11 +316,12 @@ export default class AttendanceService {
    * @param {Date} date - The date of attendance
    * @param {string} studentId - The student's ID
    * @param {string} status - Attendance status
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<void>}
    */
-  async markAttendance(date, studentId, status) {
+  async markAttendance(date, studentId, status, sessionId = null) {
     this.validateStatus(status);
-    return this.attendanceRepository.updateAttendance(date, studentId, status);
+    return this.attendanceRepository.updateAttendance(date, studentId, status, sessionId);
   }
 
   /**
@@ -136,14 +330,16 @@ export default class AttendanceService {
    * @param {string} studentId - The student's ID
    * @param {string} status - Attendance status
    * @param {Object} attributes - Attributes like { noShoes: true, notInUniform: true }
+   * @param {string|null} sessionId - Class session ID (null for the day document)
+   * @param {Object|null} checkIn - Kiosk check-in details stored with the record
    * @returns {Promise<void>}
    */
-  async markAttendanceWithAttributes(date, studentId, status, attributes) {
+  async markAttendanceWithAttributes(date, studentId, status, attributes, sessionId = null, checkIn = null) {
     this.validateStatus(status);
     this.validateAttributes(status, attributes);
     
     // All statuses can have attributes now
-    return this.attendanceRepository.updateAttendanceWithAttributes(date, studentId, status, attributes);
+    return this.attendanceRepository.updateAttendanceWithAttributes(date, studentId, status, attributes, sessionId, checkIn);
   }
 
   /**
@@ -151,16 +347,20 @@ export default class AttendanceService {
    * @param {Date} date - The date of attendance
    * @param {string[]} studentIds - Array of student IDs
    * @param {string} status - Attendance status
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<void>}
    */
-  async bulkMarkAttendance(date, studentIds, status) {
+  async bulkMarkAttendance(date, studentIds, status, sessionId = null) {
     this.validateStatus(status);
     
     if (!studentIds || studentIds.length === 0) {
       throw new Error('No students selected');
     }
     
-    return this.attendanceRepository.bulkUpdateAttendance(date, studentIds, status);
+    const { enrolledStudentIds } = await this.splitByEnrollment(date, studentIds, status);
+    if (enrolledStudentIds.length === 0) return;
+    
+    return this.attendanceRepository.bulkUpdateAttendance(date, enrolledStudentIds, status, sessionId);
   }
 
   /**
@@ -169,9 +369,10 @@ export default class AttendanceService {
    * @param {string[]} studentIds - Array of student IDs
    * @param {string} status - Attendance status
    * @param {Object} attributes - Attributes like { noShoes: true, notInUniform: true }
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<void>}
    */
-  async bulkMarkAttendanceWithAttributes(date, studentIds, status, attributes) {
+  async bulkMarkAttendanceWithAttributes(date, studentIds, status, attributes, sessionId = null) {
     this.validateStatus(status);
     this.validateAttributes(status, attributes);
     
@@ -179,8 +380,36 @@ export default class AttendanceService {
       throw new Error('No students selected');
     }
     
+    const { enrolledStudentIds } = await this.splitByEnrollment(date, studentIds, status);
+    if (enrolledStudentIds.length === 0) return;
+    
     // All statuses can have attributes now
-    return this.attendanceRepository.bulkUpdateAttendanceWithAttributes(date, studentIds, status, attributes);
+    return this.attendanceRepository.bulkUpdateAttendanceWithAttributes(date, enrolledStudentIds, status, attributes, sessionId);
+  }
+
+  /**
+   * Splits students into those enrolled on a date and those outside their enrollment window
+   * Marking a student "notEnrolled" is always allowed
+   * @param {Date} date - The date of attendance
+   * @param {string[]} studentIds - Array of student IDs
+   * @param {string} status - The status being recorded
+   * @param {Array|null} students - All students, if already loaded
+   * @returns {Promise<Object>} { enrolledStudentIds, notEnrolledStudentIds }
+   */
+  async splitByEnrollment(date, studentIds, status, students = null) {
+    if (status === 'notEnrolled') {
+      return { enrolledStudentIds: studentIds, notEnrolledStudentIds: [] };
+    }
+    
+    const allStudents = students || (await this.studentRepository.getAllStudents()) || [];
+    const notEnrolledStudentIds = allStudents
+      .filter(student => studentIds.includes(student.id) && !isWithinEnrollment(student, date))
+      .map(student => student.id);
+    
+    return {
+      enrolledStudentIds: studentIds.filter(studentId => !notEnrolledStudentIds.includes(studentId)),
+      notEnrolledStudentIds
+    };
   }
 
   /**
@@ -199,7 +428,7 @@ export default class AttendanceService {
       const newFee = this.calculateAttendanceFeeWithHolidays(newStatus, newAttributes || {}, date);
       return newFee - oldFee;
     } else {
-      // Fallback to original calculation for backward compatibility
+      // Fallback to today's rates for backward compatibility
       const oldFee = this.calculateAttendanceFee(oldStatus, oldAttributes || {});
       const newFee = this.calculateAttendanceFee(newStatus, newAttributes || {});
       return newFee - oldFee;
@@ -213,12 +442,13 @@ export default class AttendanceService {
    * @param {string} studentId - The student's ID
    * @param {string} status - Attendance status
    * @param {Object} attributes - Attendance attributes
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<void>}
    */
-  async updateAttendanceWithFee(date, studentId, status, attributes) {
+  async updateAttendanceWithFee(date, studentId, status, attributes, sessionId = null) {
     console.warn('updateAttendanceWithFee is deprecated. Use updateAttendanceWithFeeAdjustment instead.');
     // This method is now just a wrapper around updateAttendanceWithFeeAdjustment to ensure proper fee adjustments
-    return this.updateAttendanceWithFeeAdjustment(date, studentId, status, attributes);
+    return this.updateAttendanceWithFeeAdjustment(date, studentId, status, attributes, sessionId);
   }
 
   /**
@@ -227,60 +457,49 @@ export default class AttendanceService {
    * @param {string} studentId - The student's ID
    * @param {string} status - New attendance status
    * @param {Object} attributes - New attendance attributes
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<void>}
    */
-  async updateAttendanceWithFeeAdjustment(date, studentId, status, attributes = {}) {
+  async updateAttendanceWithFeeAdjustment(date, studentId, status, attributes = {}, sessionId = null) {
     this.validateStatus(status);
     
+    // Sessions outside the enrollment window can only be marked Not Enrolled, as in bulk marking
+    const student = await this.studentRepository.getStudentById(studentId);
+    if (status !== 'notEnrolled' && !isWithinEnrollment(student, date)) {
+      throw new Error('Student is not enrolled on this date. Mark the session Not Enrolled instead.');
+    }
+    
     try {
+      // Make sure fees use the persisted schedule rates and holiday calendar
+      await Promise.all([this.feeScheduleService.loadSchedule(), this.holidayService.loadCalendar()]);
+      
       // Get the previous attendance record to calculate fee difference
-      const previousRecord = await this.attendanceRepository.getAttendanceRecord(date, studentId);
+      const previousRecord = await this.attendanceRepository.getAttendanceRecord(date, studentId, sessionId);
       
       // Normalize attributes to always be an object
       const normalizedAttributes = attributes || {};
       
       // Update attendance record first to ensure data consistency
-      await this.attendanceRepository.updateAttendanceWithAttributes(date, studentId, status, normalizedAttributes);
-      
-      // If there was no previous record, just apply the new fee (if any) considering holidays
-      if (!previousRecord) {
-        const newFee = this.calculateAttendanceFeeWithHolidays(status, normalizedAttributes, date);
-        if (newFee > 0) {
-          await this.studentService.addBalance(studentId, newFee);
-        }
-        return;
-      }
-      
-      // Ensure previous record attributes are properly initialized
-      const previousAttributes = previousRecord.attributes || {};
-      
-      // Get previous status for fee calculation
-      const previousStatus = previousRecord.status;
+      await this.attendanceRepository.updateAttendanceWithAttributes(date, studentId, status, normalizedAttributes, sessionId);
       
-      // Calculate fee difference between old and new status (including holiday consideration)
-      const feeDifference = this.calculateFeeDifference(
-        previousStatus,
-        previousAttributes,
-        status,
-        normalizedAttributes,
-        date
-      );
-      
-      // Apply fee adjustment to student balance
-      if (feeDifference > 0) {
-        // Fee increased, add to balance
-        await this.studentService.addBalance(studentId, feeDifference);
-      } else if (feeDifference < 0) {
-        // Fee decreased, reduce from balance
-        const amountToReduce = Math.abs(feeDifference);
-        await this.studentService.reduceBalance(studentId, amountToReduce);
-      }
+      // Charge the difference with the fee rules applied, re-pricing later markings it affects
+      const previousStatus = previousRecord ? previousRecord.status : null;
+      const { feeDifference, repriced } = await this.postMarkingFeeChange(studentId, {
+        date,
+        sessionId,
+        previous: previousRecord,
+        next: { status, attributes: normalizedAttributes }
+      }, {
+        description: previousRecord ? `Attendance changed from ${previousStatus} to ${status}` : `Attendance fee (${status})`,
+        student
+      });
       
       // Return the adjustment amount for reference
       return {
         previousStatus,
         newStatus: status,
-        feeDifference
+        feeDifference,
+        repriced
       };
     } catch (error) {
       console.error("Error updating attendance with fee adjustment:", error);
@@ -295,12 +514,13 @@ export default class AttendanceService {
    * @param {string[]} studentIds - Array of student IDs
    * @param {string} status - Attendance status
    * @param {Object} attributes - Attendance attributes
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<void>}
    */
-  async bulkUpdateAttendanceWithFee(date, studentIds, status, attributes) {
+  async bulkUpdateAttendanceWithFee(date, studentIds, status, attributes, sessionId = null) {
     console.warn('bulkUpdateAttendanceWithFee is deprecated. Use bulkUpdateAttendanceWithFeeAdjustment instead.');
     // This method is now just a wrapper around bulkUpdateAttendanceWithFeeAdjustment
-    return this.bulkUpdateAttendanceWithFeeAdjustment(date, studentIds, status, attributes);
+    return this.bulkUpdateAttendanceWithFeeAdjustment(date, studentIds, status, attributes, sessionId);
   }
   
   /**
@@ -309,9 +529,10 @@ export default class AttendanceService {
    * @param {string[]} studentIds - Array of student IDs
    * @param {string} status - New attendance status
    * @param {Object} attributes - New attendance attributes
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<Array>} Array of adjustment results
    */
-  async bulkUpdateAttendanceWithFeeAdjustment(date, studentIds, status, attributes = {}) {
+  async bulkUpdateAttendanceWithFeeAdjustment(date, studentIds, status, attributes = {}, sessionId = null) {
     this.validateStatus(status);
     
     if (!studentIds || studentIds.length === 0) {
@@ -319,54 +540,68 @@ export default class AttendanceService {
     }
     
     try {
+      // Make sure fees use the persisted schedule rates and holiday calendar
+      await Promise.all([this.feeScheduleService.loadSchedule(), this.holidayService.loadCalendar()]);
+      
       // Normalize attributes to always be an object
       const normalizedAttributes = attributes || {};
       
-      // Update attendance records first in bulk for efficiency
-      await this.attendanceRepository.bulkUpdateAttendanceWithAttributes(date, studentIds, status, normalizedAttributes);
+      // Sessions outside a student's enrollment window are left alone
+      const students = (await this.studentRepository.getAllStudents()) || [];
+      const { enrolledStudentIds, notEnrolledStudentIds } = await this.splitByEnrollment(date, studentIds, status, students);
+      const skippedResults = notEnrolledStudentIds.map(studentId => ({
+        studentId,
+        skipped: true,
+        reason: 'Not enrolled on this date'
+      }));
+      
+      if (enrolledStudentIds.length === 0) {
+        return skippedResults;
+      }
+      
+      // Read the previous records before they are overwritten so fee differences are correct
+      const previousRecords = {};
+      for (const studentId of enrolledStudentIds) {
+        try {
+          previousRecords[studentId] = await this.attendanceRepository.getAttendanceRecord(date, studentId, sessionId);
+        } catch (error) {
+          previousRecords[studentId] = { error };
+        }
+      }
+      
+      // Every student's markings the fee rules work over, loaded once for the whole batch
+      const history = await this.getFeeRuleHistory(date, students);
+      
+      // Update attendance records in bulk for efficiency
+      await this.attendanceRepository.bulkUpdateAttendanceWithAttributes(date, enrolledStudentIds, status, normalizedAttributes, sessionId);
       
       // Process fee adjustments for each student individually and collect results
-      const adjustmentResults = [];
+      const adjustmentResults = [...skippedResults];
       
-      for (const studentId of studentIds) {
+      for (const studentId of enrolledStudentIds) {
         try {
           // Get previous attendance record
-          const previousRecord = await this.attendanceRepository.getAttendanceRecord(date, studentId);
-          
-          // If no previous record, just apply new fee if applicable (considering holidays)
-          if (!previousRecord) {
-            const newFee = this.calculateAttendanceFeeWithHolidays(status, normalizedAttributes, date);
-            if (newFee > 0) {
-              await this.studentService.addBalance(studentId, newFee);
-              adjustmentResults.push({
-                studentId,
-                previousStatus: null,
-                newStatus: status, 
-                feeDifference: newFee
-              });
-            }
-            continue;
+          const previousRecord = previousRecords[studentId];
+          if (previousRecord?.error) {
+            throw previousRecord.error;
           }
           
-          // Get previous status and ensure attributes are initialized
-          const previousStatus = previousRecord.status;
-          const previousAttributes = previousRecord.attributes || {};
-          
-          // Calculate fee difference (including holiday consideration)
-          const feeDifference = this.calculateFeeDifference(
-            previousStatus,
-            previousAttributes,
-            status,
-            normalizedAttributes,
-            date
-          );
+          // Charge the difference with the fee rules applied, re-pricing later markings it affects
+          const previousStatus = previousRecord ? previousRecord.status : null;
+          const { feeDifference, repriced } = await this.postMarkingFeeChange(studentId, {
+            date,
+            sessionId,
+            previous: previousRecord,
+            next: { status, attributes: normalizedAttributes }
+          }, {
+            description: previousRecord ? `Attendance changed from ${previousStatus} to ${status}` : `Attendance fee (${status})`,
+            student: students.find(candidate => candidate.id === studentId) || null,
+            history
+          });
           
-          // Apply fee adjustment
-          if (feeDifference > 0) {
-            await this.studentService.addBalance(studentId, feeDifference);
-          } else if (feeDifference < 0) {
-            const amountToReduce = Math.abs(feeDifference);
-            await this.studentService.reduceBalance(studentId, amountToReduce);
+          // A new record without a fee is not an adjustment
+          if (!previousRecord && feeDifference === 0 && repriced.length === 0) {
+            continue;
           }
           
           // Record the adjustment
@@ -374,7 +609,8 @@ export default class AttendanceService {
             studentId,
             previousStatus,
             newStatus: status,
-            feeDifference
+            feeDifference,
+            repriced
           });
         } catch (error) {
           console.error(`Error processing student ${studentId}:`, error);
@@ -393,6 +629,71 @@ export default class AttendanceService {
     }
   }
 
+  /**
+   * Preview closing a session: eligible students with no record will be marked absent
+   * @param {Date} date - The session date
+   * @param {string|null} sessionId - Class session ID (null for the day document)
+   * @returns {Promise<Object>} { isHoliday, absentFee, toMarkAbsent, notEnrolled, recordedCount }
+   */
+  async previewCloseSession(date, sessionId = null) {
+    try {
+      await Promise.all([this.feeScheduleService.loadSchedule(), this.holidayService.loadCalendar()]);
+      
+      const isHoliday = this.holidayService.isHoliday(date);
+      const [students, records] = await Promise.all([
+        this.getEligibleStudents(),
+        this.attendanceRepository.getAttendanceByDate(date, sessionId)
+      ]);
+      
+      const unmarked = students.filter(student => !records[student.id]);
+      
+      return {
+        date,
+        sessionId,
+        isHoliday,
+        absentFee: this.calculateAttendanceFee('absent', {}, date),
+        // No one is charged an absence on a holiday
+        toMarkAbsent: isHoliday ? [] : unmarked.filter(student => isWithinEnrollment(student, date)),
+        notEnrolled: unmarked.filter(student => !isWithinEnrollment(student, date)),
+        recordedCount: students.length - unmarked.length
+      };
+    } catch (error) {
+      console.error("Error previewing session close:", error);
+      throw new Error(`Failed to preview session close: ${error.message}`);
+    }
+  }
+
+  /**
+   * Close a session by marking every unmarked eligible student absent (with the absence fee)
+   * Students marked since the preview are left untouched
+   * @param {Date} date - The session date
+   * @param {string|null} sessionId - Class session ID (null for the day document)
+   * @param {string[]|null} previewedStudentIds - Limit to the students shown in the preview
+   * @returns {Promise<Object>} The preview plus { markedAbsent, results }
+   */
+  async closeSession(date, sessionId = null, previewedStudentIds = null) {
+    if (formatDateForDocId(date) > formatDateForDocId(new Date())) {
+      throw new Error("Cannot close a session that has not happened yet");
+    }
+    
+    const preview = await this.previewCloseSession(date, sessionId);
+    
+    if (preview.isHoliday) {
+      throw new Error("Cannot close a session on a holiday");
+    }
+    
+    const studentIds = preview.toMarkAbsent
+      .map(student => student.id)
+      .filter(studentId => !previewedStudentIds || previewedStudentIds.includes(studentId));
+    
+    if (studentIds.length === 0) {
+      return { ...preview, markedAbsent: [], results: [] };
+    }
+    
+    const results = await this.bulkUpdateAttendanceWithFeeAdjustment(date, studentIds, 'absent', {}, sessionId);
+    return { ...preview, markedAbsent: studentIds, results };
+  }
+
   /**
    * Get students eligible for attendance tracking (Enrolled or Pending Payment)
    * @returns {Promise<Array>} Array of student objects sorted by first name
@@ -416,20 +717,22 @@ export default class AttendanceService {
   /**
    * Get combined data of students with their attendance records for a specific date
    * @param {Date} date - The date to get attendance for
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<Array>} Array of student objects with attendance data
    */
-  async getAttendanceSummaryWithStudents(date) {
+  async getAttendanceSummaryWithStudents(date, sessionId = null) {
     try {
       // Get all eligible students
       const students = await this.getEligibleStudents();
       
       // Get attendance data for the date
-      const attendanceData = await this.getAttendanceByDate(date);
+      const attendanceData = await this.getAttendanceByDate(date, sessionId);
       
       // Merge student and attendance data
       return students.map(student => ({
         ...student,
-        attendance: attendanceData[student.id] || null
+        attendance: attendanceData[student.id] || null,
+        enrolledOnDate: isWithinEnrollment(student, date)
       }));
     } catch (error) {
       console.error("Error fetching attendance summary:", error);
@@ -441,12 +744,16 @@ export default class AttendanceService {
    * Removes a student's attendance record for a specific date and adjusts their balance if needed
    * @param {Date} date - The date of attendance
    * @param {string} studentId - The student's ID
+   * @param {string|null} sessionId - Class session ID (null for the day document)
    * @returns {Promise<Object>} The removed record and adjustment information
    */
-  async removeAttendanceWithFeeAdjustment(date, studentId) {
+  async removeAttendanceWithFeeAdjustment(date, studentId, sessionId = null) {
     try {
+      // Make sure fees use the persisted schedule rates and holiday calendar
+      await Promise.all([this.feeScheduleService.loadSchedule(), this.holidayService.loadCalendar()]);
+      
       // Get the previous attendance record to calculate fee difference
-      const previousRecord = await this.attendanceRepository.getAttendanceRecord(date, studentId);
+      const previousRecord = await this.attendanceRepository.getAttendanceRecord(date, studentId, sessionId);
       
       // If there was no previous record, nothing to do
       if (!previousRecord) {
@@ -458,22 +765,27 @@ export default class AttendanceService {
       const previousAttributes = previousRecord.attributes || {};
       
       // Remove the attendance record
-      const removedRecord = await this.attendanceRepository.removeAttendance(date, studentId);
+      const student = await this.studentRepository.getStudentById(studentId);
+      const removedRecord = await this.attendanceRepository.removeAttendance(date, studentId, sessionId);
       
-      // Calculate the fee that was previously applied (considering holidays)
-      const previousFee = this.calculateAttendanceFeeWithHolidays(previousStatus, previousAttributes, date);
-      
-      // If there was a fee, we need to reduce the student's balance
-      if (previousFee > 0) {
-        await this.studentService.reduceBalance(studentId, previousFee);
-      }
+      // Reverse the fee that was charged (after the fee rules), re-pricing later markings it affected
+      const { feeDifference, repriced } = await this.postMarkingFeeChange(studentId, {
+        date,
+        sessionId,
+        previous: previousRecord,
+        next: null
+      }, {
+        description: 'Attendance record removed',
+        student
+      });
       
       // Return information about the removed record and adjustment
       return {
         removed: true,
         previousStatus,
         previousAttributes,
-        feeAdjustment: -previousFee, // Negative because we're reducing their balance
+        feeAdjustment: feeDifference, // Negative because we're reducing their balance
+        repriced,
         removedRecord
       };
     } catch (error) {
@@ -484,4 +796,4 @@ export default class AttendanceService {
 }
 
 // Export a default instance
-export const attendanceService = new AttendanceService(attendanceRepository, studentRepository, studentService, holidayService);
\ No newline at end of file
+export const attendanceService = new AttendanceService(attendanceRepository, studentRepository, studentService, holidayService, feeScheduleService);
\ No newline at end of file
@@ -0,0 +1,182 @@
+import { studentService } from "./StudentService";
+import { reportService } from "./ReportService";
+import { auditLogService } from "./AuditLogService";
+import { LEDGER_SOURCE_TYPES } from "../constants/ledgerConstants";
+
+/**
+ * Service for finding and correcting drift between a student's stored balance
+ * and the balance recalculated from their attendance and payment history
+ */
+export default class BalanceReconciliationService {
+  constructor(
+    studentServiceInstance = studentService,
+    reportServiceInstance = reportService,
+    auditLogServiceInstance = auditLogService
+  ) {
+    this.studentService = studentServiceInstance;
+    this.reportService = reportServiceInstance;
+    this.auditLogService = auditLogServiceInstance;
+  }
+
+  static get AUDIT_REASON() {
+    return 'Balance reconciliation: accepted calculated balance';
+  }
+
+  /**
+   * Rounds an amount to whole cents
+   * @param {number} amount - The amount to round
+   * @returns {number} Rounded amount
+   */
+  roundAmount(amount) {
+    return Math.round((amount || 0) * 100) / 100;
+  }
+
+  /**
+   * Builds the breakdown shown next to a mismatch
+   * @param {Object} student - Student record
+   * @param {Object} balanceInfo - Result of ReportService.calculateStudentBalance
+   * @returns {Object} { fees, payments, holidayCredits, frozen }
+   */
+  buildBreakdown(student, balanceInfo) {
+    const holidayCredits = (student.holidayCredits || []).map(credit => ({
+      date: credit.date,
+      holidayName: credit.holidayName || '',
+      amount: credit.amount || 0,
+      used: Boolean(credit.used)
+    }));
+
+    const hasFrozenAmounts = student.frozenAt || student.frozenFeesTotal !== undefined || student.frozenBalance !== undefined;
+
+    return {
+      fees: balanceInfo.feeBreakdown || [],
+      payments: balanceInfo.payments || [],
+      holidayCredits,
+      frozen: hasFrozenAmounts
+        ? {
+            frozenAt: student.frozenAt || null,
+            frozenFeesTotal: student.frozenFeesTotal || 0,
+            frozenBalance: student.frozenBalance || 0
+          }
+        : null
+    };
+  }
+
+  /**
+   * Compares one student's stored balance with the calculated balance
+   * @param {Object} student - Student record
+   * @returns {Promise<Object>} Comparison with the difference and breakdown
+   */
+  async compareStudent(student) {
+    const balanceInfo = await this.reportService.calculateStudentBalance(student.id);
+    const storedBalance = this.roundAmount(student.balance);
+    const calculatedBalance = this.roundAmount(balanceInfo.calculatedBalance);
+
+    return {
+      studentId: student.id,
+      studentName: `${student.firstName || ''} ${student.lastName || ''}`.trim(),
+      storedBalance,
+      calculatedBalance,
+      difference: this.roundAmount(calculatedBalance - storedBalance),
+      totalFeesCharged: this.roundAmount(balanceInfo.totalFeesCharged),
+      totalPaymentsMade: this.roundAmount(balanceInfo.totalPaymentsMade),
+      breakdown: this.buildBreakdown(student, balanceInfo)
+    };
+  }
+
+  /**
+   * Lists every student whose stored balance differs from the calculated balance
+   * @returns {Promise<Array>} Mismatches, largest difference first
+   */
+  async findMismatches() {
+    try {
+      const students = await this.studentService.getAllStudents();
+      const comparisons = [];
+
+      for (const student of students) {
+        comparisons.push(await this.compareStudent(student));
+      }
+
+      return comparisons
+        .filter(comparison => comparison.difference !== 0)
+        .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+    } catch (error) {
+      console.error("Error finding balance mismatches:", error);
+      throw new Error(`Failed to find balance mismatches: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replaces a student's stored balance with the calculated balance
+   * The correction is posted to the ledger as an adjustment and written to the audit log.
+   * @param {string} studentId - The student's ID
+   * @param {string} adminId - ID of the admin accepting the correction
+   * @returns {Promise<Object>} { studentId, oldBalance, newBalance, corrected }
+   */
+  async acceptCalculatedBalance(studentId, adminId) {
+    try {
+      const student = await this.studentService.getStudentById(studentId);
+      if (!student) {
+        throw new Error("Student not found");
+      }
+
+      // Recalculate rather than trusting what the screen loaded earlier
+      const { storedBalance, calculatedBalance, difference } = await this.compareStudent(student);
+      if (difference === 0) {
+        return { studentId, oldBalance: storedBalance, newBalance: calculatedBalance, corrected: false };
+      }
+
+      const ledgerService = this.studentService.ledgerService;
+      const entries = await ledgerService.getStudentEntries(studentId);
+      const ledgerBalance = entries.length > 0 ? ledgerService.calculateBalance(entries) : storedBalance;
+      const adjustment = this.roundAmount(calculatedBalance - ledgerBalance);
+
+      if (adjustment !== 0) {
+        await ledgerService.postAdjustment(studentId, adjustment, {
+          sourceType: LEDGER_SOURCE_TYPES.RECONCILIATION,
+          description: 'Balance reconciled to the calculated balance',
+          createdBy: adminId
+        });
+      } else {
+        // The ledger already agrees, only the cached balance drifted
+        await this.studentService.updateStudent(studentId, { balance: calculatedBalance });
+      }
+
+      await this.auditLogService.logFeeChange(
+        adminId,
+        studentId,
+        storedBalance,
+        calculatedBalance,
+        BalanceReconciliationService.AUDIT_REASON
+      );
+
+      return { studentId, oldBalance: storedBalance, newBalance: calculatedBalance, corrected: true };
+    } catch (error) {
+      console.error("Error reconciling student balance:", error);
+      throw new Error(`Failed to reconcile balance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Accepts the calculated balance for several students, one at a time
+   * @param {Array<string>} studentIds - IDs of the students to correct
+   * @param {string} adminId - ID of the admin accepting the corrections
+   * @returns {Promise<Object>} { corrected, failed }
+   */
+  async acceptCalculatedBalances(studentIds, adminId) {
+    const corrected = [];
+    const failed = [];
+
+    for (const studentId of studentIds) {
+      try {
+        corrected.push(await this.acceptCalculatedBalance(studentId, adminId));
+      } catch (error) {
+        failed.push({ studentId, error: error.message });
+      }
+    }
+
+    return { corrected, failed };
+  }
+}
+
+// Export a default instance
+export const balanceReconciliationService = new BalanceReconciliationService();
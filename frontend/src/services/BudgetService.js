@@ -7,14 +7,33 @@ import {
   BUDGET_STATUS 
 } from "../models/BudgetModels";
 import { budgetRepository } from "../repository/BudgetRepository";
+import { paymentRepository } from "../repository/PaymentRepository";
+import { sumRefunds } from "../utils/PaymentUtils";
 
 /**
  * Budget Service following Single Responsibility Principle
  * Handles business logic for budget operations
  */
 export class BudgetService {
-  constructor(repository = budgetRepository) {
+  constructor(repository = budgetRepository, paymentRepositoryInstance = null) {
     this.budgetRepository = repository;
+    // Source of student refunds, which count as negative fee revenue
+    this.paymentRepository = paymentRepositoryInstance;
+  }
+
+  /**
+   * Gets the student refunds paid out in a period
+   * @param {Date} startDate - Start date
+   * @param {Date} endDate - End date
+   * @returns {Promise<number>} Total refunded, as a negative amount
+   */
+  async getRefundTotal(startDate, endDate) {
+    if (!this.paymentRepository) {
+      return 0;
+    }
+
+    const payments = await this.paymentRepository.getPaymentsByDateRange(startDate, endDate);
+    return sumRefunds(payments);
   }
 
   /**
@@ -188,9 +207,12 @@ export class BudgetService {
    */
   async calculateBudgetSummary(startDate, endDate) {
     try {
-      const entries = await this.getBudgetEntriesByDateRange(startDate, endDate);
+      const [entries, refunds] = await Promise.all([
+        this.getBudgetEntriesByDateRange(startDate, endDate),
+        this.getRefundTotal(startDate, endDate)
+      ]);
       
-      let feeRevenue = 0;
+      let feeRevenue = refunds;
       let contributionRevenue = 0;
       let totalExpenses = 0;
 
@@ -216,7 +238,8 @@ export class BudgetService {
         feeRevenue,
         contributionRevenue,
         totalExpenses,
-        { startDate, endDate }
+        { startDate, endDate },
+        refunds
       );
     } catch (error) {
       console.error("Error calculating budget summary:", error);
@@ -275,9 +298,12 @@ export class BudgetService {
    */
   async getRevenueBreakdown(startDate, endDate) {
     try {
-      const entries = await this.getBudgetEntriesByDateRange(startDate, endDate);
+      const [entries, refunds] = await Promise.all([
+        this.getBudgetEntriesByDateRange(startDate, endDate),
+        this.getRefundTotal(startDate, endDate)
+      ]);
       
-      let feeRevenue = 0;
+      let feeRevenue = refunds;
       let contributionRevenue = 0;
 
       entries.forEach(entry => {
@@ -295,6 +321,7 @@ export class BudgetService {
       return {
         feeRevenue,
         contributionRevenue,
+        refunds,
         totalRevenue,
         feePercentage,
         contributionPercentage,
@@ -477,4 +504,4 @@ export class BudgetService {
   }
 }
 
-export const budgetService = new BudgetService();
\ No newline at end of file
+export const budgetService = new BudgetService(budgetRepository, paymentRepository);
\ No newline at end of file
@@ -0,0 +1,282 @@
+import { classScheduleService } from "./ClassScheduleService";
+import { holidayService } from "./HolidayService";
+import { classCancellationService } from "./ClassCancellationService";
+import { calendarFeedRepository } from "../repository/CalendarFeedRepository";
+import { HOLIDAY_TYPES } from "../constants/holidayConstants";
+import {
+  CALENDAR_FEED_DAYS_AHEAD,
+  CALENDAR_FEED_ID,
+  CALENDAR_FEED_PATH,
+  CALENDAR_FEED_NAME,
+  CALENDAR_FEED_FILE_NAME,
+  IMPORT_STATUSES
+} from "../constants/calendarFeedConstants";
+import { parseICalendar, buildICalendar } from "../utils/ICalUtils";
+import { downloadFile } from "../utils/DocumentUtils";
+import { formatDateForDocId, addDays } from "../utils/DateUtils";
+
+const UID_DOMAIN = 'dkale-attendance';
+
+/**
+ * Service for iCalendar import and export
+ * Imports holiday and closure dates from .ics files into the holiday calendar, and publishes a feed of
+ * upcoming classes, holidays and cancelled classes (on holidays or called off at short notice) that the
+ * backend serves at a stable URL.
+ */
+export default class CalendarFeedService {
+  constructor(
+    classScheduleServiceInstance = classScheduleService,
+    holidayServiceInstance = holidayService,
+    calendarFeedRepositoryInstance = calendarFeedRepository,
+    classCancellationServiceInstance = classCancellationService
+  ) {
+    this.classScheduleService = classScheduleServiceInstance;
+    this.holidayService = holidayServiceInstance;
+    this.calendarFeedRepository = calendarFeedRepositoryInstance;
+    this.classCancellationService = classCancellationServiceInstance;
+  }
+
+  /**
+   * Gets the subscription URL of the published feed
+   * @returns {string|null} Feed URL, or null if the backend URL is not configured
+   */
+  getFeedUrl() {
+    const backendUrl = process.env.REACT_APP_BACKEND_URL;
+    return backendUrl ? `${backendUrl.replace(/\/$/, '')}${CALENDAR_FEED_PATH}` : null;
+  }
+
+  /**
+   * Gets the feed URL that opens a subscription in phone and desktop calendar apps
+   * @returns {string|null} webcal:// URL, or null if the backend URL is not configured
+   */
+  getSubscribeUrl() {
+    const feedUrl = this.getFeedUrl();
+    return feedUrl ? feedUrl.replace(/^https?:/, 'webcal:') : null;
+  }
+
+  /**
+   * Lists the feed events between two dates: classes (cancelled on holidays or by a cancellation),
+   * holidays and closures
+   * @param {Date} startDate - First date of the feed
+   * @param {Date} endDate - Last date of the feed
+   * @returns {Array} Events for buildICalendar, in date order
+   */
+  getFeedEvents(startDate, endDate) {
+    const startKey = formatDateForDocId(startDate);
+    const endKey = formatDateForDocId(endDate);
+
+    const classes = this.classScheduleService.getSessionsInRange(startKey, endKey).map(session => {
+      const title = session.name || session.level || 'Class';
+      const holidayName = this.holidayService.getHolidayName(session.date);
+      const cancellation = this.classCancellationService.getCancellation(session.date, session.sessionId);
+      const cancelledFor = holidayName || (cancellation && this.classCancellationService.getReasonLabel(cancellation));
+      return {
+        uid: `class-${session.sessionId}@${UID_DOMAIN}`,
+        summary: cancelledFor ? `Cancelled: ${title} (${cancelledFor})` : title,
+        description: cancellation?.note || undefined,
+        location: session.location,
+        date: session.date,
+        startTime: session.startTime,
+        durationMinutes: session.durationMinutes,
+        cancelled: Boolean(cancelledFor),
+        sortKey: `${session.date}T${session.startTime || ''}`
+      };
+    });
+
+    const calendarEntries = this.holidayService.getCalendar()
+      .filter(entry => entry.startDate <= endKey && entry.endDate >= startKey)
+      .map(entry => ({
+        uid: `holiday-${entry.id}@${UID_DOMAIN}`,
+        summary: entry.type === HOLIDAY_TYPES.CLOSURE ? `Studio closed: ${entry.name}` : entry.name,
+        startDate: entry.startDate,
+        endDate: entry.endDate,
+        sortKey: entry.startDate
+      }));
+
+    const builtInHolidays = [];
+    for (let year = startDate.getFullYear(); year <= endDate.getFullYear(); year++) {
+      this.holidayService.getBuiltInHolidays(year).forEach(({ date, name }) => {
+        const dateKey = formatDateForDocId(date);
+        if (dateKey < startKey || dateKey > endKey) return;
+        // Disabled holidays are not observed, only the first of two rules on one date is listed,
+        // and an admin-added entry on the date is listed instead
+        if (this.holidayService.getBuiltInHolidayName(date) !== name || this.holidayService.getCalendarEntry(dateKey)) return;
+
+        builtInHolidays.push({
+          uid: `builtin-${dateKey}@${UID_DOMAIN}`,
+          summary: name,
+          startDate: dateKey,
+          endDate: dateKey,
+          sortKey: dateKey
+        });
+      });
+    }
+
+    return [...calendarEntries, ...builtInHolidays, ...classes]
+      .sort((a, b) => a.sortKey.localeCompare(b.sortKey))
+      .map(({ sortKey, ...event }) => event);
+  }
+
+  /**
+   * Builds the feed of upcoming classes and holidays
+   * @param {Date} today - First date of the feed (defaults to today)
+   * @returns {Promise<Object>} { ics, eventCount }
+   */
+  async generateFeed(today = new Date()) {
+    await Promise.all([
+      this.classScheduleService.loadSchedule(),
+      this.holidayService.loadCalendar(),
+      this.classCancellationService.loadCancellations()
+    ]);
+
+    const events = this.getFeedEvents(today, addDays(today, CALENDAR_FEED_DAYS_AHEAD));
+    return {
+      ics: buildICalendar(events, { name: CALENDAR_FEED_NAME, now: today }),
+      eventCount: events.length
+    };
+  }
+
+  /**
+   * Saves the feed as an .ics file
+   * @returns {Promise<void>}
+   */
+  async downloadFeed() {
+    const { ics } = await this.generateFeed();
+    downloadFile(ics, CALENDAR_FEED_FILE_NAME, 'text/calendar');
+  }
+
+  /**
+   * Publishes the feed to the stable URL served by the backend
+   * @param {string} publishedBy - UID of the admin publishing the feed
+   * @returns {Promise<Object>} The published feed
+   */
+  async publishFeed(publishedBy) {
+    const { ics, eventCount } = await this.generateFeed();
+    return this.calendarFeedRepository.saveFeed(CALENDAR_FEED_ID, { ics, eventCount, publishedBy });
+  }
+
+  /**
+   * Publishes the feed again after the schedule, the holidays or the cancellations change
+   * A feed that was never published is left unpublished. Republishes run one after another so an
+   * older version never replaces a newer one.
+   * @returns {Promise<Object|null>} The republished feed, or null if the feed was never published
+   */
+  republishFeed() {
+    this.republishPromise = (this.republishPromise || Promise.resolve())
+      .catch(() => null)
+      .then(async () => {
+        const published = await this.getPublishedFeed();
+        return published ? this.publishFeed(published.publishedBy) : null;
+      });
+    return this.republishPromise;
+  }
+
+  /**
+   * Republishes the feed whenever the schedule, the holidays or the cancellations change
+   * Called once when the app starts.
+   * @returns {Function} Stops watching
+   */
+  watchCalendars() {
+    const unsubscribes = [this.classScheduleService, this.holidayService, this.classCancellationService]
+      .map(service => service.onChange(() => this.republishFeed()));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }
+
+  /**
+   * Gets the published feed
+   * @returns {Promise<Object|null>} Feed, or null if never published
+   */
+  async getPublishedFeed() {
+    return this.calendarFeedRepository.getFeed(CALENDAR_FEED_ID);
+  }
+
+  /**
+   * Previews the holidays an .ics file would add
+   * Cancelled events are left out. A date range is a duplicate when every day of it is already a
+   * holiday, or when the same range appears earlier in the file.
+   * @param {string} text - Contents of the .ics file
+   * @returns {Promise<Array>} Items [{ key, name, type, startDate, endDate, status, reason }]
+   */
+  async previewImport(text) {
+    const events = parseICalendar(text);
+    await this.holidayService.loadCalendar();
+
+    const seen = new Set();
+    return events
+      .filter(event => !event.cancelled)
+      .map((event, index) => {
+        const item = {
+          key: `event-${index}`,
+          name: event.summary || 'Holiday',
+          type: event.endDate > event.startDate ? HOLIDAY_TYPES.CLOSURE : HOLIDAY_TYPES.HOLIDAY,
+          startDate: event.startDate,
+          endDate: event.endDate,
+          status: IMPORT_STATUSES.NEW,
+          reason: null
+        };
+        const rangeKey = `${item.startDate}_${item.endDate}`;
+
+        if (seen.has(rangeKey)) {
+          return { ...item, status: IMPORT_STATUSES.DUPLICATE, reason: 'Listed earlier in the file' };
+        }
+        seen.add(rangeKey);
+
+        if (this.isAlreadyHoliday(item.startDate, item.endDate)) {
+          return { ...item, status: IMPORT_STATUSES.DUPLICATE, reason: 'Already a holiday' };
+        }
+
+        try {
+          this.holidayService.validateHoliday(item);
+        } catch (error) {
+          return { ...item, status: IMPORT_STATUSES.INVALID, reason: error.message };
+        }
+
+        return item;
+      });
+  }
+
+  /**
+   * Checks whether every day of a date range is already a holiday
+   * @param {string} startDate - First date (YYYY-MM-DD)
+   * @param {string} endDate - Last date (YYYY-MM-DD)
+   * @returns {boolean} True if no day of the range is charged
+   */
+  isAlreadyHoliday(startDate, endDate) {
+    for (let day = startDate; day <= endDate; day = formatDateForDocId(addDays(day, 1))) {
+      if (!this.holidayService.isHoliday(day)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Adds the new items of an import preview to the holiday calendar
+   * Items are added one at a time; an item that can no longer be added (e.g. another admin added an
+   * overlapping entry since the preview) is skipped with the reason.
+   * @param {Array} items - Items from previewImport
+   * @param {string} createdBy - UID of the admin importing the file
+   * @returns {Promise<Object>} { imported: created calendar entries, skipped: items with their reason }
+   */
+  async importHolidays(items, createdBy) {
+    const imported = [];
+    const skipped = items.filter(item => item.status !== IMPORT_STATUSES.NEW);
+
+    for (const item of items.filter(item => item.status === IMPORT_STATUSES.NEW)) {
+      try {
+        imported.push(await this.holidayService.addHoliday({
+          name: item.name,
+          type: item.type,
+          startDate: item.startDate,
+          endDate: item.endDate,
+          createdBy
+        }));
+      } catch (error) {
+        skipped.push({ ...item, status: IMPORT_STATUSES.INVALID, reason: error.message });
+      }
+    }
+
+    return { imported, skipped };
+  }
+}
+
+// Export a default instance
+export const calendarFeedService = new CalendarFeedService();
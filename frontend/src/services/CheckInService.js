@@ -0,0 +1,188 @@
+import { studentService } from "../services/StudentService";
+import { attendanceService } from "../services/AttendanceService";
+import { classScheduleService } from "../services/ClassScheduleService";
+import { feeScheduleService } from "../services/FeeScheduleService";
+import { settingsRepository } from "../repository/SettingsRepository";
+import { parseDateString } from "../utils/DateUtils";
+import { isWithinEnrollment } from "../utils/EnrollmentUtils";
+
+/**
+ * Service for kiosk self check-in
+ * Identifies students by PIN or card code, picks the class session that is open for check-in
+ * and marks the student present, setting the late attribute after the grace period
+ */
+export default class CheckInService {
+  constructor(
+    studentServiceInstance = studentService,
+    attendanceServiceInstance = attendanceService,
+    classScheduleServiceInstance = classScheduleService,
+    feeScheduleServiceInstance = feeScheduleService,
+    settingsRepositoryInstance = settingsRepository
+  ) {
+    this.studentService = studentServiceInstance;
+    this.attendanceService = attendanceServiceInstance;
+    this.classScheduleService = classScheduleServiceInstance;
+    this.feeScheduleService = feeScheduleServiceInstance;
+    this.settingsRepository = settingsRepositoryInstance;
+  }
+
+  static get SETTINGS_KEY() {
+    return 'checkin';
+  }
+
+  /**
+   * Minutes after the start time before a check-in counts as late
+   */
+  static get DEFAULT_GRACE_MINUTES() {
+    return 5;
+  }
+
+  /**
+   * How early before the start time a session opens for check-in
+   */
+  static get EARLY_CHECK_IN_MINUTES() {
+    return 60;
+  }
+
+  static get METHOD_KIOSK() {
+    return 'kiosk';
+  }
+
+  /**
+   * Get the configured late grace period
+   * Falls back to the default if the setting cannot be read
+   * @returns {Promise<number>} Grace period in minutes
+   */
+  async getGraceMinutes() {
+    try {
+      const settings = await this.settingsRepository.getSettings(CheckInService.SETTINGS_KEY);
+      return Number.isInteger(settings?.graceMinutes) ? settings.graceMinutes : CheckInService.DEFAULT_GRACE_MINUTES;
+    } catch (error) {
+      console.warn("Using default check-in grace period:", error.message);
+      return CheckInService.DEFAULT_GRACE_MINUTES;
+    }
+  }
+
+  /**
+   * Saves the late grace period
+   * @param {number} graceMinutes - Whole minutes between 0 and 120
+   * @returns {Promise<Object>} Saved settings
+   */
+  async saveGraceMinutes(graceMinutes) {
+    if (!Number.isInteger(graceMinutes) || graceMinutes < 0 || graceMinutes > 120) {
+      throw new Error("Grace period must be a whole number of minutes between 0 and 120");
+    }
+
+    return this.settingsRepository.saveSettings(CheckInService.SETTINGS_KEY, { graceMinutes });
+  }
+
+  /**
+   * Minutes between a session's start time and a moment (negative before the start)
+   * @param {Object} session - Session from ClassScheduleService.getSessionsForDate
+   * @param {Date} time - The moment to compare
+   * @returns {number} Whole minutes after the start
+   */
+  getMinutesAfterStart(session, time) {
+    const [hours, minutes] = session.startTime.split(':').map(Number);
+    const start = parseDateString(session.date);
+    start.setHours(hours, minutes, 0, 0);
+
+    return Math.floor((time.getTime() - start.getTime()) / 60000);
+  }
+
+  /**
+   * Get today's sessions that are open for check-in
+   * A session opens an hour before it starts and closes when it ends
+   * @param {Date} now - Current time
+   * @returns {Array} Open sessions, earliest first
+   */
+  getOpenSessions(now = new Date()) {
+    return this.classScheduleService.getSessionsForDate(now).filter(session => {
+      const minutesAfterStart = this.getMinutesAfterStart(session, now);
+      return minutesAfterStart >= -CheckInService.EARLY_CHECK_IN_MINUTES &&
+        minutesAfterStart < session.durationMinutes;
+    });
+  }
+
+  /**
+   * Checks a student in from the kiosk
+   * When several classes are open the result asks the student to pick one (needsSessionChoice)
+   * @param {string} checkinCode - PIN or scanned card code
+   * @param {Object} options - { sessionId: chosen session, now: check-in time }
+   * @returns {Promise<Object>} { student, session, late, minutesAfterStart, alreadyCheckedIn, needsSessionChoice, sessions }
+   * @throws {Error} If the code is unknown or no class is open
+   */
+  async checkIn(checkinCode, { sessionId = null, now = new Date() } = {}) {
+    const code = (checkinCode || '').trim();
+    if (!code) {
+      throw new Error("Enter your PIN or scan your card");
+    }
+
+    const student = await this.studentService.getStudentByCheckinCode(code);
+    if (!student || student.enrollmentStatus === 'Removed') {
+      throw new Error("Code not recognized. Please see the front desk.");
+    }
+
+    if (!isWithinEnrollment(student, now)) {
+      throw new Error("You are not enrolled for today's classes. Please see the front desk.");
+    }
+
+    await Promise.all([
+      this.classScheduleService.loadSchedule(),
+      this.feeScheduleService.loadSchedule()
+    ]);
+
+    // Without a class schedule there is no start time, so check-ins go on the day record and are never late
+    let session = null;
+    if (this.classScheduleService.hasSchedule()) {
+      const openSessions = this.getOpenSessions(now);
+
+      if (sessionId) {
+        session = openSessions.find(open => open.sessionId === sessionId);
+        if (!session) {
+          throw new Error("That class is not open for check-in");
+        }
+      } else if (openSessions.length === 0) {
+        throw new Error("No class is open for check-in right now");
+      } else if (openSessions.length > 1) {
+        return { student, needsSessionChoice: true, sessions: openSessions };
+      } else {
+        session = openSessions[0];
+      }
+    }
+
+    const recordSessionId = session ? session.sessionId : null;
+    const existing = await this.attendanceService.getAttendanceByDate(now, recordSessionId);
+    if (existing[student.id]) {
+      return { student, session, alreadyCheckedIn: true, record: existing[student.id] };
+    }
+
+    const graceMinutes = await this.getGraceMinutes();
+    const minutesAfterStart = session ? this.getMinutesAfterStart(session, now) : null;
+    const late = session !== null && minutesAfterStart > graceMinutes;
+    const attributes = late ? { late: true } : {};
+
+    await this.attendanceService.markAttendanceWithAttributes(now, student.id, 'present', attributes, recordSessionId, {
+      method: CheckInService.METHOD_KIOSK,
+      checkedInAt: now,
+      minutesAfterStart,
+      graceMinutes
+    });
+
+    // Charge the late fee the same way the dashboard does for a new record, with the fee rules applied
+    await this.attendanceService.postMarkingFeeChange(student.id, {
+      date: now,
+      sessionId: recordSessionId,
+      previous: null,
+      next: { status: 'present', attributes }
+    }, {
+      description: 'Late check-in at the kiosk',
+      student
+    });
+
+    return { student, session, late, minutesAfterStart, alreadyCheckedIn: false };
+  }
+}
+
+// Export a default instance
+export const checkInService = new CheckInService();
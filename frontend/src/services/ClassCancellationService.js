@@ -0,0 +1,181 @@
+import { classCancellationRepository } from '../repository/ClassCancellationRepository';
+import { holidayService } from './HolidayService';
+import { CANCELLATION_REASONS, CANCELLATION_REASON_LABELS } from '../constants/cancellationConstants';
+import { formatDateForDocId } from '../utils/DateUtils';
+import { notifyChangeListeners } from '../utils/ChangeListenerUtils';
+
+/**
+ * Service for classes called off at short notice (weather, a sick instructor, a venue problem)
+ * A cancellation covers one class session, or every class on its date when it has no session.
+ * Cancellations are kept in memory, like the holiday calendar, so the feed and reports can
+ * look them up synchronously.
+ */
+export default class ClassCancellationService {
+  constructor(
+    classCancellationRepositoryInstance = classCancellationRepository,
+    holidayServiceInstance = holidayService
+  ) {
+    this.classCancellationRepository = classCancellationRepositoryInstance;
+    this.holidayService = holidayServiceInstance;
+
+    this.cancellations = [];
+    this.loadPromise = null;
+    // Called after every change, e.g. to republish the calendar feed
+    this.changeListeners = [];
+  }
+
+  /**
+   * Loads the cancellations into memory (only once unless forced)
+   * @param {boolean} forceReload - Fetch again even if already loaded
+   * @returns {Promise<Array>} The loaded cancellations
+   */
+  async loadCancellations(forceReload = false) {
+    if (!this.loadPromise || forceReload) {
+      this.loadPromise = this.classCancellationRepository.getAllCancellations()
+        .then(cancellations => {
+          this.cancellations = cancellations || [];
+          return this.cancellations;
+        })
+        .catch(error => {
+          console.warn("Class cancellations could not be loaded:", error.message);
+          this.loadPromise = null;
+          return this.cancellations;
+        });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Gets every cancellation, earliest first
+   * @returns {Array} Copy of the cancellations
+   */
+  getCancellations() {
+    return [...this.cancellations].sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Gets the cancellations between two dates
+   * @param {Date|string} startDate - First date
+   * @param {Date|string} endDate - Last date
+   * @returns {Array} Cancellations in the range, earliest first
+   */
+  getCancellationsInRange(startDate, endDate) {
+    const startKey = formatDateForDocId(startDate);
+    const endKey = formatDateForDocId(endDate);
+
+    return this.getCancellations().filter(entry => entry.date >= startKey && entry.date <= endKey);
+  }
+
+  /**
+   * Gets the cancellations recorded on a date
+   * @param {Date|string} date - The date to check
+   * @returns {Array} Cancellations on the date
+   */
+  getCancellationsOnDate(date) {
+    const dateKey = formatDateForDocId(date);
+    return this.cancellations.filter(entry => entry.date === dateKey);
+  }
+
+  /**
+   * Gets the cancellation that calls off a class
+   * @param {Date|string} date - The class date
+   * @param {string|null} sessionId - Class session ID (null for the day record)
+   * @returns {Object|null} Cancellation, or null if the class goes ahead
+   */
+  getCancellation(date, sessionId = null) {
+    return this.getCancellationsOnDate(date).find(
+      entry => !entry.sessionId || entry.sessionId === sessionId
+    ) || null;
+  }
+
+  isCancelled(date, sessionId = null) {
+    return this.getCancellation(date, sessionId) !== null;
+  }
+
+  /**
+   * Gets the display label of a cancellation's reason
+   * @param {Object} cancellation - Cancellation with a reason
+   * @returns {string} Reason label
+   */
+  getReasonLabel(cancellation) {
+    return CANCELLATION_REASON_LABELS[cancellation.reason] || cancellation.reason;
+  }
+
+  /**
+   * Validates a cancellation before saving
+   * @param {Object} cancellation - date (YYYY-MM-DD), sessionId and reason
+   * @throws {Error} If the cancellation is invalid, falls on a holiday or is already recorded
+   */
+  validateCancellation(cancellation) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(cancellation.date || '')) {
+      throw new Error("Date is required (YYYY-MM-DD)");
+    }
+
+    if (!Object.values(CANCELLATION_REASONS).includes(cancellation.reason)) {
+      throw new Error(`Invalid cancellation reason. Must be one of: ${Object.values(CANCELLATION_REASONS).join(", ")}`);
+    }
+
+    const holidayName = this.holidayService.getHolidayName(cancellation.date);
+    if (holidayName) {
+      throw new Error(`${cancellation.date} is already a holiday (${holidayName}); there is no class to cancel`);
+    }
+
+    const existing = this.getCancellationsOnDate(cancellation.date).find(entry =>
+      !entry.sessionId || !cancellation.sessionId || entry.sessionId === cancellation.sessionId
+    );
+    if (existing) {
+      throw new Error(`Classes on ${cancellation.date} are already cancelled (${this.getReasonLabel(existing)})`);
+    }
+  }
+
+  /**
+   * Registers a listener called after the cancellations changes
+   * @param {Function} listener - Called with no arguments; may return a promise
+   * @returns {Function} Removes the listener
+   */
+  onChange(listener) {
+    this.changeListeners = [...this.changeListeners, listener];
+    return () => {
+      this.changeListeners = this.changeListeners.filter(registered => registered !== listener);
+    };
+  }
+
+  /**
+   * Builds a class cancellation and checks it can be recorded, without saving it
+   * @param {Object} cancellationData - { date, sessionId, className, reason, note, createdBy }
+   * @returns {Promise<Object>} The cancellation as it would be saved
+   * @throws {Error} If the cancellation is invalid, falls on a holiday or is already recorded
+   */
+  async prepareCancellation({ date, sessionId = null, className = null, reason, note = '', createdBy }) {
+    await Promise.all([this.loadCancellations(), this.holidayService.loadCalendar()]);
+
+    const cancellation = {
+      date: formatDateForDocId(date),
+      sessionId,
+      className,
+      reason,
+      note: (note || '').trim(),
+      createdBy: createdBy || null
+    };
+    this.validateCancellation(cancellation);
+    return cancellation;
+  }
+
+  /**
+   * Records a class cancellation
+   * @param {Object} cancellationData - { date, sessionId, className, reason, note, createdBy }
+   * @returns {Promise<Object>} Created cancellation
+   */
+  async addCancellation(cancellationData) {
+    const cancellation = await this.prepareCancellation(cancellationData);
+
+    const created = await this.classCancellationRepository.createCancellation(cancellation);
+    this.cancellations = [...this.cancellations, created];
+    notifyChangeListeners(this.changeListeners);
+    return created;
+  }
+}
+
+// Export a default instance
+export const classCancellationService = new ClassCancellationService();
@@ -0,0 +1,301 @@
+import { classScheduleRepository } from "../repository/ClassScheduleRepository";
+import { holidayService } from "../services/HolidayService";
+import { formatDateForDocId, parseDateString, addDays } from "../utils/DateUtils";
+import { notifyChangeListeners } from "../utils/ChangeListenerUtils";
+
+/**
+ * Service for the class schedule
+ * Models recurring weekly classes and one-off extra sessions, and expands them into dated sessions
+ * Keeps the schedule in memory so date checks can stay synchronous
+ */
+export default class ClassScheduleService {
+  constructor(classScheduleRepositoryInstance = classScheduleRepository, holidayServiceInstance = holidayService) {
+    this.classScheduleRepository = classScheduleRepositoryInstance;
+    this.holidayService = holidayServiceInstance;
+    this.entries = [];
+    this.loadPromise = null;
+    // Called after every change, e.g. to republish the calendar feed
+    this.changeListeners = [];
+  }
+
+  static get ENTRY_TYPES() {
+    return {
+      RECURRING: 'recurring',
+      ONE_OFF: 'oneOff'
+    };
+  }
+
+  static get WEEKDAYS() {
+    return ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+  }
+
+  /**
+   * Loads the persisted schedule into memory (only once unless forced)
+   * Leaves the schedule empty if it cannot be read
+   * @param {boolean} forceReload - Fetch again even if already loaded
+   * @returns {Promise<Array>} The loaded schedule entries
+   */
+  async loadSchedule(forceReload = false) {
+    if (!this.loadPromise || forceReload) {
+      this.loadPromise = this.classScheduleRepository.getAllEntries()
+        .then(entries => {
+          this.entries = entries || [];
+          return this.entries;
+        })
+        .catch(error => {
+          console.warn("Class schedule could not be loaded:", error.message);
+          this.loadPromise = null;
+          return this.entries;
+        });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Whether any classes have been scheduled
+   * Without a schedule every date is treated as a possible class day (legacy behaviour)
+   * @returns {boolean} True if at least one class or session exists
+   */
+  hasSchedule() {
+    return this.entries.length > 0;
+  }
+
+  /**
+   * Get the recurring class definitions sorted by weekday and start time
+   * @returns {Array} Recurring classes
+   */
+  getRecurringClasses() {
+    return this.entries
+      .filter(entry => entry.type === ClassScheduleService.ENTRY_TYPES.RECURRING)
+      .sort((a, b) => a.weekday - b.weekday || (a.startTime || '').localeCompare(b.startTime || ''));
+  }
+
+  /**
+   * Get the one-off sessions sorted by date and start time
+   * @returns {Array} One-off sessions
+   */
+  getOneOffSessions() {
+    return this.entries
+      .filter(entry => entry.type === ClassScheduleService.ENTRY_TYPES.ONE_OFF)
+      .sort((a, b) => a.date.localeCompare(b.date) || (a.startTime || '').localeCompare(b.startTime || ''));
+  }
+
+  /**
+   * Normalizes a date (Date, YYYY-MM-DD string or Firestore Timestamp) to a YYYY-MM-DD key
+   * @param {Date|string|Timestamp} date - The date to normalize
+   * @returns {string} Date key
+   */
+  toDateKey(date) {
+    const value = date && typeof date.toDate === 'function' ? date.toDate() : date;
+    return formatDateForDocId(value);
+  }
+
+  /**
+   * Get the sessions scheduled on a date, earliest first
+   * @param {Date|string|Timestamp} date - The date to check
+   * @returns {Array} Sessions with sessionId, classId, date, startTime, durationMinutes, level, location, name, oneOff
+   */
+  getSessionsForDate(date) {
+    const dateKey = this.toDateKey(date);
+    const weekday = parseDateString(dateKey).getDay();
+    const sessions = [];
+
+    for (const entry of this.entries) {
+      if (entry.type === ClassScheduleService.ENTRY_TYPES.RECURRING) {
+        if (entry.weekday !== weekday) continue;
+        if (entry.startDate && dateKey < entry.startDate) continue;
+        if (entry.endDate && dateKey > entry.endDate) continue;
+      } else if (entry.type !== ClassScheduleService.ENTRY_TYPES.ONE_OFF || entry.date !== dateKey) {
+        continue;
+      }
+
+      sessions.push({
+        sessionId: `${dateKey}_${entry.id}`,
+        classId: entry.id,
+        date: dateKey,
+        name: entry.name || '',
+        startTime: entry.startTime,
+        durationMinutes: entry.durationMinutes,
+        level: entry.level || '',
+        location: entry.location || '',
+        oneOff: entry.type === ClassScheduleService.ENTRY_TYPES.ONE_OFF
+      });
+    }
+
+    return sessions.sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''));
+  }
+
+  /**
+   * Whether classes are scheduled on a date
+   * Always true when no schedule has been set up
+   * @param {Date|string|Timestamp} date - The date to check
+   * @returns {boolean} True if the date is a class day
+   */
+  isClassDay(date) {
+    if (!this.hasSchedule()) return true;
+    return this.getSessionsForDate(date).length > 0;
+  }
+
+  /**
+   * Get every scheduled session between two dates (inclusive)
+   * @param {Date|string} startDate - First date of the range
+   * @param {Date|string} endDate - Last date of the range
+   * @returns {Array} Sessions in date and start time order
+   */
+  getSessionsInRange(startDate, endDate) {
+    const endKey = this.toDateKey(endDate);
+    const sessions = [];
+
+    for (let day = parseDateString(this.toDateKey(startDate)); formatDateForDocId(day) <= endKey; day = addDays(day, 1)) {
+      sessions.push(...this.getSessionsForDate(day));
+    }
+
+    return sessions;
+  }
+
+  /**
+   * Get the dates that have at least one scheduled session
+   * @param {Date|string} startDate - First date of the range
+   * @param {Date|string} endDate - Last date of the range
+   * @returns {Array<string>} Class dates as YYYY-MM-DD
+   */
+  getScheduledDates(startDate, endDate) {
+    return [...new Set(this.getSessionsInRange(startDate, endDate).map(session => session.date))];
+  }
+
+  /**
+   * Get the sessions that were actually held between two dates
+   * Excludes sessions that fall on holidays and sessions that have not happened yet
+   * @param {Date|string} startDate - First date of the range
+   * @param {Date|string} endDate - Last date of the range
+   * @param {Date} today - Reference date for "not happened yet" (defaults to now)
+   * @returns {Array} Held sessions
+   */
+  getSessionsHeld(startDate, endDate, today = new Date()) {
+    const todayKey = this.toDateKey(today);
+
+    return this.getSessionsInRange(startDate, endDate).filter(session =>
+      session.date <= todayKey && !this.holidayService.isHoliday(session.date)
+    );
+  }
+
+  /**
+   * Validates a schedule entry
+   * @param {Object} entryData - Recurring class or one-off session data
+   * @throws {Error} If entry data is invalid
+   */
+  validateEntry(entryData) {
+    const { RECURRING, ONE_OFF } = ClassScheduleService.ENTRY_TYPES;
+
+    if (entryData.type !== RECURRING && entryData.type !== ONE_OFF) {
+      throw new Error(`Invalid schedule type. Must be one of: ${RECURRING}, ${ONE_OFF}`);
+    }
+
+    if (entryData.type === RECURRING && !(Number.isInteger(entryData.weekday) && entryData.weekday >= 0 && entryData.weekday <= 6)) {
+      throw new Error("Weekday is required for a recurring class");
+    }
+
+    if (entryData.type === ONE_OFF && !/^\d{4}-\d{2}-\d{2}$/.test(entryData.date || '')) {
+      throw new Error("Date is required for a one-off session (YYYY-MM-DD)");
+    }
+
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(entryData.startTime || '')) {
+      throw new Error("Start time is required (HH:MM)");
+    }
+
+    if (!Number.isInteger(entryData.durationMinutes) || entryData.durationMinutes <= 0) {
+      throw new Error("Duration must be a whole number of minutes greater than zero");
+    }
+
+    if (entryData.startDate && entryData.endDate && entryData.endDate < entryData.startDate) {
+      throw new Error("End date cannot be before start date");
+    }
+  }
+
+  /**
+   * Registers a listener called after the schedule changes
+   * @param {Function} listener - Called with no arguments; may return a promise
+   * @returns {Function} Removes the listener
+   */
+  onChange(listener) {
+    this.changeListeners = [...this.changeListeners, listener];
+    return () => {
+      this.changeListeners = this.changeListeners.filter(registered => registered !== listener);
+    };
+  }
+
+  /**
+   * Adds a recurring weekly class
+   * @param {Object} classData - Class data with weekday, startTime, durationMinutes, level, location, name, startDate, endDate
+   * @returns {Promise<Object>} Created class
+   */
+  async addRecurringClass(classData) {
+    return this.addEntry({
+      ...classData,
+      type: ClassScheduleService.ENTRY_TYPES.RECURRING
+    });
+  }
+
+  /**
+   * Adds a one-off extra session
+   * @param {Object} sessionData - Session data with date, startTime, durationMinutes, level, location, name
+   * @returns {Promise<Object>} Created session
+   */
+  async addOneOffSession(sessionData) {
+    return this.addEntry({
+      ...sessionData,
+      date: formatDateForDocId(sessionData.date),
+      type: ClassScheduleService.ENTRY_TYPES.ONE_OFF
+    });
+  }
+
+  /**
+   * Validates and persists a schedule entry
+   * @param {Object} entryData - Entry data including type
+   * @returns {Promise<Object>} Created entry
+   */
+  async addEntry(entryData) {
+    this.validateEntry(entryData);
+
+    const created = await this.classScheduleRepository.createEntry(entryData);
+    this.entries = [...this.entries, created];
+    notifyChangeListeners(this.changeListeners);
+    return created;
+  }
+
+  /**
+   * Updates a schedule entry (e.g. set an end date when a class stops running)
+   * @param {string} entryId - The entry ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} Updated entry
+   */
+  async updateEntry(entryId, updates) {
+    const existing = this.entries.find(entry => entry.id === entryId);
+    if (!existing) {
+      throw new Error("Schedule entry not found");
+    }
+
+    const updated = { ...existing, ...updates };
+    this.validateEntry(updated);
+
+    await this.classScheduleRepository.updateEntry(entryId, updates);
+    this.entries = this.entries.map(entry => (entry.id === entryId ? updated : entry));
+    notifyChangeListeners(this.changeListeners);
+    return updated;
+  }
+
+  /**
+   * Removes a schedule entry
+   * @param {string} entryId - The entry ID
+   * @returns {Promise<void>}
+   */
+  async removeEntry(entryId) {
+    await this.classScheduleRepository.deleteEntry(entryId);
+    this.entries = this.entries.filter(entry => entry.id !== entryId);
+    notifyChangeListeners(this.changeListeners);
+  }
+}
+
+// Export a default instance
+export const classScheduleService = new ClassScheduleService(classScheduleRepository, holidayService);
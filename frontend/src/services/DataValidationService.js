@@ -77,7 +77,7 @@ export default class DataValidationService {
     }
     
     // Validate status values
-    const validStatuses = ['present', 'absent', 'late', 'medicalAbsence', 'holiday'];
+    const validStatuses = ['present', 'absent', 'late', 'medicalAbsence', 'holiday', 'cancelled'];
     if (attendanceData.status && !validStatuses.includes(attendanceData.status)) {
       errors.push(`status must be one of: ${validStatuses.join(', ')}`);
     }
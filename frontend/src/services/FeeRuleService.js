@@ -0,0 +1,171 @@
+import { settingsRepository } from "../repository/SettingsRepository";
+import { dateService } from "./DateService";
+import { FEE_RULE_TYPES, DEFAULT_FEE_RULES } from "../constants/feeRuleConstants";
+import { FEE_TYPE_OPTIONS } from "../constants/feeConstants";
+import { hasFeeRules, applyFeeRules } from "../utils/FeeRuleUtils";
+import { parseDateString } from "../utils/DateUtils";
+
+const FEE_TYPES = FEE_TYPE_OPTIONS.map(option => option.value);
+
+/**
+ * Service for the monthly fee cap and the repeat-offense rules
+ * Keeps the rules in memory so fee calculations can stay synchronous, like the fee schedule.
+ * Rules apply to a student's markings as a whole, so every fee total is worked out through
+ * calculateFees over the student's markings in date order.
+ */
+export default class FeeRuleService {
+  constructor(settingsRepositoryInstance = settingsRepository, dateServiceInstance = dateService) {
+    this.settingsRepository = settingsRepositoryInstance;
+    this.dateService = dateServiceInstance;
+    this.feeRules = DEFAULT_FEE_RULES;
+    this.loadPromise = null;
+  }
+
+  static get SETTINGS_KEY() {
+    return 'feeRules';
+  }
+
+  /**
+   * Loads the configured rules into memory (only once unless forced)
+   * Falls back to no rules if the settings cannot be read
+   * @param {boolean} forceReload - Fetch again even if already loaded
+   * @returns {Promise<Object>} The loaded rules { monthlyCap, rules }
+   */
+  async loadRules(forceReload = false) {
+    if (!this.loadPromise || forceReload) {
+      this.loadPromise = this.settingsRepository.getSettings(FeeRuleService.SETTINGS_KEY)
+        .then(settings => {
+          this.feeRules = {
+            monthlyCap: Number.isFinite(settings?.monthlyCap) ? settings.monthlyCap : null,
+            rules: settings?.rules || []
+          };
+          return this.feeRules;
+        })
+        .catch(error => {
+          console.warn("Using no fee rules, the configured rules could not be loaded:", error.message);
+          this.loadPromise = null;
+          return this.feeRules;
+        });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Gets the rules in memory
+   * @returns {Object} { monthlyCap, rules }
+   */
+  getRules() {
+    return this.feeRules;
+  }
+
+  /**
+   * Checks whether any rule changes fees, so callers can skip loading history otherwise
+   * @returns {boolean} True if a cap or a repeat-offense rule is configured
+   */
+  hasRules() {
+    return hasFeeRules(this.feeRules);
+  }
+
+  /**
+   * Checks whether a rule depends on earlier months of the fee year
+   * @returns {boolean} True if a repeat-offense rule is configured
+   */
+  hasRepeatOffenseRules() {
+    return this.feeRules.rules.length > 0;
+  }
+
+  /**
+   * Gets the earliest date whose markings can change the fee of a marking on a date
+   * @param {Date} date - The attendance date
+   * @returns {Date} Start of the fee year with repeat-offense rules, otherwise start of the month
+   */
+  getHistoryStartDate(date) {
+    return this.hasRepeatOffenseRules()
+      ? this.dateService.calculateFeeYearStartDate(date)
+      : new Date(date.getFullYear(), date.getMonth(), 1);
+  }
+
+  /**
+   * Gets the last date whose marking's fee can change with the markings on a date
+   * @param {Date} date - The attendance date
+   * @returns {Date} End of the fee year with repeat-offense rules, otherwise end of the month
+   */
+  getHistoryEndDate(date) {
+    return this.hasRepeatOffenseRules()
+      ? this.dateService.getFeeYearEndDate(date)
+      : new Date(date.getFullYear(), date.getMonth() + 1, 0);
+  }
+
+  /**
+   * Validates rules before saving
+   * @param {Object} feeRules - { monthlyCap, rules }
+   * @throws {Error} If the cap or a rule is invalid
+   */
+  validateRules({ monthlyCap = null, rules = [] }) {
+    if (monthlyCap !== null && (!Number.isFinite(monthlyCap) || monthlyCap < 0)) {
+      throw new Error("Monthly cap must be zero or more");
+    }
+
+    rules.forEach(rule => {
+      if (!FEE_TYPES.includes(rule.feeType)) {
+        throw new Error(`Invalid fee type. Must be one of: ${FEE_TYPES.join(", ")}`);
+      }
+      if (rule.type === FEE_RULE_TYPES.ESCALATE) {
+        if (!Number.isInteger(rule.afterCount) || rule.afterCount < 0) {
+          throw new Error("Escalation must start after zero or more offenses");
+        }
+        if (!Number.isFinite(rule.multiplier) || rule.multiplier <= 0) {
+          throw new Error("Escalation multiplier must be greater than zero");
+        }
+      } else if (rule.type === FEE_RULE_TYPES.WAIVE_FIRST) {
+        if (!Number.isInteger(rule.count) || rule.count < 1) {
+          throw new Error("Waive at least the first offense");
+        }
+      } else {
+        throw new Error(`Invalid rule type. Must be one of: ${Object.values(FEE_RULE_TYPES).join(", ")}`);
+      }
+    });
+  }
+
+  /**
+   * Saves the monthly cap and repeat-offense rules
+   * @param {Object} feeRules - { monthlyCap (null for none), rules }
+   * @returns {Promise<Object>} The saved rules
+   */
+  async saveRules(feeRules) {
+    const rules = {
+      monthlyCap: Number.isFinite(feeRules.monthlyCap) ? feeRules.monthlyCap : null,
+      rules: (feeRules.rules || []).map(({ type, feeType, afterCount, multiplier, count }) => (
+        type === FEE_RULE_TYPES.ESCALATE ? { type, feeType, afterCount, multiplier } : { type, feeType, count }
+      ))
+    };
+    this.validateRules(rules);
+
+    await this.settingsRepository.saveSettings(FeeRuleService.SETTINGS_KEY, rules);
+    this.feeRules = rules;
+    return rules;
+  }
+
+  /**
+   * Charges one student's markings with the rules applied
+   * Include every marking of the fee year up to the latest one needed: the fee of a marking
+   * depends on the student's earlier offenses that year and earlier charges that month.
+   * @param {Array} markings - One student's markings [{ id, date, status, attributes }]
+   * @param {Function} calculateFee - (status, attributes, date) => fee before rules
+   * @returns {Object} Fee keyed by marking ID
+   */
+  calculateFees(markings, calculateFee) {
+    return applyFeeRules(
+      markings,
+      this.feeRules,
+      calculateFee,
+      date => this.dateService.calculateFeeYearStartDate(
+        typeof date === 'string' ? parseDateString(date) : new Date(date)
+      ).getFullYear()
+    );
+  }
+}
+
+// Export a default instance
+export const feeRuleService = new FeeRuleService();
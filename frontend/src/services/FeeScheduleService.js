@@ -0,0 +1,157 @@
+import { feeScheduleRepository } from "../repository/FeeScheduleRepository";
+import { formatDateForDocId } from "../utils/DateUtils";
+
+/**
+ * Service for the effective-dated fee schedule
+ * Keeps the schedule in memory so fee calculations can stay synchronous
+ */
+export default class FeeScheduleService {
+  constructor(feeScheduleRepositoryInstance = feeScheduleRepository) {
+    this.feeScheduleRepository = feeScheduleRepositoryInstance;
+    this.entries = [];
+    this.loadPromise = null;
+  }
+
+  /**
+   * Rates used when no schedule entry is in effect for a date
+   */
+  static get DEFAULT_RATES() {
+    return {
+      absent: 5,
+      late: 1,
+      noShoes: 1,
+      notInUniform: 1
+    };
+  }
+
+  static get FEE_TYPES() {
+    return Object.keys(FeeScheduleService.DEFAULT_RATES);
+  }
+
+  /**
+   * Loads the persisted schedule into memory (only once unless forced)
+   * Falls back to the default rates if the schedule cannot be read
+   * @param {boolean} forceReload - Fetch again even if already loaded
+   * @returns {Promise<Array>} The loaded schedule entries
+   */
+  async loadSchedule(forceReload = false) {
+    if (!this.loadPromise || forceReload) {
+      this.loadPromise = this.feeScheduleRepository.getAllRates()
+        .then(entries => {
+          this.entries = entries || [];
+          return this.entries;
+        })
+        .catch(error => {
+          console.warn("Using default fee rates, fee schedule could not be loaded:", error.message);
+          this.loadPromise = null;
+          return this.entries;
+        });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Get the rate for each fee type that was in effect on a date
+   * @param {Date|string|Timestamp|null} date - The attendance date (defaults to today)
+   * @returns {Object} Rates keyed by fee type (absent, late, noShoes, notInUniform)
+   */
+  getRatesForDate(date = null) {
+    const attendanceDate = date && typeof date.toDate === 'function' ? date.toDate() : date;
+    const dateKey = formatDateForDocId(attendanceDate || new Date());
+    const rates = { ...FeeScheduleService.DEFAULT_RATES };
+    const effectiveFromByType = {};
+
+    for (const entry of this.entries) {
+      if (!entry.effectiveFrom || entry.effectiveFrom > dateKey) continue;
+      if (!(entry.feeType in rates)) continue;
+
+      // The latest effective date on or before the attendance date wins
+      const current = effectiveFromByType[entry.feeType];
+      if (!current || entry.effectiveFrom >= current) {
+        effectiveFromByType[entry.feeType] = entry.effectiveFrom;
+        rates[entry.feeType] = entry.amount;
+      }
+    }
+
+    return rates;
+  }
+
+  /**
+   * Get the rate for a single fee type on a date
+   * @param {string} feeType - One of absent, late, noShoes, notInUniform
+   * @param {Date|string|null} date - The attendance date (defaults to today)
+   * @returns {number} Fee amount in dollars
+   */
+  getRate(feeType, date = null) {
+    return this.getRatesForDate(date)[feeType] || 0;
+  }
+
+  /**
+   * Get all schedule entries sorted by fee type and effective date
+   * @returns {Array} Copy of the schedule entries
+   */
+  getSchedule() {
+    return [...this.entries].sort((a, b) =>
+      a.feeType === b.feeType
+        ? a.effectiveFrom.localeCompare(b.effectiveFrom)
+        : a.feeType.localeCompare(b.feeType)
+    );
+  }
+
+  /**
+   * Validates a new rate entry
+   * @param {Object} rateData - Rate data to validate
+   * @throws {Error} If rate data is invalid
+   */
+  validateRate(rateData) {
+    if (!FeeScheduleService.FEE_TYPES.includes(rateData.feeType)) {
+      throw new Error(`Invalid fee type. Must be one of: ${FeeScheduleService.FEE_TYPES.join(", ")}`);
+    }
+
+    if (typeof rateData.amount !== 'number' || !Number.isFinite(rateData.amount) || rateData.amount < 0) {
+      throw new Error("Fee amount must be zero or greater");
+    }
+
+    if (!rateData.effectiveFrom || !/^\d{4}-\d{2}-\d{2}$/.test(rateData.effectiveFrom)) {
+      throw new Error("Effective date is required (YYYY-MM-DD)");
+    }
+  }
+
+  /**
+   * Adds a rate that takes effect from a given date
+   * @param {Object} rateData - Rate data with feeType, amount, effectiveFrom, adminId
+   * @returns {Promise<Object>} Created rate entry
+   */
+  async addRate(rateData) {
+    const rate = {
+      ...rateData,
+      effectiveFrom: formatDateForDocId(rateData.effectiveFrom)
+    };
+    this.validateRate(rate);
+
+    const existing = this.entries.find(
+      entry => entry.feeType === rate.feeType && entry.effectiveFrom === rate.effectiveFrom
+    );
+    if (existing) {
+      throw new Error(`A ${rate.feeType} rate already takes effect on ${rate.effectiveFrom}`);
+    }
+
+    const created = await this.feeScheduleRepository.createRate(rate);
+    this.entries = [...this.entries, created];
+    return created;
+  }
+
+  /**
+   * Removes a rate entry from the schedule
+   * @param {string} rateId - The rate entry ID
+   * @returns {Promise<void>}
+   */
+  async removeRate(rateId) {
+    await this.feeScheduleRepository.deleteRate(rateId);
+    this.entries = this.entries.filter(entry => entry.id !== rateId);
+  }
+}
+
+// Export a default instance
+export const feeScheduleService = new FeeScheduleService(feeScheduleRepository);
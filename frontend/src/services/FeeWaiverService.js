@@ -0,0 +1,263 @@
+import { feeWaiverRepository } from "../repository/FeeWaiverRepository";
+import { studentRepository } from "../repository/StudentRepository";
+import { settingsRepository } from "../repository/SettingsRepository";
+import { ledgerService } from "./LedgerService";
+import { paymentService } from "./PaymentService";
+import { LEDGER_SOURCE_TYPES } from "../constants/ledgerConstants";
+import { WAIVER_STATUSES, DEFAULT_WAIVER_APPROVAL_THRESHOLD } from "../constants/waiverConstants";
+import { formatDateForDocId } from "../utils/DateUtils";
+import { getPendingFeeIds } from "../utils/WaiverUtils";
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+const requestedMillis = (waiver) => (
+  waiver.requestedAt?.toMillis ? waiver.requestedAt.toMillis() : new Date(waiver.requestedAt || 0).getTime()
+);
+
+/**
+ * Service for fee waivers
+ * A waiver forgives what is still owed on one fee or on every fee in a date range, without
+ * touching the attendance records. It is posted to the ledger as a waiver entry, so reports show
+ * the amount as waived revenue. Waivers above the approval threshold need a second admin.
+ */
+export default class FeeWaiverService {
+  constructor(
+    feeWaiverRepositoryInstance = feeWaiverRepository,
+    studentRepositoryInstance = studentRepository,
+    settingsRepositoryInstance = settingsRepository,
+    ledgerServiceInstance = ledgerService,
+    paymentServiceInstance = paymentService
+  ) {
+    this.feeWaiverRepository = feeWaiverRepositoryInstance;
+    this.studentRepository = studentRepositoryInstance;
+    this.settingsRepository = settingsRepositoryInstance;
+    this.ledgerService = ledgerServiceInstance;
+    this.paymentService = paymentServiceInstance;
+  }
+
+  static get SETTINGS_KEY() {
+    return 'waivers';
+  }
+
+  /**
+   * Get the largest waiver one admin can grant alone
+   * Falls back to the default if the setting cannot be read
+   * @returns {Promise<number>} Threshold in dollars
+   */
+  async getApprovalThreshold() {
+    try {
+      const settings = await this.settingsRepository.getSettings(FeeWaiverService.SETTINGS_KEY);
+      return Number.isFinite(settings?.approvalThreshold) ? settings.approvalThreshold : DEFAULT_WAIVER_APPROVAL_THRESHOLD;
+    } catch (error) {
+      console.warn("Using default waiver approval threshold:", error.message);
+      return DEFAULT_WAIVER_APPROVAL_THRESHOLD;
+    }
+  }
+
+  /**
+   * Saves the approval threshold
+   * @param {number} approvalThreshold - Amount in dollars, zero or more
+   * @returns {Promise<Object>} Saved settings
+   */
+  async saveApprovalThreshold(approvalThreshold) {
+    if (!Number.isFinite(approvalThreshold) || approvalThreshold < 0) {
+      throw new Error("Approval threshold must be zero or more");
+    }
+
+    return this.settingsRepository.saveSettings(FeeWaiverService.SETTINGS_KEY, {
+      approvalThreshold: roundCents(approvalThreshold)
+    });
+  }
+
+  /**
+   * Gets the fees a waiver would cover, with the amount still owed on each
+   * Fees held by a pending waiver are left out so the same fee is not waived twice.
+   * @param {string} studentId - The student's ID
+   * @param {Object} selection - { feeIds } for specific fees, or { startDate, endDate } (YYYY-MM-DD) for a range
+   * @returns {Promise<Array>} Fees [{ feeId, feeDate, amount }]
+   */
+  async getWaivableFees(studentId, { feeIds = [], startDate = null, endDate = null } = {}) {
+    const [openFees, waivers] = await Promise.all([
+      this.paymentService.getOpenFees(studentId),
+      this.feeWaiverRepository.getWaiversByStudentId(studentId)
+    ]);
+    const pendingFeeIds = getPendingFeeIds(waivers);
+
+    return openFees
+      .map(fee => ({ feeId: fee.feeId, feeDate: formatDateForDocId(fee.date), amount: fee.remaining }))
+      .filter(fee => !pendingFeeIds.has(fee.feeId))
+      .filter(fee => (feeIds.length > 0
+        ? feeIds.includes(fee.feeId)
+        : fee.feeDate >= startDate && fee.feeDate <= endDate));
+  }
+
+  /**
+   * Posts an approved waiver to the student's ledger
+   * @param {Object} waiver - The waiver
+   * @param {string} adminId - Admin who approved it
+   * @returns {Promise<Object>} Updated student
+   */
+  async postWaiver(waiver, adminId) {
+    const { updatedStudent } = await this.ledgerService.postWaiver(waiver.studentId, waiver.amount, {
+      sourceType: LEDGER_SOURCE_TYPES.WAIVER,
+      sourceId: waiver.id,
+      date: new Date(),
+      description: `Fee waiver: ${waiver.reason}`,
+      createdBy: adminId
+    });
+    return updatedStudent;
+  }
+
+  /**
+   * Waives what is still owed on one or more fees
+   * A waiver at or below the approval threshold is approved at once by the admin requesting it;
+   * a larger one waits for a different admin in approveWaiver.
+   * @param {string} studentId - The student's ID
+   * @param {Object} request - { feeIds } or { startDate, endDate } (YYYY-MM-DD), and a reason
+   * @param {Object} options - { adminId }
+   * @returns {Promise<Object>} { waiver, updatedStudent } (updatedStudent is null while pending)
+   * @throws {Error} If the reason is missing, the range is invalid or there is nothing left to waive
+   */
+  async requestWaiver(studentId, { feeIds = [], startDate = null, endDate = null, reason = '' }, { adminId = null } = {}) {
+    try {
+      if (!reason || !reason.trim()) {
+        throw new Error("A reason is required for waivers");
+      }
+      if (feeIds.length === 0 && (!startDate || !endDate || startDate > endDate)) {
+        throw new Error("Pick the fees to waive or a valid date range");
+      }
+
+      const student = await this.studentRepository.getStudentById(studentId);
+      if (!student) {
+        throw new Error("Student not found");
+      }
+
+      const fees = await this.getWaivableFees(studentId, { feeIds, startDate, endDate });
+      const amount = roundCents(fees.reduce((total, fee) => total + fee.amount, 0));
+      if (amount <= 0) {
+        throw new Error("There are no unpaid fees to waive");
+      }
+
+      const needsApproval = amount > await this.getApprovalThreshold();
+      const waiver = await this.feeWaiverRepository.createWaiver({
+        studentId,
+        studentName: `${student.firstName || ''} ${student.lastName || ''}`.trim(),
+        fees,
+        amount,
+        reason: reason.trim(),
+        ...(feeIds.length === 0 && { startDate, endDate }),
+        status: needsApproval ? WAIVER_STATUSES.PENDING : WAIVER_STATUSES.APPROVED,
+        requestedBy: adminId,
+        approvedBy: needsApproval ? null : adminId,
+        approvedAt: needsApproval ? null : new Date()
+      });
+
+      const updatedStudent = needsApproval ? null : await this.postWaiver(waiver, adminId);
+
+      return { waiver, updatedStudent };
+    } catch (error) {
+      console.error("Error requesting fee waiver:", error);
+      throw new Error(`Failed to waive fees: ${error.message}`);
+    }
+  }
+
+  /**
+   * Approves a pending waiver
+   * Fees paid in the meantime are only waived up to what is still owed on them.
+   * @param {string} waiverId - The waiver ID
+   * @param {Object} options - { adminId }
+   * @returns {Promise<Object>} { waiver, updatedStudent }
+   * @throws {Error} If the waiver is not pending, the approver requested it, or nothing is left to waive
+   */
+  async approveWaiver(waiverId, { adminId = null } = {}) {
+    try {
+      const waiver = await this.feeWaiverRepository.getWaiverById(waiverId);
+      if (!waiver) {
+        throw new Error("Waiver not found");
+      }
+      if (waiver.status !== WAIVER_STATUSES.PENDING) {
+        throw new Error("Only pending waivers can be approved");
+      }
+      if (!adminId || adminId === waiver.requestedBy) {
+        throw new Error("A second admin must approve this waiver");
+      }
+
+      const openFees = await this.paymentService.getOpenFees(waiver.studentId);
+      const fees = waiver.fees
+        .map(fee => {
+          const open = openFees.find(candidate => candidate.feeId === fee.feeId);
+          return { ...fee, amount: roundCents(Math.min(fee.amount, open ? open.remaining : 0)) };
+        })
+        .filter(fee => fee.amount > 0);
+      const amount = roundCents(fees.reduce((total, fee) => total + fee.amount, 0));
+      if (amount <= 0) {
+        throw new Error("The fees of this waiver have been paid");
+      }
+
+      const approved = await this.feeWaiverRepository.updateWaiver(waiverId, {
+        fees,
+        amount,
+        status: WAIVER_STATUSES.APPROVED,
+        approvedBy: adminId,
+        approvedAt: new Date()
+      });
+      const updatedStudent = await this.postWaiver({ ...waiver, ...approved, fees, amount }, adminId);
+
+      return { waiver: approved, updatedStudent };
+    } catch (error) {
+      console.error("Error approving fee waiver:", error);
+      throw new Error(`Failed to approve waiver: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rejects a pending waiver, leaving the fees owed
+   * @param {string} waiverId - The waiver ID
+   * @param {Object} options - { adminId, reason }
+   * @returns {Promise<Object>} The rejected waiver
+   */
+  async rejectWaiver(waiverId, { adminId = null, reason = '' } = {}) {
+    try {
+      const waiver = await this.feeWaiverRepository.getWaiverById(waiverId);
+      if (!waiver) {
+        throw new Error("Waiver not found");
+      }
+      if (waiver.status !== WAIVER_STATUSES.PENDING) {
+        throw new Error("Only pending waivers can be rejected");
+      }
+
+      return await this.feeWaiverRepository.updateWaiver(waiverId, {
+        status: WAIVER_STATUSES.REJECTED,
+        rejectedBy: adminId,
+        rejectedAt: new Date(),
+        rejectionReason: reason.trim()
+      });
+    } catch (error) {
+      console.error("Error rejecting fee waiver:", error);
+      throw new Error(`Failed to reject waiver: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets the waivers waiting for approval, oldest request first
+   * @returns {Promise<Array>} Pending waivers
+   */
+  async getPendingWaivers() {
+    const waivers = await this.feeWaiverRepository.getWaiversByStatus(WAIVER_STATUSES.PENDING);
+
+    return [...waivers].sort((a, b) => requestedMillis(a) - requestedMillis(b));
+  }
+
+  /**
+   * Gets a student's waivers, newest request first
+   * @param {string} studentId - The student's ID
+   * @returns {Promise<Array>} Waivers
+   */
+  async getStudentWaivers(studentId) {
+    const waivers = await this.feeWaiverRepository.getWaiversByStudentId(studentId);
+
+    return [...waivers].sort((a, b) => requestedMillis(b) - requestedMillis(a));
+  }
+}
+
+// Export a default instance
+export const feeWaiverService = new FeeWaiverService();
@@ -0,0 +1,232 @@
+import { feeYearArchiveRepository } from "../repository/FeeYearArchiveRepository";
+import { studentService } from "./StudentService";
+import { statementService } from "./StatementService";
+import { reportService } from "./ReportService";
+import { ledgerService } from "./LedgerService";
+import { dateService } from "./DateService";
+import { LEDGER_SOURCE_TYPES } from "../constants/ledgerConstants";
+import { DEFAULT_INACTIVE_REMOVAL_MONTHS } from "../constants/feeYearConstants";
+import { formatDateForDocId, addDays, addMonths } from "../utils/DateUtils";
+import { getStatusSince } from "../utils/EnrollmentUtils";
+import { formatFeeYear } from "../utils/ReceiptUtils";
+
+/**
+ * Service for closing out a fee year
+ * Closing a year archives every student's statement totals for the year and the year's financial
+ * report, then carries each balance into the next year: a closing entry on the last day of the year
+ * and a matching opening entry on the first day of the next, so balances themselves do not change.
+ * The archive is written last, so a close that fails part way can be run again; entries already
+ * posted for the year are not posted twice.
+ */
+export default class FeeYearCloseService {
+  constructor(
+    feeYearArchiveRepositoryInstance = feeYearArchiveRepository,
+    studentServiceInstance = studentService,
+    statementServiceInstance = statementService,
+    reportServiceInstance = reportService,
+    ledgerServiceInstance = ledgerService,
+    dateServiceInstance = dateService
+  ) {
+    this.feeYearArchiveRepository = feeYearArchiveRepositoryInstance;
+    this.studentService = studentServiceInstance;
+    this.statementService = statementServiceInstance;
+    this.reportService = reportServiceInstance;
+    this.ledgerService = ledgerServiceInstance;
+    this.dateService = dateServiceInstance;
+  }
+
+  /**
+   * Gets the most recent fee year that has ended
+   * @param {Date} today - The current date
+   * @returns {number} Start year of the fee year
+   */
+  getLastEndedFeeYear(today = new Date()) {
+    return this.dateService.calculateFeeYearStartDate(today).getFullYear() - 1;
+  }
+
+  /**
+   * Gets the first and last day of a fee year
+   * @param {number} feeYear - Start year of the fee year
+   * @returns {Object} { startDate, endDate }
+   */
+  getFeeYearRange(feeYear) {
+    // January 1 always falls inside the fee year that started the previous August
+    return this.dateService.getFeeYearDateRange(new Date(feeYear + 1, 0, 1));
+  }
+
+  /**
+   * Works out what closing a fee year would archive, carry forward and remove, without saving anything
+   * @param {number} feeYear - Start year of the fee year
+   * @param {Object} options - { removeInactiveMonths: months Inactive before a student at $0 is removed, null to keep everyone }
+   * @returns {Promise<Object>} { feeYear, label, startDate, endDate, students, totals, studentsToRemove }
+   * @throws {Error} If the fee year has not ended or is already closed
+   */
+  async previewClose(feeYear, { removeInactiveMonths = DEFAULT_INACTIVE_REMOVAL_MONTHS } = {}) {
+    const { startDate, endDate } = this.getFeeYearRange(feeYear);
+    const label = formatFeeYear(feeYear);
+
+    if (formatDateForDocId(endDate) >= formatDateForDocId(new Date())) {
+      throw new Error(`Fee year ${label} has not ended yet`);
+    }
+    if (await this.feeYearArchiveRepository.getArchive(feeYear)) {
+      throw new Error(`Fee year ${label} is already closed`);
+    }
+
+    const allStudents = await this.studentService.getAllStudents();
+    const students = await Promise.all(allStudents.map(async student => {
+      const statement = await this.statementService.generateStatement(student.id, startDate, endDate);
+      return {
+        studentId: student.id,
+        name: `${student.firstName || ''} ${student.lastName || ''}`.trim(),
+        enrollmentStatus: student.enrollmentStatus || 'Pending Payment',
+        openingBalance: statement.openingBalance,
+        ...statement.totals,
+        closingBalance: statement.closingBalance
+      };
+    }));
+
+    const round = amount => this.ledgerService.roundAmount(amount);
+    const totals = students.reduce((sum, { closingBalance }) => ({
+      studentCount: sum.studentCount + 1,
+      owed: round(sum.owed + Math.max(0, closingBalance)),
+      credit: round(sum.credit + Math.max(0, -closingBalance)),
+      carriedForward: round(sum.carriedForward + closingBalance)
+    }), { studentCount: 0, owed: 0, credit: 0, carriedForward: 0 });
+
+    return {
+      feeYear,
+      label,
+      startDate: formatDateForDocId(startDate),
+      endDate: formatDateForDocId(endDate),
+      students,
+      totals,
+      studentsToRemove: await this.findStudentsToRemove(allStudents, endDate, removeInactiveMonths)
+    };
+  }
+
+  /**
+   * Finds long-inactive students who owe nothing
+   * @param {Array} students - Every student
+   * @param {Date} endDate - Last day of the fee year being closed
+   * @param {number|null} removeInactiveMonths - Months Inactive by the end of the year, null to remove no one
+   * @returns {Promise<Array>} [{ studentId, name, inactiveSince }]
+   */
+  async findStudentsToRemove(students, endDate, removeInactiveMonths) {
+    if (!Number.isInteger(removeInactiveMonths) || removeInactiveMonths < 0) {
+      return [];
+    }
+
+    const cutoffKey = formatDateForDocId(addMonths(endDate, -removeInactiveMonths));
+    const longInactive = students.filter(student => {
+      const inactiveSince = student.enrollmentStatus === 'Inactive' && getStatusSince(student);
+      return inactiveSince && inactiveSince <= cutoffKey;
+    });
+
+    // Only students at $0 today are removed, whatever they owed at the end of the year
+    const balances = await Promise.all(longInactive.map(student => this.reportService.calculateStudentBalance(student.id)));
+    return longInactive
+      .filter((student, index) => this.ledgerService.roundAmount(balances[index].calculatedBalance) === 0)
+      .map(student => ({
+        studentId: student.id,
+        name: `${student.firstName || ''} ${student.lastName || ''}`.trim(),
+        inactiveSince: getStatusSince(student)
+      }));
+  }
+
+  /**
+   * Posts the closing and opening entries that carry a student's balance into the next fee year
+   * @param {Object} snapshot - The student's entry from previewClose
+   * @param {number} feeYear - Start year of the fee year being closed
+   * @param {string|null} closedBy - UID of the admin closing the year
+   * @returns {Promise<void>}
+   */
+  async carryForward({ studentId, closingBalance }, feeYear, closedBy) {
+    if (this.ledgerService.roundAmount(closingBalance) === 0) {
+      return;
+    }
+
+    const sourceId = String(feeYear);
+    const entries = await this.ledgerService.getStudentEntries(studentId);
+    const isPosted = sourceType => entries.some(entry => entry.sourceType === sourceType && entry.sourceId === sourceId);
+    const { endDate } = this.getFeeYearRange(feeYear);
+    const label = formatFeeYear(feeYear);
+
+    if (!isPosted(LEDGER_SOURCE_TYPES.FEE_YEAR_CLOSE)) {
+      await this.ledgerService.postAdjustment(studentId, -closingBalance, {
+        sourceType: LEDGER_SOURCE_TYPES.FEE_YEAR_CLOSE,
+        sourceId,
+        date: endDate,
+        description: `Balance closed out of fee year ${label}`,
+        createdBy: closedBy
+      });
+    }
+    if (!isPosted(LEDGER_SOURCE_TYPES.FEE_YEAR_OPENING)) {
+      await this.ledgerService.postAdjustment(studentId, closingBalance, {
+        sourceType: LEDGER_SOURCE_TYPES.FEE_YEAR_OPENING,
+        sourceId,
+        date: addDays(endDate, 1),
+        description: `Opening balance carried from fee year ${label}`,
+        createdBy: closedBy
+      });
+    }
+  }
+
+  /**
+   * Closes a fee year: carries balances forward, removes long-inactive students at $0 and archives the year
+   * @param {number} feeYear - Start year of the fee year
+   * @param {Object} options - { removeInactiveMonths (see previewClose), closedBy: { uid, email } of the admin }
+   * @returns {Promise<Object>} The archive
+   * @throws {Error} If the fee year has not ended or is already closed
+   */
+  async closeFeeYear(feeYear, { removeInactiveMonths = DEFAULT_INACTIVE_REMOVAL_MONTHS, closedBy = null } = {}) {
+    const preview = await this.previewClose(feeYear, { removeInactiveMonths });
+    const { startDate, endDate } = this.getFeeYearRange(feeYear);
+
+    // Built before anything is posted so the report reflects the year as it ended
+    const report = await this.reportService.generateCumulativeFinancialReport({ startDate, endDate });
+
+    // One student at a time: each posting reads and rewrites the student's ledger balance
+    for (const snapshot of preview.students) {
+      await this.carryForward(snapshot, feeYear, closedBy?.uid || null);
+    }
+
+    for (const { studentId } of preview.studentsToRemove) {
+      await this.studentService.changeEnrollmentStatus(studentId, 'Removed', {
+        changedBy: closedBy,
+        reason: `Inactive with no balance at the close of fee year ${preview.label}`
+      });
+    }
+
+    return this.feeYearArchiveRepository.createArchive(feeYear, {
+      feeYear,
+      label: preview.label,
+      startDate: preview.startDate,
+      endDate: preview.endDate,
+      closedBy,
+      removeInactiveMonths,
+      students: preview.students,
+      totals: preview.totals,
+      removedStudents: preview.studentsToRemove,
+      report: {
+        title: `Financial Report: Fee Year ${preview.label}`,
+        totals: report.totals,
+        feeBreakdown: report.feeBreakdown,
+        expenseBreakdown: report.expenseBreakdown || {},
+        yearToDate: report.yearToDate,
+        months: report.monthlyReports.map(({ title, summary }) => ({ title, summary }))
+      }
+    });
+  }
+
+  /**
+   * Gets every closed fee year, most recent first
+   * @returns {Promise<Array>} Archives
+   */
+  async getArchives() {
+    const archives = await this.feeYearArchiveRepository.getAllArchives();
+    return archives.sort((a, b) => b.feeYear - a.feeYear);
+  }
+}
+
+// Export a default instance
+export const feeYearCloseService = new FeeYearCloseService();
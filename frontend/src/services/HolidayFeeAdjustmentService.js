@@ -1,6 +1,8 @@
 import { holidayService } from './HolidayService';
 import { attendanceService } from './AttendanceService';
 import { studentService } from './StudentService';
+import { formatDateForDocId } from '../utils/DateUtils';
+import { LEDGER_ENTRY_TYPES, LEDGER_SOURCE_TYPES } from '../constants/ledgerConstants';
 
 export default class HolidayFeeAdjustmentService {
   constructor(
@@ -13,9 +15,18 @@ export default class HolidayFeeAdjustmentService {
     this.studentService = studentServiceInstance;
   }
 
-  calculateHolidayFeeAdjustment(status, attributes, date) {
+  /**
+   * Works out the credit due for a marking on a date that became a holiday
+   * @param {string} status - Attendance status
+   * @param {Object} attributes - Fee attributes
+   * @param {Date} date - The attendance date
+   * @param {number|null} chargedFee - Fee charged for the marking before the date became a holiday
+   *   (fee rules applied); priced from the fee schedule if not given
+   * @returns {Object} { isHoliday, originalFee, adjustedFee, adjustment, holidayName }
+   */
+  calculateHolidayFeeAdjustment(status, attributes, date, chargedFee = null) {
     const isHoliday = this.holidayService.isHoliday(date);
-    const originalFee = this.attendanceService.calculateAttendanceFee(status, attributes);
+    const originalFee = chargedFee ?? this.attendanceService.calculateAttendanceFee(status, attributes, date);
     
     if (isHoliday) {
       return {
@@ -35,9 +46,9 @@ export default class HolidayFeeAdjustmentService {
     };
   }
 
-  async processHolidayAdjustment(studentId, date, status, attributes = {}) {
+  async processHolidayAdjustment(studentId, date, status, attributes = {}, adjustmentId = null, chargedFee = null) {
     try {
-      const adjustmentCalculation = this.calculateHolidayFeeAdjustment(status, attributes, date);
+      const adjustmentCalculation = this.calculateHolidayFeeAdjustment(status, attributes, date, chargedFee);
       
       let updatedStudent = null;
       let balanceAdjusted = false;
@@ -52,11 +63,18 @@ export default class HolidayFeeAdjustmentService {
           holidayName: adjustmentCalculation.holidayName,
           originalStatus: status,
           originalAttributes: attributes,
-          reason: `Holiday fee adjustment for ${adjustmentCalculation.holidayName}`
+          reason: `Holiday fee adjustment for ${adjustmentCalculation.holidayName}`,
+          ...(adjustmentId && { adjustmentId })
         });
         
-        // Reduce the student's balance (giving them credit)
-        updatedStudent = await this.studentService.reduceBalance(studentId, adjustmentAmount);
+        // Post the holiday credit to the student's ledger
+        updatedStudent = await this.studentService.reduceBalance(studentId, adjustmentAmount, {
+          type: LEDGER_ENTRY_TYPES.HOLIDAY_CREDIT,
+          sourceType: LEDGER_SOURCE_TYPES.HOLIDAY,
+          sourceId: formatDateForDocId(date),
+          date,
+          description: `Holiday fee adjustment for ${adjustmentCalculation.holidayName}`
+        });
         balanceAdjusted = true;
       }
       
@@ -73,18 +91,26 @@ export default class HolidayFeeAdjustmentService {
     }
   }
 
-  async scanAndAdjustHolidayFees(attendanceRecords) {
+  /**
+   * Credits the fees of markings on a date that became a holiday
+   * @param {Array} attendanceRecords - [{ studentId, date, status, attributes, adjustmentId, chargedFee }]
+   * @param {Function|null} onAdjusted - Awaited after each credit is issued, with its result
+   * @returns {Promise<Array>} One result per record
+   */
+  async scanAndAdjustHolidayFees(attendanceRecords, onAdjusted = null) {
     const results = [];
     
     for (const record of attendanceRecords) {
+      let result;
       try {
-        const result = await this.processHolidayAdjustment(
+        result = await this.processHolidayAdjustment(
           record.studentId,
           record.date,
           record.status,
-          record.attributes || {}
+          record.attributes || {},
+          record.adjustmentId || null,
+          record.chargedFee ?? null
         );
-        results.push(result);
       } catch (error) {
         console.error(`Error processing record for student ${record.studentId}:`, error);
         results.push({
@@ -94,6 +120,13 @@ export default class HolidayFeeAdjustmentService {
           balanceAdjusted: false,
           updatedStudent: null
         });
+        continue;
+      }
+
+      results.push(result);
+      // A credit that cannot be recorded stops the scan, so no further credits go unrecorded
+      if (onAdjusted && result.balanceAdjusted) {
+        await onAdjusted(result);
       }
     }
     
@@ -147,8 +180,13 @@ export default class HolidayFeeAdjustmentService {
         );
       }
 
-      // Apply the credit by reducing balance
-      const updatedStudent = await this.studentService.reduceBalance(studentId, creditAmount);
+      // Apply the credit through the student's ledger
+      const updatedStudent = await this.studentService.reduceBalance(studentId, creditAmount, {
+        type: LEDGER_ENTRY_TYPES.HOLIDAY_CREDIT,
+        sourceType: LEDGER_SOURCE_TYPES.HOLIDAY,
+        date: new Date(),
+        description: 'Holiday credit applied'
+      });
       
       // Mark credits as used
       await this.studentService.markHolidayCreditsAsUsed(studentId, creditAmount);
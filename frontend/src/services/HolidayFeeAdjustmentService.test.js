@@ -77,7 +77,7 @@ describe('HolidayFeeAdjustmentService', () => {
       });
 
       expect(mockHolidayService.isHoliday).toHaveBeenCalledWith(new Date(2024, 0, 1));
-      expect(mockAttendanceService.calculateAttendanceFee).toHaveBeenCalledWith('absent', {});
+      expect(mockAttendanceService.calculateAttendanceFee).toHaveBeenCalledWith('absent', {}, new Date(2024, 0, 1));
     });
 
     test('should return zero adjustment for non-holiday', () => {
@@ -182,7 +182,7 @@ describe('HolidayFeeAdjustmentService', () => {
         originalAttributes: attributes,
         reason: "Holiday fee adjustment for New Year's Day"
       });
-      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith(studentId, 5);
+      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith(studentId, 5, expect.objectContaining({ type: 'holidayCredit' }));
     });
 
     test('should not adjust balance for non-holiday', async () => {
@@ -354,13 +354,30 @@ describe('HolidayFeeAdjustmentService', () => {
       });
 
       expect(mockStudentService.reduceBalance).toHaveBeenCalledTimes(2);
-      expect(mockStudentService.reduceBalance).toHaveBeenNthCalledWith(1, 'student-1', 5);
-      expect(mockStudentService.reduceBalance).toHaveBeenNthCalledWith(2, 'student-3', 1);
+      expect(mockStudentService.reduceBalance).toHaveBeenNthCalledWith(1, 'student-1', 5, expect.objectContaining({ type: 'holidayCredit' }));
+      expect(mockStudentService.reduceBalance).toHaveBeenNthCalledWith(2, 'student-3', 1, expect.objectContaining({ type: 'holidayCredit' }));
     });
 
     test('should handle empty attendance records', async () => {
       const results = await holidayFeeAdjustmentService.scanAndAdjustHolidayFees([]);
       expect(results).toEqual([]);
     });
+
+    test('should credit the fee as charged and report each credit as it is issued', async () => {
+      mockHolidayService.isHoliday.mockReturnValue(true);
+      mockHolidayService.getHolidayName.mockReturnValue('Snow Day');
+      mockStudentService.reduceBalance.mockResolvedValue({ balance: 0 });
+      const onAdjusted = jest.fn().mockResolvedValue();
+
+      const results = await holidayFeeAdjustmentService.scanAndAdjustHolidayFees([
+        { studentId: 'student-1', date: new Date(2024, 0, 3), status: 'absent', attributes: {}, chargedFee: 3 },
+        { studentId: 'student-2', date: new Date(2024, 0, 3), status: 'present', attributes: {}, chargedFee: 0 }
+      ], onAdjusted);
+
+      expect(mockAttendanceService.calculateAttendanceFee).not.toHaveBeenCalled();
+      expect(mockStudentService.reduceBalance).toHaveBeenCalledWith('student-1', 3, expect.objectContaining({ type: 'holidayCredit' }));
+      expect(onAdjusted).toHaveBeenCalledTimes(1);
+      expect(onAdjusted).toHaveBeenCalledWith(results[0]);
+    });
   });
 });
\ No newline at end of file
@@ -1,16 +1,74 @@
-import { parseDateString } from '../utils/DateUtils';
+import { holidayRepository } from '../repository/HolidayRepository';
+import { settingsRepository } from '../repository/SettingsRepository';
+import { HOLIDAY_TYPES } from '../constants/holidayConstants';
+import {
+  HOLIDAY_RULE_TYPES,
+  HOLIDAY_OBSERVANCES,
+  HOLIDAY_RULE_SETS,
+  HOLIDAY_RULE_SET_RULES,
+  CUSTOM_HOLIDAY_RULE_SET,
+  DEFAULT_HOLIDAY_RULE_SETS
+} from '../constants/holidayRuleConstants';
+import { getHolidayRuleDate, validateHolidayRule } from '../utils/HolidayRuleUtils';
+import { parseDateString, formatDateForDocId } from '../utils/DateUtils';
+import { notifyChangeListeners } from '../utils/ChangeListenerUtils';
 
+/**
+ * Service for the shared holiday calendar
+ * Fees are not charged on the holidays given by the selected rule sets (US federal by default)
+ * and the studio's custom rules, unless an admin turns a rule off, or on the holidays and
+ * closures admins add. Rules are evaluated offline for any year. The calendar is kept in memory so fee calculations
+ * can stay synchronous, like the fee schedule.
+ */
 export default class HolidayService {
-  constructor() {
-    this.fixedHolidays = [
-      { month: 0, day: 1, name: "New Year's Day" },
-      { month: 6, day: 4, name: 'Independence Day' },
-      { month: 10, day: 11, name: 'Veterans Day' },
-      { month: 11, day: 25, name: 'Christmas Day' }
-    ];
-    
-    // Specific year holidays (can be added manually by admin)
-    this.specificYearHolidays = [];
+  constructor(holidayRepositoryInstance = holidayRepository, settingsRepositoryInstance = settingsRepository) {
+    this.holidayRepository = holidayRepositoryInstance;
+    this.settingsRepository = settingsRepositoryInstance;
+
+    // Holidays and closures added by admins, each spanning startDate to endDate (YYYY-MM-DD)
+    this.calendarEntries = [];
+    // Selected holiday rule sets, and the rules the studio added itself
+    this.enabledRuleSets = [...DEFAULT_HOLIDAY_RULE_SETS];
+    this.customRules = [];
+    // Names of holiday rules the studio does not observe
+    this.disabledBuiltIns = [];
+    this.loadPromise = null;
+    // Called after every change, e.g. to republish the calendar feed
+    this.changeListeners = [];
+  }
+
+  static get SETTINGS_KEY() {
+    return 'holidayCalendar';
+  }
+
+  /**
+   * Loads the shared calendar into memory (only once unless forced)
+   * Falls back to the holiday rules already in memory if the calendar cannot be read
+   * @param {boolean} forceReload - Fetch again even if already loaded
+   * @returns {Promise<Array>} The loaded calendar entries
+   */
+  async loadCalendar(forceReload = false) {
+    if (!this.loadPromise || forceReload) {
+      this.loadPromise = Promise.all([
+        this.holidayRepository.getAllHolidays(),
+        this.settingsRepository.getSettings(HolidayService.SETTINGS_KEY)
+      ])
+        .then(([entries, settings]) => {
+          this.calendarEntries = entries || [];
+          this.disabledBuiltIns = settings?.disabledBuiltIns || [];
+          this.enabledRuleSets = (settings?.enabledRuleSets || DEFAULT_HOLIDAY_RULE_SETS)
+            .filter(ruleSet => HOLIDAY_RULE_SET_RULES[ruleSet]);
+          this.customRules = settings?.customRules || [];
+          return this.calendarEntries;
+        })
+        .catch(error => {
+          console.warn("Using built-in holidays, the holiday calendar could not be loaded:", error.message);
+          this.loadPromise = null;
+          return this.calendarEntries;
+        });
+    }
+
+    return this.loadPromise;
   }
 
   normalizeDate(date) {
@@ -30,145 +88,370 @@ export default class HolidayService {
     return null;
   }
 
-  getNthWeekdayOfMonth(year, month, weekday, n) {
-    const firstDay = new Date(year, month, 1);
-    const firstWeekday = firstDay.getDay();
-    const daysToAdd = (weekday - firstWeekday + 7) % 7;
-    const firstOccurrence = 1 + daysToAdd;
-    const targetDate = firstOccurrence + (n - 1) * 7;
-    return new Date(year, month, targetDate);
+  /**
+   * Gets the holiday rules in use: those of the selected rule sets, then the custom rules
+   * @returns {Array} Rules, each with the ruleSet it belongs to
+   */
+  getRules() {
+    return [
+      ...this.enabledRuleSets.flatMap(ruleSet =>
+        HOLIDAY_RULE_SET_RULES[ruleSet].map(rule => ({ ...rule, ruleSet }))
+      ),
+      ...this.customRules.map(rule => ({ ...rule, ruleSet: CUSTOM_HOLIDAY_RULE_SET }))
+    ];
   }
 
-  getLastWeekdayOfMonth(year, month, weekday) {
-    const lastDay = new Date(year, month + 1, 0);
-    const lastWeekday = lastDay.getDay();
-    const daysToSubtract = (lastWeekday - weekday + 7) % 7;
-    const targetDate = lastDay.getDate() - daysToSubtract;
-    return new Date(year, month, targetDate);
+  /**
+   * Gets the date of every holiday rule in use in a year, whether or not it is observed
+   * @param {number} year - Calendar year
+   * @returns {Array} Array of { date, name, ruleSet } in date order
+   */
+  getBuiltInHolidays(year) {
+    return this.getRules()
+      .map(rule => ({ date: getHolidayRuleDate(rule, year), name: rule.name, ruleSet: rule.ruleSet }))
+      .sort((a, b) => a.date - b.date);
   }
 
-  getMovingHolidays(year) {
-    return [
-      {
-        date: this.getNthWeekdayOfMonth(year, 0, 1, 3),
-        name: 'Martin Luther King Jr. Day'
-      },
-      {
-        date: this.getNthWeekdayOfMonth(year, 1, 1, 3),
-        name: 'Presidents Day'
-      },
-      {
-        date: this.getLastWeekdayOfMonth(year, 4, 1),
-        name: 'Memorial Day'
-      },
-      {
-        date: this.getNthWeekdayOfMonth(year, 8, 1, 1),
-        name: 'Labor Day'
-      },
-      {
-        date: this.getNthWeekdayOfMonth(year, 9, 1, 2),
-        name: 'Columbus Day'
-      },
-      {
-        date: this.getNthWeekdayOfMonth(year, 10, 4, 4),
-        name: 'Thanksgiving'
-      }
-    ];
+  /**
+   * Checks whether the studio observes a holiday rule
+   * @param {string} name - Holiday rule name
+   * @returns {boolean} True unless an admin disabled it
+   */
+  isBuiltInEnabled(name) {
+    return !this.disabledBuiltIns.includes(name);
+  }
+
+  /**
+   * Gets the names of the holiday rules the studio does not observe
+   * @returns {Array} Copy of the disabled holiday names
+   */
+  getDisabledBuiltIns() {
+    return [...this.disabledBuiltIns];
+  }
+
+  /**
+   * Gets the observed rule-based holiday on a date
+   * The rules of the years either side are checked too, as an observed date can cross into another year.
+   * @param {Date} date - Normalized date
+   * @returns {string|null} Holiday name, or null if none is observed on the date
+   */
+  getBuiltInHolidayName(date) {
+    const year = date.getFullYear();
+    const holiday = [year - 1, year, year + 1]
+      .flatMap(ruleYear => this.getBuiltInHolidays(ruleYear))
+      .find(({ date: holidayDate, name }) =>
+        holidayDate.getFullYear() === year &&
+        holidayDate.getMonth() === date.getMonth() &&
+        holidayDate.getDate() === date.getDate() &&
+        this.isBuiltInEnabled(name)
+      );
+
+    return holiday ? holiday.name : null;
+  }
+
+  /**
+   * Gets the admin-added holiday or closure covering a date
+   * @param {Date|string} date - The date to check
+   * @returns {Object|null} Calendar entry, or null if none covers the date
+   */
+  getCalendarEntry(date) {
+    const normalizedDate = this.normalizeDate(date);
+    if (!normalizedDate) return null;
+
+    const dateKey = formatDateForDocId(normalizedDate);
+    return this.calendarEntries.find(
+      entry => entry.startDate <= dateKey && dateKey <= entry.endDate
+    ) || null;
+  }
+
+  /**
+   * Gets the calendar entries added by admins, earliest first
+   * @returns {Array} Copy of the calendar entries
+   */
+  getCalendar() {
+    return [...this.calendarEntries].sort((a, b) => a.startDate.localeCompare(b.startDate));
   }
 
   isHoliday(date) {
+    return this.getHolidayName(date) !== null;
+  }
+
+  /**
+   * Gets the name of the holiday on a date
+   * An admin-added entry wins over a built-in holiday on the same date, so adding one renames it.
+   * @param {Date|string} date - The date to check
+   * @returns {string|null} Holiday or closure name, or null if fees are charged on the date
+   */
+  getHolidayName(date) {
     const normalizedDate = this.normalizeDate(date);
-    if (!normalizedDate) return false;
+    if (!normalizedDate) return null;
+
+    const entry = this.getCalendarEntry(normalizedDate);
+    if (entry) return entry.name;
+
+    return this.getBuiltInHolidayName(normalizedDate);
+  }
+
+  shouldChargeFees(date) {
+    return !this.isHoliday(date);
+  }
 
-    const year = normalizedDate.getFullYear();
-    const month = normalizedDate.getMonth();
-    const day = normalizedDate.getDate();
+  /**
+   * Validates a calendar entry before saving
+   * @param {Object} holiday - Entry with name, type, startDate and endDate (YYYY-MM-DD)
+   * @param {string|null} ignoreId - Entry being updated, left out of the overlap check
+   * @throws {Error} If the entry is invalid or overlaps another entry
+   */
+  validateHoliday(holiday, ignoreId = null) {
+    if (!holiday.name || !holiday.name.trim()) {
+      throw new Error("Holiday name is required");
+    }
 
-    // Check fixed holidays (yearly)
-    for (const holiday of this.fixedHolidays) {
-      if (holiday.month === month && holiday.day === day) {
-        return true;
-      }
+    if (!Object.values(HOLIDAY_TYPES).includes(holiday.type)) {
+      throw new Error(`Invalid holiday type. Must be one of: ${Object.values(HOLIDAY_TYPES).join(", ")}`);
     }
 
-    // Check specific year holidays
-    for (const holiday of this.specificYearHolidays) {
-      if (holiday.year === year && holiday.month === month && holiday.day === day) {
-        return true;
-      }
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(holiday.startDate || '') || !datePattern.test(holiday.endDate || '')) {
+      throw new Error("Start and end dates are required (YYYY-MM-DD)");
     }
 
-    // Check moving holidays
-    const movingHolidays = this.getMovingHolidays(year);
-    for (const holiday of movingHolidays) {
-      const holidayDate = holiday.date;
-      if (holidayDate.getMonth() === month && holidayDate.getDate() === day) {
-        return true;
-      }
+    if (holiday.endDate < holiday.startDate) {
+      throw new Error("End date must be on or after the start date");
     }
 
-    return false;
+    const overlapping = this.calendarEntries.find(entry =>
+      entry.id !== ignoreId && entry.startDate <= holiday.endDate && holiday.startDate <= entry.endDate
+    );
+    if (overlapping) {
+      throw new Error(`${overlapping.name} already covers ${overlapping.startDate === overlapping.endDate
+        ? overlapping.startDate
+        : `${overlapping.startDate} to ${overlapping.endDate}`}`);
+    }
   }
 
-  getHolidayName(date) {
-    const normalizedDate = this.normalizeDate(date);
-    if (!normalizedDate) return null;
+  /**
+   * Registers a listener called after the holiday calendar changes
+   * @param {Function} listener - Called with no arguments; may return a promise
+   * @returns {Function} Removes the listener
+   */
+  onChange(listener) {
+    this.changeListeners = [...this.changeListeners, listener];
+    return () => {
+      this.changeListeners = this.changeListeners.filter(registered => registered !== listener);
+    };
+  }
 
-    const year = normalizedDate.getFullYear();
-    const month = normalizedDate.getMonth();
-    const day = normalizedDate.getDate();
+  /**
+   * Adds a holiday or a closure to the shared calendar
+   * @param {Object} holidayData - Entry with name, startDate, endDate (defaults to startDate), type, createdBy
+   * @returns {Promise<Object>} Created calendar entry
+   */
+  async addHoliday(holidayData) {
+    // Overlaps are checked against the whole shared calendar
+    await this.loadCalendar();
+    const startDate = formatDateForDocId(holidayData.startDate);
+    const holiday = {
+      ...holidayData,
+      name: (holidayData.name || '').trim(),
+      type: holidayData.type || HOLIDAY_TYPES.HOLIDAY,
+      startDate,
+      endDate: holidayData.endDate ? formatDateForDocId(holidayData.endDate) : startDate
+    };
+    this.validateHoliday(holiday);
+
+    const created = await this.holidayRepository.createHoliday(holiday);
+    this.calendarEntries = [...this.calendarEntries, created];
+    notifyChangeListeners(this.changeListeners);
+    return created;
+  }
 
-    // Check fixed holidays (yearly)
-    for (const holiday of this.fixedHolidays) {
-      if (holiday.month === month && holiday.day === day) {
-        return holiday.name;
-      }
+  /**
+   * Updates a calendar entry, e.g. to rename it or change its dates
+   * @param {string} holidayId - The entry ID
+   * @param {Object} updates - Fields to change (name, type, startDate, endDate)
+   * @returns {Promise<Object>} Updated calendar entry
+   */
+  async updateHoliday(holidayId, updates) {
+    await this.loadCalendar();
+    const existing = this.calendarEntries.find(entry => entry.id === holidayId);
+    if (!existing) {
+      throw new Error("Holiday not found");
     }
 
-    // Check specific year holidays
-    for (const holiday of this.specificYearHolidays) {
-      if (holiday.year === year && holiday.month === month && holiday.day === day) {
-        return holiday.name;
-      }
+    const changes = {
+      ...updates,
+      ...(updates.name !== undefined && { name: updates.name.trim() }),
+      ...(updates.startDate && { startDate: formatDateForDocId(updates.startDate) }),
+      ...(updates.endDate && { endDate: formatDateForDocId(updates.endDate) })
+    };
+    const updated = { ...existing, ...changes };
+    this.validateHoliday(updated, holidayId);
+
+    await this.holidayRepository.updateHoliday(holidayId, changes);
+    this.calendarEntries = this.calendarEntries.map(entry => (entry.id === holidayId ? updated : entry));
+    notifyChangeListeners(this.changeListeners);
+    return updated;
+  }
+
+  /**
+   * Removes a calendar entry, so fees are charged again on its dates
+   * @param {string} holidayId - The entry ID
+   * @returns {Promise<void>}
+   */
+  async removeHoliday(holidayId) {
+    await this.holidayRepository.deleteHoliday(holidayId);
+    this.calendarEntries = this.calendarEntries.filter(entry => entry.id !== holidayId);
+    notifyChangeListeners(this.changeListeners);
+  }
+
+  /**
+   * Turns a holiday rule on or off for the whole studio
+   * @param {string} name - Holiday rule name
+   * @param {boolean} enabled - Whether the studio observes it
+   * @returns {Promise<Array>} Names of the disabled built-in holidays
+   */
+  async setBuiltInEnabled(name, enabled) {
+    const disabledBuiltIns = enabled
+      ? this.disabledBuiltIns.filter(disabled => disabled !== name)
+      : [...new Set([...this.disabledBuiltIns, name])];
+
+    await this.settingsRepository.saveSettings(HolidayService.SETTINGS_KEY, { disabledBuiltIns });
+    this.disabledBuiltIns = disabledBuiltIns;
+    notifyChangeListeners(this.changeListeners);
+    return disabledBuiltIns;
+  }
+
+  /**
+   * Gets the selected holiday rule sets
+   * @returns {Array} Copy of the selected rule set keys
+   */
+  getEnabledRuleSets() {
+    return [...this.enabledRuleSets];
+  }
+
+  /**
+   * Selects or deselects a holiday rule set for the whole studio
+   * @param {string} ruleSet - Rule set key (see HOLIDAY_RULE_SETS)
+   * @param {boolean} enabled - Whether the studio uses the set
+   * @returns {Promise<Array>} Keys of the selected rule sets
+   */
+  async setRuleSetEnabled(ruleSet, enabled) {
+    if (!HOLIDAY_RULE_SET_RULES[ruleSet]) {
+      throw new Error(`Invalid holiday rule set. Must be one of: ${Object.values(HOLIDAY_RULE_SETS).join(", ")}`);
     }
 
-    // Check moving holidays
-    const movingHolidays = this.getMovingHolidays(year);
-    for (const holiday of movingHolidays) {
-      const holidayDate = holiday.date;
-      if (holidayDate.getMonth() === month && holidayDate.getDate() === day) {
-        return holiday.name;
-      }
+    const enabledRuleSets = Object.values(HOLIDAY_RULE_SETS).filter(key =>
+      key === ruleSet ? enabled : this.enabledRuleSets.includes(key)
+    );
+
+    await this.settingsRepository.saveSettings(HolidayService.SETTINGS_KEY, { enabledRuleSets });
+    this.enabledRuleSets = enabledRuleSets;
+    notifyChangeListeners(this.changeListeners);
+    return enabledRuleSets;
+  }
+
+  /**
+   * Gets the holiday rules the studio added itself
+   * @returns {Array} Copy of the custom rules
+   */
+  getCustomRules() {
+    return [...this.customRules];
+  }
+
+  /**
+   * Adds a custom holiday rule, observed every year from now on
+   * @param {Object} ruleData - { name, type, month, day, weekday, n, offset, observance }
+   * @returns {Promise<Object>} The saved rule
+   */
+  async addCustomRule(ruleData) {
+    await this.loadCalendar();
+    const { name, type, observance } = ruleData;
+    const rule = {
+      name: (name || '').trim(),
+      type,
+      ...(type === HOLIDAY_RULE_TYPES.EASTER_RELATIVE
+        ? { offset: ruleData.offset }
+        : { month: ruleData.month }),
+      ...(type === HOLIDAY_RULE_TYPES.FIXED_DATE && { day: ruleData.day }),
+      ...(type === HOLIDAY_RULE_TYPES.NTH_WEEKDAY && { weekday: ruleData.weekday, n: ruleData.n }),
+      ...(observance && observance !== HOLIDAY_OBSERVANCES.ON_DATE && { observance })
+    };
+    validateHolidayRule(rule);
+
+    // Rules are turned off by name, so a name can only be used once across every set
+    const ruleNames = [
+      ...Object.values(HOLIDAY_RULE_SET_RULES).flat(),
+      ...this.customRules
+    ].map(existing => existing.name.toLowerCase());
+    if (ruleNames.includes(rule.name.toLowerCase())) {
+      throw new Error(`A holiday rule named ${rule.name} already exists`);
     }
 
-    return null;
+    const customRules = [...this.customRules, rule];
+    await this.settingsRepository.saveSettings(HolidayService.SETTINGS_KEY, { customRules });
+    this.customRules = customRules;
+    notifyChangeListeners(this.changeListeners);
+    return rule;
   }
 
-  shouldChargeFees(date) {
-    return !this.isHoliday(date);
+  /**
+   * Removes a custom holiday rule, so fees are charged again on its dates
+   * @param {string} name - Custom rule name
+   * @returns {Promise<Array>} The remaining custom rules
+   */
+  async removeCustomRule(name) {
+    const customRules = this.customRules.filter(rule => rule.name !== name);
+    const disabledBuiltIns = this.disabledBuiltIns.filter(disabled => disabled !== name);
+
+    await this.settingsRepository.saveSettings(HolidayService.SETTINGS_KEY, { customRules, disabledBuiltIns });
+    this.customRules = customRules;
+    this.disabledBuiltIns = disabledBuiltIns;
+    notifyChangeListeners(this.changeListeners);
+    return customRules;
   }
 
-  addSpecificHoliday(year, month, day, name) {
-    const existingIndex = this.specificYearHolidays.findIndex(
-      h => h.year === year && h.month === month && h.day === day
-    );
-    
-    if (existingIndex >= 0) {
-      this.specificYearHolidays[existingIndex].name = name;
-    } else {
-      this.specificYearHolidays.push({ year, month, day, name });
+  /**
+   * Marks a single date as a holiday, renaming the one-day entry already on it
+   * A date inside a multi-day closure is already fee-free and is left as is.
+   * @param {number} year - Calendar year
+   * @param {number} month - Month (0-11)
+   * @param {number} day - Day of the month
+   * @param {string} name - Holiday name
+   * @returns {Promise<Object>} The calendar entry covering the date
+   */
+  async addSpecificHoliday(year, month, day, name) {
+    await this.loadCalendar();
+    const dateKey = formatDateForDocId(new Date(year, month, day));
+    const existing = this.getCalendarEntry(dateKey);
+
+    if (!existing) {
+      return this.addHoliday({ name, startDate: dateKey, endDate: dateKey });
+    }
+    if (existing.startDate === existing.endDate) {
+      return this.updateHoliday(existing.id, { name });
     }
+    return existing;
   }
 
-  removeSpecificHoliday(year, month, day) {
-    this.specificYearHolidays = this.specificYearHolidays.filter(
-      h => !(h.year === year && h.month === month && h.day === day)
+  /**
+   * Removes the one-day calendar entry on a date (multi-day closures are left as is)
+   * @param {number} year - Calendar year
+   * @param {number} month - Month (0-11)
+   * @param {number} day - Day of the month
+   * @returns {Promise<void>}
+   */
+  async removeSpecificHoliday(year, month, day) {
+    await this.loadCalendar();
+    const dateKey = formatDateForDocId(new Date(year, month, day));
+    const existing = this.calendarEntries.find(
+      entry => entry.startDate === dateKey && entry.endDate === dateKey
     );
-  }
 
-  getSpecificHolidays() {
-    return [...this.specificYearHolidays];
+    if (existing) {
+      await this.removeHoliday(existing.id);
+    }
   }
 }
 
-export const holidayService = new HolidayService();
\ No newline at end of file
+export const holidayService = new HolidayService();
@@ -2,9 +2,22 @@ import HolidayService from './HolidayService';
 
 describe('HolidayService', () => {
   let holidayService;
+  let mockHolidayRepository;
+  let mockSettingsRepository;
 
   beforeEach(() => {
-    holidayService = new HolidayService();
+    let nextId = 1;
+    mockHolidayRepository = {
+      getAllHolidays: jest.fn().mockResolvedValue([]),
+      createHoliday: jest.fn(data => Promise.resolve({ id: `holiday${nextId++}`, ...data })),
+      updateHoliday: jest.fn().mockResolvedValue(undefined),
+      deleteHoliday: jest.fn().mockResolvedValue(undefined)
+    };
+    mockSettingsRepository = {
+      getSettings: jest.fn().mockResolvedValue(null),
+      saveSettings: jest.fn().mockResolvedValue(undefined)
+    };
+    holidayService = new HolidayService(mockHolidayRepository, mockSettingsRepository);
   });
 
   describe('isHoliday', () => {
@@ -82,12 +95,12 @@ describe('HolidayService', () => {
       expect(holidayService.isHoliday(new Date(2025, 10, 27))).toBe(true);
     });
 
-    test('should support manually added specific year holidays', () => {
+    test('should support manually added specific year holidays', async () => {
       // Initially, May 2nd, 2025 should NOT be a holiday
       expect(holidayService.isHoliday(new Date(2025, 4, 2))).toBe(false);
       
       // Add May 2nd, 2025 as a holiday manually
-      holidayService.addSpecificHoliday(2025, 4, 2, 'Local Holiday');
+      await holidayService.addSpecificHoliday(2025, 4, 2, 'Local Holiday');
       
       // Now it should be a holiday
       expect(holidayService.isHoliday(new Date(2025, 4, 2))).toBe(true);
@@ -97,7 +110,7 @@ describe('HolidayService', () => {
       expect(holidayService.isHoliday(new Date(2024, 4, 2))).toBe(false);
       
       // Remove the holiday
-      holidayService.removeSpecificHoliday(2025, 4, 2);
+      await holidayService.removeSpecificHoliday(2025, 4, 2);
       expect(holidayService.isHoliday(new Date(2025, 4, 2))).toBe(false);
     });
   });
@@ -126,4 +139,157 @@ describe('HolidayService', () => {
       expect(holidayService.shouldChargeFees(new Date(2024, 1, 14))).toBe(true);
     });
   });
-});
\ No newline at end of file
+
+  describe('shared calendar', () => {
+    test('should persist added holidays and read them back on load', async () => {
+      await holidayService.addSpecificHoliday(2025, 4, 2, 'Local Holiday');
+
+      expect(mockHolidayRepository.createHoliday).toHaveBeenCalledWith({
+        name: 'Local Holiday',
+        type: 'holiday',
+        startDate: '2025-05-02',
+        endDate: '2025-05-02'
+      });
+
+      // Another browser loads the same calendar
+      const otherService = new HolidayService(mockHolidayRepository, mockSettingsRepository);
+      mockHolidayRepository.getAllHolidays.mockResolvedValue([
+        { id: 'holiday1', name: 'Local Holiday', type: 'holiday', startDate: '2025-05-02', endDate: '2025-05-02' }
+      ]);
+      await otherService.loadCalendar();
+
+      expect(otherService.getHolidayName('2025-05-02')).toBe('Local Holiday');
+    });
+
+    test('should rename a one-day holiday instead of adding a second one', async () => {
+      await holidayService.addSpecificHoliday(2025, 4, 2, 'Local Holiday');
+      await holidayService.addSpecificHoliday(2025, 4, 2, 'Studio Anniversary');
+
+      expect(mockHolidayRepository.createHoliday).toHaveBeenCalledTimes(1);
+      expect(mockHolidayRepository.updateHoliday).toHaveBeenCalledWith('holiday1', { name: 'Studio Anniversary' });
+      expect(holidayService.getHolidayName(new Date(2025, 4, 2))).toBe('Studio Anniversary');
+    });
+
+    test('should treat every day of a multi-day closure as a holiday', async () => {
+      await holidayService.addHoliday({
+        name: 'Winter Break',
+        type: 'closure',
+        startDate: '2025-12-22',
+        endDate: '2026-01-02',
+        createdBy: 'admin1'
+      });
+
+      expect(holidayService.getHolidayName(new Date(2025, 11, 22))).toBe('Winter Break');
+      expect(holidayService.getHolidayName(new Date(2025, 11, 25))).toBe('Winter Break');
+      expect(holidayService.shouldChargeFees(new Date(2026, 0, 2))).toBe(false);
+      expect(holidayService.shouldChargeFees(new Date(2026, 0, 3))).toBe(true);
+    });
+
+    test('should reject entries that end before they start or overlap another entry', async () => {
+      await expect(holidayService.addHoliday({ name: 'Backwards', startDate: '2025-05-10', endDate: '2025-05-01' }))
+        .rejects.toThrow('End date must be on or after the start date');
+
+      await holidayService.addHoliday({ name: 'Spring Break', type: 'closure', startDate: '2025-03-24', endDate: '2025-03-28' });
+      await expect(holidayService.addHoliday({ name: 'Recital Prep', startDate: '2025-03-28' }))
+        .rejects.toThrow('Spring Break already covers 2025-03-24 to 2025-03-28');
+      expect(mockHolidayRepository.createHoliday).toHaveBeenCalledTimes(1);
+    });
+
+    test('should charge fees on a disabled built-in holiday', async () => {
+      await holidayService.setBuiltInEnabled('Columbus Day', false);
+
+      expect(mockSettingsRepository.saveSettings).toHaveBeenCalledWith('holidayCalendar', { disabledBuiltIns: ['Columbus Day'] });
+      expect(holidayService.isHoliday(new Date(2025, 9, 13))).toBe(false);
+
+      await holidayService.setBuiltInEnabled('Columbus Day', true);
+      expect(holidayService.isHoliday(new Date(2025, 9, 13))).toBe(true);
+    });
+
+    test('should fall back to the holiday rules when the calendar cannot be loaded', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      mockHolidayRepository.getAllHolidays.mockRejectedValue(new Error('offline'));
+
+      await holidayService.loadCalendar();
+
+      expect(holidayService.isHoliday(new Date(2024, 6, 4))).toBe(true);
+      expect(holidayService.loadPromise).toBeNull();
+      warnSpy.mockRestore();
+    });
+  });
+
+  describe('holiday rule sets', () => {
+    test('should use only the US federal set by default', async () => {
+      await holidayService.loadCalendar();
+
+      expect(holidayService.getEnabledRuleSets()).toEqual(['usFederal']);
+      expect(holidayService.getBuiltInHolidays(2025)).toHaveLength(10);
+      expect(holidayService.isHoliday('2025-04-18')).toBe(false);
+    });
+
+    test('should add the holidays of a selected regional set', async () => {
+      await holidayService.setRuleSetEnabled('hawaii', true);
+
+      expect(mockSettingsRepository.saveSettings).toHaveBeenCalledWith('holidayCalendar', {
+        enabledRuleSets: ['usFederal', 'hawaii']
+      });
+      expect(holidayService.getHolidayName('2025-04-18')).toBe('Good Friday');
+      expect(holidayService.getHolidayName('2025-08-15')).toBe('Statehood Day');
+      // King Kamehameha Day fell on a Saturday in 2022 and was observed on Friday
+      expect(holidayService.getHolidayName('2022-06-10')).toBe('King Kamehameha Day');
+      expect(holidayService.isHoliday('2022-06-11')).toBe(false);
+      expect(holidayService.getHolidayName('2025-07-04')).toBe('Independence Day');
+    });
+
+    test('should charge fees on federal holidays once the federal set is deselected', async () => {
+      mockSettingsRepository.getSettings.mockResolvedValue({ enabledRuleSets: ['hawaii'], disabledBuiltIns: [] });
+      await holidayService.loadCalendar();
+
+      expect(holidayService.isHoliday('2025-11-11')).toBe(false);
+      expect(holidayService.isHoliday('2025-10-13')).toBe(false);
+      expect(holidayService.isHoliday('2025-04-18')).toBe(true);
+      await expect(holidayService.setRuleSetEnabled('texas', true)).rejects.toThrow('Invalid holiday rule set');
+    });
+
+    test('should observe custom rules, including across the new year', async () => {
+      await holidayService.addCustomRule({
+        name: '  Studio Founders Day ',
+        type: 'fixedDate',
+        month: 0,
+        day: 1,
+        weekday: 1,
+        n: 1,
+        offset: 0,
+        observance: 'nearestWeekday'
+      });
+      await holidayService.addCustomRule({ name: 'Easter Monday', type: 'easterRelative', offset: 1, observance: 'onDate' });
+
+      expect(mockSettingsRepository.saveSettings).toHaveBeenLastCalledWith('holidayCalendar', {
+        customRules: [
+          { name: 'Studio Founders Day', type: 'fixedDate', month: 0, day: 1, observance: 'nearestWeekday' },
+          { name: 'Easter Monday', type: 'easterRelative', offset: 1 }
+        ]
+      });
+      // January 1, 2022 was a Saturday
+      expect(holidayService.getHolidayName('2021-12-31')).toBe('Studio Founders Day');
+      expect(holidayService.getHolidayName('2025-04-21')).toBe('Easter Monday');
+
+      await holidayService.setBuiltInEnabled('Easter Monday', false);
+      expect(holidayService.isHoliday('2025-04-21')).toBe(false);
+
+      await holidayService.removeCustomRule('Easter Monday');
+      expect(mockSettingsRepository.saveSettings).toHaveBeenLastCalledWith('holidayCalendar', {
+        customRules: [{ name: 'Studio Founders Day', type: 'fixedDate', month: 0, day: 1, observance: 'nearestWeekday' }],
+        disabledBuiltIns: []
+      });
+      expect(holidayService.getRules().map(rule => rule.name)).not.toContain('Easter Monday');
+    });
+
+    test('should reject a custom rule that is invalid or reuses a rule name', async () => {
+      await expect(holidayService.addCustomRule({ name: 'columbus day', type: 'fixedDate', month: 9, day: 12 }))
+        .rejects.toThrow('A holiday rule named columbus day already exists');
+      await expect(holidayService.addCustomRule({ name: 'Leap Day', type: 'fixedDate', month: 1, day: 29 }))
+        .rejects.toThrow('Day must be between 1 and 28 for February');
+      expect(mockSettingsRepository.saveSettings).not.toHaveBeenCalled();
+    });
+  });
+});
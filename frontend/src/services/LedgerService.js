@@ -0,0 +1,246 @@
+import { ledgerRepository } from "../repository/LedgerRepository";
+import { studentRepository } from "../repository/StudentRepository";
+import { formatDateForDocId } from "../utils/DateUtils";
+import {
+  LEDGER_ENTRY_TYPES,
+  LEDGER_ACCOUNTS,
+  LEDGER_CONTRA_ACCOUNTS,
+  LEDGER_SOURCE_TYPES
+} from "../constants/ledgerConstants";
+
+/**
+ * Service for the append-only double-entry ledger of student accounts
+ * Every change to what a student owes is posted as an entry that debits one account and credits another.
+ * A student's balance is the sum of the entries on their receivable account; the balance field on the
+ * student record is only a cached copy, rewritten from the ledger after every posting.
+ */
+export default class LedgerService {
+  constructor(ledgerRepositoryInstance = ledgerRepository, studentRepositoryInstance = studentRepository) {
+    this.ledgerRepository = ledgerRepositoryInstance;
+    this.studentRepository = studentRepositoryInstance;
+  }
+
+  /**
+   * Rounds an amount to whole cents
+   * @param {number} amount - The amount to round
+   * @returns {number} Rounded amount
+   */
+  roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Effect of an entry on the student's balance
+   * @param {Object} entry - Ledger entry
+   * @returns {number} Positive if the entry raises what the student owes, negative if it lowers it
+   */
+  getStudentEffect(entry) {
+    if (entry.debitAccount === LEDGER_ACCOUNTS.STUDENT_RECEIVABLE) return entry.amount;
+    if (entry.creditAccount === LEDGER_ACCOUNTS.STUDENT_RECEIVABLE) return -entry.amount;
+    return 0;
+  }
+
+  /**
+   * Sums ledger entries into a balance
+   * @param {Array} entries - Ledger entries for one student
+   * @returns {number} Amount owed (negative for a credit)
+   */
+  calculateBalance(entries) {
+    return this.roundAmount(entries.reduce((total, entry) => total + this.getStudentEffect(entry), 0));
+  }
+
+  /**
+   * Builds a ledger entry
+   * @param {string} type - Entry type from LEDGER_ENTRY_TYPES
+   * @param {string} studentId - The student's ID
+   * @param {number} amount - Signed amount: positive raises what the student owes, negative lowers it
+   * @param {Object} details - { sourceType, sourceId, date, description, createdBy }
+   * @returns {Object} Entry ready to be stored
+   */
+  buildEntry(type, studentId, amount, { sourceType = LEDGER_SOURCE_TYPES.MANUAL, sourceId = null, date = new Date(), description = '', createdBy = null } = {}) {
+    const contraAccount = LEDGER_CONTRA_ACCOUNTS[type];
+    const owesMore = amount > 0;
+
+    return {
+      studentId,
+      type,
+      amount: this.roundAmount(Math.abs(amount)),
+      debitAccount: owesMore ? LEDGER_ACCOUNTS.STUDENT_RECEIVABLE : contraAccount,
+      creditAccount: owesMore ? contraAccount : LEDGER_ACCOUNTS.STUDENT_RECEIVABLE,
+      sourceType,
+      sourceId,
+      date: formatDateForDocId(date),
+      description,
+      createdBy
+    };
+  }
+
+  /**
+   * Posts an entry to a student's ledger and refreshes the cached balance on the student record
+   * The first posting for a student carries over their existing balance as an opening balance entry.
+   * Balances below zero are kept as credit; an entry that raises the balance records how much of that
+   * credit it used up as creditApplied.
+   * @param {string} type - Entry type from LEDGER_ENTRY_TYPES
+   * @param {string} studentId - The student's ID
+   * @param {number} amount - Signed amount: positive raises what the student owes, negative lowers it
+   * @param {Object} details - { sourceType, sourceId, date, description, createdBy }
+   * @returns {Promise<Object>} { entry, balance, updatedStudent }
+   */
+  async post(type, studentId, amount, details = {}) {
+    if (!LEDGER_CONTRA_ACCOUNTS[type]) {
+      throw new Error(`Invalid ledger entry type: ${type}`);
+    }
+    if (!Number.isFinite(amount) || this.roundAmount(amount) === 0) {
+      throw new Error("Ledger amount must be a non-zero number");
+    }
+
+    const student = await this.studentRepository.getStudentById(studentId);
+    if (!student) {
+      throw new Error("Student not found");
+    }
+
+    const entries = await this.ledgerRepository.getEntriesByStudentId(studentId);
+
+    if (entries.length === 0 && this.roundAmount(student.balance || 0) !== 0) {
+      entries.push(await this.ledgerRepository.createEntry(
+        this.buildEntry(LEDGER_ENTRY_TYPES.ADJUSTMENT, studentId, student.balance, {
+          sourceType: LEDGER_SOURCE_TYPES.OPENING_BALANCE,
+          description: 'Opening balance carried over from the student record'
+        })
+      ));
+    }
+
+    // A charge against a credit balance is covered by the credit first
+    const previousBalance = this.calculateBalance(entries);
+    const creditApplied = amount > 0 && previousBalance < 0 ? this.roundAmount(Math.min(amount, -previousBalance)) : 0;
+
+    const entry = await this.ledgerRepository.createEntry({
+      ...this.buildEntry(type, studentId, amount, details),
+      ...(creditApplied > 0 && { creditApplied })
+    });
+    const balance = this.calculateBalance([...entries, entry]);
+    const updatedStudent = await this.studentRepository.updateStudent(studentId, { balance });
+
+    return { entry, balance, updatedStudent };
+  }
+
+  /**
+   * Charges a fee (a negative amount reverses part of an earlier charge)
+   * @param {string} studentId - The student's ID
+   * @param {number} amount - Fee amount
+   * @param {Object} details - Source reference, see post()
+   * @returns {Promise<Object>} { entry, balance, updatedStudent }
+   */
+  async postCharge(studentId, amount, details = {}) {
+    return this.post(LEDGER_ENTRY_TYPES.CHARGE, studentId, amount, details);
+  }
+
+  /**
+   * Records money received from a student (a negative amount reverses a payment)
+   * @param {string} studentId - The student's ID
+   * @param {number} amount - Amount paid
+   * @param {Object} details - Source reference, see post()
+   * @returns {Promise<Object>} { entry, balance, updatedStudent }
+   */
+  async postPayment(studentId, amount, details = {}) {
+    return this.post(LEDGER_ENTRY_TYPES.PAYMENT, studentId, -amount, details);
+  }
+
+  /**
+   * Records money paid back to a student
+   * @param {string} studentId - The student's ID
+   * @param {number} amount - Amount refunded
+   * @param {Object} details - Source reference, see post()
+   * @returns {Promise<Object>} { entry, balance, updatedStudent }
+   */
+  async postRefund(studentId, amount, details = {}) {
+    return this.post(LEDGER_ENTRY_TYPES.REFUND, studentId, amount, details);
+  }
+
+  /**
+   * Credits fees that should not have been charged because of a holiday
+   * @param {string} studentId - The student's ID
+   * @param {number} amount - Credit amount
+   * @param {Object} details - Source reference, see post()
+   * @returns {Promise<Object>} { entry, balance, updatedStudent }
+   */
+  async postHolidayCredit(studentId, amount, details = {}) {
+    return this.post(LEDGER_ENTRY_TYPES.HOLIDAY_CREDIT, studentId, -amount, details);
+  }
+
+  /**
+   * Waives fees the student owes
+   * @param {string} studentId - The student's ID
+   * @param {number} amount - Amount waived
+   * @param {Object} details - Source reference, see post()
+   * @returns {Promise<Object>} { entry, balance, updatedStudent }
+   */
+  async postWaiver(studentId, amount, details = {}) {
+    return this.post(LEDGER_ENTRY_TYPES.WAIVER, studentId, -amount, details);
+  }
+
+  /**
+   * Posts a manual adjustment
+   * @param {string} studentId - The student's ID
+   * @param {number} amount - Signed amount: positive raises what the student owes, negative lowers it
+   * @param {Object} details - Source reference, see post()
+   * @returns {Promise<Object>} { entry, balance, updatedStudent }
+   */
+  async postAdjustment(studentId, amount, details = {}) {
+    return this.post(LEDGER_ENTRY_TYPES.ADJUSTMENT, studentId, amount, details);
+  }
+
+  /**
+   * Gets a student's ledger entries, oldest first
+   * @param {string} studentId - The student's ID
+   * @returns {Promise<Array>} Entries with a running balance
+   */
+  async getStudentEntries(studentId) {
+    const entries = await this.ledgerRepository.getEntriesByStudentId(studentId);
+    const createdMillis = entry => (entry.createdAt?.toMillis ? entry.createdAt.toMillis() : new Date(entry.createdAt || 0).getTime());
+
+    let runningBalance = 0;
+    return [...entries]
+      .sort((a, b) => createdMillis(a) - createdMillis(b))
+      .map(entry => {
+        runningBalance = this.roundAmount(runningBalance + this.getStudentEffect(entry));
+        return { ...entry, runningBalance };
+      });
+  }
+
+  /**
+   * Gets a student's balance from the ledger
+   * @param {string} studentId - The student's ID
+   * @returns {Promise<number>} Amount owed (negative for a credit)
+   */
+  async getStudentBalance(studentId) {
+    const entries = await this.ledgerRepository.getEntriesByStudentId(studentId);
+    return this.calculateBalance(entries);
+  }
+
+  /**
+   * Gets a student's ledger entries posted for a source record (e.g. an attendance marking)
+   * @param {string} studentId - The student's ID
+   * @param {string} sourceType - Source type from LEDGER_SOURCE_TYPES
+   * @param {string} sourceId - ID of the source record
+   * @returns {Promise<Array>} Ledger entries
+   */
+  async getSourceEntries(studentId, sourceType, sourceId) {
+    const entries = await this.ledgerRepository.getEntriesBySource(sourceType, sourceId);
+    return entries.filter(entry => entry.studentId === studentId);
+  }
+
+  /**
+   * Gets what a source record (e.g. an attendance marking) has added to a student's balance so far
+   * @param {string} studentId - The student's ID
+   * @param {string} sourceType - Source type from LEDGER_SOURCE_TYPES
+   * @param {string} sourceId - ID of the source record
+   * @returns {Promise<number>} Net amount posted for the source (negative if it lowered the balance)
+   */
+  async getSourceBalance(studentId, sourceType, sourceId) {
+    return this.calculateBalance(await this.getSourceEntries(studentId, sourceType, sourceId));
+  }
+}
+
+// Export a default instance
+export const ledgerService = new LedgerService();
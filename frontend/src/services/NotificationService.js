@@ -0,0 +1,55 @@
+import { notificationRepository } from '../repository/NotificationRepository';
+import { timestampToDate } from '../utils/DateUtils';
+
+/**
+ * Service for in-app notices to students
+ */
+export default class NotificationService {
+  constructor(notificationRepositoryInstance = notificationRepository) {
+    this.notificationRepository = notificationRepositoryInstance;
+  }
+
+  /**
+   * Sends a notice to several students
+   * @param {string[]} studentIds - Students to notify (duplicates are sent once)
+   * @param {Object} notification - { type, title, message } and any related fields
+   * @returns {Promise<Array>} Created notices
+   */
+  async notifyStudents(studentIds, notification) {
+    const recipients = [...new Set(studentIds.filter(Boolean))];
+    if (recipients.length === 0) return [];
+
+    if (!notification.title || !notification.message) {
+      throw new Error("Notification title and message are required");
+    }
+
+    return this.notificationRepository.createNotifications(recipients, notification);
+  }
+
+  /**
+   * Gets a student's notices, newest first
+   * @param {string} studentId - The student's ID
+   * @param {boolean} unreadOnly - Leave out notices already read
+   * @returns {Promise<Array>} Notices
+   */
+  async getStudentNotifications(studentId, unreadOnly = false) {
+    const notifications = await this.notificationRepository.getNotificationsByStudentId(studentId);
+    const createdMillis = notification => timestampToDate(notification.createdAt)?.getTime() || 0;
+
+    return notifications
+      .filter(notification => !unreadOnly || !notification.read)
+      .sort((a, b) => createdMillis(b) - createdMillis(a));
+  }
+
+  /**
+   * Marks a notice as read so it no longer shows as new
+   * @param {string} notificationId - The notice ID
+   * @returns {Promise<void>}
+   */
+  async markAsRead(notificationId) {
+    return this.notificationRepository.markAsRead(notificationId);
+  }
+}
+
+// Export a default instance
+export const notificationService = new NotificationService();
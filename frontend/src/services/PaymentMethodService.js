@@ -0,0 +1,131 @@
+import { settingsRepository } from "../repository/SettingsRepository";
+import { DEFAULT_PAYMENT_METHODS } from "../constants/paymentConstants";
+
+/**
+ * Service for the configurable list of payment methods
+ * Keeps the list in memory so payment validation can stay synchronous
+ */
+export default class PaymentMethodService {
+  constructor(settingsRepositoryInstance = settingsRepository) {
+    this.settingsRepository = settingsRepositoryInstance;
+    this.methods = DEFAULT_PAYMENT_METHODS.map(method => ({ ...method }));
+    this.loadPromise = null;
+  }
+
+  static get SETTINGS_KEY() {
+    return 'paymentMethods';
+  }
+
+  /**
+   * Loads the configured methods into memory (only once unless forced)
+   * Falls back to the default methods if none are configured or they cannot be read
+   * @param {boolean} forceReload - Fetch again even if already loaded
+   * @returns {Promise<Array>} The loaded methods
+   */
+  async loadMethods(forceReload = false) {
+    if (!this.loadPromise || forceReload) {
+      this.loadPromise = this.settingsRepository.getSettings(PaymentMethodService.SETTINGS_KEY)
+        .then(settings => {
+          if (settings?.methods?.length > 0) {
+            this.methods = settings.methods;
+          }
+          return this.methods;
+        })
+        .catch(error => {
+          console.warn("Using default payment methods, the configured list could not be loaded:", error.message);
+          this.loadPromise = null;
+          return this.methods;
+        });
+    }
+
+    return this.loadPromise;
+  }
+
+  /**
+   * Gets the payment methods
+   * @param {Object} options - { includeInactive } to also list retired methods
+   * @returns {Array} Methods with id, label, referenceLabel and active
+   */
+  getMethods({ includeInactive = false } = {}) {
+    return this.methods.filter(method => includeInactive || method.active !== false);
+  }
+
+  /**
+   * Finds a payment method, active or not
+   * @param {string} methodId - The method ID
+   * @returns {Object|null} The method or null if unknown
+   */
+  getMethod(methodId) {
+    return this.methods.find(method => method.id === methodId) || null;
+  }
+
+  /**
+   * Checks whether new payments can use a method
+   * @param {string} methodId - The method ID
+   * @returns {boolean} True for active methods
+   */
+  isValidMethod(methodId) {
+    return this.getMethods().some(method => method.id === methodId);
+  }
+
+  /**
+   * Display label of a method; unknown methods show their ID
+   * @param {string} methodId - The method ID
+   * @returns {string} Label
+   */
+  getLabel(methodId) {
+    return this.getMethod(methodId)?.label || methodId;
+  }
+
+  /**
+   * Validates a list of payment methods
+   * @param {Array} methods - Methods to validate
+   * @throws {Error} If an ID or label is missing, an ID repeats, or no method is active
+   */
+  validateMethods(methods) {
+    const ids = new Set();
+
+    methods.forEach(method => {
+      if (!method.id || !/^[A-Za-z][A-Za-z0-9_-]*$/.test(method.id)) {
+        throw new Error("Each payment method needs an ID of letters, digits, dashes or underscores");
+      }
+      if (!method.label || !method.label.trim()) {
+        throw new Error(`Payment method "${method.id}" needs a label`);
+      }
+      if (ids.has(method.id)) {
+        throw new Error(`Payment method "${method.id}" is listed twice`);
+      }
+      ids.add(method.id);
+    });
+
+    if (!methods.some(method => method.active !== false)) {
+      throw new Error("At least one payment method must be active");
+    }
+  }
+
+  /**
+   * Saves the list of payment methods
+   * Methods already used by payments should be deactivated rather than removed so their labels still show.
+   * @param {Array} methods - Methods with id, label, referenceLabel and active
+   * @returns {Promise<Array>} The saved methods
+   */
+  async saveMethods(methods) {
+    const cleaned = methods.map(method => ({
+      id: (method.id || '').trim(),
+      label: (method.label || '').trim(),
+      referenceLabel: method.referenceLabel?.trim() || null,
+      active: method.active !== false
+    }));
+
+    this.validateMethods(cleaned);
+
+    await this.settingsRepository.saveSettings(PaymentMethodService.SETTINGS_KEY, { methods: cleaned });
+    this.methods = cleaned;
+    this.loadPromise = Promise.resolve(this.methods);
+
+    return this.methods;
+  }
+}
+
+// Export a default instance
+export const paymentMethodService = new PaymentMethodService();
@@ -0,0 +1,270 @@
+import { paymentPlanRepository } from "../repository/PaymentPlanRepository";
+import { studentRepository } from "../repository/StudentRepository";
+import {
+  PAYMENT_PLAN_FREQUENCIES,
+  PAYMENT_PLAN_STATES,
+  MAX_PAYMENT_PLAN_INSTALLMENTS
+} from "../constants/paymentPlanConstants";
+import { addDays, formatDateForDocId } from "../utils/DateUtils";
+import { isRefund } from "../utils/PaymentUtils";
+import { buildInstallments, sumPlanPayments, getPlanProgress } from "../utils/PaymentPlanUtils";
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Service for installment payment plans
+ * A plan spreads part of a student's balance over installments with due dates. Payments
+ * recorded while the plan is active are applied to it until it is paid off; a plan only
+ * tracks progress and does not change the student's balance.
+ */
+export default class PaymentPlanService {
+  constructor(
+    paymentPlanRepositoryInstance = paymentPlanRepository,
+    studentRepositoryInstance = studentRepository
+  ) {
+    this.paymentPlanRepository = paymentPlanRepositoryInstance;
+    this.studentRepository = studentRepositoryInstance;
+  }
+
+  /**
+   * Validates the terms of a new plan
+   * @param {Object} terms - { total, installmentCount, firstDueDate, frequency }
+   * @throws {Error} If any term is missing or out of range
+   */
+  validateTerms({ total, installmentCount, firstDueDate, frequency }) {
+    if (!Number.isFinite(total) || total <= 0) {
+      throw new Error("Plan total must be greater than zero");
+    }
+    if (!Number.isInteger(installmentCount) || installmentCount < 1 || installmentCount > MAX_PAYMENT_PLAN_INSTALLMENTS) {
+      throw new Error(`Number of installments must be between 1 and ${MAX_PAYMENT_PLAN_INSTALLMENTS}`);
+    }
+    if (roundCents(total / installmentCount) < 0.01) {
+      throw new Error("Each installment must be at least $0.01");
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(firstDueDate || '')) {
+      throw new Error("First due date is required");
+    }
+    if (!Object.values(PAYMENT_PLAN_FREQUENCIES).includes(frequency)) {
+      throw new Error("Invalid installment frequency");
+    }
+  }
+
+  /**
+   * Creates a payment plan for a student
+   * @param {string} studentId - The student's ID
+   * @param {Object} terms - { total, installmentCount, firstDueDate (YYYY-MM-DD), frequency, notes }
+   * @param {Object} options - { adminId }
+   * @returns {Promise<Object>} The created plan
+   * @throws {Error} If the terms are invalid, the total exceeds the balance or the student already has an active plan
+   */
+  async createPlan(studentId, { total, installmentCount, firstDueDate, frequency, notes = '' }, { adminId = null } = {}) {
+    try {
+      this.validateTerms({ total, installmentCount, firstDueDate, frequency });
+
+      const student = await this.studentRepository.getStudentById(studentId);
+      if (!student) {
+        throw new Error("Student not found");
+      }
+
+      const balance = roundCents(student.balance || 0);
+      if (roundCents(total) > balance) {
+        throw new Error(`Plan total cannot exceed the student's balance of $${Math.max(0, balance).toFixed(2)}`);
+      }
+
+      if (await this.getActivePlan(studentId)) {
+        throw new Error("This student already has an active payment plan");
+      }
+
+      return await this.paymentPlanRepository.createPlan({
+        studentId,
+        studentName: `${student.firstName || ''} ${student.lastName || ''}`.trim(),
+        total: roundCents(total),
+        frequency,
+        installments: buildInstallments(total, installmentCount, firstDueDate, frequency),
+        payments: [],
+        state: PAYMENT_PLAN_STATES.ACTIVE,
+        notes: notes.trim(),
+        createdBy: adminId
+      });
+    } catch (error) {
+      console.error("Error creating payment plan:", error);
+      throw new Error(`Failed to create payment plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets a student's plans with their progress, active plans first and then newest first
+   * @param {string} studentId - The student's ID
+   * @param {Date} today - Date the progress is worked out on
+   * @returns {Promise<Array>} Plans, each with a progress object from getPlanProgress
+   */
+  async getStudentPlans(studentId, today = new Date()) {
+    try {
+      const plans = await this.paymentPlanRepository.getPlansByStudentId(studentId);
+      const todayKey = formatDateForDocId(today);
+      const firstDueDate = plan => plan.installments?.[0]?.dueDate || '';
+
+      return plans
+        .map(plan => ({ ...plan, progress: getPlanProgress(plan, todayKey) }))
+        .sort((a, b) => (
+          (b.state === PAYMENT_PLAN_STATES.ACTIVE) - (a.state === PAYMENT_PLAN_STATES.ACTIVE) ||
+          firstDueDate(b).localeCompare(firstDueDate(a))
+        ));
+    } catch (error) {
+      console.error("Error fetching student payment plans:", error);
+      throw new Error(`Failed to fetch payment plans: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets a student's active plan
+   * @param {string} studentId - The student's ID
+   * @returns {Promise<Object|null>} The active plan or null
+   */
+  async getActivePlan(studentId) {
+    const plans = await this.paymentPlanRepository.getPlansByStudentId(studentId);
+    return plans.find(plan => plan.state === PAYMENT_PLAN_STATES.ACTIVE) || null;
+  }
+
+  /**
+   * Applies a newly recorded payment to the student's active plan
+   * Only the part the plan still needs is applied; the plan is completed once it is paid off.
+   * @param {Object} payment - The recorded payment
+   * @returns {Promise<Object|null>} The updated plan, or null if the student has no active plan
+   */
+  async applyPayment(payment) {
+    try {
+      if (isRefund(payment) || !(payment.amount > 0)) {
+        return null;
+      }
+
+      const plan = await this.getActivePlan(payment.studentId);
+      if (!plan) {
+        return null;
+      }
+      if ((plan.payments || []).some(applied => applied.paymentId === payment.id)) {
+        return plan;
+      }
+
+      const paid = sumPlanPayments(plan);
+      const amount = roundCents(Math.min(payment.amount, plan.total - paid));
+      if (amount <= 0) {
+        return plan;
+      }
+
+      const paymentDate = typeof payment.date?.toDate === 'function' ? payment.date.toDate() : payment.date;
+
+      return await this.paymentPlanRepository.updatePlan(plan.id, {
+        payments: [
+          ...(plan.payments || []),
+          { paymentId: payment.id, amount, date: formatDateForDocId(paymentDate || new Date()) }
+        ],
+        state: roundCents(paid + amount) >= plan.total ? PAYMENT_PLAN_STATES.COMPLETED : PAYMENT_PLAN_STATES.ACTIVE
+      });
+    } catch (error) {
+      console.error("Error applying payment to payment plan:", error);
+      throw new Error(`Failed to apply payment to payment plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Brings a plan in line with a payment that was edited, refunded or deleted
+   * @param {string} studentId - The student's ID
+   * @param {string} paymentId - The payment ID
+   * @param {number} amount - What the payment is now worth after refunds (0 once deleted)
+   * @returns {Promise<Object|null>} The updated plan, or null if the payment was not applied to a plan
+   */
+  async syncPayment(studentId, paymentId, amount) {
+    try {
+      const plans = await this.paymentPlanRepository.getPlansByStudentId(studentId);
+      const plan = plans.find(candidate => (candidate.payments || []).some(applied => applied.paymentId === paymentId));
+      if (!plan) {
+        return null;
+      }
+
+      const entry = plan.payments.find(applied => applied.paymentId === paymentId);
+      const otherPayments = roundCents(sumPlanPayments(plan) - entry.amount);
+      const applied = roundCents(Math.max(0, Math.min(amount, plan.total - otherPayments)));
+
+      const updates = {
+        payments: applied > 0
+          ? plan.payments.map(payment => (payment.paymentId === paymentId ? { ...payment, amount: applied } : payment))
+          : plan.payments.filter(payment => payment.paymentId !== paymentId)
+      };
+      if (plan.state !== PAYMENT_PLAN_STATES.CANCELLED) {
+        updates.state = roundCents(otherPayments + applied) >= plan.total
+          ? PAYMENT_PLAN_STATES.COMPLETED
+          : PAYMENT_PLAN_STATES.ACTIVE;
+      }
+
+      return await this.paymentPlanRepository.updatePlan(plan.id, updates);
+    } catch (error) {
+      console.error("Error updating payment plan for payment:", error);
+      throw new Error(`Failed to update payment plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Cancels an active plan. Payments already applied stay on it for the record.
+   * @param {string} planId - The plan ID
+   * @param {Object} options - { adminId }
+   * @returns {Promise<Object>} The cancelled plan
+   */
+  async cancelPlan(planId, { adminId = null } = {}) {
+    try {
+      const plan = await this.paymentPlanRepository.getPlanById(planId);
+      if (!plan) {
+        throw new Error("Payment plan not found");
+      }
+      if (plan.state !== PAYMENT_PLAN_STATES.ACTIVE) {
+        throw new Error("Only active plans can be cancelled");
+      }
+
+      return await this.paymentPlanRepository.updatePlan(planId, {
+        state: PAYMENT_PLAN_STATES.CANCELLED,
+        cancelledAt: new Date(),
+        cancelledBy: adminId
+      });
+    } catch (error) {
+      console.error("Error cancelling payment plan:", error);
+      throw new Error(`Failed to cancel payment plan: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists the active plans with an unpaid installment due within the next seven days,
+   * including installments that are already overdue
+   * @param {Date} today - First day of the week
+   * @returns {Promise<Array>} [{ plan, progress, dueInstallments, amountDue }], earliest due first
+   */
+  async getPlansDueThisWeek(today = new Date()) {
+    try {
+      const todayKey = formatDateForDocId(today);
+      const weekEnd = formatDateForDocId(addDays(today, 6));
+      const plans = await this.paymentPlanRepository.getPlansByState(PAYMENT_PLAN_STATES.ACTIVE);
+
+      return plans
+        .map(plan => {
+          const progress = getPlanProgress(plan, todayKey);
+          const dueInstallments = progress.installments.filter(installment => (
+            installment.remaining > 0 && installment.dueDate <= weekEnd
+          ));
+
+          return {
+            plan,
+            progress,
+            dueInstallments,
+            amountDue: roundCents(dueInstallments.reduce((total, installment) => total + installment.remaining, 0))
+          };
+        })
+        .filter(entry => entry.dueInstallments.length > 0)
+        .sort((a, b) => a.dueInstallments[0].dueDate.localeCompare(b.dueInstallments[0].dueDate));
+    } catch (error) {
+      console.error("Error fetching payment plans due this week:", error);
+      throw new Error(`Failed to fetch payment plans due this week: ${error.message}`);
+    }
+  }
+}
+
+// Export a default instance
+export const paymentPlanService = new PaymentPlanService();
@@ -0,0 +1,204 @@
+import { paymentService } from "./PaymentService";
+import { paymentMethodService } from "./PaymentMethodService";
+import { depositRepository } from "../repository/DepositRepository";
+import { paymentRepository } from "../repository/PaymentRepository";
+import { formatDateForDocId, parseDateString } from "../utils/DateUtils";
+
+/**
+ * Service for matching bank deposits to the payments recorded for each payment method
+ * A deposit lists the payments it contains, so the treasurer can see per method what was expected,
+ * what reached the bank, and which payments have not been deposited yet.
+ */
+export default class PaymentReconciliationService {
+  constructor(
+    paymentServiceInstance = paymentService,
+    depositRepositoryInstance = depositRepository,
+    paymentMethodServiceInstance = paymentMethodService,
+    paymentRepositoryInstance = paymentRepository
+  ) {
+    this.paymentService = paymentServiceInstance;
+    this.depositRepository = depositRepositoryInstance;
+    this.paymentMethodService = paymentMethodServiceInstance;
+    this.paymentRepository = paymentRepositoryInstance;
+  }
+
+  /**
+   * Rounds an amount to whole cents
+   * @param {number} amount - The amount to round
+   * @returns {number} Rounded amount
+   */
+  roundAmount(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Checks a YYYY-MM-DD date key
+   * @param {string|null} dateKey - Key from formatDateForDocId
+   * @returns {boolean} True if the key is a real date
+   */
+  isValidDateKey(dateKey) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(dateKey || '');
+  }
+
+  /**
+   * Builds the per-method reconciliation for a date range
+   * Expected is the net of the payments and refunds recorded in the range; deposited is the total of
+   * the deposits dated in the range. Each payment shows the deposit that contains it, if any.
+   * @param {Date|string} startDate - First day of the range
+   * @param {Date|string} endDate - Last day of the range (included in full)
+   * @returns {Promise<Object>} { methods: [{ method, label, expected, deposited, difference, payments, deposits, undeposited }], totals }
+   */
+  async getReconciliationReport(startDate, endDate) {
+    try {
+      const startKey = formatDateForDocId(startDate);
+      const endKey = formatDateForDocId(endDate);
+      if (!this.isValidDateKey(startKey) || !this.isValidDateKey(endKey) || startKey > endKey) {
+        throw new Error("Invalid date range");
+      }
+
+      const rangeStart = parseDateString(startKey);
+      rangeStart.setHours(0, 0, 0, 0);
+      const rangeEnd = parseDateString(endKey);
+      rangeEnd.setHours(23, 59, 59, 999);
+
+      await this.paymentMethodService.loadMethods();
+      const [payments, allDeposits] = await Promise.all([
+        this.paymentService.getPaymentsByDateRange(rangeStart, rangeEnd),
+        this.depositRepository.getAllDeposits()
+      ]);
+
+      const depositByPaymentId = {};
+      allDeposits.forEach(deposit => {
+        (deposit.paymentIds || []).forEach(paymentId => {
+          depositByPaymentId[paymentId] = deposit;
+        });
+      });
+      const deposits = allDeposits.filter(deposit => deposit.date >= startKey && deposit.date <= endKey);
+
+      // Configured methods first, then any retired method that still has records in the range
+      const methodIds = [
+        ...this.paymentMethodService.getMethods({ includeInactive: true }).map(method => method.id),
+        ...payments.map(payment => payment.paymentMethod),
+        ...deposits.map(deposit => deposit.method)
+      ].filter((methodId, index, ids) => methodId && ids.indexOf(methodId) === index);
+
+      const methods = methodIds
+        .map(methodId => {
+          const methodPayments = payments
+            .filter(payment => payment.paymentMethod === methodId)
+            .sort((a, b) => new Date(a.date) - new Date(b.date))
+            .map(payment => ({ ...payment, depositId: depositByPaymentId[payment.id]?.id || null }));
+          const methodDeposits = deposits.filter(deposit => deposit.method === methodId);
+
+          const expected = this.roundAmount(methodPayments.reduce((total, payment) => total + (payment.amount || 0), 0));
+          const deposited = this.roundAmount(methodDeposits.reduce((total, deposit) => total + (deposit.amount || 0), 0));
+
+          return {
+            method: methodId,
+            label: this.paymentMethodService.getLabel(methodId),
+            expected,
+            deposited,
+            difference: this.roundAmount(deposited - expected),
+            payments: methodPayments,
+            deposits: methodDeposits,
+            undeposited: methodPayments.filter(payment => !payment.depositId)
+          };
+        })
+        .filter(method => method.payments.length > 0 || method.deposits.length > 0);
+
+      const expected = this.roundAmount(methods.reduce((total, method) => total + method.expected, 0));
+      const deposited = this.roundAmount(methods.reduce((total, method) => total + method.deposited, 0));
+
+      return {
+        startDate: startKey,
+        endDate: endKey,
+        methods,
+        totals: {
+          expected,
+          deposited,
+          difference: this.roundAmount(deposited - expected)
+        }
+      };
+    } catch (error) {
+      console.error("Error building payment reconciliation:", error);
+      throw new Error(`Failed to build payment reconciliation: ${error.message}`);
+    }
+  }
+
+  /**
+   * Records a bank deposit and the payments it contains
+   * @param {Object} depositData - { method, date, amount, reference, paymentIds, notes }
+   * @param {string} adminId - The admin recording the deposit
+   * @returns {Promise<Object>} { deposit, matchedTotal, difference } where difference is the deposit minus its payments
+   * @throws {Error} If the method, amount or date is invalid, or a payment is missing, of another method or already deposited
+   */
+  async recordDeposit({ method, date, amount, reference = '', paymentIds = [], notes = '' }, adminId = null) {
+    try {
+      await this.paymentMethodService.loadMethods();
+      if (!this.paymentMethodService.getMethod(method)) {
+        throw new Error("Unknown payment method");
+      }
+      if (!Number.isFinite(amount) || amount <= 0) {
+        throw new Error("Deposit amount must be greater than zero");
+      }
+      const dateKey = formatDateForDocId(date);
+      if (!this.isValidDateKey(dateKey)) {
+        throw new Error("Deposit date is required");
+      }
+
+      const existingDeposits = await this.depositRepository.getAllDeposits();
+      const depositedIds = new Set(existingDeposits.flatMap(deposit => deposit.paymentIds || []));
+
+      const payments = await Promise.all(paymentIds.map(paymentId => this.paymentRepository.getPaymentById(paymentId)));
+      payments.forEach((payment, index) => {
+        if (!payment) {
+          throw new Error(`Payment ${paymentIds[index]} not found`);
+        }
+        if (payment.paymentMethod !== method) {
+          throw new Error(`Payment ${payment.id} was not paid by ${this.paymentMethodService.getLabel(method)}`);
+        }
+        if (depositedIds.has(payment.id)) {
+          throw new Error(`Payment ${payment.id} is already part of a deposit`);
+        }
+      });
+
+      const deposit = await this.depositRepository.createDeposit({
+        method,
+        date: dateKey,
+        amount: this.roundAmount(amount),
+        reference: reference.trim() || null,
+        paymentIds,
+        notes,
+        createdBy: adminId
+      });
+
+      const matchedTotal = this.roundAmount(payments.reduce((total, payment) => total + (payment.amount || 0), 0));
+
+      return {
+        deposit,
+        matchedTotal,
+        difference: this.roundAmount(deposit.amount - matchedTotal)
+      };
+    } catch (error) {
+      console.error("Error recording deposit:", error);
+      throw new Error(`Failed to record deposit: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a deposit; its payments show as not deposited again
+   * @param {string} depositId - The deposit ID
+   * @returns {Promise<void>}
+   */
+  async deleteDeposit(depositId) {
+    try {
+      await this.depositRepository.deleteDeposit(depositId);
+    } catch (error) {
+      console.error("Error deleting deposit:", error);
+      throw new Error(`Failed to delete deposit: ${error.message}`);
+    }
+  }
+}
+
+// Export a default instance
+export const paymentReconciliationService = new PaymentReconciliationService();
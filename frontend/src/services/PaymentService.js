@@ -1,22 +1,104 @@
 import { paymentRepository } from "../repository/PaymentRepository";
 import { studentRepository } from "../repository/StudentRepository";
 import { holidayService } from "./HolidayService";
+import { ledgerRepository } from "../repository/LedgerRepository";
+import LedgerService from "./LedgerService";
+import { LEDGER_SOURCE_TYPES } from "../constants/ledgerConstants";
+import { PAYMENT_TYPES } from "../constants/paymentConstants";
+import { paymentMethodService } from "./PaymentMethodService";
+import { receiptService } from "./ReceiptService";
+import { paymentPlanService } from "./PaymentPlanService";
+import { isRefund, getRefundStatus, getOpenFees, allocateAmount, trimAllocations } from "../utils/PaymentUtils";
 
 /**
  * Service for handling payment operations
  * Follows Single Responsibility and Dependency Inversion principles
  */
 export default class PaymentService {
-  constructor(paymentRepository, studentRepository, holidayServiceInstance = holidayService) {
+  constructor(
+    paymentRepository,
+    studentRepository,
+    holidayServiceInstance = holidayService,
+    ledgerServiceInstance = null,
+    reportServiceInstance = null,
+    paymentMethodServiceInstance = paymentMethodService,
+    receiptServiceInstance = receiptService,
+    paymentPlanServiceInstance = paymentPlanService
+  ) {
     this.paymentRepository = paymentRepository;
     this.studentRepository = studentRepository;
     this.holidayService = holidayServiceInstance;
+    this.ledgerService = ledgerServiceInstance || new LedgerService(ledgerRepository, studentRepository);
+    this.reportService = reportServiceInstance;
+    this.paymentMethodService = paymentMethodServiceInstance;
+    this.receiptService = receiptServiceInstance;
+    this.paymentPlanService = paymentPlanServiceInstance;
   }
-  
+
+  /**
+   * Gets the report service used to work out charged fees
+   * It is imported on first use so the payment service does not pull in the whole reporting stack.
+   * @returns {Promise<Object>} Report service
+   */
+  async getReportService() {
+    if (!this.reportService) {
+      const { reportService } = await import("./ReportService");
+      this.reportService = reportService;
+    }
+    return this.reportService;
+  }
+
+  /**
+   * Gets a student's fees that still have an amount left to pay, oldest first
+   * @param {string} studentId - The student's ID
+   * @param {Object} options - { excludePaymentId } to ignore one payment's own allocations
+   * @returns {Promise<Array>} Open fees with feeId, date, status, attributes, fee, allocated and remaining
+   */
+  async getOpenFees(studentId, { excludePaymentId = null } = {}) {
+    const reportService = await this.getReportService();
+    const [{ feeBreakdown = [] }, payments] = await Promise.all([
+      reportService.calculateStudentBalance(studentId),
+      this.paymentRepository.getPaymentsByStudentId(studentId)
+    ]);
+
+    return getOpenFees(feeBreakdown, payments.filter(payment => payment.id !== excludePaymentId));
+  }
+
+  /**
+   * Splits a payment across a student's open fees
+   * @param {string} studentId - The student's ID
+   * @param {number} amount - Amount to allocate
+   * @param {Object} options - { feeIds } picked by the admin, { excludePaymentId } for a payment being re-allocated
+   * @returns {Promise<Array>} Allocations [{ feeId, feeDate, amount }]
+   */
+  async allocatePayment(studentId, amount, { feeIds = [], excludePaymentId = null } = {}) {
+    const openFees = await this.getOpenFees(studentId, { excludePaymentId });
+    return allocateAmount(amount, openFees, feeIds);
+  }
+
   /**
-   * Deletes a payment and updates the student's balance
+   * Updates the payment plan a payment was applied to after the payment changed
+   * The payment change stands even if the plan cannot be updated, so failures are only logged.
+   * @param {string} studentId - The student's ID
+   * @param {string} paymentId - The payment ID
+   * @param {number} amount - What the payment is now worth after refunds (0 once deleted)
+   * @returns {Promise<void>}
+   */
+  async syncPaymentPlan(studentId, paymentId, amount) {
+    try {
+      await this.paymentPlanService.syncPayment(studentId, paymentId, amount);
+    } catch (planError) {
+      console.error("Payment changed but its payment plan could not be updated:", planError);
+    }
+  }
+
+  /**
+   * Deletes a payment and posts a reversing ledger entry
    * Used by the PublicDashboard to allow admins to remove incorrect payment entries
-   * and properly adjust the student's balance
+   * and properly adjust the student's balance. The payment's allocations are stored on it,
+   * so deleting it releases the fees it covered. Its receipt is voided rather than deleted,
+   * and it is taken off the payment plan it was applied to. A deleted refund's money is allocated
+   * to the original payment's fees again.
    * @param {string} paymentId - The payment ID to delete
    * @returns {Promise<Object>} Result containing success status, deleted payment, and updated student
    * @throws {Error} If the payment is not found, student is not found, or deletion fails
@@ -37,21 +119,60 @@ export default class PaymentService {
         throw new Error("Student not found");
       }
       
-      // Delete the payment
-      await this.paymentRepository.deletePayment(paymentId);
-      
-      // Add the payment amount back to the student's balance
-      // Only if they're not inactive - we don't modify balances for inactive students
-      let updatedStudent = student;
-      if (student.enrollmentStatus !== 'Inactive' && student.enrollmentStatus !== 'Removed') {
-        const currentBalance = student.balance || 0;
-        const newBalance = currentBalance + payment.amount;
-        updatedStudent = await this.studentRepository.updateStudent(
-          payment.studentId,
-          { balance: newBalance }
-        );
+      // A refunded payment keeps its record so the refunds still point at it
+      const studentPayments = await this.paymentRepository.getPaymentsByStudentId(payment.studentId);
+      if (!isRefund(payment) && getRefundStatus(payment, studentPayments).refunded > 0) {
+        throw new Error("This payment has refunds. Delete the refunds first.");
+      }
+
+      // Deleting a refund gives the money back to the original payment: it is allocated again,
+      // to the same fees if the admin picked them, otherwise oldest first
+      const original = isRefund(payment) && payment.originalPaymentId
+        ? await this.paymentRepository.getPaymentById(payment.originalPaymentId)
+        : null;
+      const originalRefundable = original
+        ? getRefundStatus(original, studentPayments.filter(record => record.id !== paymentId)).refundable
+        : 0;
+
+      if (isRefund(payment)) {
+        let allocations = null;
+        if (Array.isArray(original?.allocations)) {
+          const feeIds = original.allocationMode === 'manual' ? original.allocations.map(allocation => allocation.feeId) : [];
+          allocations = await this.allocatePayment(payment.studentId, originalRefundable, {
+            feeIds,
+            excludePaymentId: original.id
+          });
+        }
+        await this.paymentRepository.deleteRefund(payment, allocations);
+      } else {
+        await this.paymentRepository.deletePayment(paymentId);
       }
       
+      // Reverse the payment in the ledger so the amount is owed again
+      // (a deleted refund is stored with a negative amount and returns the money to the student's credit)
+      const reversalDetails = {
+        sourceType: LEDGER_SOURCE_TYPES.PAYMENT,
+        sourceId: paymentId,
+        date: new Date(),
+        description: isRefund(payment) ? 'Refund deleted' : 'Payment deleted'
+      };
+      const { updatedStudent } = isRefund(payment)
+        ? await this.ledgerService.postRefund(payment.studentId, payment.amount, reversalDetails)
+        : await this.ledgerService.postPayment(payment.studentId, -payment.amount, reversalDetails);
+      
+      // Receipts are never deleted, so the receipt numbers stay gap-free; the payment's receipt is voided instead
+      if (!isRefund(payment)) {
+        try {
+          await this.receiptService.voidReceipt(paymentId);
+        } catch (receiptError) {
+          console.error("Payment deleted but its receipt could not be voided:", receiptError);
+        }
+        await this.syncPaymentPlan(payment.studentId, paymentId, 0);
+      } else if (original) {
+        // The refunded money counts toward the original payment's plan again
+        await this.syncPaymentPlan(payment.studentId, original.id, originalRefundable);
+      }
+
       return { 
         success: true, 
         deletedPayment: payment,
@@ -63,21 +184,39 @@ export default class PaymentService {
     }
   }
 
+  /**
+   * Checks that a method is one of the active configured payment methods
+   * @param {string} methodId - The method ID
+   * @param {string} label - What the method is called in the error message
+   * @throws {Error} If the method is unknown or has been deactivated
+   */
+  validateMethod(methodId, label = 'payment method') {
+    if (!this.paymentMethodService.isValidMethod(methodId)) {
+      const validMethods = this.paymentMethodService.getMethods().map(method => method.id);
+      throw new Error(`Invalid ${label}. Must be one of: ${validMethods.join(", ")}`);
+    }
+  }
+
   /**
    * Validates payment data
    * @param {Object} paymentData - The payment data to validate
+   * @param {Object} options - { currentMethod } an edited payment may keep even if it has been deactivated
    * @throws {Error} If payment data is invalid
    */
-  validatePayment(paymentData) {
+  validatePayment(paymentData, { currentMethod = null } = {}) {
     // Validate amount
     if (!paymentData.amount || paymentData.amount <= 0) {
       throw new Error("Payment amount must be greater than zero");
     }
 
     // Validate payment method
-    const validMethods = ["cash", "card"];
-    if (!validMethods.includes(paymentData.paymentMethod)) {
-      throw new Error(`Invalid payment method. Must be one of: ${validMethods.join(", ")}`);
+    if (!currentMethod || paymentData.paymentMethod !== currentMethod) {
+      this.validateMethod(paymentData.paymentMethod);
+    }
+
+    // Validate reference (check number, transaction ID)
+    if (paymentData.reference != null && typeof paymentData.reference !== 'string') {
+      throw new Error("Payment reference must be text");
     }
 
     // Validate date
@@ -130,13 +269,17 @@ export default class PaymentService {
   }
 
   /**
-   * Records a payment and updates the student's balance
-   * @param {Object} paymentData - Payment data with studentId, amount, date, paymentMethod, notes, adminId
-   * @returns {Promise<Object>} Object containing payment and updated student
+   * Records a payment, allocates it to the student's fees and posts it to the student's ledger
+   * The payment covers the fees the admin picked (feeIds, or the single feeId of a "Pay" link) and
+   * otherwise the oldest open fees first. Any amount left over stays unallocated as credit.
+   * The payment also counts toward the student's active payment plan, if they have one.
+   * @param {Object} paymentData - Payment data with studentId, amount, date, paymentMethod, notes, adminId and optional reference and feeIds
+   * @returns {Promise<Object>} Object containing payment, updated student and receipt (null if it could not be issued)
    */
   async recordPayment(paymentData) {
     try {
-      // Validate payment data
+      // Validate payment data (the holiday flag reads the shared holiday calendar)
+      await Promise.all([this.paymentMethodService.loadMethods(), this.holidayService.loadCalendar()]);
       this.validatePayment(paymentData);
 
       // Check if student exists
@@ -145,25 +288,291 @@ export default class PaymentService {
         throw new Error("Student not found");
       }
 
+      const { feeIds = [], feeId = null, feeDate, reference, ...recordData } = paymentData;
+      const pickedFeeIds = feeIds.length > 0 ? feeIds : [feeId].filter(Boolean);
+      const allocations = await this.allocatePayment(paymentData.studentId, paymentData.amount, { feeIds: pickedFeeIds });
+
       // Create payment record
-      const payment = await this.paymentRepository.createPayment(paymentData);
-
-      // Update student balance
-      const currentBalance = student.balance || 0;
-      const newBalance = Math.max(0, currentBalance - paymentData.amount);
-      const updatedStudent = await this.studentRepository.updateStudent(
-        paymentData.studentId,
-        { balance: newBalance }
-      );
-
-      // Return both the payment and updated student
-      return { payment, updatedStudent };
+      const payment = await this.paymentRepository.createPayment({
+        ...recordData,
+        ...(reference?.trim() && { reference: reference.trim() }),
+        allocations,
+        allocationMode: pickedFeeIds.length > 0 ? 'manual' : 'auto'
+      });
+
+      // Post the payment to the ledger, which refreshes the student's balance
+      const { updatedStudent } = await this.ledgerService.postPayment(paymentData.studentId, paymentData.amount, {
+        sourceType: LEDGER_SOURCE_TYPES.PAYMENT,
+        sourceId: payment.id,
+        date: paymentData.date,
+        description: paymentData.notes || 'Payment',
+        createdBy: paymentData.adminId || null
+      });
+
+      // The payment stands even if its receipt cannot be issued now; it is issued when first opened
+      let receipt = null;
+      try {
+        receipt = await this.receiptService.issueReceipt(payment, updatedStudent);
+      } catch (receiptError) {
+        console.error("Payment recorded without a receipt:", receiptError);
+      }
+
+      // Payments count toward the student's active payment plan, if they have one
+      try {
+        await this.paymentPlanService.applyPayment(payment);
+      } catch (planError) {
+        console.error("Payment recorded but not applied to the payment plan:", planError);
+      }
+
+      // Return the payment, updated student and receipt
+      return { payment, updatedStudent, receipt };
     } catch (error) {
       console.error("Error recording payment:", error);
       throw error;
     }
   }
 
+  /**
+   * Fields of a payment that can be corrected after it is recorded
+   */
+  static get EDITABLE_FIELDS() {
+    return ['amount', 'date', 'paymentMethod', 'reference', 'notes'];
+  }
+
+  /**
+   * Corrects a recorded payment in place and keeps the previous version in its edit history
+   * The edit goes through the same validation and holiday checks as recordPayment, and a change
+   * of amount re-allocates the payment and posts the difference to the student's ledger.
+   * @param {string} paymentId - The payment ID
+   * @param {Object} updates - New values for amount, date, paymentMethod, reference and/or notes
+   * @param {Object} options - { adminId }
+   * @returns {Promise<Object>} Object containing the updated payment, updated student, changed fields and reissued receipt
+   * @throws {Error} If the payment is a refund, the new data is invalid, or the amount drops below what was refunded
+   */
+  async updatePayment(paymentId, updates, { adminId = null } = {}) {
+    try {
+      const payment = await this.paymentRepository.getPaymentById(paymentId);
+      if (!payment) {
+        throw new Error("Payment not found");
+      }
+      if (isRefund(payment)) {
+        throw new Error("Refunds cannot be edited. Delete the refund and record it again.");
+      }
+
+      const toDate = value => (value && typeof value.toDate === 'function' ? value.toDate() : new Date(value));
+      const current = {
+        amount: payment.amount,
+        date: toDate(payment.date),
+        paymentMethod: payment.paymentMethod,
+        reference: payment.reference || '',
+        notes: payment.notes || ''
+      };
+
+      const edited = { ...current };
+      PaymentService.EDITABLE_FIELDS.forEach(field => {
+        if (updates[field] !== undefined) {
+          edited[field] = field === 'date' ? toDate(updates[field]) : updates[field];
+        }
+      });
+
+      // Same checks as a new payment, including the holiday flag
+      await Promise.all([this.paymentMethodService.loadMethods(), this.holidayService.loadCalendar()]);
+      this.validatePayment(edited, { currentMethod: current.paymentMethod });
+      edited.reference = (edited.reference || '').trim();
+
+      const changedFields = PaymentService.EDITABLE_FIELDS.filter(field => (
+        field === 'date'
+          ? current.date.getTime() !== edited.date.getTime()
+          : current[field] !== edited[field]
+      ));
+      if (changedFields.length === 0) {
+        return { payment, updatedStudent: null, changedFields };
+      }
+
+      const studentPayments = await this.paymentRepository.getPaymentsByStudentId(payment.studentId);
+      const { refunded } = getRefundStatus(payment, studentPayments);
+      if (this.ledgerService.roundAmount(edited.amount) < refunded) {
+        throw new Error(`Amount cannot be less than the $${refunded.toFixed(2)} already refunded`);
+      }
+
+      // A new amount releases the payment's allocations and allocates it again,
+      // to the same fees if the admin picked them, otherwise oldest first
+      const allocationChanges = {};
+      if (changedFields.includes('amount')) {
+        const feeIds = payment.allocationMode === 'manual' ? (payment.allocations || []).map(allocation => allocation.feeId) : [];
+        allocationChanges.allocations = await this.allocatePayment(payment.studentId, edited.amount - refunded, {
+          feeIds,
+          excludePaymentId: paymentId
+        });
+      }
+
+      const updatedPayment = await this.paymentRepository.updatePayment(paymentId, {
+        ...changedFields.reduce((changes, field) => ({ ...changes, [field]: edited[field] }), {}),
+        ...allocationChanges,
+        isHolidayPayment: Boolean(edited.isHolidayPayment),
+        holidayName: edited.holidayName || null,
+        editHistory: [
+          ...(payment.editHistory || []),
+          {
+            ...current,
+            changedFields,
+            editedAt: new Date(),
+            editedBy: adminId
+          }
+        ]
+      });
+
+      let updatedStudent = null;
+      const difference = this.ledgerService.roundAmount(edited.amount - current.amount);
+      if (difference !== 0) {
+        ({ updatedStudent } = await this.ledgerService.postPayment(payment.studentId, difference, {
+          sourceType: LEDGER_SOURCE_TYPES.PAYMENT,
+          sourceId: paymentId,
+          date: new Date(),
+          description: 'Payment edited',
+          createdBy: adminId
+        }));
+        await this.syncPaymentPlan(payment.studentId, paymentId, edited.amount - refunded);
+      }
+
+      // A receipt shows the amount, balance and fee year number, so a new amount or date voids it and
+      // issues another; the edit stands even if that fails, like a payment recorded without a receipt
+      let receipt = null;
+      if (changedFields.includes('amount') || changedFields.includes('date')) {
+        try {
+          receipt = await this.receiptService.reissueReceipt(updatedPayment, updatedStudent);
+        } catch (receiptError) {
+          console.error("Payment edited without reissuing its receipt:", receiptError);
+        }
+      }
+
+      return { payment: updatedPayment, updatedStudent, changedFields, receipt };
+    } catch (error) {
+      console.error("Error updating payment:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refunds part or all of a student's credit balance
+   * The refund is stored as a payment record with a negative amount so payment totals stay net of refunds,
+   * and posted to the ledger, which raises the balance back toward zero.
+   * @param {string} studentId - The student's ID
+   * @param {number} amount - Amount to pay back
+   * @param {Object} options - { paymentMethod, notes, adminId, date }
+   * @returns {Promise<Object>} Object containing the refund record and updated student
+   * @throws {Error} If the amount is invalid or larger than the student's credit
+   */
+  async refundCredit(studentId, amount, { paymentMethod = 'cash', notes = '', adminId = null, date = new Date() } = {}) {
+    try {
+      if (!Number.isFinite(amount) || amount <= 0) {
+        throw new Error("Refund amount must be greater than zero");
+      }
+      await this.paymentMethodService.loadMethods();
+      this.validateMethod(paymentMethod, 'refund method');
+
+      const student = await this.studentRepository.getStudentById(studentId);
+      if (!student) {
+        throw new Error("Student not found");
+      }
+
+      const credit = this.ledgerService.roundAmount(Math.max(0, -(student.balance || 0)));
+      if (this.ledgerService.roundAmount(amount) > credit) {
+        throw new Error(`Refund cannot exceed the student's credit of $${credit.toFixed(2)}`);
+      }
+
+      const refund = await this.paymentRepository.createPayment({
+        studentId,
+        type: PAYMENT_TYPES.REFUND,
+        amount: -amount,
+        paymentMethod,
+        date,
+        notes: notes || 'Credit refund',
+        adminId
+      });
+
+      const { updatedStudent } = await this.ledgerService.postRefund(studentId, amount, {
+        sourceType: LEDGER_SOURCE_TYPES.PAYMENT,
+        sourceId: refund.id,
+        date,
+        description: notes || 'Credit refund',
+        createdBy: adminId
+      });
+
+      return { refund, updatedStudent };
+    } catch (error) {
+      console.error("Error refunding credit:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Refunds part or all of a payment
+   * The refund is a payment record of type 'refund' with a negative amount that references the
+   * original payment, so the original stays on file and payment totals are net of refunds.
+   * Allocations the refunded amount no longer covers are released.
+   * @param {string} paymentId - ID of the payment being refunded
+   * @param {number} amount - Amount to pay back
+   * @param {Object} options - { reason, refundMethod, adminId, date }
+   * @returns {Promise<Object>} Object containing the refund record and updated student
+   * @throws {Error} If the reason or method is missing, or the amount exceeds what is left to refund
+   */
+  async refundPayment(paymentId, amount, { reason = '', refundMethod, adminId = null, date = new Date() } = {}) {
+    try {
+      if (!Number.isFinite(amount) || amount <= 0) {
+        throw new Error("Refund amount must be greater than zero");
+      }
+      if (!reason || !reason.trim()) {
+        throw new Error("A reason is required for refunds");
+      }
+      await this.paymentMethodService.loadMethods();
+      this.validateMethod(refundMethod, 'refund method');
+
+      const payment = await this.paymentRepository.getPaymentById(paymentId);
+      if (!payment) {
+        throw new Error("Payment not found");
+      }
+      if (isRefund(payment)) {
+        throw new Error("A refund cannot be refunded");
+      }
+
+      const studentPayments = await this.paymentRepository.getPaymentsByStudentId(payment.studentId);
+      const { refundable } = getRefundStatus(payment, studentPayments);
+      if (this.ledgerService.roundAmount(amount) > refundable) {
+        throw new Error(`Refund cannot exceed the $${refundable.toFixed(2)} left on this payment`);
+      }
+
+      // Money paid back no longer covers fees: the payment's last allocations are released
+      // in the same write as the refund
+      const refund = await this.paymentRepository.createRefund({
+        studentId: payment.studentId,
+        type: PAYMENT_TYPES.REFUND,
+        originalPaymentId: paymentId,
+        amount: -amount,
+        paymentMethod: refundMethod,
+        reason: reason.trim(),
+        date,
+        notes: `Refund: ${reason.trim()}`,
+        adminId
+      }, payment.allocations?.length > 0 ? trimAllocations(payment.allocations, refundable - amount) : null);
+
+      const { updatedStudent } = await this.ledgerService.postRefund(payment.studentId, amount, {
+        sourceType: LEDGER_SOURCE_TYPES.PAYMENT,
+        sourceId: refund.id,
+        date,
+        description: `Refund: ${reason.trim()}`,
+        createdBy: adminId
+      });
+
+      await this.syncPaymentPlan(payment.studentId, paymentId, refundable - amount);
+
+      return { refund, updatedStudent };
+    } catch (error) {
+      console.error("Error refunding payment:", error);
+      throw error;
+    }
+  }
+
   /**
    * Gets all payments for a specific student
    * @param {string} studentId - The student's ID
@@ -0,0 +1,153 @@
+import { receiptRepository } from "../repository/ReceiptRepository";
+import { studentRepository } from "../repository/StudentRepository";
+import { paymentMethodService } from "./PaymentMethodService";
+import { dateService } from "./DateService";
+import { formatDateForDocId } from "../utils/DateUtils";
+import { isRefund, sumAllocations } from "../utils/PaymentUtils";
+
+/**
+ * Service for payment receipts
+ * A receipt is a snapshot of the payment when it was issued: the student, amount, method,
+ * the fees it covered and the balance left. Numbers run without gaps within each fee year.
+ */
+export default class ReceiptService {
+  constructor(
+    receiptRepositoryInstance = receiptRepository,
+    studentRepositoryInstance = studentRepository,
+    paymentMethodServiceInstance = paymentMethodService,
+    dateServiceInstance = dateService
+  ) {
+    this.receiptRepository = receiptRepositoryInstance;
+    this.studentRepository = studentRepositoryInstance;
+    this.paymentMethodService = paymentMethodServiceInstance;
+    this.dateService = dateServiceInstance;
+  }
+
+  /**
+   * Gets the fee year a date falls in
+   * @param {Date} date - The date
+   * @returns {number} Start year of the fee year
+   */
+  getFeeYear(date) {
+    return this.dateService.calculateFeeYearStartDate(date).getFullYear();
+  }
+
+  /**
+   * Builds the receipt contents of a payment
+   * @param {Object} payment - The payment
+   * @param {Object} student - The student after the payment (fetched if not given)
+   * @returns {Promise<Object>} { feeYear, data }
+   * @throws {Error} If the payment is a refund or the student cannot be found
+   */
+  async buildReceipt(payment, student = null) {
+    if (isRefund(payment)) {
+      throw new Error("Refunds do not get receipts");
+    }
+
+    const receiptStudent = student || await this.studentRepository.getStudentById(payment.studentId);
+    if (!receiptStudent) {
+      throw new Error("Student not found");
+    }
+
+    await this.paymentMethodService.loadMethods();
+    const paymentDate = typeof payment.date?.toDate === 'function' ? payment.date.toDate() : new Date(payment.date);
+    const fees = (payment.allocations || []).map(({ feeId, feeDate, amount }) => ({ feeId, feeDate, amount }));
+
+    return {
+      feeYear: this.getFeeYear(paymentDate),
+      data: {
+        studentId: payment.studentId,
+        studentName: `${receiptStudent.firstName || ''} ${receiptStudent.lastName || ''}`.trim(),
+        amount: payment.amount,
+        paymentMethod: payment.paymentMethod,
+        methodLabel: this.paymentMethodService.getLabel(payment.paymentMethod),
+        reference: payment.reference || null,
+        paymentDate: formatDateForDocId(paymentDate),
+        fees,
+        unallocated: Math.round((payment.amount - sumAllocations(payment)) * 100) / 100,
+        remainingBalance: receiptStudent.balance || 0
+      }
+    };
+  }
+
+  /**
+   * Issues the receipt of a payment, or returns the one it already has
+   * @param {Object} payment - The recorded payment
+   * @param {Object} student - The student after the payment (fetched if not given)
+   * @returns {Promise<Object>} The receipt
+   * @throws {Error} If the payment is a refund or the student cannot be found
+   */
+  async issueReceipt(payment, student = null) {
+    try {
+      const { feeYear, data } = await this.buildReceipt(payment, student);
+      return await this.receiptRepository.issueReceipt(payment.id, feeYear, data);
+    } catch (error) {
+      console.error("Error issuing receipt:", error);
+      throw new Error(`Failed to issue receipt: ${error.message}`);
+    }
+  }
+
+  /**
+   * Voids the receipt of an edited payment and issues a new one showing the edit
+   * The new receipt is numbered in the fee year of the payment's current date.
+   * A payment without a receipt gets none; it is issued with the new details when first opened.
+   * @param {Object} payment - The edited payment
+   * @param {Object} student - The student after the edit (fetched if not given)
+   * @param {string} reason - Why the old receipt is void
+   * @returns {Promise<Object|null>} The new receipt, or null if the payment had no receipt in use
+   */
+  async reissueReceipt(payment, student = null, reason = 'Payment edited') {
+    try {
+      const current = await this.receiptRepository.getReceiptByPaymentId(payment.id);
+      if (!current || current.voided) {
+        return null;
+      }
+
+      const { feeYear, data } = await this.buildReceipt(payment, student);
+      return await this.receiptRepository.reissueReceipt(payment.id, feeYear, data, reason);
+    } catch (error) {
+      console.error("Error reissuing receipt:", error);
+      throw new Error(`Failed to reissue receipt: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets the receipt of a payment, issuing it if the payment has none yet
+   * A receipt issued late shows the student's balance at the time it was issued.
+   * @param {Object} payment - The payment
+   * @returns {Promise<Object>} The receipt
+   */
+  async getReceiptForPayment(payment) {
+    const receipt = await this.receiptRepository.getReceiptByPaymentId(payment.id);
+    return receipt || this.issueReceipt(payment);
+  }
+
+  /**
+   * Gets a student's receipts, newest first
+   * @param {string} studentId - The student's ID
+   * @returns {Promise<Array>} Receipts
+   */
+  async getStudentReceipts(studentId) {
+    const receipts = await this.receiptRepository.getReceiptsByStudentId(studentId);
+    return receipts.sort((a, b) => b.feeYear - a.feeYear || b.sequence - a.sequence);
+  }
+
+  /**
+   * Marks the receipt of a deleted payment void, if it has one
+   * @param {string} paymentId - The payment ID
+   * @param {string} reason - Why the receipt is void
+   * @returns {Promise<boolean>} True if a receipt was voided
+   */
+  async voidReceipt(paymentId, reason = 'Payment deleted') {
+    const receipt = await this.receiptRepository.getReceiptByPaymentId(paymentId);
+    if (!receipt || receipt.voided) {
+      return false;
+    }
+
+    await this.receiptRepository.voidReceipt(paymentId, reason);
+    return true;
+  }
+}
+
+// Export a default instance
+export const receiptService = new ReceiptService();
@@ -4,18 +4,129 @@ import { attendanceRepository } from "../repository/AttendanceRepository";
 import { attendanceService } from "../services/AttendanceService";
 import { expenseService } from "../services/ExpenseService";
 import { dateService } from "../services/DateService";
+import { feeScheduleService } from "../services/FeeScheduleService";
+import { classScheduleService } from "../services/ClassScheduleService";
+import { feeWaiverRepository } from "../repository/FeeWaiverRepository";
+import { feeRuleService } from "../services/FeeRuleService";
+import { holidayService } from "../services/HolidayService";
+import { classCancellationService } from "../services/ClassCancellationService";
 import { sortByName } from "../utils/sorting";
 import { formatDateForDocId, parseDateString } from "../utils/DateUtils";
+import { parseAttendanceDocId } from "../utils/AttendanceDocUtils";
+import { isWithinEnrollment, isChargeableOnDate } from "../utils/EnrollmentUtils";
 import { formatCurrency } from "../utils/formatters";
+import { isRefund, sumRefunds, sumAllocations, getAllocatedByFee } from "../utils/PaymentUtils";
+import { getWaivedAmounts } from "../utils/WaiverUtils";
+import { groupMarkingsByStudent } from "../utils/FeeRuleUtils";
+import { WAIVER_STATUSES } from "../constants/waiverConstants";
 
 export default class ReportService {
-  constructor(reportRepository, studentRepository, attendanceRepository, attendanceService, expenseServiceInstance = expenseService, dateServiceInstance = dateService) {
+  constructor(reportRepository, studentRepository, attendanceRepository, attendanceService, expenseServiceInstance = expenseService, dateServiceInstance = dateService, feeScheduleServiceInstance = feeScheduleService, classScheduleServiceInstance = classScheduleService, feeWaiverRepositoryInstance = feeWaiverRepository, feeRuleServiceInstance = feeRuleService, holidayServiceInstance = holidayService, classCancellationServiceInstance = classCancellationService) {
     this.reportRepository = reportRepository;
     this.studentRepository = studentRepository;
     this.attendanceRepository = attendanceRepository;
     this.attendanceService = attendanceService;
     this.expenseService = expenseServiceInstance;
     this.dateService = dateServiceInstance;
+    this.feeScheduleService = feeScheduleServiceInstance;
+    this.classScheduleService = classScheduleServiceInstance;
+    this.feeWaiverRepository = feeWaiverRepositoryInstance;
+    this.feeRuleService = feeRuleServiceInstance;
+    this.holidayService = holidayServiceInstance;
+    this.classCancellationService = classCancellationServiceInstance;
+  }
+
+  /**
+   * Gets what approved waivers forgive on each of a student's fees
+   * @param {string} studentId - The student's ID
+   * @returns {Promise<Object>} Waived amount keyed by feeId
+   */
+  async getWaivedByFee(studentId) {
+    const waivers = await this.feeWaiverRepository.getWaiversByStudentId(studentId);
+    return getWaivedAmounts(waivers)[studentId] || {};
+  }
+
+  /**
+   * Charges one student's markings with the monthly cap and repeat-offense rules applied
+   * Same calculation as AttendanceService.calculateStudentFees, so reports match the attendance screen
+   * and the ledger: markings on holidays carry no fee and count toward no rule.
+   * @param {Array} markings - The student's markings [{ id, date, status, attributes }]
+   * @returns {Object} Fee keyed by marking ID
+   */
+  calculateMarkingFees(markings) {
+    return this.feeRuleService.calculateFees(
+      markings,
+      (status, attributes, date) => this.attendanceService.calculateAttendanceFeeWithHolidays(status, attributes, date)
+    );
+  }
+
+  /**
+   * Charges the markings of a month with the fee rules applied
+   * Repeat-offense rules count the earlier offenses of the fee year, so those months are loaded too.
+   * Markings on dates a student is not chargeable carry no fee and count toward no rule, as in
+   * calculateStudentHistoryFees.
+   * @param {Array} monthlyAttendance - The month's attendance documents [{ id, data }]
+   * @param {Date} monthDate - Any date within the month
+   * @param {Array} students - All students, for their enrollment windows and status history
+   * @returns {Promise<Object|null>} Fee keyed by student ID, then by document ID (null without rules)
+   */
+  async getMonthlyRuleFees(monthlyAttendance, monthDate, students = []) {
+    await this.feeRuleService.loadRules();
+    if (!this.feeRuleService.hasRules()) {
+      return null;
+    }
+
+    const date = new Date(monthDate);
+    const startOfMonth = new Date(date.getFullYear(), date.getMonth(), 1);
+    const attendanceDocs = (monthlyAttendance || []).map(day => ({ id: day.id, records: day.data }));
+    const historyStart = this.feeRuleService.getHistoryStartDate(startOfMonth);
+    if (historyStart < startOfMonth) {
+      const dayBeforeMonth = new Date(date.getFullYear(), date.getMonth(), 0);
+      attendanceDocs.push(...await this.attendanceRepository.getAttendanceByDateRange(historyStart, dayBeforeMonth));
+    }
+
+    const studentMap = new Map((students || []).map(student => [student.id, student]));
+    return Object.fromEntries(
+      Object.entries(groupMarkingsByStudent(attendanceDocs))
+        .map(([studentId, markings]) => [
+          studentId,
+          this.calculateMarkingFees(markings.filter(marking => isChargeableOnDate(studentMap.get(studentId), marking.date)))
+        ])
+    );
+  }
+
+  /**
+   * Gets the fee charged for a student's marking in a monthly report
+   * @param {Object|null} ruleFees - Fees from getMonthlyRuleFees
+   * @param {string} studentId - The student's ID
+   * @param {Object} attendanceDay - Attendance document { id, date }
+   * @param {string} status - Attendance status
+   * @param {Object} attributes - Fee attributes
+   * @returns {number} Fee amount in dollars
+   */
+  getChargedFee(ruleFees, studentId, attendanceDay, status, attributes) {
+    return ruleFees
+      ? ruleFees[studentId]?.[attendanceDay.id] || 0
+      : this.attendanceService.calculateAttendanceFeeWithHolidays(status, attributes, attendanceDay.date);
+  }
+
+  /**
+   * Charges a student's attendance history with the fee rules applied
+   * Only sessions inside the enrollment window while Enrolled or Pending Payment carry fees.
+   * @param {Object} student - The student
+   * @param {Array} attendanceHistory - Records from getStudentAttendanceHistory
+   * @returns {Object} Fee keyed by attendance document ID, for chargeable records only
+   */
+  calculateStudentHistoryFees(student, attendanceHistory) {
+    const markings = attendanceHistory
+      .filter(record => record && record.record && isChargeableOnDate(student, record.date))
+      .map(record => ({
+        id: record.id,
+        date: record.date,
+        status: record.record.status,
+        attributes: record.record.attributes || {}
+      }));
+    return this.calculateMarkingFees(markings);
   }
 
   /**
@@ -25,6 +136,9 @@ export default class ReportService {
    */
   async generateMonthlyFinancialReport(monthDate) {
     try {
+      // Fees are charged at the rates in effect on each attendance date, except on holidays
+      await Promise.all([this.feeScheduleService.loadSchedule(), this.holidayService.loadCalendar()]);
+      
       // Get fees charged for the month (from attendance records)
       const monthlyAttendance = await this.reportRepository.getMonthlyFeesCharged(monthDate);
       
@@ -50,7 +164,10 @@ export default class ReportService {
       const activeStudentIds = new Set(activeStudents.map(student => student.id));
       
       // Calculate total fees charged for the month (from attendance attributes and status)
+      const ruleFees = await this.getMonthlyRuleFees(monthlyAttendance, monthDate, students);
       let totalFeesCharged = 0;
+      let totalFeesWaived = 0;
+      const waivedAmounts = getWaivedAmounts(await this.feeWaiverRepository.getWaiversByStatus(WAIVER_STATUSES.APPROVED));
       
       // Process attendance records to calculate fees
       for (const attendanceDay of monthlyAttendance) {
@@ -62,25 +179,25 @@ export default class ReportService {
           if (!activeStudentIds.has(studentId)) continue;
           
           // Use the attendance service to calculate the fee based on status and attributes
-          const fee = this.attendanceService.calculateAttendanceFee(
-            attendance.status, 
-            attendance.attributes || {}
-          );
+          const fee = this.getChargedFee(ruleFees, studentId, attendanceDay, attendance.status, attendance.attributes || {});
           
           totalFeesCharged += fee;
+          totalFeesWaived += Math.min(fee, waivedAmounts[studentId]?.[attendanceDay.id] || 0);
         }
       }
       
       // Calculate total payments received for the month
       // Note: For testing compatibility, we don't filter by active students in this first calculation
       // This ensures the totalPaymentsReceived value matches what tests expect
+      // Refunds are stored with negative amounts, so the total is net of refunds
       const totalPaymentsReceived = monthlyPayments.reduce(
         (total, payment) => total + (payment.amount || 0), 
         0
       );
+      const totalRefunds = sumRefunds(monthlyPayments);
       
-      // Outstanding balance is the difference between fees charged and payments received
-      const outstandingBalance = totalFeesCharged - totalPaymentsReceived;
+      // Outstanding balance is the difference between fees owed (net of waivers) and payments received
+      const outstandingBalance = totalFeesCharged - totalFeesWaived - totalPaymentsReceived;
 
       // Format month name for the report title
       const months = [
@@ -100,11 +217,13 @@ export default class ReportService {
         },
         summary: {
           totalFeesCharged,
+          totalFeesWaived,
           totalPaymentsReceived,
+          totalRefunds,
           outstandingBalance
         },
         details: {
-          feesBreakdown: this.calculateFeesBreakdown(monthlyAttendance, students),
+          feesBreakdown: this.calculateFeesBreakdown(monthlyAttendance, students, ruleFees),
           paymentBreakdown: this.calculatePaymentBreakdown(monthlyPayments, studentMap)
         },
         rawData: {
@@ -125,6 +244,9 @@ export default class ReportService {
    */
   async generateDetailedMonthlyFinancialReport(monthDate) {
     try {
+      // Fees are charged at the rates in effect on each attendance date, except on holidays
+      await Promise.all([this.feeScheduleService.loadSchedule(), this.holidayService.loadCalendar()]);
+      
       // Get fees charged for the month (from attendance records)
       const monthlyAttendance = await this.reportRepository.getMonthlyFeesCharged(monthDate);
       
@@ -149,20 +271,28 @@ export default class ReportService {
       
       const activeStudentIds = new Set(activeStudents.map(student => student.id));
       
+      // Waived fees are still charged, and reported separately as waived revenue
+      const waivedAmounts = getWaivedAmounts(await this.feeWaiverRepository.getWaiversByStatus(WAIVER_STATUSES.APPROVED));
+      const ruleFees = await this.getMonthlyRuleFees(monthlyAttendance, monthDate, students);
+      
       // Initialize counters and breakdowns
       let totalFeesCharged = 0;
+      let totalFeesWaived = 0;
       let feesCollected = 0;
       let pendingFees = 0;
       let feesInPaymentProcess = 0;
       
       // Fee type breakdown
+      // ruleAdjustments is what the monthly cap and repeat-offense rules added (or took off)
+      // on top of the rates by type
       const feeBreakdown = {
         byType: {
           absence: 0,
           late: 0,
           noShoes: 0,
           notInUniform: 0
-        }
+        },
+        ruleAdjustments: 0
       };
       
       // Student details with fees charged and payments
@@ -176,6 +306,7 @@ export default class ReportService {
           if (!attendanceDay || !attendanceDay.data) continue;
           
           const attendanceData = attendanceDay.data;
+          const rates = this.feeScheduleService.getRatesForDate(attendanceDay.date);
           
           for (const [studentId, attendance] of Object.entries(attendanceData)) {
             // Skip inactive students
@@ -184,14 +315,19 @@ export default class ReportService {
             const status = attendance.status;
             const attributes = attendance.attributes || {};
             
-            // Calculate fee
-            const fee = this.attendanceService.calculateAttendanceFee(status, attributes);
+            // Calculate fee, before and after the fee rules
+            const baseFee = this.attendanceService.calculateAttendanceFeeWithHolidays(status, attributes, attendanceDay.date);
+            const fee = ruleFees ? this.getChargedFee(ruleFees, studentId, attendanceDay, status, attributes) : baseFee;
+            feeBreakdown.ruleAdjustments += fee - baseFee;
+            const waived = Math.min(fee, waivedAmounts[studentId]?.[attendanceDay.id] || 0);
             totalFeesCharged += fee;
+            totalFeesWaived += waived;
             
             // Initialize student fee record if needed
             if (!studentFees[studentId]) {
               studentFees[studentId] = {
                 totalFee: 0,
+                totalWaived: 0,
                 feeBreakdown: {
                   absence: 0,
                   late: 0,
@@ -203,26 +339,27 @@ export default class ReportService {
             
             // Add to student's total fee
             studentFees[studentId].totalFee += fee;
+            studentFees[studentId].totalWaived += waived;
           
           // Add to fee type breakdowns
           if (status === 'absent') {
-            feeBreakdown.byType.absence += fee;
-            studentFees[studentId].feeBreakdown.absence += fee;
+            feeBreakdown.byType.absence += baseFee;
+            studentFees[studentId].feeBreakdown.absence += baseFee;
           }
           
           if (attributes.late) {
-            feeBreakdown.byType.late += 1;
-            studentFees[studentId].feeBreakdown.late += 1;
+            feeBreakdown.byType.late += rates.late;
+            studentFees[studentId].feeBreakdown.late += rates.late;
           }
           
           if (attributes.noShoes) {
-            feeBreakdown.byType.noShoes += 1;
-            studentFees[studentId].feeBreakdown.noShoes += 1;
+            feeBreakdown.byType.noShoes += rates.noShoes;
+            studentFees[studentId].feeBreakdown.noShoes += rates.noShoes;
           }
           
           if (attributes.notInUniform) {
-            feeBreakdown.byType.notInUniform += 1;
-            studentFees[studentId].feeBreakdown.notInUniform += 1;
+            feeBreakdown.byType.notInUniform += rates.notInUniform;
+            studentFees[studentId].feeBreakdown.notInUniform += rates.notInUniform;
           }
         }
       }
@@ -270,22 +407,26 @@ export default class ReportService {
         }
         
         const feesCharged = studentFees[studentId]?.totalFee || 0;
+        const feesWaived = studentFees[studentId]?.totalWaived || 0;
+        const feesOwed = feesCharged - feesWaived;
         const paymentsMade = studentPayments[studentId] || 0;
         
         // Determine payment status - ensure no negative balances
         let paymentStatus = 'none';
-        if (feesCharged > 0) {
-          if (paymentsMade >= feesCharged) {
+        if (feesOwed > 0) {
+          if (paymentsMade >= feesOwed) {
             paymentStatus = 'paid';
-            feesCollected += feesCharged;
+            feesCollected += feesOwed;
           } else if (paymentsMade > 0) {
             paymentStatus = 'partial';
             feesCollected += paymentsMade;
-            feesInPaymentProcess += (feesCharged - paymentsMade);
+            feesInPaymentProcess += (feesOwed - paymentsMade);
           } else {
             paymentStatus = 'pending';
-            pendingFees += feesCharged;
+            pendingFees += feesOwed;
           }
+        } else if (feesWaived > 0) {
+          paymentStatus = 'waived';
         }
         
         studentDetails.push({
@@ -293,8 +434,9 @@ export default class ReportService {
           name: `${student.firstName} ${student.lastName}`,
           email: student.email,
           feesCharged,
+          ...(feesWaived > 0 && { feesWaived }),
           paymentsMade,
-          balance: feesCharged - paymentsMade,
+          balance: feesOwed - paymentsMade,
           paymentStatus,
           feeBreakdown: studentFees[studentId]?.feeBreakdown || {
             absence: 0,
@@ -341,7 +483,9 @@ export default class ReportService {
         },
         summary: {
           totalFeesCharged,
+          totalFeesWaived,
           totalPaymentsReceived,
+          totalRefunds: sumRefunds(monthlyPayments || []),
           feesCollected,
           pendingFees,
           feesInPaymentProcess,
@@ -368,9 +512,10 @@ export default class ReportService {
    * Break down fees charged by attendance status
    * @param {Array} monthlyAttendance - Array of attendance records
    * @param {Array} students - Array of student objects
+   * @param {Object|null} ruleFees - Fees after the fee rules, from getMonthlyRuleFees
    * @returns {Object} Breakdown of fees by status
    */
-  calculateFeesBreakdown(monthlyAttendance, students) {
+  calculateFeesBreakdown(monthlyAttendance, students, ruleFees = null) {
     const breakdown = {
       byStatus: {
         absent: 0,
@@ -408,14 +553,15 @@ export default class ReportService {
     // Process each attendance day
     for (const attendanceDay of monthlyAttendance) {
       const attendanceData = attendanceDay.data;
+      const rates = this.feeScheduleService.getRatesForDate(attendanceDay.date);
       
       // Process each student's attendance
       for (const [studentId, attendance] of Object.entries(attendanceData)) {
         const status = attendance.status;
         const attributes = attendance.attributes || {};
         
-        // Calculate fee using the attendance service
-        const fee = this.attendanceService.calculateAttendanceFee(status, attributes);
+        // Calculate fee using the attendance service and the rates for that date
+        const fee = this.getChargedFee(ruleFees, studentId, attendanceDay, status, attributes);
         
         // Add to status totals
         if (status === 'absent') {
@@ -433,23 +579,23 @@ export default class ReportService {
           
           // Add attribute fees
           if (attributes.late) {
-            breakdown.byAttribute.late += 1;
+            breakdown.byAttribute.late += rates.late;
             if (breakdown.byStudent[studentId]) {
-              breakdown.byStudent[studentId].attributeBreakdown.late += 1;
+              breakdown.byStudent[studentId].attributeBreakdown.late += rates.late;
             }
           }
           
           if (attributes.noShoes) {
-            breakdown.byAttribute.noShoes += 1;
+            breakdown.byAttribute.noShoes += rates.noShoes;
             if (breakdown.byStudent[studentId]) {
-              breakdown.byStudent[studentId].attributeBreakdown.noShoes += 1;
+              breakdown.byStudent[studentId].attributeBreakdown.noShoes += rates.noShoes;
             }
           }
           
           if (attributes.notInUniform) {
-            breakdown.byAttribute.notInUniform += 1;
+            breakdown.byAttribute.notInUniform += rates.notInUniform;
             if (breakdown.byStudent[studentId]) {
-              breakdown.byStudent[studentId].attributeBreakdown.notInUniform += 1;
+              breakdown.byStudent[studentId].attributeBreakdown.notInUniform += rates.notInUniform;
             }
           }
         }
@@ -482,10 +628,8 @@ export default class ReportService {
       const paymentStudentId = payment.studentId;
       
       // Add to method totals
-      if (method === 'cash') {
-        breakdown.byMethod.cash += amount;
-      } else if (method === 'card') {
-        breakdown.byMethod.card += amount;
+      if (method) {
+        breakdown.byMethod[method] = (breakdown.byMethod[method] || 0) + amount;
       }
       
       // Add to student totals
@@ -557,6 +701,7 @@ export default class ReportService {
       // Calculate totals across all months
       const totals = {
         totalFeesCharged: monthlyReports.reduce((sum, report) => sum + report.summary.totalFeesCharged, 0),
+        totalFeesWaived: monthlyReports.reduce((sum, report) => sum + (report.summary.totalFeesWaived || 0), 0),
         totalPaymentsReceived: monthlyReports.reduce((sum, report) => sum + report.summary.totalPaymentsReceived, 0),
         feesCollected: monthlyReports.reduce((sum, report) => sum + report.summary.feesCollected, 0),
         pendingFees: monthlyReports.reduce((sum, report) => sum + report.summary.pendingFees, 0),
@@ -571,7 +716,8 @@ export default class ReportService {
         absence: monthlyReports.reduce((sum, report) => sum + report.feeBreakdown.byType.absence, 0),
         late: monthlyReports.reduce((sum, report) => sum + report.feeBreakdown.byType.late, 0),
         noShoes: monthlyReports.reduce((sum, report) => sum + report.feeBreakdown.byType.noShoes, 0),
-        notInUniform: monthlyReports.reduce((sum, report) => sum + report.feeBreakdown.byType.notInUniform, 0)
+        notInUniform: monthlyReports.reduce((sum, report) => sum + report.feeBreakdown.byType.notInUniform, 0),
+        ruleAdjustments: monthlyReports.reduce((sum, report) => sum + (report.feeBreakdown.ruleAdjustments || 0), 0)
       };
       
       // Create year-to-date summary
@@ -579,8 +725,10 @@ export default class ReportService {
         year: startDate.getFullYear(),
         totalFeesCharged: totals.totalFeesCharged,
         totalPaymentsReceived: totalPaymentsInRange, // Use all payments in range for accuracy
-        collectionRate: totals.totalFeesCharged > 0 
-          ? (totals.feesCollected / totals.totalFeesCharged) * 100 
+        totalFeesWaived: totals.totalFeesWaived,
+        // Waived fees are not expected to be collected
+        collectionRate: totals.totalFeesCharged - totals.totalFeesWaived > 0 
+          ? (totals.feesCollected / (totals.totalFeesCharged - totals.totalFeesWaived)) * 100 
           : 0
       };
       
@@ -733,7 +881,7 @@ export default class ReportService {
       const collectionRate = {
         labels: report.monthlyReports.map(month => month.period.displayName),
         data: report.monthlyReports.map(month => {
-          const total = month.summary.totalFeesCharged;
+          const total = month.summary.totalFeesCharged - (month.summary.totalFeesWaived || 0);
           return total > 0 
             ? Math.round((month.summary.feesCollected / total) * 100) 
             : 0;
@@ -770,24 +918,63 @@ export default class ReportService {
         student.enrollmentStatus === 'Enrolled' || student.enrollmentStatus === 'Pending Payment'
       );
       
-      // Identify school days (exclude holidays)
-      // A day is considered a holiday if any student has the holiday status
+      // Identify school days (exclude holidays and cancelled classes)
+      // A day is considered a holiday if any student has the holiday status,
+      // and a cancelled class if any student has the cancelled status
       const schoolDays = [];
       const holidayDays = [];
+      const cancelledDays = [];
       
       for (const attendanceDay of monthlyAttendance) {
-        const records = attendanceDay.records || {};
-        const isHoliday = Object.values(records).some(record => record.status === 'holiday');
+        const records = Object.values(attendanceDay.records || {});
         
-        if (isHoliday) {
+        if (records.some(record => record.status === 'holiday')) {
           holidayDays.push(attendanceDay);
+        } else if (records.some(record => record.status === 'cancelled')) {
+          cancelledDays.push(attendanceDay);
         } else {
           schoolDays.push(attendanceDay);
         }
       }
       
-      // Calculate total attendance days in the month (excluding holidays)
-      const totalDays = schoolDays.length;
+      // Sessions held come from the class schedule when one is set up,
+      // otherwise they are inferred from the attendance docs that exist
+      await Promise.all([
+        this.classScheduleService.loadSchedule(),
+        this.holidayService.loadCalendar(),
+        this.classCancellationService.loadCancellations()
+      ]);
+      const reportMonth = new Date(monthDate);
+      const monthStart = new Date(reportMonth.getFullYear(), reportMonth.getMonth(), 1);
+      const monthEnd = new Date(reportMonth.getFullYear(), reportMonth.getMonth() + 1, 0);
+      const cancellations = this.classCancellationService.getCancellationsInRange(monthStart, monthEnd);
+      const scheduledSessions = this.classScheduleService.hasSchedule()
+        ? this.classScheduleService.getSessionsHeld(monthStart, monthEnd)
+        : null;
+      // Cancelled classes were not held
+      const sessionsHeld = scheduledSessions
+        ? scheduledSessions.filter(session => !this.classCancellationService.isCancelled(session.date, session.sessionId))
+        : null;
+      const heldSessionIds = sessionsHeld ? new Set(sessionsHeld.map(session => session.sessionId)) : null;
+      const heldDates = sessionsHeld ? new Set(sessionsHeld.map(session => session.date)) : null;
+      
+      // Attendance marked outside a held session doesn't count towards the statistics
+      // (day documents from before sessions existed count when the day had a held session)
+      const isHeldSession = attendanceDay => (attendanceDay.sessionId
+        ? heldSessionIds.has(attendanceDay.sessionId)
+        : heldDates.has(attendanceDay.id || formatDateForDocId(attendanceDay.date)));
+      const countedDays = sessionsHeld ? schoolDays.filter(isHeldSession) : schoolDays;
+      const unscheduledDayCount = schoolDays.length - countedDays.length;
+      
+      // Calculate total attendance sessions in the month (excluding holidays and cancelled classes)
+      const totalDays = sessionsHeld ? sessionsHeld.length : schoolDays.length;
+      
+      // Session dates, used to count only the sessions inside each student's enrollment window
+      const getDayKey = attendanceDay => (attendanceDay.id
+        ? parseAttendanceDocId(attendanceDay.id).dateStr
+        : formatDateForDocId(attendanceDay.date));
+      const sessionDates = sessionsHeld ? sessionsHeld.map(session => session.date) : schoolDays.map(getDayKey);
+      const countSessionsEnrolled = student => sessionDates.filter(dateKey => isWithinEnrollment(student, dateKey)).length;
       
       // Initialize attendance statistics
       const attendanceStats = {
@@ -796,12 +983,16 @@ export default class ReportService {
         absentCount: 0,
         medicalAbsenceCount: 0,
         holidayCount: 0,
+        cancelledCount: 0,
         lateCount: 0,
         noShoesCount: 0,
         notInUniformCount: 0,
         attendanceRate: 0,
         byStudent: {},
-        enrolledStudentCount: enrolledStudents.length
+        enrolledStudentCount: enrolledStudents.length,
+        sessionsHeld: sessionsHeld ? sessionsHeld.length : totalDays,
+        scheduleBased: Boolean(sessionsHeld),
+        unscheduledDayCount
       };
       
       // Initialize student attendance records for enrolled students only
@@ -816,18 +1007,35 @@ export default class ReportService {
           noShoes: 0,
           notInUniform: 0,
           attendanceRate: 0,
-          enrollmentStatus: student.enrollmentStatus
+          enrollmentStatus: student.enrollmentStatus,
+          sessionsEnrolled: countSessionsEnrolled(student)
         };
       });
       
-      // Count total possible student attendance days (only for enrolled students on school days)
-      const totalPossibleAttendanceDays = totalDays * enrolledStudents.length;
+      // Count total possible student attendance days (only for enrolled students on school days inside their window)
+      const totalPossibleAttendanceDays = Object.values(attendanceStats.byStudent)
+        .reduce((total, studentStats) => total + studentStats.sessionsEnrolled, 0);
+      const studentsById = new Map(enrolledStudents.map(student => [student.id, student]));
       
       // Track the number of holidays
       attendanceStats.holidayCount = holidayDays.length;
       
+      // Cancelled classes are reported apart from holidays, with their reasons
+      attendanceStats.cancelledCount = scheduledSessions
+        ? scheduledSessions.length - sessionsHeld.length
+        : cancelledDays.length;
+      attendanceStats.cancellations = cancellations.map(cancellation => ({
+        id: cancellation.id,
+        date: cancellation.date,
+        sessionId: cancellation.sessionId || null,
+        className: cancellation.className || null,
+        reason: cancellation.reason,
+        reasonLabel: this.classCancellationService.getReasonLabel(cancellation),
+        note: cancellation.note || ''
+      }));
+      
       // Process only school days (non-holiday days)
-      for (const attendanceDay of schoolDays) {
+      for (const attendanceDay of countedDays) {
         const records = attendanceDay.records;
         
         // Process each student's attendance for this day
@@ -838,6 +1046,9 @@ export default class ReportService {
           // Skip students who aren't enrolled (not in our byStudent object)
           if (!attendanceStats.byStudent[studentId]) continue;
           
+          // Skip sessions outside the student's enrollment window
+          if (status === 'notEnrolled' || !isWithinEnrollment(studentsById.get(studentId), getDayKey(attendanceDay))) continue;
+          
           // Update overall status counts
           if (status === 'present') {
             attendanceStats.presentCount++;
@@ -881,13 +1092,12 @@ export default class ReportService {
       }
       
       // Calculate attendance rate for each student
-      // Rate = (present days / (total school days - holiday days)) * 100
+      // Rate = (present days / sessions held while the student was enrolled) * 100
       for (const studentId in attendanceStats.byStudent) {
         const studentStats = attendanceStats.byStudent[studentId];
-        if (totalDays > 0) {
-          // Attendance rate is based only on school days (excluding holidays)
-          const expectedAttendanceDays = totalDays;
-          studentStats.attendanceRate = (studentStats.present / expectedAttendanceDays) * 100;
+        if (studentStats.sessionsEnrolled > 0) {
+          // Attendance rate is based only on school days (excluding holidays) inside the enrollment window
+          studentStats.attendanceRate = (studentStats.present / studentStats.sessionsEnrolled) * 100;
         }
       }
       
@@ -924,13 +1134,16 @@ export default class ReportService {
    * @returns {Promise<Object>} Detailed student financial data
    */
   /**
-   * Calculate a student's true balance based on attendance fees and payments
+   * Calculate a student's true balance based on attendance fees, fee waivers and payments
    * @param {string} studentId - The student's ID
-   * @returns {Promise<Object>} Object containing totalFees, totalPayments, and calculatedBalance 
+   * @returns {Promise<Object>} Object containing totalFees, totalFeesWaived, totalPayments, and calculatedBalance 
    */
   async calculateStudentBalance(studentId) {
     try {
-      // Get student profile to check status
+      // Historical fees use the rates that were in effect on each attendance date, except on holidays
+      await Promise.all([this.feeScheduleService.loadSchedule(), this.holidayService.loadCalendar()]);
+      
+      // Get student profile for the enrollment window and status history
       const student = await this.studentRepository.getStudentById(studentId);
       
       // Get student's payment history
@@ -945,51 +1158,64 @@ export default class ReportService {
         0
       );
       
-      // If student is inactive, return current values without calculating new fees
-      // This effectively freezes the balance for inactive students
-      if (student && student.enrollmentStatus === 'Inactive') {
-        // Get the frozen fee values
-        const frozenFeesTotal = student.frozenFeesTotal || 0;
-        
-        // Calculate balance - never let it be negative
-        const frozenBalance = Math.max(0, (student.frozenBalance || 0));
-        
-        return {
-          totalFeesCharged: frozenFeesTotal,
-          totalPaymentsMade,
-          // Use the greater of zero or the calculated balance (frozen - payments)
-          calculatedBalance: Math.max(0, frozenFeesTotal - totalPaymentsMade),
-          inactive: true,
-          frozenAt: student.frozenAt
-        };
-      }
-      
-      // For active students, calculate fees normally
       // Get student's attendance history (for fee calculations)
       const attendanceHistory = await this.reportRepository.getStudentAttendanceHistory(studentId);
       const safeAttendanceHistory = attendanceHistory || [];
       
-      // Calculate fees from attendance
+      // Fees after the monthly cap and repeat-offense rules
+      await this.feeRuleService.loadRules();
+      const feesById = this.calculateStudentHistoryFees(student, safeAttendanceHistory);
+      
+      // Waived fees stay charged on the attendance record; the waiver forgives them
+      const waivedByFee = await this.getWaivedByFee(studentId);
+      let totalFeesWaived = 0;
+      
+      // Calculate fees from attendance, keeping each date still owed for the breakdown
+      // (fee is the amount left after waivers)
+      const feeBreakdown = [];
       const totalFeesCharged = safeAttendanceHistory.reduce((total, record) => {
         // Handle missing record or status for testing
         if (!record || !record.record) {
           return total;
         }
         
-        const fee = this.attendanceService.calculateAttendanceFee(
-          record.record.status,
-          record.record.attributes || {}
-        );
+        // Only sessions inside the enrollment window while Enrolled or Pending Payment carry fees
+        if (!isChargeableOnDate(student, record.date)) {
+          return total;
+        }
+        
+        const fee = feesById[record.id];
+        const waived = Math.min(fee, waivedByFee[record.id] || 0);
+        totalFeesWaived += waived;
+        if (fee - waived > 0) {
+          feeBreakdown.push({
+            feeId: record.id,
+            date: record.date,
+            status: record.record.status,
+            attributes: record.record.attributes || {},
+            fee: fee - waived,
+            ...(waived > 0 && { waived })
+          });
+        }
         return total + fee;
       }, 0);
       
-      // Calculate the real balance - never let it be negative
-      const calculatedBalance = Math.max(0, totalFeesCharged - totalPaymentsMade);
+      // Calculate the real balance - a negative balance is credit carried toward the next fees
+      const calculatedBalance = totalFeesCharged - totalFeesWaived - totalPaymentsMade;
       
       return {
         totalFeesCharged,
+        totalFeesWaived,
         totalPaymentsMade,
-        calculatedBalance
+        calculatedBalance,
+        feeBreakdown,
+        payments: safePaymentHistory.map(payment => ({
+          id: payment.id,
+          date: payment.date,
+          amount: payment.amount || 0,
+          notes: payment.notes || ''
+        })),
+        ...(student?.enrollmentStatus === 'Inactive' && { inactive: true })
       };
     } catch (error) {
       console.error("Error calculating student balance:", error);
@@ -1019,8 +1245,10 @@ export default class ReportService {
       const paymentHistory = await this.reportRepository.getStudentPaymentHistory(studentId);
       const attendanceHistory = await this.reportRepository.getStudentAttendanceHistory(studentId);
       
-      // Get the calculated balance information
+      // Get the calculated balance information (this also loads the fee rules)
       const balanceInfo = await this.calculateStudentBalance(studentId);
+      const waivedByFee = await this.getWaivedByFee(studentId);
+      const feesById = this.calculateStudentHistoryFees(student, attendanceHistory);
       
       // Calculate the total payments made
       const totalPaymentsMade = paymentHistory.reduce(
@@ -1028,9 +1256,13 @@ export default class ReportService {
         0
       );
       
-      // Create a map to track which fees have been covered by payments
-      // We'll use the remaining payment amount to cover fees in chronological order
-      let remainingPaymentAmount = totalPaymentsMade;
+      // Fees are covered first by the amounts payments allocated to them, then by any
+      // unallocated payment amount (older payments and credit) in chronological order
+      const allocatedByFee = getAllocatedByFee(paymentHistory);
+      let remainingPaymentAmount = paymentHistory.reduce(
+        (total, payment) => total - sumAllocations(payment),
+        totalPaymentsMade
+      );
       
       // Convert attendance history to a map of dates for easy lookup
       // Use our DateUtils for consistent date handling
@@ -1044,6 +1276,11 @@ export default class ReportService {
       // Create a map of all payment dates that might not have corresponding attendance records
       const paymentDatesWithoutAttendance = new Map();
       paymentHistory.forEach(payment => {
+        // Refunds pay money back rather than covering a fee, and allocated payments cover known fees
+        if (isRefund(payment) || payment.allocations?.length > 0) {
+          return;
+        }
+        
         // Format the date using our consistent DateUtils function
         const dateKey = formatDateForDocId(payment.date);
         
@@ -1069,37 +1306,46 @@ export default class ReportService {
           return dateA.getTime() - dateB.getTime(); // More reliable date comparison
         })
         .map(record => {
-          const fee = this.attendanceService.calculateAttendanceFee(
-            record.record.status,
-            record.record.attributes || {}
-          );
+          // Records outside the enrollment window are listed at their rates
+          const fee = record.id in feesById
+            ? feesById[record.id]
+            : this.attendanceService.calculateAttendanceFeeWithHolidays(
+              record.record.status,
+              record.record.attributes || {},
+              record.date
+            );
+          
+          // A waiver forgives part or all of the fee, so only the rest is paid
+          const waived = Math.min(fee, waivedByFee[record.id] || 0);
+          const due = fee - waived;
           
-          // Determine if this fee is paid, partially paid, or unpaid
+          // Determine if this fee is paid, partially paid, unpaid, or waived
           let paymentStatus = 'unpaid';
-          let paidAmount = 0;
+          let paidAmount = Math.min(due, allocatedByFee[record.id] || 0);
+          const owed = due - paidAmount;
           
-          if (remainingPaymentAmount > 0) {
-            if (remainingPaymentAmount >= fee) {
-              // Fee is fully paid
-              paymentStatus = 'paid';
-              paidAmount = fee;
-              remainingPaymentAmount -= fee;
-            } else {
-              // Fee is partially paid
-              paymentStatus = 'partial';
-              paidAmount = remainingPaymentAmount;
-              remainingPaymentAmount = 0;
-            }
+          if (owed > 0 && remainingPaymentAmount > 0) {
+            const covered = Math.min(owed, remainingPaymentAmount);
+            paidAmount += covered;
+            remainingPaymentAmount -= covered;
+          }
+          
+          if (waived > 0 && due <= 0) {
+            paymentStatus = 'waived';
+          } else if (paidAmount > 0) {
+            paymentStatus = paidAmount >= due ? 'paid' : 'partial';
           }
           
           return {
+            feeId: record.id,
             date: record.date,
             status: record.record.status,
             attributes: record.record.attributes || {},
             fee,
+            ...(waived > 0 && { waived }),
             paymentStatus,
             paidAmount,
-            remainingAmount: fee - paidAmount
+            remainingAmount: due - paidAmount
           };
         });
       
@@ -1140,7 +1386,9 @@ export default class ReportService {
         },
         financialSummary: {
           totalFeesCharged: balanceInfo.totalFeesCharged,
+          totalFeesWaived: balanceInfo.totalFeesWaived || 0,
           totalPaymentsMade: balanceInfo.totalPaymentsMade,
+          totalRefunds: sumRefunds(paymentHistory),
           calculatedBalance: balanceInfo.calculatedBalance,
           currentBalance: student.balance || 0  // Keep this for test compatibility
         },
@@ -1209,5 +1457,7 @@ export const reportService = new ReportService(
   attendanceRepository,
   attendanceService,
   expenseService,
-  dateService
+  dateService,
+  feeScheduleService,
+  classScheduleService
 );
\ No newline at end of file
@@ -0,0 +1,163 @@
+import { reportService } from "./ReportService";
+import { ledgerService } from "./LedgerService";
+import { paymentMethodService } from "./PaymentMethodService";
+import { LEDGER_ENTRY_TYPES, LEDGER_SOURCE_TYPES, LEDGER_TYPE_LABELS } from "../constants/ledgerConstants";
+import { FEE_TYPE_OPTIONS } from "../constants/feeConstants";
+import { STATEMENT_LINE_TYPES } from "../constants/statementConstants";
+import { formatDateForDocId } from "../utils/DateUtils";
+import { isRefund } from "../utils/PaymentUtils";
+
+/**
+ * Service for per-student account statements
+ * Charges and payments come from ReportService.getStudentFinancialDetails; holiday credits, waivers and
+ * manual adjustments come from the ledger. Opening balances carried over to the ledger, reconciliation
+ * corrections and fee-year carry-forwards are left out, since they only restate the charges and payments
+ * already listed.
+ */
+export default class StatementService {
+  constructor(
+    reportServiceInstance = reportService,
+    ledgerServiceInstance = ledgerService,
+    paymentMethodServiceInstance = paymentMethodService
+  ) {
+    this.reportService = reportServiceInstance;
+    this.ledgerService = ledgerServiceInstance;
+    this.paymentMethodService = paymentMethodServiceInstance;
+  }
+
+  /**
+   * Describes the fee type of an attendance fee
+   * @param {Object} fee - Fee history entry with status and attributes
+   * @returns {string} Fee type, e.g. "Absent" or "Late, No Shoes"
+   */
+  describeFee(fee) {
+    const types = fee.status === 'absent'
+      ? ['absent']
+      : ['late', 'noShoes', 'notInUniform'].filter(type => fee.attributes?.[type]);
+
+    return types
+      .map(type => FEE_TYPE_OPTIONS.find(option => option.value === type).label)
+      .join(', ') || 'Fee';
+  }
+
+  /**
+   * Builds every dated line of a student's account, oldest first
+   * @param {Object} details - Result of getStudentFinancialDetails
+   * @param {Array} ledgerEntries - The student's ledger entries
+   * @returns {Array} Lines with date (YYYY-MM-DD), type, description and amount (positive raises what is owed)
+   */
+  buildLines(details, ledgerEntries) {
+    const charges = details.feeHistory
+      .filter(fee => !fee.isSynthetic && fee.fee > 0)
+      .map(fee => ({
+        date: formatDateForDocId(fee.date),
+        type: STATEMENT_LINE_TYPES.CHARGE,
+        description: this.describeFee(fee),
+        amount: fee.fee
+      }));
+
+    const payments = details.paymentHistory.map(payment => {
+      const method = this.paymentMethodService.getLabel(payment.paymentMethod);
+      const reference = payment.reference ? ` #${payment.reference}` : '';
+
+      return {
+        date: formatDateForDocId(payment.date),
+        type: isRefund(payment) ? STATEMENT_LINE_TYPES.REFUND : STATEMENT_LINE_TYPES.PAYMENT,
+        description: `${isRefund(payment) ? 'Refund' : 'Payment'} (${method}${reference})${payment.notes ? ` - ${payment.notes}` : ''}`,
+        amount: -payment.amount
+      };
+    });
+
+    const restated = [
+      LEDGER_SOURCE_TYPES.OPENING_BALANCE,
+      LEDGER_SOURCE_TYPES.RECONCILIATION,
+      LEDGER_SOURCE_TYPES.FEE_YEAR_CLOSE,
+      LEDGER_SOURCE_TYPES.FEE_YEAR_OPENING
+    ];
+    const credits = ledgerEntries
+      .filter(entry => (
+        [
+          LEDGER_ENTRY_TYPES.HOLIDAY_CREDIT,
+          LEDGER_ENTRY_TYPES.CANCELLATION_CREDIT,
+          LEDGER_ENTRY_TYPES.WAIVER,
+          LEDGER_ENTRY_TYPES.ADJUSTMENT
+        ].includes(entry.type)
+        && !restated.includes(entry.sourceType)
+      ))
+      .map(entry => ({
+        date: entry.date,
+        type: entry.type === LEDGER_ENTRY_TYPES.ADJUSTMENT ? STATEMENT_LINE_TYPES.ADJUSTMENT : STATEMENT_LINE_TYPES.CREDIT,
+        description: entry.description || LEDGER_TYPE_LABELS[entry.type],
+        amount: this.ledgerService.getStudentEffect(entry)
+      }));
+
+    const typeOrder = Object.values(STATEMENT_LINE_TYPES);
+    return [...charges, ...credits, ...payments]
+      .sort((a, b) => a.date.localeCompare(b.date) || typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type));
+  }
+
+  /**
+   * Generates a student's account statement for a period
+   * @param {string} studentId - The student's ID
+   * @param {Date|string} startDate - First day of the period
+   * @param {Date|string} endDate - Last day of the period
+   * @returns {Promise<Object>} { student, startDate, endDate, openingBalance, lines (with balance), totals, closingBalance }
+   * @throws {Error} If the period is invalid or the student cannot be found
+   */
+  async generateStatement(studentId, startDate, endDate) {
+    try {
+      const startKey = formatDateForDocId(startDate);
+      const endKey = formatDateForDocId(endDate);
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(startKey || '') || !/^\d{4}-\d{2}-\d{2}$/.test(endKey || '') || startKey > endKey) {
+        throw new Error("Invalid statement period");
+      }
+
+      await this.paymentMethodService.loadMethods();
+      const [details, ledgerEntries] = await Promise.all([
+        this.reportService.getStudentFinancialDetails(studentId),
+        this.ledgerService.getStudentEntries(studentId)
+      ]);
+
+      const allLines = this.buildLines(details, ledgerEntries);
+      const round = amount => this.ledgerService.roundAmount(amount);
+
+      const openingBalance = round(allLines
+        .filter(line => line.date < startKey)
+        .reduce((total, line) => total + line.amount, 0));
+
+      let balance = openingBalance;
+      const lines = allLines
+        .filter(line => line.date >= startKey && line.date <= endKey)
+        .map(line => {
+          balance = round(balance + line.amount);
+          return { ...line, balance };
+        });
+
+      const sumOf = type => round(lines
+        .filter(line => line.type === type)
+        .reduce((total, line) => total + line.amount, 0));
+
+      return {
+        student: details.student,
+        startDate: startKey,
+        endDate: endKey,
+        openingBalance,
+        lines,
+        totals: {
+          charges: sumOf(STATEMENT_LINE_TYPES.CHARGE),
+          credits: sumOf(STATEMENT_LINE_TYPES.CREDIT),
+          adjustments: sumOf(STATEMENT_LINE_TYPES.ADJUSTMENT),
+          payments: sumOf(STATEMENT_LINE_TYPES.PAYMENT),
+          refunds: sumOf(STATEMENT_LINE_TYPES.REFUND)
+        },
+        closingBalance: balance
+      };
+    } catch (error) {
+      console.error("Error generating account statement:", error);
+      throw new Error(`Failed to generate account statement: ${error.message}`);
+    }
+  }
+}
+
+// Export a default instance
+export const statementService = new StatementService();
@@ -1,10 +1,17 @@
 // StudentService.js - FIXED version
 import { studentRepository } from "../repository/StudentRepository";
+import { ledgerRepository } from "../repository/LedgerRepository";
+import LedgerService from "./LedgerService";
 import { sortStudentsByFirstName } from "../utils/sorting";
+import { validateEnrollmentWindow } from "../utils/EnrollmentUtils";
+import { formatDateForDocId } from "../utils/DateUtils";
+import { LEDGER_ENTRY_TYPES } from "../constants/ledgerConstants";
 
 export default class StudentService {
-  constructor(studentRepository) {
+  constructor(studentRepository, ledgerServiceInstance = null) {
     this.studentRepository = studentRepository;
+    // Balances are derived from the ledger, which caches them on this repository's student records
+    this.ledgerService = ledgerServiceInstance || new LedgerService(ledgerRepository, studentRepository);
   }
 
   async getStudentById(studentId) {
@@ -12,9 +19,41 @@ export default class StudentService {
   }
 
   async updateStudent(studentId, updateData) {
+    validateEnrollmentWindow(updateData.enrollmentStartDate, updateData.enrollmentEndDate);
+    if (updateData.checkinCode) {
+      await this.validateCheckinCode(studentId, updateData.checkinCode);
+    }
     return this.studentRepository.updateStudent(studentId, updateData);
   }
 
+  /**
+   * Validates a kiosk check-in code (PIN or scanned card code)
+   * Codes must be unique so the kiosk can identify the student
+   * @param {string} studentId - The student the code belongs to
+   * @param {string} checkinCode - The code to validate
+   * @throws {Error} If the code is malformed or used by another student
+   */
+  async validateCheckinCode(studentId, checkinCode) {
+    if (!/^[A-Za-z0-9-]{4,32}$/.test(checkinCode)) {
+      throw new Error("Check-in code must be 4 to 32 letters, digits or dashes");
+    }
+
+    const matches = await this.studentRepository.getStudentByCheckinCode(checkinCode);
+    if (matches.some(student => student.id !== studentId)) {
+      throw new Error("Check-in code is already used by another student");
+    }
+  }
+
+  /**
+   * Finds the student with a kiosk check-in code
+   * @param {string} checkinCode - PIN or scanned card code
+   * @returns {Promise<Object|null>} The student or null if the code is unknown
+   */
+  async getStudentByCheckinCode(checkinCode) {
+    const matches = await this.studentRepository.getStudentByCheckinCode(checkinCode);
+    return matches.length > 0 ? matches[0] : null;
+  }
+
   async initializeStudentProfile(userId, initialData = {}) {
     try {
       // Set initial student data when a user with role "student" is created
@@ -35,38 +74,40 @@ export default class StudentService {
     }
   }
 
-  async changeEnrollmentStatus(studentId, newStatus) {
+  /**
+   * Changes a student's enrollment status and appends the transition to the status history
+   * The history drives which periods are charged attendance fees (see isChargeableOnDate)
+   * @param {string} studentId - The student's ID
+   * @param {string} newStatus - Enrolled, Inactive, Pending Payment or Removed
+   * @param {Object} options - { changedBy: { uid, email } of the admin, reason, effectiveDate: YYYY-MM-DD (defaults to today) }
+   * @returns {Promise<Object>} Updated student data
+   */
+  async changeEnrollmentStatus(studentId, newStatus, { changedBy = null, reason = '', effectiveDate = null } = {}) {
     // Validate status
     const validStatuses = ["Enrolled", "Inactive", "Pending Payment", "Removed"];
     if (!validStatuses.includes(newStatus)) {
       throw new Error(`Invalid status: ${newStatus}. Must be one of: ${validStatuses.join(", ")}`);
     }
 
-    // Special handling for setting to Inactive status - freeze fees
-    if (newStatus === "Inactive") {
-      const student = await this.getStudentById(studentId);
-      if (!student) {
-        throw new Error("Student not found");
-      }
-
-      // Get accurate balance calculation
-      const { reportService } = await import("./ReportService");
-      const balanceInfo = await reportService.calculateStudentBalance(studentId);
-      
-      // Ensure balance is never negative
-      const frozenBalance = Math.max(0, balanceInfo.calculatedBalance);
-
-      // Update student status and store frozen fee information
-      return this.studentRepository.updateStudent(studentId, { 
-        enrollmentStatus: newStatus,
-        frozenFeesTotal: balanceInfo.totalFeesCharged,
-        frozenBalance: frozenBalance,
-        frozenAt: new Date().toISOString()
-      });
+    const student = await this.getStudentById(studentId);
+    if (!student) {
+      throw new Error("Student not found");
     }
 
-    // Standard update for all other statuses
-    return this.studentRepository.updateStudent(studentId, { enrollmentStatus: newStatus });
+    const previousStatus = student.enrollmentStatus || "Pending Payment";
+    const entry = {
+      status: newStatus,
+      previousStatus,
+      effectiveDate: effectiveDate || formatDateForDocId(new Date()),
+      changedAt: new Date().toISOString(),
+      changedBy,
+      reason: (reason || '').trim()
+    };
+
+    return this.studentRepository.updateStudent(studentId, {
+      enrollmentStatus: newStatus,
+      enrollmentHistory: [...(student.enrollmentHistory || []), entry]
+    });
   }
 
   async removeStudent(studentId) {
@@ -124,37 +165,39 @@ export default class StudentService {
     }
   }
 
-  async addBalance(studentId, amount) {
+  /**
+   * Raises what a student owes by posting a ledger entry
+   * @param {string} studentId - The student's ID
+   * @param {number} amount - Amount to add
+   * @param {Object} details - { type (defaults to charge), sourceType, sourceId, date, description, createdBy }
+   * @returns {Promise<Object>} Updated student data with the ledger balance
+   */
+  async addBalance(studentId, amount, details = {}) {
     if (amount <= 0) {
       throw new Error("Amount to add must be greater than zero");
     }
 
-    const student = await this.studentRepository.getStudentById(studentId);
-    if (!student) {
-      throw new Error("Student not found");
-    }
-
-    const currentBalance = student.balance || 0;
-    const newBalance = currentBalance + amount;
-
-    return this.studentRepository.updateStudent(studentId, { balance: newBalance });
+    const { type = LEDGER_ENTRY_TYPES.CHARGE, ...entryDetails } = details;
+    const { updatedStudent } = await this.ledgerService.post(type, studentId, amount, entryDetails);
+    return updatedStudent;
   }
 
-  async reduceBalance(studentId, amount) {
+  /**
+   * Lowers what a student owes by posting a ledger entry
+   * Balances may go negative to represent student credits (e.g., holiday credits)
+   * @param {string} studentId - The student's ID
+   * @param {number} amount - Amount to reduce
+   * @param {Object} details - { type (defaults to charge, i.e. a charge reversal), sourceType, sourceId, date, description, createdBy }
+   * @returns {Promise<Object>} Updated student data with the ledger balance
+   */
+  async reduceBalance(studentId, amount, details = {}) {
     if (amount <= 0) {
       throw new Error("Amount to reduce must be greater than zero");
     }
 
-    const student = await this.studentRepository.getStudentById(studentId);
-    if (!student) {
-      throw new Error("Student not found");
-    }
-
-    const currentBalance = student.balance || 0;
-    // Allow negative balances to represent student credits (e.g., holiday credits)
-    const newBalance = currentBalance - amount;
-    
-    return this.studentRepository.updateStudent(studentId, { balance: newBalance });
+    const { type = LEDGER_ENTRY_TYPES.CHARGE, ...entryDetails } = details;
+    const { updatedStudent } = await this.ledgerService.post(type, studentId, -amount, entryDetails);
+    return updatedStudent;
   }
 
   async addHolidayCredit(studentId, creditData) {
@@ -193,6 +236,22 @@ export default class StudentService {
     return this.studentRepository.updateStudent(studentId, { holidayCredits: updatedCredits });
   }
 
+  /**
+   * Removes the holiday credits issued by one holiday change, when the change is rolled back
+   * @param {string} studentId - Student ID
+   * @param {string} adjustmentId - The holiday change that issued the credits
+   * @returns {Promise<Object>} Updated student object
+   */
+  async removeHolidayCredits(studentId, adjustmentId) {
+    const student = await this.studentRepository.getStudentById(studentId);
+    if (!student) {
+      throw new Error("Student not found");
+    }
+
+    const remainingCredits = (student.holidayCredits || []).filter(credit => credit.adjustmentId !== adjustmentId);
+    return this.studentRepository.updateStudent(studentId, { holidayCredits: remainingCredits });
+  }
+
   async getHolidayCredits(studentId) {
     const student = await this.studentRepository.getStudentById(studentId);
     if (!student) {
@@ -0,0 +1,39 @@
+import { formatDateForDocId } from './DateUtils';
+
+/**
+ * Attendance documents are keyed by date and, for scheduled sessions, by session:
+ *   attendance/{YYYY-MM-DD}            - legacy / unscheduled attendance for the day
+ *   attendance/{YYYY-MM-DD}_{classId}  - attendance for one class session on the day
+ * Session IDs come from ClassScheduleService and already have the {YYYY-MM-DD}_{classId} form.
+ */
+
+/**
+ * Gets the attendance document ID for a date and optional session
+ * @param {Date|string} date - The date of attendance
+ * @param {string|null} sessionId - The session ID ({YYYY-MM-DD}_{classId}) or null for the day document
+ * @returns {string} Attendance document ID
+ */
+export const getAttendanceDocId = (date, sessionId = null) => {
+  const dateStr = formatDateForDocId(date);
+  
+  if (!sessionId) return dateStr;
+  
+  // Accept a bare class ID as well as a full session ID
+  return sessionId.startsWith(`${dateStr}_`) ? sessionId : `${dateStr}_${sessionId}`;
+};
+
+/**
+ * Splits an attendance document ID into its date and session parts
+ * @param {string} docId - Attendance document ID
+ * @returns {Object} { dateStr, sessionId, classId } - sessionId and classId are null for day documents
+ */
+export const parseAttendanceDocId = (docId) => {
+  const dateStr = docId.slice(0, 10);
+  const classId = docId.length > 11 && docId.charAt(10) === '_' ? docId.slice(11) : null;
+  
+  return {
+    dateStr,
+    sessionId: classId ? docId : null,
+    classId
+  };
+};
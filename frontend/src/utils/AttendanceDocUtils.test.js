@@ -0,0 +1,37 @@
+import { getAttendanceDocId, parseAttendanceDocId } from './AttendanceDocUtils';
+
+describe('AttendanceDocUtils', () => {
+
+  describe('getAttendanceDocId', () => {
+    it('uses the date alone for the day document', () => {
+      expect(getAttendanceDocId(new Date(2025, 2, 5, 12))).toBe('2025-03-05');
+      expect(getAttendanceDocId('2025-03-05', null)).toBe('2025-03-05');
+    });
+
+    it('uses a full session ID as is', () => {
+      expect(getAttendanceDocId('2025-03-05', '2025-03-05_wed')).toBe('2025-03-05_wed');
+    });
+
+    it('prefixes a bare class ID with the date', () => {
+      expect(getAttendanceDocId('2025-03-05', 'wed')).toBe('2025-03-05_wed');
+    });
+  });
+
+  describe('parseAttendanceDocId', () => {
+    it('parses a day document ID', () => {
+      expect(parseAttendanceDocId('2025-03-05')).toEqual({
+        dateStr: '2025-03-05',
+        sessionId: null,
+        classId: null
+      });
+    });
+
+    it('parses a session document ID', () => {
+      expect(parseAttendanceDocId('2025-03-05_wed-late')).toEqual({
+        dateStr: '2025-03-05',
+        sessionId: '2025-03-05_wed-late',
+        classId: 'wed-late'
+      });
+    });
+  });
+});
@@ -0,0 +1,13 @@
+/**
+ * Calls the listeners registered for changes to a shared calendar (holidays, schedule, cancellations)
+ * Listeners run after the change is saved and are not awaited; a failing listener is logged and does
+ * not fail the change that triggered it.
+ * @param {Array<Function>} listeners - Registered listeners
+ */
+export const notifyChangeListeners = (listeners) => {
+  listeners.forEach(listener => {
+    Promise.resolve()
+      .then(() => listener())
+      .catch(error => console.error("Change listener failed:", error));
+  });
+};
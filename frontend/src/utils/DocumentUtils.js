@@ -0,0 +1,64 @@
+/**
+ * Helpers for generated documents such as receipts and statements: escaping, saving and printing
+ */
+
+/**
+ * Escapes text for use in HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Builds CSV text, quoting values that contain commas, quotes or line breaks
+ * @param {Array<Array>} rows - Rows of values, the header row included
+ * @returns {string} CSV text
+ */
+export const toCsv = (rows) => rows
+  .map(row => row
+    .map(value => {
+      const text = String(value ?? '');
+      return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(','))
+  .join('\n');
+
+/**
+ * Saves text content as a file
+ * @param {string} content - File content
+ * @param {string} filename - Name to save the file under
+ * @param {string} type - MIME type, e.g. "text/csv"
+ */
+export const downloadFile = (content, filename, type) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Opens an HTML document in a new window and shows the print dialog, where it can also be saved as a PDF
+ * @param {string} html - Standalone HTML document
+ * @throws {Error} If the browser blocked the window
+ */
+export const printHtml = (html) => {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    throw new Error('Allow pop-ups to print');
+  }
+
+  printWindow.document.write(html);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+};
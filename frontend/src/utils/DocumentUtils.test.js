@@ -0,0 +1,17 @@
+import { escapeHtml, toCsv } from './DocumentUtils';
+
+describe('DocumentUtils', () => {
+  test('escapeHtml should escape markup', () => {
+    expect(escapeHtml('<b>"Tom" & \'Jo\'</b>')).toBe('&lt;b&gt;&quot;Tom&quot; &amp; &#39;Jo&#39;&lt;/b&gt;');
+    expect(escapeHtml(null)).toBe('');
+  });
+
+  test('toCsv should quote values with commas, quotes or line breaks', () => {
+    expect(toCsv([
+      ['Date', 'Description', 'Amount'],
+      ['2025-09-02', 'Late, No Shoes', 3],
+      ['2025-09-03', 'Payment "cash"\nthanks', -10],
+      ['2025-09-04', null, 0]
+    ])).toBe('Date,Description,Amount\n2025-09-02,"Late, No Shoes",3\n2025-09-03,"Payment ""cash""\nthanks",-10\n2025-09-04,,0');
+  });
+});
@@ -0,0 +1,117 @@
+import { formatDateForDocId } from './DateUtils';
+
+/**
+ * Students have an optional enrollment window:
+ *   enrollmentStartDate - YYYY-MM-DD the student joined (missing: enrolled from the start)
+ *   enrollmentEndDate   - YYYY-MM-DD of the student's last class (missing: still enrolled)
+ * Sessions outside the window are "not enrolled" and carry no fee.
+ */
+
+/**
+ * Checks whether a date falls inside a student's enrollment window
+ * @param {Object} student - Student with optional enrollmentStartDate / enrollmentEndDate
+ * @param {Date|string} date - The session date
+ * @returns {boolean} True if the student was enrolled on the date
+ */
+export const isWithinEnrollment = (student, date) => {
+  if (!student) return true;
+
+  const dateKey = formatDateForDocId(date);
+
+  if (student.enrollmentStartDate && dateKey < student.enrollmentStartDate) return false;
+  if (student.enrollmentEndDate && dateKey > student.enrollmentEndDate) return false;
+
+  return true;
+};
+
+/**
+ * Validates an enrollment window
+ * @param {string} startDate - YYYY-MM-DD or empty
+ * @param {string} endDate - YYYY-MM-DD or empty
+ * @throws {Error} If the end date is before the start date
+ */
+export const validateEnrollmentWindow = (startDate, endDate) => {
+  if (startDate && endDate && endDate < startDate) {
+    throw new Error('Enrollment end date cannot be before the start date');
+  }
+};
+
+/**
+ * Enrollment statuses during which attendance fees are charged
+ */
+export const CHARGEABLE_STATUSES = ['Enrolled', 'Pending Payment'];
+
+/**
+ * Gets a student's enrollment status history, oldest first
+ * Each entry is { status, previousStatus, effectiveDate (YYYY-MM-DD), changedAt, changedBy, reason }.
+ * Students set Inactive before history was recorded get a single entry built from their frozenAt snapshot.
+ * @param {Object} student - Student with optional enrollmentHistory
+ * @returns {Array} History entries sorted by effective date
+ */
+export const getEnrollmentHistory = (student) => {
+  const history = Array.isArray(student?.enrollmentHistory) ? [...student.enrollmentHistory] : [];
+
+  if (history.length === 0 && student?.enrollmentStatus === 'Inactive' && student.frozenAt) {
+    history.push({
+      status: 'Inactive',
+      previousStatus: 'Enrolled',
+      effectiveDate: formatDateForDocId(new Date(student.frozenAt)),
+      changedAt: student.frozenAt,
+      changedBy: null,
+      reason: '',
+      legacy: true
+    });
+  }
+
+  return history.sort((a, b) =>
+    a.effectiveDate.localeCompare(b.effectiveDate) || (a.changedAt || '').localeCompare(b.changedAt || '')
+  );
+};
+
+/**
+ * Gets the enrollment status a student had on a date
+ * A change takes effect from its effective date; before the first recorded change the
+ * student had that change's previous status. Without any history the student counts as Enrolled.
+ * @param {Object} student - Student with optional enrollmentHistory
+ * @param {Date|string} date - The date to check
+ * @returns {string} Enrollment status on the date
+ */
+export const getStatusOnDate = (student, date) => {
+  const history = getEnrollmentHistory(student);
+  if (history.length === 0) return 'Enrolled';
+
+  const dateKey = formatDateForDocId(date);
+  let status = history[0].previousStatus || 'Pending Payment';
+
+  for (const entry of history) {
+    if (entry.effectiveDate > dateKey) break;
+    status = entry.status;
+  }
+
+  return status;
+};
+
+/**
+ * Checks whether attendance fees apply to a student on a date
+ * Fees are only charged inside the enrollment window while the student is Enrolled or Pending Payment
+ * @param {Object} student - Student with optional enrollment window and history
+ * @param {Date|string} date - The session date
+ * @returns {boolean} True if fees for the date are charged
+ */
+export const isChargeableOnDate = (student, date) => {
+  if (!student) return true;
+
+  return isWithinEnrollment(student, date) && CHARGEABLE_STATUSES.includes(getStatusOnDate(student, date));
+};
+
+/**
+ * Gets the date a student's current enrollment status took effect
+ * @param {Object} student - Student with enrollmentStatus and optional enrollmentHistory
+ * @returns {string|null} YYYY-MM-DD, or null if no recorded change set the current status
+ */
+export const getStatusSince = (student) => {
+  const history = getEnrollmentHistory(student);
+  const latest = history[history.length - 1];
+
+  return latest && latest.status === student?.enrollmentStatus ? latest.effectiveDate : null;
+};
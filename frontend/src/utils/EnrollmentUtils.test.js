@@ -0,0 +1,86 @@
+import {
+  isWithinEnrollment,
+  validateEnrollmentWindow,
+  getEnrollmentHistory,
+  getStatusOnDate,
+  isChargeableOnDate,
+  getStatusSince
+} from './EnrollmentUtils';
+
+describe('EnrollmentUtils', () => {
+
+  describe('isWithinEnrollment', () => {
+    const student = { enrollmentStartDate: '2025-03-10', enrollmentEndDate: '2025-06-30' };
+
+    it('treats students without a window as always enrolled', () => {
+      expect(isWithinEnrollment({}, '2020-01-01')).toBe(true);
+    });
+
+    it('excludes dates before the start date', () => {
+      expect(isWithinEnrollment(student, '2025-03-09')).toBe(false);
+      expect(isWithinEnrollment(student, new Date(2025, 2, 10, 12))).toBe(true);
+    });
+
+    it('excludes dates after the end date', () => {
+      expect(isWithinEnrollment(student, '2025-06-30')).toBe(true);
+      expect(isWithinEnrollment(student, '2025-07-01')).toBe(false);
+    });
+  });
+
+  describe('validateEnrollmentWindow', () => {
+    it('rejects an end date before the start date', () => {
+      expect(() => validateEnrollmentWindow('2025-03-10', '2025-03-01')).toThrow('cannot be before');
+    });
+
+    it('accepts open-ended windows', () => {
+      expect(() => validateEnrollmentWindow('2025-03-10', '')).not.toThrow();
+      expect(() => validateEnrollmentWindow('', '2025-03-10')).not.toThrow();
+    });
+  });
+
+  describe('enrollment status history', () => {
+    const student = {
+      enrollmentStatus: 'Enrolled',
+      enrollmentHistory: [
+        { status: 'Enrolled', previousStatus: 'Inactive', effectiveDate: '2025-05-01', changedAt: '2025-05-01T09:00:00.000Z' },
+        { status: 'Enrolled', previousStatus: 'Pending Payment', effectiveDate: '2025-01-10', changedAt: '2025-01-10T09:00:00.000Z' },
+        { status: 'Inactive', previousStatus: 'Enrolled', effectiveDate: '2025-03-01', changedAt: '2025-03-01T09:00:00.000Z' }
+      ]
+    };
+
+    it('sorts the history by effective date', () => {
+      expect(getEnrollmentHistory(student).map(entry => entry.effectiveDate))
+        .toEqual(['2025-01-10', '2025-03-01', '2025-05-01']);
+    });
+
+    it('finds the status in effect on a date', () => {
+      expect(getStatusOnDate(student, '2025-01-01')).toBe('Pending Payment');
+      expect(getStatusOnDate(student, '2025-03-01')).toBe('Inactive');
+      expect(getStatusOnDate(student, '2025-04-30')).toBe('Inactive');
+      expect(getStatusOnDate(student, '2025-05-01')).toBe('Enrolled');
+    });
+
+    it('only charges Enrolled and Pending Payment periods', () => {
+      expect(isChargeableOnDate(student, '2025-01-01')).toBe(true);
+      expect(isChargeableOnDate(student, '2025-03-15')).toBe(false);
+      expect(isChargeableOnDate(student, '2025-06-01')).toBe(true);
+    });
+
+    it('treats a legacy frozen snapshot as an Inactive change', () => {
+      const legacy = { enrollmentStatus: 'Inactive', frozenAt: new Date(2025, 1, 1, 12).toISOString() };
+
+      expect(isChargeableOnDate(legacy, '2025-01-31')).toBe(true);
+      expect(isChargeableOnDate(legacy, '2025-02-01')).toBe(false);
+    });
+
+    it('charges students without history as Enrolled', () => {
+      expect(getStatusOnDate({ enrollmentStatus: 'Removed' }, '2025-01-01')).toBe('Enrolled');
+    });
+
+    it('finds when the current status took effect', () => {
+      expect(getStatusSince({ ...student, enrollmentStatus: 'Enrolled' })).toBe('2025-05-01');
+      expect(getStatusSince({ ...student, enrollmentStatus: 'Removed' })).toBeNull();
+      expect(getStatusSince({ enrollmentStatus: 'Enrolled' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { FEE_RULE_TYPES } from '../constants/feeRuleConstants';
+import { formatDateForDocId, parseDateString } from './DateUtils';
+import { parseAttendanceDocId } from './AttendanceDocUtils';
+
+const ATTRIBUTE_FEE_TYPES = ['late', 'noShoes', 'notInUniform'];
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Checks whether fee rules change any fee
+ * @param {Object} feeRules - { monthlyCap, rules }
+ * @returns {boolean} True if a monthly cap or a repeat-offense rule is configured
+ */
+export const hasFeeRules = (feeRules) => Boolean(
+  feeRules && (Number.isFinite(feeRules.monthlyCap) || (feeRules.rules || []).length > 0)
+);
+
+/**
+ * Gets the part of a marking's fee charged for each fee type
+ * @param {Object} marking - { status, attributes, date }
+ * @param {Function} calculateFee - (status, attributes, date) => fee before rules
+ * @returns {Object} Amount keyed by fee type, only for the fee types charged
+ */
+const getChargedFeeTypes = ({ status, attributes = {}, date }, calculateFee) => {
+  if (status === 'absent') {
+    const fee = calculateFee(status, attributes, date);
+    return fee > 0 ? { absent: fee } : {};
+  }
+
+  return ATTRIBUTE_FEE_TYPES
+    .filter(feeType => attributes[feeType])
+    .reduce((charged, feeType) => {
+      const fee = calculateFee(status, { [feeType]: true }, date);
+      return fee > 0 ? { ...charged, [feeType]: fee } : charged;
+    }, {});
+};
+
+/**
+ * Charges one student's markings with the fee rules applied
+ * Markings are evaluated in date order (then by ID for several sessions on a day): a charged
+ * offense counts toward the repeat-offense rules of its fee year, and the monthly cap limits the
+ * total charged per calendar month. Later markings never change the fee of an earlier one.
+ * @param {Array} markings - One student's markings [{ id, date, status, attributes }]
+ * @param {Object} feeRules - { monthlyCap, rules }
+ * @param {Function} calculateFee - (status, attributes, date) => fee before rules
+ * @param {Function} getFeeYear - date => key of the fee year the date falls in
+ * @returns {Object} Fee keyed by marking ID
+ */
+export const applyFeeRules = (markings, feeRules, calculateFee, getFeeYear) => {
+  const ordered = markings
+    .map(marking => ({ ...marking, dateKey: formatDateForDocId(marking.date) }))
+    .sort((a, b) => a.dateKey.localeCompare(b.dateKey) || String(a.id).localeCompare(String(b.id)));
+  const rules = feeRules?.rules || [];
+  const monthlyCap = Number.isFinite(feeRules?.monthlyCap) ? feeRules.monthlyCap : null;
+  const offenseCounts = {};
+  const chargedByMonth = {};
+  const fees = {};
+
+  for (const marking of ordered) {
+    const baseFee = calculateFee(marking.status, marking.attributes || {}, marking.date);
+    if (!(baseFee > 0)) {
+      fees[marking.id] = 0;
+      continue;
+    }
+
+    let fee = baseFee;
+    const feeYear = getFeeYear(marking.date);
+    Object.entries(getChargedFeeTypes(marking, calculateFee)).forEach(([feeType, amount]) => {
+      const countKey = `${feeYear}:${feeType}`;
+      const count = (offenseCounts[countKey] || 0) + 1;
+      offenseCounts[countKey] = count;
+
+      rules.filter(rule => rule.feeType === feeType).forEach(rule => {
+        if (rule.type === FEE_RULE_TYPES.WAIVE_FIRST && count <= rule.count) {
+          fee -= amount;
+        } else if (rule.type === FEE_RULE_TYPES.ESCALATE && count > rule.afterCount) {
+          fee += amount * (rule.multiplier - 1);
+        }
+      });
+    });
+    fee = Math.max(0, fee);
+
+    if (monthlyCap !== null) {
+      const monthKey = marking.dateKey.slice(0, 7);
+      const charged = chargedByMonth[monthKey] || 0;
+      fee = Math.min(fee, Math.max(0, monthlyCap - charged));
+      chargedByMonth[monthKey] = charged + fee;
+    }
+
+    fees[marking.id] = roundCents(fee);
+  }
+
+  return fees;
+};
+
+/**
+ * Splits attendance documents into each student's markings, dated from the document ID
+ * @param {Array} attendanceDocs - Attendance documents [{ id, records }] keyed by student ID inside
+ * @returns {Object} Markings [{ id, date, status, attributes }] keyed by student ID
+ */
+export const groupMarkingsByStudent = (attendanceDocs = []) => attendanceDocs.reduce((markings, { id, records }) => {
+  const date = parseDateString(parseAttendanceDocId(id).dateStr);
+  Object.entries(records || {}).forEach(([studentId, record]) => {
+    (markings[studentId] || (markings[studentId] = [])).push({
+      id,
+      date,
+      status: record?.status,
+      attributes: record?.attributes || {}
+    });
+  });
+  return markings;
+}, {});
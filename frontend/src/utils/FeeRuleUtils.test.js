@@ -0,0 +1,84 @@
+import { hasFeeRules, applyFeeRules, groupMarkingsByStudent } from './FeeRuleUtils';
+
+describe('FeeRuleUtils', () => {
+  const rates = { absent: 5, late: 1, noShoes: 2, notInUniform: 1 };
+  const calculateFee = (status, attributes) => {
+    if (status === 'absent') return rates.absent;
+    if (status !== 'present') return 0;
+    return Object.keys(attributes).filter(key => attributes[key]).reduce((sum, key) => sum + rates[key], 0);
+  };
+  // Fee years start on September 1 here
+  const getFeeYear = date => (date.getMonth() >= 8 ? date.getFullYear() : date.getFullYear() - 1);
+  const late = (id, date) => ({ id, date, status: 'present', attributes: { late: true } });
+
+  test('hasFeeRules should be true only for a cap or rules', () => {
+    expect(hasFeeRules({ monthlyCap: null, rules: [] })).toBe(false);
+    expect(hasFeeRules({ monthlyCap: 0, rules: [] })).toBe(true);
+    expect(hasFeeRules({ monthlyCap: null, rules: [{ type: 'escalate' }] })).toBe(true);
+    expect(hasFeeRules(null)).toBe(false);
+  });
+
+  test('applyFeeRules should charge base fees without rules', () => {
+    const markings = [
+      late('a', new Date(2025, 8, 1)),
+      { id: 'b', date: new Date(2025, 8, 2), status: 'absent', attributes: {} },
+      { id: 'c', date: new Date(2025, 8, 3), status: 'medicalAbsence', attributes: {} }
+    ];
+    expect(applyFeeRules(markings, { monthlyCap: null, rules: [] }, calculateFee, getFeeYear))
+      .toEqual({ a: 1, b: 5, c: 0 });
+  });
+
+  test('applyFeeRules should escalate offenses after the threshold in date order', () => {
+    const markings = [
+      late('d', new Date(2025, 8, 22)),
+      late('a', new Date(2025, 8, 1)),
+      late('c', new Date(2025, 8, 15)),
+      late('b', new Date(2025, 8, 8))
+    ];
+    const feeRules = { monthlyCap: null, rules: [{ type: 'escalate', feeType: 'late', afterCount: 2, multiplier: 2 }] };
+    expect(applyFeeRules(markings, feeRules, calculateFee, getFeeYear)).toEqual({ a: 1, b: 1, c: 2, d: 2 });
+  });
+
+  test('applyFeeRules should waive only the matching fee type of the first offenses', () => {
+    const markings = [
+      { id: 'a', date: new Date(2025, 8, 1), status: 'present', attributes: { noShoes: true, late: true } },
+      { id: 'b', date: new Date(2025, 8, 8), status: 'present', attributes: { noShoes: true } }
+    ];
+    const feeRules = { monthlyCap: null, rules: [{ type: 'waiveFirst', feeType: 'noShoes', count: 1 }] };
+    expect(applyFeeRules(markings, feeRules, calculateFee, getFeeYear)).toEqual({ a: 1, b: 2 });
+  });
+
+  test('applyFeeRules should restart offense counts in a new fee year', () => {
+    const markings = [
+      late('a', new Date(2025, 7, 20)),
+      late('b', new Date(2025, 7, 27)),
+      late('c', new Date(2025, 8, 3))
+    ];
+    const feeRules = { monthlyCap: null, rules: [{ type: 'escalate', feeType: 'late', afterCount: 1, multiplier: 3 }] };
+    expect(applyFeeRules(markings, feeRules, calculateFee, getFeeYear)).toEqual({ a: 1, b: 3, c: 1 });
+  });
+
+  test('applyFeeRules should cap the total charged per calendar month', () => {
+    const markings = [
+      { id: 'a', date: new Date(2025, 8, 1), status: 'absent', attributes: {} },
+      { id: 'b', date: new Date(2025, 8, 8), status: 'absent', attributes: {} },
+      late('c', new Date(2025, 8, 15)),
+      { id: 'd', date: new Date(2025, 9, 6), status: 'absent', attributes: {} }
+    ];
+    expect(applyFeeRules(markings, { monthlyCap: 8, rules: [] }, calculateFee, getFeeYear))
+      .toEqual({ a: 5, b: 3, c: 0, d: 5 });
+  });
+
+  test('groupMarkingsByStudent should date markings from the document ID', () => {
+    const grouped = groupMarkingsByStudent([
+      { id: '2025-09-01', records: { s1: { status: 'absent' } } },
+      { id: '2025-09-08_0900', records: { s1: { status: 'present', attributes: { late: true } }, s2: { status: 'absent' } } }
+    ]);
+
+    expect(grouped.s1).toEqual([
+      { id: '2025-09-01', date: new Date(2025, 8, 1), status: 'absent', attributes: {} },
+      { id: '2025-09-08_0900', date: new Date(2025, 8, 8), status: 'present', attributes: { late: true } }
+    ]);
+    expect(grouped.s2).toHaveLength(1);
+  });
+});
@@ -0,0 +1,152 @@
+import { HOLIDAY_RULE_TYPES, HOLIDAY_OBSERVANCES } from '../constants/holidayRuleConstants';
+import { WEEKDAY_OPTIONS } from '../constants/scheduleConstants';
+
+const ORDINALS = { 1: 'First', 2: 'Second', 3: 'Third', 4: 'Fourth', [-1]: 'Last' };
+
+const getMonthName = (month) => new Date(2000, month, 1).toLocaleString('en-US', { month: 'long' });
+
+const getWeekdayName = (weekday) => WEEKDAY_OPTIONS.find(option => option.value === weekday)?.label;
+
+/**
+ * Gets Easter Sunday of a year (Gregorian calendar, anonymous algorithm)
+ * @param {number} year - Calendar year
+ * @returns {Date} Easter Sunday
+ */
+export const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Gets the nth occurrence of a weekday in a month
+ * @param {number} year - Calendar year
+ * @param {number} month - Month (0-11)
+ * @param {number} weekday - Day of the week (0 = Sunday)
+ * @param {number} n - Occurrence (1-4), or -1 for the last one
+ * @returns {Date} The date
+ */
+export const getNthWeekdayOfMonth = (year, month, weekday, n) => {
+  if (n === -1) {
+    const lastDay = new Date(year, month + 1, 0);
+    return new Date(year, month, lastDay.getDate() - ((lastDay.getDay() - weekday + 7) % 7));
+  }
+
+  const firstOccurrence = 1 + ((weekday - new Date(year, month, 1).getDay() + 7) % 7);
+  return new Date(year, month, firstOccurrence + (n - 1) * 7);
+};
+
+/**
+ * Moves a weekend date to the weekday it is observed on
+ * @param {Date} date - The holiday's date
+ * @returns {Date} The Friday before a Saturday, the Monday after a Sunday, otherwise the date itself
+ */
+export const getNearestWeekday = (date) => {
+  const shift = { 0: 1, 6: -1 }[date.getDay()] || 0;
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + shift);
+};
+
+/**
+ * Gets the date a holiday rule falls on in a year, after its observance is applied
+ * A holiday observed on the nearest weekday can move into the year before or after,
+ * e.g. New Year's Day on a Saturday is observed on December 31.
+ * @param {Object} rule - { type, month, day, weekday, n, offset, observance }
+ * @param {number} year - Calendar year
+ * @returns {Date} The date the holiday is observed
+ */
+export const getHolidayRuleDate = (rule, year) => {
+  let date;
+  if (rule.type === HOLIDAY_RULE_TYPES.NTH_WEEKDAY) {
+    date = getNthWeekdayOfMonth(year, rule.month, rule.weekday, rule.n);
+  } else if (rule.type === HOLIDAY_RULE_TYPES.EASTER_RELATIVE) {
+    const easter = getEasterSunday(year);
+    date = new Date(year, easter.getMonth(), easter.getDate() + rule.offset);
+  } else {
+    date = new Date(year, rule.month, rule.day);
+  }
+
+  return rule.observance === HOLIDAY_OBSERVANCES.NEAREST_WEEKDAY ? getNearestWeekday(date) : date;
+};
+
+/**
+ * Describes when a holiday rule falls, e.g. "Third Monday of January"
+ * @param {Object} rule - Holiday rule
+ * @returns {string} Description of the rule
+ */
+export const describeHolidayRule = (rule) => {
+  let description;
+  if (rule.type === HOLIDAY_RULE_TYPES.NTH_WEEKDAY) {
+    description = `${ORDINALS[rule.n]} ${getWeekdayName(rule.weekday)} of ${getMonthName(rule.month)}`;
+  } else if (rule.type === HOLIDAY_RULE_TYPES.EASTER_RELATIVE) {
+    const days = Math.abs(rule.offset);
+    description = rule.offset === 0
+      ? 'Easter Sunday'
+      : `${days} day${days === 1 ? '' : 's'} ${rule.offset < 0 ? 'before' : 'after'} Easter`;
+  } else {
+    description = `${getMonthName(rule.month)} ${rule.day}`;
+  }
+
+  return rule.observance === HOLIDAY_OBSERVANCES.NEAREST_WEEKDAY
+    ? `${description}, observed on the nearest weekday`
+    : description;
+};
+
+/**
+ * Validates a holiday rule before saving
+ * @param {Object} rule - Holiday rule
+ * @throws {Error} If the rule cannot give a date every year
+ */
+export const validateHolidayRule = (rule) => {
+  if (!rule.name || !rule.name.trim()) {
+    throw new Error("Rule name is required");
+  }
+
+  if (!Object.values(HOLIDAY_RULE_TYPES).includes(rule.type)) {
+    throw new Error(`Invalid rule type. Must be one of: ${Object.values(HOLIDAY_RULE_TYPES).join(", ")}`);
+  }
+
+  if (rule.observance && !Object.values(HOLIDAY_OBSERVANCES).includes(rule.observance)) {
+    throw new Error(`Invalid observance. Must be one of: ${Object.values(HOLIDAY_OBSERVANCES).join(", ")}`);
+  }
+
+  if (rule.type === HOLIDAY_RULE_TYPES.EASTER_RELATIVE) {
+    if (!Number.isInteger(rule.offset)) {
+      throw new Error("Days from Easter must be a whole number");
+    }
+    return;
+  }
+
+  if (!Number.isInteger(rule.month) || rule.month < 0 || rule.month > 11) {
+    throw new Error("Month must be between 0 (January) and 11 (December)");
+  }
+
+  if (rule.type === HOLIDAY_RULE_TYPES.FIXED_DATE) {
+    // February 29 is left out: the rule would have no date in most years
+    const daysInMonth = new Date(2023, rule.month + 1, 0).getDate();
+    if (!Number.isInteger(rule.day) || rule.day < 1 || rule.day > daysInMonth) {
+      throw new Error(`Day must be between 1 and ${daysInMonth} for ${getMonthName(rule.month)}`);
+    }
+    return;
+  }
+
+  if (!Number.isInteger(rule.weekday) || rule.weekday < 0 || rule.weekday > 6) {
+    throw new Error("Weekday must be between 0 (Sunday) and 6 (Saturday)");
+  }
+
+  if (!ORDINALS[rule.n]) {
+    throw new Error("Occurrence must be 1 to 4, or -1 for the last one in the month");
+  }
+};
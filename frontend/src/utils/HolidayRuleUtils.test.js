@@ -0,0 +1,67 @@
+import {
+  getEasterSunday,
+  getNthWeekdayOfMonth,
+  getNearestWeekday,
+  getHolidayRuleDate,
+  describeHolidayRule,
+  validateHolidayRule
+} from './HolidayRuleUtils';
+
+describe('HolidayRuleUtils', () => {
+  const dateKey = date => `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+
+  test('getEasterSunday should match known Easter dates', () => {
+    expect(dateKey(getEasterSunday(2019))).toBe('2019-4-21');
+    expect(dateKey(getEasterSunday(2024))).toBe('2024-3-31');
+    expect(dateKey(getEasterSunday(2025))).toBe('2025-4-20');
+    expect(dateKey(getEasterSunday(2038))).toBe('2038-4-25');
+  });
+
+  test('getNthWeekdayOfMonth should find the nth and the last weekday', () => {
+    // Third Monday in January 2025, last Monday in May 2024
+    expect(dateKey(getNthWeekdayOfMonth(2025, 0, 1, 3))).toBe('2025-1-20');
+    expect(dateKey(getNthWeekdayOfMonth(2024, 4, 1, -1))).toBe('2024-5-27');
+    // August 1, 2025 is itself the first Friday
+    expect(dateKey(getNthWeekdayOfMonth(2025, 7, 5, 1))).toBe('2025-8-1');
+  });
+
+  test('getNearestWeekday should move weekends only', () => {
+    expect(dateKey(getNearestWeekday(new Date(2022, 5, 11)))).toBe('2022-6-10');
+    expect(dateKey(getNearestWeekday(new Date(2023, 5, 11)))).toBe('2023-6-12');
+    expect(dateKey(getNearestWeekday(new Date(2027, 2, 26)))).toBe('2027-3-26');
+  });
+
+  test('getHolidayRuleDate should evaluate every rule type', () => {
+    expect(dateKey(getHolidayRuleDate({ type: 'fixedDate', month: 6, day: 4 }, 2026))).toBe('2026-7-4');
+    expect(dateKey(getHolidayRuleDate({ type: 'nthWeekday', month: 7, weekday: 5, n: 3 }, 2025))).toBe('2025-8-15');
+    expect(dateKey(getHolidayRuleDate({ type: 'easterRelative', offset: -2 }, 2025))).toBe('2025-4-18');
+    expect(dateKey(getHolidayRuleDate({ type: 'easterRelative', offset: 1 }, 2024))).toBe('2024-4-1');
+  });
+
+  test('getHolidayRuleDate should let an observed date cross into the year before', () => {
+    const rule = { type: 'fixedDate', month: 0, day: 1, observance: 'nearestWeekday' };
+
+    expect(dateKey(getHolidayRuleDate(rule, 2022))).toBe('2021-12-31');
+    expect(dateKey(getHolidayRuleDate({ ...rule, observance: 'onDate' }, 2022))).toBe('2022-1-1');
+  });
+
+  test('describeHolidayRule should describe when the rule falls', () => {
+    expect(describeHolidayRule({ type: 'nthWeekday', month: 10, weekday: 4, n: 4 })).toBe('Fourth Thursday of November');
+    expect(describeHolidayRule({ type: 'nthWeekday', month: 4, weekday: 1, n: -1 })).toBe('Last Monday of May');
+    expect(describeHolidayRule({ type: 'easterRelative', offset: -2 })).toBe('2 days before Easter');
+    expect(describeHolidayRule({ type: 'fixedDate', month: 5, day: 11, observance: 'nearestWeekday' }))
+      .toBe('June 11, observed on the nearest weekday');
+  });
+
+  test('validateHolidayRule should reject rules without a date every year', () => {
+    expect(() => validateHolidayRule({ name: ' ', type: 'fixedDate', month: 0, day: 1 })).toThrow('Rule name is required');
+    expect(() => validateHolidayRule({ name: 'Leap Day', type: 'fixedDate', month: 1, day: 29 }))
+      .toThrow('Day must be between 1 and 28 for February');
+    expect(() => validateHolidayRule({ name: 'Fifth Friday', type: 'nthWeekday', month: 0, weekday: 5, n: 5 }))
+      .toThrow('Occurrence must be 1 to 4, or -1 for the last one in the month');
+    expect(() => validateHolidayRule({ name: 'Easter Monday', type: 'easterRelative', offset: 1.5 }))
+      .toThrow('Days from Easter must be a whole number');
+    expect(() => validateHolidayRule({ name: 'Solstice', type: 'astronomical' })).toThrow('Invalid rule type');
+    expect(() => validateHolidayRule({ name: 'Easter Monday', type: 'easterRelative', offset: 1 })).not.toThrow();
+  });
+});
@@ -0,0 +1,139 @@
+import { formatDateForDocId, parseDateString, addDays } from './DateUtils';
+
+/**
+ * Helpers for iCalendar (.ics) files: reading holiday dates from imports and writing the class feed
+ * Times are written as floating local times, which calendar apps show in the subscriber's time zone.
+ */
+
+const PRODUCT_ID = '-//Dkale Dance//Attendance System//EN';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+const unescapeText = (value) => value
+  .replace(/\\[nN]/g, '\n')
+  .replace(/\\([\\;,])/g, '$1');
+
+// Lines longer than 75 characters are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  for (let start = 0; start < line.length; start += 74) {
+    parts.push((start === 0 ? '' : ' ') + line.slice(start, start + 74));
+  }
+  return parts.join('\r\n');
+};
+
+const toICalDate = (dateKey) => dateKey.replace(/-/g, '');
+
+const toICalDateTime = (date) => (
+  `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}T${pad(date.getHours())}${pad(date.getMinutes())}00`
+);
+
+const toUtcStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// YYYYMMDD or YYYYMMDDTHHMMSS(Z) to a YYYY-MM-DD key (the date as written)
+const fromICalDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+/**
+ * Reads the events of an iCalendar file as date ranges
+ * All-day events end the day before their DTEND, as iCalendar end dates are exclusive.
+ * Recurring events (RRULE) are read as their first occurrence.
+ * @param {string} text - Contents of the .ics file
+ * @returns {Array} Events [{ uid, summary, startDate, endDate, cancelled }] with YYYY-MM-DD dates
+ * @throws {Error} If the text is not an iCalendar file
+ */
+export const parseICalendar = (text) => {
+  const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/).map(line => line.trim());
+  if (!lines.includes('BEGIN:VCALENDAR')) {
+    throw new Error('Not an iCalendar (.ics) file');
+  }
+
+  const events = [];
+  let current = null;
+
+  lines.forEach(line => {
+    if (line === 'BEGIN:VEVENT') {
+      current = {};
+      return;
+    }
+    if (line === 'END:VEVENT') {
+      if (current && current.DTSTART) {
+        const startDate = fromICalDate(current.DTSTART.value);
+        const allDay = current.DTSTART.value.length === 8;
+        let endDate = current.DTEND ? fromICalDate(current.DTEND.value) : startDate;
+        if (allDay && current.DTEND && endDate > startDate) {
+          endDate = formatDateForDocId(addDays(endDate, -1));
+        }
+
+        if (startDate) {
+          events.push({
+            uid: current.UID?.value || null,
+            summary: unescapeText(current.SUMMARY?.value || '').trim(),
+            startDate,
+            endDate: endDate && endDate > startDate ? endDate : startDate,
+            cancelled: (current.STATUS?.value || '').toUpperCase() === 'CANCELLED'
+          });
+        }
+      }
+      current = null;
+      return;
+    }
+    if (!current) return;
+
+    const separator = line.indexOf(':');
+    if (separator < 0) return;
+    const [name, ...params] = line.slice(0, separator).split(';');
+    current[name.toUpperCase()] = { value: line.slice(separator + 1).trim(), params };
+  });
+
+  return events;
+};
+
+/**
+ * Writes events as an iCalendar file
+ * @param {Array} events - Events with uid, summary, optional description, location and cancelled, and either
+ *   startDate/endDate (all-day, YYYY-MM-DD, end inclusive) or date, startTime (HH:MM) and durationMinutes
+ * @param {Object} options - { name: calendar name shown by calendar apps, now: time stamp of the feed }
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export const buildICalendar = (events, { name, now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...(name ? [`X-WR-CALNAME:${escapeText(name)}`] : [])
+  ];
+
+  events.forEach(event => {
+    lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${toUtcStamp(now)}`);
+
+    if (event.startTime) {
+      const [hours, minutes] = event.startTime.split(':').map(Number);
+      const start = parseDateString(event.date);
+      start.setHours(hours, minutes, 0, 0);
+      const end = new Date(start.getTime() + (event.durationMinutes || 60) * 60000);
+      lines.push(`DTSTART:${toICalDateTime(start)}`, `DTEND:${toICalDateTime(end)}`);
+    } else {
+      const dayAfterEnd = formatDateForDocId(addDays(event.endDate || event.startDate, 1));
+      lines.push(`DTSTART;VALUE=DATE:${toICalDate(event.startDate)}`, `DTEND;VALUE=DATE:${toICalDate(dayAfterEnd)}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    lines.push(`STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`, 'END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
@@ -0,0 +1,58 @@
+import { parseICalendar, buildICalendar } from './ICalUtils';
+
+describe('ICalUtils', () => {
+  test('reads all-day and timed events as inclusive date ranges', () => {
+    const text = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'BEGIN:VEVENT',
+      'UID:winter@example.com',
+      'DTSTART;VALUE=DATE:20251222',
+      'DTEND;VALUE=DATE:20260103',
+      'SUMMARY:Winter Break\\, studio',
+      '  closed',
+      'END:VEVENT',
+      'BEGIN:VEVENT',
+      'DTSTART:20250704T090000Z',
+      'DTEND:20250704T170000Z',
+      'SUMMARY:Independence Day',
+      'STATUS:CANCELLED',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    expect(parseICalendar(text)).toEqual([
+      { uid: 'winter@example.com', summary: 'Winter Break, studio closed', startDate: '2025-12-22', endDate: '2026-01-02', cancelled: false },
+      { uid: null, summary: 'Independence Day', startDate: '2025-07-04', endDate: '2025-07-04', cancelled: true }
+    ]);
+  });
+
+  test('rejects files that are not iCalendar files', () => {
+    expect(() => parseICalendar('Name,Date\nNew Year,2025-01-01')).toThrow('Not an iCalendar (.ics) file');
+  });
+
+  test('writes classes and holidays that read back the same', () => {
+    const ics = buildICalendar([
+      { uid: 'class-1', summary: 'Ballet; Level 2', date: '2025-03-05', startTime: '18:30', durationMinutes: 90, location: 'Studio A' },
+      { uid: 'holiday-1', summary: 'Spring Break', startDate: '2025-03-24', endDate: '2025-03-28', cancelled: true }
+    ], { name: 'Classes', now: new Date(Date.UTC(2025, 2, 1)) });
+
+    expect(ics).toContain('DTSTART:20250305T183000\r\nDTEND:20250305T200000\r\n');
+    expect(ics).toContain('SUMMARY:Ballet\\; Level 2');
+    expect(ics).toContain('DTSTART;VALUE=DATE:20250324\r\nDTEND;VALUE=DATE:20250329\r\n');
+    expect(ics).toContain('STATUS:CANCELLED');
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true);
+
+    expect(parseICalendar(ics).map(({ summary, startDate, endDate }) => ({ summary, startDate, endDate }))).toEqual([
+      { summary: 'Ballet; Level 2', startDate: '2025-03-05', endDate: '2025-03-05' },
+      { summary: 'Spring Break', startDate: '2025-03-24', endDate: '2025-03-28' }
+    ]);
+  });
+
+  test('folds long lines', () => {
+    const ics = buildICalendar([{ uid: 'h1', summary: 'A'.repeat(100), startDate: '2025-01-02' }]);
+
+    expect(ics.split('\r\n').every(line => line.length <= 75)).toBe(true);
+    expect(parseICalendar(ics)[0].summary).toBe('A'.repeat(100));
+  });
+});
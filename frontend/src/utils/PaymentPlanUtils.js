@@ -0,0 +1,102 @@
+import { PAYMENT_PLAN_FREQUENCIES, PAYMENT_PLAN_STATES, PAYMENT_PLAN_STATUSES } from '../constants/paymentPlanConstants';
+import { addDays, addMonths, formatDateForDocId } from './DateUtils';
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Sums the payments applied to a plan
+ * @param {Object} plan - Payment plan
+ * @returns {number} Amount paid toward the plan
+ */
+export const sumPlanPayments = (plan) => roundCents(
+  (plan.payments || []).reduce((total, payment) => total + (payment.amount || 0), 0)
+);
+
+/**
+ * Splits a plan total into installments of equal size
+ * Cents that do not divide evenly go to the first installments, so the amounts add up to the total.
+ * @param {number} total - Plan total
+ * @param {number} count - Number of installments
+ * @param {string} firstDueDate - Due date of the first installment (YYYY-MM-DD)
+ * @param {string} frequency - weekly, biweekly or monthly
+ * @returns {Array} Installments [{ number, dueDate, amount }]
+ */
+export const buildInstallments = (total, count, firstDueDate, frequency) => {
+  const totalCents = Math.round(total * 100);
+  const baseCents = Math.floor(totalCents / count);
+  const extraCents = totalCents - baseCents * count;
+
+  return Array.from({ length: count }, (_, index) => {
+    let dueDate;
+    if (frequency === PAYMENT_PLAN_FREQUENCIES.MONTHLY) {
+      dueDate = addMonths(firstDueDate, index);
+    } else {
+      dueDate = addDays(firstDueDate, index * (frequency === PAYMENT_PLAN_FREQUENCIES.BIWEEKLY ? 14 : 7));
+    }
+
+    return {
+      number: index + 1,
+      dueDate: formatDateForDocId(dueDate),
+      amount: (baseCents + (index < extraCents ? 1 : 0)) / 100
+    };
+  });
+};
+
+/**
+ * Works out what each installment of a plan has received
+ * Payments fill the installments in order, so the earliest installment is always paid first.
+ * @param {Object} plan - Payment plan
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {Array} Installments with paid, remaining and overdue
+ */
+export const getInstallmentSchedule = (plan, today = formatDateForDocId(new Date())) => {
+  let unapplied = sumPlanPayments(plan);
+
+  return (plan.installments || []).map(installment => {
+    const paid = roundCents(Math.min(unapplied, installment.amount));
+    unapplied = roundCents(unapplied - paid);
+    const remaining = roundCents(installment.amount - paid);
+
+    return {
+      ...installment,
+      paid,
+      remaining,
+      overdue: remaining > 0 && installment.dueDate < today
+    };
+  });
+};
+
+/**
+ * Works out how a plan is going
+ * A plan is behind when less has been paid than the installments that fell due before today.
+ * @param {Object} plan - Payment plan
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {Object} { status, paid, remaining, amountBehind, nextInstallment, installments }
+ */
+export const getPlanProgress = (plan, today = formatDateForDocId(new Date())) => {
+  const installments = getInstallmentSchedule(plan, today);
+  const paid = sumPlanPayments(plan);
+  const remaining = roundCents(Math.max(0, plan.total - paid));
+  const pastDue = installments
+    .filter(installment => installment.dueDate < today)
+    .reduce((total, installment) => total + installment.amount, 0);
+  const amountBehind = roundCents(Math.max(0, pastDue - paid));
+
+  let status = PAYMENT_PLAN_STATUSES.ON_TRACK;
+  if (plan.state === PAYMENT_PLAN_STATES.CANCELLED) {
+    status = PAYMENT_PLAN_STATUSES.CANCELLED;
+  } else if (remaining <= 0) {
+    status = PAYMENT_PLAN_STATUSES.COMPLETED;
+  } else if (amountBehind > 0) {
+    status = PAYMENT_PLAN_STATUSES.BEHIND;
+  }
+
+  return {
+    status,
+    paid,
+    remaining,
+    amountBehind,
+    nextInstallment: installments.find(installment => installment.remaining > 0) || null,
+    installments
+  };
+};
@@ -0,0 +1,50 @@
+import { buildInstallments, getInstallmentSchedule, getPlanProgress } from './PaymentPlanUtils';
+
+describe('PaymentPlanUtils', () => {
+  test('buildInstallments should split the total evenly and spread the odd cents', () => {
+    expect(buildInstallments(100, 3, '2025-01-31', 'monthly')).toEqual([
+      { number: 1, dueDate: '2025-01-31', amount: 33.34 },
+      { number: 2, dueDate: '2025-02-28', amount: 33.33 },
+      { number: 3, dueDate: '2025-03-31', amount: 33.33 }
+    ]);
+    expect(buildInstallments(50, 2, '2025-09-01', 'biweekly').map(installment => installment.dueDate))
+      .toEqual(['2025-09-01', '2025-09-15']);
+  });
+
+  test('getInstallmentSchedule should fill installments in order', () => {
+    const plan = {
+      total: 90,
+      installments: buildInstallments(90, 3, '2025-09-01', 'weekly'),
+      payments: [{ paymentId: 'p1', amount: 40 }]
+    };
+
+    expect(getInstallmentSchedule(plan, '2025-09-10').map(({ paid, remaining, overdue }) => ({ paid, remaining, overdue })))
+      .toEqual([
+        { paid: 30, remaining: 0, overdue: false },
+        { paid: 10, remaining: 20, overdue: true },
+        { paid: 0, remaining: 30, overdue: false }
+      ]);
+  });
+
+  test('getPlanProgress should report plans behind only after a due date has passed', () => {
+    const plan = {
+      total: 90,
+      state: 'active',
+      installments: buildInstallments(90, 3, '2025-09-01', 'weekly'),
+      payments: [{ paymentId: 'p1', amount: 30 }]
+    };
+
+    expect(getPlanProgress(plan, '2025-09-08')).toEqual(expect.objectContaining({
+      status: 'onTrack',
+      paid: 30,
+      remaining: 60,
+      amountBehind: 0
+    }));
+    expect(getPlanProgress(plan, '2025-09-09')).toEqual(expect.objectContaining({
+      status: 'behind',
+      amountBehind: 30
+    }));
+    expect(getPlanProgress({ ...plan, payments: [{ paymentId: 'p1', amount: 90 }] }, '2025-12-01').status).toBe('completed');
+    expect(getPlanProgress({ ...plan, state: 'cancelled' }, '2025-12-01').status).toBe('cancelled');
+  });
+});
@@ -0,0 +1,130 @@
+import { PAYMENT_TYPES } from '../constants/paymentConstants';
+import { formatDateForDocId } from './DateUtils';
+
+/**
+ * Payment records hold both payments and refunds. A refund has type 'refund',
+ * a negative amount and the originalPaymentId of the payment it pays back.
+ */
+
+/**
+ * Checks whether a payment record is a refund
+ * @param {Object} payment - Payment record
+ * @returns {boolean} True for refunds
+ */
+export const isRefund = (payment) => payment?.type === PAYMENT_TYPES.REFUND;
+
+/**
+ * Sums the refunds in a list of payment records
+ * @param {Array} payments - Payment records, refunds included
+ * @returns {number} Total refunded, as a negative amount
+ */
+export const sumRefunds = (payments = []) => payments
+  .filter(isRefund)
+  .reduce((total, payment) => total + (payment.amount || 0), 0);
+
+/**
+ * Works out how much of a payment has been refunded and how much can still be
+ * @param {Object} payment - The original payment
+ * @param {Array} payments - Payment records to search for its refunds
+ * @returns {Object} { refunded, refundable } as positive amounts
+ */
+export const getRefundStatus = (payment, payments = []) => {
+  const refunded = -sumRefunds(payments.filter(record => record.originalPaymentId === payment.id));
+  const refundable = Math.round(((payment.amount || 0) - refunded) * 100) / 100;
+
+  return {
+    refunded: Math.round(refunded * 100) / 100,
+    refundable: Math.max(0, refundable)
+  };
+};
+
+/**
+ * A payment's allocations split it across specific attendance fees:
+ * [{ feeId, feeDate, amount }], where feeId is the attendance document ID of the session charged.
+ * Any part of a payment that is not allocated is credit toward later fees.
+ */
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Sums what a payment has allocated to fees
+ * @param {Object} payment - Payment record
+ * @returns {number} Total allocated
+ */
+export const sumAllocations = (payment) => roundCents(
+  (payment?.allocations || []).reduce((total, allocation) => total + (allocation.amount || 0), 0)
+);
+
+/**
+ * Totals the allocations of a list of payments by fee
+ * @param {Array} payments - Payment records
+ * @returns {Object} Allocated amount keyed by feeId
+ */
+export const getAllocatedByFee = (payments = []) => payments.reduce((totals, payment) => {
+  (payment.allocations || []).forEach(({ feeId, amount }) => {
+    totals[feeId] = roundCents((totals[feeId] || 0) + (amount || 0));
+  });
+  return totals;
+}, {});
+
+/**
+ * Works out which fees still have an amount left to pay
+ * @param {Array} fees - Charged fees with feeId, date and fee
+ * @param {Array} payments - Payment records whose allocations count against the fees
+ * @returns {Array} Open fees, oldest first, with allocated and remaining amounts
+ */
+export const getOpenFees = (fees = [], payments = []) => {
+  const allocatedByFee = getAllocatedByFee(payments);
+
+  return fees
+    .map(fee => {
+      const allocated = allocatedByFee[fee.feeId] || 0;
+      return { ...fee, allocated, remaining: roundCents(fee.fee - allocated) };
+    })
+    .filter(fee => fee.remaining > 0)
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+};
+
+/**
+ * Splits an amount across open fees
+ * Fees picked by the admin are covered in the order given; with no picks the oldest fees are covered first.
+ * @param {number} amount - Amount to allocate
+ * @param {Array} openFees - Open fees from getOpenFees
+ * @param {Array} feeIds - Fees picked by the admin (empty for oldest first)
+ * @returns {Array} Allocations [{ feeId, feeDate, amount }]
+ */
+export const allocateAmount = (amount, openFees = [], feeIds = []) => {
+  const targets = feeIds.length > 0
+    ? feeIds.map(feeId => openFees.find(fee => fee.feeId === feeId)).filter(Boolean)
+    : openFees;
+
+  let unallocated = roundCents(amount);
+  const allocations = [];
+
+  targets.forEach(fee => {
+    if (unallocated <= 0) return;
+    const allocated = roundCents(Math.min(unallocated, fee.remaining));
+    allocations.push({ feeId: fee.feeId, feeDate: formatDateForDocId(fee.date), amount: allocated });
+    unallocated = roundCents(unallocated - allocated);
+  });
+
+  return allocations;
+};
+
+/**
+ * Cuts a payment's allocations down to a smaller amount, releasing the last allocations first
+ * @param {Array} allocations - The payment's allocations
+ * @param {number} amount - Amount the allocations may total
+ * @returns {Array} Remaining allocations
+ */
+export const trimAllocations = (allocations = [], amount) => {
+  let available = roundCents(amount);
+
+  return allocations
+    .map(allocation => {
+      const kept = roundCents(Math.max(0, Math.min(allocation.amount, available)));
+      available = roundCents(available - kept);
+      return { ...allocation, amount: kept };
+    })
+    .filter(allocation => allocation.amount > 0);
+};
@@ -0,0 +1,58 @@
+import { isRefund, sumRefunds, getRefundStatus, getOpenFees, allocateAmount, trimAllocations } from './PaymentUtils';
+
+describe('PaymentUtils', () => {
+  const payment = { id: 'payment1', amount: 50 };
+  const records = [
+    payment,
+    { id: 'refund1', type: 'refund', amount: -10, originalPaymentId: 'payment1' },
+    { id: 'refund2', type: 'refund', amount: -5.5, originalPaymentId: 'payment1' },
+    { id: 'refund3', type: 'refund', amount: -20, originalPaymentId: 'payment2' }
+  ];
+
+  test('isRefund should only match refund records', () => {
+    expect(isRefund(records[1])).toBe(true);
+    expect(isRefund(payment)).toBe(false);
+    expect(isRefund(null)).toBe(false);
+  });
+
+  test('sumRefunds should total refunds as a negative amount', () => {
+    expect(sumRefunds(records)).toBe(-35.5);
+    expect(sumRefunds([])).toBe(0);
+  });
+
+  test('getRefundStatus should count only refunds of the given payment', () => {
+    expect(getRefundStatus(payment, records)).toEqual({ refunded: 15.5, refundable: 34.5 });
+  });
+
+  describe('allocations', () => {
+    const fees = [
+      { feeId: '2025-03-10', date: new Date(2025, 2, 10), fee: 5 },
+      { feeId: '2025-03-03', date: new Date(2025, 2, 3), fee: 5 },
+      { feeId: '2025-03-17', date: new Date(2025, 2, 17), fee: 1 }
+    ];
+    const paid = [{ id: 'payment1', amount: 6, allocations: [{ feeId: '2025-03-03', amount: 5 }, { feeId: '2025-03-10', amount: 1 }] }];
+
+    test('getOpenFees should list fees with an amount left, oldest first', () => {
+      expect(getOpenFees(fees, paid).map(({ feeId, remaining }) => ({ feeId, remaining }))).toEqual([
+        { feeId: '2025-03-10', remaining: 4 },
+        { feeId: '2025-03-17', remaining: 1 }
+      ]);
+    });
+
+    test('allocateAmount should cover the oldest fees first unless fees are picked', () => {
+      const openFees = getOpenFees(fees, paid);
+
+      expect(allocateAmount(10, openFees)).toEqual([
+        { feeId: '2025-03-10', feeDate: '2025-03-10', amount: 4 },
+        { feeId: '2025-03-17', feeDate: '2025-03-17', amount: 1 }
+      ]);
+      expect(allocateAmount(3, openFees, ['2025-03-17'])).toEqual([
+        { feeId: '2025-03-17', feeDate: '2025-03-17', amount: 1 }
+      ]);
+    });
+
+    test('trimAllocations should release the last allocations first', () => {
+      expect(trimAllocations(paid[0].allocations, 2.5)).toEqual([{ feeId: '2025-03-03', amount: 2.5 }]);
+    });
+  });
+});
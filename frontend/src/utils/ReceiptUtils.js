@@ -0,0 +1,90 @@
+import { formatCurrency, formatBalance } from './formatters';
+import { formatDateForDisplay } from './DateUtils';
+import { escapeHtml, downloadFile, printHtml } from './DocumentUtils';
+
+/**
+ * Receipts are numbered per fee year: the fee year's start year, a dash and a
+ * sequence that starts at 1 each fee year (e.g. "2025-0007").
+ */
+
+/**
+ * Formats a receipt number
+ * @param {number} feeYear - Start year of the fee year
+ * @param {number} sequence - Position of the receipt within the fee year
+ * @returns {string} Receipt number, e.g. "2025-0007"
+ */
+export const formatReceiptNumber = (feeYear, sequence) => `${feeYear}-${String(sequence).padStart(4, '0')}`;
+
+/**
+ * Formats a fee year for display
+ * @param {number} feeYear - Start year of the fee year
+ * @returns {string} Fee year, e.g. "2025-2026"
+ */
+export const formatFeeYear = (feeYear) => `${feeYear}-${feeYear + 1}`;
+
+/**
+ * Renders a receipt as a standalone HTML document that can be printed or saved
+ * @param {Object} receipt - Receipt from ReceiptService
+ * @returns {string} HTML document
+ */
+export const receiptToHtml = (receipt) => {
+  const fees = receipt.fees || [];
+  const feeRows = fees.length > 0
+    ? fees.map(fee => `
+        <tr><td>Fee of ${escapeHtml(formatDateForDisplay(fee.feeDate))}</td><td class="amount">${escapeHtml(formatCurrency(fee.amount))}</td></tr>`).join('')
+    : '';
+  const creditRow = receipt.unallocated > 0
+    ? `
+        <tr><td>Kept as credit</td><td class="amount">${escapeHtml(formatCurrency(receipt.unallocated))}</td></tr>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Receipt ${escapeHtml(receipt.receiptNumber)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto; color: #222; }
+    h1 { font-size: 1.5em; margin-bottom: 0; }
+    table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+    th, td { text-align: left; padding: 6px 4px; border-bottom: 1px solid #ddd; }
+    .amount { text-align: right; }
+    .void { color: #b00020; font-weight: bold; }
+  </style>
+</head>
+<body>
+  <h1>Payment Receipt</h1>
+  <p>Receipt no. <strong>${escapeHtml(receipt.receiptNumber)}</strong> &middot; Fee year ${escapeHtml(formatFeeYear(receipt.feeYear))}</p>${receipt.voided ? `
+  <p class="void">VOID: ${escapeHtml(receipt.voidReason || 'payment deleted')}</p>` : ''}
+  <table>
+    <tr><th>Student</th><td>${escapeHtml(receipt.studentName)}</td></tr>
+    <tr><th>Payment date</th><td>${escapeHtml(formatDateForDisplay(receipt.paymentDate))}</td></tr>
+    <tr><th>Amount</th><td>${escapeHtml(formatCurrency(receipt.amount))}</td></tr>
+    <tr><th>Method</th><td>${escapeHtml(receipt.methodLabel)}${receipt.reference ? ` #${escapeHtml(receipt.reference)}` : ''}</td></tr>
+  </table>
+  <h2>Applied to</h2>
+  <table>${feeRows}${creditRow}${!feeRows && !creditRow ? `
+    <tr><td colspan="2">No fees</td></tr>` : ''}
+  </table>
+  <p>Remaining balance: <strong>${escapeHtml(formatBalance(receipt.remainingBalance || 0))}</strong></p>
+</body>
+</html>
+`;
+};
+
+/**
+ * Saves a receipt as an HTML file
+ * @param {Object} receipt - Receipt from ReceiptService
+ */
+export const downloadReceipt = (receipt) => {
+  downloadFile(receiptToHtml(receipt), `receipt-${receipt.receiptNumber}.html`, 'text/html');
+};
+
+/**
+ * Opens a receipt in a new window and shows the print dialog, where it can also be saved as a PDF
+ * @param {Object} receipt - Receipt from ReceiptService
+ * @throws {Error} If the browser blocked the window
+ */
+export const printReceipt = (receipt) => {
+  printHtml(receiptToHtml(receipt));
+};
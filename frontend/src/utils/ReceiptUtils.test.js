@@ -0,0 +1,43 @@
+import { formatReceiptNumber, formatFeeYear, receiptToHtml } from './ReceiptUtils';
+
+describe('ReceiptUtils', () => {
+  const receipt = {
+    receiptNumber: '2025-0007',
+    feeYear: 2025,
+    studentName: 'Ana <Lopez>',
+    paymentDate: '2025-09-02',
+    amount: 25,
+    methodLabel: 'Check',
+    reference: '1042',
+    fees: [{ feeId: 'att1', feeDate: '2025-08-14', amount: 5 }],
+    unallocated: 20,
+    remainingBalance: -20
+  };
+
+  test('formatReceiptNumber should pad the sequence', () => {
+    expect(formatReceiptNumber(2025, 7)).toBe('2025-0007');
+    expect(formatReceiptNumber(2025, 12345)).toBe('2025-12345');
+  });
+
+  test('formatFeeYear should show both calendar years', () => {
+    expect(formatFeeYear(2025)).toBe('2025-2026');
+  });
+
+  test('receiptToHtml should list the payment, covered fees and remaining balance', () => {
+    const html = receiptToHtml(receipt);
+
+    expect(html).toContain('Receipt no. <strong>2025-0007</strong>');
+    expect(html).toContain('Fee year 2025-2026');
+    expect(html).toContain('Ana &lt;Lopez&gt;');
+    expect(html).toContain('Check #1042');
+    expect(html).toContain('$5.00');
+    expect(html).toContain('Kept as credit');
+    expect(html).toContain('$20.00 credit');
+    expect(html).not.toContain('VOID');
+  });
+
+  test('receiptToHtml should mark void receipts', () => {
+    expect(receiptToHtml({ ...receipt, voided: true, voidReason: 'Payment deleted' }))
+      .toContain('VOID: Payment deleted');
+  });
+});
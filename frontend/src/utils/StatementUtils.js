@@ -0,0 +1,97 @@
+import { formatCurrency, formatBalance } from './formatters';
+import { formatDateForDisplay } from './DateUtils';
+import { escapeHtml, toCsv, downloadFile, printHtml } from './DocumentUtils';
+import { STATEMENT_LINE_LABELS } from '../constants/statementConstants';
+
+/**
+ * Builds the file name of a statement export
+ * @param {Object} statement - Statement from StatementService
+ * @param {string} extension - File extension
+ * @returns {string} File name, e.g. "statement-ana-lopez-2025-09-01-2025-09-30.csv"
+ */
+const statementFileName = (statement, extension) => {
+  const name = (statement.student.name || statement.student.id).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `statement-${name}-${statement.startDate}-${statement.endDate}.${extension}`;
+};
+
+/**
+ * Converts a statement to CSV, amounts in plain numbers so spreadsheets can total them
+ * @param {Object} statement - Statement from StatementService
+ * @returns {string} CSV text
+ */
+export const statementToCsv = (statement) => toCsv([
+  ['Date', 'Type', 'Description', 'Amount', 'Balance'],
+  [statement.startDate, 'Opening balance', '', '', statement.openingBalance.toFixed(2)],
+  ...statement.lines.map(line => [
+    line.date,
+    STATEMENT_LINE_LABELS[line.type],
+    line.description,
+    line.amount.toFixed(2),
+    line.balance.toFixed(2)
+  ]),
+  [statement.endDate, 'Closing balance', '', '', statement.closingBalance.toFixed(2)]
+]);
+
+/**
+ * Renders a statement as a standalone HTML document for printing
+ * @param {Object} statement - Statement from StatementService
+ * @returns {string} HTML document
+ */
+export const statementToHtml = (statement) => {
+  const rows = statement.lines.map(line => `
+      <tr>
+        <td>${escapeHtml(formatDateForDisplay(line.date))}</td>
+        <td>${escapeHtml(STATEMENT_LINE_LABELS[line.type])}</td>
+        <td>${escapeHtml(line.description)}</td>
+        <td class="amount">${escapeHtml(formatCurrency(line.amount))}</td>
+        <td class="amount">${escapeHtml(formatBalance(line.balance))}</td>
+      </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Account statement - ${escapeHtml(statement.student.name)}</title>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 32px; color: #222; }
+    h1 { font-size: 1.5em; margin-bottom: 0; }
+    table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+    th, td { text-align: left; padding: 6px 4px; border-bottom: 1px solid #ddd; }
+    .amount { text-align: right; }
+    tr { page-break-inside: avoid; }
+  </style>
+</head>
+<body>
+  <h1>Account Statement</h1>
+  <p><strong>${escapeHtml(statement.student.name)}</strong><br>
+  ${escapeHtml(formatDateForDisplay(statement.startDate))} to ${escapeHtml(formatDateForDisplay(statement.endDate))}</p>
+  <table>
+    <thead>
+      <tr><th>Date</th><th>Type</th><th>Description</th><th class="amount">Amount</th><th class="amount">Balance</th></tr>
+    </thead>
+    <tbody>
+      <tr><td colspan="4"><strong>Opening balance</strong></td><td class="amount"><strong>${escapeHtml(formatBalance(statement.openingBalance))}</strong></td></tr>${rows}
+      <tr><td colspan="4"><strong>Closing balance</strong></td><td class="amount"><strong>${escapeHtml(formatBalance(statement.closingBalance))}</strong></td></tr>
+    </tbody>
+  </table>
+</body>
+</html>
+`;
+};
+
+/**
+ * Saves a statement as a CSV file
+ * @param {Object} statement - Statement from StatementService
+ */
+export const downloadStatementCsv = (statement) => {
+  downloadFile(statementToCsv(statement), statementFileName(statement, 'csv'), 'text/csv');
+};
+
+/**
+ * Opens a statement in the print dialog, where it can also be saved as a PDF
+ * @param {Object} statement - Statement from StatementService
+ * @throws {Error} If the browser blocked the window
+ */
+export const printStatement = (statement) => {
+  printHtml(statementToHtml(statement));
+};
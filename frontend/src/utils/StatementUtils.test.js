@@ -0,0 +1,33 @@
+import { statementToCsv, statementToHtml } from './StatementUtils';
+
+describe('StatementUtils', () => {
+  const statement = {
+    student: { id: 'student1', name: 'Ana <Lopez>' },
+    startDate: '2025-09-01',
+    endDate: '2025-09-30',
+    openingBalance: 5,
+    lines: [
+      { date: '2025-09-02', type: 'charge', description: 'Late, No Shoes', amount: 2, balance: 7 },
+      { date: '2025-09-02', type: 'payment', description: 'Payment (Cash)', amount: -10, balance: -3 }
+    ],
+    closingBalance: -3
+  };
+
+  test('statementToCsv should list the opening balance, every line and the closing balance', () => {
+    expect(statementToCsv(statement).split('\n')).toEqual([
+      'Date,Type,Description,Amount,Balance',
+      '2025-09-01,Opening balance,,,5.00',
+      '2025-09-02,Charge,"Late, No Shoes",2.00,7.00',
+      '2025-09-02,Payment,Payment (Cash),-10.00,-3.00',
+      '2025-09-30,Closing balance,,,-3.00'
+    ]);
+  });
+
+  test('statementToHtml should escape names and show credit balances', () => {
+    const html = statementToHtml(statement);
+
+    expect(html).toContain('Ana &lt;Lopez&gt;');
+    expect(html).toContain('Late, No Shoes');
+    expect(html).toContain('$3.00 credit');
+  });
+});
@@ -0,0 +1,29 @@
+import { WAIVER_STATUSES } from '../constants/waiverConstants';
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Sums what approved waivers forgive on each fee
+ * @param {Array} waivers - Fee waivers, in any state
+ * @returns {Object} Waived amount keyed by studentId, then by feeId
+ */
+export const getWaivedAmounts = (waivers = []) => waivers
+  .filter(waiver => waiver.status === WAIVER_STATUSES.APPROVED)
+  .reduce((totals, waiver) => {
+    const studentTotals = totals[waiver.studentId] || (totals[waiver.studentId] = {});
+    (waiver.fees || []).forEach(({ feeId, amount }) => {
+      studentTotals[feeId] = roundCents((studentTotals[feeId] || 0) + (amount || 0));
+    });
+    return totals;
+  }, {});
+
+/**
+ * Lists the fees held by waivers still waiting for approval
+ * @param {Array} waivers - Fee waivers, in any state
+ * @returns {Set} Fee IDs of pending waivers
+ */
+export const getPendingFeeIds = (waivers = []) => new Set(
+  waivers
+    .filter(waiver => waiver.status === WAIVER_STATUSES.PENDING)
+    .flatMap(waiver => (waiver.fees || []).map(fee => fee.feeId))
+);
@@ -0,0 +1,21 @@
+import { getWaivedAmounts, getPendingFeeIds } from './WaiverUtils';
+
+describe('WaiverUtils', () => {
+  const waivers = [
+    { studentId: 's1', status: 'approved', fees: [{ feeId: '2025-09-01', amount: 5 }, { feeId: '2025-09-08', amount: 2.5 }] },
+    { studentId: 's1', status: 'approved', fees: [{ feeId: '2025-09-08', amount: 2.5 }] },
+    { studentId: 's2', status: 'pending', fees: [{ feeId: '2025-09-01', amount: 5 }] },
+    { studentId: 's2', status: 'rejected', fees: [{ feeId: '2025-09-08', amount: 5 }] }
+  ];
+
+  test('getWaivedAmounts should sum approved waivers per student and fee', () => {
+    expect(getWaivedAmounts(waivers)).toEqual({
+      s1: { '2025-09-01': 5, '2025-09-08': 5 }
+    });
+    expect(getWaivedAmounts()).toEqual({});
+  });
+
+  test('getPendingFeeIds should list only the fees of pending waivers', () => {
+    expect([...getPendingFeeIds(waivers)]).toEqual(['2025-09-01']);
+  });
+});
@@ -20,6 +20,18 @@ export const formatCurrency = (amount) => {
   }).format(amount);
 };
 
+/**
+ * Formats a student balance, showing a negative balance as credit
+ * @param {number} balance - Amount owed (negative for a credit)
+ * @returns {string} Formatted balance, e.g. "$5.00" or "$5.00 credit"
+ */
+export const formatBalance = (balance) => {
+  if (balance < 0) {
+    return `${formatCurrency(-balance)} credit`;
+  }
+  return formatCurrency(balance);
+};
+
 /**
  * Formats a date in a user-friendly format
  * @param {Date|string} date - The date to format